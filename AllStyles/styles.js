@@ -29,12 +29,115 @@ export default StyleSheet.create({
     marginTop: 10,
   },
 
+  // Game setup screen styles
+  setupContent: {
+    paddingBottom: 40,
+  },
+
+  setupSectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+    marginTop: 5,
+  },
+
+  resumeContainer: {
+    backgroundColor: '#fff3cd',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 20,
+  },
+
+  resumeText: {
+    fontSize: 14,
+    color: '#856404',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+
+  resumeDiscardText: {
+    fontSize: 14,
+    color: '#dc3545',
+    textAlign: 'center',
+    fontWeight: '600',
+  },
+
+  setupHintText: {
+    fontSize: 12,
+    color: '#666',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+
   // Quiz game component styles
   gameContainer: {
     flex: 1,
     justifyContent: 'space-between',
   },
   
+  modeSelectorContainer: {
+    flexDirection: 'row',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    overflow: 'hidden',
+    marginBottom: 10,
+  },
+
+  modeButton: {
+    flex: 1,
+    paddingVertical: 8,
+    backgroundColor: 'white',
+  },
+
+  modeButtonSelected: {
+    backgroundColor: '#007AFF',
+  },
+
+  modeButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+    textAlign: 'center',
+  },
+
+  modeButtonTextSelected: {
+    color: 'white',
+  },
+
+  regionSelectorContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+
+  regionChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    backgroundColor: 'white',
+    margin: 4,
+  },
+
+  regionChipSelected: {
+    backgroundColor: '#007AFF',
+  },
+
+  regionChipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+
+  regionChipTextSelected: {
+    color: 'white',
+  },
+
   scoreContainer: {
     backgroundColor: '#007AFF',
     padding: 15,
@@ -49,6 +152,22 @@ export default StyleSheet.create({
     textAlign: 'center',
   },
   
+  challengeText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: 'white',
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+
+  timerText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 5,
+  },
+
   questionCard: {
     backgroundColor: 'white',
     padding: 25,
@@ -72,6 +191,11 @@ export default StyleSheet.create({
     marginBottom: 20,
   },
   
+  questionImageContainer: {
+    alignItems: 'center',
+    marginVertical: 8,
+  },
+
   countryText: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -79,10 +203,77 @@ export default StyleSheet.create({
     textAlign: 'center',
   },
   
+  hintButtonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 5,
+  },
+
+  hintButton: {
+    backgroundColor: '#ffc107',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginHorizontal: 4,
+  },
+
+  hintButtonUsed: {
+    opacity: 0.4,
+  },
+
+  hintButtonText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+
+  hintCostText: {
+    fontSize: 11,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+
+  hintText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#856404',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+
   optionsContainer: {
     marginBottom: 20,
   },
   
+  typedAnswerContainer: {
+    marginBottom: 20,
+  },
+
+  typedAnswerInput: {
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#e0e0e0',
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 10,
+  },
+
+  submitAnswerButton: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    borderRadius: 10,
+  },
+
+  submitAnswerButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+
   optionButton: {
     backgroundColor: 'white',
     padding: 15,
@@ -208,6 +399,10 @@ export default StyleSheet.create({
   answersList: {
     flex: 1,
   },
+
+  listFooterLoader: {
+    paddingVertical: 16,
+  },
   
   incorrectAnswerItem: {
     backgroundColor: 'white',
@@ -550,6 +745,27 @@ export default StyleSheet.create({
     elevation: 3,
   },
   
+  responseTimeText: {
+    fontSize: 12,
+    color: '#666',
+    fontStyle: 'italic',
+    marginBottom: 5,
+  },
+
+  gameResultPoints: {
+    fontSize: 14,
+    color: '#007AFF',
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+
+  matchTypeText: {
+    fontSize: 12,
+    color: '#856404',
+    fontStyle: 'italic',
+    marginBottom: 5,
+  },
+
   questionNumber: {
     fontSize: 14,
     fontWeight: 'bold',
@@ -578,6 +794,22 @@ export default StyleSheet.create({
     fontWeight: 'bold',
     textAlign: 'center',
   },
+
+  // Export and import history buttons
+  historyTransferRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 20,
+  },
+
+  historyTransferButton: {
+    flex: 1,
+    backgroundColor: '#6c757d',
+    padding: 15,
+    borderRadius: 10,
+    marginHorizontal: 5,
+    elevation: 3,
+  },
   
   // Tap to view details text
   tapToViewDetails: {
@@ -587,4 +819,388 @@ export default StyleSheet.create({
     textAlign: 'right',
     marginTop: 8,
   },
+
+  // Practice screen mastery badges
+  masteryBadge: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: 'white',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+
+  mastery_new: {
+    backgroundColor: '#6c757d',
+  },
+
+  mastery_learning: {
+    backgroundColor: '#dc3545',
+  },
+
+  mastery_reviewing: {
+    backgroundColor: '#fd7e14',
+  },
+
+  mastery_familiar: {
+    backgroundColor: '#007AFF',
+  },
+
+  mastery_mastered: {
+    backgroundColor: '#28a745',
+  },
+
+  // Statistics screen confused pairs table
+  confusedPairRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+
+  confusedPairText: {
+    fontSize: 14,
+    color: '#333',
+  },
+
+  confusedPairTimes: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#dc3545',
+  },
+
+  // Results screen charts
+  chartCanvas: {
+    marginVertical: 10,
+  },
+
+  chartLegend: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+
+  chartLegendText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginHorizontal: 10,
+  },
+
+  chartLegendScore: {
+    color: '#007AFF',
+  },
+
+  chartLegendAverage: {
+    color: '#fd7e14',
+  },
+
+  chartBarRow: {
+    marginTop: 8,
+  },
+
+  // Game deletion: swipe action, undo banner and date range dialog
+  historyRowButton: {
+    flex: 1,
+    marginHorizontal: 5,
+    marginBottom: 0,
+  },
+
+  swipeDeleteAction: {
+    backgroundColor: '#dc3545',
+    justifyContent: 'center',
+    alignItems: 'center',
+    width: 100,
+    borderRadius: 10,
+    marginBottom: 10,
+    marginLeft: 10,
+  },
+
+  swipeDeleteText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+
+  undoBanner: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    bottom: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#333',
+    borderRadius: 10,
+    padding: 15,
+    elevation: 6,
+  },
+
+  undoBannerText: {
+    color: 'white',
+    fontSize: 15,
+  },
+
+  undoBannerAction: {
+    color: '#4da3ff',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    padding: 20,
+  },
+
+  modalContent: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 20,
+  },
+
+  // Weather screen data source note
+  weatherSourceText: {
+    fontSize: 12,
+    color: '#999',
+    fontStyle: 'italic',
+    textAlign: 'right',
+    marginTop: 10,
+  },
+
+  weatherCacheBadge: {
+    alignSelf: 'center',
+    backgroundColor: '#E3F2FD',
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+
+  weatherCacheBadgeOffline: {
+    backgroundColor: '#FFF3E0',
+  },
+
+  weatherCacheBadgeText: {
+    fontSize: 12,
+    color: '#555',
+    fontWeight: '600',
+  },
+
+  weatherRefreshButton: {
+    alignSelf: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    marginTop: 10,
+  },
+
+  weatherRefreshButtonText: {
+    color: '#2196F3',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+
+  weatherContent: {
+    paddingBottom: 30,
+  },
+
+  weatherUnitsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 15,
+  },
+
+  weatherUnitGroup: {
+    flexDirection: 'row',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    overflow: 'hidden',
+  },
+
+  weatherUnitButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    backgroundColor: 'white',
+  },
+
+  weatherUnitButtonSelected: {
+    backgroundColor: '#007AFF',
+  },
+
+  weatherUnitText: {
+    fontSize: 14,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+
+  weatherUnitTextSelected: {
+    color: 'white',
+  },
+
+  forecastCard: {
+    marginTop: 20,
+  },
+
+  forecastRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+
+  forecastDay: {
+    width: 60,
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+
+  forecastDetails: {
+    flex: 1,
+  },
+
+  forecastTemperatures: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+
+  forecastDescription: {
+    fontSize: 13,
+    color: '#666',
+  },
+
+  forecastExtras: {
+    alignItems: 'flex-end',
+  },
+
+  forecastExtraText: {
+    fontSize: 13,
+    color: '#555',
+  },
+
+  forecastUnavailableText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    fontStyle: 'italic',
+  },
+
+  weatherCompareButton: {
+    padding: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    marginBottom: 20,
+  },
+
+  weatherCompareButtonText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+
+  // Weather comparison screen styles
+  compareChipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+
+  compareChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginRight: 8,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+
+  compareChipFavourite: {
+    backgroundColor: '#FFF8E1',
+    borderColor: '#FFC107',
+  },
+
+  compareChipText: {
+    fontSize: 14,
+    color: '#333',
+    marginHorizontal: 6,
+  },
+
+  compareChipStar: {
+    fontSize: 16,
+    color: '#FFC107',
+  },
+
+  compareChipRemove: {
+    fontSize: 14,
+    color: '#999',
+    fontWeight: 'bold',
+  },
+
+  compareRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+
+  compareHeaderRow: {
+    borderBottomWidth: 2,
+    borderBottomColor: '#ccc',
+  },
+
+  compareHeaderText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#666',
+  },
+
+  compareHeaderTextActive: {
+    color: '#007AFF',
+  },
+
+  compareCityColumn: {
+    flex: 2,
+  },
+
+  compareNumberColumn: {
+    flex: 1.2,
+  },
+
+  compareConditionsColumn: {
+    flex: 2,
+  },
+
+  compareMessageColumn: {
+    flex: 4.4,
+  },
+
+  compareCellText: {
+    fontSize: 14,
+    color: '#333',
+  },
+
+  compareErrorText: {
+    fontSize: 13,
+    color: '#dc3545',
+  },
+
+  compareLoadingText: {
+    fontSize: 13,
+    color: '#999',
+    fontStyle: 'italic',
+  },
 });
@@ -5,38 +5,50 @@
 import React from "react";
 import { NavigationContainer } from "@react-navigation/native";
 import { createStackNavigator } from "@react-navigation/stack";
+import { GestureHandlerRootView } from "react-native-gesture-handler";
 import GamePlay from "./Components/GamePlay";
 import Api from "./Components/Api";
 import { ContextProvider } from "./Operations/Context";
 import Results from "./Components/Results";
 import GameDetails from "./Components/GameDetails";
+import GameSetup from "./Components/GameSetup";
+import Practice from "./Components/Practice";
+import Statistics from "./Components/Statistics";
+import WeatherCompare from "./Components/WeatherCompare";
 
 const Stack = createStackNavigator();
 
 /**
  * Root application component with navigation configuration
  * Sets up stack navigation between quiz screens and context providers
+ * The gesture handler root enables swipe actions such as swipe-to-delete
  */
 const App = () => {
   return (
-    <ContextProvider>
-      <NavigationContainer>
-        <Stack.Navigator
-          initialRouteName="Guess The City"
-          screenOptions={{
-            headerStyle: { backgroundColor: "#1976d2" },
-            headerTintColor: "#fff",
-            headerTitleStyle: { fontWeight: "bold" },
-            headerTitleAlign: "center",
-          }}
-        >
-          <Stack.Screen name="Guess The City" component={GamePlay} />
-          <Stack.Screen name="Weather" component={Api} />
-          <Stack.Screen name="Results" component={Results} />
-          <Stack.Screen name="GameDetails" component={GameDetails} options={{ title: "Game Details" }} />
-        </Stack.Navigator>
-      </NavigationContainer>
-    </ContextProvider>
+    <GestureHandlerRootView style={{ flex: 1 }}>
+      <ContextProvider>
+        <NavigationContainer>
+          <Stack.Navigator
+            initialRouteName="Game Setup"
+            screenOptions={{
+              headerStyle: { backgroundColor: "#1976d2" },
+              headerTintColor: "#fff",
+              headerTitleStyle: { fontWeight: "bold" },
+              headerTitleAlign: "center",
+            }}
+          >
+            <Stack.Screen name="Game Setup" component={GameSetup} />
+            <Stack.Screen name="Guess The City" component={GamePlay} />
+            <Stack.Screen name="Weather" component={Api} />
+            <Stack.Screen name="Results" component={Results} />
+            <Stack.Screen name="GameDetails" component={GameDetails} options={{ title: "Game Details" }} />
+            <Stack.Screen name="Practice" component={Practice} />
+            <Stack.Screen name="Statistics" component={Statistics} />
+            <Stack.Screen name="WeatherCompare" component={WeatherCompare} options={{ title: "Compare Weather" }} />
+          </Stack.Navigator>
+        </NavigationContainer>
+      </ContextProvider>
+    </GestureHandlerRootView>
   );
 };
 
@@ -1,59 +1,113 @@
 /**
  * Weather Information Component
- * Provides weather data for capital cities using OpenWeatherMap API
+ * Provides weather data for capital cities from the configured weather provider
  */
-import React, { useState } from 'react';
-import { View, Text, TouchableOpacity, Alert } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, ScrollView, Alert } from 'react-native';
 import { Picker } from '@react-native-picker/picker';
-import axios from 'axios';
-import { getAllCapitals } from './CountriesData';
+import { getCapitalLocations, findCountry, findCountryByIso2 } from './CountriesData';
+import { getWeatherProvider } from '../Operations/WeatherService';
+import WeatherRepository from '../Operations/WeatherRepository';
+import { buildDailyForecast } from '../Operations/WeatherForecast';
+import {
+  TEMPERATURE_UNITS,
+  WIND_SPEED_UNITS,
+  defaultWeatherUnits,
+  formatTemperature,
+  formatWindSpeed,
+  formatPercentage,
+  formatPressure,
+  formatForecastDay
+} from '../Operations/WeatherFormat';
 import styles from '../AllStyles/styles';
 
 /**
- * Weather API component that displays current weather information
- * for selected capital cities
+ * Formats when a reading was fetched, e.g. "14:05"
+ * @param {string} fetchedAt - ISO timestamp
+ * @returns {string} Local time in hours and minutes
  */
-const Api = () => {
+const formatFetchedTime = (fetchedAt) => {
+  return new Date(fetchedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+/**
+ * Weather API component that displays current weather and a 5-day forecast
+ * for selected capital cities in the player's preferred units
+ */
+const Api = ({ navigation }) => {
   // State management for weather functionality
-  const [selectedCity, setSelectedCity] = useState('');
+  const [selectedCountry, setSelectedCountry] = useState(''); // Country whose capital is selected
   const [weatherData, setWeatherData] = useState(null);
+  const [weatherStatus, setWeatherStatus] = useState(null); // { fetchedAt, fromCache, offline }
+  const [forecastDays, setForecastDays] = useState(null); // Daily summaries, or null when unavailable
+  const [units, setUnits] = useState(defaultWeatherUnits);
   const [loading, setLoading] = useState(false);
 
   // Retrieve available capital cities for selection
-  const capitals = getAllCapitals();
+  const capitals = getCapitalLocations();
+
+  // Load the saved unit preference once
+  useEffect(() => {
+    WeatherRepository.getUnits()
+      .then(setUnits)
+      .catch(error => console.error('Error loading weather units:', error));
+  }, []);
 
   /**
-   * Fetches current weather data from OpenWeatherMap API
-   * Handles API errors and displays appropriate user feedback
+   * Changes one unit and saves the preference
+   * @param {string} kind - 'temperature' or 'windSpeed'
+   * @param {string} unit - Unit id, e.g. 'fahrenheit'
    */
-  const fetchWeatherData = async () => {
-    if (!selectedCity) {
+  const changeUnit = async (kind, unit) => {
+    const updated = { ...units, [kind]: unit };
+    setUnits(updated);
+    try {
+      await WeatherRepository.saveUnits(updated);
+    } catch (error) {
+      console.error('Error saving weather units:', error);
+    }
+  };
+
+  /**
+   * Fetches current weather and the forecast, from the cache while they are fresh
+   * Handles provider errors and displays appropriate user feedback
+   * A failed forecast still shows the current weather
+   * @param {boolean} forceRefresh - Ask the provider even when a fresh cached reading exists
+   */
+  const fetchWeatherData = async (forceRefresh = false) => {
+    if (!selectedCountry) {
       Alert.alert('Error', 'Please select a city first');
       return;
     }
+    const countryData = findCountry(selectedCountry);
 
     setLoading(true);
     try {
-      // OpenWeatherMap API configuration and request
-      const API_KEY = '644bdd390ac4ec9cd88ba29474de455b';
-      const url = `https://api.openweathermap.org/data/2.5/weather?q=${selectedCity}&appid=${API_KEY}&units=metric`;
-      
-      const response = await axios.get(url);
-      setWeatherData(response.data);
+      // Coordinates identify the capital even when another city shares its name
+      const location = {
+        city: countryData.capital,
+        countryCode: countryData.iso2,
+        lat: countryData.lat,
+        lon: countryData.lon
+      };
+      const [reading, forecast] = await Promise.all([
+        WeatherRepository.getCurrent(location, { forceRefresh }),
+        WeatherRepository.getForecast(location, { forceRefresh }).catch((error) => {
+          console.error('Weather forecast error:', error);
+          return null;
+        })
+      ]);
+      setWeatherData(reading.data);
+      setForecastDays(forecast ? buildDailyForecast(forecast.data) : null);
+      setWeatherStatus({
+        fetchedAt: reading.fetchedAt,
+        fromCache: reading.fromCache,
+        offline: reading.offline
+      });
     } catch (error) {
       console.error('Weather API Error:', error);
-      
-      // Provide specific error messages based on response status
-      let errorMessage = 'Failed to fetch weather data.';
-      if (error.response?.status === 401) {
-        errorMessage = 'Invalid API key. Please check your OpenWeatherMap API key.';
-      } else if (error.response?.status === 404) {
-        errorMessage = 'City not found. Please try a different city.';
-      } else if (error.response?.data?.message) {
-        errorMessage = error.response.data.message;
-      }
-      
-      Alert.alert('Error', errorMessage);
+      // Providers describe the failure in the error message
+      Alert.alert('Error', error.message || 'Failed to fetch weather data.');
     } finally {
       setLoading(false);
     }
@@ -64,27 +118,61 @@ const Api = () => {
    * Displays weather interface with city selector and weather information
    */
   return (
-    <View style={styles.container}>
+    <ScrollView style={styles.container} contentContainerStyle={styles.weatherContent}>
       <Text style={styles.screenTitle}>Weather Information</Text>
       
       {/* City selection dropdown component */}
       <View style={styles.pickerContainer}>
         <Picker
-          selectedValue={selectedCity}
-          onValueChange={(value) => setSelectedCity(value)}
+          selectedValue={selectedCountry}
+          onValueChange={(value) => setSelectedCountry(value)}
           style={styles.picker}
         >
           <Picker.Item label="Select a capital city..." value="" />
-          {capitals.map((capital, index) => (
-            <Picker.Item key={index} label={capital} value={capital} />
+          {capitals.map(capital => (
+            <Picker.Item
+              key={capital.countryCode}
+              label={`${capital.city}, ${capital.country}`}
+              value={capital.country}
+            />
           ))}
         </Picker>
       </View>
 
+      {/* Unit preferences, applied to every reading shown */}
+      <View style={styles.weatherUnitsRow}>
+        <View style={styles.weatherUnitGroup}>
+          {Object.values(TEMPERATURE_UNITS).map(unit => (
+            <TouchableOpacity
+              key={unit.id}
+              style={[styles.weatherUnitButton, units.temperature === unit.id && styles.weatherUnitButtonSelected]}
+              onPress={() => changeUnit('temperature', unit.id)}
+            >
+              <Text style={[styles.weatherUnitText, units.temperature === unit.id && styles.weatherUnitTextSelected]}>
+                {unit.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <View style={styles.weatherUnitGroup}>
+          {Object.values(WIND_SPEED_UNITS).map(unit => (
+            <TouchableOpacity
+              key={unit.id}
+              style={[styles.weatherUnitButton, units.windSpeed === unit.id && styles.weatherUnitButtonSelected]}
+              onPress={() => changeUnit('windSpeed', unit.id)}
+            >
+              <Text style={[styles.weatherUnitText, units.windSpeed === unit.id && styles.weatherUnitTextSelected]}>
+                {unit.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
       {/* Weather data fetch button */}
       <TouchableOpacity 
         style={styles.weatherButton}
-        onPress={fetchWeatherData}
+        onPress={() => fetchWeatherData()}
         disabled={loading}
       >
         <Text style={styles.weatherButtonText}>
@@ -92,6 +180,14 @@ const Api = () => {
         </Text>
       </TouchableOpacity>
 
+      {/* Several capitals side by side */}
+      <TouchableOpacity
+        style={styles.weatherCompareButton}
+        onPress={() => navigation.navigate('WeatherCompare')}
+      >
+        <Text style={styles.weatherCompareButtonText}>Compare Capitals</Text>
+      </TouchableOpacity>
+
       {/* Loading state indicator */}
       {loading && (
         <Text style={styles.loadingText}>Fetching weather data...</Text>
@@ -101,46 +197,102 @@ const Api = () => {
       {weatherData && !loading && (
         <View style={styles.weatherCard}>
           <Text style={styles.weatherTitle}>
-            Weather in {weatherData.name}
+            Weather in {weatherData.location.name}
+            {weatherData.location.countryCode
+              ? `, ${findCountryByIso2(weatherData.location.countryCode)?.country || weatherData.location.countryCode}`
+              : ''}
           </Text>
+
+          {/* Cached readings show their age; offline ones say why they are not current */}
+          {weatherStatus?.fromCache && (
+            <View style={[styles.weatherCacheBadge, weatherStatus.offline && styles.weatherCacheBadgeOffline]}>
+              <Text style={styles.weatherCacheBadgeText}>
+                {weatherStatus.offline ? 'Offline · ' : ''}as of {formatFetchedTime(weatherStatus.fetchedAt)}
+              </Text>
+            </View>
+          )}
           
           <View style={styles.weatherInfo}>
             <Text style={styles.weatherLabel}>Temperature:</Text>
             <Text style={styles.weatherValue}>
-              {Math.round(weatherData.main.temp)}°C
+              {formatTemperature(weatherData.temperatureC, units.temperature)}
             </Text>
           </View>
           
           <View style={styles.weatherInfo}>
             <Text style={styles.weatherLabel}>Feels like:</Text>
             <Text style={styles.weatherValue}>
-              {Math.round(weatherData.main.feels_like)}°C
+              {formatTemperature(weatherData.feelsLikeC, units.temperature)}
             </Text>
           </View>
           
           <View style={styles.weatherInfo}>
             <Text style={styles.weatherLabel}>Humidity:</Text>
             <Text style={styles.weatherValue}>
-              {weatherData.main.humidity}%
+              {formatPercentage(weatherData.humidity)}
             </Text>
           </View>
           
           <View style={styles.weatherInfo}>
             <Text style={styles.weatherLabel}>Pressure:</Text>
             <Text style={styles.weatherValue}>
-              {weatherData.main.pressure} hPa
+              {formatPressure(weatherData.pressureHpa)}
+            </Text>
+          </View>
+
+          <View style={styles.weatherInfo}>
+            <Text style={styles.weatherLabel}>Wind:</Text>
+            <Text style={styles.weatherValue}>
+              {formatWindSpeed(weatherData.windSpeedKmh, units.windSpeed)}
             </Text>
           </View>
           
           <View style={styles.weatherInfo}>
             <Text style={styles.weatherLabel}>Weather:</Text>
             <Text style={styles.weatherValue}>
-              {weatherData.weather[0].description}
+              {weatherData.description}
             </Text>
           </View>
+
+          <TouchableOpacity
+            style={styles.weatherRefreshButton}
+            onPress={() => fetchWeatherData(true)}
+          >
+            <Text style={styles.weatherRefreshButtonText}>↻ Refresh</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.weatherSourceText}>
+            Source: {getWeatherProvider().name}
+          </Text>
+        </View>
+      )}
+
+      {/* Daily forecast summaries */}
+      {weatherData && !loading && (
+        <View style={[styles.weatherCard, styles.forecastCard]}>
+          <Text style={styles.weatherTitle}>5-Day Forecast</Text>
+          {forecastDays ? (
+            forecastDays.map(day => (
+              <View key={day.date} style={styles.forecastRow}>
+                <Text style={styles.forecastDay}>{formatForecastDay(day.date)}</Text>
+                <View style={styles.forecastDetails}>
+                  <Text style={styles.forecastTemperatures}>
+                    {formatTemperature(day.highC, units.temperature)} / {formatTemperature(day.lowC, units.temperature)}
+                  </Text>
+                  <Text style={styles.forecastDescription}>{day.description}</Text>
+                </View>
+                <View style={styles.forecastExtras}>
+                  <Text style={styles.forecastExtraText}>💧 {formatPercentage(day.precipitationChance)}</Text>
+                  <Text style={styles.forecastExtraText}>💨 {formatWindSpeed(day.windSpeedKmh, units.windSpeed)}</Text>
+                </View>
+              </View>
+            ))
+          ) : (
+            <Text style={styles.forecastUnavailableText}>Forecast unavailable right now.</Text>
+          )}
         </View>
       )}
-    </View>
+    </ScrollView>
   );
 };
 
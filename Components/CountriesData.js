@@ -3,73 +3,558 @@
  * Provides country and capital city data for the quiz application
  * Contains utility functions for question generation and API integration
  */
+import { generateOptions } from '../Operations/DistractorEngine';
+import { randomInt } from '../Operations/Random';
+import outlines from '../assets/outlines';
 
 /**
- * Array of European countries and their capital cities
+ * World regions used to group countries (UN geoscheme continents)
+ * Used by the region selector on the quiz screen
+ */
+export const regions = ['Africa', 'Americas', 'Asia', 'Europe', 'Oceania'];
+
+/**
+ * Array of world countries and their capital cities
+ * Covers all UN member states, observer states and commonly recognised territories
+ * Each entry carries region, subregion, ISO 3166 codes, approximate population
+ * and the latitude/longitude of the capital city
  * Used as the primary data source for quiz questions and weather API
  */
 export const countries = [
-  { country: 'France', capital: 'Paris' },
-  { country: 'Germany', capital: 'Berlin' },
-  { country: 'Italy', capital: 'Rome' },
-  { country: 'Spain', capital: 'Madrid' },
-  { country: 'Portugal', capital: 'Lisbon' },
-  { country: 'Netherlands', capital: 'Amsterdam' },
-  { country: 'Belgium', capital: 'Brussels' },
-  { country: 'Switzerland', capital: 'Bern' },
-  { country: 'Austria', capital: 'Vienna' },
-  { country: 'Poland', capital: 'Warsaw' },
-  { country: 'Czech Republic', capital: 'Prague' },
-  { country: 'Hungary', capital: 'Budapest' },
-  { country: 'Romania', capital: 'Bucharest' },
-  { country: 'Bulgaria', capital: 'Sofia' },
-  { country: 'Greece', capital: 'Athens' },
-  { country: 'Croatia', capital: 'Zagreb' },
-  { country: 'Slovakia', capital: 'Bratislava' },
-  { country: 'Slovenia', capital: 'Ljubljana' },
-  { country: 'Estonia', capital: 'Tallinn' },
-  { country: 'Latvia', capital: 'Riga' }
+  // Africa
+  { country: 'Algeria', capital: 'Algiers', region: 'Africa', subregion: 'Northern Africa', iso2: 'DZ', iso3: 'DZA', population: 45600000, lat: 36.7538, lon: 3.0588 },
+  { country: 'Egypt', capital: 'Cairo', region: 'Africa', subregion: 'Northern Africa', iso2: 'EG', iso3: 'EGY', population: 112700000, lat: 30.0444, lon: 31.2357 },
+  { country: 'Libya', capital: 'Tripoli', region: 'Africa', subregion: 'Northern Africa', iso2: 'LY', iso3: 'LBY', population: 6900000, lat: 32.8872, lon: 13.1913 },
+  { country: 'Morocco', capital: 'Rabat', region: 'Africa', subregion: 'Northern Africa', iso2: 'MA', iso3: 'MAR', population: 37800000, lat: 34.0209, lon: -6.8416 },
+  { country: 'Sudan', capital: 'Khartoum', region: 'Africa', subregion: 'Northern Africa', iso2: 'SD', iso3: 'SDN', population: 48100000, lat: 15.5007, lon: 32.5599 },
+  { country: 'Tunisia', capital: 'Tunis', region: 'Africa', subregion: 'Northern Africa', iso2: 'TN', iso3: 'TUN', population: 12460000, lat: 36.8065, lon: 10.1815 },
+  { country: 'Benin', capital: 'Porto-Novo', region: 'Africa', subregion: 'Western Africa', iso2: 'BJ', iso3: 'BEN', population: 13700000, lat: 6.4969, lon: 2.6289 },
+  { country: 'Burkina Faso', capital: 'Ouagadougou', region: 'Africa', subregion: 'Western Africa', iso2: 'BF', iso3: 'BFA', population: 22700000, lat: 12.3714, lon: -1.5197 },
+  { country: 'Cabo Verde', capital: 'Praia', region: 'Africa', subregion: 'Western Africa', iso2: 'CV', iso3: 'CPV', population: 598000, lat: 14.9330, lon: -23.5133 },
+  { country: "Côte d'Ivoire", capital: 'Yamoussoukro', region: 'Africa', subregion: 'Western Africa', iso2: 'CI', iso3: 'CIV', population: 28900000, lat: 6.8276, lon: -5.2893 },
+  { country: 'Gambia', capital: 'Banjul', region: 'Africa', subregion: 'Western Africa', iso2: 'GM', iso3: 'GMB', population: 2770000, lat: 13.4549, lon: -16.5790 },
+  { country: 'Ghana', capital: 'Accra', region: 'Africa', subregion: 'Western Africa', iso2: 'GH', iso3: 'GHA', population: 34100000, lat: 5.6037, lon: -0.1870 },
+  { country: 'Guinea', capital: 'Conakry', region: 'Africa', subregion: 'Western Africa', iso2: 'GN', iso3: 'GIN', population: 14200000, lat: 9.6412, lon: -13.5784 },
+  { country: 'Guinea-Bissau', capital: 'Bissau', region: 'Africa', subregion: 'Western Africa', iso2: 'GW', iso3: 'GNB', population: 2150000, lat: 11.8817, lon: -15.6178 },
+  { country: 'Liberia', capital: 'Monrovia', region: 'Africa', subregion: 'Western Africa', iso2: 'LR', iso3: 'LBR', population: 5420000, lat: 6.3156, lon: -10.8074 },
+  { country: 'Mali', capital: 'Bamako', region: 'Africa', subregion: 'Western Africa', iso2: 'ML', iso3: 'MLI', population: 23300000, lat: 12.6392, lon: -8.0029 },
+  { country: 'Mauritania', capital: 'Nouakchott', region: 'Africa', subregion: 'Western Africa', iso2: 'MR', iso3: 'MRT', population: 4860000, lat: 18.0735, lon: -15.9582 },
+  { country: 'Niger', capital: 'Niamey', region: 'Africa', subregion: 'Western Africa', iso2: 'NE', iso3: 'NER', population: 27200000, lat: 13.5116, lon: 2.1254 },
+  { country: 'Nigeria', capital: 'Abuja', region: 'Africa', subregion: 'Western Africa', iso2: 'NG', iso3: 'NGA', population: 223800000, lat: 9.0765, lon: 7.3986 },
+  { country: 'Saint Helena', capital: 'Jamestown', region: 'Africa', subregion: 'Western Africa', iso2: 'SH', iso3: 'SHN', population: 5600, lat: -15.9244, lon: -5.7181 },
+  { country: 'Senegal', capital: 'Dakar', region: 'Africa', subregion: 'Western Africa', iso2: 'SN', iso3: 'SEN', population: 17800000, lat: 14.7167, lon: -17.4677 },
+  { country: 'Sierra Leone', capital: 'Freetown', region: 'Africa', subregion: 'Western Africa', iso2: 'SL', iso3: 'SLE', population: 8790000, lat: 8.4657, lon: -13.2317 },
+  { country: 'Togo', capital: 'Lomé', region: 'Africa', subregion: 'Western Africa', iso2: 'TG', iso3: 'TGO', population: 9050000, lat: 6.1725, lon: 1.2314 },
+  { country: 'Angola', capital: 'Luanda', region: 'Africa', subregion: 'Middle Africa', iso2: 'AO', iso3: 'AGO', population: 36700000, lat: -8.8390, lon: 13.2894 },
+  { country: 'Cameroon', capital: 'Yaoundé', region: 'Africa', subregion: 'Middle Africa', iso2: 'CM', iso3: 'CMR', population: 28600000, lat: 3.8480, lon: 11.5021 },
+  { country: 'Central African Republic', capital: 'Bangui', region: 'Africa', subregion: 'Middle Africa', iso2: 'CF', iso3: 'CAF', population: 5740000, lat: 4.3947, lon: 18.5582 },
+  { country: 'Chad', capital: "N'Djamena", region: 'Africa', subregion: 'Middle Africa', iso2: 'TD', iso3: 'TCD', population: 18300000, lat: 12.1348, lon: 15.0557 },
+  { country: 'Democratic Republic of the Congo', capital: 'Kinshasa', region: 'Africa', subregion: 'Middle Africa', iso2: 'CD', iso3: 'COD', population: 102300000, lat: -4.4419, lon: 15.2663 },
+  { country: 'Equatorial Guinea', capital: 'Malabo', region: 'Africa', subregion: 'Middle Africa', iso2: 'GQ', iso3: 'GNQ', population: 1710000, lat: 3.7504, lon: 8.7371 },
+  { country: 'Gabon', capital: 'Libreville', region: 'Africa', subregion: 'Middle Africa', iso2: 'GA', iso3: 'GAB', population: 2440000, lat: 0.4162, lon: 9.4673 },
+  { country: 'Republic of the Congo', capital: 'Brazzaville', region: 'Africa', subregion: 'Middle Africa', iso2: 'CG', iso3: 'COG', population: 6110000, lat: -4.2634, lon: 15.2429 },
+  { country: 'São Tomé and Príncipe', capital: 'São Tomé', region: 'Africa', subregion: 'Middle Africa', iso2: 'ST', iso3: 'STP', population: 232000, lat: 0.3365, lon: 6.7273 },
+  { country: 'Burundi', capital: 'Gitega', region: 'Africa', subregion: 'Eastern Africa', iso2: 'BI', iso3: 'BDI', population: 13200000, lat: -3.4271, lon: 29.9246 },
+  { country: 'Comoros', capital: 'Moroni', region: 'Africa', subregion: 'Eastern Africa', iso2: 'KM', iso3: 'COM', population: 852000, lat: -11.7172, lon: 43.2473 },
+  { country: 'Djibouti', capital: 'Djibouti', region: 'Africa', subregion: 'Eastern Africa', iso2: 'DJ', iso3: 'DJI', population: 1140000, lat: 11.5721, lon: 43.1456 },
+  { country: 'Eritrea', capital: 'Asmara', region: 'Africa', subregion: 'Eastern Africa', iso2: 'ER', iso3: 'ERI', population: 3750000, lat: 15.3229, lon: 38.9251 },
+  { country: 'Ethiopia', capital: 'Addis Ababa', region: 'Africa', subregion: 'Eastern Africa', iso2: 'ET', iso3: 'ETH', population: 126500000, lat: 8.9806, lon: 38.7578 },
+  { country: 'Kenya', capital: 'Nairobi', region: 'Africa', subregion: 'Eastern Africa', iso2: 'KE', iso3: 'KEN', population: 55100000, lat: -1.2921, lon: 36.8219 },
+  { country: 'Madagascar', capital: 'Antananarivo', region: 'Africa', subregion: 'Eastern Africa', iso2: 'MG', iso3: 'MDG', population: 30300000, lat: -18.8792, lon: 47.5079 },
+  { country: 'Malawi', capital: 'Lilongwe', region: 'Africa', subregion: 'Eastern Africa', iso2: 'MW', iso3: 'MWI', population: 20900000, lat: -13.9626, lon: 33.7741 },
+  { country: 'Mauritius', capital: 'Port Louis', region: 'Africa', subregion: 'Eastern Africa', iso2: 'MU', iso3: 'MUS', population: 1260000, lat: -20.1609, lon: 57.5012 },
+  { country: 'Mayotte', capital: 'Mamoudzou', region: 'Africa', subregion: 'Eastern Africa', iso2: 'YT', iso3: 'MYT', population: 321000, lat: -12.7806, lon: 45.2279 },
+  { country: 'Mozambique', capital: 'Maputo', region: 'Africa', subregion: 'Eastern Africa', iso2: 'MZ', iso3: 'MOZ', population: 33900000, lat: -25.9692, lon: 32.5732 },
+  { country: 'Réunion', capital: 'Saint-Denis', region: 'Africa', subregion: 'Eastern Africa', iso2: 'RE', iso3: 'REU', population: 871000, lat: -20.8823, lon: 55.4504 },
+  { country: 'Rwanda', capital: 'Kigali', region: 'Africa', subregion: 'Eastern Africa', iso2: 'RW', iso3: 'RWA', population: 14100000, lat: -1.9441, lon: 30.0619 },
+  { country: 'Seychelles', capital: 'Victoria', region: 'Africa', subregion: 'Eastern Africa', iso2: 'SC', iso3: 'SYC', population: 107000, lat: -4.6191, lon: 55.4513 },
+  { country: 'Somalia', capital: 'Mogadishu', region: 'Africa', subregion: 'Eastern Africa', iso2: 'SO', iso3: 'SOM', population: 18100000, lat: 2.0469, lon: 45.3182 },
+  { country: 'South Sudan', capital: 'Juba', region: 'Africa', subregion: 'Eastern Africa', iso2: 'SS', iso3: 'SSD', population: 11100000, lat: 4.8594, lon: 31.5713 },
+  { country: 'Tanzania', capital: 'Dodoma', region: 'Africa', subregion: 'Eastern Africa', iso2: 'TZ', iso3: 'TZA', population: 67400000, lat: -6.1630, lon: 35.7516 },
+  { country: 'Uganda', capital: 'Kampala', region: 'Africa', subregion: 'Eastern Africa', iso2: 'UG', iso3: 'UGA', population: 48600000, lat: 0.3476, lon: 32.5825 },
+  { country: 'Zambia', capital: 'Lusaka', region: 'Africa', subregion: 'Eastern Africa', iso2: 'ZM', iso3: 'ZMB', population: 20600000, lat: -15.3875, lon: 28.3228 },
+  { country: 'Zimbabwe', capital: 'Harare', region: 'Africa', subregion: 'Eastern Africa', iso2: 'ZW', iso3: 'ZWE', population: 16700000, lat: -17.8252, lon: 31.0335 },
+  { country: 'Botswana', capital: 'Gaborone', region: 'Africa', subregion: 'Southern Africa', iso2: 'BW', iso3: 'BWA', population: 2680000, lat: -24.6282, lon: 25.9231 },
+  { country: 'Eswatini', capital: 'Mbabane', region: 'Africa', subregion: 'Southern Africa', iso2: 'SZ', iso3: 'SWZ', population: 1210000, lat: -26.3054, lon: 31.1367 },
+  { country: 'Lesotho', capital: 'Maseru', region: 'Africa', subregion: 'Southern Africa', iso2: 'LS', iso3: 'LSO', population: 2330000, lat: -29.3151, lon: 27.4869 },
+  { country: 'Namibia', capital: 'Windhoek', region: 'Africa', subregion: 'Southern Africa', iso2: 'NA', iso3: 'NAM', population: 2600000, lat: -22.5609, lon: 17.0658 },
+  { country: 'South Africa', capital: 'Pretoria', region: 'Africa', subregion: 'Southern Africa', iso2: 'ZA', iso3: 'ZAF', population: 60400000, lat: -25.7479, lon: 28.2293 },
+
+  // Americas
+  { country: 'Bermuda', capital: 'Hamilton', region: 'Americas', subregion: 'Northern America', iso2: 'BM', iso3: 'BMU', population: 64000, lat: 32.2949, lon: -64.7814 },
+  { country: 'Canada', capital: 'Ottawa', region: 'Americas', subregion: 'Northern America', iso2: 'CA', iso3: 'CAN', population: 40100000, lat: 45.4215, lon: -75.6972 },
+  { country: 'Greenland', capital: 'Nuuk', region: 'Americas', subregion: 'Northern America', iso2: 'GL', iso3: 'GRL', population: 56600, lat: 64.1814, lon: -51.6941 },
+  { country: 'Saint Pierre and Miquelon', capital: 'Saint-Pierre', region: 'Americas', subregion: 'Northern America', iso2: 'PM', iso3: 'SPM', population: 5800, lat: 46.7811, lon: -56.1764 },
+  { country: 'United States', capital: 'Washington, D.C.', region: 'Americas', subregion: 'Northern America', iso2: 'US', iso3: 'USA', population: 334900000, lat: 38.9072, lon: -77.0369 },
+  { country: 'Anguilla', capital: 'The Valley', region: 'Americas', subregion: 'Caribbean', iso2: 'AI', iso3: 'AIA', population: 16000, lat: 18.2170, lon: -63.0578 },
+  { country: 'Antigua and Barbuda', capital: "Saint John's", region: 'Americas', subregion: 'Caribbean', iso2: 'AG', iso3: 'ATG', population: 94000, lat: 17.1274, lon: -61.8468 },
+  { country: 'Aruba', capital: 'Oranjestad', region: 'Americas', subregion: 'Caribbean', iso2: 'AW', iso3: 'ABW', population: 106000, lat: 12.5092, lon: -70.0086 },
+  { country: 'Bahamas', capital: 'Nassau', region: 'Americas', subregion: 'Caribbean', iso2: 'BS', iso3: 'BHS', population: 412000, lat: 25.0443, lon: -77.3504 },
+  { country: 'Barbados', capital: 'Bridgetown', region: 'Americas', subregion: 'Caribbean', iso2: 'BB', iso3: 'BRB', population: 282000, lat: 13.0975, lon: -59.6165 },
+  { country: 'British Virgin Islands', capital: 'Road Town', region: 'Americas', subregion: 'Caribbean', iso2: 'VG', iso3: 'VGB', population: 31000, lat: 18.4286, lon: -64.6185 },
+  { country: 'Cayman Islands', capital: 'George Town', region: 'Americas', subregion: 'Caribbean', iso2: 'KY', iso3: 'CYM', population: 69000, lat: 19.2869, lon: -81.3674 },
+  { country: 'Cuba', capital: 'Havana', region: 'Americas', subregion: 'Caribbean', iso2: 'CU', iso3: 'CUB', population: 11100000, lat: 23.1136, lon: -82.3666 },
+  { country: 'Curaçao', capital: 'Willemstad', region: 'Americas', subregion: 'Caribbean', iso2: 'CW', iso3: 'CUW', population: 192000, lat: 12.1091, lon: -68.9316 },
+  { country: 'Dominica', capital: 'Roseau', region: 'Americas', subregion: 'Caribbean', iso2: 'DM', iso3: 'DMA', population: 73000, lat: 15.3017, lon: -61.3881 },
+  { country: 'Dominican Republic', capital: 'Santo Domingo', region: 'Americas', subregion: 'Caribbean', iso2: 'DO', iso3: 'DOM', population: 11300000, lat: 18.4861, lon: -69.9312 },
+  { country: 'Grenada', capital: "St. George's", region: 'Americas', subregion: 'Caribbean', iso2: 'GD', iso3: 'GRD', population: 126000, lat: 12.0561, lon: -61.7488 },
+  { country: 'Guadeloupe', capital: 'Basse-Terre', region: 'Americas', subregion: 'Caribbean', iso2: 'GP', iso3: 'GLP', population: 384000, lat: 15.9985, lon: -61.7255 },
+  { country: 'Haiti', capital: 'Port-au-Prince', region: 'Americas', subregion: 'Caribbean', iso2: 'HT', iso3: 'HTI', population: 11700000, lat: 18.5944, lon: -72.3074 },
+  { country: 'Jamaica', capital: 'Kingston', region: 'Americas', subregion: 'Caribbean', iso2: 'JM', iso3: 'JAM', population: 2830000, lat: 17.9712, lon: -76.7936 },
+  { country: 'Martinique', capital: 'Fort-de-France', region: 'Americas', subregion: 'Caribbean', iso2: 'MQ', iso3: 'MTQ', population: 350000, lat: 14.6161, lon: -61.0588 },
+  { country: 'Puerto Rico', capital: 'San Juan', region: 'Americas', subregion: 'Caribbean', iso2: 'PR', iso3: 'PRI', population: 3200000, lat: 18.4655, lon: -66.1057 },
+  { country: 'Saint Barthélemy', capital: 'Gustavia', region: 'Americas', subregion: 'Caribbean', iso2: 'BL', iso3: 'BLM', population: 10500, lat: 17.8962, lon: -62.8498 },
+  { country: 'Saint Kitts and Nevis', capital: 'Basseterre', region: 'Americas', subregion: 'Caribbean', iso2: 'KN', iso3: 'KNA', population: 47000, lat: 17.3026, lon: -62.7177 },
+  { country: 'Saint Lucia', capital: 'Castries', region: 'Americas', subregion: 'Caribbean', iso2: 'LC', iso3: 'LCA', population: 180000, lat: 14.0101, lon: -60.9875 },
+  { country: 'Saint Martin', capital: 'Marigot', region: 'Americas', subregion: 'Caribbean', iso2: 'MF', iso3: 'MAF', population: 32000, lat: 18.0678, lon: -63.0826 },
+  { country: 'Saint Vincent and the Grenadines', capital: 'Kingstown', region: 'Americas', subregion: 'Caribbean', iso2: 'VC', iso3: 'VCT', population: 104000, lat: 13.1600, lon: -61.2248 },
+  { country: 'Sint Maarten', capital: 'Philipsburg', region: 'Americas', subregion: 'Caribbean', iso2: 'SX', iso3: 'SXM', population: 44000, lat: 18.0260, lon: -63.0458 },
+  { country: 'Trinidad and Tobago', capital: 'Port of Spain', region: 'Americas', subregion: 'Caribbean', iso2: 'TT', iso3: 'TTO', population: 1530000, lat: 10.6549, lon: -61.5019 },
+  { country: 'Turks and Caicos Islands', capital: 'Cockburn Town', region: 'Americas', subregion: 'Caribbean', iso2: 'TC', iso3: 'TCA', population: 46000, lat: 21.4612, lon: -71.1419 },
+  { country: 'United States Virgin Islands', capital: 'Charlotte Amalie', region: 'Americas', subregion: 'Caribbean', iso2: 'VI', iso3: 'VIR', population: 98000, lat: 18.3419, lon: -64.9307 },
+  { country: 'Belize', capital: 'Belmopan', region: 'Americas', subregion: 'Central America', iso2: 'BZ', iso3: 'BLZ', population: 410000, lat: 17.2510, lon: -88.7590 },
+  { country: 'Costa Rica', capital: 'San José', region: 'Americas', subregion: 'Central America', iso2: 'CR', iso3: 'CRI', population: 5210000, lat: 9.9281, lon: -84.0907 },
+  { country: 'El Salvador', capital: 'San Salvador', region: 'Americas', subregion: 'Central America', iso2: 'SV', iso3: 'SLV', population: 6360000, lat: 13.6929, lon: -89.2182 },
+  { country: 'Guatemala', capital: 'Guatemala City', region: 'Americas', subregion: 'Central America', iso2: 'GT', iso3: 'GTM', population: 18100000, lat: 14.6349, lon: -90.5069 },
+  { country: 'Honduras', capital: 'Tegucigalpa', region: 'Americas', subregion: 'Central America', iso2: 'HN', iso3: 'HND', population: 10600000, lat: 14.0723, lon: -87.1921 },
+  { country: 'Mexico', capital: 'Mexico City', region: 'Americas', subregion: 'Central America', iso2: 'MX', iso3: 'MEX', population: 128500000, lat: 19.4326, lon: -99.1332 },
+  { country: 'Nicaragua', capital: 'Managua', region: 'Americas', subregion: 'Central America', iso2: 'NI', iso3: 'NIC', population: 7050000, lat: 12.1150, lon: -86.2362 },
+  { country: 'Panama', capital: 'Panama City', region: 'Americas', subregion: 'Central America', iso2: 'PA', iso3: 'PAN', population: 4470000, lat: 8.9824, lon: -79.5199 },
+  { country: 'Argentina', capital: 'Buenos Aires', region: 'Americas', subregion: 'South America', iso2: 'AR', iso3: 'ARG', population: 46600000, lat: -34.6037, lon: -58.3816 },
+  { country: 'Bolivia', capital: 'Sucre', region: 'Americas', subregion: 'South America', iso2: 'BO', iso3: 'BOL', population: 12400000, lat: -19.0196, lon: -65.2619 },
+  { country: 'Brazil', capital: 'Brasília', region: 'Americas', subregion: 'South America', iso2: 'BR', iso3: 'BRA', population: 216400000, lat: -15.7975, lon: -47.8919 },
+  { country: 'Chile', capital: 'Santiago', region: 'Americas', subregion: 'South America', iso2: 'CL', iso3: 'CHL', population: 19600000, lat: -33.4489, lon: -70.6693 },
+  { country: 'Colombia', capital: 'Bogotá', region: 'Americas', subregion: 'South America', iso2: 'CO', iso3: 'COL', population: 52100000, lat: 4.7110, lon: -74.0721 },
+  { country: 'Ecuador', capital: 'Quito', region: 'Americas', subregion: 'South America', iso2: 'EC', iso3: 'ECU', population: 18200000, lat: -0.1807, lon: -78.4678 },
+  { country: 'Falkland Islands', capital: 'Stanley', region: 'Americas', subregion: 'South America', iso2: 'FK', iso3: 'FLK', population: 3700, lat: -51.6977, lon: -57.8517 },
+  { country: 'French Guiana', capital: 'Cayenne', region: 'Americas', subregion: 'South America', iso2: 'GF', iso3: 'GUF', population: 295000, lat: 4.9224, lon: -52.3135 },
+  { country: 'Guyana', capital: 'Georgetown', region: 'Americas', subregion: 'South America', iso2: 'GY', iso3: 'GUY', population: 813000, lat: 6.8013, lon: -58.1551 },
+  { country: 'Paraguay', capital: 'Asunción', region: 'Americas', subregion: 'South America', iso2: 'PY', iso3: 'PRY', population: 6860000, lat: -25.2637, lon: -57.5759 },
+  { country: 'Peru', capital: 'Lima', region: 'Americas', subregion: 'South America', iso2: 'PE', iso3: 'PER', population: 34400000, lat: -12.0464, lon: -77.0428 },
+  { country: 'Suriname', capital: 'Paramaribo', region: 'Americas', subregion: 'South America', iso2: 'SR', iso3: 'SUR', population: 623000, lat: 5.8520, lon: -55.2038 },
+  { country: 'Uruguay', capital: 'Montevideo', region: 'Americas', subregion: 'South America', iso2: 'UY', iso3: 'URY', population: 3420000, lat: -34.9011, lon: -56.1645 },
+  { country: 'Venezuela', capital: 'Caracas', region: 'Americas', subregion: 'South America', iso2: 'VE', iso3: 'VEN', population: 28800000, lat: 10.4806, lon: -66.9036 },
+
+  // Asia
+  { country: 'Kazakhstan', capital: 'Astana', region: 'Asia', subregion: 'Central Asia', iso2: 'KZ', iso3: 'KAZ', population: 19600000, lat: 51.1694, lon: 71.4491 },
+  { country: 'Kyrgyzstan', capital: 'Bishkek', region: 'Asia', subregion: 'Central Asia', iso2: 'KG', iso3: 'KGZ', population: 6740000, lat: 42.8746, lon: 74.5698 },
+  { country: 'Tajikistan', capital: 'Dushanbe', region: 'Asia', subregion: 'Central Asia', iso2: 'TJ', iso3: 'TJK', population: 10100000, lat: 38.5598, lon: 68.7870 },
+  { country: 'Turkmenistan', capital: 'Ashgabat', region: 'Asia', subregion: 'Central Asia', iso2: 'TM', iso3: 'TKM', population: 6520000, lat: 37.9601, lon: 58.3261 },
+  { country: 'Uzbekistan', capital: 'Tashkent', region: 'Asia', subregion: 'Central Asia', iso2: 'UZ', iso3: 'UZB', population: 35200000, lat: 41.2995, lon: 69.2401 },
+  { country: 'China', capital: 'Beijing', region: 'Asia', subregion: 'Eastern Asia', iso2: 'CN', iso3: 'CHN', population: 1410700000, lat: 39.9042, lon: 116.4074 },
+  { country: 'Japan', capital: 'Tokyo', region: 'Asia', subregion: 'Eastern Asia', iso2: 'JP', iso3: 'JPN', population: 124500000, lat: 35.6762, lon: 139.6503 },
+  { country: 'Mongolia', capital: 'Ulaanbaatar', region: 'Asia', subregion: 'Eastern Asia', iso2: 'MN', iso3: 'MNG', population: 3450000, lat: 47.8864, lon: 106.9057 },
+  { country: 'North Korea', capital: 'Pyongyang', region: 'Asia', subregion: 'Eastern Asia', iso2: 'KP', iso3: 'PRK', population: 26200000, lat: 39.0392, lon: 125.7625 },
+  { country: 'South Korea', capital: 'Seoul', region: 'Asia', subregion: 'Eastern Asia', iso2: 'KR', iso3: 'KOR', population: 51700000, lat: 37.5665, lon: 126.9780 },
+  { country: 'Taiwan', capital: 'Taipei', region: 'Asia', subregion: 'Eastern Asia', iso2: 'TW', iso3: 'TWN', population: 23400000, lat: 25.0330, lon: 121.5654 },
+  { country: 'Brunei', capital: 'Bandar Seri Begawan', region: 'Asia', subregion: 'South-Eastern Asia', iso2: 'BN', iso3: 'BRN', population: 452000, lat: 4.9031, lon: 114.9398 },
+  { country: 'Cambodia', capital: 'Phnom Penh', region: 'Asia', subregion: 'South-Eastern Asia', iso2: 'KH', iso3: 'KHM', population: 16900000, lat: 11.5564, lon: 104.9282 },
+  { country: 'Indonesia', capital: 'Jakarta', region: 'Asia', subregion: 'South-Eastern Asia', iso2: 'ID', iso3: 'IDN', population: 277500000, lat: -6.2088, lon: 106.8456 },
+  { country: 'Laos', capital: 'Vientiane', region: 'Asia', subregion: 'South-Eastern Asia', iso2: 'LA', iso3: 'LAO', population: 7630000, lat: 17.9757, lon: 102.6331 },
+  { country: 'Malaysia', capital: 'Kuala Lumpur', region: 'Asia', subregion: 'South-Eastern Asia', iso2: 'MY', iso3: 'MYS', population: 34300000, lat: 3.1390, lon: 101.6869 },
+  { country: 'Myanmar', capital: 'Naypyidaw', region: 'Asia', subregion: 'South-Eastern Asia', iso2: 'MM', iso3: 'MMR', population: 54600000, lat: 19.7633, lon: 96.0785 },
+  { country: 'Philippines', capital: 'Manila', region: 'Asia', subregion: 'South-Eastern Asia', iso2: 'PH', iso3: 'PHL', population: 117300000, lat: 14.5995, lon: 120.9842 },
+  { country: 'Singapore', capital: 'Singapore', region: 'Asia', subregion: 'South-Eastern Asia', iso2: 'SG', iso3: 'SGP', population: 5920000, lat: 1.3521, lon: 103.8198 },
+  { country: 'Thailand', capital: 'Bangkok', region: 'Asia', subregion: 'South-Eastern Asia', iso2: 'TH', iso3: 'THA', population: 71800000, lat: 13.7563, lon: 100.5018 },
+  { country: 'Timor-Leste', capital: 'Dili', region: 'Asia', subregion: 'South-Eastern Asia', iso2: 'TL', iso3: 'TLS', population: 1360000, lat: -8.5569, lon: 125.5603 },
+  { country: 'Vietnam', capital: 'Hanoi', region: 'Asia', subregion: 'South-Eastern Asia', iso2: 'VN', iso3: 'VNM', population: 98900000, lat: 21.0278, lon: 105.8342 },
+  { country: 'Afghanistan', capital: 'Kabul', region: 'Asia', subregion: 'Southern Asia', iso2: 'AF', iso3: 'AFG', population: 42200000, lat: 34.5553, lon: 69.2075 },
+  { country: 'Bangladesh', capital: 'Dhaka', region: 'Asia', subregion: 'Southern Asia', iso2: 'BD', iso3: 'BGD', population: 173000000, lat: 23.8103, lon: 90.4125 },
+  { country: 'Bhutan', capital: 'Thimphu', region: 'Asia', subregion: 'Southern Asia', iso2: 'BT', iso3: 'BTN', population: 787000, lat: 27.4728, lon: 89.6390 },
+  { country: 'India', capital: 'New Delhi', region: 'Asia', subregion: 'Southern Asia', iso2: 'IN', iso3: 'IND', population: 1428600000, lat: 28.6139, lon: 77.2090 },
+  { country: 'Iran', capital: 'Tehran', region: 'Asia', subregion: 'Southern Asia', iso2: 'IR', iso3: 'IRN', population: 89200000, lat: 35.6892, lon: 51.3890 },
+  { country: 'Maldives', capital: 'Malé', region: 'Asia', subregion: 'Southern Asia', iso2: 'MV', iso3: 'MDV', population: 521000, lat: 4.1755, lon: 73.5093 },
+  { country: 'Nepal', capital: 'Kathmandu', region: 'Asia', subregion: 'Southern Asia', iso2: 'NP', iso3: 'NPL', population: 30900000, lat: 27.7172, lon: 85.3240 },
+  { country: 'Pakistan', capital: 'Islamabad', region: 'Asia', subregion: 'Southern Asia', iso2: 'PK', iso3: 'PAK', population: 240500000, lat: 33.6844, lon: 73.0479 },
+  { country: 'Sri Lanka', capital: 'Sri Jayawardenepura Kotte', region: 'Asia', subregion: 'Southern Asia', iso2: 'LK', iso3: 'LKA', population: 21900000, lat: 6.8868, lon: 79.9187 },
+  { country: 'Armenia', capital: 'Yerevan', region: 'Asia', subregion: 'Western Asia', iso2: 'AM', iso3: 'ARM', population: 2780000, lat: 40.1792, lon: 44.4991 },
+  { country: 'Azerbaijan', capital: 'Baku', region: 'Asia', subregion: 'Western Asia', iso2: 'AZ', iso3: 'AZE', population: 10400000, lat: 40.4093, lon: 49.8671 },
+  { country: 'Bahrain', capital: 'Manama', region: 'Asia', subregion: 'Western Asia', iso2: 'BH', iso3: 'BHR', population: 1490000, lat: 26.2285, lon: 50.5860 },
+  { country: 'Georgia', capital: 'Tbilisi', region: 'Asia', subregion: 'Western Asia', iso2: 'GE', iso3: 'GEO', population: 3730000, lat: 41.7151, lon: 44.8271 },
+  { country: 'Iraq', capital: 'Baghdad', region: 'Asia', subregion: 'Western Asia', iso2: 'IQ', iso3: 'IRQ', population: 45500000, lat: 33.3152, lon: 44.3661 },
+  { country: 'Israel', capital: 'Jerusalem', region: 'Asia', subregion: 'Western Asia', iso2: 'IL', iso3: 'ISR', population: 9800000, lat: 31.7683, lon: 35.2137 },
+  { country: 'Jordan', capital: 'Amman', region: 'Asia', subregion: 'Western Asia', iso2: 'JO', iso3: 'JOR', population: 11300000, lat: 31.9454, lon: 35.9284 },
+  { country: 'Kuwait', capital: 'Kuwait City', region: 'Asia', subregion: 'Western Asia', iso2: 'KW', iso3: 'KWT', population: 4310000, lat: 29.3759, lon: 47.9774 },
+  { country: 'Lebanon', capital: 'Beirut', region: 'Asia', subregion: 'Western Asia', iso2: 'LB', iso3: 'LBN', population: 5350000, lat: 33.8938, lon: 35.5018 },
+  { country: 'Oman', capital: 'Muscat', region: 'Asia', subregion: 'Western Asia', iso2: 'OM', iso3: 'OMN', population: 4640000, lat: 23.5880, lon: 58.3829 },
+  { country: 'Palestine', capital: 'Ramallah', region: 'Asia', subregion: 'Western Asia', iso2: 'PS', iso3: 'PSE', population: 5370000, lat: 31.9038, lon: 35.2034 },
+  { country: 'Qatar', capital: 'Doha', region: 'Asia', subregion: 'Western Asia', iso2: 'QA', iso3: 'QAT', population: 2720000, lat: 25.2854, lon: 51.5310 },
+  { country: 'Saudi Arabia', capital: 'Riyadh', region: 'Asia', subregion: 'Western Asia', iso2: 'SA', iso3: 'SAU', population: 36900000, lat: 24.7136, lon: 46.6753 },
+  { country: 'Syria', capital: 'Damascus', region: 'Asia', subregion: 'Western Asia', iso2: 'SY', iso3: 'SYR', population: 23200000, lat: 33.5138, lon: 36.2765 },
+  { country: 'Turkey', capital: 'Ankara', region: 'Asia', subregion: 'Western Asia', iso2: 'TR', iso3: 'TUR', population: 85300000, lat: 39.9334, lon: 32.8597 },
+  { country: 'United Arab Emirates', capital: 'Abu Dhabi', region: 'Asia', subregion: 'Western Asia', iso2: 'AE', iso3: 'ARE', population: 9520000, lat: 24.4539, lon: 54.3773 },
+  { country: 'Yemen', capital: "Sana'a", region: 'Asia', subregion: 'Western Asia', iso2: 'YE', iso3: 'YEM', population: 34400000, lat: 15.3694, lon: 44.1910 },
+
+  // Europe
+  { country: 'Åland Islands', capital: 'Mariehamn', region: 'Europe', subregion: 'Northern Europe', iso2: 'AX', iso3: 'ALA', population: 30000, lat: 60.0973, lon: 19.9348 },
+  { country: 'Denmark', capital: 'Copenhagen', region: 'Europe', subregion: 'Northern Europe', iso2: 'DK', iso3: 'DNK', population: 5940000, lat: 55.6761, lon: 12.5683 },
+  { country: 'Estonia', capital: 'Tallinn', region: 'Europe', subregion: 'Northern Europe', iso2: 'EE', iso3: 'EST', population: 1370000, lat: 59.4370, lon: 24.7536 },
+  { country: 'Faroe Islands', capital: 'Tórshavn', region: 'Europe', subregion: 'Northern Europe', iso2: 'FO', iso3: 'FRO', population: 54000, lat: 62.0079, lon: -6.7900 },
+  { country: 'Finland', capital: 'Helsinki', region: 'Europe', subregion: 'Northern Europe', iso2: 'FI', iso3: 'FIN', population: 5550000, lat: 60.1699, lon: 24.9384 },
+  { country: 'Guernsey', capital: 'Saint Peter Port', region: 'Europe', subregion: 'Northern Europe', iso2: 'GG', iso3: 'GGY', population: 64000, lat: 49.4550, lon: -2.5360 },
+  { country: 'Iceland', capital: 'Reykjavik', region: 'Europe', subregion: 'Northern Europe', iso2: 'IS', iso3: 'ISL', population: 388000, lat: 64.1466, lon: -21.9426 },
+  { country: 'Ireland', capital: 'Dublin', region: 'Europe', subregion: 'Northern Europe', iso2: 'IE', iso3: 'IRL', population: 5260000, lat: 53.3498, lon: -6.2603 },
+  { country: 'Isle of Man', capital: 'Douglas', region: 'Europe', subregion: 'Northern Europe', iso2: 'IM', iso3: 'IMN', population: 84000, lat: 54.1523, lon: -4.4861 },
+  { country: 'Jersey', capital: 'Saint Helier', region: 'Europe', subregion: 'Northern Europe', iso2: 'JE', iso3: 'JEY', population: 103000, lat: 49.1868, lon: -2.1060 },
+  { country: 'Latvia', capital: 'Riga', region: 'Europe', subregion: 'Northern Europe', iso2: 'LV', iso3: 'LVA', population: 1880000, lat: 56.9496, lon: 24.1052 },
+  { country: 'Lithuania', capital: 'Vilnius', region: 'Europe', subregion: 'Northern Europe', iso2: 'LT', iso3: 'LTU', population: 2860000, lat: 54.6872, lon: 25.2797 },
+  { country: 'Norway', capital: 'Oslo', region: 'Europe', subregion: 'Northern Europe', iso2: 'NO', iso3: 'NOR', population: 5520000, lat: 59.9139, lon: 10.7522 },
+  { country: 'Sweden', capital: 'Stockholm', region: 'Europe', subregion: 'Northern Europe', iso2: 'SE', iso3: 'SWE', population: 10550000, lat: 59.3293, lon: 18.0686 },
+  { country: 'United Kingdom', capital: 'London', region: 'Europe', subregion: 'Northern Europe', iso2: 'GB', iso3: 'GBR', population: 68300000, lat: 51.5074, lon: -0.1278 },
+  { country: 'Austria', capital: 'Vienna', region: 'Europe', subregion: 'Western Europe', iso2: 'AT', iso3: 'AUT', population: 9100000, lat: 48.2082, lon: 16.3738 },
+  { country: 'Belgium', capital: 'Brussels', region: 'Europe', subregion: 'Western Europe', iso2: 'BE', iso3: 'BEL', population: 11800000, lat: 50.8503, lon: 4.3517 },
+  { country: 'France', capital: 'Paris', region: 'Europe', subregion: 'Western Europe', iso2: 'FR', iso3: 'FRA', population: 68200000, lat: 48.8566, lon: 2.3522 },
+  { country: 'Germany', capital: 'Berlin', region: 'Europe', subregion: 'Western Europe', iso2: 'DE', iso3: 'DEU', population: 84500000, lat: 52.5200, lon: 13.4050 },
+  { country: 'Liechtenstein', capital: 'Vaduz', region: 'Europe', subregion: 'Western Europe', iso2: 'LI', iso3: 'LIE', population: 39600, lat: 47.1410, lon: 9.5209 },
+  { country: 'Luxembourg', capital: 'Luxembourg', region: 'Europe', subregion: 'Western Europe', iso2: 'LU', iso3: 'LUX', population: 661000, lat: 49.6116, lon: 6.1319 },
+  { country: 'Monaco', capital: 'Monaco', region: 'Europe', subregion: 'Western Europe', iso2: 'MC', iso3: 'MCO', population: 36300, lat: 43.7384, lon: 7.4246 },
+  { country: 'Netherlands', capital: 'Amsterdam', region: 'Europe', subregion: 'Western Europe', iso2: 'NL', iso3: 'NLD', population: 17900000, lat: 52.3676, lon: 4.9041 },
+  { country: 'Switzerland', capital: 'Bern', region: 'Europe', subregion: 'Western Europe', iso2: 'CH', iso3: 'CHE', population: 8850000, lat: 46.9480, lon: 7.4474 },
+  { country: 'Albania', capital: 'Tirana', region: 'Europe', subregion: 'Southern Europe', iso2: 'AL', iso3: 'ALB', population: 2760000, lat: 41.3275, lon: 19.8187 },
+  { country: 'Andorra', capital: 'Andorra la Vella', region: 'Europe', subregion: 'Southern Europe', iso2: 'AD', iso3: 'AND', population: 80000, lat: 42.5063, lon: 1.5218 },
+  { country: 'Bosnia and Herzegovina', capital: 'Sarajevo', region: 'Europe', subregion: 'Southern Europe', iso2: 'BA', iso3: 'BIH', population: 3210000, lat: 43.8563, lon: 18.4131 },
+  { country: 'Croatia', capital: 'Zagreb', region: 'Europe', subregion: 'Southern Europe', iso2: 'HR', iso3: 'HRV', population: 3860000, lat: 45.8150, lon: 15.9819 },
+  { country: 'Cyprus', capital: 'Nicosia', region: 'Europe', subregion: 'Southern Europe', iso2: 'CY', iso3: 'CYP', population: 1260000, lat: 35.1856, lon: 33.3823 },
+  { country: 'Gibraltar', capital: 'Gibraltar', region: 'Europe', subregion: 'Southern Europe', iso2: 'GI', iso3: 'GIB', population: 32700, lat: 36.1408, lon: -5.3536 },
+  { country: 'Greece', capital: 'Athens', region: 'Europe', subregion: 'Southern Europe', iso2: 'GR', iso3: 'GRC', population: 10400000, lat: 37.9838, lon: 23.7275 },
+  { country: 'Italy', capital: 'Rome', region: 'Europe', subregion: 'Southern Europe', iso2: 'IT', iso3: 'ITA', population: 58900000, lat: 41.9028, lon: 12.4964 },
+  { country: 'Kosovo', capital: 'Pristina', region: 'Europe', subregion: 'Southern Europe', iso2: 'XK', iso3: 'XKX', population: 1760000, lat: 42.6629, lon: 21.1655 },
+  { country: 'Malta', capital: 'Valletta', region: 'Europe', subregion: 'Southern Europe', iso2: 'MT', iso3: 'MLT', population: 535000, lat: 35.8989, lon: 14.5146 },
+  { country: 'Montenegro', capital: 'Podgorica', region: 'Europe', subregion: 'Southern Europe', iso2: 'ME', iso3: 'MNE', population: 617000, lat: 42.4304, lon: 19.2594 },
+  { country: 'North Macedonia', capital: 'Skopje', region: 'Europe', subregion: 'Southern Europe', iso2: 'MK', iso3: 'MKD', population: 1830000, lat: 41.9981, lon: 21.4254 },
+  { country: 'Portugal', capital: 'Lisbon', region: 'Europe', subregion: 'Southern Europe', iso2: 'PT', iso3: 'PRT', population: 10500000, lat: 38.7223, lon: -9.1393 },
+  { country: 'San Marino', capital: 'San Marino', region: 'Europe', subregion: 'Southern Europe', iso2: 'SM', iso3: 'SMR', population: 33600, lat: 43.9424, lon: 12.4578 },
+  { country: 'Serbia', capital: 'Belgrade', region: 'Europe', subregion: 'Southern Europe', iso2: 'RS', iso3: 'SRB', population: 6620000, lat: 44.7866, lon: 20.4489 },
+  { country: 'Slovenia', capital: 'Ljubljana', region: 'Europe', subregion: 'Southern Europe', iso2: 'SI', iso3: 'SVN', population: 2120000, lat: 46.0569, lon: 14.5058 },
+  { country: 'Spain', capital: 'Madrid', region: 'Europe', subregion: 'Southern Europe', iso2: 'ES', iso3: 'ESP', population: 48300000, lat: 40.4168, lon: -3.7038 },
+  { country: 'Vatican City', capital: 'Vatican City', region: 'Europe', subregion: 'Southern Europe', iso2: 'VA', iso3: 'VAT', population: 800, lat: 41.9029, lon: 12.4534 },
+  { country: 'Belarus', capital: 'Minsk', region: 'Europe', subregion: 'Eastern Europe', iso2: 'BY', iso3: 'BLR', population: 9180000, lat: 53.9006, lon: 27.5590 },
+  { country: 'Bulgaria', capital: 'Sofia', region: 'Europe', subregion: 'Eastern Europe', iso2: 'BG', iso3: 'BGR', population: 6450000, lat: 42.6977, lon: 23.3219 },
+  { country: 'Czech Republic', capital: 'Prague', region: 'Europe', subregion: 'Eastern Europe', iso2: 'CZ', iso3: 'CZE', population: 10900000, lat: 50.0755, lon: 14.4378 },
+  { country: 'Hungary', capital: 'Budapest', region: 'Europe', subregion: 'Eastern Europe', iso2: 'HU', iso3: 'HUN', population: 9590000, lat: 47.4979, lon: 19.0402 },
+  { country: 'Moldova', capital: 'Chisinau', region: 'Europe', subregion: 'Eastern Europe', iso2: 'MD', iso3: 'MDA', population: 2490000, lat: 47.0105, lon: 28.8638 },
+  { country: 'Poland', capital: 'Warsaw', region: 'Europe', subregion: 'Eastern Europe', iso2: 'PL', iso3: 'POL', population: 36700000, lat: 52.2297, lon: 21.0122 },
+  { country: 'Romania', capital: 'Bucharest', region: 'Europe', subregion: 'Eastern Europe', iso2: 'RO', iso3: 'ROU', population: 19000000, lat: 44.4268, lon: 26.1025 },
+  { country: 'Russia', capital: 'Moscow', region: 'Europe', subregion: 'Eastern Europe', iso2: 'RU', iso3: 'RUS', population: 144400000, lat: 55.7558, lon: 37.6173 },
+  { country: 'Slovakia', capital: 'Bratislava', region: 'Europe', subregion: 'Eastern Europe', iso2: 'SK', iso3: 'SVK', population: 5430000, lat: 48.1486, lon: 17.1077 },
+  { country: 'Ukraine', capital: 'Kyiv', region: 'Europe', subregion: 'Eastern Europe', iso2: 'UA', iso3: 'UKR', population: 37000000, lat: 50.4501, lon: 30.5234 },
+
+  // Oceania
+  { country: 'Australia', capital: 'Canberra', region: 'Oceania', subregion: 'Australia and New Zealand', iso2: 'AU', iso3: 'AUS', population: 26600000, lat: -35.2809, lon: 149.1300 },
+  { country: 'Christmas Island', capital: 'Flying Fish Cove', region: 'Oceania', subregion: 'Australia and New Zealand', iso2: 'CX', iso3: 'CXR', population: 1700, lat: -10.4217, lon: 105.6791 },
+  { country: 'New Zealand', capital: 'Wellington', region: 'Oceania', subregion: 'Australia and New Zealand', iso2: 'NZ', iso3: 'NZL', population: 5220000, lat: -41.2865, lon: 174.7762 },
+  { country: 'Fiji', capital: 'Suva', region: 'Oceania', subregion: 'Melanesia', iso2: 'FJ', iso3: 'FJI', population: 936000, lat: -18.1248, lon: 178.4501 },
+  { country: 'New Caledonia', capital: 'Nouméa', region: 'Oceania', subregion: 'Melanesia', iso2: 'NC', iso3: 'NCL', population: 272000, lat: -22.2758, lon: 166.4580 },
+  { country: 'Papua New Guinea', capital: 'Port Moresby', region: 'Oceania', subregion: 'Melanesia', iso2: 'PG', iso3: 'PNG', population: 10300000, lat: -9.4438, lon: 147.1803 },
+  { country: 'Solomon Islands', capital: 'Honiara', region: 'Oceania', subregion: 'Melanesia', iso2: 'SB', iso3: 'SLB', population: 740000, lat: -9.4456, lon: 159.9729 },
+  { country: 'Vanuatu', capital: 'Port Vila', region: 'Oceania', subregion: 'Melanesia', iso2: 'VU', iso3: 'VUT', population: 335000, lat: -17.7333, lon: 168.3273 },
+  { country: 'Guam', capital: 'Hagåtña', region: 'Oceania', subregion: 'Micronesia', iso2: 'GU', iso3: 'GUM', population: 172000, lat: 13.4757, lon: 144.7489 },
+  { country: 'Kiribati', capital: 'South Tarawa', region: 'Oceania', subregion: 'Micronesia', iso2: 'KI', iso3: 'KIR', population: 133000, lat: 1.3290, lon: 172.9790 },
+  { country: 'Marshall Islands', capital: 'Majuro', region: 'Oceania', subregion: 'Micronesia', iso2: 'MH', iso3: 'MHL', population: 42000, lat: 7.1164, lon: 171.1858 },
+  { country: 'Micronesia', capital: 'Palikir', region: 'Oceania', subregion: 'Micronesia', iso2: 'FM', iso3: 'FSM', population: 115000, lat: 6.9248, lon: 158.1610 },
+  { country: 'Nauru', capital: 'Yaren', region: 'Oceania', subregion: 'Micronesia', iso2: 'NR', iso3: 'NRU', population: 12700, lat: -0.5467, lon: 166.9211 },
+  { country: 'Northern Mariana Islands', capital: 'Saipan', region: 'Oceania', subregion: 'Micronesia', iso2: 'MP', iso3: 'MNP', population: 50000, lat: 15.1779, lon: 145.7509 },
+  { country: 'Palau', capital: 'Ngerulmud', region: 'Oceania', subregion: 'Micronesia', iso2: 'PW', iso3: 'PLW', population: 18000, lat: 7.5006, lon: 134.6242 },
+  { country: 'American Samoa', capital: 'Pago Pago', region: 'Oceania', subregion: 'Polynesia', iso2: 'AS', iso3: 'ASM', population: 44000, lat: -14.2756, lon: -170.7020 },
+  { country: 'Cook Islands', capital: 'Avarua', region: 'Oceania', subregion: 'Polynesia', iso2: 'CK', iso3: 'COK', population: 17000, lat: -21.2075, lon: -159.7750 },
+  { country: 'French Polynesia', capital: 'Papeete', region: 'Oceania', subregion: 'Polynesia', iso2: 'PF', iso3: 'PYF', population: 308000, lat: -17.5516, lon: -149.5585 },
+  { country: 'Niue', capital: 'Alofi', region: 'Oceania', subregion: 'Polynesia', iso2: 'NU', iso3: 'NIU', population: 1700, lat: -19.0544, lon: -169.9187 },
+  { country: 'Pitcairn Islands', capital: 'Adamstown', region: 'Oceania', subregion: 'Polynesia', iso2: 'PN', iso3: 'PCN', population: 50, lat: -25.0664, lon: -130.1006 },
+  { country: 'Samoa', capital: 'Apia', region: 'Oceania', subregion: 'Polynesia', iso2: 'WS', iso3: 'WSM', population: 225000, lat: -13.8506, lon: -171.7513 },
+  { country: 'Tonga', capital: "Nuku'alofa", region: 'Oceania', subregion: 'Polynesia', iso2: 'TO', iso3: 'TON', population: 107000, lat: -21.1394, lon: -175.2018 },
+  { country: 'Tuvalu', capital: 'Funafuti', region: 'Oceania', subregion: 'Polynesia', iso2: 'TV', iso3: 'TUV', population: 11400, lat: -8.5211, lon: 179.1983 },
+  { country: 'Wallis and Futuna', capital: 'Mata-Utu', region: 'Oceania', subregion: 'Polynesia', iso2: 'WF', iso3: 'WLF', population: 11000, lat: -13.2825, lon: -176.1740 }
+];
+
+/**
+ * Accepted alternate names for capital cities in the typed answer mode
+ * Covers local spellings, former names and common exonyms; case, diacritics
+ * and punctuation are ignored during matching so variants of those are not listed
+ */
+export const capitalAlternateNames = {
+  'Abu Dhabi': ['Abu Zabi'],
+  'Addis Ababa': ['Addis Abeba'],
+  'Andorra la Vella': ['Andorra'],
+  'Ashgabat': ['Ashkhabad'],
+  'Astana': ['Nur-Sultan'],
+  'Athens': ['Athina'],
+  'Bangkok': ['Krung Thep'],
+  'Beijing': ['Peking'],
+  'Belgrade': ['Beograd'],
+  'Bern': ['Berne'],
+  'Brussels': ['Bruxelles', 'Brussel'],
+  'Bucharest': ['București'],
+  'Chisinau': ['Kishinev'],
+  'Copenhagen': ['København', 'Kobenhavn'],
+  'Dhaka': ['Dacca'],
+  'Guatemala City': ['Guatemala', 'Ciudad de Guatemala'],
+  'Hagåtña': ['Agana'],
+  'Hanoi': ['Ha Noi'],
+  'Havana': ['La Habana', 'Habana'],
+  'Helsinki': ['Helsingfors'],
+  'Kuwait City': ['Kuwait'],
+  'Kyiv': ['Kiev'],
+  'Lisbon': ['Lisboa'],
+  'Luxembourg': ['Luxembourg City'],
+  'Mexico City': ['Ciudad de México'],
+  'Moscow': ['Moskva'],
+  'Naypyidaw': ['Nay Pyi Taw', 'Naypyitaw'],
+  'New Delhi': ['Delhi'],
+  'Nicosia': ['Lefkosia'],
+  'Panama City': ['Panama', 'Ciudad de Panamá'],
+  'Prague': ['Praha'],
+  'Pristina': ['Prishtina', 'Priština'],
+  'Rome': ['Roma'],
+  'Sofia': ['Sofiya'],
+  'Sri Jayawardenepura Kotte': ['Kotte'],
+  'Sucre': ['La Paz'],
+  'Tehran': ['Teheran'],
+  'The Valley': ['Valley'],
+  'Tirana': ['Tiranë'],
+  'Ulaanbaatar': ['Ulan Bator'],
+  'Vatican City': ['Vatican'],
+  'Vienna': ['Wien'],
+  'Warsaw': ['Warszawa'],
+  'Washington, D.C.': ['Washington'],
+  'Yerevan': ['Erevan']
+};
+
+/**
+ * Accepted alternate country names for typed answers in reverse mode
+ */
+export const countryAlternateNames = {
+  'Bahamas': ['The Bahamas'],
+  'Bosnia and Herzegovina': ['Bosnia'],
+  'Cabo Verde': ['Cape Verde'],
+  "Côte d'Ivoire": ['Ivory Coast'],
+  'Czech Republic': ['Czechia'],
+  'Democratic Republic of the Congo': ['DR Congo', 'DRC', 'Congo-Kinshasa'],
+  'Eswatini': ['Swaziland'],
+  'Gambia': ['The Gambia'],
+  'Laos': ['Lao PDR'],
+  'Micronesia': ['Federated States of Micronesia'],
+  'Myanmar': ['Burma'],
+  'Netherlands': ['The Netherlands', 'Holland'],
+  'North Korea': ['DPRK'],
+  'North Macedonia': ['Macedonia'],
+  'Palestine': ['State of Palestine'],
+  'Republic of the Congo': ['Congo', 'Congo-Brazzaville'],
+  'Russia': ['Russian Federation'],
+  'South Korea': ['Korea'],
+  'Timor-Leste': ['East Timor'],
+  'Turkey': ['Türkiye'],
+  'United Arab Emirates': ['UAE'],
+  'United Kingdom': ['UK', 'Great Britain', 'Britain'],
+  'United States': ['USA', 'US', 'United States of America', 'America'],
+  'Vatican City': ['Vatican', 'Holy See'],
+  'Vietnam': ['Viet Nam']
+};
+
+/**
+ * Quiz modes supported by the game screen
+ * 'capital' asks for the capital of a country, 'country' asks for the country of a capital,
+ * 'flag' and 'outline' ask for the country shown in a flag or silhouette image
+ */
+export const questionModes = [
+  { key: 'capital', label: 'Guess the Capital' },
+  { key: 'country', label: 'Guess the Country' },
+  { key: 'flag', label: 'Flags' },
+  { key: 'outline', label: 'Outlines' }
+];
+
+/**
+ * Checks whether a question mode shows an image instead of a name
+ * @param {string} questionMode - Question mode key
+ * @returns {boolean} True for flag and outline questions
+ */
+export const isImageQuestion = (questionMode) => {
+  return questionMode === 'flag' || questionMode === 'outline';
+};
+
+/**
+ * Checks whether the answer to a question mode is a country name
+ * @param {string} questionMode - Question mode key
+ * @returns {boolean} True for every mode except 'capital'
+ */
+export const asksForCountry = (questionMode) => {
+  return questionMode !== 'capital';
+};
+
+/**
+ * Checks whether a country can be asked about in the given mode
+ * Some scattered island nations have no outline asset
+ * @param {Object} countryData - Country object from the dataset
+ * @param {string} questionMode - Question mode key
+ * @returns {boolean} True if the question can be shown
+ */
+export const isQuestionAvailable = (countryData, questionMode) => {
+  return questionMode !== 'outline' || Boolean(outlines[countryData.iso2.toLowerCase()]);
+};
+
+/**
+ * Distractor difficulty levels for multiple choice questions
+ * Harder levels favour nearby, similarly spelled and previously confused answers
+ */
+export const difficultyLevels = [
+  { key: 'easy', label: 'Easy' },
+  { key: 'medium', label: 'Medium' },
+  { key: 'hard', label: 'Hard' }
 ];
 
+/**
+ * Ways the player can answer a question
+ * 'choice' shows four options, 'typed' asks for a free-text answer
+ */
+export const answerModes = [
+  { key: 'choice', label: 'Multiple Choice' },
+  { key: 'typed', label: 'Type Answer' }
+];
+
+/**
+ * Filters the country dataset down to the selected regions
+ * @param {Array} selectedRegions - Region names to include (see `regions`)
+ * @returns {Array} Country objects belonging to any of the selected regions
+ */
+export const getCountriesByRegions = (selectedRegions) => {
+  return countries.filter(country => selectedRegions.includes(country.region));
+};
+
+/**
+ * Looks up a country entry by its name
+ * @param {string} countryName - Country name as stored in the dataset
+ * @returns {Object|undefined} Matching country object, if any
+ */
+export const findCountry = (countryName) => {
+  return countries.find(country => country.country === countryName);
+};
+
+/**
+ * Looks up a country entry by its ISO 3166-1 alpha-2 code
+ * @param {string} iso2 - Two-letter country code, in any case
+ * @returns {Object|undefined} Matching country object, if any
+ */
+export const findCountryByIso2 = (iso2) => {
+  if (!iso2) return undefined;
+  return countries.find(country => country.iso2 === iso2.toUpperCase());
+};
+
+/**
+ * Returns the answer the player must pick for a question in the given mode
+ * @param {Object} countryData - Country object the question is about
+ * @param {string} questionMode - Question mode key (see `questionModes`)
+ * @returns {string} Correct capital or country name
+ */
+export const getCorrectAnswer = (countryData, questionMode = 'capital') => {
+  return asksForCountry(questionMode) ? countryData.country : countryData.capital;
+};
+
+/**
+ * Lists every name accepted as a typed answer for a question
+ * @param {Object} countryData - Country object the question is about
+ * @param {string} questionMode - Question mode key (see `questionModes`)
+ * @returns {Array} Canonical answer followed by its alternate names
+ */
+export const getAcceptedAnswers = (countryData, questionMode = 'capital') => {
+  const correctAnswer = getCorrectAnswer(countryData, questionMode);
+  const alternateNames = asksForCountry(questionMode) ? countryAlternateNames : capitalAlternateNames;
+  return [correctAnswer, ...(alternateNames[correctAnswer] || [])];
+};
+
+/**
+ * Lists every name that answers a different question in the same mode
+ * Lets typed answer matching refuse a typo that is really another country or capital
+ * @param {Object} countryData - Country object the question is about
+ * @param {string} questionMode - Question mode key (see `questionModes`)
+ * @returns {Array} Canonical and alternate names of every other country's answer
+ */
+export const getOtherAnswers = (countryData, questionMode = 'capital') => {
+  return countries
+    .filter(other => other.country !== countryData.country)
+    .flatMap(other => getAcceptedAnswers(other, questionMode));
+};
+
+/**
+ * Builds the question prompt shown for a stored or live question
+ * Image questions only describe the picture; render it with `QuestionImage`
+ * @param {string} countryName - Country the question is about
+ * @param {string} questionMode - Question mode key (see `questionModes`)
+ * @returns {string} Full question sentence
+ */
+export const getQuestionText = (countryName, questionMode = 'capital') => {
+  if (questionMode === 'flag') {
+    return 'Which country does this flag belong to?';
+  }
+  if (questionMode === 'outline') {
+    return 'Which country has this outline?';
+  }
+  if (questionMode === 'country') {
+    const countryData = findCountry(countryName);
+    return `Which country has the capital ${countryData ? countryData.capital : 'unknown'}?`;
+  }
+  return `What is the capital of ${countryName}?`;
+};
+
 /**
  * Generates a random country selection for quiz questions
+ * @param {Array} pool - Countries to choose from (defaults to the full dataset)
+ * @param {Function} random - Random source returning a float in [0, 1)
  * @returns {Object} Random country object with country and capital properties
  */
-export const getRandomCountry = () => {
-  const randomIndex = Math.floor(Math.random() * countries.length);
-  return countries[randomIndex];
+export const getRandomCountry = (pool = countries, random = Math.random) => {
+  return pool[randomInt(pool.length, random)];
 };
 
 /**
  * Creates multiple choice options for quiz questions
- * Generates 4 options including the correct answer and 3 randomized distractors
+ * Generates 4 options including the correct answer and 3 distractors chosen by the
+ * distractor engine (same region, nearby, similarly spelled or previously confused)
  * @param {string} correctAnswer - The correct capital city name
+ * @param {Array} pool - Countries to draw distractors from (defaults to the full dataset)
+ * @param {Object} settings - Optional { difficulty, confusions, random } for the engine
  * @returns {Array} Shuffled array of 4 answer options
  */
-export const getMultipleChoiceOptions = (correctAnswer) => {
-  // Select 3 random incorrect answers from other countries
-  const wrongAnswers = countries
-    .filter(country => country.capital !== correctAnswer)
-    .sort(() => 0.5 - Math.random())
-    .slice(0, 3)
-    .map(country => country.capital);
-  
-  // Combine correct answer with distractors
-  const options = [...wrongAnswers, correctAnswer];
-  
-  // Apply Fisher-Yates shuffle algorithm for proper randomization
-  for (let i = options.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [options[i], options[j]] = [options[j], options[i]];
-  }
-  
-  return options;
+export const getMultipleChoiceOptions = (correctAnswer, pool = countries, settings = {}) => {
+  const target = countries.find(country => country.capital === correctAnswer) || { capital: correctAnswer };
+  return generateOptions({ ...settings, target, pool, answerKey: 'capital' });
+};
+
+/**
+ * Creates multiple choice options for reverse (capital to country) questions
+ * Generates 4 options including the correct country and 3 engine-chosen distractors
+ * @param {string} correctCountry - The correct country name
+ * @param {Array} pool - Countries to draw distractors from (defaults to the full dataset)
+ * @param {Object} settings - Optional { difficulty, confusions, random } for the engine
+ * @returns {Array} Shuffled array of 4 country options
+ */
+export const getCountryMultipleChoiceOptions = (correctCountry, pool = countries, settings = {}) => {
+  const target = findCountry(correctCountry) || { country: correctCountry };
+  return generateOptions({ ...settings, target, pool, answerKey: 'country' });
+};
+
+/**
+ * Extracts all capital cities with their location for weather lookups
+ * Sorted alphabetically so the picker stays usable with the full world list
+ * Coordinates and ISO codes identify each capital without relying on its name,
+ * which may be shared with other cities or contain spaces
+ * @returns {Array} Array of { city, country, countryCode, lat, lon }
+ */
+export const getCapitalLocations = () => {
+  return countries
+    .map(country => ({
+      city: country.capital,
+      country: country.country,
+      countryCode: country.iso2,
+      lat: country.lat,
+      lon: country.lon
+    }))
+    .sort((a, b) => a.city.localeCompare(b.city));
 };
 
 /**
- * Extracts all capital cities for weather API dropdown selection
+ * Extracts all capital city names, sorted alphabetically
+ * Kept for callers that only need names; use `getCapitalLocations` for weather lookups
  * @returns {Array} Array of capital city names
  */
 export const getAllCapitals = () => {
-  return countries.map(country => country.capital);
+  return getCapitalLocations().map(location => location.city);
 };
@@ -2,16 +2,19 @@
  * Database Screen Component
  * Displays user's answer history from current game session with management options
  */
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
   FlatList,
   TouchableOpacity,
   RefreshControl,
+  ActivityIndicator,
   Alert
 } from 'react-native';
-import { clearDatabase, getIncorrectAnswers, getAllAnswers } from '../Operations/DbOperations';
+import AnswersRepository from '../Operations/AnswersRepository';
+import GamesRepository from '../Operations/GamesRepository';
+import { getQuestionText } from './CountriesData';
 import styles from '../AllStyles/styles';
 
 /**
@@ -21,21 +24,44 @@ import styles from '../AllStyles/styles';
 const Database = () => {
   // State management for answer data and UI controls
   const [allAnswers, setAllAnswers] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
+  const loadingPage = useRef(false); // Guards against onEndReached firing twice for one page
 
   /**
-   * Retrieves all answer records from the database
-   * Loads both correct and incorrect answers from current session
+   * Retrieves the first page of answer records from the database
+   * Loads both correct and incorrect answers, newest first
    */
   const loadAllAnswers = async () => {
     try {
-      const answers = await getAllAnswers();
-      setAllAnswers(answers);
+      const page = await AnswersRepository.getPage();
+      setAllAnswers(page.items);
+      setNextCursor(page.nextCursor);
     } catch (error) {
       console.error('Error loading all answers:', error);
     }
   };
 
+  /**
+   * Appends the next page of answers when the list is scrolled to the end
+   */
+  const loadMoreAnswers = async () => {
+    if (!nextCursor || loadingPage.current) return;
+    loadingPage.current = true;
+    setLoadingMore(true);
+    try {
+      const page = await AnswersRepository.getPage(nextCursor);
+      setAllAnswers(current => [...current, ...page.items]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Error loading more answers:', error);
+    } finally {
+      loadingPage.current = false;
+      setLoadingMore(false);
+    }
+  };
+
   /**
    * Handles pull-to-refresh functionality
    * Allows users to manually update the answer list
@@ -53,7 +79,7 @@ const Database = () => {
   const handleClearDatabase = () => {
     Alert.alert(
       'Clear Previous Answers',
-      'Are you sure you want to clear all previous answers from this session?',
+      'Are you sure you want to clear all previous answers? A backup is saved first.',
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -61,7 +87,7 @@ const Database = () => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await clearDatabase();
+              await GamesRepository.clearHistory();
               await loadAllAnswers(); // Refresh display after clearing
               Alert.alert('Success', 'Previous answers cleared successfully');
             } catch (error) {
@@ -99,7 +125,7 @@ const Database = () => {
         </Text>
       </View>
       <Text style={styles.incorrectAnswerText}>
-        Question: What is the capital of {item.country}?
+        Question: {getQuestionText(item.country, item.question_mode)}
       </Text>
       <Text style={styles.incorrectAnswerText}>
         Your answer: {item.user_answer}
@@ -141,9 +167,12 @@ const Database = () => {
         /* Scrollable list of all answer records */
         <FlatList
           data={allAnswers}
-          keyExtractor={(item, index) => index.toString()}
+          keyExtractor={(item) => item.id.toString()}
           renderItem={renderAnswer}
           style={styles.answersList}
+          onEndReached={loadMoreAnswers}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.listFooterLoader} color="#007AFF" /> : null}
           refreshControl={
             <RefreshControl
               refreshing={refreshing}
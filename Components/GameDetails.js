@@ -9,9 +9,14 @@ import {
     FlatList, 
     TouchableOpacity, 
     RefreshControl,
-    ScrollView 
+    ScrollView,
+    Alert 
 } from 'react-native';
-import { getAnswersForGame } from "../Operations/DbOperations";
+import AnswersRepository from "../Operations/AnswersRepository";
+import GamesRepository from "../Operations/GamesRepository";
+import { getQuestionText, isImageQuestion } from './CountriesData';
+import QuestionImage from './QuestionImage';
+import { formatResponseTime, formatHintsUsed } from '../Operations/GameSettings';
 import styles from '../AllStyles/styles';
 
 /**
@@ -23,12 +28,16 @@ const GameDetails = ({ route, navigation }) => {
     const [answers, setAnswers] = useState([]);
     const [refreshing, setRefreshing] = useState(false);
     
+    // Settings saved with the game; practice games depend on review history so cannot be replayed
+    const savedSettings = gameData.game_settings ? JSON.parse(gameData.game_settings) : null;
+    const canReplay = gameData.seed !== null && gameData.seed !== undefined && savedSettings && !savedSettings.practice;
+    
     /**
      * Loads all answer records for the specific game session
      */
     const loadAnswers = async () => {
         try {
-            const data = await getAnswersForGame(gameData.id);
+            const data = await AnswersRepository.getForGame(gameData.id);
             setAnswers(data);
         } catch (error) {
             console.error("Error loading game answers:", error);
@@ -51,6 +60,33 @@ const GameDetails = ({ route, navigation }) => {
         loadAnswers();
     }, []);
 
+    /**
+     * Deletes this game and its answers, then returns to the results list
+     * Prompts user for confirmation; the results screen offers to undo the deletion
+     */
+    const deleteGame = () => {
+        Alert.alert(
+            'Delete Game',
+            'Delete this game and all of its answers?',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            const deletedGameIds = await GamesRepository.delete(gameData.id);
+                            navigation.popTo('Results', { deletedGameIds });
+                        } catch (error) {
+                            Alert.alert('Error', 'Failed to delete game');
+                            console.error('Error deleting game:', error);
+                        }
+                    }
+                }
+            ]
+        );
+    };
+
     /**
      * Renders individual answer items with question details
      * @param {Object} item - Answer record with question and response data
@@ -71,14 +107,28 @@ const GameDetails = ({ route, navigation }) => {
                 </Text>
             </View>
             <Text style={styles.incorrectAnswerText}>
-                What is the capital of {item.country}?
+                {getQuestionText(item.country, item.question_mode)}
             </Text>
+            {isImageQuestion(item.question_mode) && (
+                <QuestionImage countryName={item.country} questionMode={item.question_mode} size={90} />
+            )}
             <Text style={styles.incorrectAnswerText}>
                 Your answer: {item.user_answer}
             </Text>
+            {item.hints_used ? (
+                <Text style={styles.matchTypeText}>Hints used: {formatHintsUsed(item.hints_used)}</Text>
+            ) : null}
+            {item.match_type === 'fuzzy' && (
+                <Text style={styles.matchTypeText}>Accepted as a close spelling</Text>
+            )}
             <Text style={styles.correctAnswerText}>
                 Correct answer: {item.correct_answer}
             </Text>
+            {item.response_time_ms !== null && item.response_time_ms !== undefined && (
+                <Text style={styles.responseTimeText}>
+                    Answered in {formatResponseTime(item.response_time_ms)}
+                </Text>
+            )}
         </View>
     );
     
@@ -97,20 +147,54 @@ const GameDetails = ({ route, navigation }) => {
                     <Text style={styles.gameDetailScore}>
                         Score: {gameData.correct_answers}/{gameData.total_questions} ({gameData.score_percentage}%)
                     </Text>
+                    {gameData.time_limit_seconds ? (
+                        <Text style={styles.gameDetailDate}>
+                            Timed ({gameData.time_limit_seconds}s per question) | {gameData.total_points} points
+                        </Text>
+                    ) : null}
+                    {savedSettings?.dailyChallenge ? (
+                        <Text style={styles.gameDetailDate}>
+                            📅 Daily Challenge {savedSettings.dailyChallenge}
+                        </Text>
+                    ) : null}
+                    {gameData.seed !== null && gameData.seed !== undefined ? (
+                        <Text style={styles.gameDetailDate}>
+                            Seed: {gameData.seed}
+                        </Text>
+                    ) : null}
                     <Text style={styles.gameDetailDate}>
                         {new Date(gameData.game_date).toLocaleString()}
                     </Text>
                 </View>
             </View>
             
+            {/* Replay the exact same questions and options */}
+            {canReplay ? (
+                <TouchableOpacity 
+                    style={styles.startNewGameButton} 
+                    onPress={() => navigation.navigate('Guess The City', {
+                        settings: { ...savedSettings, seed: gameData.seed }
+                    })}
+                >
+                    <Text style={styles.startNewGameButtonText}>🔁 Replay This Game</Text>
+                </TouchableOpacity>
+            ) : null}
+            
             {/* Navigation to start new game */}
             <TouchableOpacity 
                 style={styles.startNewGameButton} 
-                onPress={() => navigation.navigate('Guess The City')}
+                onPress={() => navigation.popToTop()}
             >
                 <Text style={styles.startNewGameButtonText}>🎯 Start New Game</Text>
             </TouchableOpacity>
             
+            <TouchableOpacity 
+                style={styles.clearHistoryButton} 
+                onPress={deleteGame}
+            >
+                <Text style={styles.clearHistoryButtonText}>🗑️ Delete This Game</Text>
+            </TouchableOpacity>
+            
             {/* Detailed answer list or empty state */}
             {answers.length === 0 ? (
                 <View style={styles.emptyContainer}>
@@ -2,26 +2,48 @@
  * Main Quiz Game Component
  * Handles capital cities quiz gameplay with scoring and data persistence
  */
-import React, { useState, useEffect } from 'react';
-import { View, Text, TouchableOpacity, Alert } from 'react-native';
-import { countries, getRandomCountry, getMultipleChoiceOptions } from './CountriesData';
-import { 
-  createTable, 
-  insertIncorrectAnswer, 
-  createGameResultsTable, 
-  insertGameResult, 
-  clearDatabase,
-  createAllAnswersTable,
-  insertAnswer,
-  linkAnswersToGame
-} from '../Operations/DbOperations';
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, TextInput, Alert, Share } from 'react-native';
+import {
+  getCountriesByRegions,
+  getMultipleChoiceOptions,
+  getCountryMultipleChoiceOptions,
+  getCorrectAnswer,
+  getAcceptedAnswers,
+  getOtherAnswers,
+  getQuestionText,
+  findCountry,
+  isImageQuestion,
+  asksForCountry,
+  isQuestionAvailable
+} from './CountriesData';
+import QuestionImage from './QuestionImage';
+import { matchTypedAnswer } from '../Operations/AnswerMatching';
+import { buildConfusionMap } from '../Operations/DistractorEngine';
+import { getReviewQuality } from '../Operations/SpacedRepetition';
+import { createRandom, generateSeed, randomInt } from '../Operations/Random';
+import {
+  defaultGameSettings,
+  calculateScorePercentage,
+  calculateQuestionPoints,
+  hintTypes,
+  TIME_EXPIRED_ANSWER
+} from '../Operations/GameSettings';
+import GamesRepository from '../Operations/GamesRepository';
+import AnswersRepository from '../Operations/AnswersRepository';
+import ReviewsRepository from '../Operations/ReviewsRepository';
 import styles from '../AllStyles/styles';
 
 /**
  * GamePlay component - Main quiz interface
  * Manages quiz state, question generation, and user interactions
  */
-const GamePlay = ({ navigation }) => {
+const GamePlay = ({ route, navigation }) => {
+  // Settings chosen on the setup screen
+  const gameSettings = route.params?.settings ?? defaultGameSettings;
+  const { questionMode, answerMode, totalQuestions, timeLimitSeconds } = gameSettings;
+  const hintPenalty = gameSettings.hintPenalty ?? defaultGameSettings.hintPenalty;
+
   // Quiz state management
   const [currentQuestion, setCurrentQuestion] = useState(null);
   const [options, setOptions] = useState([]);
@@ -31,183 +53,455 @@ const GamePlay = ({ navigation }) => {
   const [showFeedback, setShowFeedback] = useState(false);
   const [isCorrect, setIsCorrect] = useState(false);
   const [usedQuestions, setUsedQuestions] = useState([]); // Prevent duplicate questions within a game
-  const [currentGameId, setCurrentGameId] = useState(null); // Link answers to specific game sessions
+  const [typedAnswer, setTypedAnswer] = useState('');
+  const [matchType, setMatchType] = useState(null); // 'exact' or 'fuzzy' for accepted typed answers
+  const [confusions, setConfusions] = useState({}); // Previously confused answer pairs from history
+  const [timeLeft, setTimeLeft] = useState(timeLimitSeconds); // Countdown for timed games
+  const [points, setPoints] = useState(0); // Speed-weighted points for the current game
+  const [totalTimeMs, setTotalTimeMs] = useState(0); // Sum of response times for the current game
+  const [practiceQueue, setPracticeQueue] = useState([]); // Due and weak countries for practice games
+  const [hintsUsed, setHintsUsed] = useState([]); // Hint keys used on the current question
+  const questionStartTime = useRef(Date.now()); // When the current question was shown
+  const gameSeed = useRef(null); // Seed of the current game, saved so it can be replayed
+  const currentGameId = useRef(null); // Session every answer of the current game is written against
+  const random = useRef(Math.random); // Seeded random source for questions and options
+  const advanceTimer = useRef(null); // Pending move to the next question after feedback
+  const isMounted = useRef(true); // Cleared when the screen closes so late saves don't move on
 
   /**
    * Generates a new quiz question from available countries
    * Ensures no duplicate questions within the same game session
+   * Questions and options are drawn from the game's seeded random source
+   * @param {Object} settings - Game settings (regions, question mode, difficulty)
+   * @param {Array} previousQuestions - Countries already asked in this game
+   * @param {Array} queue - Countries to ask first in practice games, in review order
    */
-  const generateNewQuestion = () => {
+  const generateNewQuestion = (settings = gameSettings, previousQuestions = usedQuestions, queue = practiceQueue) => {
     console.log('Generating new question...');
     
+    // Limit the question pool to the player's selected regions
+    const regionCountries = getCountriesByRegions(settings.regions);
+    
+    // Countries that can be shown in this question mode (some lack an outline)
+    const questionCountries = regionCountries.filter(country =>
+      isQuestionAvailable(country, settings.questionMode)
+    );
+    
     // Filter out previously used countries in current game
-    const availableCountries = countries.filter(country => 
-      !usedQuestions.includes(country.country)
+    const availableCountries = questionCountries.filter(country => 
+      !previousQuestions.includes(country.country)
     );
     
     // Reset used questions if all countries have been used
     if (availableCountries.length === 0) {
       console.log('All countries used, resetting...');
       setUsedQuestions([]);
-      availableCountries.push(...countries);
+      availableCountries.push(...questionCountries);
     }
     
+    // Practice games ask due and weak countries first, then fall back to random ones
+    const queuedCountry = settings.practice
+      ? queue
+        .filter(name => !previousQuestions.includes(name))
+        .map(name => availableCountries.find(country => country.country === name))
+        .find(Boolean)
+      : null;
+    
     // Select random country from available options
-    const randomIndex = Math.floor(Math.random() * availableCountries.length);
-    const randomCountry = availableCountries[randomIndex];
+    const randomIndex = randomInt(availableCountries.length, random.current);
+    const randomCountry = queuedCountry || availableCountries[randomIndex];
     
     // Track used questions to prevent duplicates
     setUsedQuestions(prev => [...prev, randomCountry.country]);
     
-    const questionOptions = getMultipleChoiceOptions(randomCountry.capital);
+    // Draw distractors from the same regions so options stay relevant
+    // Only practice games weight options by the player's own mistakes; other games
+    // depend on nothing but the seed and settings so they can be replayed exactly
+    const optionSettings = {
+      difficulty: settings.difficulty,
+      confusions: settings.practice ? confusions : {},
+      random: random.current
+    };
+    const questionOptions = asksForCountry(settings.questionMode)
+      ? getCountryMultipleChoiceOptions(randomCountry.country, regionCountries, optionSettings)
+      : getMultipleChoiceOptions(randomCountry.capital, regionCountries, optionSettings);
     
     console.log('Question generated:', randomCountry);
     console.log('Options:', questionOptions);
-    console.log('Used questions:', [...usedQuestions, randomCountry.country]);
+    console.log('Used questions:', [...previousQuestions, randomCountry.country]);
     
     setCurrentQuestion(randomCountry);
     setOptions(questionOptions);
     setSelectedAnswer(null);
     setShowFeedback(false);
     setIsCorrect(false);
+    setTypedAnswer('');
+    setMatchType(null);
+    setHintsUsed([]);
+    setTimeLeft(settings.timeLimitSeconds);
+    questionStartTime.current = Date.now();
   };
 
   /**
    * Initializes a new game session
    * Resets all game state and clears previous session data
+   * Uses the seed from the settings when given (daily challenge or replay),
+   * otherwise picks a fresh one
+   * @param {Object} settings - Game settings to play the new game with
    */
-  const startNewGame = async () => {
+  const startNewGame = async (settings = gameSettings) => {
+    gameSeed.current = settings.seed ?? generateSeed();
+    random.current = createRandom(gameSeed.current);
     setScore(0);
+    setPoints(0);
+    setTotalTimeMs(0);
     setQuestionCount(0);
     setUsedQuestions([]); // Reset question history for new game
-    setCurrentGameId(null); // Clear previous game ID
-    generateNewQuestion();
+    
+    // An unfinished game is left behind as abandoned before the next one starts
+    if (currentGameId.current) {
+      try {
+        await GamesRepository.abandon(currentGameId.current);
+      } catch (error) {
+        console.error('Error abandoning previous game:', error);
+      }
+    }
+    currentGameId.current = null;
+    try {
+      currentGameId.current = await GamesRepository.start(settings, gameSeed.current);
+    } catch (error) {
+      console.error('Error creating game session:', error);
+      // Without a session neither the answers nor the result could be saved, so play is blocked
+      setCurrentQuestion(null);
+      Alert.alert(
+        'Error',
+        'The game could not be started. Please try again.',
+        [
+          { text: 'Back', style: 'cancel', onPress: () => navigation.goBack() },
+          { text: 'Try Again', onPress: () => startNewGame(settings) }
+        ],
+        { cancelable: false }
+      );
+      return;
+    }
+    
+    let queue = [];
+    if (settings.practice) {
+      loadConfusions(); // Pick up mistakes from the previous game for the distractor engine
+      try {
+        queue = await ReviewsRepository.getPracticeQueue(settings.totalQuestions);
+      } catch (error) {
+        console.error('Error loading practice queue:', error);
+      }
+    }
+    setPracticeQueue(queue);
+    generateNewQuestion(settings, [], queue);
+  };
+
+  /**
+   * Restores an interrupted game from its saved progress
+   * Shows the exact question and options the player left on, or moves on to the
+   * next question if that one had already been answered
+   * @param {Object} resumable - { game, state } from `GamesRepository.getResumable`
+   */
+  const resumeGame = ({ game, state }) => {
+    currentGameId.current = game.id;
+    gameSeed.current = game.seed;
+    random.current = createRandom(state.randomState); // Continue the seeded sequence
+    setScore(state.score);
+    setPoints(state.points);
+    setTotalTimeMs(state.totalTimeMs);
+    setQuestionCount(state.questionCount);
+    setUsedQuestions(state.usedQuestions);
+    setPracticeQueue(state.practiceQueue);
+    if (gameSettings.practice) {
+      loadConfusions();
+    }
+    
+    if (state.answered) {
+      if (state.questionCount >= totalQuestions) {
+        finishGame(state.score, state.points, state.totalTimeMs);
+      } else {
+        generateNewQuestion(gameSettings, state.usedQuestions, state.practiceQueue);
+      }
+      return;
+    }
+    
+    setCurrentQuestion(findCountry(state.country));
+    setOptions(state.options);
+    setSelectedAnswer(null);
+    setShowFeedback(false);
+    setIsCorrect(false);
+    setTypedAnswer('');
+    setMatchType(null);
+    setHintsUsed(state.hintsUsed);
+    setTimeLeft(timeLimitSeconds);
+    questionStartTime.current = Date.now();
+  };
+
+  /**
+   * Loads previously confused answer pairs for the distractor engine
+   */
+  const loadConfusions = async () => {
+    try {
+      const pairs = await AnswersRepository.getConfusedPairs();
+      setConfusions(buildConfusionMap(pairs));
+    } catch (error) {
+      console.error('Error loading confused answers:', error);
+    }
+  };
+
+  /**
+   * Reveals a hint for the current question
+   * Each hint can be used once per question and reduces the points it can earn
+   * @param {string} hintKey - Key of the hint from `hintTypes`
+   */
+  const handleHint = (hintKey) => {
+    if (selectedAnswer || hintsUsed.includes(hintKey)) return;
+    setHintsUsed(prev => [...prev, hintKey]);
+  };
+
+  /**
+   * Submits the free-text answer, matching it against accepted names
+   * Keeps the text as typed so history shows what the player entered
+   */
+  const handleTypedAnswerSubmit = () => {
+    const answer = typedAnswer.trim();
+    if (!answer) {
+      Alert.alert('Error', 'Please type an answer first');
+      return;
+    }
+
+    const match = matchTypedAnswer(
+      answer,
+      getAcceptedAnswers(currentQuestion, questionMode),
+      getOtherAnswers(currentQuestion, questionMode)
+    );
+    handleAnswerSelection(answer, match);
   };
 
   /**
    * Processes user answer selection
    * Updates score, saves answer data, and manages game progression
-   * @param {string} answer - The selected answer from multiple choice options
+   * @param {string} answer - The selected option or the text typed by the player
+   * @param {Object|null} typedMatch - Result of matching a typed answer, null for multiple choice
    */
-  const handleAnswerSelection = async (answer) => {
+  const handleAnswerSelection = async (answer, typedMatch = null) => {
     if (selectedAnswer) return; // Prevent multiple answer selections
     
+    const responseTimeMs = Date.now() - questionStartTime.current;
     setSelectedAnswer(answer);
-    const correct = answer === currentQuestion.capital;
+    const correctAnswer = getCorrectAnswer(currentQuestion, questionMode);
+    const correct = typedMatch ? typedMatch.isCorrect : answer === correctAnswer;
+    const answerMatchType = typedMatch ? typedMatch.matchType : null;
+    const questionPoints = calculateQuestionPoints(correct, responseTimeMs, timeLimitSeconds, hintsUsed.length, hintPenalty);
+    const newPoints = points + questionPoints;
+    const newTotalTimeMs = totalTimeMs + responseTimeMs;
+    setPoints(newPoints);
+    setTotalTimeMs(newTotalTimeMs);
+    const newScore = correct ? score + 1 : score;
+    const newQuestionCount = questionCount + 1;
+    setScore(newScore);
+    setQuestionCount(newQuestionCount);
     setIsCorrect(correct);
+    setMatchType(answerMatchType);
     setShowFeedback(true);
     
     // Debug logging for answer validation
     console.log('Answer selected:', answer);
-    console.log('Correct answer:', currentQuestion.capital);
+    console.log('Correct answer:', correctAnswer);
     console.log('Is correct:', correct);
+    console.log('Response time (ms):', responseTimeMs);
     console.log('Current score before update:', score);
     
     // Persist all answers (correct and incorrect) to database
     try {
-      await insertAnswer(
-        null, // Game ID will be assigned when game completes
-        currentQuestion.country,
-        answer,
-        currentQuestion.capital,
-        correct,
-        questionCount + 1 // 1-based question numbering
-      );
+      await AnswersRepository.record({
+        gameId: currentGameId.current,
+        country: currentQuestion.country,
+        userAnswer: answer,
+        correctAnswer,
+        isCorrect: correct,
+        questionNumber: questionCount + 1, // 1-based question numbering
+        questionMode,
+        matchType: answerMatchType,
+        responseTimeMs,
+        hintsUsed
+      });
       console.log('Answer saved to database:', { correct, answer, questionNumber: questionCount + 1 });
     } catch (error) {
       console.error('Error saving answer to database:', error);
     }
     
-    if (correct) {
-      setScore(score + 1);
-      console.log('Score updated to:', score + 1);
-    } else {
-      // Maintain backward compatibility by saving incorrect answers separately
-      try {
-        await insertIncorrectAnswer(
-          currentQuestion.country,
-          answer,
-          currentQuestion.capital
-        );
-      } catch (error) {
-        console.error('Error saving incorrect answer:', error);
-      }
+    // Reschedule the country for spaced-repetition practice
+    try {
+      await ReviewsRepository.record(
+        currentQuestion.country,
+        getReviewQuality({
+          isCorrect: correct,
+          matchType: answerMatchType,
+          responseTimeMs,
+          timedOut: answer === TIME_EXPIRED_ANSWER,
+          hintsUsedCount: hintsUsed.length
+        })
+      );
+    } catch (error) {
+      console.error('Error updating country review:', error);
     }
     
-    const newQuestionCount = questionCount + 1;
-    setQuestionCount(newQuestionCount);
-    
-    // Handle game completion after 10 questions
-    setTimeout(async () => {
-      if (newQuestionCount >= 10) {
-        const finalScore = correct ? score + 1 : score;
-        const wrongAnswers = 10 - finalScore;
-        const scorePercentage = (finalScore / 10) * 100;
-        
-        // Save complete game results and link answers to this game session
-        insertGameResult(10, finalScore, wrongAnswers, scorePercentage)
-          .then((gameId) => {
-            console.log('Game result saved:', { 
-              gameId: gameId,
-              score: finalScore, 
-              percentage: scorePercentage 
-            });
-            // Associate recent answers with this completed game
-            return linkAnswersToGame(gameId);
-          })
-          .then(() => {
-            console.log('Answers linked to game successfully');
-          })
-          .catch((error) => {
-            console.error('Error saving game result or linking answers:', error);
-          });
-        
-        Alert.alert(
-          'Quiz Complete!',
-          `Your final score: ${finalScore}/10`,
-          [
-            {
-              text: 'Play Again',
-              onPress: () => {
-                setScore(0);
-                setQuestionCount(0);
-                setUsedQuestions([]); // Reset question history for new game
-                startNewGame(); // Initialize fresh game session
-              }
-            },
-            {
-              text: 'View Results',
-              onPress: () => navigation.navigate('Results')
-            }
-          ]
-        );
+    // Handle game completion after the chosen number of questions
+    if (!isMounted.current) return;
+    advanceTimer.current = setTimeout(() => {
+      if (newQuestionCount >= totalQuestions) {
+        finishGame(newScore, newPoints, newTotalTimeMs);
       } else {
         generateNewQuestion();
       }
     }, 2000);
   };
 
+  /**
+   * Saves the final result of the current game and shows the summary
+   * A failed save offers to retry so the result is not silently lost
+   * @param {number} finalScore - Number of correct answers
+   * @param {number} finalPoints - Points earned across all questions
+   * @param {number} finalTotalTimeMs - Sum of all response times in milliseconds
+   */
+  const finishGame = async (finalScore, finalPoints, finalTotalTimeMs) => {
+    const wrongAnswers = totalQuestions - finalScore;
+    const scorePercentage = calculateScorePercentage(finalScore, totalQuestions);
+    
+    // Save the final result and mark this game session completed
+    const completedGameId = currentGameId.current;
+    try {
+      await GamesRepository.complete(completedGameId, {
+        correctAnswers: finalScore,
+        wrongAnswers,
+        scorePercentage,
+        totalPoints: finalPoints,
+        totalTimeMs: finalTotalTimeMs
+      });
+      currentGameId.current = null;
+      console.log('Game result saved:', { 
+        gameId: completedGameId,
+        score: finalScore, 
+        percentage: scorePercentage 
+      });
+    } catch (error) {
+      console.error('Error saving game result:', error);
+      Alert.alert(
+        'Save Failed',
+        'Your result could not be saved.',
+        [
+          { text: 'Continue Without Saving', style: 'cancel', onPress: () => showSummary(finalScore, finalPoints) },
+          { text: 'Retry', onPress: () => finishGame(finalScore, finalPoints, finalTotalTimeMs) }
+        ],
+        { cancelable: false }
+      );
+      return;
+    }
+    
+    showSummary(finalScore, finalPoints);
+  };
+
+  /**
+   * Shows the final score with options to share, play again or view the results
+   * @param {number} finalScore - Number of correct answers
+   * @param {number} finalPoints - Points earned across all questions
+   */
+  const showSummary = (finalScore, finalPoints) => {
+    const finalScoreText = timeLimitSeconds || hintPenalty
+      ? `${finalScore}/${totalQuestions} (${finalPoints} points)`
+      : `${finalScore}/${totalQuestions}`;
+    
+    Alert.alert(
+      gameSettings.dailyChallenge ? 'Daily Challenge Complete!' : 'Quiz Complete!',
+      `Your final score: ${finalScoreText}`,
+      [
+        ...(gameSettings.dailyChallenge ? [{
+          text: 'Share',
+          onPress: () => Share.share({
+            message: `I scored ${finalScoreText} on the Capital Cities Daily Challenge for ${gameSettings.dailyChallenge}!`
+          })
+        }] : []),
+        {
+          text: 'Play Again',
+          onPress: () => {
+            setScore(0);
+            setQuestionCount(0);
+            setUsedQuestions([]); // Reset question history for new game
+            startNewGame(); // Initialize fresh game session
+          }
+        },
+        {
+          text: 'View Results',
+          onPress: () => navigation.navigate('Results')
+        }
+      ]
+    );
+  };
+
+  /**
+   * Saves the game's progress whenever a question is shown, answered or hinted
+   * so an interrupted game can be resumed exactly where it stopped
+   */
+  useEffect(() => {
+    if (!currentQuestion || !currentGameId.current) return;
+    
+    GamesRepository.saveProgress(currentGameId.current, {
+      country: currentQuestion.country,
+      options,
+      answered: selectedAnswer !== null,
+      hintsUsed,
+      score,
+      points,
+      totalTimeMs,
+      questionCount,
+      usedQuestions,
+      practiceQueue,
+      randomState: random.current.getState()
+    }).catch(() => {
+      // Progress is best effort; the game itself carries on
+    });
+  }, [currentQuestion, selectedAnswer, questionCount, hintsUsed]);
+
+  /**
+   * Per-question countdown for timed games
+   * Ticks once a second and records a wrong answer when time runs out
+   */
+  useEffect(() => {
+    if (!timeLimitSeconds || !currentQuestion || selectedAnswer !== null) return;
+    
+    if (timeLeft <= 0) {
+      handleAnswerSelection(TIME_EXPIRED_ANSWER);
+      return;
+    }
+    
+    const timer = setTimeout(() => setTimeLeft(previous => previous - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [timeLeft, currentQuestion, selectedAnswer]);
+
   /**
    * Component initialization
-   * Sets up database tables and starts the first quiz question
+   * Starts the first quiz question,
+   * or restores an interrupted game when opened to resume one
    */
   useEffect(() => {
     console.log('GamePlay component mounted, initializing...');
-    const initializeGame = async () => {
-      try {
-        console.log('Creating database tables...');
-        await createTable();
-        await createAllAnswersTable(); // Table for comprehensive answer tracking
-        await createGameResultsTable();
-        console.log('Database tables created successfully');
-        startNewGame(); // Begin fresh game session
-      } catch (error) {
-        console.error('Error initializing database:', error);
-        // Continue with game initialization even if database setup fails
-        startNewGame();
+    if (route.params?.resume) {
+      resumeGame(route.params.resume);
+    } else {
+      startNewGame(); // Begin fresh game session
+    }
+    
+    // Leaving the screen mid-game abandons the unfinished session
+    return () => {
+      isMounted.current = false;
+      clearTimeout(advanceTimer.current);
+      if (currentGameId.current) {
+        GamesRepository.abandon(currentGameId.current).catch(() => {});
       }
     };
-    initializeGame();
   }, []);
 
 
@@ -223,6 +517,15 @@ const GamePlay = ({ navigation }) => {
     );
   }
 
+  const currentCorrectAnswer = getCorrectAnswer(currentQuestion, questionMode);
+  
+  // 50/50 keeps the correct answer and the last wrong option in display order
+  const eliminatedOptions = hintsUsed.includes('fiftyFifty')
+    ? options.filter(option => option !== currentCorrectAnswer).slice(0, 2)
+    : [];
+  // 50/50 needs options to remove, so it is only offered for multiple choice
+  const availableHints = hintTypes.filter(hint => answerMode === 'choice' || hint.key !== 'fiftyFifty');
+
   /**
    * Main quiz interface render
    * Displays question, multiple choice options, score, and feedback
@@ -231,52 +534,131 @@ const GamePlay = ({ navigation }) => {
     <View style={styles.container}>
       {/* Current progress and score display */}
       <View style={styles.scoreContainer}>
+        {gameSettings.dailyChallenge ? (
+          <Text style={styles.challengeText}>📅 Daily Challenge {gameSettings.dailyChallenge}</Text>
+        ) : null}
         <Text style={styles.scoreText}>
-          Question {questionCount + 1}/10 | Score: {score}/10
+          Question {questionCount + 1}/{totalQuestions} | Score: {score}/{totalQuestions}
         </Text>
+        {timeLimitSeconds ? (
+          <Text style={styles.timerText}>
+            ⏱ {Math.max(timeLeft, 0)}s | Points: {points}
+          </Text>
+        ) : hintPenalty ? (
+          <Text style={styles.timerText}>Points: {points}</Text>
+        ) : null}
       </View>
 
       {/* Quiz question presentation */}
       <View style={styles.questionCard}>
-        <Text style={styles.questionText}>
-          What is the capital of
-        </Text>
-        <Text style={styles.countryText}>
-          {currentQuestion.country}?
-        </Text>
+        {isImageQuestion(questionMode) ? (
+          <>
+            <Text style={styles.questionText}>
+              {getQuestionText(currentQuestion.country, questionMode)}
+            </Text>
+            <QuestionImage countryName={currentQuestion.country} questionMode={questionMode} />
+          </>
+        ) : (
+          <>
+            <Text style={styles.questionText}>
+              {questionMode === 'country' ? 'Which country has the capital' : 'What is the capital of'}
+            </Text>
+            <Text style={styles.countryText}>
+              {questionMode === 'country' ? currentQuestion.capital : currentQuestion.country}?
+            </Text>
+          </>
+        )}
       </View>
 
-      {/* Multiple choice answer options */}
-      <View style={styles.optionsContainer}>
-        {options.map((option, index) => {
-          let buttonStyle = [styles.optionButton];
-          let textStyle = [styles.optionText];
-          
-          // Apply visual feedback based on answer correctness
-          if (selectedAnswer) {
-            if (option === currentQuestion.capital) {
-              buttonStyle.push(styles.optionButtonCorrect);
-              textStyle.push(styles.optionTextCorrect);
-            } else if (option === selectedAnswer) {
-              buttonStyle.push(styles.optionButtonIncorrect);
-              textStyle.push(styles.optionTextIncorrect);
-            }
-          } else if (selectedAnswer === option) {
-            buttonStyle.push(styles.optionButtonSelected);
-          }
-          
+      {/* Hint buttons and revealed hints */}
+      <View style={styles.hintButtonContainer}>
+        {availableHints.map((hint) => {
+          const isUsed = hintsUsed.includes(hint.key);
           return (
             <TouchableOpacity
-              key={index}
-              style={buttonStyle}
-              onPress={() => handleAnswerSelection(option)}
-              disabled={selectedAnswer !== null}
+              key={hint.key}
+              style={[styles.hintButton, isUsed && styles.hintButtonUsed]}
+              onPress={() => handleHint(hint.key)}
+              disabled={isUsed || selectedAnswer !== null}
             >
-              <Text style={textStyle}>{option}</Text>
+              <Text style={styles.hintButtonText}>💡 {hint.label}</Text>
             </TouchableOpacity>
           );
         })}
       </View>
+      {hintPenalty ? (
+        <Text style={styles.hintCostText}>
+          Each hint costs {Math.round(hintPenalty * 100)}% of this question's points
+        </Text>
+      ) : null}
+      {hintsUsed.includes('firstLetter') && (
+        <Text style={styles.hintText}>Starts with "{currentCorrectAnswer.charAt(0)}"</Text>
+      )}
+      {hintsUsed.includes('region') && (
+        <Text style={styles.hintText}>
+          Located in {currentQuestion.subregion ? `${currentQuestion.subregion}, ` : ''}{currentQuestion.region}
+        </Text>
+      )}
+
+      {/* Answer input: free-text field or multiple choice options */}
+      {answerMode === 'typed' ? (
+        <View style={styles.typedAnswerContainer}>
+          <TextInput
+            style={[
+              styles.typedAnswerInput,
+              selectedAnswer && (isCorrect ? styles.optionButtonCorrect : styles.optionButtonIncorrect)
+            ]}
+            value={typedAnswer}
+            onChangeText={setTypedAnswer}
+            onSubmitEditing={handleTypedAnswerSubmit}
+            placeholder={asksForCountry(questionMode) ? 'Type the country...' : 'Type the capital...'}
+            autoCapitalize="words"
+            autoCorrect={false}
+            returnKeyType="done"
+            editable={selectedAnswer === null}
+          />
+          <TouchableOpacity
+            style={styles.submitAnswerButton}
+            onPress={handleTypedAnswerSubmit}
+            disabled={selectedAnswer !== null}
+          >
+            <Text style={styles.submitAnswerButtonText}>Submit Answer</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={styles.optionsContainer}>
+          {options.map((option, index) => {
+            if (eliminatedOptions.includes(option)) return null;
+
+            let buttonStyle = [styles.optionButton];
+            let textStyle = [styles.optionText];
+          
+            // Apply visual feedback based on answer correctness
+            if (selectedAnswer) {
+              if (option === currentCorrectAnswer) {
+                buttonStyle.push(styles.optionButtonCorrect);
+                textStyle.push(styles.optionTextCorrect);
+              } else if (option === selectedAnswer) {
+                buttonStyle.push(styles.optionButtonIncorrect);
+                textStyle.push(styles.optionTextIncorrect);
+              }
+            } else if (selectedAnswer === option) {
+              buttonStyle.push(styles.optionButtonSelected);
+            }
+          
+            return (
+              <TouchableOpacity
+                key={index}
+                style={buttonStyle}
+                onPress={() => handleAnswerSelection(option)}
+                disabled={selectedAnswer !== null}
+              >
+                <Text style={textStyle}>{option}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
 
       {/* Answer feedback display */}
       {showFeedback && (
@@ -288,9 +670,13 @@ const GamePlay = ({ navigation }) => {
             styles.feedbackText,
             isCorrect ? styles.feedbackTextCorrect : styles.feedbackTextIncorrect
           ]}>
-            {isCorrect 
-              ? 'Correct! Well done!' 
-              : `Incorrect. The correct answer is ${currentQuestion.capital}.`
+            {selectedAnswer === TIME_EXPIRED_ANSWER
+              ? `Time's up! The correct answer is ${currentCorrectAnswer}.`
+              : isCorrect 
+              ? (matchType === 'fuzzy'
+                ? `Correct! Accepted "${selectedAnswer}" as ${currentCorrectAnswer}.`
+                : 'Correct! Well done!')
+              : `Incorrect. The correct answer is ${currentCorrectAnswer}.`
             }
           </Text>
         </View>
@@ -307,9 +693,9 @@ const GamePlay = ({ navigation }) => {
         
         <TouchableOpacity 
           style={styles.navButton} 
-          onPress={startNewGame}
+          onPress={() => navigation.popToTop()}
         >
-          <Text style={styles.navButtonText}>Start New Game</Text>
+          <Text style={styles.navButtonText}>New Game</Text>
         </TouchableOpacity>
         
         <TouchableOpacity 
@@ -0,0 +1,296 @@
+/**
+ * Game Setup Component
+ * Lets the player configure a quiz before starting it
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, TextInput, ScrollView, Alert } from 'react-native';
+import {
+  regions,
+  questionModes,
+  answerModes,
+  difficultyLevels,
+  getCountriesByRegions,
+  isQuestionAvailable
+} from './CountriesData';
+import {
+  gameLengthOptions,
+  timeLimitOptions,
+  hintPenaltyOptions,
+  defaultGameSettings,
+  resolveTotalQuestions,
+  getDailyChallengeSettings,
+  parseSeed
+} from '../Operations/GameSettings';
+import GamesRepository from '../Operations/GamesRepository';
+import styles from '../AllStyles/styles';
+
+/**
+ * GameSetup component for choosing quiz mode, regions and game length
+ * Passes the chosen settings to the quiz screen as navigation params
+ */
+const GameSetup = ({ navigation }) => {
+  // Setup state management
+  const [selectedRegions, setSelectedRegions] = useState(defaultGameSettings.regions);
+  const [questionMode, setQuestionMode] = useState(defaultGameSettings.questionMode);
+  const [answerMode, setAnswerMode] = useState(defaultGameSettings.answerMode);
+  const [difficulty, setDifficulty] = useState(defaultGameSettings.difficulty);
+  const [lengthChoice, setLengthChoice] = useState(defaultGameSettings.totalQuestions);
+  const [customLength, setCustomLength] = useState('');
+  const [timeLimitSeconds, setTimeLimitSeconds] = useState(defaultGameSettings.timeLimitSeconds);
+  const [hintPenalty, setHintPenalty] = useState(defaultGameSettings.hintPenalty);
+  const [seedText, setSeedText] = useState(''); // Optional seed to play a shared game
+  const [resumable, setResumable] = useState(null); // Interrupted game that can be resumed
+
+  // Countries available with the current region selection and question type
+  const poolSize = getCountriesByRegions(selectedRegions)
+    .filter(country => isQuestionAvailable(country, questionMode))
+    .length;
+
+  /**
+   * Checks for an interrupted game whenever the screen is shown
+   * The first check after launch also runs migrations and startup recovery
+   */
+  useEffect(() => {
+    const loadResumableGame = async () => {
+      try {
+        setResumable(await GamesRepository.getResumable());
+      } catch (error) {
+        console.error('Error checking for an interrupted game:', error);
+      }
+    };
+    const unsubscribe = navigation.addListener('focus', loadResumableGame);
+    return unsubscribe;
+  }, [navigation]);
+
+  /**
+   * Reopens the interrupted game on the question it stopped at
+   */
+  const resumeGame = () => {
+    const settings = resumable.game.game_settings
+      ? JSON.parse(resumable.game.game_settings)
+      : defaultGameSettings;
+    navigation.navigate('Guess The City', { settings, resume: resumable });
+    setResumable(null);
+  };
+
+  /**
+   * Abandons the interrupted game so it is no longer offered
+   */
+  const discardGame = async () => {
+    try {
+      await GamesRepository.abandon(resumable.game.id);
+    } catch (error) {
+      console.error('Error discarding interrupted game:', error);
+    }
+    setResumable(null);
+  };
+
+  /**
+   * Toggles a region in the player's selection
+   * At least one region must always remain selected
+   * @param {string} region - Region name to include or exclude
+   */
+  const toggleRegion = (region) => {
+    const updatedRegions = selectedRegions.includes(region)
+      ? selectedRegions.filter(selected => selected !== region)
+      : [...selectedRegions, region];
+
+    if (updatedRegions.length === 0) {
+      Alert.alert('Select a Region', 'At least one region must be selected to play.');
+      return;
+    }
+
+    setSelectedRegions(updatedRegions);
+  };
+
+  /**
+   * Validates the settings and opens the quiz screen with them
+   */
+  const startGame = () => {
+    const totalQuestions = resolveTotalQuestions(lengthChoice, customLength, poolSize);
+    if (!totalQuestions) {
+      Alert.alert('Error', 'Please enter a game length of at least 1 question');
+      return;
+    }
+
+    const seed = parseSeed(seedText);
+    if (seed === undefined) {
+      Alert.alert('Error', 'The game seed must be a whole number');
+      return;
+    }
+
+    navigation.navigate('Guess The City', {
+      settings: {
+        regions: selectedRegions,
+        questionMode,
+        answerMode,
+        difficulty,
+        totalQuestions,
+        timeLimitSeconds,
+        hintPenalty,
+        ...(seed !== null && { seed })
+      }
+    });
+  };
+
+  /**
+   * Opens today's daily challenge, which is the same for every player
+   */
+  const startDailyChallenge = () => {
+    navigation.navigate('Guess The City', { settings: getDailyChallengeSettings() });
+  };
+
+  /**
+   * Renders a row of selectable options
+   * @param {Array} items - Options with key and label properties
+   * @param {*} selectedKey - Key of the currently selected option
+   * @param {Function} onSelect - Called with the key of the pressed option
+   */
+  const renderSegmentedControl = (items, selectedKey, onSelect) => (
+    <View style={styles.modeSelectorContainer}>
+      {items.map((item) => {
+        const isSelected = selectedKey === item.key;
+        return (
+          <TouchableOpacity
+            key={item.key}
+            style={[styles.modeButton, isSelected && styles.modeButtonSelected]}
+            onPress={() => onSelect(item.key)}
+          >
+            <Text style={[styles.modeButtonText, isSelected && styles.modeButtonTextSelected]}>
+              {item.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  /**
+   * Main component render
+   * Displays all quiz options and the start button
+   */
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.setupContent}>
+      <Text style={styles.screenTitle}>Game Setup</Text>
+
+      {/* Offer to continue a game interrupted by an app restart */}
+      {resumable && (
+        <View style={styles.resumeContainer}>
+          <Text style={styles.resumeText}>
+            You have an unfinished game (score {resumable.state.score}/{resumable.state.questionCount}).
+          </Text>
+          <TouchableOpacity style={styles.startNewGameButton} onPress={resumeGame}>
+            <Text style={styles.startNewGameButtonText}>
+              ▶ Resume game {Math.min(resumable.state.questionCount + 1, resumable.game.total_questions)}/{resumable.game.total_questions}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={discardGame}>
+            <Text style={styles.resumeDiscardText}>Discard</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Quiz mode selection */}
+      <Text style={styles.setupSectionTitle}>Question Type</Text>
+      {renderSegmentedControl(questionModes, questionMode, setQuestionMode)}
+
+      {/* Answer input mode selection */}
+      <Text style={styles.setupSectionTitle}>Answer Style</Text>
+      {renderSegmentedControl(answerModes, answerMode, setAnswerMode)}
+
+      {/* Distractor difficulty selection (multiple choice only) */}
+      {answerMode === 'choice' && (
+        <>
+          <Text style={styles.setupSectionTitle}>Difficulty</Text>
+          {renderSegmentedControl(difficultyLevels, difficulty, setDifficulty)}
+        </>
+      )}
+
+      {/* Region selection for the question pool */}
+      <Text style={styles.setupSectionTitle}>Regions</Text>
+      <View style={styles.regionSelectorContainer}>
+        {regions.map((region) => {
+          const isSelected = selectedRegions.includes(region);
+          return (
+            <TouchableOpacity
+              key={region}
+              style={[styles.regionChip, isSelected && styles.regionChipSelected]}
+              onPress={() => toggleRegion(region)}
+            >
+              <Text style={[styles.regionChipText, isSelected && styles.regionChipTextSelected]}>
+                {region}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {/* Game length selection */}
+      <Text style={styles.setupSectionTitle}>Number of Questions</Text>
+      {renderSegmentedControl(gameLengthOptions, lengthChoice, setLengthChoice)}
+      {lengthChoice === 'custom' && (
+        <TextInput
+          style={styles.typedAnswerInput}
+          value={customLength}
+          onChangeText={setCustomLength}
+          placeholder={`Enter 1 to ${poolSize}`}
+          keyboardType="number-pad"
+        />
+      )}
+      <Text style={styles.setupHintText}>
+        {poolSize} countries available in the selected regions
+      </Text>
+
+      {/* Per-question timer selection */}
+      <Text style={styles.setupSectionTitle}>Timer per Question</Text>
+      {renderSegmentedControl(timeLimitOptions, timeLimitSeconds, setTimeLimitSeconds)}
+      <Text style={styles.setupHintText}>
+        {timeLimitSeconds
+          ? 'Faster correct answers earn more points. Running out of time counts as wrong.'
+          : 'Take as long as you like on each question.'}
+      </Text>
+
+      {/* Points lost per hint used */}
+      <Text style={styles.setupSectionTitle}>Hint Cost</Text>
+      {renderSegmentedControl(hintPenaltyOptions, hintPenalty, setHintPenalty)}
+      <Text style={styles.setupHintText}>
+        Hints can remove two wrong options, reveal the first letter or show the region.
+      </Text>
+
+      {/* Optional seed to replay or share an exact game */}
+      <Text style={styles.setupSectionTitle}>Game Seed (optional)</Text>
+      <TextInput
+        style={styles.typedAnswerInput}
+        value={seedText}
+        onChangeText={setSeedText}
+        placeholder="Leave blank for a random game"
+        keyboardType="number-pad"
+      />
+      <Text style={styles.setupHintText}>
+        Players using the same seed and settings get the same questions.
+      </Text>
+
+      {/* Start the configured game */}
+      <TouchableOpacity style={styles.startNewGameButton} onPress={startGame}>
+        <Text style={styles.startNewGameButtonText}>🎯 Start Game</Text>
+      </TouchableOpacity>
+
+      {/* Same questions for every player today */}
+      <TouchableOpacity style={styles.startNewGameButton} onPress={startDailyChallenge}>
+        <Text style={styles.startNewGameButtonText}>📅 Daily Challenge</Text>
+      </TouchableOpacity>
+
+      {/* Spaced-repetition practice of due and weak countries */}
+      <TouchableOpacity style={styles.navButton} onPress={() => navigation.navigate('Practice')}>
+        <Text style={styles.navButtonText}>🧠 Practice Weak Spots</Text>
+      </TouchableOpacity>
+
+      {/* Per-country accuracy and most confused answers */}
+      <TouchableOpacity style={styles.navButton} onPress={() => navigation.navigate('Statistics')}>
+        <Text style={styles.navButtonText}>📊 Country Statistics</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+export default GameSetup;
@@ -0,0 +1,131 @@
+/**
+ * Practice Component
+ * Shows the player's spaced-repetition schedule and starts "Practice weak spots" games
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, FlatList, TouchableOpacity } from 'react-native';
+import ReviewsRepository from '../Operations/ReviewsRepository';
+import { getMasteryLevel, isDue } from '../Operations/SpacedRepetition';
+import { defaultGameSettings } from '../Operations/GameSettings';
+import styles from '../AllStyles/styles';
+
+// Number of questions asked in a practice game
+const PRACTICE_GAME_LENGTH = 10;
+
+/**
+ * Practice component listing every reviewed country with its mastery level
+ * Due countries are listed first and asked first in practice games
+ */
+const Practice = ({ navigation }) => {
+    const [reviews, setReviews] = useState([]);
+
+    /**
+     * Loads review cards, scheduling any countries answered before practice mode existed
+     */
+    const loadReviews = async () => {
+        try {
+            const data = await ReviewsRepository.getAll();
+            setReviews(data);
+        } catch (error) {
+            console.error('Error loading country reviews:', error);
+        }
+    };
+
+    /**
+     * Reload the schedule whenever the screen is shown, e.g. after a practice game
+     */
+    useEffect(() => {
+        const unsubscribe = navigation.addListener('focus', loadReviews);
+        return unsubscribe;
+    }, [navigation]);
+
+    /**
+     * Starts a practice game using due and weak countries from all regions
+     */
+    const startPractice = () => {
+        navigation.navigate('Guess The City', {
+            settings: {
+                ...defaultGameSettings,
+                totalQuestions: PRACTICE_GAME_LENGTH,
+                practice: true
+            }
+        });
+    };
+
+    // Schedule summary
+    const now = new Date();
+    const dueCount = reviews.filter(review => isDue(review, now)).length;
+    const masteredCount = reviews.filter(review => getMasteryLevel(review).key === 'mastered').length;
+
+    /**
+     * Renders one country with its mastery level and next review date
+     * @param {Object} item - Review card for the country
+     */
+    const renderReview = ({ item }) => {
+        const mastery = getMasteryLevel(item);
+        return (
+            <View style={styles.gameResultItem}>
+                <View style={styles.gameResultHeader}>
+                    <Text style={styles.gameNumber}>{item.country}</Text>
+                    <Text style={[styles.masteryBadge, styles[`mastery_${mastery.key}`]]}>
+                        {mastery.label}
+                    </Text>
+                </View>
+                <Text style={styles.gameResultDate}>
+                    {isDue(item, now)
+                        ? 'Due for review now'
+                        : `Next review: ${new Date(item.due_date).toLocaleDateString()}`}
+                </Text>
+            </View>
+        );
+    };
+
+    /**
+     * Main component render
+     * Displays schedule statistics, the practice button and the country list
+     */
+    return (
+        <View style={styles.container}>
+            <Text style={styles.screenTitle}>Practice Weak Spots</Text>
+
+            {/* Schedule summary */}
+            <View style={styles.statsContainer}>
+                <View style={styles.statItem}>
+                    <Text style={styles.statValue}>{dueCount}</Text>
+                    <Text style={styles.statLabel}>Due Now</Text>
+                </View>
+                <View style={styles.statItem}>
+                    <Text style={styles.statValue}>{reviews.length}</Text>
+                    <Text style={styles.statLabel}>Countries Seen</Text>
+                </View>
+                <View style={styles.statItem}>
+                    <Text style={styles.statValue}>{masteredCount}</Text>
+                    <Text style={styles.statLabel}>Mastered</Text>
+                </View>
+            </View>
+
+            <TouchableOpacity style={styles.startNewGameButton} onPress={startPractice}>
+                <Text style={styles.startNewGameButtonText}>🧠 Start Practice</Text>
+            </TouchableOpacity>
+
+            {/* Country schedule or empty state */}
+            {reviews.length === 0 ? (
+                <View style={styles.emptyContainer}>
+                    <Text style={styles.emptyText}>Nothing to practice yet.</Text>
+                    <Text style={styles.emptySubtext}>
+                        Play a game and the countries you answer will be scheduled for review.
+                    </Text>
+                </View>
+            ) : (
+                <FlatList
+                    data={reviews}
+                    keyExtractor={(item) => item.country}
+                    renderItem={renderReview}
+                    showsVerticalScrollIndicator={false}
+                />
+            )}
+        </View>
+    );
+};
+
+export default Practice;
@@ -0,0 +1,47 @@
+/**
+ * Question Image Component
+ * Renders the bundled flag or outline SVG for image questions
+ */
+import React from 'react';
+import { View } from 'react-native';
+import { SvgXml, Svg, Path } from 'react-native-svg';
+import flags from '../assets/flags';
+import outlines from '../assets/outlines';
+import { findCountry } from './CountriesData';
+import styles from '../AllStyles/styles';
+
+/**
+ * QuestionImage component for flag and outline questions
+ * Renders nothing for text questions or countries without an asset
+ * @param {string} countryName - Country the question is about
+ * @param {string} questionMode - 'flag' or 'outline'
+ * @param {number} size - Width of the image in pixels
+ */
+const QuestionImage = ({ countryName, questionMode, size = 200 }) => {
+  const countryData = findCountry(countryName);
+  if (!countryData) return null;
+  const isoCode = countryData.iso2.toLowerCase();
+
+  if (questionMode === 'flag' && flags[isoCode]) {
+    // All flags share a 3:2 aspect ratio
+    return (
+      <View style={styles.questionImageContainer}>
+        <SvgXml xml={flags[isoCode]} width={size} height={(size * 2) / 3} />
+      </View>
+    );
+  }
+
+  if (questionMode === 'outline' && outlines[isoCode]) {
+    return (
+      <View style={styles.questionImageContainer}>
+        <Svg width={size} height={size} viewBox={outlines[isoCode].viewBox}>
+          <Path d={outlines[isoCode].path} fill="#333" fillRule="evenodd" />
+        </Svg>
+      </View>
+    );
+  }
+
+  return null;
+};
+
+export default QuestionImage;
@@ -2,40 +2,92 @@
  * Game Results Component
  * Displays historical game performance data with statistics and management options
  */
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
     View, 
     Text, 
     FlatList, 
     TouchableOpacity, 
     RefreshControl,
-    ScrollView,
+    ActivityIndicator,
+    Modal,
+    TextInput,
     Alert 
 } from 'react-native';
-import { getGameResults, clearDatabase } from "../Operations/DbOperations";
+import Swipeable from 'react-native-gesture-handler/Swipeable';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import GamesRepository from "../Operations/GamesRepository";
+import HistoryRepository from "../Operations/HistoryRepository";
+import AnswersRepository from "../Operations/AnswersRepository";
+import { buildScoreTrend, buildRegionAccuracy } from '../Operations/ChartData';
+import ScoreCharts from './ScoreCharts';
+import { formatResponseTime, parseDateKey } from '../Operations/GameSettings';
 import styles from '../AllStyles/styles';
 
+// How long a deletion can be undone before it is made permanent
+const UNDO_WINDOW_MS = 5000;
+
 /**
  * Results component for displaying game history and statistics
  * Provides game performance analytics and navigation options
  */
-const Results = ({ navigation }) => {
+const Results = ({ navigation, route }) => {
     // State management for game results and UI controls
     const [gameResults, setGameResults] = useState([]);
+    const [statistics, setStatistics] = useState(null);
+    const [scoreTrend, setScoreTrend] = useState([]);
+    const [regionAccuracy, setRegionAccuracy] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
     const [refreshing, setRefreshing] = useState(false);
+    const loadingPage = useRef(false); // Guards against onEndReached firing twice for one page
+    const [undoDeletion, setUndoDeletion] = useState(null); // { gameIds, message } while undo is offered
+    const undoTimer = useRef(null);
+    const [dateRangeVisible, setDateRangeVisible] = useState(false);
+    const [rangeFrom, setRangeFrom] = useState('');
+    const [rangeTo, setRangeTo] = useState('');
     
     /**
-     * Loads game results from database
-     * Retrieves all completed game sessions with scores and statistics
+     * Loads the summary statistics, chart data and the first page of game results
+     * Statistics are calculated by the database over every completed game
      */
     const loadGameResults = async () => {
         try {
-            const data = await getGameResults();
-            setGameResults(data);
+            const [stats, page, scoreHistory, countryStats] = await Promise.all([
+                GamesRepository.getStatistics(),
+                GamesRepository.getCompletedPage(),
+                GamesRepository.getScoreHistory(),
+                AnswersRepository.getCountryStatistics()
+            ]);
+            setStatistics(stats);
+            setScoreTrend(buildScoreTrend(scoreHistory));
+            setRegionAccuracy(buildRegionAccuracy(countryStats));
+            setGameResults(page.items);
+            setNextCursor(page.nextCursor);
         } catch (error) {
             console.error("Error loading game results:", error);
         }
     };
+
+    /**
+     * Appends the next page of game results when the list is scrolled to the end
+     */
+    const loadMoreGameResults = async () => {
+        if (!nextCursor || loadingPage.current) return;
+        loadingPage.current = true;
+        setLoadingMore(true);
+        try {
+            const page = await GamesRepository.getCompletedPage(nextCursor);
+            setGameResults(current => [...current, ...page.items]);
+            setNextCursor(page.nextCursor);
+        } catch (error) {
+            console.error("Error loading more game results:", error);
+        } finally {
+            loadingPage.current = false;
+            setLoadingMore(false);
+        }
+    };
     
     /**
      * Handles pull-to-refresh functionality for game results
@@ -51,13 +103,131 @@ const Results = ({ navigation }) => {
      */
     useEffect(() => {
         loadGameResults();
+        return () => clearTimeout(undoTimer.current);
     }, []);
+
+    /**
+     * Offers undo for a game deleted from the Game Details screen
+     */
+    useEffect(() => {
+        const deletedGameIds = route.params?.deletedGameIds;
+        if (!deletedGameIds) return;
+        navigation.setParams({ deletedGameIds: undefined });
+        loadGameResults();
+        offerUndo(deletedGameIds, 'Game deleted');
+    }, [route.params?.deletedGameIds]);
+
+    /**
+     * Shows the undo banner for a deletion
+     * Once the undo window passes the deleted games are removed permanently
+     * @param {Array} gameIds - IDs of the deleted games
+     * @param {string} message - Text shown on the banner
+     */
+    const offerUndo = (gameIds, message) => {
+        clearTimeout(undoTimer.current);
+        setUndoDeletion({ gameIds, message });
+        undoTimer.current = setTimeout(() => {
+            setUndoDeletion(null);
+            GamesRepository.purgeDeleted(new Date())
+                .catch(error => console.error('Error purging deleted games:', error));
+        }, UNDO_WINDOW_MS);
+    };
+
+    /**
+     * Restores the games from the most recent deletion
+     */
+    const undoDelete = async () => {
+        if (!undoDeletion) return;
+        clearTimeout(undoTimer.current);
+        const { gameIds } = undoDeletion;
+        setUndoDeletion(null);
+        try {
+            await GamesRepository.restore(gameIds);
+            await loadGameResults(); // Refresh the display
+        } catch (error) {
+            Alert.alert('Error', 'Failed to restore deleted games');
+            console.error('Error restoring games:', error);
+        }
+    };
+
+    /**
+     * Makes a deletion that can still be undone permanent straight away
+     * Used before an import, which would otherwise add the deleted games again
+     * alongside the copies that undo restores
+     */
+    const finishPendingDeletion = async () => {
+        if (!undoDeletion) return;
+        clearTimeout(undoTimer.current);
+        setUndoDeletion(null);
+        await GamesRepository.purgeDeleted(new Date());
+    };
+
+    /**
+     * Deletes a single game after it is swiped away
+     * @param {Object} gameData - Game result data to delete
+     */
+    const deleteGame = async (gameData) => {
+        try {
+            const gameIds = await GamesRepository.delete(gameData.id);
+            await loadGameResults(); // Refresh the display
+            offerUndo(gameIds, 'Game deleted');
+        } catch (error) {
+            Alert.alert('Error', 'Failed to delete game');
+            console.error('Error deleting game:', error);
+        }
+    };
+
+    /**
+     * Deletes every game played between the entered dates, inclusive
+     * Prompts user for confirmation; a backup is saved before deleting
+     */
+    const deleteDateRange = () => {
+        const start = parseDateKey(rangeFrom);
+        const lastDay = parseDateKey(rangeTo);
+        if (!start || !lastDay) {
+            Alert.alert('Invalid Dates', 'Enter both dates as YYYY-MM-DD');
+            return;
+        }
+        if (lastDay < start) {
+            Alert.alert('Invalid Dates', 'The end date must not be before the start date');
+            return;
+        }
+        const end = new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1);
+
+        Alert.alert(
+            'Delete Games',
+            `Delete every game played from ${rangeFrom.trim()} to ${rangeTo.trim()}? A backup is saved first.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            const gameIds = await GamesRepository.deleteBetween(start, end);
+                            setDateRangeVisible(false);
+                            if (gameIds.length === 0) {
+                                Alert.alert('No Games Found', 'No games were played in that date range');
+                                return;
+                            }
+                            await loadGameResults(); // Refresh the display
+                            offerUndo(gameIds, `${gameIds.length} ${gameIds.length === 1 ? 'game' : 'games'} deleted`);
+                        } catch (error) {
+                            Alert.alert('Error', 'Failed to delete games');
+                            console.error('Error deleting games by date:', error);
+                        }
+                    }
+                }
+            ]
+        );
+    };
     
     /**
-     * Navigates to main game screen to start a new quiz session
+     * Returns to the setup screen to configure a new quiz session
+     * Closing the quiz screen on the way abandons any unfinished game
      */
     const startNewGame = () => {
-        navigation.navigate('Guess The City');
+        navigation.popToTop();
     };
     
     /**
@@ -67,7 +237,7 @@ const Results = ({ navigation }) => {
     const clearAllHistory = () => {
         Alert.alert(
             'Clear All History',
-            'Are you sure you want to clear all game results and answers? This cannot be undone.',
+            'Are you sure you want to clear all game results and answers? A backup is saved first and can be restored from Import.',
             [
                 { text: 'Cancel', style: 'cancel' },
                 {
@@ -75,7 +245,7 @@ const Results = ({ navigation }) => {
                     style: 'destructive',
                     onPress: async () => {
                         try {
-                            await clearDatabase();
+                            await GamesRepository.clearHistory();
                             await loadGameResults(); // Refresh the display
                             Alert.alert('Success', 'All history cleared successfully');
                         } catch (error) {
@@ -88,6 +258,98 @@ const Results = ({ navigation }) => {
         );
     };
     
+    /**
+     * Exports the full history and opens the share sheet for the chosen format
+     * JSON files can be imported on another device; CSV files open in spreadsheets
+     */
+    const exportHistory = async () => {
+        try {
+            if (!(await Sharing.isAvailableAsync())) {
+                Alert.alert('Export Unavailable', 'Sharing files is not supported on this device');
+                return;
+            }
+            const { jsonUri, csvUri, gameCount, answerCount } = await HistoryRepository.exportToFiles();
+            const share = (uri, mimeType) => Sharing.shareAsync(uri, { mimeType, dialogTitle: 'Export Quiz History' })
+                .catch(error => console.error('Error sharing history export:', error));
+            Alert.alert(
+                'Export History',
+                `${gameCount} games and ${answerCount} answers are ready to share. Choose a format:`,
+                [
+                    { text: 'Cancel', style: 'cancel' },
+                    { text: 'CSV', onPress: () => share(csvUri, 'text/csv') },
+                    { text: 'JSON', onPress: () => share(jsonUri, 'application/json') }
+                ]
+            );
+        } catch (error) {
+            Alert.alert('Error', 'Failed to export history');
+            console.error('Error exporting history:', error);
+        }
+    };
+
+    /**
+     * Asks whether to import a chosen file or the latest automatic backup
+     */
+    const importHistory = () => {
+        Alert.alert(
+            'Import History',
+            'Games already on this device are skipped, so importing the same file twice is harmless.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Latest Backup', onPress: importLatestBackup },
+                { text: 'Choose File', onPress: importChosenFile }
+            ]
+        );
+    };
+
+    /**
+     * Imports a JSON history export chosen by the player
+     */
+    const importChosenFile = async () => {
+        try {
+            const selection = await DocumentPicker.getDocumentAsync({
+                type: 'application/json',
+                copyToCacheDirectory: true
+            });
+            if (selection.canceled) return;
+            await importFrom(selection.assets[0].uri);
+        } catch (error) {
+            Alert.alert('Import Failed', error.message);
+            console.error('Error importing history:', error);
+        }
+    };
+
+    /**
+     * Restores the backup saved before the most recent bulk deletion
+     */
+    const importLatestBackup = async () => {
+        try {
+            const backupUri = await HistoryRepository.getLatestBackup();
+            if (!backupUri) {
+                Alert.alert('No Backup', 'Backups are saved automatically before history is cleared');
+                return;
+            }
+            await importFrom(backupUri);
+        } catch (error) {
+            Alert.alert('Import Failed', error.message);
+            console.error('Error importing backup:', error);
+        }
+    };
+
+    /**
+     * Merges a history file into the local history and reports what was added
+     * @param {string} uri - Location of the JSON export or backup
+     */
+    const importFrom = async (uri) => {
+        await finishPendingDeletion();
+        const summary = await HistoryRepository.importFromFile(uri);
+        await loadGameResults(); // Refresh the display
+        Alert.alert(
+            'Import Complete',
+            `Added ${summary.gamesAdded} games and ${summary.answersAdded} answers. ` +
+            `Skipped ${summary.gamesSkipped} games already on this device.`
+        );
+    };
+    
     /**
      * Navigates to detailed view of a specific game session
      * @param {Object} gameData - Game result data to display
@@ -97,46 +359,57 @@ const Results = ({ navigation }) => {
         navigation.navigate('GameDetails', { gameData, gameNumber });
     };
     
-    // Performance statistics calculations
-    const totalGames = gameResults.length;
-    const averageScore = totalGames > 0 
-        ? (gameResults.reduce((sum, game) => sum + parseFloat(game.score_percentage), 0) / totalGames).toFixed(1)
-        : 0;
-    const bestScore = totalGames > 0 
-        ? Math.max(...gameResults.map(game => parseFloat(game.score_percentage)))
-        : 0;
+    // Performance statistics, calculated in SQL over every completed game
+    const totalGames = statistics ? statistics.totalGames : 0;
+    const averageScore = totalGames > 0 ? statistics.averageScore.toFixed(1) : 0;
+    const bestScore = totalGames > 0 ? statistics.bestScore : 0;
+    const averageResponseTime = statistics ? statistics.averageResponseTimeMs : null;
+    const fastestGame = statistics ? statistics.fastestGame : null;
 
     /**
      * Renders individual game result items
-     * Displays game summary with score and navigation option
+     * Displays game summary with score and navigation option; swipe left to delete
      * @param {Object} item - Game result data
      * @param {number} index - Array index for game numbering
      */
     
     const renderGameResult = ({ item, index }) => (
-        <TouchableOpacity 
-            style={styles.gameResultItem}
-            onPress={() => viewGameDetails(item, totalGames - index)}
+        <Swipeable
+            renderRightActions={() => (
+                <TouchableOpacity style={styles.swipeDeleteAction} onPress={() => deleteGame(item)}>
+                    <Text style={styles.swipeDeleteText}>🗑️ Delete</Text>
+                </TouchableOpacity>
+            )}
         >
-            <View style={styles.gameResultHeader}>
-                <Text style={styles.gameNumber}>Game #{totalGames - index}</Text>
-                <Text style={[
-                    styles.scorePercentage,
-                    parseFloat(item.score_percentage) >= 70 ? styles.goodScore : styles.poorScore
-                ]}>
-                    {item.score_percentage}%
+            <TouchableOpacity 
+                style={styles.gameResultItem}
+                onPress={() => viewGameDetails(item, totalGames - index)}
+            >
+                <View style={styles.gameResultHeader}>
+                    <Text style={styles.gameNumber}>Game #{totalGames - index}</Text>
+                    <Text style={[
+                        styles.scorePercentage,
+                        parseFloat(item.score_percentage) >= 70 ? styles.goodScore : styles.poorScore
+                    ]}>
+                        {item.score_percentage}%
+                    </Text>
+                </View>
+                <Text style={styles.gameResultScore}>
+                    Score: {item.correct_answers}/{item.total_questions}
                 </Text>
-            </View>
-            <Text style={styles.gameResultScore}>
-                Score: {item.correct_answers}/{item.total_questions}
-            </Text>
-            <Text style={styles.gameResultDate}>
-                {new Date(item.game_date).toLocaleString()}
-            </Text>
-            <Text style={styles.tapToViewDetails}>
-                Tap to view all questions →
-            </Text>
-        </TouchableOpacity>
+                {item.time_limit_seconds ? (
+                    <Text style={styles.gameResultPoints}>
+                        ⏱ {item.total_points} points ({item.time_limit_seconds}s per question)
+                    </Text>
+                ) : null}
+                <Text style={styles.gameResultDate}>
+                    {new Date(item.game_date).toLocaleString()}
+                </Text>
+                <Text style={styles.tapToViewDetails}>
+                    Tap to view all questions →
+                </Text>
+            </TouchableOpacity>
+        </Swipeable>
     );
 
     /**
@@ -165,6 +438,22 @@ const Results = ({ navigation }) => {
                 </View>
             )}
             
+            {/* Response time statistics */}
+            {averageResponseTime !== null && fastestGame && (
+                <View style={styles.statsContainer}>
+                    <View style={styles.statItem}>
+                        <Text style={styles.statValue}>{formatResponseTime(averageResponseTime)}</Text>
+                        <Text style={styles.statLabel}>Avg Response Time</Text>
+                    </View>
+                    <View style={styles.statItem}>
+                        <Text style={styles.statValue}>Game #{fastestGame.gameNumber}</Text>
+                        <Text style={styles.statLabel}>
+                            Fastest Game ({formatResponseTime(fastestGame.perQuestionMs)}/question)
+                        </Text>
+                    </View>
+                </View>
+            )}
+            
             {/* Game management controls */}
             <TouchableOpacity 
                 style={styles.startNewGameButton} 
@@ -173,12 +462,29 @@ const Results = ({ navigation }) => {
                 <Text style={styles.startNewGameButtonText}>🎯 Start New Game</Text>
             </TouchableOpacity>
             
-            <TouchableOpacity 
-                style={styles.clearHistoryButton} 
-                onPress={clearAllHistory}
-            >
-                <Text style={styles.clearHistoryButtonText}>🗑️ Clear All History</Text>
-            </TouchableOpacity>
+            <View style={styles.historyTransferRow}>
+                <TouchableOpacity style={styles.historyTransferButton} onPress={exportHistory}>
+                    <Text style={styles.clearHistoryButtonText}>📤 Export</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.historyTransferButton} onPress={importHistory}>
+                    <Text style={styles.clearHistoryButtonText}>📥 Import</Text>
+                </TouchableOpacity>
+            </View>
+            
+            <View style={styles.historyTransferRow}>
+                <TouchableOpacity 
+                    style={[styles.clearHistoryButton, styles.historyRowButton]} 
+                    onPress={() => setDateRangeVisible(true)}
+                >
+                    <Text style={styles.clearHistoryButtonText}>🗓️ Delete by Date</Text>
+                </TouchableOpacity>
+                <TouchableOpacity 
+                    style={[styles.clearHistoryButton, styles.historyRowButton]} 
+                    onPress={clearAllHistory}
+                >
+                    <Text style={styles.clearHistoryButtonText}>🗑️ Clear All</Text>
+                </TouchableOpacity>
+            </View>
             
             {/* Game results list or empty state */}
             {gameResults.length === 0 ? (
@@ -191,9 +497,13 @@ const Results = ({ navigation }) => {
             ) : (
                 <FlatList
                     data={gameResults}
-                    keyExtractor={(item, index) => index.toString()}
+                    keyExtractor={(item) => item.id.toString()}
                     renderItem={renderGameResult}
                     style={styles.resultsLiveListPlaceholder}
+                    ListHeaderComponent={<ScoreCharts scoreTrend={scoreTrend} regionAccuracy={regionAccuracy} />}
+                    onEndReached={loadMoreGameResults}
+                    onEndReachedThreshold={0.5}
+                    ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.listFooterLoader} color="#007AFF" /> : null}
                     refreshControl={
                         <RefreshControl
                             refreshing={refreshing}
@@ -205,6 +515,59 @@ const Results = ({ navigation }) => {
                     showsVerticalScrollIndicator={false}
                 />
             )}
+
+            {/* Date range entry for deleting games */}
+            <Modal
+                visible={dateRangeVisible}
+                transparent
+                animationType="fade"
+                onRequestClose={() => setDateRangeVisible(false)}
+            >
+                <View style={styles.modalOverlay}>
+                    <View style={styles.modalContent}>
+                        <Text style={styles.gameNumber}>Delete Games by Date</Text>
+                        <Text style={styles.setupHintText}>Dates are inclusive, in YYYY-MM-DD format.</Text>
+                        <TextInput
+                            style={styles.typedAnswerInput}
+                            value={rangeFrom}
+                            onChangeText={setRangeFrom}
+                            placeholder="From (e.g. 2025-01-01)"
+                            autoCapitalize="none"
+                        />
+                        <TextInput
+                            style={styles.typedAnswerInput}
+                            value={rangeTo}
+                            onChangeText={setRangeTo}
+                            placeholder="To (e.g. 2025-01-31)"
+                            autoCapitalize="none"
+                        />
+                        <View style={styles.historyTransferRow}>
+                            <TouchableOpacity 
+                                style={[styles.historyTransferButton, styles.historyRowButton]} 
+                                onPress={() => setDateRangeVisible(false)}
+                            >
+                                <Text style={styles.clearHistoryButtonText}>Cancel</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity 
+                                style={[styles.clearHistoryButton, styles.historyRowButton]} 
+                                onPress={deleteDateRange}
+                            >
+                                <Text style={styles.clearHistoryButtonText}>Delete</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
+
+            {/* Undo banner shown for a short time after a deletion */}
+            {undoDeletion && (
+                <View style={styles.undoBanner}>
+                    <Text style={styles.undoBannerText}>{undoDeletion.message}</Text>
+                    <TouchableOpacity onPress={undoDelete}>
+                        <Text style={styles.undoBannerAction}>UNDO</Text>
+                    </TouchableOpacity>
+                </View>
+            )}
         </View>
     );
 };
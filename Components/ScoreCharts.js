@@ -0,0 +1,100 @@
+/**
+ * Score Charts Component
+ * Draws the score trend and region accuracy charts on the Results screen
+ */
+import React from 'react';
+import { View, Text, useWindowDimensions } from 'react-native';
+import { Svg, Path, Line, Rect } from 'react-native-svg';
+import { getLinePath, ROLLING_AVERAGE_WINDOW } from '../Operations/ChartData';
+import styles from '../AllStyles/styles';
+
+const TREND_HEIGHT = 140;
+const BAR_HEIGHT = 14;
+// Horizontal space taken by the screen and chart card padding
+const CHART_HORIZONTAL_PADDING = 70;
+
+/**
+ * ScoreCharts component for the Results screen
+ * @param {Array} scoreTrend - Points from buildScoreTrend, oldest first
+ * @param {Array} regionAccuracy - Rows from buildRegionAccuracy
+ */
+const ScoreCharts = ({ scoreTrend, regionAccuracy }) => {
+  const { width: windowWidth } = useWindowDimensions();
+  const chartWidth = windowWidth - CHART_HORIZONTAL_PADDING;
+
+  // A trend needs at least two games to draw a line
+  const showTrend = scoreTrend.length >= 2;
+  if (!showTrend && regionAccuracy.length === 0) return null;
+
+  return (
+    <View style={styles.gameResultItem}>
+      {showTrend && (
+        <View>
+          <Text style={styles.gameNumber}>Score Trend (last {scoreTrend.length} games)</Text>
+          <Svg width={chartWidth} height={TREND_HEIGHT} style={styles.chartCanvas}>
+            {/* Gridlines at 0%, 50% and 100% */}
+            {[0, 50, 100].map(percent => (
+              <Line
+                key={percent}
+                x1={0}
+                x2={chartWidth}
+                y1={TREND_HEIGHT - (percent / 100) * TREND_HEIGHT}
+                y2={TREND_HEIGHT - (percent / 100) * TREND_HEIGHT}
+                stroke="#e0e0e0"
+                strokeWidth={1}
+              />
+            ))}
+            <Path
+              d={getLinePath(scoreTrend.map(point => point.score), chartWidth, TREND_HEIGHT)}
+              stroke="#007AFF"
+              strokeWidth={2}
+              fill="none"
+            />
+            <Path
+              d={getLinePath(scoreTrend.map(point => point.rollingAverage), chartWidth, TREND_HEIGHT)}
+              stroke="#fd7e14"
+              strokeWidth={2}
+              strokeDasharray="6,4"
+              fill="none"
+            />
+          </Svg>
+          <View style={styles.chartLegend}>
+            <Text style={[styles.chartLegendText, styles.chartLegendScore]}>— Score</Text>
+            <Text style={[styles.chartLegendText, styles.chartLegendAverage]}>
+              - - {ROLLING_AVERAGE_WINDOW}-game average
+            </Text>
+          </View>
+        </View>
+      )}
+
+      {regionAccuracy.length > 0 && (
+        <View>
+          <Text style={styles.gameNumber}>Accuracy by Region</Text>
+          {regionAccuracy.map(row => (
+            <View key={row.region} style={styles.chartBarRow}>
+              <View style={styles.gameResultHeader}>
+                <Text style={styles.gameResultScore}>{row.region}</Text>
+                <Text style={styles.gameResultScore}>
+                  {row.accuracy}% ({row.correct}/{row.asked})
+                </Text>
+              </View>
+              <Svg width={chartWidth} height={BAR_HEIGHT}>
+                <Rect x={0} y={0} width={chartWidth} height={BAR_HEIGHT} rx={4} fill="#e9ecef" />
+                <Rect
+                  x={0}
+                  y={0}
+                  width={(row.accuracy / 100) * chartWidth}
+                  height={BAR_HEIGHT}
+                  rx={4}
+                  fill={row.accuracy >= 70 ? '#28a745' : '#dc3545'}
+                />
+              </Svg>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+export default ScoreCharts;
@@ -0,0 +1,143 @@
+/**
+ * Statistics Component
+ * Shows per-country answer statistics and the answers the player mixes up most
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, FlatList, RefreshControl } from 'react-native';
+import AnswersRepository from '../Operations/AnswersRepository';
+import styles from '../AllStyles/styles';
+
+// Number of confused pairs listed above the country statistics
+const CONFUSED_PAIRS_SHOWN = 10;
+
+/**
+ * Statistics component listing every country that has been asked, weakest first
+ */
+const Statistics = ({ navigation }) => {
+    const [countryStats, setCountryStats] = useState([]);
+    const [confusedPairs, setConfusedPairs] = useState([]);
+    const [refreshing, setRefreshing] = useState(false);
+
+    /**
+     * Loads the country statistics and confused pairs, both aggregated in SQL
+     */
+    const loadStatistics = async () => {
+        try {
+            const [stats, pairs] = await Promise.all([
+                AnswersRepository.getCountryStatistics(),
+                AnswersRepository.getMostConfusedPairs(CONFUSED_PAIRS_SHOWN)
+            ]);
+            setCountryStats(stats);
+            setConfusedPairs(pairs);
+        } catch (error) {
+            console.error('Error loading statistics:', error);
+        }
+    };
+
+    /**
+     * Handles pull-to-refresh functionality for the statistics
+     */
+    const handleRefresh = async () => {
+        setRefreshing(true);
+        await loadStatistics();
+        setRefreshing(false);
+    };
+
+    /**
+     * Reload the statistics whenever the screen is shown, e.g. after a game
+     */
+    useEffect(() => {
+        const unsubscribe = navigation.addListener('focus', loadStatistics);
+        return unsubscribe;
+    }, [navigation]);
+
+    /**
+     * Renders the most confused pairs table shown above the country list
+     */
+    const renderConfusedPairs = () => (
+        <View style={styles.gameResultItem}>
+            <Text style={styles.gameNumber}>Most Confused</Text>
+            {confusedPairs.length === 0 ? (
+                <Text style={styles.gameResultDate}>No wrong answers yet.</Text>
+            ) : (
+                confusedPairs.map(pair => (
+                    <View
+                        key={`${pair.country}|${pair.correct_answer}|${pair.user_answer}`}
+                        style={styles.confusedPairRow}
+                    >
+                        <Text style={styles.confusedPairText}>
+                            {pair.country} → {pair.user_answer}
+                        </Text>
+                        <Text style={styles.confusedPairTimes}>×{pair.times}</Text>
+                    </View>
+                ))
+            )}
+        </View>
+    );
+
+    /**
+     * Renders one country's statistics
+     * @param {Object} item - Statistics row for the country
+     */
+    const renderCountry = ({ item }) => (
+        <View style={styles.gameResultItem}>
+            <View style={styles.gameResultHeader}>
+                <Text style={styles.gameNumber}>{item.country}</Text>
+                <Text style={[
+                    styles.scorePercentage,
+                    item.accuracy >= 70 ? styles.goodScore : styles.poorScore
+                ]}>
+                    {item.accuracy}%
+                </Text>
+            </View>
+            <Text style={styles.gameResultScore}>
+                Correct {item.times_correct} of {item.times_asked} · Current streak: {item.current_streak}
+            </Text>
+            {item.common_wrong_answer ? (
+                <Text style={styles.gameResultScore}>
+                    Most common wrong answer: {item.common_wrong_answer} (×{item.common_wrong_times})
+                </Text>
+            ) : null}
+            <Text style={styles.gameResultDate}>
+                Last seen: {new Date(item.last_seen).toLocaleDateString()}
+            </Text>
+        </View>
+    );
+
+    /**
+     * Main component render
+     * Displays the confused pairs table followed by the country statistics
+     */
+    return (
+        <View style={styles.container}>
+            <Text style={styles.screenTitle}>Country Statistics</Text>
+
+            {countryStats.length === 0 ? (
+                <View style={styles.emptyContainer}>
+                    <Text style={styles.emptyText}>No answers yet.</Text>
+                    <Text style={styles.emptySubtext}>
+                        Play a game to see how well you know each country.
+                    </Text>
+                </View>
+            ) : (
+                <FlatList
+                    data={countryStats}
+                    keyExtractor={(item) => item.country}
+                    renderItem={renderCountry}
+                    ListHeaderComponent={renderConfusedPairs}
+                    refreshControl={
+                        <RefreshControl
+                            refreshing={refreshing}
+                            onRefresh={handleRefresh}
+                            colors={['#007AFF']}
+                            tintColor="#007AFF"
+                        />
+                    }
+                    showsVerticalScrollIndicator={false}
+                />
+            )}
+        </View>
+    );
+};
+
+export default Statistics;
@@ -0,0 +1,270 @@
+/**
+ * Weather Comparison Component
+ * Compares current weather across several capitals in one sortable table
+ * Favourite capitals are saved locally and selected whenever the screen opens
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, ScrollView, Alert } from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { getCapitalLocations, findCountry } from './CountriesData';
+import WeatherRepository from '../Operations/WeatherRepository';
+import {
+  MAX_COMPARED_CITIES,
+  COMPARISON_SORTS,
+  sortComparisonRows
+} from '../Operations/WeatherComparison';
+import {
+  defaultWeatherUnits,
+  formatTemperature,
+  formatPercentage
+} from '../Operations/WeatherFormat';
+import styles from '../AllStyles/styles';
+
+/**
+ * Weather comparison component with capital selection, favourites and the results table
+ */
+const WeatherCompare = () => {
+  const [selectedCountries, setSelectedCountries] = useState([]);
+  const [favourites, setFavourites] = useState([]);
+  const [units, setUnits] = useState(defaultWeatherUnits);
+  const [rows, setRows] = useState([]); // { country, city, weather, error } per compared capital
+  const [sort, setSort] = useState({ id: COMPARISON_SORTS.temperature.id, descending: true });
+
+  // Identifies the latest comparison so results from an older one are ignored
+  const comparisonId = useRef(0);
+
+  const capitals = getCapitalLocations();
+
+  /**
+   * Load the favourites, which start the selection, and the unit preference
+   */
+  useEffect(() => {
+    const loadPreferences = async () => {
+      try {
+        const [savedFavourites, savedUnits] = await Promise.all([
+          WeatherRepository.getFavourites(),
+          WeatherRepository.getUnits()
+        ]);
+        setFavourites(savedFavourites);
+        // Capitals picked while the favourites were loading are kept
+        setSelectedCountries(previous => (
+          previous.length ? previous : savedFavourites.slice(0, MAX_COMPARED_CITIES)
+        ));
+        setUnits(savedUnits);
+      } catch (error) {
+        console.error('Error loading weather preferences:', error);
+      }
+    };
+    loadPreferences();
+  }, []);
+
+  /**
+   * Adds a capital to the comparison
+   * @param {string} country - Country whose capital is added
+   */
+  const addCountry = (country) => {
+    if (!country || selectedCountries.includes(country)) return;
+    if (selectedCountries.length >= MAX_COMPARED_CITIES) {
+      Alert.alert('Comparison Full', `Up to ${MAX_COMPARED_CITIES} capitals can be compared at once.`);
+      return;
+    }
+    setSelectedCountries([...selectedCountries, country]);
+  };
+
+  /**
+   * Removes a capital from the comparison
+   * @param {string} country - Country whose capital is removed
+   */
+  const removeCountry = (country) => {
+    setSelectedCountries(selectedCountries.filter(selected => selected !== country));
+  };
+
+  /**
+   * Marks or unmarks a capital as a favourite and saves the favourites
+   * @param {string} country - Country whose capital is toggled
+   */
+  const toggleFavourite = async (country) => {
+    const updated = favourites.includes(country)
+      ? favourites.filter(favourite => favourite !== country)
+      : [...favourites, country];
+    setFavourites(updated);
+    try {
+      await WeatherRepository.saveFavourites(updated);
+    } catch (error) {
+      console.error('Error saving favourite capitals:', error);
+    }
+  };
+
+  /**
+   * Fetches every selected capital at once
+   * Each row updates as soon as its own request finishes, and a failed city
+   * shows its error without affecting the others
+   */
+  const compareWeather = () => {
+    if (selectedCountries.length === 0) {
+      Alert.alert('Error', 'Please select at least one capital');
+      return;
+    }
+    const currentComparison = ++comparisonId.current;
+    const countries = selectedCountries.map(findCountry);
+
+    setRows(countries.map(countryData => ({
+      country: countryData.country,
+      city: countryData.capital,
+      weather: null,
+      error: null
+    })));
+
+    /**
+     * Updates one row of the latest comparison
+     * @param {string} country - Country of the row
+     * @param {Object} changes - Fields to update
+     */
+    const updateRow = (country, changes) => {
+      if (comparisonId.current !== currentComparison) return;
+      setRows(previous => previous.map(row => (
+        row.country === country ? { ...row, ...changes } : row
+      )));
+    };
+
+    countries.forEach(async (countryData) => {
+      try {
+        const reading = await WeatherRepository.getCurrent({
+          city: countryData.capital,
+          countryCode: countryData.iso2,
+          lat: countryData.lat,
+          lon: countryData.lon
+        });
+        updateRow(countryData.country, { weather: reading.data });
+      } catch (error) {
+        console.error(`Weather error for ${countryData.capital}:`, error);
+        updateRow(countryData.country, { error: error.message || 'Failed to fetch weather data.' });
+      }
+    });
+  };
+
+  /**
+   * Sorts by a column, flipping the direction when it is already sorted by it
+   * @param {string} sortId - 'temperature', 'humidity' or 'conditions'
+   */
+  const changeSort = (sortId) => {
+    setSort(previous => ({
+      id: sortId,
+      // Warmest and most humid first, conditions A-Z
+      descending: previous.id === sortId ? !previous.descending : sortId !== COMPARISON_SORTS.conditions.id
+    }));
+  };
+
+  const sortedRows = sortComparisonRows(rows, sort.id, sort.descending);
+
+  /**
+   * Renders a sortable column heading
+   * @param {Object} column - Entry of COMPARISON_SORTS
+   * @param {Object} style - Column width style
+   */
+  const renderSortHeader = (column, style) => (
+    <TouchableOpacity key={column.id} style={style} onPress={() => changeSort(column.id)}>
+      <Text style={[styles.compareHeaderText, sort.id === column.id && styles.compareHeaderTextActive]}>
+        {column.label}{sort.id === column.id ? (sort.descending ? ' ▼' : ' ▲') : ''}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.weatherContent}>
+      <Text style={styles.screenTitle}>Compare Capitals</Text>
+
+      {/* Adds capitals to the comparison one at a time */}
+      <View style={styles.pickerContainer}>
+        <Picker
+          selectedValue=""
+          onValueChange={addCountry}
+          style={styles.picker}
+        >
+          <Picker.Item label="Add a capital city..." value="" />
+          {capitals.map(capital => (
+            <Picker.Item
+              key={capital.countryCode}
+              label={`${capital.city}, ${capital.country}`}
+              value={capital.country}
+            />
+          ))}
+        </Picker>
+      </View>
+
+      {/* Selected capitals; the star saves a capital as a favourite */}
+      <View style={styles.compareChipRow}>
+        {selectedCountries.map(country => (
+          <View key={country} style={styles.compareChip}>
+            <TouchableOpacity onPress={() => toggleFavourite(country)}>
+              <Text style={styles.compareChipStar}>{favourites.includes(country) ? '★' : '☆'}</Text>
+            </TouchableOpacity>
+            <Text style={styles.compareChipText}>{findCountry(country).capital}</Text>
+            <TouchableOpacity onPress={() => removeCountry(country)}>
+              <Text style={styles.compareChipRemove}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+      </View>
+
+      {/* Favourites not currently selected, so they can be added back quickly */}
+      {favourites.some(country => !selectedCountries.includes(country)) && (
+        <View style={styles.compareChipRow}>
+          {favourites
+            .filter(country => !selectedCountries.includes(country))
+            .map(country => (
+              <TouchableOpacity
+                key={country}
+                style={[styles.compareChip, styles.compareChipFavourite]}
+                onPress={() => addCountry(country)}
+              >
+                <Text style={styles.compareChipText}>★ {findCountry(country).capital}</Text>
+              </TouchableOpacity>
+            ))}
+        </View>
+      )}
+
+      <TouchableOpacity style={styles.weatherButton} onPress={compareWeather}>
+        <Text style={styles.weatherButtonText}>
+          Compare {selectedCountries.length} {selectedCountries.length === 1 ? 'Capital' : 'Capitals'}
+        </Text>
+      </TouchableOpacity>
+
+      {/* Comparison table, sorted by the tapped column */}
+      {rows.length > 0 && (
+        <View style={styles.weatherCard}>
+          <View style={[styles.compareRow, styles.compareHeaderRow]}>
+            <Text style={[styles.compareHeaderText, styles.compareCityColumn]}>City</Text>
+            {renderSortHeader(COMPARISON_SORTS.temperature, styles.compareNumberColumn)}
+            {renderSortHeader(COMPARISON_SORTS.humidity, styles.compareNumberColumn)}
+            {renderSortHeader(COMPARISON_SORTS.conditions, styles.compareConditionsColumn)}
+          </View>
+          {sortedRows.map(row => (
+            <View key={row.country} style={styles.compareRow}>
+              <Text style={[styles.compareCellText, styles.compareCityColumn]}>{row.city}</Text>
+              {row.weather ? (
+                <>
+                  <Text style={[styles.compareCellText, styles.compareNumberColumn]}>
+                    {formatTemperature(row.weather.temperatureC, units.temperature)}
+                  </Text>
+                  <Text style={[styles.compareCellText, styles.compareNumberColumn]}>
+                    {formatPercentage(row.weather.humidity)}
+                  </Text>
+                  <Text style={[styles.compareCellText, styles.compareConditionsColumn]}>
+                    {row.weather.description}
+                  </Text>
+                </>
+              ) : (
+                <Text style={[row.error ? styles.compareErrorText : styles.compareLoadingText, styles.compareMessageColumn]}>
+                  {row.error || 'Loading...'}
+                </Text>
+              )}
+            </View>
+          ))}
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+export default WeatherCompare;
@@ -0,0 +1,122 @@
+/**
+ * Answer Matching Module
+ * Compares typed answers against accepted names for the free-text quiz mode
+ * Tolerates case, diacritics, punctuation and small spelling mistakes, but never
+ * accepts a name that belongs to, or is nearer to, a different answer
+ */
+
+/**
+ * Normalises a name for comparison
+ * Lowercases, strips diacritics and punctuation, collapses whitespace and
+ * expands the "St" abbreviation so "St. George's" matches "Saint George's"
+ * @param {string} value - Raw name or typed answer
+ * @returns {string} Normalised comparison key
+ */
+export const normalizeAnswer = (value) => {
+  return (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove combining diacritical marks
+    .toLowerCase()
+    .replace(/['\u2019`]/g, '') // Drop apostrophes so "Sana'a" matches "Sanaa"
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/\bst\b/g, 'saint');
+};
+
+/**
+ * Calculates the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character edits
+ */
+export const levenshteinDistance = (a, b) => {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  // Single-row dynamic programming table
+  let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const currentRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      currentRow[j] = Math.min(
+        previousRow[j] + 1, // Deletion
+        currentRow[j - 1] + 1, // Insertion
+        previousRow[j - 1] + substitutionCost // Substitution
+      );
+    }
+    previousRow = currentRow;
+  }
+
+  return previousRow[b.length];
+};
+
+/**
+ * Returns how many typos are tolerated for a name of the given length
+ * Short names must be spelled exactly to avoid accepting a different city
+ * @param {number} length - Length of the normalised accepted name
+ * @returns {number} Maximum allowed edit distance
+ */
+export const getAllowedDistance = (length) => {
+  if (length <= 4) return 0;
+  if (length <= 8) return 1;
+  return 2;
+};
+
+/**
+ * Finds the smallest edit distance from the input to any of the names
+ * @param {string} normalizedInput - Normalised typed answer
+ * @param {Array} normalizedNames - Normalised names
+ * @returns {number} Smallest distance, Infinity when there are no names
+ */
+const getClosestDistance = (normalizedInput, normalizedNames) => {
+  return normalizedNames.reduce(
+    (closest, name) => Math.min(closest, levenshteinDistance(normalizedInput, name)),
+    Infinity
+  );
+};
+
+/**
+ * Checks a typed answer against the accepted names for a question
+ * A typo is only forgiven when the input is not another answer's name and is
+ * strictly nearer to an accepted name than to any other answer, so "Austria" is
+ * not accepted for Australia nor "Praia" for Prague
+ * @param {string} input - Text typed by the player
+ * @param {Array} acceptedNames - Canonical answer followed by any alternate names
+ * @param {Array} otherNames - Names and alternate names of every other answer in the quiz
+ * @returns {Object} { isCorrect, matchType } where matchType is 'exact', 'fuzzy' or null
+ */
+export const matchTypedAnswer = (input, acceptedNames, otherNames = []) => {
+  const normalizedInput = normalizeAnswer(input);
+  if (!normalizedInput) {
+    return { isCorrect: false, matchType: null };
+  }
+
+  const normalizedNames = acceptedNames.map(normalizeAnswer);
+
+  // Exact match after normalisation (case, diacritics, punctuation, alternate names)
+  if (normalizedNames.includes(normalizedInput)) {
+    return { isCorrect: true, matchType: 'exact' };
+  }
+
+  // Fuzzy match within a length-scaled edit distance
+  const isWithinDistance = normalizedNames.some(name =>
+    levenshteinDistance(normalizedInput, name) <= getAllowedDistance(name.length)
+  );
+  if (!isWithinDistance) {
+    return { isCorrect: false, matchType: null };
+  }
+
+  // A name shared with the correct answer does not count against it
+  const normalizedOthers = otherNames
+    .map(normalizeAnswer)
+    .filter(name => !normalizedNames.includes(name));
+  const isFuzzyMatch = getClosestDistance(normalizedInput, normalizedNames)
+    < getClosestDistance(normalizedInput, normalizedOthers);
+
+  return isFuzzyMatch
+    ? { isCorrect: true, matchType: 'fuzzy' }
+    : { isCorrect: false, matchType: null };
+};
@@ -0,0 +1,117 @@
+/**
+ * Answers Repository
+ * Data access for answer history used by the screens
+ * Every answer is stored once in all_answers; wrong answers are read from the same rows
+ */
+import {
+  initializeDatabase,
+  insertAnswer,
+  getAllAnswers,
+  getAnswersPage,
+  getAnswersForGame,
+  getIncorrectAnswers,
+  getConfusedPairs,
+  getCountryStatistics,
+  getMostConfusedPairs
+} from './DbOperations';
+
+const AnswersRepository = {
+  /**
+   * Records one answered question
+   * @param {Object} answer - Answer details
+   * @param {number} answer.gameId - Game session the answer belongs to
+   * @param {string} answer.country - Country the question was about
+   * @param {string} answer.userAnswer - Answer given by the player
+   * @param {string} answer.correctAnswer - Expected answer
+   * @param {boolean} answer.isCorrect - Whether the answer was correct
+   * @param {number} answer.questionNumber - Question position in the game (1-based)
+   * @param {string} answer.questionMode - Question type key
+   * @param {string|null} answer.matchType - 'exact' or 'fuzzy' for typed answers
+   * @param {number|null} answer.responseTimeMs - Time taken to answer in milliseconds
+   * @param {Array} answer.hintsUsed - Keys of hints used on the question
+   * @returns {Promise} Promise that resolves when the answer is stored
+   */
+  record: async ({
+    gameId,
+    country,
+    userAnswer,
+    correctAnswer,
+    isCorrect,
+    questionNumber,
+    questionMode = 'capital',
+    matchType = null,
+    responseTimeMs = null,
+    hintsUsed = []
+  }) => {
+    await initializeDatabase();
+    return insertAnswer(gameId, country, userAnswer, correctAnswer, isCorrect, questionNumber, questionMode, matchType, responseTimeMs, hintsUsed);
+  },
+
+  /**
+   * Retrieves every stored answer, newest first
+   * @returns {Promise<Array>} Promise that resolves to array of answer records
+   */
+  getAll: async () => {
+    await initializeDatabase();
+    return getAllAnswers();
+  },
+
+  /**
+   * Retrieves one page of stored answers, newest first
+   * @param {Object|null} cursor - nextCursor from the previous page, null for the first page
+   * @returns {Promise<Object>} Promise that resolves to { items, nextCursor }
+   */
+  getPage: async (cursor = null) => {
+    await initializeDatabase();
+    return getAnswersPage(cursor);
+  },
+
+  /**
+   * Retrieves the answers of one game in question order
+   * @param {number} gameId - Game session identifier
+   * @returns {Promise<Array>} Promise that resolves to array of answer records
+   */
+  getForGame: async (gameId) => {
+    await initializeDatabase();
+    return getAnswersForGame(gameId);
+  },
+
+  /**
+   * Retrieves every wrong answer, newest first
+   * @returns {Promise<Array>} Promise that resolves to array of incorrect answer records
+   */
+  getIncorrect: async () => {
+    await initializeDatabase();
+    return getIncorrectAnswers();
+  },
+
+  /**
+   * Retrieves how often each wrong answer was given for each correct answer
+   * @returns {Promise<Array>} Promise that resolves to rows of { correct_answer, user_answer, times }
+   */
+  getConfusedPairs: async () => {
+    await initializeDatabase();
+    return getConfusedPairs();
+  },
+
+  /**
+   * Retrieves per-country accuracy, streak, last-seen and most common wrong answer
+   * @returns {Promise<Array>} Promise that resolves to one row per country asked, weakest first
+   */
+  getCountryStatistics: async () => {
+    await initializeDatabase();
+    return getCountryStatistics();
+  },
+
+  /**
+   * Retrieves the country and wrong answer pairs the player mixes up most
+   * @param {number} limit - Maximum number of pairs to return
+   * @returns {Promise<Array>} Promise that resolves to rows of { country, correct_answer, user_answer, times, last_confused }
+   */
+  getMostConfusedPairs: async (limit = 10) => {
+    await initializeDatabase();
+    return getMostConfusedPairs(limit);
+  }
+};
+
+export default AnswersRepository;
@@ -0,0 +1,80 @@
+/**
+ * Chart Data Module
+ * Shapes game history into the series drawn by the Results charts
+ * Every function is pure: the same rows always give the same chart data
+ */
+import { regions, findCountry } from '../Components/CountriesData';
+
+// Number of games averaged by the rolling average line
+export const ROLLING_AVERAGE_WINDOW = 5;
+
+/**
+ * Builds the score trend series with a trailing rolling average
+ * @param {Array} games - Completed game rows { id, game_date, score_percentage }, oldest first
+ * @param {number} windowSize - Number of games in each rolling average
+ * @returns {Array} Points { gameId, date, score, rollingAverage } in game order
+ */
+export const buildScoreTrend = (games, windowSize = ROLLING_AVERAGE_WINDOW) => {
+  let windowSum = 0;
+  return games.map((game, index) => {
+    const score = Number(game.score_percentage);
+    windowSum += score;
+    if (index >= windowSize) {
+      windowSum -= Number(games[index - windowSize].score_percentage);
+    }
+    const count = Math.min(index + 1, windowSize);
+    return {
+      gameId: game.id,
+      date: game.game_date,
+      score,
+      rollingAverage: Math.round((windowSum / count) * 10) / 10
+    };
+  });
+};
+
+/**
+ * Totals answer accuracy by world region
+ * Countries no longer in the quiz data are left out
+ * @param {Array} countryStats - Rows of { country, times_asked, times_correct }
+ * @returns {Array} { region, asked, correct, accuracy } for each region with answers, in region order
+ */
+export const buildRegionAccuracy = (countryStats) => {
+  const totals = {};
+  countryStats.forEach((row) => {
+    const countryData = findCountry(row.country);
+    if (!countryData) return;
+    const total = totals[countryData.region] || { asked: 0, correct: 0 };
+    total.asked += row.times_asked;
+    total.correct += row.times_correct;
+    totals[countryData.region] = total;
+  });
+
+  return regions
+    .filter(region => totals[region])
+    .map(region => ({
+      region,
+      asked: totals[region].asked,
+      correct: totals[region].correct,
+      accuracy: Math.round((totals[region].correct / totals[region].asked) * 1000) / 10
+    }));
+};
+
+/**
+ * Converts percentages into an SVG path for a line chart
+ * Values are spread evenly across the width; 0% sits on the bottom edge and 100% on the top
+ * @param {Array} values - Percentages (0-100) in drawing order
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ * @returns {string} SVG path data, empty when there are no values
+ */
+export const getLinePath = (values, width, height) => {
+  if (values.length === 0) return '';
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  return values
+    .map((value, index) => {
+      const x = values.length > 1 ? index * step : width / 2;
+      const y = height - (Math.max(0, Math.min(100, value)) / 100) * height;
+      return `${index === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+};
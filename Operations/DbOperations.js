@@ -2,116 +2,149 @@
  * Database Operations Module
  * Handles SQLite database interactions for quiz data persistence
  * Manages game results, user answers, and database lifecycle operations
+ * Uses expo-sqlite's asynchronous API so queries run off the JS thread.
+ * Every write goes through a shared queue, so writes never interleave and
+ * transactions cannot pick up another caller's writes.
  */
 import * as SQLite from 'expo-sqlite';
+import { createCard, reviewCard } from './SpacedRepetition';
+import { runMigrations } from './Migrations';
+import { getGameHash, getAnswerHash } from './HistoryTransfer';
+import { TIME_EXPIRED_ANSWER } from './GameSettings';
 
-let db;
+let connection; // Shared promise for the database connection
+let initialization; // Shared promise so migrations only run once per app launch
+let writeQueue = Promise.resolve(); // Tail of the queue every write waits on
+const statements = new Map(); // Prepared statements for frequently run writes, keyed by SQL
+
+// Number of rows the history screens load per page
+export const HISTORY_PAGE_SIZE = 20;
 
 /**
  * Establishes and returns database connection
  * Creates database instance if it doesn't exist
- * @returns {Object} SQLite database connection
+ * @returns {Promise<Object>} Promise that resolves to the SQLite database connection
  */
 export function getDBConnection() {
-  if (!db) {
-    db = SQLite.openDatabaseSync('mydb.db'); // Synchronous database initialization
+  if (!connection) {
+    connection = SQLite.openDatabaseAsync('mydb.db');
+    // Allow a retry on the next call if the database could not be opened
+    connection.catch(() => {
+      connection = null;
+    });
   }
-  return db;
+  return connection;
 }
 
 /**
- * Creates the incorrect_answers table for legacy compatibility
- * Stores only incorrect user responses with timestamp
- * @returns {Promise} Promise that resolves when table is created
- */
-
-export function createTable() {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      db.execSync(`CREATE TABLE IF NOT EXISTS incorrect_answers (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        country TEXT,
-        user_answer TEXT,
-        correct_answer TEXT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-      );`);
-      resolve();
-    } catch (error) {
-      reject(error);
-    }
-  });
+ * Runs a write operation after every previously queued write has settled
+ * A failed write rejects only its own caller; the queue carries on with the next one
+ * @param {Function} operation - Async function receiving the database connection
+ * @returns {Promise} Promise that resolves or rejects with the operation's result
+ */
+function enqueueWrite(operation) {
+  const result = writeQueue.then(async () => operation(await getDBConnection()));
+  writeQueue = result.catch(() => {});
+  return result;
 }
 
 /**
- * Creates comprehensive answers table for all user responses
- * Stores both correct and incorrect answers with game association
- * @returns {Promise} Promise that resolves when table is created
- */
-export function createAllAnswersTable() {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      // Recreate table to ensure proper schema structure
-      db.execSync(`DROP TABLE IF EXISTS all_answers;`);
-      // Create table with foreign key relationship to game results
-      db.execSync(`CREATE TABLE all_answers (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        game_id INTEGER,
-        country TEXT,
-        user_answer TEXT,
-        correct_answer TEXT,
-        is_correct INTEGER,
-        question_number INTEGER,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (game_id) REFERENCES game_results (id)
-      );`);
-      console.log('All answers table created successfully with game_id column');
-      resolve();
-    } catch (error) {
-      console.error('Error creating all answers table:', error);
-      reject(error);
-    }
-  });
+ * Runs a write through a cached prepared statement
+ * Statements are prepared once per connection and reused for every later call
+ * @param {Object} db - SQLite database connection
+ * @param {string} sql - SQL statement with ? placeholders
+ * @param {Array} params - Values bound to the placeholders
+ * @returns {Promise<Object>} Promise that resolves to { lastInsertRowId, changes }
+ */
+async function runPrepared(db, sql, params) {
+  if (!statements.has(sql)) {
+    const preparing = db.prepareAsync(sql);
+    statements.set(sql, preparing);
+    preparing.catch(() => statements.delete(sql));
+  }
+  const statement = await statements.get(sql);
+  const { lastInsertRowId, changes } = await statement.executeAsync(params);
+  return { lastInsertRowId, changes };
 }
 
 /**
- * Inserts incorrect answer record for backward compatibility
- * @param {string} country - Country name from the question
- * @param {string} userAnswer - User's selected answer
- * @param {string} correctAnswer - The correct capital city
- * @returns {Promise} Promise that resolves when record is inserted
+ * Brings the database schema up to date once per app launch
+ * Applies pending migrations without touching existing data, then recovers
+ * games that were still in progress when the app last closed and permanently
+ * removes games deleted in an earlier session
+ * Later calls reuse the first initialization instead of migrating again
+ * @returns {Promise} Promise that resolves when the database is ready
  */
+export function initializeDatabase() {
+  if (!initialization) {
+    initialization = enqueueWrite(async (db) => {
+      const version = await runMigrations(db);
+      console.log('Database schema at version', version);
+      const abandoned = await abandonOrphanedGames(db);
+      if (abandoned > 0) {
+        console.log('Marked interrupted games as abandoned:', abandoned);
+      }
+      // Deletions from a previous session can no longer be undone
+      await purgeDeleted(db, new Date());
+    });
+    // Allow a retry on the next call if setup failed
+    initialization.catch((error) => {
+      console.error('Error migrating database:', error);
+      initialization = null;
+    });
+  }
+  return initialization;
+}
 
-export function insertIncorrectAnswer(country, userAnswer, correctAnswer) {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      db.runSync(
-        `INSERT INTO incorrect_answers (country, user_answer, correct_answer) VALUES (?, ?, ?)`,
-        [country, userAnswer, correctAnswer]
-      );
-      resolve();
-    } catch (error) {
-      reject(error);
-    }
+/**
+ * Marks games left in progress by a previous app session as abandoned
+ * The most recently saved game with progress is kept so the player can resume it
+ * Run once on startup, before any new game is created
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<number>} Promise that resolves to the number of games marked abandoned
+ */
+async function abandonOrphanedGames(db) {
+  let abandoned = 0;
+  await db.withTransactionAsync(async () => {
+    const result = await db.runAsync(
+      `UPDATE game_results SET status = 'abandoned'
+       WHERE status = 'in_progress'
+         AND id NOT IN (SELECT game_id FROM game_progress ORDER BY updated_at DESC LIMIT 1)`
+    );
+    abandoned = result.changes;
+    await db.runAsync(
+      `DELETE FROM game_progress
+       WHERE game_id NOT IN (SELECT id FROM game_results WHERE status = 'in_progress')`
+    );
   });
+  return abandoned;
 }
 
 /**
- * Retrieves all incorrect answers from legacy table
- * @returns {Promise<Array>} Promise that resolves to array of incorrect answer records
+ * Permanently removes soft-deleted games and answers
+ * @param {Object} db - SQLite database connection
+ * @param {Date} before - Only rows deleted before this time are removed
+ * @returns {Promise<number>} Promise that resolves to the number of games removed
  */
-export function getIncorrectAnswers() {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      const result = db.getAllSync(`SELECT * FROM incorrect_answers ORDER BY timestamp DESC`);
-      resolve(result);
-    } catch (error) {
-      reject(error);
-    }
+async function purgeDeleted(db, before) {
+  const cutoff = before.toISOString();
+  let purged = 0;
+  await db.withTransactionAsync(async () => {
+    await db.runAsync(`DELETE FROM all_answers WHERE deleted_at IS NOT NULL AND deleted_at < ?`, [cutoff]);
+    const result = await db.runAsync(`DELETE FROM game_results WHERE deleted_at IS NOT NULL AND deleted_at < ?`, [cutoff]);
+    purged = result.changes;
   });
+  return purged;
+}
+
+/**
+ * Retrieves all incorrect answers
+ * Reads the incorrect_answers compatibility view over all_answers
+ * @returns {Promise<Array>} Promise that resolves to array of incorrect answer records
+ */
+export async function getIncorrectAnswers() {
+  const db = await getDBConnection();
+  return db.getAllAsync(`SELECT * FROM incorrect_answers ORDER BY timestamp DESC`);
 }
 
 /**
@@ -120,23 +153,22 @@ export function getIncorrectAnswers() {
  * @param {number|null} gameId - Associated game session ID
  * @param {string} country - Country name from question
  * @param {string} userAnswer - User's selected answer
- * @param {string} correctAnswer - Correct capital city
+ * @param {string} correctAnswer - Correct capital city (or country in reverse mode)
  * @param {boolean} isCorrect - Whether the answer was correct
  * @param {number} questionNumber - Question position in game (1-based)
+ * @param {string} questionMode - Question type: 'capital', 'country', 'flag' or 'outline'
+ * @param {string|null} matchType - 'exact' or 'fuzzy' for typed answers, null for multiple choice
+ * @param {number|null} responseTimeMs - Time taken to answer in milliseconds
+ * @param {Array} hintsUsed - Keys of hints used on the question, in the order used
  * @returns {Promise} Promise that resolves when record is inserted
  */
-export function insertAnswer(gameId, country, userAnswer, correctAnswer, isCorrect, questionNumber) {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      db.runSync(
-        `INSERT INTO all_answers (game_id, country, user_answer, correct_answer, is_correct, question_number) VALUES (?, ?, ?, ?, ?, ?)`,
-        [gameId, country, userAnswer, correctAnswer, isCorrect ? 1 : 0, questionNumber]
-      );
-      resolve();
-    } catch (error) {
-      reject(error);
-    }
+export function insertAnswer(gameId, country, userAnswer, correctAnswer, isCorrect, questionNumber, questionMode = 'capital', matchType = null, responseTimeMs = null, hintsUsed = []) {
+  return enqueueWrite(async (db) => {
+    await runPrepared(
+      db,
+      `INSERT INTO all_answers (game_id, country, user_answer, correct_answer, is_correct, question_number, question_mode, match_type, response_time_ms, hints_used) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [gameId, country, userAnswer, correctAnswer, isCorrect ? 1 : 0, questionNumber, questionMode, matchType, responseTimeMs, hintsUsed.length > 0 ? hintsUsed.join(',') : null]
+    );
   });
 }
 
@@ -144,16 +176,37 @@ export function insertAnswer(gameId, country, userAnswer, correctAnswer, isCorre
  * Retrieves all answer records from current session
  * @returns {Promise<Array>} Promise that resolves to array of all answer records
  */
-export function getAllAnswers() {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      const result = db.getAllSync(`SELECT * FROM all_answers ORDER BY timestamp DESC`);
-      resolve(result);
-    } catch (error) {
-      reject(error);
-    }
-  });
+export async function getAllAnswers() {
+  const db = await getDBConnection();
+  return db.getAllAsync(`SELECT * FROM all_answers WHERE deleted_at IS NULL ORDER BY timestamp DESC`);
+}
+
+/**
+ * Retrieves one page of answer records, newest first
+ * Pages are keyed on (timestamp, id) so rows added while scrolling never shift later pages
+ * @param {Object|null} cursor - nextCursor from the previous page, null for the first page
+ * @param {number} limit - Maximum number of records in the page
+ * @returns {Promise<Object>} Promise that resolves to { items, nextCursor }; nextCursor is null on the last page
+ */
+export async function getAnswersPage(cursor = null, limit = HISTORY_PAGE_SIZE) {
+  const db = await getDBConnection();
+  const items = cursor
+    ? await db.getAllAsync(
+      `SELECT * FROM all_answers
+       WHERE deleted_at IS NULL AND (timestamp, id) < (?, ?)
+       ORDER BY timestamp DESC, id DESC
+       LIMIT ?`,
+      [cursor.timestamp, cursor.id, limit]
+    )
+    : await db.getAllAsync(
+      `SELECT * FROM all_answers WHERE deleted_at IS NULL ORDER BY timestamp DESC, id DESC LIMIT ?`,
+      [limit]
+    );
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor: items.length === limit ? { timestamp: last.timestamp, id: last.id } : null
+  };
 }
 
 /**
@@ -161,19 +214,86 @@ export function getAllAnswers() {
  * @param {number} gameId - Game session identifier
  * @returns {Promise<Array>} Promise that resolves to array of game-specific answers
  */
-export function getAnswersForGame(gameId) {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      const result = db.getAllSync(
-        `SELECT * FROM all_answers WHERE game_id = ? ORDER BY question_number ASC`,
-        [gameId]
-      );
-      resolve(result);
-    } catch (error) {
-      reject(error);
-    }
-  });
+export async function getAnswersForGame(gameId) {
+  const db = await getDBConnection();
+  return db.getAllAsync(
+    `SELECT * FROM all_answers WHERE game_id = ? ORDER BY question_number ASC`,
+    [gameId]
+  );
+}
+
+/**
+ * Retrieves how often each wrong answer was given for each correct answer
+ * Used by the distractor engine to offer options the player tends to confuse
+ * @returns {Promise<Array>} Promise that resolves to rows of { correct_answer, user_answer, times }
+ */
+export async function getConfusedPairs() {
+  const db = await getDBConnection();
+  return db.getAllAsync(
+    `SELECT correct_answer, user_answer, COUNT(*) AS times
+     FROM all_answers
+     WHERE is_correct = 0 AND deleted_at IS NULL
+     GROUP BY correct_answer, user_answer`
+  );
+}
+
+/**
+ * Calculates answer statistics for every country that has been asked
+ * The current streak counts correct answers since the country was last missed;
+ * the most common wrong answer ignores questions where the timer ran out
+ * @returns {Promise<Array>} Promise that resolves to rows of { country, times_asked, times_correct,
+ * accuracy, current_streak, last_seen, common_wrong_answer, common_wrong_times }, weakest first
+ */
+export async function getCountryStatistics() {
+  const db = await getDBConnection();
+  return db.getAllAsync(
+    `WITH ranked AS (
+       SELECT country, is_correct, timestamp,
+              ROW_NUMBER() OVER (PARTITION BY country ORDER BY timestamp DESC, id DESC) AS recency
+       FROM all_answers
+       WHERE deleted_at IS NULL
+     ),
+     wrong_answers AS (
+       SELECT country, user_answer, COUNT(*) AS times,
+              ROW_NUMBER() OVER (PARTITION BY country ORDER BY COUNT(*) DESC, MAX(timestamp) DESC) AS rank
+       FROM all_answers
+       WHERE is_correct = 0 AND user_answer != ? AND deleted_at IS NULL
+       GROUP BY country, user_answer
+     )
+     SELECT ranked.country,
+            COUNT(*) AS times_asked,
+            SUM(ranked.is_correct) AS times_correct,
+            ROUND(100.0 * SUM(ranked.is_correct) / COUNT(*), 1) AS accuracy,
+            COALESCE(MIN(CASE WHEN ranked.is_correct = 0 THEN ranked.recency END) - 1, COUNT(*)) AS current_streak,
+            MAX(ranked.timestamp) AS last_seen,
+            wrong_answers.user_answer AS common_wrong_answer,
+            wrong_answers.times AS common_wrong_times
+     FROM ranked
+     LEFT JOIN wrong_answers ON wrong_answers.country = ranked.country AND wrong_answers.rank = 1
+     GROUP BY ranked.country
+     ORDER BY accuracy ASC, times_asked DESC, ranked.country ASC`,
+    [TIME_EXPIRED_ANSWER]
+  );
+}
+
+/**
+ * Retrieves the wrong answers given most often for a country, e.g. Slovakia → Ljubljana
+ * Questions where the timer ran out are not confusions and are left out
+ * @param {number} limit - Maximum number of pairs to return
+ * @returns {Promise<Array>} Promise that resolves to rows of { country, correct_answer, user_answer,
+ * times, last_confused }, most frequent first
+ */
+export async function getMostConfusedPairs(limit = 10) {
+  const db = await getDBConnection();
+  return db.getAllAsync(
+    `SELECT country, correct_answer, user_answer, COUNT(*) AS times, MAX(timestamp) AS last_confused
+     FROM all_answers
+     WHERE is_correct = 0 AND user_answer != ? AND deleted_at IS NULL
+     GROUP BY country, correct_answer, user_answer
+     ORDER BY times DESC, last_confused DESC
+     LIMIT ?`,
+    [TIME_EXPIRED_ANSWER, limit]
+  );
 }
 
 /**
@@ -181,116 +301,516 @@ export function getAnswersForGame(gameId) {
  * Removes game results, answers, and legacy incorrect answer data
  * @returns {Promise} Promise that resolves when all data is cleared
  */
-
 export function clearDatabase() {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      db.runSync(`DELETE FROM incorrect_answers`);
-      db.runSync(`DELETE FROM all_answers`); // Remove comprehensive answer records
-      db.runSync(`DELETE FROM game_results`); // Remove game session data
-      resolve();
-    } catch (error) {
-      reject(error);
-    }
+  return enqueueWrite(async (db) => {
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(`DELETE FROM all_answers`); // Remove comprehensive answer records
+      await db.runAsync(`DELETE FROM game_progress`); // Remove saved in-progress games
+      await db.runAsync(`DELETE FROM game_results`); // Remove game session data
+      await db.runAsync(`DELETE FROM country_reviews`); // Reset practice schedule
+    });
   });
 }
 
 /**
- * Creates the game results table for storing completed game sessions
- * Stores game performance metrics and completion timestamps
- * @returns {Promise} Promise that resolves when table is created
- */
-export const createGameResultsTable = () => {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      db.execSync(`
-        CREATE TABLE IF NOT EXISTS game_results (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          total_questions INTEGER NOT NULL,
-          correct_answers INTEGER NOT NULL,
-          wrong_answers INTEGER NOT NULL,
-          score_percentage REAL NOT NULL,
-          game_date TEXT NOT NULL
+ * Soft-deletes finished games and their answers
+ * The rows stay in the database until purged so the deletion can be undone
+ * @param {Array} gameIds - IDs of the games to delete
+ * @returns {Promise<Array>} Promise that resolves to the IDs of the games that were deleted
+ */
+export const deleteGames = (gameIds) => {
+  return enqueueWrite(async (db) => {
+    const deletedAt = new Date().toISOString();
+    const deleted = [];
+    await db.withTransactionAsync(async () => {
+      for (const gameId of gameIds) {
+        const result = await db.runAsync(
+          `UPDATE game_results SET deleted_at = ?
+           WHERE id = ? AND status != 'in_progress' AND deleted_at IS NULL`,
+          [deletedAt, gameId]
         );
-      `);
-      console.log('Game results table created successfully');
-      resolve();
-    } catch (error) {
-      console.error('Error creating game results table:', error);
-      reject(error);
-    }
+        if (result.changes === 0) continue;
+        await db.runAsync(`UPDATE all_answers SET deleted_at = ? WHERE game_id = ?`, [deletedAt, gameId]);
+        deleted.push(gameId);
+      }
+    });
+    return deleted;
+  });
+};
+
+/**
+ * Soft-deletes every finished game played within a date range, with its answers
+ * @param {Date} start - Start of the range (inclusive)
+ * @param {Date} end - End of the range (exclusive)
+ * @returns {Promise<Array>} Promise that resolves to the IDs of the games that were deleted
+ */
+export const deleteGamesBetween = async (start, end) => {
+  const db = await getDBConnection();
+  const games = await db.getAllAsync(
+    `SELECT id FROM game_results
+     WHERE status != 'in_progress' AND deleted_at IS NULL AND game_date >= ? AND game_date < ?`,
+    [start.toISOString(), end.toISOString()]
+  );
+  return deleteGames(games.map(game => game.id));
+};
+
+/**
+ * Restores soft-deleted games and their answers
+ * @param {Array} gameIds - IDs returned when the games were deleted
+ * @returns {Promise} Promise that resolves when the games are restored
+ */
+export const restoreGames = (gameIds) => {
+  return enqueueWrite(async (db) => {
+    await db.withTransactionAsync(async () => {
+      for (const gameId of gameIds) {
+        await db.runAsync(`UPDATE game_results SET deleted_at = NULL WHERE id = ?`, [gameId]);
+        await db.runAsync(`UPDATE all_answers SET deleted_at = NULL WHERE game_id = ?`, [gameId]);
+      }
+    });
   });
 };
 
 /**
- * Inserts completed game result record
- * Stores game performance data and returns the generated game ID
+ * Permanently removes games that were deleted before a given time
+ * @param {Date} before - Games deleted before this time are removed
+ * @returns {Promise<number>} Promise that resolves to the number of games removed
+ */
+export const purgeDeletedGames = (before) => {
+  return enqueueWrite(db => purgeDeleted(db, before));
+};
+
+/**
+ * Starts a new game session
+ * The game is stored as in_progress so answers can be written against its ID
  * @param {number} totalQuestions - Number of questions in the game
+ * @param {number|null} timeLimitSeconds - Per-question time limit, null for untimed games
+ * @param {number|null} seed - Seed the game's questions and options are generated from
+ * @param {Object|null} gameSettings - Settings the game is played with, stored as JSON
+ * @returns {Promise<number>} Promise that resolves to the new game ID
+ */
+export const createGame = (totalQuestions, timeLimitSeconds = null, seed = null, gameSettings = null) => {
+  return enqueueWrite(async (db) => {
+    const currentDate = new Date().toISOString();
+    const result = await db.runAsync(
+      `INSERT INTO game_results (total_questions, correct_answers, wrong_answers, score_percentage, game_date, time_limit_seconds, seed, game_settings, status) VALUES (?, 0, 0, 0, ?, ?, ?, ?, 'in_progress')`,
+      [totalQuestions, currentDate, timeLimitSeconds, seed, gameSettings ? JSON.stringify(gameSettings) : null]
+    );
+    console.log('Game session started:', result.lastInsertRowId);
+    return result.lastInsertRowId;
+  });
+};
+
+/**
+ * Records the final result of a game session and marks it completed
+ * Runs in a single transaction so a game is never left half-completed
+ * @param {number} gameId - Game session identifier
  * @param {number} correctAnswers - Number of correct responses
  * @param {number} wrongAnswers - Number of incorrect responses
  * @param {number} scorePercentage - Final score as percentage
- * @returns {Promise<number>} Promise that resolves to the new game ID
+ * @param {number|null} totalPoints - Points earned across all questions
+ * @param {number|null} totalTimeMs - Sum of all response times in milliseconds
+ * @returns {Promise} Promise that resolves when the game is completed
  */
+export const completeGame = (gameId, correctAnswers, wrongAnswers, scorePercentage, totalPoints = null, totalTimeMs = null) => {
+  return enqueueWrite(async (db) => {
+    await db.withTransactionAsync(async () => {
+      const game = await db.getFirstAsync(`SELECT status FROM game_results WHERE id = ?`, [gameId]);
+      if (!game || game.status !== 'in_progress') {
+        throw new Error(`Game ${gameId} is not in progress`);
+      }
+      await db.runAsync(
+        `UPDATE game_results
+         SET correct_answers = ?, wrong_answers = ?, score_percentage = ?, total_points = ?, total_time_ms = ?,
+             status = 'completed', completed_at = ?
+         WHERE id = ?`,
+        [correctAnswers, wrongAnswers, scorePercentage, totalPoints, totalTimeMs, new Date().toISOString(), gameId]
+      );
+      await db.runAsync(`DELETE FROM game_progress WHERE game_id = ?`, [gameId]);
+    });
+    console.log('Game result saved successfully');
+  });
+};
 
-export const insertGameResult = (totalQuestions, correctAnswers, wrongAnswers, scorePercentage) => {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      const currentDate = new Date().toISOString();
-      const result = db.runSync(
-        `INSERT INTO game_results (total_questions, correct_answers, wrong_answers, score_percentage, game_date) VALUES (?, ?, ?, ?, ?)`,
-        [totalQuestions, correctAnswers, wrongAnswers, scorePercentage, currentDate]
+/**
+ * Marks an unfinished game session as abandoned
+ * Its answers are kept for practice history but it is not listed in results
+ * @param {number} gameId - Game session identifier
+ * @returns {Promise} Promise that resolves when the game is updated
+ */
+export const abandonGame = (gameId) => {
+  return enqueueWrite(async (db) => {
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(
+        `UPDATE game_results SET status = 'abandoned' WHERE id = ? AND status = 'in_progress'`,
+        [gameId]
       );
+      await db.runAsync(`DELETE FROM game_progress WHERE game_id = ?`, [gameId]);
+    });
+  });
+};
 
-      console.log('Game result saved successfully'); 
-      resolve(result.lastInsertRowId); // Return generated game ID for linking answers
-    } catch (error) {
-      console.error('Error inserting game result:', error);
-      reject(error);
-    }
+/**
+ * Saves the state of an in-progress game so it can be resumed after a restart
+ * @param {number} gameId - Game session identifier
+ * @param {Object} state - Snapshot of the game screen state, stored as JSON
+ * @returns {Promise} Promise that resolves when the snapshot is saved
+ */
+export const saveGameProgress = (gameId, state) => {
+  return enqueueWrite(async (db) => {
+    await runPrepared(
+      db,
+      `INSERT OR REPLACE INTO game_progress (game_id, state, updated_at) VALUES (?, ?, ?)`,
+      [gameId, JSON.stringify(state), new Date().toISOString()]
+    );
   });
 };
 
 /**
- * Retrieves all game result records ordered by date
+ * Retrieves the unfinished game that can be resumed, if any
+ * @returns {Promise<Object|null>} Promise that resolves to { game, state } or null
+ */
+export const getResumableGame = async () => {
+  const db = await getDBConnection();
+  const row = await db.getFirstAsync(
+    `SELECT game_results.*, game_progress.state AS progress_state
+     FROM game_progress
+     JOIN game_results ON game_results.id = game_progress.game_id
+     WHERE game_results.status = 'in_progress'
+     ORDER BY game_progress.updated_at DESC
+     LIMIT 1`
+  );
+  if (!row) return null;
+  const { progress_state: progressState, ...game } = row;
+  return { game, state: JSON.parse(progressState) };
+};
+
+/**
+ * Retrieves all completed game result records ordered by date
  * @returns {Promise<Array>} Promise that resolves to array of game result records
  */
-export const getGameResults = () => {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      const results = db.getAllSync(`SELECT * FROM game_results ORDER BY game_date DESC`);
-      resolve(results);
-    } catch (error) {
-      console.error('Error fetching game results:', error);
-      reject(error);
-    }
+export const getGameResults = async () => {
+  const db = await getDBConnection();
+  return db.getAllAsync(`SELECT * FROM game_results WHERE status = 'completed' AND deleted_at IS NULL ORDER BY game_date DESC`);
+};
+
+/**
+ * Retrieves one page of completed games, newest first
+ * Pages are keyed on (game_date, id) so games finished while scrolling never shift later pages
+ * @param {Object|null} cursor - nextCursor from the previous page, null for the first page
+ * @param {number} limit - Maximum number of games in the page
+ * @returns {Promise<Object>} Promise that resolves to { items, nextCursor }; nextCursor is null on the last page
+ */
+export const getGameResultsPage = async (cursor = null, limit = HISTORY_PAGE_SIZE) => {
+  const db = await getDBConnection();
+  const items = cursor
+    ? await db.getAllAsync(
+      `SELECT * FROM game_results
+       WHERE status = 'completed' AND deleted_at IS NULL AND (game_date, id) < (?, ?)
+       ORDER BY game_date DESC, id DESC
+       LIMIT ?`,
+      [cursor.gameDate, cursor.id, limit]
+    )
+    : await db.getAllAsync(
+      `SELECT * FROM game_results
+       WHERE status = 'completed' AND deleted_at IS NULL
+       ORDER BY game_date DESC, id DESC
+       LIMIT ?`,
+      [limit]
+    );
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor: items.length === limit ? { gameDate: last.game_date, id: last.id } : null
+  };
+};
+
+/**
+ * Retrieves the scores of the most recent completed games for the trend chart
+ * @param {number} limit - Maximum number of games to return
+ * @returns {Promise<Array>} Promise that resolves to rows of { id, game_date, score_percentage }, oldest first
+ */
+export const getScoreHistory = async (limit = 30) => {
+  const db = await getDBConnection();
+  return db.getAllAsync(
+    `SELECT * FROM (
+       SELECT id, game_date, score_percentage FROM game_results
+       WHERE status = 'completed' AND deleted_at IS NULL
+       ORDER BY game_date DESC, id DESC
+       LIMIT ?
+     )
+     ORDER BY game_date ASC, id ASC`,
+    [limit]
+  );
+};
+
+/**
+ * Calculates summary statistics over every completed game
+ * Response time figures only include games that recorded timing
+ * @returns {Promise<Object>} Promise that resolves to { totalGames, averageScore, bestScore,
+ * averageResponseTimeMs, fastestGame } where fastestGame is { id, gameNumber, perQuestionMs } or null
+ */
+export const getGameStatistics = async () => {
+  const db = await getDBConnection();
+  const totals = await db.getFirstAsync(
+    `SELECT COUNT(*) AS total_games,
+            AVG(score_percentage) AS average_score,
+            MAX(score_percentage) AS best_score,
+            SUM(total_time_ms) AS timed_total_ms,
+            SUM(CASE WHEN total_time_ms IS NOT NULL THEN total_questions END) AS timed_questions
+     FROM game_results
+     WHERE status = 'completed' AND deleted_at IS NULL`
+  );
+  const fastest = await db.getFirstAsync(
+    `SELECT id, game_date, CAST(total_time_ms AS REAL) / total_questions AS per_question_ms
+     FROM game_results
+     WHERE status = 'completed' AND deleted_at IS NULL AND total_time_ms IS NOT NULL AND total_questions > 0
+     ORDER BY per_question_ms ASC, game_date DESC, id DESC
+     LIMIT 1`
+  );
+  // Games are numbered from the oldest, matching the numbering on the results list
+  const fastestPosition = fastest
+    ? await db.getFirstAsync(
+      `SELECT COUNT(*) AS game_number FROM game_results
+       WHERE status = 'completed' AND deleted_at IS NULL AND (game_date, id) <= (?, ?)`,
+      [fastest.game_date, fastest.id]
+    )
+    : null;
+
+  return {
+    totalGames: totals.total_games,
+    averageScore: totals.average_score || 0,
+    bestScore: totals.best_score || 0,
+    averageResponseTimeMs: totals.timed_questions ? totals.timed_total_ms / totals.timed_questions : null,
+    fastestGame: fastest
+      ? { id: fastest.id, gameNumber: fastestPosition.game_number, perQuestionMs: fastest.per_question_ms }
+      : null
+  };
+};
+
+/**
+ * Reads every finished game, its answers and the practice schedule for export
+ * Games still in progress and their answers stay on the device
+ * Runs in the write queue so no write lands between the reads
+ * @returns {Promise<Object>} Promise that resolves to { games, answers, reviews }
+ */
+export const getHistorySnapshot = () => {
+  return enqueueWrite(async (db) => {
+    const games = await db.getAllAsync(
+      `SELECT * FROM game_results WHERE status != 'in_progress' AND deleted_at IS NULL ORDER BY game_date ASC, id ASC`
+    );
+    const answers = await db.getAllAsync(
+      `SELECT * FROM all_answers
+       WHERE deleted_at IS NULL
+         AND (game_id IS NULL OR game_id NOT IN (SELECT id FROM game_results WHERE status = 'in_progress'))
+       ORDER BY timestamp ASC, id ASC`
+    );
+    const reviews = await db.getAllAsync(`SELECT * FROM country_reviews ORDER BY country ASC`);
+    return { games, answers, reviews };
   });
 };
 
 /**
- * Associates unlinked answer records with a completed game session
- * Updates answers that don't have a game_id to link them to the specified game
- * @param {number} gameId - Game session identifier to link answers to
- * @returns {Promise} Promise that resolves when answers are linked
+ * Merges imported history into the local database in one transaction
+ * Games already on the device (same content hash) are skipped with their answers;
+ * new games get fresh IDs and their answers are relinked to them.
+ * Answers without a game are skipped when an identical one exists.
+ * A review card replaces the local one only when it was reviewed more recently.
+ * @param {Object} history - { games, answers, reviews } from parseHistoryExport
+ * @returns {Promise<Object>} Promise that resolves to { gamesAdded, gamesSkipped, answersAdded, reviewsUpdated }
  */
-export const linkAnswersToGame = (gameId) => {
-  return new Promise((resolve, reject) => {
-    try {
-      const db = getDBConnection();
-      // Associate recent answers (null game_id) with this completed game
-      db.runSync(
-        `UPDATE all_answers SET game_id = ? WHERE game_id IS NULL`,
-        [gameId]
-      );
-      console.log('Answers linked to game ID:', gameId);
-      resolve();
-    } catch (error) {
-      console.error('Error linking answers to game:', error);
-      reject(error);
-    }
+export const importHistory = ({ games, answers, reviews }) => {
+  return enqueueWrite(async (db) => {
+    const summary = { gamesAdded: 0, gamesSkipped: 0, answersAdded: 0, reviewsUpdated: 0 };
+
+    await db.withTransactionAsync(async () => {
+      const localGames = await db.getAllAsync(`SELECT * FROM game_results WHERE deleted_at IS NULL`);
+      const localGameHashes = new Set(localGames.map(getGameHash));
+      const importedGameIds = new Set(games.map(game => game.id));
+      const newGameIds = new Map(); // Game ID in the file -> ID of the inserted local game
+
+      for (const game of games) {
+        const hash = getGameHash(game);
+        if (localGameHashes.has(hash)) {
+          summary.gamesSkipped += 1;
+          continue;
+        }
+        const result = await db.runAsync(
+          `INSERT INTO game_results (total_questions, correct_answers, wrong_answers, score_percentage, game_date, time_limit_seconds, total_points, total_time_ms, seed, game_settings, status, completed_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [game.total_questions, game.correct_answers, game.wrong_answers, game.score_percentage, game.game_date, game.time_limit_seconds, game.total_points, game.total_time_ms, game.seed, game.game_settings, game.status, game.completed_at]
+        );
+        localGameHashes.add(hash);
+        newGameIds.set(game.id, result.lastInsertRowId);
+        summary.gamesAdded += 1;
+      }
+
+      const localLooseAnswers = await db.getAllAsync(`SELECT * FROM all_answers WHERE game_id IS NULL AND deleted_at IS NULL`);
+      const looseAnswerHashes = new Set(localLooseAnswers.map(getAnswerHash));
+
+      for (const answer of answers) {
+        let gameId = null;
+        if (newGameIds.has(answer.game_id)) {
+          gameId = newGameIds.get(answer.game_id);
+        } else if (importedGameIds.has(answer.game_id)) {
+          continue; // Belongs to a game that is already on the device
+        } else {
+          // Not linked to any game in the file, so match it on content instead
+          const hash = getAnswerHash(answer);
+          if (looseAnswerHashes.has(hash)) continue;
+          looseAnswerHashes.add(hash);
+        }
+        await db.runAsync(
+          `INSERT INTO all_answers (game_id, country, user_answer, correct_answer, is_correct, question_number, timestamp, question_mode, match_type, response_time_ms, hints_used) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [gameId, answer.country, answer.user_answer, answer.correct_answer, answer.is_correct ? 1 : 0, answer.question_number, answer.timestamp, answer.question_mode || 'capital', answer.match_type, answer.response_time_ms, answer.hints_used]
+        );
+        summary.answersAdded += 1;
+      }
+
+      for (const review of reviews) {
+        const existing = await db.getFirstAsync(`SELECT last_reviewed FROM country_reviews WHERE country = ?`, [review.country]);
+        if (existing && (existing.last_reviewed || '') >= (review.last_reviewed || '')) continue;
+        await db.runAsync(
+          `INSERT OR REPLACE INTO country_reviews (country, ease_factor, interval_days, repetitions, due_date, last_reviewed) VALUES (?, ?, ?, ?, ?, ?)`,
+          [review.country, review.ease_factor, review.interval_days, review.repetitions, review.due_date, review.last_reviewed]
+        );
+        summary.reviewsUpdated += 1;
+      }
+    });
+
+    return summary;
   });
 };
 
+/**
+ * Schedules review cards for countries answered before the practice mode existed
+ * Countries with any wrong answer in all_answers become due immediately;
+ * countries only ever answered correctly are due the next day
+ * Existing cards are left untouched
+ * @returns {Promise} Promise that resolves when missing cards are added
+ */
+export const seedReviewsFromAnswers = () => {
+  return enqueueWrite(async (db) => {
+    const now = new Date();
+    const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    await db.runAsync(
+      `INSERT OR IGNORE INTO country_reviews (country, ease_factor, interval_days, repetitions, due_date, last_reviewed)
+       SELECT country,
+              2.5,
+              1,
+              CASE WHEN MIN(is_correct) = 0 THEN 0 ELSE 1 END,
+              CASE WHEN MIN(is_correct) = 0 THEN ? ELSE ? END,
+              ?
+       FROM all_answers
+       WHERE deleted_at IS NULL
+       GROUP BY country`,
+      [now.toISOString(), tomorrow.toISOString(), now.toISOString()]
+    );
+  });
+};
+
+/**
+ * Retrieves every review card, soonest due first
+ * @returns {Promise<Array>} Promise that resolves to array of review cards
+ */
+export const getCountryReviews = async () => {
+  const db = await getDBConnection();
+  return db.getAllAsync(`SELECT * FROM country_reviews ORDER BY due_date ASC`);
+};
+
+/**
+ * Retrieves the countries a practice game should ask about
+ * Due cards come first (most overdue first), followed by the weakest remaining cards
+ * @param {number} limit - Maximum number of countries to return
+ * @returns {Promise<Array>} Promise that resolves to an array of country names
+ */
+export const getPracticeQueue = async (limit) => {
+  const db = await getDBConnection();
+  const now = new Date().toISOString();
+  const results = await db.getAllAsync(
+    `SELECT country FROM country_reviews
+     ORDER BY CASE WHEN due_date <= ? THEN 0 ELSE 1 END,
+              CASE WHEN due_date <= ? THEN due_date END ASC,
+              ease_factor ASC,
+              due_date ASC
+     LIMIT ?`,
+    [now, now, limit]
+  );
+  return results.map(row => row.country);
+};
+
+/**
+ * Records a review of a country and reschedules its card
+ * Creates the card on the country's first review
+ * The read and the write share one queued operation so two quick reviews
+ * of the same country cannot overwrite each other
+ * @param {string} country - Country name from the question
+ * @param {number} quality - Recall quality grade (0-5)
+ * @returns {Promise<Object>} Promise that resolves to the updated card
+ */
+export const recordCountryReview = (country, quality) => {
+  return enqueueWrite(async (db) => {
+    const now = new Date();
+    const existing = await db.getFirstAsync(`SELECT * FROM country_reviews WHERE country = ?`, [country]);
+    const updated = reviewCard(existing || createCard(country, now), quality, now);
+    await runPrepared(
+      db,
+      `INSERT OR REPLACE INTO country_reviews (country, ease_factor, interval_days, repetitions, due_date, last_reviewed) VALUES (?, ?, ?, ?, ?, ?)`,
+      [updated.country, updated.ease_factor, updated.interval_days, updated.repetitions, updated.due_date, updated.last_reviewed]
+    );
+    return updated;
+  });
+};
+
+/**
+ * Retrieves a cached weather response
+ * @param {string} cacheKey - Key identifying the provider, request type and city
+ * @returns {Promise<Object|null>} Promise that resolves to { data, fetchedAt } or null when not cached
+ */
+export const getCachedWeather = async (cacheKey) => {
+  const db = await getDBConnection();
+  const row = await db.getFirstAsync(`SELECT data, fetched_at FROM weather_cache WHERE cache_key = ?`, [cacheKey]);
+  return row ? { data: JSON.parse(row.data), fetchedAt: row.fetched_at } : null;
+};
+
+/**
+ * Stores a weather response, replacing any older response for the same key
+ * @param {string} cacheKey - Key identifying the provider, request type and city
+ * @param {Object} data - Normalised weather data, stored as JSON
+ * @param {string} fetchedAt - ISO time the response was fetched
+ * @returns {Promise} Promise that resolves when the response is stored
+ */
+export const saveCachedWeather = (cacheKey, data, fetchedAt) => {
+  return enqueueWrite(async (db) => {
+    await runPrepared(
+      db,
+      `INSERT OR REPLACE INTO weather_cache (cache_key, data, fetched_at) VALUES (?, ?, ?)`,
+      [cacheKey, JSON.stringify(data), fetchedAt]
+    );
+  });
+};
+
+/**
+ * Retrieves a stored preference
+ * @param {string} key - Preference name
+ * @returns {Promise<*>} Promise that resolves to the stored value, or null when not set
+ */
+export const getPreference = async (key) => {
+  const db = await getDBConnection();
+  const row = await db.getFirstAsync(`SELECT value FROM preferences WHERE key = ?`, [key]);
+  return row ? JSON.parse(row.value) : null;
+};
+
+/**
+ * Stores a preference, replacing any earlier value
+ * @param {string} key - Preference name
+ * @param {*} value - Value to store as JSON
+ * @returns {Promise} Promise that resolves when the preference is stored
+ */
+export const savePreference = (key, value) => {
+  return enqueueWrite(async (db) => {
+    await runPrepared(
+      db,
+      `INSERT OR REPLACE INTO preferences (key, value) VALUES (?, ?)`,
+      [key, JSON.stringify(value)]
+    );
+  });
+};
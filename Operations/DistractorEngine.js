@@ -0,0 +1,174 @@
+/**
+ * Distractor Engine Module
+ * Chooses plausible wrong options for multiple choice questions
+ * Candidates are weighted by geography, spelling similarity and the player's own
+ * history of confused answers; difficulty controls how strongly weights apply.
+ * All functions are pure: randomness comes from the `random` argument.
+ */
+import { normalizeAnswer, levenshteinDistance } from './AnswerMatching';
+import { shuffle } from './Random';
+
+/**
+ * Weight sharpness per difficulty level
+ * 0 ignores similarity entirely (uniform random distractors)
+ */
+const DIFFICULTY_SHARPNESS = {
+  easy: 0,
+  medium: 0.8,
+  hard: 2
+};
+
+// Distance beyond which two capitals get no proximity bonus
+const PROXIMITY_RANGE_KM = 3000;
+
+/**
+ * Calculates the great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+export const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Measures how alike two names look, ignoring case and diacritics
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} Similarity between 0 (unrelated) and 1 (identical)
+ */
+export const spellingSimilarity = (a, b) => {
+  const first = normalizeAnswer(a);
+  const second = normalizeAnswer(b);
+  const longest = Math.max(first.length, second.length);
+  if (longest === 0) return 0;
+  return 1 - levenshteinDistance(first, second) / longest;
+};
+
+/**
+ * Builds a lookup of how often each wrong answer was given for each correct answer
+ * @param {Array} confusedPairs - Rows of { correct_answer, user_answer, times }
+ * @returns {Object} Nested map: confusions[correctAnswer][wrongAnswer] = times
+ */
+export const buildConfusionMap = (confusedPairs = []) => {
+  return confusedPairs.reduce((map, pair) => {
+    if (!map[pair.correct_answer]) {
+      map[pair.correct_answer] = {};
+    }
+    map[pair.correct_answer][pair.user_answer] = (map[pair.correct_answer][pair.user_answer] || 0) + (pair.times || 1);
+    return map;
+  }, {});
+};
+
+/**
+ * Scores how tempting a candidate is as a distractor for the target
+ * @param {Object} target - Country the question is about
+ * @param {Object} candidate - Country being considered as a distractor
+ * @param {string} answerKey - 'capital' or 'country', the field shown as an option
+ * @param {Object} confusions - Confusion map from `buildConfusionMap`
+ * @returns {number} Non-negative similarity score
+ */
+export const scoreDistractor = (target, candidate, answerKey, confusions = {}) => {
+  let score = 0;
+
+  // Same neighbourhood: shared subregion, then shared continent
+  if (candidate.subregion && candidate.subregion === target.subregion) {
+    score += 2;
+  } else if (candidate.region === target.region) {
+    score += 1;
+  }
+
+  // Geographic proximity of the capitals
+  if (typeof target.lat === 'number' && typeof candidate.lat === 'number') {
+    const distance = haversineDistance(target.lat, target.lon, candidate.lat, candidate.lon);
+    score += Math.max(0, 1 - distance / PROXIMITY_RANGE_KM) * 2;
+  }
+
+  // Similarly spelled names
+  score += spellingSimilarity(target[answerKey], candidate[answerKey]) * 2;
+
+  // Pairs the player has confused before, in either direction
+  const timesConfused = (confusions[target[answerKey]]?.[candidate[answerKey]] || 0) +
+    (confusions[candidate[answerKey]]?.[target[answerKey]] || 0);
+  score += Math.min(timesConfused, 3) * 1.5;
+
+  return score;
+};
+
+/**
+ * Draws items without replacement, each pick proportional to its weight
+ * @param {Array} items - Items to draw from
+ * @param {Array} weights - Positive weight for each item
+ * @param {number} count - Number of items to draw
+ * @param {Function} random - Random source returning a float in [0, 1)
+ * @returns {Array} Drawn items in draw order
+ */
+const weightedSample = (items, weights, count, random) => {
+  const remainingItems = [...items];
+  const remainingWeights = [...weights];
+  const picked = [];
+
+  while (picked.length < count && remainingItems.length > 0) {
+    const totalWeight = remainingWeights.reduce((sum, weight) => sum + weight, 0);
+    let threshold = random() * totalWeight;
+    let index = 0;
+    while (index < remainingItems.length - 1 && threshold >= remainingWeights[index]) {
+      threshold -= remainingWeights[index];
+      index++;
+    }
+    picked.push(remainingItems[index]);
+    remainingItems.splice(index, 1);
+    remainingWeights.splice(index, 1);
+  }
+
+  return picked;
+};
+
+/**
+ * Generates a shuffled set of answer options for a question
+ * @param {Object} params - Generation parameters
+ * @param {Object} params.target - Country the question is about
+ * @param {Array} params.pool - Countries that may be used as distractors
+ * @param {string} params.answerKey - 'capital' or 'country', the field shown as an option
+ * @param {string} params.difficulty - 'easy', 'medium' or 'hard'
+ * @param {Object} params.confusions - Confusion map from `buildConfusionMap`
+ * @param {Function} params.random - Random source returning a float in [0, 1)
+ * @param {number} params.optionCount - Total number of options including the answer
+ * @returns {Array} Shuffled array of option strings
+ */
+export const generateOptions = ({
+  target,
+  pool,
+  answerKey = 'capital',
+  difficulty = 'medium',
+  confusions = {},
+  random = Math.random,
+  optionCount = 4
+}) => {
+  const correctAnswer = target[answerKey];
+
+  // One candidate per distinct option text, excluding the answer itself
+  const seen = new Set([correctAnswer]);
+  const candidates = pool.filter(candidate => {
+    if (seen.has(candidate[answerKey])) return false;
+    seen.add(candidate[answerKey]);
+    return true;
+  });
+
+  const sharpness = DIFFICULTY_SHARPNESS[difficulty] ?? DIFFICULTY_SHARPNESS.medium;
+  const weights = candidates.map(candidate =>
+    Math.exp(sharpness * scoreDistractor(target, candidate, answerKey, confusions))
+  );
+
+  const distractors = weightedSample(candidates, weights, optionCount - 1, random)
+    .map(candidate => candidate[answerKey]);
+
+  return shuffle([...distractors, correctAnswer], random);
+};
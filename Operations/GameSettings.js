@@ -0,0 +1,205 @@
+/**
+ * Game Settings Module
+ * Defines the options chosen on the setup screen and helpers for applying them
+ * Settings are passed to the quiz screen as a single object through navigation params
+ */
+import { regions } from '../Components/CountriesData';
+import { seedFromString } from './Random';
+
+/**
+ * Preset game lengths offered on the setup screen
+ * 'all' plays every country in the selected regions, 'custom' lets the player type a number
+ */
+export const gameLengthOptions = [
+  { key: 5, label: '5' },
+  { key: 10, label: '10' },
+  { key: 20, label: '20' },
+  { key: 'all', label: 'All' },
+  { key: 'custom', label: 'Custom' }
+];
+
+/**
+ * Per-question time limits offered on the setup screen
+ * 0 plays without a timer
+ */
+export const timeLimitOptions = [
+  { key: 0, label: 'Off' },
+  { key: 10, label: '10s' },
+  { key: 20, label: '20s' },
+  { key: 30, label: '30s' }
+];
+
+/**
+ * Hints the player can use on a question
+ * 'fiftyFifty' removes two wrong options and is only offered for multiple choice
+ */
+export const hintTypes = [
+  { key: 'fiftyFifty', label: '50/50' },
+  { key: 'firstLetter', label: 'First Letter' },
+  { key: 'region', label: 'Region' }
+];
+
+/**
+ * Fraction of a question's points each hint costs
+ */
+export const hintPenaltyOptions = [
+  { key: 0, label: 'Free' },
+  { key: 0.25, label: '25%' },
+  { key: 0.5, label: '50%' }
+];
+
+// Answer recorded when the countdown runs out before the player responds
+export const TIME_EXPIRED_ANSWER = '(time expired)';
+
+// Points awarded for a correct answer; timed games scale this by speed
+const MAX_QUESTION_POINTS = 100;
+
+/**
+ * Settings used when the quiz screen is opened without any from the setup screen
+ */
+export const defaultGameSettings = {
+  regions,
+  questionMode: 'capital',
+  answerMode: 'choice',
+  difficulty: 'medium',
+  totalQuestions: 10,
+  timeLimitSeconds: 0,
+  hintPenalty: 0.25
+};
+
+// Number of questions in every daily challenge
+const DAILY_CHALLENGE_LENGTH = 10;
+
+/**
+ * Formats a date as the key identifying that day's challenge
+ * Uses the device's local calendar date
+ * @param {Date} date - Day of the challenge
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export const getDailyChallengeKey = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Builds the settings for a day's challenge
+ * Every setting that affects question or option generation is fixed,
+ * so the same day gives the same questions in the same order on every device
+ * @param {Date} date - Day of the challenge
+ * @returns {Object} Game settings including the date-derived seed
+ */
+export const getDailyChallengeSettings = (date = new Date()) => {
+  const challengeKey = getDailyChallengeKey(date);
+  return {
+    ...defaultGameSettings,
+    totalQuestions: DAILY_CHALLENGE_LENGTH,
+    seed: seedFromString(`daily-challenge-${challengeKey}`),
+    dailyChallenge: challengeKey
+  };
+};
+
+/**
+ * Parses a seed typed by the player
+ * @param {string} text - Seed text, blank for a random game
+ * @returns {number|null|undefined} Seed, null when blank, undefined when invalid
+ */
+export const parseSeed = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+  if (!/^\d+$/.test(trimmed)) return undefined;
+  const seed = Number(trimmed);
+  return seed <= 4294967295 ? seed : undefined;
+};
+
+/**
+ * Parses a date typed by the player in the same format as challenge keys
+ * @param {string} text - Date in YYYY-MM-DD format
+ * @returns {Date|undefined} Local midnight at the start of that day, undefined when invalid
+ */
+export const parseDateKey = (text) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text.trim());
+  if (!match) return undefined;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  // Reject dates such as 2025-02-30 that roll over into the next month
+  return getDailyChallengeKey(date) === text.trim() ? date : undefined;
+};
+
+/**
+ * Converts the chosen game length into a concrete number of questions
+ * Lengths are capped at the number of available countries so questions never repeat
+ * @param {number|string} lengthChoice - Preset length, 'all' or 'custom'
+ * @param {string} customLength - Text entered for a custom length
+ * @param {number} poolSize - Number of countries in the selected regions
+ * @returns {number|null} Number of questions, or null if the custom length is invalid
+ */
+export const resolveTotalQuestions = (lengthChoice, customLength, poolSize) => {
+  if (lengthChoice === 'all') {
+    return poolSize;
+  }
+
+  const requested = lengthChoice === 'custom' ? parseInt(customLength, 10) : lengthChoice;
+  if (!Number.isInteger(requested) || requested < 1) {
+    return null;
+  }
+
+  return Math.min(requested, poolSize);
+};
+
+/**
+ * Calculates the points earned for a single answer
+ * In timed games a correct answer earns half the points plus a bonus for speed;
+ * untimed games award full points for every correct answer.
+ * Each hint used then removes its penalty fraction of those points.
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @param {number} responseTimeMs - Time taken to answer in milliseconds
+ * @param {number} timeLimitSeconds - Per-question time limit, 0 when untimed
+ * @param {number} hintsUsedCount - Number of hints used on the question
+ * @param {number} hintPenalty - Fraction of the points each hint costs
+ * @returns {number} Points earned for the answer
+ */
+export const calculateQuestionPoints = (isCorrect, responseTimeMs, timeLimitSeconds, hintsUsedCount = 0, hintPenalty = 0) => {
+  if (!isCorrect) return 0;
+
+  const remainingFraction = timeLimitSeconds
+    ? Math.max(0, 1 - responseTimeMs / (timeLimitSeconds * 1000))
+    : 1;
+  const basePoints = timeLimitSeconds
+    ? MAX_QUESTION_POINTS * (0.5 + 0.5 * remainingFraction)
+    : MAX_QUESTION_POINTS;
+  const hintMultiplier = Math.max(0, 1 - hintsUsedCount * hintPenalty);
+  return Math.round(basePoints * hintMultiplier);
+};
+
+/**
+ * Formats stored hint keys for display
+ * @param {string|null} hintsUsed - Comma-separated hint keys as stored in all_answers
+ * @returns {string} Hint labels, e.g. "50/50, Region", or an empty string
+ */
+export const formatHintsUsed = (hintsUsed) => {
+  if (!hintsUsed) return '';
+  return hintsUsed
+    .split(',')
+    .map(key => hintTypes.find(hint => hint.key === key)?.label ?? key)
+    .join(', ');
+};
+
+/**
+ * Formats a response time for display
+ * @param {number} milliseconds - Duration in milliseconds
+ * @returns {string} Duration in seconds with one decimal place, e.g. "3.2s"
+ */
+export const formatResponseTime = (milliseconds) => {
+  return `${(milliseconds / 1000).toFixed(1)}s`;
+};
+
+/**
+ * Calculates the final score percentage for a game
+ * @param {number} correctAnswers - Number of correct responses
+ * @param {number} totalQuestions - Number of questions in the game
+ * @returns {number} Percentage rounded to one decimal place
+ */
+export const calculateScorePercentage = (correctAnswers, totalQuestions) => {
+  if (totalQuestions === 0) return 0;
+  return Math.round((correctAnswers / totalQuestions) * 1000) / 10;
+};
@@ -0,0 +1,167 @@
+/**
+ * Games Repository
+ * Data access for game sessions used by the screens
+ * Wraps the SQL in DbOperations and makes sure the schema is migrated first
+ */
+import {
+  initializeDatabase,
+  createGame,
+  completeGame,
+  abandonGame,
+  saveGameProgress,
+  getResumableGame,
+  getGameResults,
+  getGameResultsPage,
+  getGameStatistics,
+  getScoreHistory,
+  clearDatabase,
+  deleteGames,
+  deleteGamesBetween,
+  restoreGames,
+  purgeDeletedGames
+} from './DbOperations';
+import HistoryRepository from './HistoryRepository';
+
+const GamesRepository = {
+  /**
+   * Starts a new in-progress game session
+   * @param {Object} settings - Settings the game is played with
+   * @param {number} seed - Seed the game's questions and options are generated from
+   * @returns {Promise<number>} Promise that resolves to the new game ID
+   */
+  start: async (settings, seed) => {
+    await initializeDatabase();
+    return createGame(settings.totalQuestions, settings.timeLimitSeconds || null, seed, settings);
+  },
+
+  /**
+   * Records the final result of a game and marks it completed
+   * @param {number} gameId - Game session identifier
+   * @param {Object} result - { correctAnswers, wrongAnswers, scorePercentage, totalPoints, totalTimeMs }
+   * @returns {Promise} Promise that resolves when the game is completed
+   */
+  complete: async (gameId, { correctAnswers, wrongAnswers, scorePercentage, totalPoints = null, totalTimeMs = null }) => {
+    await initializeDatabase();
+    return completeGame(gameId, correctAnswers, wrongAnswers, scorePercentage, totalPoints, totalTimeMs);
+  },
+
+  /**
+   * Marks an unfinished game as abandoned
+   * @param {number} gameId - Game session identifier
+   * @returns {Promise} Promise that resolves when the game is updated
+   */
+  abandon: async (gameId) => {
+    await initializeDatabase();
+    return abandonGame(gameId);
+  },
+
+  /**
+   * Saves a snapshot of an in-progress game so it can be resumed
+   * @param {number} gameId - Game session identifier
+   * @param {Object} state - Snapshot of the game screen state
+   * @returns {Promise} Promise that resolves when the snapshot is saved
+   */
+  saveProgress: async (gameId, state) => {
+    await initializeDatabase();
+    return saveGameProgress(gameId, state);
+  },
+
+  /**
+   * Retrieves the interrupted game that can be resumed, if any
+   * @returns {Promise<Object|null>} Promise that resolves to { game, state } or null
+   */
+  getResumable: async () => {
+    await initializeDatabase();
+    return getResumableGame();
+  },
+
+  /**
+   * Retrieves completed games, newest first
+   * @returns {Promise<Array>} Promise that resolves to array of game result records
+   */
+  getCompleted: async () => {
+    await initializeDatabase();
+    return getGameResults();
+  },
+
+  /**
+   * Retrieves one page of completed games, newest first
+   * @param {Object|null} cursor - nextCursor from the previous page, null for the first page
+   * @returns {Promise<Object>} Promise that resolves to { items, nextCursor }
+   */
+  getCompletedPage: async (cursor = null) => {
+    await initializeDatabase();
+    return getGameResultsPage(cursor);
+  },
+
+  /**
+   * Retrieves summary statistics over every completed game
+   * @returns {Promise<Object>} Promise that resolves to the statistics from getGameStatistics
+   */
+  getStatistics: async () => {
+    await initializeDatabase();
+    return getGameStatistics();
+  },
+
+  /**
+   * Retrieves the scores of the most recent completed games, oldest first
+   * @param {number} limit - Maximum number of games to return
+   * @returns {Promise<Array>} Promise that resolves to rows of { id, game_date, score_percentage }
+   */
+  getScoreHistory: async (limit = 30) => {
+    await initializeDatabase();
+    return getScoreHistory(limit);
+  },
+
+  /**
+   * Deletes one game and its answers; the deletion can be undone until purged
+   * @param {number} gameId - Game session identifier
+   * @returns {Promise<Array>} Promise that resolves to the deleted game IDs, for restore
+   */
+  delete: async (gameId) => {
+    await initializeDatabase();
+    return deleteGames([gameId]);
+  },
+
+  /**
+   * Deletes every finished game played within a date range, after backing up the history
+   * @param {Date} start - Start of the range (inclusive)
+   * @param {Date} end - End of the range (exclusive)
+   * @returns {Promise<Array>} Promise that resolves to the deleted game IDs, for restore
+   */
+  deleteBetween: async (start, end) => {
+    await HistoryRepository.createBackup();
+    return deleteGamesBetween(start, end);
+  },
+
+  /**
+   * Undoes a deletion that has not been purged yet
+   * @param {Array} gameIds - IDs returned by delete or deleteBetween
+   * @returns {Promise} Promise that resolves when the games are restored
+   */
+  restore: async (gameIds) => {
+    await initializeDatabase();
+    return restoreGames(gameIds);
+  },
+
+  /**
+   * Permanently removes games deleted before a given time
+   * @param {Date} before - Games deleted before this time are removed
+   * @returns {Promise<number>} Promise that resolves to the number of games removed
+   */
+  purgeDeleted: async (before) => {
+    await initializeDatabase();
+    return purgeDeletedGames(before);
+  },
+
+  /**
+   * Deletes every game, answer and practice record after backing up the history
+   * @returns {Promise} Promise that resolves when all data is cleared
+   */
+  clearHistory: async () => {
+    await HistoryRepository.createBackup();
+    return clearDatabase();
+  }
+};
+
+export default GamesRepository;
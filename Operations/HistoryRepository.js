@@ -0,0 +1,90 @@
+/**
+ * History Repository
+ * Exports quiz history to shareable files and imports it back from them
+ * Exports are written to the cache directory; sharing them is left to the screen.
+ * Backups use the same JSON format and are kept in the documents directory.
+ */
+import * as FileSystem from 'expo-file-system';
+import {
+  initializeDatabase,
+  getHistorySnapshot,
+  importHistory
+} from './DbOperations';
+import { buildHistoryExport, buildHistoryCsv, parseHistoryExport } from './HistoryTransfer';
+
+const BACKUP_DIRECTORY = `${FileSystem.documentDirectory}backups/`;
+// Older backups are removed once there are more than this many
+const BACKUPS_KEPT = 5;
+
+/**
+ * Lists backup files, newest first
+ * Backup names start with their ISO timestamp, so name order is date order
+ * @returns {Promise<Array>} Promise that resolves to backup file names
+ */
+const listBackupNames = async () => {
+  const info = await FileSystem.getInfoAsync(BACKUP_DIRECTORY);
+  if (!info.exists) return [];
+  const names = await FileSystem.readDirectoryAsync(BACKUP_DIRECTORY);
+  return names.filter(name => name.endsWith('.json')).sort().reverse();
+};
+
+const HistoryRepository = {
+  /**
+   * Writes the full history as a JSON export and a CSV table of answers
+   * @param {Date} now - Time of the export, used in the file names
+   * @returns {Promise<Object>} Promise that resolves to { jsonUri, csvUri, gameCount, answerCount }
+   */
+  exportToFiles: async (now = new Date()) => {
+    await initializeDatabase();
+    const history = await getHistorySnapshot();
+    const baseName = `capital-quiz-history-${now.toISOString().slice(0, 10)}`;
+    const jsonUri = `${FileSystem.cacheDirectory}${baseName}.json`;
+    const csvUri = `${FileSystem.cacheDirectory}${baseName}.csv`;
+
+    await FileSystem.writeAsStringAsync(jsonUri, JSON.stringify(buildHistoryExport(history, now), null, 2));
+    await FileSystem.writeAsStringAsync(csvUri, buildHistoryCsv(history));
+
+    return { jsonUri, csvUri, gameCount: history.games.length, answerCount: history.answers.length };
+  },
+
+  /**
+   * Saves a JSON snapshot of the full history before a bulk deletion
+   * Only the most recent backups are kept
+   * @param {Date} now - Time of the backup, used in the file name
+   * @returns {Promise<string>} Promise that resolves to the backup file location
+   */
+  createBackup: async (now = new Date()) => {
+    await initializeDatabase();
+    const history = await getHistorySnapshot();
+    await FileSystem.makeDirectoryAsync(BACKUP_DIRECTORY, { intermediates: true });
+    const uri = `${BACKUP_DIRECTORY}${now.toISOString().replace(/[:.]/g, '-')}.json`;
+    await FileSystem.writeAsStringAsync(uri, JSON.stringify(buildHistoryExport(history, now)));
+
+    const staleBackups = (await listBackupNames()).slice(BACKUPS_KEPT);
+    await Promise.all(staleBackups.map(name => FileSystem.deleteAsync(`${BACKUP_DIRECTORY}${name}`, { idempotent: true })));
+    return uri;
+  },
+
+  /**
+   * Finds the most recent automatic backup
+   * @returns {Promise<string|null>} Promise that resolves to the backup location, or null if there is none
+   */
+  getLatestBackup: async () => {
+    const [latest] = await listBackupNames();
+    return latest ? `${BACKUP_DIRECTORY}${latest}` : null;
+  },
+
+  /**
+   * Validates a JSON export and merges it into the local history
+   * @param {string} uri - Location of the file to import
+   * @returns {Promise<Object>} Promise that resolves to { gamesAdded, gamesSkipped, answersAdded, reviewsUpdated }
+   * @throws {Error} When the file is not a valid history export
+   */
+  importFromFile: async (uri) => {
+    await initializeDatabase();
+    const text = await FileSystem.readAsStringAsync(uri);
+    return importHistory(parseHistoryExport(text));
+  }
+};
+
+export default HistoryRepository;
@@ -0,0 +1,221 @@
+/**
+ * History Transfer Module
+ * Converts quiz history to and from export files
+ * JSON exports are versioned and can be imported on another device;
+ * CSV exports are a flat table of answers for spreadsheets
+ */
+import { seedFromString } from './Random';
+
+export const HISTORY_FORMAT = 'capital-quiz-history';
+export const HISTORY_FORMAT_VERSION = 1;
+
+// Columns copied from each table; anything else in a row or a file is ignored
+const GAME_FIELDS = [
+  'id', 'total_questions', 'correct_answers', 'wrong_answers', 'score_percentage', 'game_date',
+  'time_limit_seconds', 'total_points', 'total_time_ms', 'seed', 'game_settings', 'status', 'completed_at'
+];
+const ANSWER_FIELDS = [
+  'id', 'game_id', 'country', 'user_answer', 'correct_answer', 'is_correct', 'question_number',
+  'timestamp', 'question_mode', 'match_type', 'response_time_ms', 'hints_used'
+];
+const REVIEW_FIELDS = ['country', 'ease_factor', 'interval_days', 'repetitions', 'due_date', 'last_reviewed'];
+
+// Game statuses that can appear in an export; in-progress games stay on the device
+const EXPORTED_STATUSES = ['completed', 'abandoned'];
+
+const CSV_COLUMNS = [
+  'game_id', 'game_date', 'game_status', 'question_number', 'question_mode', 'country', 'user_answer',
+  'correct_answer', 'is_correct', 'match_type', 'response_time_ms', 'hints_used', 'timestamp'
+];
+
+/**
+ * Copies the listed fields of a row, using null for missing values
+ * @param {Object} row - Database row or imported record
+ * @param {Array} fields - Field names to keep
+ * @returns {Object} New object with exactly the listed fields
+ */
+const pickFields = (row, fields) => {
+  const picked = {};
+  fields.forEach((field) => {
+    picked[field] = row[field] === undefined ? null : row[field];
+  });
+  return picked;
+};
+
+/**
+ * Identifies a game independently of its local row ID
+ * Two devices number their games separately, so imports match games by content
+ * @param {Object} game - game_results row
+ * @returns {string} Hash of the game's date, settings and score
+ */
+export const getGameHash = (game) => {
+  return seedFromString([
+    game.game_date,
+    game.total_questions,
+    game.correct_answers,
+    game.wrong_answers,
+    game.score_percentage,
+    game.seed === null || game.seed === undefined ? '' : game.seed
+  ].join('|')).toString(16);
+};
+
+/**
+ * Identifies an answer that is not linked to a game, e.g. from before games were stored
+ * @param {Object} answer - all_answers row
+ * @returns {string} Hash of the answer's question, response and time
+ */
+export const getAnswerHash = (answer) => {
+  return seedFromString([
+    answer.country,
+    answer.user_answer,
+    answer.correct_answer,
+    answer.is_correct,
+    answer.timestamp
+  ].join('|')).toString(16);
+};
+
+/**
+ * Builds the versioned JSON export object
+ * @param {Object} history - { games, answers, reviews } rows read from the database
+ * @param {Date} now - Time of the export
+ * @returns {Object} Export object ready for JSON.stringify
+ */
+export const buildHistoryExport = ({ games, answers, reviews }, now = new Date()) => ({
+  format: HISTORY_FORMAT,
+  version: HISTORY_FORMAT_VERSION,
+  exportedAt: now.toISOString(),
+  games: games.map(game => pickFields(game, GAME_FIELDS)),
+  answers: answers.map(answer => pickFields(answer, ANSWER_FIELDS)),
+  reviews: reviews.map(review => pickFields(review, REVIEW_FIELDS))
+});
+
+/**
+ * Quotes a CSV value when it contains a separator, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell text
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV table with one row per answer and the game it belongs to
+ * @param {Object} history - { games, answers } rows read from the database
+ * @returns {string} CSV text with a header row
+ */
+export const buildHistoryCsv = ({ games, answers }) => {
+  const gamesById = new Map(games.map(game => [game.id, game]));
+  const rows = answers.map((answer) => {
+    const game = gamesById.get(answer.game_id);
+    const row = {
+      ...answer,
+      game_id: game ? game.id : null,
+      game_date: game ? game.game_date : null,
+      game_status: game ? game.status : null
+    };
+    return CSV_COLUMNS.map(column => toCsvCell(row[column])).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+/**
+ * Checks that a record has the expected field types
+ * @param {Object} record - Imported record
+ * @param {Object} types - Field name to expected typeof value; '?' suffix allows null
+ * @param {string} label - Description of the record for error messages
+ */
+const checkFields = (record, types, label) => {
+  if (!record || typeof record !== 'object') {
+    throw new Error(`Invalid history file: ${label} is not an object`);
+  }
+  Object.entries(types).forEach(([field, type]) => {
+    const optional = type.endsWith('?');
+    const value = record[field];
+    if (optional && (value === null || value === undefined)) return;
+    if (typeof value !== type.replace('?', '') || (typeof value === 'number' && !Number.isFinite(value))) {
+      throw new Error(`Invalid history file: ${label} has an invalid ${field}`);
+    }
+  });
+};
+
+/**
+ * Parses and validates an exported JSON history file
+ * @param {string} text - File contents
+ * @returns {Object} { games, answers, reviews } with only known fields
+ * @throws {Error} When the file is not a history export this version can read
+ */
+export const parseHistoryExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Invalid history file: not valid JSON');
+  }
+
+  if (!data || data.format !== HISTORY_FORMAT) {
+    throw new Error('Invalid history file: not a quiz history export');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > HISTORY_FORMAT_VERSION) {
+    throw new Error(`Unsupported history file version: ${data.version}`);
+  }
+  ['games', 'answers', 'reviews'].forEach((key) => {
+    if (!Array.isArray(data[key])) {
+      throw new Error(`Invalid history file: missing ${key}`);
+    }
+  });
+
+  data.games.forEach((game, index) => {
+    checkFields(game, {
+      id: 'number',
+      total_questions: 'number',
+      correct_answers: 'number',
+      wrong_answers: 'number',
+      score_percentage: 'number',
+      game_date: 'string',
+      time_limit_seconds: 'number?',
+      total_points: 'number?',
+      total_time_ms: 'number?',
+      seed: 'number?',
+      game_settings: 'string?',
+      completed_at: 'string?'
+    }, `game ${index + 1}`);
+    if (!EXPORTED_STATUSES.includes(game.status)) {
+      throw new Error(`Invalid history file: game ${index + 1} has an invalid status`);
+    }
+  });
+
+  data.answers.forEach((answer, index) => {
+    checkFields(answer, {
+      game_id: 'number?',
+      country: 'string',
+      user_answer: 'string',
+      correct_answer: 'string',
+      is_correct: 'number',
+      question_number: 'number?',
+      timestamp: 'string',
+      question_mode: 'string?',
+      match_type: 'string?',
+      response_time_ms: 'number?',
+      hints_used: 'string?'
+    }, `answer ${index + 1}`);
+  });
+
+  data.reviews.forEach((review, index) => {
+    checkFields(review, {
+      country: 'string',
+      ease_factor: 'number',
+      interval_days: 'number',
+      repetitions: 'number',
+      due_date: 'string',
+      last_reviewed: 'string?'
+    }, `review ${index + 1}`);
+  });
+
+  return {
+    games: data.games.map(game => pickFields(game, GAME_FIELDS)),
+    answers: data.answers.map(answer => pickFields(answer, ANSWER_FIELDS)),
+    reviews: data.reviews.map(review => pickFields(review, REVIEW_FIELDS))
+  };
+};
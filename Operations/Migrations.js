@@ -0,0 +1,244 @@
+/**
+ * Database Migrations Module
+ * Evolves the SQLite schema in ordered steps tracked with PRAGMA user_version
+ * Every migration is idempotent so databases created by older app versions,
+ * which already contain some of the tables and columns, upgrade without data loss.
+ * Functions take the database as a parameter so they can run against any
+ * connection, including an in-memory database opened with openDatabaseAsync(':memory:').
+ */
+
+/**
+ * Adds a column to an existing table when the table lacks it
+ * @param {Object} db - SQLite database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ * @returns {Promise} Promise that resolves when the column exists
+ */
+export const addColumnIfMissing = async (db, table, column, definition) => {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  if (!columns.some(existing => existing.name === column)) {
+    await db.execAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+  }
+};
+
+/**
+ * Ordered schema migrations
+ * Append new migrations with the next version number; never edit released ones
+ */
+export const migrations = [
+  {
+    version: 1,
+    description: 'Create original answer and game result tables',
+    up: async (db) => {
+      await db.execAsync(`CREATE TABLE IF NOT EXISTS incorrect_answers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        country TEXT,
+        user_answer TEXT,
+        correct_answer TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+      );`);
+      await db.execAsync(`CREATE TABLE IF NOT EXISTS all_answers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_id INTEGER,
+        country TEXT,
+        user_answer TEXT,
+        correct_answer TEXT,
+        is_correct INTEGER,
+        question_number INTEGER,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (game_id) REFERENCES game_results (id)
+      );`);
+      await db.execAsync(`CREATE TABLE IF NOT EXISTS game_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        total_questions INTEGER NOT NULL,
+        correct_answers INTEGER NOT NULL,
+        wrong_answers INTEGER NOT NULL,
+        score_percentage REAL NOT NULL,
+        game_date TEXT NOT NULL
+      );`);
+    }
+  },
+  {
+    version: 2,
+    description: 'Record question type, typed answer match and response time per answer',
+    up: async (db) => {
+      await addColumnIfMissing(db, 'all_answers', 'question_mode', `TEXT DEFAULT 'capital'`);
+      await addColumnIfMissing(db, 'all_answers', 'match_type', 'TEXT');
+      await addColumnIfMissing(db, 'all_answers', 'response_time_ms', 'INTEGER');
+    }
+  },
+  {
+    version: 3,
+    description: 'Record time limit, points and total time per game',
+    up: async (db) => {
+      await addColumnIfMissing(db, 'game_results', 'time_limit_seconds', 'INTEGER');
+      await addColumnIfMissing(db, 'game_results', 'total_points', 'INTEGER');
+      await addColumnIfMissing(db, 'game_results', 'total_time_ms', 'INTEGER');
+    }
+  },
+  {
+    version: 4,
+    description: 'Create spaced-repetition review cards',
+    up: async (db) => {
+      await db.execAsync(`CREATE TABLE IF NOT EXISTS country_reviews (
+        country TEXT PRIMARY KEY,
+        ease_factor REAL NOT NULL,
+        interval_days INTEGER NOT NULL,
+        repetitions INTEGER NOT NULL,
+        due_date TEXT NOT NULL,
+        last_reviewed TEXT
+      );`);
+    }
+  },
+  {
+    version: 5,
+    description: 'Store seed and settings so games can be replayed',
+    up: async (db) => {
+      await addColumnIfMissing(db, 'game_results', 'seed', 'INTEGER');
+      await addColumnIfMissing(db, 'game_results', 'game_settings', 'TEXT');
+    }
+  },
+  {
+    version: 6,
+    description: 'Record hints used per answer',
+    up: async (db) => {
+      await addColumnIfMissing(db, 'all_answers', 'hints_used', 'TEXT');
+    }
+  },
+  {
+    version: 7,
+    description: 'Track game session status so unfinished games are kept separate',
+    up: async (db) => {
+      // Every game stored before sessions existed was saved on completion
+      await addColumnIfMissing(db, 'game_results', 'status', `TEXT NOT NULL DEFAULT 'completed'`);
+      await addColumnIfMissing(db, 'game_results', 'completed_at', 'TEXT');
+    }
+  },
+  {
+    version: 8,
+    description: 'Save in-progress game state so interrupted games can be resumed',
+    up: async (db) => {
+      await db.execAsync(`CREATE TABLE IF NOT EXISTS game_progress (
+        game_id INTEGER PRIMARY KEY,
+        state TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (game_id) REFERENCES game_results (id)
+      );`);
+    }
+  },
+  {
+    version: 9,
+    description: 'Fold legacy incorrect_answers into all_answers behind a compatibility view',
+    up: async (db) => {
+      const [legacy] = await db.getAllAsync(
+        `SELECT type FROM sqlite_master WHERE name = 'incorrect_answers'`
+      );
+      if (legacy && legacy.type === 'table') {
+        // Keep wrong answers that have no copy in all_answers, e.g. from before all_answers
+        // existed or from when it was recreated on every launch
+        await db.execAsync(`INSERT INTO all_answers (game_id, country, user_answer, correct_answer, is_correct, question_mode, timestamp)
+          SELECT NULL, legacy.country, legacy.user_answer, legacy.correct_answer, 0,
+                 CASE WHEN legacy.correct_answer = legacy.country THEN 'country' ELSE 'capital' END,
+                 legacy.timestamp
+          FROM incorrect_answers AS legacy
+          WHERE NOT EXISTS (
+            SELECT 1 FROM all_answers AS answer
+            WHERE answer.is_correct = 0
+              AND answer.country = legacy.country
+              AND answer.user_answer = legacy.user_answer
+              AND answer.correct_answer = legacy.correct_answer
+              AND ABS(julianday(answer.timestamp) - julianday(legacy.timestamp)) < 1.0 / 1440
+          );`);
+        await db.execAsync(`DROP TABLE incorrect_answers;`);
+      }
+      await db.execAsync(`CREATE VIEW IF NOT EXISTS incorrect_answers AS
+        SELECT id, country, user_answer, correct_answer, timestamp
+        FROM all_answers
+        WHERE is_correct = 0;`);
+    }
+  },
+  {
+    version: 10,
+    description: 'Index the columns history screens filter and sort by',
+    up: async (db) => {
+      await db.execAsync(`CREATE INDEX IF NOT EXISTS idx_all_answers_game_id
+        ON all_answers (game_id, question_number);`);
+      await db.execAsync(`CREATE INDEX IF NOT EXISTS idx_all_answers_timestamp
+        ON all_answers (timestamp);`);
+      await db.execAsync(`CREATE INDEX IF NOT EXISTS idx_game_results_game_date
+        ON game_results (status, game_date);`);
+    }
+  },
+  {
+    version: 11,
+    description: 'Soft-delete games and answers so deletions can be undone',
+    up: async (db) => {
+      await addColumnIfMissing(db, 'game_results', 'deleted_at', 'TEXT');
+      await addColumnIfMissing(db, 'all_answers', 'deleted_at', 'TEXT');
+      // Deleted answers must not show up as wrong answers either
+      await db.execAsync(`DROP VIEW IF EXISTS incorrect_answers;`);
+      await db.execAsync(`CREATE VIEW incorrect_answers AS
+        SELECT id, country, user_answer, correct_answer, timestamp
+        FROM all_answers
+        WHERE is_correct = 0 AND deleted_at IS NULL;`);
+    }
+  },
+  {
+    version: 12,
+    description: 'Cache weather responses so the weather screen works offline',
+    up: async (db) => {
+      await db.execAsync(`CREATE TABLE IF NOT EXISTS weather_cache (
+        cache_key TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        fetched_at TEXT NOT NULL
+      );`);
+    }
+  },
+  {
+    version: 13,
+    description: 'Store player preferences such as weather units',
+    up: async (db) => {
+      await db.execAsync(`CREATE TABLE IF NOT EXISTS preferences (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );`);
+    }
+  }
+];
+
+/**
+ * Reads the schema version stored in the database
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<number>} Version of the last applied migration, 0 for a new database
+ */
+export const getSchemaVersion = async (db) => {
+  const row = await db.getFirstAsync('PRAGMA user_version');
+  return row ? row.user_version : 0;
+};
+
+/**
+ * Applies every migration newer than the database's schema version
+ * Each migration and its version bump run in one transaction, so a failed
+ * migration leaves the database at the previous version
+ * @param {Object} db - SQLite database connection
+ * @param {Array} migrationList - Migrations to apply (defaults to `migrations`)
+ * @returns {Promise<number>} Schema version after migrating
+ */
+export const runMigrations = async (db, migrationList = migrations) => {
+  const currentVersion = await getSchemaVersion(db);
+  const pending = migrationList
+    .filter(migration => migration.version > currentVersion)
+    .sort((a, b) => a.version - b.version);
+
+  // Migrations run one after another; each must finish before the next starts
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.version}: ${migration.description}`);
+    await db.withTransactionAsync(async () => {
+      await migration.up(db);
+      await db.execAsync(`PRAGMA user_version = ${migration.version}`);
+    });
+  }
+
+  return pending.length > 0 ? pending[pending.length - 1].version : currentVersion;
+};
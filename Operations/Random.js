@@ -0,0 +1,74 @@
+/**
+ * Random Utilities Module
+ * Provides a seedable pseudo-random generator and unbiased shuffling helpers
+ * Every helper takes the random source as a parameter so results can be reproduced
+ */
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence of numbers.
+ * The returned function exposes `getState()`; passing that state back to
+ * `createRandom` continues the sequence from where it left off.
+ * @param {number} seed - 32-bit integer seed or a saved state
+ * @returns {Function} Function returning a float in [0, 1) on each call
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => state;
+  return random;
+};
+
+/**
+ * Picks a random integer in [0, max)
+ * @param {number} max - Exclusive upper bound
+ * @param {Function} random - Random source returning a float in [0, 1)
+ * @returns {number} Random integer
+ */
+export const randomInt = (max, random = Math.random) => {
+  return Math.floor(random() * max);
+};
+
+/**
+ * Returns a shuffled copy of an array using the Fisher-Yates algorithm
+ * @param {Array} items - Items to shuffle (left unmodified)
+ * @param {Function} random - Random source returning a float in [0, 1)
+ * @returns {Array} New array with the items in random order
+ */
+export const shuffle = (items, random = Math.random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1, random);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Creates a new random seed for a game
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export const generateSeed = () => {
+  return Math.floor(Math.random() * 4294967296);
+};
+
+/**
+ * Derives a seed from text using the FNV-1a hash
+ * The same text produces the same seed on every device
+ * @param {string} text - Text to hash, e.g. a date
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export const seedFromString = (text) => {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
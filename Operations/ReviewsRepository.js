@@ -0,0 +1,47 @@
+/**
+ * Reviews Repository
+ * Data access for the spaced-repetition practice schedule used by the screens
+ */
+import {
+  initializeDatabase,
+  seedReviewsFromAnswers,
+  getCountryReviews,
+  getPracticeQueue,
+  recordCountryReview
+} from './DbOperations';
+
+const ReviewsRepository = {
+  /**
+   * Retrieves every review card, soonest due first
+   * Countries answered before practice mode existed are scheduled first
+   * @returns {Promise<Array>} Promise that resolves to array of review cards
+   */
+  getAll: async () => {
+    await initializeDatabase();
+    await seedReviewsFromAnswers();
+    return getCountryReviews();
+  },
+
+  /**
+   * Retrieves the countries a practice game should ask about
+   * @param {number} limit - Maximum number of countries to return
+   * @returns {Promise<Array>} Promise that resolves to an array of country names
+   */
+  getPracticeQueue: async (limit) => {
+    await initializeDatabase();
+    return getPracticeQueue(limit);
+  },
+
+  /**
+   * Records a review of a country and reschedules it
+   * @param {string} country - Country name from the question
+   * @param {number} quality - Recall quality grade (0-5)
+   * @returns {Promise<Object>} Promise that resolves to the updated card
+   */
+  record: async (country, quality) => {
+    await initializeDatabase();
+    return recordCountryReview(country, quality);
+  }
+};
+
+export default ReviewsRepository;
@@ -0,0 +1,108 @@
+/**
+ * Spaced Repetition Module
+ * Schedules country reviews with the SM-2 algorithm for the practice mode
+ * Cards are plain objects matching rows of the country_reviews table
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE_FACTOR = 2.5;
+const MINIMUM_EASE_FACTOR = 1.3;
+
+// Answers faster than this count as effortless recall
+const QUICK_RECALL_MS = 5000;
+
+/**
+ * Creates a fresh review card for a country that has never been scheduled
+ * @param {string} country - Country name
+ * @param {Date} now - Current time
+ * @returns {Object} New card due immediately
+ */
+export const createCard = (country, now = new Date()) => ({
+  country,
+  ease_factor: DEFAULT_EASE_FACTOR,
+  interval_days: 0,
+  repetitions: 0,
+  due_date: now.toISOString(),
+  last_reviewed: null
+});
+
+/**
+ * Converts an answer into an SM-2 recall quality grade (0-5)
+ * @param {Object} answer - Answer details
+ * @param {boolean} answer.isCorrect - Whether the answer was correct
+ * @param {string|null} answer.matchType - 'fuzzy' when a typed answer was misspelled
+ * @param {number} answer.responseTimeMs - Time taken to answer in milliseconds
+ * @param {boolean} answer.timedOut - Whether the timer ran out
+ * @param {number} answer.hintsUsedCount - Number of hints used before answering
+ * @returns {number} Quality grade where 3 and above counts as recalled
+ */
+export const getReviewQuality = ({ isCorrect, matchType = null, responseTimeMs = 0, timedOut = false, hintsUsedCount = 0 }) => {
+  if (timedOut) return 0;
+  if (!isCorrect) return 1;
+  if (matchType === 'fuzzy' || hintsUsedCount > 0) return 3;
+  return responseTimeMs <= QUICK_RECALL_MS ? 5 : 4;
+};
+
+/**
+ * Applies one review to a card using the SM-2 algorithm
+ * Successful recalls grow the interval (1 day, 6 days, then by the ease factor);
+ * failed recalls reset the card to be reviewed again the next day
+ * @param {Object} card - Current card state
+ * @param {number} quality - Recall quality grade (0-5)
+ * @param {Date} now - Time of the review
+ * @returns {Object} Updated card (the input is not modified)
+ */
+export const reviewCard = (card, quality, now = new Date()) => {
+  let { ease_factor: easeFactor, interval_days: intervalDays, repetitions } = card;
+
+  if (quality >= 3) {
+    if (repetitions === 0) {
+      intervalDays = 1;
+    } else if (repetitions === 1) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.round(intervalDays * easeFactor);
+    }
+    repetitions += 1;
+  } else {
+    repetitions = 0;
+    intervalDays = 1;
+  }
+
+  easeFactor = Math.max(
+    MINIMUM_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    ...card,
+    ease_factor: Math.round(easeFactor * 100) / 100,
+    interval_days: intervalDays,
+    repetitions,
+    due_date: new Date(now.getTime() + intervalDays * DAY_MS).toISOString(),
+    last_reviewed: now.toISOString()
+  };
+};
+
+/**
+ * Checks whether a card should be reviewed now
+ * @param {Object} card - Card to check
+ * @param {Date} now - Current time
+ * @returns {boolean} True when the due date has passed
+ */
+export const isDue = (card, now = new Date()) => {
+  return new Date(card.due_date).getTime() <= now.getTime();
+};
+
+/**
+ * Describes how well a country is known based on its review history
+ * @param {Object|null} card - Card for the country, or null if never reviewed
+ * @returns {Object} { key, label } for the mastery level
+ */
+export const getMasteryLevel = (card) => {
+  if (!card || !card.last_reviewed) return { key: 'new', label: 'New' };
+  if (card.repetitions === 0) return { key: 'learning', label: 'Learning' };
+  if (card.interval_days >= 21) return { key: 'mastered', label: 'Mastered' };
+  if (card.repetitions >= 3) return { key: 'familiar', label: 'Familiar' };
+  return { key: 'reviewing', label: 'Reviewing' };
+};
@@ -0,0 +1,60 @@
+/**
+ * Weather Comparison Module
+ * Orders the rows of the weather comparison table
+ * Every function is pure: the same rows and sort always give the same order
+ */
+
+// Most capitals compared at once, keeping concurrent requests and the table manageable
+export const MAX_COMPARED_CITIES = 8;
+
+// Columns the comparison table can be sorted by
+export const COMPARISON_SORTS = {
+  temperature: { id: 'temperature', label: 'Temp' },
+  humidity: { id: 'humidity', label: 'Humidity' },
+  conditions: { id: 'conditions', label: 'Conditions' }
+};
+
+/**
+ * Reads the value a row is sorted by
+ * @param {Object} row - Comparison row with `weather` once loaded
+ * @param {string} sortId - 'temperature', 'humidity' or 'conditions'
+ * @returns {number|string|null} Sort value, or null when the row has no usable value
+ */
+const getSortValue = (row, sortId) => {
+  if (!row.weather) return null;
+  if (sortId === COMPARISON_SORTS.conditions.id) {
+    const description = row.weather.description;
+    return typeof description === 'string' && description !== '' ? description : null;
+  }
+  const value = sortId === COMPARISON_SORTS.temperature.id
+    ? row.weather.temperatureC
+    : row.weather.humidity;
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Sorts comparison rows by a column
+ * Rows without a value (still loading, failed, or missing that reading) always come
+ * last in their original order, whichever direction is chosen
+ * @param {Array} rows - Rows of { country, city, weather, error }
+ * @param {string} sortId - 'temperature', 'humidity' or 'conditions'
+ * @param {boolean} descending - Highest (or Z-A) first
+ * @returns {Array} New array of rows in display order
+ */
+export const sortComparisonRows = (rows, sortId, descending = false) => {
+  const direction = descending ? -1 : 1;
+  return rows
+    .map((row, index) => ({ row, index, value: getSortValue(row, sortId) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        if (a.value === b.value) return a.index - b.index;
+        return a.value === null ? 1 : -1;
+      }
+      const difference = typeof a.value === 'string'
+        ? a.value.localeCompare(b.value)
+        : a.value - b.value;
+      // Equal values keep the order the cities were chosen in
+      return difference !== 0 ? difference * direction : a.index - b.index;
+    })
+    .map(({ row }) => row);
+};
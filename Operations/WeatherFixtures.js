@@ -0,0 +1,49 @@
+/**
+ * Weather Fixtures
+ * Sample readings served by the mock weather provider, in the normalised weather model
+ * Keys are lower-case city names; `default` is used for any other city
+ */
+const weatherFixtures = {
+  default: {
+    location: { name: null, countryCode: null, lat: null, lon: null },
+    temperatureC: 18.4,
+    feelsLikeC: 17.9,
+    humidity: 64,
+    pressureHpa: 1015,
+    windSpeedKmh: 12.6,
+    description: 'partly cloudy'
+  },
+  london: {
+    location: { name: 'London', countryCode: 'GB', lat: 51.5074, lon: -0.1278 },
+    temperatureC: 11.2,
+    feelsLikeC: 9.8,
+    humidity: 82,
+    pressureHpa: 1008,
+    windSpeedKmh: 22.3,
+    description: 'light rain'
+  },
+  cairo: {
+    location: { name: 'Cairo', countryCode: 'EG', lat: 30.0444, lon: 31.2357 },
+    temperatureC: 31.5,
+    feelsLikeC: 30.2,
+    humidity: 21,
+    pressureHpa: 1011,
+    windSpeedKmh: 14.8,
+    description: 'clear sky'
+  },
+  reykjavik: {
+    location: { name: 'Reykjavik', countryCode: 'IS', lat: 64.1466, lon: -21.9426 },
+    temperatureC: -2.1,
+    feelsLikeC: -8.4,
+    humidity: 74,
+    pressureHpa: 996,
+    windSpeedKmh: 38.9,
+    description: 'snow'
+  },
+  // Lets the error handling be exercised offline
+  atlantis: {
+    error: 'not-found'
+  }
+};
+
+export default weatherFixtures;
@@ -0,0 +1,73 @@
+/**
+ * Weather Forecast Module
+ * Summarises 3-hour forecast readings into the daily rows shown on the Weather screen
+ * Every function is pure: the same forecast always gives the same summary
+ */
+import { FORECAST_DAYS } from './WeatherProviders';
+
+/**
+ * Finds a forecast reading's date in the forecast location's time zone
+ * @param {string} time - ISO time of the reading
+ * @param {number} utcOffsetSeconds - Location's offset from UTC
+ * @returns {string} Local date in YYYY-MM-DD form
+ */
+export const getLocalDateKey = (time, utcOffsetSeconds = 0) => {
+  return new Date(Date.parse(time) + utcOffsetSeconds * 1000).toISOString().slice(0, 10);
+};
+
+/**
+ * Picks the description reported most often, preferring the earliest on a tie
+ * @param {Array} descriptions - Descriptions in time order
+ * @returns {string|null} Most common description
+ */
+const getMostCommon = (descriptions) => {
+  const counts = new Map();
+  descriptions.forEach(description => counts.set(description, (counts.get(description) || 0) + 1));
+  let best = null;
+  counts.forEach((count, description) => {
+    if (best === null || count > counts.get(best)) best = description;
+  });
+  return best;
+};
+
+/**
+ * Returns the largest reported value
+ * @param {Array} values - Readings, possibly with missing values
+ * @returns {number|null} Largest value, or null when none were reported
+ */
+const getMax = (values) => {
+  const reported = values.filter(value => typeof value === 'number');
+  return reported.length > 0 ? Math.max(...reported) : null;
+};
+
+/**
+ * Builds one summary per local day of the forecast
+ * Forecasts starting mid-day end mid-day too; days past the limit are left out so
+ * a last day with only a few readings does not show misleading highs and lows
+ * @param {Object} forecast - Forecast model { utcOffsetSeconds, entries }
+ * @param {number} maxDays - Number of days to summarise
+ * @returns {Array} Days { date, highC, lowC, precipitationChance, windSpeedKmh, description, entries }
+ * in date order, where precipitation chance and wind speed are the day's highest
+ */
+export const buildDailyForecast = (forecast, maxDays = FORECAST_DAYS) => {
+  const days = new Map();
+  forecast.entries.forEach((entry) => {
+    const date = getLocalDateKey(entry.time, forecast.utcOffsetSeconds);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(entry);
+  });
+
+  const summaries = Array.from(days, ([date, entries]) => {
+    const temperatures = entries.map(entry => entry.temperatureC);
+    return {
+      date,
+      highC: Math.max(...temperatures),
+      lowC: Math.min(...temperatures),
+      precipitationChance: getMax(entries.map(entry => entry.precipitationChance)),
+      windSpeedKmh: getMax(entries.map(entry => entry.windSpeedKmh)),
+      description: getMostCommon(entries.map(entry => entry.description)),
+      entries
+    };
+  });
+  return summaries.sort((a, b) => a.date.localeCompare(b.date)).slice(0, maxDays);
+};
@@ -0,0 +1,121 @@
+/**
+ * Weather Format Module
+ * Converts and formats readings from the normalised weather model for display
+ * Readings are stored in metric units; the player's unit preference is applied
+ * only when formatting. Every function is pure and missing values format as '–'.
+ */
+
+// Shown in place of a value the provider did not report
+const MISSING_VALUE = '–';
+
+export const TEMPERATURE_UNITS = {
+  celsius: { id: 'celsius', label: '°C' },
+  fahrenheit: { id: 'fahrenheit', label: '°F' }
+};
+
+export const WIND_SPEED_UNITS = {
+  kmh: { id: 'kmh', label: 'km/h' },
+  mph: { id: 'mph', label: 'mph' }
+};
+
+// Units used until the player picks their own
+export const defaultWeatherUnits = {
+  temperature: TEMPERATURE_UNITS.celsius.id,
+  windSpeed: WIND_SPEED_UNITS.kmh.id
+};
+
+const KM_PER_MILE = 1.609344;
+const KMH_PER_METRE_PER_SECOND = 3.6;
+
+/**
+ * Checks whether a reading has a value to show
+ * @param {*} value - Reading from the weather model
+ * @returns {boolean} True for finite numbers
+ */
+const hasValue = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Converts a wind speed reported in m/s, as by OpenWeatherMap, to km/h
+ * @param {number} metresPerSecond - Wind speed in m/s
+ * @returns {number} Wind speed in km/h
+ */
+export const metresPerSecondToKmh = (metresPerSecond) => {
+  return metresPerSecond * KMH_PER_METRE_PER_SECOND;
+};
+
+/**
+ * Converts a Celsius temperature to the given unit
+ * @param {number} celsius - Temperature in °C
+ * @param {string} unit - 'celsius' or 'fahrenheit'
+ * @returns {number} Temperature in the requested unit
+ */
+export const convertTemperature = (celsius, unit) => {
+  return unit === TEMPERATURE_UNITS.fahrenheit.id ? celsius * 9 / 5 + 32 : celsius;
+};
+
+/**
+ * Converts a wind speed in km/h to the given unit
+ * @param {number} kmh - Wind speed in km/h
+ * @param {string} unit - 'kmh' or 'mph'
+ * @returns {number} Wind speed in the requested unit
+ */
+export const convertWindSpeed = (kmh, unit) => {
+  return unit === WIND_SPEED_UNITS.mph.id ? kmh / KM_PER_MILE : kmh;
+};
+
+/**
+ * Formats a temperature rounded to whole degrees, e.g. "18°C"
+ * @param {number} celsius - Temperature in °C
+ * @param {string} unit - 'celsius' or 'fahrenheit'
+ * @returns {string} Formatted temperature
+ */
+export const formatTemperature = (celsius, unit = defaultWeatherUnits.temperature) => {
+  if (!hasValue(celsius)) return MISSING_VALUE;
+  const label = (TEMPERATURE_UNITS[unit] || TEMPERATURE_UNITS.celsius).label;
+  // Adding 0 turns -0 into 0 so "-0°C" is never shown
+  return `${Math.round(convertTemperature(celsius, unit)) + 0}${label}`;
+};
+
+/**
+ * Formats a wind speed rounded to whole units, e.g. "13 km/h"
+ * @param {number} kmh - Wind speed in km/h
+ * @param {string} unit - 'kmh' or 'mph'
+ * @returns {string} Formatted wind speed
+ */
+export const formatWindSpeed = (kmh, unit = defaultWeatherUnits.windSpeed) => {
+  if (!hasValue(kmh)) return MISSING_VALUE;
+  const label = (WIND_SPEED_UNITS[unit] || WIND_SPEED_UNITS.kmh).label;
+  return `${Math.round(convertWindSpeed(kmh, unit))} ${label}`;
+};
+
+/**
+ * Formats a percentage such as humidity or precipitation chance, e.g. "64%"
+ * @param {number} percent - Value from 0 to 100
+ * @returns {string} Formatted percentage
+ */
+export const formatPercentage = (percent) => {
+  if (!hasValue(percent)) return MISSING_VALUE;
+  return `${Math.round(percent)}%`;
+};
+
+/**
+ * Formats an air pressure, e.g. "1015 hPa"
+ * @param {number} hpa - Pressure in hPa
+ * @returns {string} Formatted pressure
+ */
+export const formatPressure = (hpa) => {
+  if (!hasValue(hpa)) return MISSING_VALUE;
+  return `${Math.round(hpa)} hPa`;
+};
+
+/**
+ * Formats a forecast day heading, e.g. "Mon 14"
+ * @param {string} dateKey - Local date in YYYY-MM-DD form
+ * @returns {string} Short weekday and day of month
+ */
+export const formatForecastDay = (dateKey) => {
+  // Noon UTC keeps the weekday the same in every time zone
+  const date = new Date(`${dateKey}T12:00:00Z`);
+  const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][date.getUTCDay()];
+  return `${weekday} ${date.getUTCDate()}`;
+};
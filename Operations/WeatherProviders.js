@@ -0,0 +1,379 @@
+/**
+ * Weather Providers Module
+ * Adapters that fetch current weather from a data source and normalise it
+ * Every provider is an object { id, name, getCurrentWeather(location), getForecast(location) }.
+ * Current weather resolves to the same weather model:
+ * {
+ *   provider, location: { name, countryCode, lat, lon }, observedAt,
+ *   temperatureC, feelsLikeC, humidity, pressureHpa, windSpeedKmh, description
+ * }
+ * Forecasts resolve to five days of readings three hours apart:
+ * {
+ *   provider, location, utcOffsetSeconds,
+ *   entries: [{ time, temperatureC, precipitationChance, windSpeedKmh, description }]
+ * }
+ * where utcOffsetSeconds is the location's offset from UTC and precipitationChance is 0-100.
+ * Locations are { city, countryCode, lat, lon }; providers use the coordinates when
+ * present and otherwise look the city up by name qualified with its country code.
+ * Errors carry a `code` of 'invalid-key', 'not-found', 'network', 'unknown' (the service
+ * reported another failure) or 'unexpected' (the response could not be read).
+ */
+import axios from 'axios';
+import weatherFixtures from './WeatherFixtures';
+import { metresPerSecondToKmh } from './WeatherFormat';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Forecast length and spacing shared by every provider
+export const FORECAST_DAYS = 5;
+export const FORECAST_STEP_HOURS = 3;
+
+/**
+ * Creates an error the weather screen can explain to the player
+ * @param {string} code - 'invalid-key', 'not-found', 'network', 'unknown' or 'unexpected'
+ * @param {string} message - Description of the failure
+ * @returns {Error} Error with the code attached
+ */
+export const createWeatherError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Codes of errors created by `createWeatherError`
+const WEATHER_ERROR_CODES = ['invalid-key', 'not-found', 'network', 'unknown', 'unexpected'];
+
+/**
+ * Converts a failure while fetching or reading a response into a weather error
+ * Only requests that got no response are network errors; anything else that is not
+ * an HTTP error, such as a TypeError from a malformed response, is unexpected
+ * @param {Error} error - Error thrown by axios or by the response mapping
+ * @returns {Error} Weather error with a code
+ */
+const toWeatherError = (error) => {
+  if (!error.isAxiosError) {
+    if (WEATHER_ERROR_CODES.includes(error.code)) return error;
+    const unexpected = createWeatherError('unexpected', 'The weather service sent a response the app could not read.');
+    unexpected.cause = error;
+    return unexpected;
+  }
+  if (!error.response) {
+    return error.request
+      ? createWeatherError('network', 'Could not reach the weather service.')
+      : createWeatherError('unexpected', 'The weather request could not be sent.');
+  }
+  if (error.response.status === 401) {
+    return createWeatherError('invalid-key', 'Invalid API key. Please check your OpenWeatherMap API key.');
+  }
+  if (error.response.status === 404) {
+    return createWeatherError('not-found', 'City not found. Please try a different city.');
+  }
+  return createWeatherError('unknown', error.response.data?.message || error.response.data?.reason || 'Failed to fetch weather data.');
+};
+
+/**
+ * Describes a WMO weather interpretation code as used by Open-Meteo
+ * @param {number} code - WMO weather code
+ * @returns {string} Lower-case description in the style of OpenWeatherMap
+ */
+export const describeWeatherCode = (code) => {
+  if (code === 0) return 'clear sky';
+  if (code === 1) return 'mainly clear';
+  if (code === 2) return 'partly cloudy';
+  if (code === 3) return 'overcast';
+  if (code === 45 || code === 48) return 'fog';
+  if (code >= 51 && code <= 57) return 'drizzle';
+  if (code >= 61 && code <= 67) return 'rain';
+  if (code >= 71 && code <= 77) return 'snow';
+  if (code >= 80 && code <= 82) return 'rain showers';
+  if (code === 85 || code === 86) return 'snow showers';
+  if (code >= 95) return 'thunderstorm';
+  return 'unknown';
+};
+
+/**
+ * Creates the OpenWeatherMap provider
+ * @param {string} apiKey - OpenWeatherMap API key
+ * @returns {Object} Weather provider
+ */
+export const createOpenWeatherMapProvider = (apiKey) => ({
+  id: 'openweathermap',
+  name: 'OpenWeatherMap',
+
+  /**
+   * Fetches current weather for a location
+   * @param {Object} location - { city, countryCode, lat, lon }
+   * @returns {Promise<Object>} Promise that resolves to the weather model
+   */
+  getCurrentWeather: async ({ city, countryCode, lat, lon }) => {
+    if (!apiKey) {
+      throw createWeatherError('invalid-key', 'No OpenWeatherMap API key is configured.');
+    }
+    try {
+      const { data } = await axios.get('https://api.openweathermap.org/data/2.5/weather', {
+        params: { ...getOpenWeatherMapPlace({ city, countryCode, lat, lon }), appid: apiKey, units: 'metric' },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      return {
+        provider: 'openweathermap',
+        // Coordinate lookups resolve to the nearest weather station, so keep the requested city name
+        location: { name: city || data.name, countryCode: data.sys?.country || countryCode || null, lat: data.coord.lat, lon: data.coord.lon },
+        observedAt: new Date(data.dt * 1000).toISOString(),
+        temperatureC: data.main.temp,
+        feelsLikeC: data.main.feels_like,
+        humidity: data.main.humidity,
+        pressureHpa: data.main.pressure,
+        windSpeedKmh: data.wind ? metresPerSecondToKmh(data.wind.speed) : null, // Metric wind speeds are in m/s
+        description: data.weather[0].description
+      };
+    } catch (error) {
+      throw toWeatherError(error);
+    }
+  },
+
+  /**
+   * Fetches the 5-day/3-hour forecast for a location
+   * @param {Object} location - { city, countryCode, lat, lon }
+   * @returns {Promise<Object>} Promise that resolves to the forecast model
+   */
+  getForecast: async ({ city, countryCode, lat, lon }) => {
+    if (!apiKey) {
+      throw createWeatherError('invalid-key', 'No OpenWeatherMap API key is configured.');
+    }
+    try {
+      const { data } = await axios.get('https://api.openweathermap.org/data/2.5/forecast', {
+        params: { ...getOpenWeatherMapPlace({ city, countryCode, lat, lon }), appid: apiKey, units: 'metric' },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      return {
+        provider: 'openweathermap',
+        location: { name: city || data.city.name, countryCode: data.city.country || countryCode || null, lat: data.city.coord.lat, lon: data.city.coord.lon },
+        utcOffsetSeconds: data.city.timezone,
+        entries: data.list.map(entry => ({
+          time: new Date(entry.dt * 1000).toISOString(),
+          temperatureC: entry.main.temp,
+          precipitationChance: entry.pop != null ? entry.pop * 100 : null, // pop is a probability from 0 to 1
+          windSpeedKmh: entry.wind ? metresPerSecondToKmh(entry.wind.speed) : null,
+          description: entry.weather[0].description
+        }))
+      };
+    } catch (error) {
+      throw toWeatherError(error);
+    }
+  }
+});
+
+/**
+ * Builds the OpenWeatherMap location parameters
+ * axios encodes the parameters, so multi-word names such as "Kuala Lumpur" are safe
+ * @param {Object} location - { city, countryCode, lat, lon }
+ * @returns {Object} Either { lat, lon } or { q }
+ */
+const getOpenWeatherMapPlace = ({ city, countryCode, lat, lon }) => {
+  return hasCoordinates({ lat, lon })
+    ? { lat, lon }
+    : { q: countryCode ? `${city},${countryCode}` : city };
+};
+
+/**
+ * Checks whether a location has usable coordinates
+ * @param {Object} location - { lat, lon }
+ * @returns {boolean} True when both coordinates are numbers
+ */
+const hasCoordinates = ({ lat, lon }) => Number.isFinite(lat) && Number.isFinite(lon);
+
+/**
+ * Finds a city's coordinates with the Open-Meteo geocoding service
+ * Results are narrowed to the country when a country code is given
+ * @param {Object} location - { city, countryCode }
+ * @returns {Promise<Object>} Promise that resolves to the geocoding result
+ */
+const geocodeWithOpenMeteo = async ({ city, countryCode }) => {
+  const { data } = await axios.get('https://geocoding-api.open-meteo.com/v1/search', {
+    params: { name: city, count: 10 },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+  const results = data.results || [];
+  const place = countryCode
+    ? results.find(result => result.country_code === countryCode.toUpperCase())
+    : results[0];
+  if (!place) {
+    throw createWeatherError('not-found', 'City not found. Please try a different city.');
+  }
+  return place;
+};
+
+/**
+ * Resolves a location to an Open-Meteo place, geocoding it when it has no coordinates
+ * @param {Object} location - { city, countryCode, lat, lon }
+ * @returns {Promise<Object>} Promise that resolves to { name, country_code, latitude, longitude }
+ */
+const resolveOpenMeteoPlace = async (location) => {
+  return hasCoordinates(location)
+    ? { name: location.city, country_code: location.countryCode, latitude: location.lat, longitude: location.lon }
+    : geocodeWithOpenMeteo(location);
+};
+
+/**
+ * Creates the Open-Meteo provider, which needs no API key
+ * Locations without coordinates are looked up with the Open-Meteo geocoding service
+ * @returns {Object} Weather provider
+ */
+export const createOpenMeteoProvider = () => ({
+  id: 'open-meteo',
+  name: 'Open-Meteo',
+
+  /**
+   * Fetches current weather for a location
+   * @param {Object} location - { city, countryCode, lat, lon }
+   * @returns {Promise<Object>} Promise that resolves to the weather model
+   */
+  getCurrentWeather: async (location) => {
+    try {
+      const place = await resolveOpenMeteoPlace(location);
+
+      const { data } = await axios.get('https://api.open-meteo.com/v1/forecast', {
+        params: {
+          latitude: place.latitude,
+          longitude: place.longitude,
+          current: 'temperature_2m,apparent_temperature,relative_humidity_2m,surface_pressure,wind_speed_10m,weather_code',
+          timezone: 'UTC'
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      return {
+        provider: 'open-meteo',
+        location: { name: place.name, countryCode: place.country_code || null, lat: place.latitude, lon: place.longitude },
+        observedAt: new Date(`${data.current.time}Z`).toISOString(),
+        temperatureC: data.current.temperature_2m,
+        feelsLikeC: data.current.apparent_temperature,
+        humidity: data.current.relative_humidity_2m,
+        pressureHpa: Math.round(data.current.surface_pressure),
+        windSpeedKmh: data.current.wind_speed_10m,
+        description: describeWeatherCode(data.current.weather_code)
+      };
+    } catch (error) {
+      throw toWeatherError(error);
+    }
+  },
+
+  /**
+   * Fetches the 5-day forecast for a location, keeping every third hourly reading
+   * @param {Object} location - { city, countryCode, lat, lon }
+   * @returns {Promise<Object>} Promise that resolves to the forecast model
+   */
+  getForecast: async (location) => {
+    try {
+      const place = await resolveOpenMeteoPlace(location);
+
+      // Local times start at midnight, so every third hour lines up with 00:00, 03:00, ...
+      const { data } = await axios.get('https://api.open-meteo.com/v1/forecast', {
+        params: {
+          latitude: place.latitude,
+          longitude: place.longitude,
+          hourly: 'temperature_2m,precipitation_probability,wind_speed_10m,weather_code',
+          forecast_days: FORECAST_DAYS,
+          timezone: 'auto'
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      const offsetMs = data.utc_offset_seconds * 1000;
+      const entries = [];
+      for (let index = 0; index < data.hourly.time.length; index += FORECAST_STEP_HOURS) {
+        entries.push({
+          time: new Date(Date.parse(`${data.hourly.time[index]}Z`) - offsetMs).toISOString(),
+          temperatureC: data.hourly.temperature_2m[index],
+          precipitationChance: data.hourly.precipitation_probability[index],
+          windSpeedKmh: data.hourly.wind_speed_10m[index],
+          description: describeWeatherCode(data.hourly.weather_code[index])
+        });
+      }
+      return {
+        provider: 'open-meteo',
+        location: { name: place.name, countryCode: place.country_code || null, lat: place.latitude, lon: place.longitude },
+        utcOffsetSeconds: data.utc_offset_seconds,
+        entries
+      };
+    } catch (error) {
+      throw toWeatherError(error);
+    }
+  }
+});
+
+/**
+ * Creates a provider that serves fixture readings without any network access
+ * Used to develop and test the weather screen offline
+ * @param {Object} fixtures - Readings keyed by lower-case city name, plus a `default` reading
+ * @param {number} delayMs - Simulated network delay
+ * @returns {Object} Weather provider
+ */
+export const createMockProvider = (fixtures = weatherFixtures, delayMs = 300) => ({
+  id: 'mock',
+  name: 'Offline sample data',
+
+  /**
+   * Returns the fixture reading for a city
+   * A fixture with an `error` code rejects with that error instead
+   * @param {Object} location - { city, countryCode, lat, lon }
+   * @returns {Promise<Object>} Promise that resolves to the weather model
+   */
+  getCurrentWeather: async ({ city, countryCode = null, lat = null, lon = null }) => {
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    const fixture = getMockFixture(fixtures, city);
+    return {
+      provider: 'mock',
+      ...fixture,
+      location: fixture.location.name ? fixture.location : { name: city, countryCode, lat, lon },
+      observedAt: new Date().toISOString()
+    };
+  },
+
+  /**
+   * Builds a forecast around the fixture reading for a city
+   * Temperatures follow a daily cycle so highs and lows differ; each value depends only
+   * on the fixture and the hour of day
+   * @param {Object} location - { city, countryCode, lat, lon }
+   * @returns {Promise<Object>} Promise that resolves to the forecast model
+   */
+  getForecast: async ({ city, countryCode = null, lat = null, lon = null }) => {
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    const fixture = getMockFixture(fixtures, city);
+    const stepMs = FORECAST_STEP_HOURS * 60 * 60 * 1000;
+    const start = Math.ceil(Date.now() / stepMs) * stepMs;
+    const entries = [];
+    for (let index = 0; index < FORECAST_DAYS * 24 / FORECAST_STEP_HOURS; index++) {
+      const time = new Date(start + index * stepMs);
+      const hour = time.getUTCHours();
+      // Warmest mid-afternoon, coldest before dawn
+      const swing = -Math.cos(((hour - 3) / 24) * 2 * Math.PI);
+      entries.push({
+        time: time.toISOString(),
+        temperatureC: Math.round((fixture.temperatureC + swing * 4) * 10) / 10,
+        precipitationChance: Math.min(100, Math.max(0, Math.round(fixture.humidity - 40 - swing * 10))),
+        windSpeedKmh: Math.max(0, Math.round((fixture.windSpeedKmh + (hour % 9) - 4) * 10) / 10),
+        description: fixture.description
+      });
+    }
+    return {
+      provider: 'mock',
+      location: fixture.location.name ? fixture.location : { name: city, countryCode, lat, lon },
+      utcOffsetSeconds: 0,
+      entries
+    };
+  }
+});
+
+/**
+ * Finds the fixture for a city
+ * A fixture with an `error` code throws that error instead
+ * @param {Object} fixtures - Readings keyed by lower-case city name
+ * @param {string} city - City name
+ * @returns {Object} Fixture reading
+ */
+const getMockFixture = (fixtures, city) => {
+  const fixture = fixtures[city.toLowerCase()] || fixtures.default;
+  if (fixture.error) {
+    throw createWeatherError(fixture.error, `Sample error for ${city}.`);
+  }
+  return fixture;
+};
@@ -0,0 +1,166 @@
+/**
+ * Weather Repository
+ * Serves weather readings and forecasts from the SQLite cache while they are fresh and from
+ * the configured provider otherwise, falling back to the cache when offline,
+ * and stores the player's weather units and favourite capitals
+ */
+import {
+  initializeDatabase,
+  getCachedWeather,
+  saveCachedWeather,
+  getPreference,
+  savePreference
+} from './DbOperations';
+import { getWeatherProvider, getCurrentWeather, getForecast } from './WeatherService';
+import { defaultWeatherUnits } from './WeatherFormat';
+
+// Cached readings younger than this are shown without asking the provider again
+export const WEATHER_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const UNITS_PREFERENCE_KEY = 'weatherUnits';
+const FAVOURITES_PREFERENCE_KEY = 'weatherFavourites';
+
+// Requests currently waiting on the provider, keyed like the cache
+const inFlightRequests = new Map();
+
+/**
+ * Builds the cache key for a request
+ * Includes the provider so switching providers never shows another provider's data
+ * @param {string} kind - Request type, e.g. 'current'
+ * @param {Object} location - { city, countryCode }
+ * @returns {string} Cache key
+ */
+const getCacheKey = (kind, { city, countryCode }) => {
+  return `${getWeatherProvider().id}:${kind}:${countryCode || ''}:${city}`;
+};
+
+/**
+ * Fetches a reading from the provider and caches it
+ * Concurrent requests for the same key share one provider call
+ * A reading that could not be cached is still returned
+ * @param {string} cacheKey - Cache key for the request
+ * @param {Function} fetchReading - Async function calling the provider
+ * @returns {Promise<Object>} Promise that resolves to { data, fetchedAt }
+ */
+const fetchAndCache = (cacheKey, fetchReading) => {
+  if (!inFlightRequests.has(cacheKey)) {
+    const request = (async () => {
+      const data = await fetchReading();
+      const fetchedAt = new Date().toISOString();
+      try {
+        await saveCachedWeather(cacheKey, data, fetchedAt);
+      } catch (error) {
+        console.error('Error caching weather reading:', error);
+      }
+      return { data, fetchedAt };
+    })();
+    inFlightRequests.set(cacheKey, request);
+    request.finally(() => inFlightRequests.delete(cacheKey)).catch(() => {});
+  }
+  return inFlightRequests.get(cacheKey);
+};
+
+/**
+ * Returns a cached or freshly fetched reading
+ * @param {string} kind - Request type, e.g. 'current'
+ * @param {Object} location - { city, countryCode, lat, lon }
+ * @param {Function} fetchReading - Async function calling the provider
+ * @param {boolean} forceRefresh - Skip a fresh cached reading and ask the provider
+ * @returns {Promise<Object>} Promise that resolves to { data, fetchedAt, fromCache, offline }
+ */
+const getReading = async (kind, location, fetchReading, forceRefresh) => {
+  await initializeDatabase();
+  const cacheKey = getCacheKey(kind, location);
+  const cached = await getCachedWeather(cacheKey);
+
+  if (cached && !forceRefresh && Date.now() - new Date(cached.fetchedAt).getTime() < WEATHER_CACHE_TTL_MS) {
+    return { ...cached, fromCache: true, offline: false };
+  }
+
+  try {
+    const fresh = await fetchAndCache(cacheKey, fetchReading);
+    return { ...fresh, fromCache: false, offline: false };
+  } catch (error) {
+    // Without a connection an old reading is more useful than an error
+    if (error.code === 'network' && cached) {
+      return { ...cached, fromCache: true, offline: true };
+    }
+    throw error;
+  }
+};
+
+const WeatherRepository = {
+  /**
+   * Retrieves current weather for a location
+   * @param {Object} location - { city, countryCode, lat, lon }
+   * @param {Object} options - { forceRefresh } to bypass a fresh cached reading
+   * @returns {Promise<Object>} Promise that resolves to { data, fetchedAt, fromCache, offline }
+   * where data is the normalised weather model
+   */
+  getCurrent: async (location, { forceRefresh = false } = {}) => {
+    return getReading(
+      'current',
+      location,
+      () => getCurrentWeather(location),
+      forceRefresh
+    );
+  },
+
+  /**
+   * Retrieves the 5-day/3-hour forecast for a location
+   * @param {Object} location - { city, countryCode, lat, lon }
+   * @param {Object} options - { forceRefresh } to bypass a fresh cached forecast
+   * @returns {Promise<Object>} Promise that resolves to { data, fetchedAt, fromCache, offline }
+   * where data is the forecast model
+   */
+  getForecast: async (location, { forceRefresh = false } = {}) => {
+    return getReading(
+      'forecast',
+      location,
+      () => getForecast(location),
+      forceRefresh
+    );
+  },
+
+  /**
+   * Retrieves the player's temperature and wind speed units
+   * @returns {Promise<Object>} Promise that resolves to { temperature, windSpeed }
+   */
+  getUnits: async () => {
+    await initializeDatabase();
+    const units = await getPreference(UNITS_PREFERENCE_KEY);
+    // Fill in any unit added since the preference was saved
+    return { ...defaultWeatherUnits, ...units };
+  },
+
+  /**
+   * Saves the player's temperature and wind speed units
+   * @param {Object} units - { temperature, windSpeed }
+   * @returns {Promise} Promise that resolves when the units are saved
+   */
+  saveUnits: async (units) => {
+    await initializeDatabase();
+    return savePreference(UNITS_PREFERENCE_KEY, units);
+  },
+
+  /**
+   * Retrieves the countries whose capitals the player marked as favourites
+   * @returns {Promise<Array>} Promise that resolves to country names in the order they were added
+   */
+  getFavourites: async () => {
+    await initializeDatabase();
+    return (await getPreference(FAVOURITES_PREFERENCE_KEY)) || [];
+  },
+
+  /**
+   * Saves the countries whose capitals the player marked as favourites
+   * @param {Array} countries - Country names
+   * @returns {Promise} Promise that resolves when the favourites are saved
+   */
+  saveFavourites: async (countries) => {
+    await initializeDatabase();
+    return savePreference(FAVOURITES_PREFERENCE_KEY, countries);
+  }
+};
+
+export default WeatherRepository;
@@ -0,0 +1,76 @@
+/**
+ * Weather Service Module
+ * Chooses the weather provider from app configuration and exposes it to the screens
+ * Configuration comes from Expo public environment variables, e.g. in .env.local:
+ *   EXPO_PUBLIC_WEATHER_PROVIDER - 'openweathermap', 'open-meteo' or 'mock'
+ *   EXPO_PUBLIC_OPENWEATHERMAP_API_KEY - key for the OpenWeatherMap provider
+ * Without a provider setting, OpenWeatherMap is used when a key is configured
+ * and the keyless Open-Meteo provider otherwise.
+ */
+import {
+  createOpenWeatherMapProvider,
+  createOpenMeteoProvider,
+  createMockProvider
+} from './WeatherProviders';
+
+/**
+ * Creates the provider named in the configuration
+ * @param {Object} config - { provider, openWeatherMapApiKey }
+ * @returns {Object} Weather provider
+ */
+export const createWeatherProvider = ({ provider, openWeatherMapApiKey } = {}) => {
+  const providerId = provider || (openWeatherMapApiKey ? 'openweathermap' : 'open-meteo');
+  switch (providerId) {
+    case 'openweathermap':
+      return createOpenWeatherMapProvider(openWeatherMapApiKey);
+    case 'open-meteo':
+      return createOpenMeteoProvider();
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown weather provider: ${providerId}`);
+  }
+};
+
+let weatherProvider;
+
+/**
+ * Returns the configured weather provider, creating it on first use
+ * @returns {Object} Weather provider
+ */
+export const getWeatherProvider = () => {
+  if (!weatherProvider) {
+    // Expo inlines EXPO_PUBLIC_ variables at build time, so they must be read by name
+    weatherProvider = createWeatherProvider({
+      provider: process.env.EXPO_PUBLIC_WEATHER_PROVIDER,
+      openWeatherMapApiKey: process.env.EXPO_PUBLIC_OPENWEATHERMAP_API_KEY
+    });
+  }
+  return weatherProvider;
+};
+
+/**
+ * Replaces the provider, e.g. with a mock provider in tests
+ * @param {Object|null} provider - Provider to use, or null to return to the configured one
+ */
+export const setWeatherProvider = (provider) => {
+  weatherProvider = provider;
+};
+
+/**
+ * Fetches current weather for a location from the configured provider
+ * @param {Object} location - { city, countryCode, lat, lon }
+ * @returns {Promise<Object>} Promise that resolves to the normalised weather model
+ */
+export const getCurrentWeather = (location) => {
+  return getWeatherProvider().getCurrentWeather(location);
+};
+
+/**
+ * Fetches the 5-day/3-hour forecast for a location from the configured provider
+ * @param {Object} location - { city, countryCode, lat, lon }
+ * @returns {Promise<Object>} Promise that resolves to the forecast model
+ */
+export const getForecast = (location) => {
+  return getWeatherProvider().getForecast(location);
+};
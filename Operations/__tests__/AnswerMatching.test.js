@@ -0,0 +1,98 @@
+/**
+ * Tests for typed answer matching against the real country dataset
+ */
+import { normalizeAnswer, levenshteinDistance, matchTypedAnswer } from '../AnswerMatching';
+import { findCountry, getAcceptedAnswers, getOtherAnswers } from '../../Components/CountriesData';
+
+/**
+ * Matches a typed answer the way the quiz screen does
+ * @param {string} input - Text typed by the player
+ * @param {string} countryName - Country the question is about
+ * @param {string} questionMode - 'capital' or 'country'
+ * @returns {Object} { isCorrect, matchType }
+ */
+const answer = (input, countryName, questionMode) => {
+  const countryData = findCountry(countryName);
+  return matchTypedAnswer(
+    input,
+    getAcceptedAnswers(countryData, questionMode),
+    getOtherAnswers(countryData, questionMode)
+  );
+};
+
+const wrong = { isCorrect: false, matchType: null };
+
+describe('normalizeAnswer', () => {
+  it('ignores case, diacritics, punctuation and the St abbreviation', () => {
+    expect(normalizeAnswer('  Bogotá ')).toBe('bogota');
+    expect(normalizeAnswer("Sana'a")).toBe('sanaa');
+    expect(normalizeAnswer("St. George's")).toBe(normalizeAnswer("Saint George's"));
+  });
+});
+
+describe('levenshteinDistance', () => {
+  it('counts single-character edits', () => {
+    expect(levenshteinDistance('kitten', 'sitting')).toBe(3);
+    expect(levenshteinDistance('', 'abc')).toBe(3);
+    expect(levenshteinDistance('same', 'same')).toBe(0);
+  });
+});
+
+describe('matchTypedAnswer', () => {
+  it('accepts exact and alternate names', () => {
+    expect(answer('paris', 'France', 'capital')).toEqual({ isCorrect: true, matchType: 'exact' });
+    expect(answer('Praha', 'Czech Republic', 'capital')).toEqual({ isCorrect: true, matchType: 'exact' });
+    expect(answer('The Gambia', 'Gambia', 'country')).toEqual({ isCorrect: true, matchType: 'exact' });
+  });
+
+  it('forgives small typos', () => {
+    expect(answer('Reykjavk', 'Iceland', 'capital')).toEqual({ isCorrect: true, matchType: 'fuzzy' });
+    expect(answer('Kingstn', 'Jamaica', 'capital')).toEqual({ isCorrect: true, matchType: 'fuzzy' });
+    expect(answer('Australa', 'Australia', 'country')).toEqual({ isCorrect: true, matchType: 'fuzzy' });
+  });
+
+  it('rejects answers too far from the accepted names', () => {
+    expect(answer('Lyon', 'France', 'capital')).toEqual(wrong);
+    expect(answer('', 'France', 'capital')).toEqual(wrong);
+  });
+
+  it.each([
+    ['Zambia', 'Gambia'],
+    ['Gambia', 'Zambia'],
+    ['North Korea', 'South Korea'],
+    ['South Korea', 'North Korea'],
+    ['Iceland', 'Ireland'],
+    ['Ireland', 'Iceland'],
+    ['Austria', 'Australia']
+  ])('rejects the country %s for %s', (input, countryName) => {
+    expect(answer(input, countryName, 'country')).toEqual(wrong);
+  });
+
+  it.each([
+    ['Kingston', 'Saint Vincent and the Grenadines'],
+    ['Kingstown', 'Jamaica'],
+    ['Georgetown', 'Cayman Islands'],
+    ['George Town', 'Guyana'],
+    ['Basseterre', 'Guadeloupe'],
+    ['Basse-Terre', 'Saint Kitts and Nevis'],
+    ['Manama', 'Panama'],
+    ['Praia', 'Czech Republic']
+  ])('rejects the capital %s for the capital of %s', (input, countryName) => {
+    expect(answer(input, countryName, 'capital')).toEqual(wrong);
+  });
+
+  it('rejects a typo that is nearer to another answer', () => {
+    // One edit from Kingstown but two from Kingston
+    expect(answer('Kingstowm', 'Jamaica', 'capital')).toEqual(wrong);
+    expect(answer('Kingstowm', 'Saint Vincent and the Grenadines', 'capital'))
+      .toEqual({ isCorrect: true, matchType: 'fuzzy' });
+  });
+
+  it('rejects a typo equally near to another answer', () => {
+    expect(matchTypedAnswer('Abcde', ['Abcdx'], ['Abcdy'])).toEqual(wrong);
+  });
+
+  it('behaves as before when no other answers are given', () => {
+    expect(matchTypedAnswer('Pariss', ['Paris'])).toEqual({ isCorrect: true, matchType: 'fuzzy' });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for the Results chart data helpers
+ */
+import { buildScoreTrend, buildRegionAccuracy, getLinePath, ROLLING_AVERAGE_WINDOW } from '../ChartData';
+
+/**
+ * Builds completed game rows with the given scores, oldest first
+ * @param {Array} scores - Score percentages
+ * @returns {Array} Game rows
+ */
+const gamesWithScores = (scores) => scores.map((score, index) => ({
+  id: index + 1,
+  game_date: `2026-01-0${index + 1}T10:00:00.000Z`,
+  score_percentage: score
+}));
+
+describe('buildScoreTrend', () => {
+  it('averages over the games so far until the window is full', () => {
+    const trend = buildScoreTrend(gamesWithScores([50, 70, 90]), 5);
+    expect(trend.map(point => point.rollingAverage)).toEqual([50, 60, 70]);
+  });
+
+  it('drops the oldest game once the window is full', () => {
+    const trend = buildScoreTrend(gamesWithScores([10, 20, 30, 40]), 2);
+    expect(trend.map(point => point.rollingAverage)).toEqual([10, 15, 25, 35]);
+  });
+
+  it('keeps the game order, ids and dates and rounds to one decimal', () => {
+    const trend = buildScoreTrend(gamesWithScores([100, 0, 0]));
+    expect(trend[2]).toEqual({ gameId: 3, date: '2026-01-03T10:00:00.000Z', score: 0, rollingAverage: 33.3 });
+  });
+
+  it('accepts scores stored as text', () => {
+    expect(buildScoreTrend(gamesWithScores(['80', '60']))[1].rollingAverage).toBe(70);
+  });
+
+  it('uses a five game window by default', () => {
+    expect(ROLLING_AVERAGE_WINDOW).toBe(5);
+    const trend = buildScoreTrend(gamesWithScores([0, 0, 0, 0, 0, 100]));
+    expect(trend[5].rollingAverage).toBe(20);
+  });
+
+  it('returns no points without games', () => {
+    expect(buildScoreTrend([])).toEqual([]);
+  });
+});
+
+describe('buildRegionAccuracy', () => {
+  it('totals answers per region in region order', () => {
+    expect(buildRegionAccuracy([
+      { country: 'Japan', times_asked: 4, times_correct: 1 },
+      { country: 'France', times_asked: 3, times_correct: 3 },
+      { country: 'Spain', times_asked: 1, times_correct: 0 },
+      { country: 'China', times_asked: 2, times_correct: 2 }
+    ])).toEqual([
+      { region: 'Asia', asked: 6, correct: 3, accuracy: 50 },
+      { region: 'Europe', asked: 4, correct: 3, accuracy: 75 }
+    ]);
+  });
+
+  it('leaves out countries missing from the quiz data', () => {
+    expect(buildRegionAccuracy([{ country: 'Atlantis', times_asked: 3, times_correct: 1 }])).toEqual([]);
+  });
+});
+
+describe('getLinePath', () => {
+  it('spreads points across the width with 100% at the top', () => {
+    expect(getLinePath([0, 50, 100], 200, 100)).toBe('M0.0,100.0 L100.0,50.0 L200.0,0.0');
+  });
+
+  it('centres a single point and clamps out-of-range values', () => {
+    expect(getLinePath([150], 200, 100)).toBe('M100.0,0.0');
+  });
+
+  it('returns an empty path without values', () => {
+    expect(getLinePath([], 200, 100)).toBe('');
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Tests for the SQL aggregates behind the Statistics screen and for importing history
+ * Runs against a fresh in-memory database for every test (see __mocks__/expo-sqlite.js)
+ */
+import { TIME_EXPIRED_ANSWER } from '../GameSettings';
+
+// Files written and read through expo-file-system, kept across module resets
+const mockFiles = new Map();
+
+jest.mock('expo-file-system', () => ({
+  cacheDirectory: 'file:///cache/',
+  documentDirectory: 'file:///documents/',
+  writeAsStringAsync: async (uri, text) => {
+    mockFiles.set(uri, text);
+  },
+  readAsStringAsync: async (uri) => {
+    if (!mockFiles.has(uri)) throw new Error(`No file at ${uri}`);
+    return mockFiles.get(uri);
+  }
+}));
+
+let DbOperations;
+
+/**
+ * Inserts answers with explicit timestamps so recency-based results are predictable
+ * @param {Array} answers - Rows of [country, userAnswer, correctAnswer, isCorrect, timestamp, deletedAt]
+ */
+const seedAnswers = async (answers) => {
+  const db = await DbOperations.getDBConnection();
+  for (const [country, userAnswer, correctAnswer, isCorrect, timestamp, deletedAt = null] of answers) {
+    await db.runAsync(
+      `INSERT INTO all_answers (game_id, country, user_answer, correct_answer, is_correct, question_number, timestamp, deleted_at)
+       VALUES (1, ?, ?, ?, ?, 1, ?, ?)`,
+      [country, userAnswer, correctAnswer, isCorrect ? 1 : 0, timestamp, deletedAt]
+    );
+  }
+};
+
+const fixtureAnswers = [
+  ['France', 'Paris', 'Paris', true, '2026-01-01 10:00:00'],
+  ['France', 'Lyon', 'Paris', false, '2026-01-02 10:00:00'],
+  ['France', 'Paris', 'Paris', true, '2026-01-03 10:00:00'],
+  ['Spain', 'Madrid', 'Madrid', true, '2026-01-01 11:00:00'],
+  ['Spain', 'Barcelona', 'Madrid', false, '2026-01-02 11:00:00'],
+  ['Spain', TIME_EXPIRED_ANSWER, 'Madrid', false, '2026-01-03 11:00:00'],
+  ['Spain', 'Barcelona', 'Madrid', false, '2026-01-04 11:00:00'],
+  ['Spain', 'Seville', 'Madrid', false, '2026-01-05 11:00:00'],
+  ['Japan', 'Tokyo', 'Tokyo', true, '2026-01-01 12:00:00'],
+  ['Japan', 'Kyoto', 'Tokyo', false, '2026-01-06 12:00:00', '2026-01-07 12:00:00']
+];
+
+beforeEach(async () => {
+  jest.resetModules();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  DbOperations = require('../DbOperations');
+  await DbOperations.initializeDatabase();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getCountryStatistics', () => {
+  beforeEach(() => seedAnswers(fixtureAnswers));
+
+  it('aggregates every asked country, weakest first', async () => {
+    const stats = await DbOperations.getCountryStatistics();
+    expect(stats.map(row => row.country)).toEqual(['Spain', 'France', 'Japan']);
+  });
+
+  it('counts answers, accuracy, streak and last seen per country', async () => {
+    const stats = await DbOperations.getCountryStatistics();
+    const france = stats.find(row => row.country === 'France');
+    expect(france).toMatchObject({
+      times_asked: 3,
+      times_correct: 2,
+      accuracy: 66.7,
+      current_streak: 1,
+      last_seen: '2026-01-03 10:00:00',
+      common_wrong_answer: 'Lyon',
+      common_wrong_times: 1
+    });
+  });
+
+  it('picks the most common wrong answer and ignores expired timers', async () => {
+    const spain = (await DbOperations.getCountryStatistics()).find(row => row.country === 'Spain');
+    expect(spain).toMatchObject({
+      times_asked: 5,
+      times_correct: 1,
+      accuracy: 20,
+      current_streak: 0,
+      common_wrong_answer: 'Barcelona',
+      common_wrong_times: 2
+    });
+  });
+
+  it('leaves out deleted answers', async () => {
+    const japan = (await DbOperations.getCountryStatistics()).find(row => row.country === 'Japan');
+    expect(japan).toMatchObject({
+      times_asked: 1,
+      times_correct: 1,
+      accuracy: 100,
+      current_streak: 1,
+      common_wrong_answer: null
+    });
+  });
+});
+
+describe('getMostConfusedPairs', () => {
+  beforeEach(() => seedAnswers(fixtureAnswers));
+
+  it('orders pairs by frequency, then by most recent confusion', async () => {
+    const pairs = await DbOperations.getMostConfusedPairs();
+    expect(pairs.map(pair => [pair.country, pair.user_answer, pair.times])).toEqual([
+      ['Spain', 'Barcelona', 2],
+      ['Spain', 'Seville', 1],
+      ['France', 'Lyon', 1]
+    ]);
+    expect(pairs[0].last_confused).toBe('2026-01-04 11:00:00');
+  });
+
+  it('leaves out expired timers and deleted answers', async () => {
+    const pairs = await DbOperations.getMostConfusedPairs();
+    expect(pairs.some(pair => pair.user_answer === TIME_EXPIRED_ANSWER)).toBe(false);
+    expect(pairs.some(pair => pair.user_answer === 'Kyoto')).toBe(false);
+  });
+
+  it('returns at most the requested number of pairs', async () => {
+    expect(await DbOperations.getMostConfusedPairs(1)).toHaveLength(1);
+  });
+});
+
+describe('importHistory', () => {
+  /**
+   * Replaces DbOperations with a new module, and so a new empty database
+   * @returns {Promise<Object>} HistoryRepository bound to the new database
+   */
+  const openFreshDatabase = async () => {
+    jest.resetModules();
+    DbOperations = require('../DbOperations');
+    await DbOperations.initializeDatabase();
+    return require('../HistoryRepository').default;
+  };
+
+  /**
+   * Plays and completes a game with one answer per country
+   * @param {Array} countries - Rows of [country, userAnswer, correctAnswer]
+   * @returns {Promise<number>} ID of the completed game
+   */
+  const playGame = async (countries) => {
+    const gameId = await DbOperations.createGame(countries.length, null, 42, { questionMode: 'capital' });
+    let correct = 0;
+    for (const [index, [country, userAnswer, correctAnswer]] of countries.entries()) {
+      const isCorrect = userAnswer === correctAnswer;
+      if (isCorrect) correct += 1;
+      await DbOperations.insertAnswer(gameId, country, userAnswer, correctAnswer, isCorrect, index + 1, 'capital', null, 1500, []);
+    }
+    await DbOperations.completeGame(gameId, correct, countries.length - correct, Math.round((correct / countries.length) * 100), correct * 100, 1500 * countries.length);
+    return gameId;
+  };
+
+  /**
+   * Counts the rows of the history tables
+   * @returns {Promise<Object>} { games, answers, reviews }
+   */
+  const countRows = async () => {
+    const db = await DbOperations.getDBConnection();
+    const count = async table => (await db.getFirstAsync(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+    return { games: await count('game_results'), answers: await count('all_answers'), reviews: await count('country_reviews') };
+  };
+
+  /**
+   * Reads the history without the row IDs, which differ between devices
+   * @returns {Promise<Object>} { games, answers, reviews }
+   */
+  const readHistory = async () => {
+    const { games, answers, reviews } = await DbOperations.getHistorySnapshot();
+    const gameDates = new Map(games.map(game => [game.id, game.game_date]));
+    return {
+      games: games.map(({ id, ...game }) => game),
+      answers: answers.map(({ id, game_id: gameId, ...answer }) => ({ ...answer, game_date: gameDates.get(gameId) })),
+      reviews
+    };
+  };
+
+  beforeEach(() => {
+    mockFiles.clear();
+  });
+
+  it('imports an export into a new database unchanged', async () => {
+    let HistoryRepository = await openFreshDatabase();
+    await playGame([['France', 'Paris', 'Paris'], ['Spain', 'Barcelona', 'Madrid']]);
+    await playGame([['Japan', 'Tokyo', 'Tokyo']]);
+    await DbOperations.recordCountryReview('Spain', 1);
+    const exported = await readHistory();
+    const { jsonUri } = await HistoryRepository.exportToFiles();
+
+    HistoryRepository = await openFreshDatabase();
+    const summary = await HistoryRepository.importFromFile(jsonUri);
+
+    expect(summary).toEqual({ gamesAdded: 2, gamesSkipped: 0, answersAdded: 3, reviewsUpdated: 1 });
+    expect(await readHistory()).toEqual(exported);
+  });
+
+  it('adds nothing when the same file is imported twice', async () => {
+    let HistoryRepository = await openFreshDatabase();
+    await playGame([['France', 'Paris', 'Paris'], ['Spain', 'Barcelona', 'Madrid']]);
+    await DbOperations.recordCountryReview('Spain', 1);
+    const { jsonUri } = await HistoryRepository.exportToFiles();
+
+    HistoryRepository = await openFreshDatabase();
+    await HistoryRepository.importFromFile(jsonUri);
+    const afterFirstImport = await countRows();
+    const summary = await HistoryRepository.importFromFile(jsonUri);
+
+    expect(summary).toEqual({ gamesAdded: 0, gamesSkipped: 1, answersAdded: 0, reviewsUpdated: 0 });
+    expect(await countRows()).toEqual(afterFirstImport);
+  });
+
+  it('stores a game whose ID is taken by a different local game as a new game', async () => {
+    let HistoryRepository = await openFreshDatabase();
+    const exportedGameId = await playGame([['Japan', 'Tokyo', 'Tokyo']]);
+    const { jsonUri } = await HistoryRepository.exportToFiles();
+
+    HistoryRepository = await openFreshDatabase();
+    const localGameId = await playGame([['France', 'Lyon', 'Paris'], ['Italy', 'Rome', 'Rome']]);
+    expect(localGameId).toBe(exportedGameId);
+
+    const summary = await HistoryRepository.importFromFile(jsonUri);
+
+    expect(summary).toMatchObject({ gamesAdded: 1, gamesSkipped: 0, answersAdded: 1 });
+    const games = await DbOperations.getGameResults();
+    expect(games).toHaveLength(2);
+    const importedGame = games.find(game => game.id !== localGameId);
+    expect((await DbOperations.getAnswersForGame(importedGame.id)).map(answer => answer.country)).toEqual(['Japan']);
+    expect((await DbOperations.getAnswersForGame(localGameId)).map(answer => answer.country)).toEqual(['France', 'Italy']);
+  });
+
+  it.each([
+    ['is not JSON', '{ not json', 'not valid JSON'],
+    ['has no format or version', JSON.stringify({ games: [], answers: [], reviews: [] }), 'not a quiz history export'],
+    ['has no version', JSON.stringify({ format: 'capital-quiz-history', games: [], answers: [], reviews: [] }), 'Unsupported history file version'],
+    ['is missing a table', JSON.stringify({ format: 'capital-quiz-history', version: 1, games: [], answers: [] }), 'missing reviews'],
+    ['has an invalid answer', JSON.stringify({
+      format: 'capital-quiz-history',
+      version: 1,
+      games: [{ id: 1, total_questions: 1, correct_answers: 1, wrong_answers: 0, score_percentage: 100, game_date: '2026-01-01T10:00:00.000Z', status: 'completed' }],
+      answers: [{ game_id: 1, country: 'France', user_answer: 'Paris', correct_answer: null, is_correct: 1, timestamp: '2026-01-01 10:00:00' }],
+      reviews: []
+    }), 'answer 1 has an invalid correct_answer']
+  ])('rejects a file that %s without writing anything', async (description, text, message) => {
+    const HistoryRepository = await openFreshDatabase();
+    await playGame([['France', 'Paris', 'Paris']]);
+    const before = await countRows();
+    mockFiles.set('file:///import.json', text);
+
+    await expect(HistoryRepository.importFromFile('file:///import.json')).rejects.toThrow(message);
+    expect(await countRows()).toEqual(before);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for the seeded distractor engine, using the real country dataset
+ */
+import {
+  generateOptions,
+  buildConfusionMap,
+  scoreDistractor,
+  haversineDistance
+} from '../DistractorEngine';
+import { createRandom } from '../Random';
+import { countries, findCountry } from '../../Components/CountriesData';
+
+const france = findCountry('France');
+
+/**
+ * Generates options with a fresh generator for the seed
+ * @param {number} seed - Random seed
+ * @param {Object} settings - Extra generateOptions parameters
+ * @returns {Array} Options
+ */
+const optionsFor = (seed, settings = {}) => generateOptions({
+  target: france,
+  pool: countries,
+  random: createRandom(seed),
+  ...settings
+});
+
+describe('generateOptions', () => {
+  it('gives the same options for the same seed', () => {
+    expect(optionsFor(42)).toEqual(optionsFor(42));
+    expect(optionsFor(7, { answerKey: 'country', difficulty: 'hard' }))
+      .toEqual(optionsFor(7, { answerKey: 'country', difficulty: 'hard' }));
+  });
+
+  it('gives different options for different seeds', () => {
+    const optionSets = new Set([1, 2, 3, 4, 5].map(seed => optionsFor(seed).join('|')));
+    expect(optionSets.size).toBeGreaterThan(1);
+  });
+
+  it.each(['easy', 'medium', 'hard'])('always includes the answer without duplicates on %s', (difficulty) => {
+    for (let seed = 0; seed < 50; seed++) {
+      const options = optionsFor(seed, { difficulty });
+      expect(options).toHaveLength(4);
+      expect(options).toContain('Paris');
+      expect(new Set(options).size).toBe(4);
+    }
+  });
+
+  it('never repeats an option when the pool has duplicate names', () => {
+    const pool = [france, france, findCountry('Spain'), findCountry('Spain'), findCountry('Italy'), findCountry('Germany')];
+    for (let seed = 0; seed < 20; seed++) {
+      const options = generateOptions({ target: france, pool, random: createRandom(seed) });
+      expect(new Set(options).size).toBe(options.length);
+      expect(options.sort()).toEqual(['Berlin', 'Madrid', 'Paris', 'Rome']);
+    }
+  });
+
+  it('returns fewer options when the pool is too small', () => {
+    const options = generateOptions({ target: france, pool: [findCountry('Spain')], random: createRandom(1) });
+    expect(options.sort()).toEqual(['Madrid', 'Paris']);
+  });
+
+  it('prefers nearby distractors on hard difficulty', () => {
+    const europeanOptions = (difficulty) => {
+      let european = 0;
+      for (let seed = 0; seed < 40; seed++) {
+        european += optionsFor(seed, { difficulty })
+          .filter(option => option !== 'Paris')
+          .filter(option => countries.find(country => country.capital === option).region === 'Europe')
+          .length;
+      }
+      return european;
+    };
+    expect(europeanOptions('hard')).toBeGreaterThan(europeanOptions('easy'));
+  });
+});
+
+describe('buildConfusionMap', () => {
+  it('sums how often each wrong answer was given', () => {
+    expect(buildConfusionMap([
+      { correct_answer: 'Canberra', user_answer: 'Sydney', times: 2 },
+      { correct_answer: 'Canberra', user_answer: 'Sydney', times: 1 },
+      { correct_answer: 'Ottawa', user_answer: 'Toronto' }
+    ])).toEqual({ Canberra: { Sydney: 3 }, Ottawa: { Toronto: 1 } });
+  });
+});
+
+describe('scoreDistractor', () => {
+  it('scores neighbours above distant countries', () => {
+    const spain = findCountry('Spain');
+    const japan = findCountry('Japan');
+    expect(scoreDistractor(france, spain, 'capital')).toBeGreaterThan(scoreDistractor(france, japan, 'capital'));
+  });
+
+  it('adds a bonus for previously confused pairs', () => {
+    const japan = findCountry('Japan');
+    const confusions = buildConfusionMap([{ correct_answer: 'Paris', user_answer: 'Tokyo', times: 2 }]);
+    expect(scoreDistractor(france, japan, 'capital', confusions))
+      .toBeGreaterThan(scoreDistractor(france, japan, 'capital'));
+  });
+});
+
+describe('haversineDistance', () => {
+  it('measures the distance between Paris and London', () => {
+    expect(haversineDistance(48.8566, 2.3522, 51.5074, -0.1278)).toBeCloseTo(344, -1);
+  });
+});
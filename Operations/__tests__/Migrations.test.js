@@ -0,0 +1,143 @@
+/**
+ * Tests for the schema migrations, run against in-memory databases opened
+ * with openDatabaseAsync(':memory:') (see __mocks__/expo-sqlite.js)
+ */
+import * as SQLite from 'expo-sqlite';
+import { migrations, runMigrations, getSchemaVersion } from '../Migrations';
+
+const latestVersion = migrations[migrations.length - 1].version;
+
+/**
+ * Creates the schema written by the app before migrations existed
+ * @param {Object} db - SQLite database connection
+ */
+const createLegacySchema = async (db) => {
+  await db.execAsync(`CREATE TABLE incorrect_answers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    country TEXT,
+    user_answer TEXT,
+    correct_answer TEXT,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+  );`);
+  await db.execAsync(`CREATE TABLE all_answers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    game_id INTEGER,
+    country TEXT,
+    user_answer TEXT,
+    correct_answer TEXT,
+    is_correct INTEGER,
+    question_number INTEGER,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (game_id) REFERENCES game_results (id)
+  );`);
+  await db.execAsync(`CREATE TABLE game_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    total_questions INTEGER NOT NULL,
+    correct_answers INTEGER NOT NULL,
+    wrong_answers INTEGER NOT NULL,
+    score_percentage REAL NOT NULL,
+    game_date TEXT NOT NULL
+  );`);
+};
+
+/**
+ * Lists a table's column names
+ * @param {Object} db - SQLite database connection
+ * @param {string} table - Table name
+ * @returns {Promise<Array>} Column names
+ */
+const getColumns = async (db, table) => {
+  return (await db.getAllAsync(`PRAGMA table_info(${table})`)).map(column => column.name);
+};
+
+let db;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  db = await SQLite.openDatabaseAsync(':memory:');
+});
+
+afterEach(async () => {
+  await db.closeAsync();
+  jest.restoreAllMocks();
+});
+
+describe('runMigrations', () => {
+  it('creates the latest schema in a new database', async () => {
+    expect(await runMigrations(db)).toBe(latestVersion);
+    expect(await getSchemaVersion(db)).toBe(latestVersion);
+    expect(await getColumns(db, 'game_results')).toEqual(expect.arrayContaining(['status', 'seed', 'deleted_at']));
+  });
+
+  it('upgrades the legacy schema without losing data', async () => {
+    await createLegacySchema(db);
+    await db.runAsync(
+      `INSERT INTO game_results (total_questions, correct_answers, wrong_answers, score_percentage, game_date) VALUES (10, 7, 3, 70, '2025-05-01T10:00:00.000Z')`
+    );
+    await db.runAsync(
+      `INSERT INTO all_answers (game_id, country, user_answer, correct_answer, is_correct, question_number, timestamp) VALUES
+       (1, 'France', 'Paris', 'Paris', 1, 1, '2025-05-01 10:00:00'),
+       (1, 'Spain', 'Barcelona', 'Madrid', 0, 2, '2025-05-01 10:00:10')`
+    );
+    // The first wrong answer was also stored in all_answers; the second only in the legacy table
+    await db.runAsync(
+      `INSERT INTO incorrect_answers (country, user_answer, correct_answer, timestamp) VALUES
+       ('Spain', 'Barcelona', 'Madrid', '2025-05-01 10:00:12'),
+       ('Italy', 'Milan', 'Rome', '2025-04-01 09:00:00')`
+    );
+
+    await runMigrations(db);
+
+    const game = await db.getFirstAsync(`SELECT * FROM game_results WHERE id = 1`);
+    expect(game).toMatchObject({ score_percentage: 70, status: 'completed', deleted_at: null });
+    expect(await getColumns(db, 'all_answers')).toEqual(
+      expect.arrayContaining(['question_mode', 'match_type', 'response_time_ms', 'hints_used', 'deleted_at'])
+    );
+
+    const legacy = await db.getFirstAsync(`SELECT type FROM sqlite_master WHERE name = 'incorrect_answers'`);
+    expect(legacy.type).toBe('view');
+    const wrong = await db.getAllAsync(`SELECT country, user_answer FROM incorrect_answers ORDER BY country`);
+    expect(wrong).toEqual([
+      { country: 'Italy', user_answer: 'Milan' },
+      { country: 'Spain', user_answer: 'Barcelona' }
+    ]);
+    const answerCount = await db.getFirstAsync(`SELECT COUNT(*) AS count FROM all_answers`);
+    expect(answerCount.count).toBe(3);
+  });
+
+  it('does nothing when the database is already up to date', async () => {
+    await runMigrations(db);
+    await db.runAsync(
+      `INSERT INTO game_results (total_questions, correct_answers, wrong_answers, score_percentage, game_date) VALUES (5, 5, 0, 100, '2025-05-01T10:00:00.000Z')`
+    );
+    const schemaBefore = await db.getAllAsync(`SELECT name, sql FROM sqlite_master ORDER BY name`);
+    console.log.mockClear();
+
+    expect(await runMigrations(db)).toBe(latestVersion);
+
+    expect(console.log).not.toHaveBeenCalled();
+    expect(await db.getAllAsync(`SELECT name, sql FROM sqlite_master ORDER BY name`)).toEqual(schemaBefore);
+    const games = await db.getFirstAsync(`SELECT COUNT(*) AS count FROM game_results`);
+    expect(games.count).toBe(1);
+  });
+
+  it('rolls a failed migration back and stays at the previous version', async () => {
+    const failing = [
+      ...migrations.slice(0, 2),
+      {
+        version: 3,
+        description: 'Fails after changing the schema',
+        up: async (database) => {
+          await database.execAsync(`ALTER TABLE game_results ADD COLUMN broken TEXT;`);
+          throw new Error('migration failed');
+        }
+      }
+    ];
+
+    await expect(runMigrations(db, failing)).rejects.toThrow('migration failed');
+
+    expect(await getSchemaVersion(db)).toBe(2);
+    expect(await getColumns(db, 'game_results')).not.toContain('broken');
+    expect(await getColumns(db, 'all_answers')).toContain('response_time_ms');
+  });
+});
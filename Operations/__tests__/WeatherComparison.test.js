@@ -0,0 +1,63 @@
+/**
+ * Tests for ordering the weather comparison table
+ */
+import { sortComparisonRows } from '../WeatherComparison';
+
+/**
+ * Builds a comparison row
+ * @param {string} country - Country of the row
+ * @param {Object|null} weather - Loaded reading, or null while loading
+ * @param {string|null} error - Error message when the request failed
+ * @returns {Object} Comparison row
+ */
+const row = (country, weather = null, error = null) => ({ country, city: `${country} City`, weather, error });
+
+const loaded = (country, temperatureC, humidity, description) => row(country, { temperatureC, humidity, description });
+
+const countries = (rows) => rows.map(({ country }) => country);
+
+describe('sortComparisonRows', () => {
+  const rows = [
+    row('Loading'),
+    loaded('Cold', 2, 90, 'snow'),
+    row('Failed', null, 'City not found.'),
+    loaded('Hot', 30, 40, 'clear sky'),
+    loaded('Mild', 15, 60, 'overcast')
+  ];
+
+  it('sorts by temperature in either direction with unloaded rows last', () => {
+    expect(countries(sortComparisonRows(rows, 'temperature'))).toEqual(['Cold', 'Mild', 'Hot', 'Loading', 'Failed']);
+    expect(countries(sortComparisonRows(rows, 'temperature', true))).toEqual(['Hot', 'Mild', 'Cold', 'Loading', 'Failed']);
+  });
+
+  it('sorts by humidity and conditions', () => {
+    expect(countries(sortComparisonRows(rows, 'humidity', true))).toEqual(['Cold', 'Mild', 'Hot', 'Loading', 'Failed']);
+    expect(countries(sortComparisonRows(rows, 'conditions'))).toEqual(['Hot', 'Mild', 'Cold', 'Loading', 'Failed']);
+    expect(countries(sortComparisonRows(rows, 'conditions', true))).toEqual(['Cold', 'Mild', 'Hot', 'Loading', 'Failed']);
+  });
+
+  it('puts readings without the sorted value last in either direction', () => {
+    const partial = [
+      loaded('NoTemperature', null, 50, 'rain'),
+      loaded('Warm', 20, 50, 'rain'),
+      loaded('NotANumber', NaN, 50, 'rain'),
+      loaded('Cool', 10, undefined, undefined)
+    ];
+
+    expect(countries(sortComparisonRows(partial, 'temperature'))).toEqual(['Cool', 'Warm', 'NoTemperature', 'NotANumber']);
+    expect(countries(sortComparisonRows(partial, 'temperature', true))).toEqual(['Warm', 'Cool', 'NoTemperature', 'NotANumber']);
+    expect(countries(sortComparisonRows(partial, 'humidity', true))).toEqual(['NoTemperature', 'Warm', 'NotANumber', 'Cool']);
+    expect(countries(sortComparisonRows(partial, 'conditions', true))).toEqual(['NoTemperature', 'Warm', 'NotANumber', 'Cool']);
+  });
+
+  it('keeps the chosen order for equal values', () => {
+    const ties = [loaded('First', 10, 50, 'rain'), loaded('Second', 10, 50, 'rain')];
+    expect(countries(sortComparisonRows(ties, 'temperature', true))).toEqual(['First', 'Second']);
+  });
+
+  it('returns a new array without changing the rows', () => {
+    const original = [...rows];
+    sortComparisonRows(rows, 'temperature');
+    expect(rows).toEqual(original);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for summarising 3-hour forecast readings into days
+ */
+import { buildDailyForecast, getLocalDateKey } from '../WeatherForecast';
+import { createMockProvider, FORECAST_DAYS } from '../WeatherProviders';
+import weatherFixtures from '../WeatherFixtures';
+
+/**
+ * Builds a forecast entry
+ * @param {string} time - ISO time
+ * @param {number} temperatureC - Temperature
+ * @param {Object} extra - Other fields to override
+ * @returns {Object} Forecast entry
+ */
+const entry = (time, temperatureC, extra = {}) => ({
+  time,
+  temperatureC,
+  precipitationChance: 10,
+  windSpeedKmh: 5,
+  description: 'clear sky',
+  ...extra
+});
+
+describe('getLocalDateKey', () => {
+  it('uses the location offset from UTC', () => {
+    expect(getLocalDateKey('2026-10-19T22:00:00.000Z', 0)).toBe('2026-10-19');
+    expect(getLocalDateKey('2026-10-19T22:00:00.000Z', 3 * 3600)).toBe('2026-10-20');
+    expect(getLocalDateKey('2026-10-19T02:00:00.000Z', -5 * 3600)).toBe('2026-10-18');
+  });
+});
+
+describe('buildDailyForecast', () => {
+  const forecast = {
+    utcOffsetSeconds: 0,
+    entries: [
+      // Partial first day: the forecast starts in the evening
+      entry('2026-10-19T18:00:00.000Z', 14, { precipitationChance: 60 }),
+      entry('2026-10-19T21:00:00.000Z', 11, { windSpeedKmh: 30, description: 'rain' }),
+      // Full second day
+      ...[0, 3, 6, 9, 12, 15, 18, 21].map((hour, index) =>
+        entry(`2026-10-20T${String(hour).padStart(2, '0')}:00:00.000Z`, [6, 5, 4, 8, 13, 15, 12, 9][index], {
+          description: hour >= 12 ? 'overcast' : 'clear sky'
+        }))
+    ]
+  };
+
+  it('groups readings into days in date order, including partial days', () => {
+    const days = buildDailyForecast(forecast);
+    expect(days.map(day => [day.date, day.entries.length])).toEqual([
+      ['2026-10-19', 2],
+      ['2026-10-20', 8]
+    ]);
+  });
+
+  it('computes each day\'s high and low', () => {
+    const [first, second] = buildDailyForecast(forecast);
+    expect([first.highC, first.lowC]).toEqual([14, 11]);
+    expect([second.highC, second.lowC]).toEqual([15, 4]);
+  });
+
+  it('keeps the highest precipitation chance and wind speed', () => {
+    const [first, second] = buildDailyForecast(forecast);
+    expect(first).toMatchObject({ precipitationChance: 60, windSpeedKmh: 30 });
+    expect(second).toMatchObject({ precipitationChance: 10, windSpeedKmh: 5 });
+  });
+
+  it('describes a day by its most common conditions, the earliest on a tie', () => {
+    const [first, second] = buildDailyForecast(forecast);
+    expect(first.description).toBe('clear sky');
+    expect(second.description).toBe('clear sky');
+  });
+
+  it('groups by the location\'s local date', () => {
+    const days = buildDailyForecast({ ...forecast, utcOffsetSeconds: 6 * 3600 });
+    expect(days.map(day => [day.date, day.entries.length])).toEqual([
+      ['2026-10-20', 8],
+      ['2026-10-21', 2]
+    ]);
+  });
+
+  it('sorts readings given out of order', () => {
+    const days = buildDailyForecast({ utcOffsetSeconds: 0, entries: [...forecast.entries].reverse() });
+    expect(days.map(day => day.date)).toEqual(['2026-10-19', '2026-10-20']);
+  });
+
+  it('reports missing precipitation and wind as null', () => {
+    const [day] = buildDailyForecast({
+      utcOffsetSeconds: 0,
+      entries: [entry('2026-10-19T12:00:00.000Z', 10, { precipitationChance: null, windSpeedKmh: null })]
+    });
+    expect(day).toMatchObject({ highC: 10, lowC: 10, precipitationChance: null, windSpeedKmh: null });
+  });
+
+  it('summarises at most the requested number of days', () => {
+    expect(buildDailyForecast(forecast, 1).map(day => day.date)).toEqual(['2026-10-19']);
+  });
+
+  it('summarises the mock provider forecast into five days', async () => {
+    const mockForecast = await createMockProvider(weatherFixtures, 0).getForecast({ city: 'Cairo' });
+    expect(mockForecast.entries).toHaveLength(FORECAST_DAYS * 8);
+    const days = buildDailyForecast(mockForecast);
+    expect(days).toHaveLength(FORECAST_DAYS);
+    days.forEach(day => expect(day.highC).toBeGreaterThanOrEqual(day.lowC));
+  });
+});
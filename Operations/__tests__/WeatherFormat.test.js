@@ -0,0 +1,86 @@
+/**
+ * Tests for weather unit conversion and formatting
+ */
+import {
+  convertTemperature,
+  convertWindSpeed,
+  metresPerSecondToKmh,
+  formatTemperature,
+  formatWindSpeed,
+  formatPercentage,
+  formatPressure,
+  formatForecastDay,
+  defaultWeatherUnits
+} from '../WeatherFormat';
+
+describe('conversions', () => {
+  it('converts Celsius to Fahrenheit', () => {
+    expect(convertTemperature(0, 'fahrenheit')).toBe(32);
+    expect(convertTemperature(100, 'fahrenheit')).toBe(212);
+    expect(convertTemperature(-40, 'fahrenheit')).toBe(-40);
+    expect(convertTemperature(21.5, 'celsius')).toBe(21.5);
+  });
+
+  it('converts km/h to mph', () => {
+    expect(convertWindSpeed(1.609344, 'mph')).toBeCloseTo(1);
+    expect(convertWindSpeed(100, 'mph')).toBeCloseTo(62.137, 3);
+    expect(convertWindSpeed(30, 'kmh')).toBe(30);
+  });
+
+  it('converts m/s to km/h', () => {
+    expect(metresPerSecondToKmh(10)).toBe(36);
+    expect(metresPerSecondToKmh(0)).toBe(0);
+  });
+});
+
+describe('formatTemperature', () => {
+  it('rounds to whole degrees in the chosen unit', () => {
+    expect(formatTemperature(18.4)).toBe('18°C');
+    expect(formatTemperature(18.5, 'celsius')).toBe('19°C');
+    expect(formatTemperature(20, 'fahrenheit')).toBe('68°F');
+  });
+
+  it('never shows negative zero', () => {
+    expect(formatTemperature(-0.3)).toBe('0°C');
+  });
+
+  it('falls back to Celsius for an unknown unit', () => {
+    expect(formatTemperature(10, 'kelvin')).toBe('10°C');
+  });
+});
+
+describe('formatWindSpeed', () => {
+  it('rounds to whole units in the chosen unit', () => {
+    expect(formatWindSpeed(12.6)).toBe('13 km/h');
+    expect(formatWindSpeed(16.09, 'mph')).toBe('10 mph');
+    expect(formatWindSpeed(metresPerSecondToKmh(5), 'kmh')).toBe('18 km/h');
+  });
+});
+
+describe('other formats', () => {
+  it('formats percentages and pressure', () => {
+    expect(formatPercentage(63.6)).toBe('64%');
+    expect(formatPressure(1015.4)).toBe('1015 hPa');
+  });
+
+  it('formats forecast days the same in every time zone', () => {
+    expect(formatForecastDay('2026-10-19')).toBe('Mon 19');
+    expect(formatForecastDay('2026-11-01')).toBe('Sun 1');
+  });
+});
+
+describe('missing values', () => {
+  it.each([null, undefined, NaN, '12'])('formats %p as a dash', (value) => {
+    expect(formatTemperature(value)).toBe('–');
+    expect(formatTemperature(value, 'fahrenheit')).toBe('–');
+    expect(formatWindSpeed(value, 'mph')).toBe('–');
+    expect(formatPercentage(value)).toBe('–');
+    expect(formatPressure(value)).toBe('–');
+  });
+});
+
+describe('defaultWeatherUnits', () => {
+  it('defaults to metric units', () => {
+    expect(defaultWeatherUnits).toEqual({ temperature: 'celsius', windSpeed: 'kmh' });
+  });
+});
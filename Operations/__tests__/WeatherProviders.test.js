@@ -0,0 +1,268 @@
+/**
+ * Tests for the weather providers and the mapping of their responses to the weather model
+ */
+import axios from 'axios';
+import {
+  createMockProvider,
+  createOpenWeatherMapProvider,
+  createOpenMeteoProvider,
+  createWeatherError,
+  describeWeatherCode
+} from '../WeatherProviders';
+import { createWeatherProvider } from '../WeatherService';
+import weatherFixtures from '../WeatherFixtures';
+
+jest.mock('axios');
+
+const london = { city: 'London', countryCode: 'GB', lat: 51.5074, lon: -0.1278 };
+
+/**
+ * Builds the error axios throws for a request that got no response
+ * @returns {Error} Axios-style network error
+ */
+const networkError = () => Object.assign(new Error('Network Error'), { isAxiosError: true, request: {} });
+
+/**
+ * Builds the error axios throws for an HTTP error status
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body
+ * @returns {Error} Axios-style response error
+ */
+const httpError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  request: {},
+  response: { status, data }
+});
+
+const weatherModelKeys = [
+  'provider', 'location', 'observedAt', 'temperatureC', 'feelsLikeC',
+  'humidity', 'pressureHpa', 'windSpeedKmh', 'description'
+].sort();
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('createMockProvider', () => {
+  const provider = createMockProvider(weatherFixtures, 0);
+
+  it('maps a city fixture to the weather model', async () => {
+    const weather = await provider.getCurrentWeather(london);
+    expect(Object.keys(weather).sort()).toEqual(weatherModelKeys);
+    expect(weather).toMatchObject({
+      provider: 'mock',
+      location: { name: 'London', countryCode: 'GB', lat: 51.5074, lon: -0.1278 },
+      temperatureC: 11.2,
+      humidity: 82,
+      description: 'light rain'
+    });
+    expect(new Date(weather.observedAt).toISOString()).toBe(weather.observedAt);
+  });
+
+  it('uses the default fixture with the requested location for other cities', async () => {
+    const weather = await provider.getCurrentWeather({ city: 'Lima', countryCode: 'PE', lat: -12.05, lon: -77.04 });
+    expect(weather.location).toEqual({ name: 'Lima', countryCode: 'PE', lat: -12.05, lon: -77.04 });
+    expect(weather.temperatureC).toBe(weatherFixtures.default.temperatureC);
+  });
+
+  it('matches fixtures regardless of case', async () => {
+    expect((await provider.getCurrentWeather({ city: 'CAIRO' })).location.name).toBe('Cairo');
+  });
+
+  it('rejects with the fixture error code', async () => {
+    await expect(provider.getCurrentWeather({ city: 'Atlantis' })).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  it('serves custom fixtures', async () => {
+    const custom = createMockProvider({ default: { ...weatherFixtures.default, temperatureC: -40 } }, 0);
+    expect((await custom.getCurrentWeather(london)).temperatureC).toBe(-40);
+  });
+});
+
+describe('createOpenWeatherMapProvider', () => {
+  const provider = createOpenWeatherMapProvider('test-key');
+
+  it('maps the response to the weather model and converts wind to km/h', async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        name: 'City of London',
+        coord: { lat: 51.51, lon: -0.13 },
+        sys: { country: 'GB' },
+        dt: 1760000000,
+        main: { temp: 12.3, feels_like: 11.1, humidity: 77, pressure: 1012 },
+        wind: { speed: 5 },
+        weather: [{ description: 'broken clouds' }]
+      }
+    });
+
+    const weather = await provider.getCurrentWeather(london);
+
+    expect(axios.get).toHaveBeenCalledWith(
+      'https://api.openweathermap.org/data/2.5/weather',
+      expect.objectContaining({ params: { lat: 51.5074, lon: -0.1278, appid: 'test-key', units: 'metric' } })
+    );
+    expect(weather).toEqual({
+      provider: 'openweathermap',
+      location: { name: 'London', countryCode: 'GB', lat: 51.51, lon: -0.13 },
+      observedAt: new Date(1760000000 * 1000).toISOString(),
+      temperatureC: 12.3,
+      feelsLikeC: 11.1,
+      humidity: 77,
+      pressureHpa: 1012,
+      windSpeedKmh: 18,
+      description: 'broken clouds'
+    });
+  });
+
+  it('looks the city up by name and country without coordinates', async () => {
+    axios.get.mockRejectedValue(httpError(404));
+    await expect(provider.getCurrentWeather({ city: 'Kuala Lumpur', countryCode: 'MY' })).rejects.toMatchObject({ code: 'not-found' });
+    expect(axios.get.mock.calls[0][1].params.q).toBe('Kuala Lumpur,MY');
+  });
+
+  it('reports a missing or rejected key as invalid-key', async () => {
+    await expect(createOpenWeatherMapProvider('').getCurrentWeather(london)).rejects.toMatchObject({ code: 'invalid-key' });
+    axios.get.mockRejectedValue(httpError(401));
+    await expect(provider.getCurrentWeather(london)).rejects.toMatchObject({ code: 'invalid-key' });
+  });
+
+  it('reports other HTTP errors as unknown with the service message', async () => {
+    axios.get.mockRejectedValue(httpError(429, { message: 'Too many requests' }));
+    await expect(provider.getCurrentWeather(london)).rejects.toMatchObject({ code: 'unknown', message: 'Too many requests' });
+  });
+
+  it('reports requests without a response as network errors', async () => {
+    axios.get.mockRejectedValue(networkError());
+    await expect(provider.getCurrentWeather(london)).rejects.toMatchObject({ code: 'network' });
+  });
+
+  it('reports a response it cannot read as unexpected, not as a network error', async () => {
+    axios.get.mockResolvedValue({ data: { name: 'London' } });
+    const error = await provider.getCurrentWeather(london).catch(caught => caught);
+    expect(error.code).toBe('unexpected');
+    expect(error.cause).toBeInstanceOf(TypeError);
+  });
+});
+
+describe('createOpenMeteoProvider', () => {
+  const provider = createOpenMeteoProvider();
+
+  it('maps the current conditions to the weather model', async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        current: {
+          time: '2026-10-19T12:00',
+          temperature_2m: 14.2,
+          apparent_temperature: 13,
+          relative_humidity_2m: 70,
+          surface_pressure: 1009.6,
+          wind_speed_10m: 11.5,
+          weather_code: 61
+        }
+      }
+    });
+
+    expect(await provider.getCurrentWeather(london)).toEqual({
+      provider: 'open-meteo',
+      location: { name: 'London', countryCode: 'GB', lat: 51.5074, lon: -0.1278 },
+      observedAt: '2026-10-19T12:00:00.000Z',
+      temperatureC: 14.2,
+      feelsLikeC: 13,
+      humidity: 70,
+      pressureHpa: 1010,
+      windSpeedKmh: 11.5,
+      description: 'rain'
+    });
+  });
+
+  it('geocodes cities without coordinates within the country', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: { results: [{ name: 'Victoria', country_code: 'CA' }] }
+    });
+    await expect(provider.getCurrentWeather({ city: 'Victoria', countryCode: 'SC' })).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  it('reports requests without a response as network errors', async () => {
+    axios.get.mockRejectedValue(networkError());
+    await expect(provider.getCurrentWeather(london)).rejects.toMatchObject({ code: 'network' });
+  });
+});
+
+describe('createWeatherProvider', () => {
+  it('chooses the provider from the configuration', () => {
+    expect(createWeatherProvider({ provider: 'mock' }).id).toBe('mock');
+    expect(createWeatherProvider({ openWeatherMapApiKey: 'key' }).id).toBe('openweathermap');
+    expect(createWeatherProvider({}).id).toBe('open-meteo');
+    expect(() => createWeatherProvider({ provider: 'other' })).toThrow('Unknown weather provider: other');
+  });
+});
+
+describe('helpers', () => {
+  it('describes WMO weather codes', () => {
+    expect(describeWeatherCode(0)).toBe('clear sky');
+    expect(describeWeatherCode(95)).toBe('thunderstorm');
+    expect(describeWeatherCode(42)).toBe('unknown');
+  });
+
+  it('creates errors with a code', () => {
+    expect(createWeatherError('network', 'Offline')).toMatchObject({ code: 'network', message: 'Offline' });
+  });
+});
+
+describe('forecasts', () => {
+  it('maps the OpenWeatherMap 3-hour forecast', async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        city: { name: 'London', country: 'GB', coord: { lat: 51.51, lon: -0.13 }, timezone: 3600 },
+        list: [
+          { dt: 1760000400, main: { temp: 10 }, pop: 0.35, wind: { speed: 2.5 }, weather: [{ description: 'light rain' }] }
+        ]
+      }
+    });
+
+    const forecast = await createOpenWeatherMapProvider('test-key').getForecast(london);
+
+    expect(axios.get.mock.calls[0][0]).toBe('https://api.openweathermap.org/data/2.5/forecast');
+    expect(forecast).toEqual({
+      provider: 'openweathermap',
+      location: { name: 'London', countryCode: 'GB', lat: 51.51, lon: -0.13 },
+      utcOffsetSeconds: 3600,
+      entries: [{
+        time: new Date(1760000400 * 1000).toISOString(),
+        temperatureC: 10,
+        precipitationChance: 35,
+        windSpeedKmh: 9,
+        description: 'light rain'
+      }]
+    });
+  });
+
+  it('keeps every third hourly Open-Meteo reading in UTC', async () => {
+    const hours = Array.from({ length: 6 }, (_, hour) => `2026-10-19T0${hour}:00`);
+    axios.get.mockResolvedValue({
+      data: {
+        utc_offset_seconds: 7200,
+        hourly: {
+          time: hours,
+          temperature_2m: [1, 2, 3, 4, 5, 6],
+          precipitation_probability: [0, 10, 20, 30, 40, 50],
+          wind_speed_10m: [5, 6, 7, 8, 9, 10],
+          weather_code: [0, 0, 0, 61, 61, 61]
+        }
+      }
+    });
+
+    const forecast = await createOpenMeteoProvider().getForecast(london);
+
+    expect(forecast.utcOffsetSeconds).toBe(7200);
+    expect(forecast.entries).toEqual([
+      { time: '2026-10-18T22:00:00.000Z', temperatureC: 1, precipitationChance: 0, windSpeedKmh: 5, description: 'clear sky' },
+      { time: '2026-10-19T01:00:00.000Z', temperatureC: 4, precipitationChance: 30, windSpeedKmh: 8, description: 'rain' }
+    ]);
+  });
+
+  it('reports a network failure while fetching a forecast', async () => {
+    axios.get.mockRejectedValue(networkError());
+    await expect(createOpenMeteoProvider().getForecast(london)).rejects.toMatchObject({ code: 'network' });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for the weather cache and saved weather preferences, run against a fresh in-memory database per test
+ */
+import { createWeatherError } from '../WeatherProviders';
+
+const london = { city: 'London', countryCode: 'GB', lat: 51.5074, lon: -0.1278 };
+
+let DbOperations;
+let WeatherRepository;
+let WEATHER_CACHE_TTL_MS;
+let provider;
+
+/**
+ * Builds a reading in the weather model
+ * @param {number} temperatureC - Temperature of the reading
+ * @returns {Object} Weather model
+ */
+const reading = (temperatureC) => ({
+  provider: 'stub',
+  location: { name: 'London', countryCode: 'GB', lat: 51.5074, lon: -0.1278 },
+  observedAt: '2026-10-19T12:00:00.000Z',
+  temperatureC,
+  feelsLikeC: temperatureC,
+  humidity: 80,
+  pressureHpa: 1010,
+  windSpeedKmh: 10,
+  description: 'overcast'
+});
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  DbOperations = require('../DbOperations');
+  ({ default: WeatherRepository, WEATHER_CACHE_TTL_MS } = require('../WeatherRepository'));
+  provider = { id: 'stub', name: 'Stub', getCurrentWeather: jest.fn(), getForecast: jest.fn() };
+  require('../WeatherService').setWeatherProvider(provider);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('WeatherRepository.getCurrent', () => {
+  it('fetches and caches a reading', async () => {
+    provider.getCurrentWeather.mockResolvedValue(reading(12));
+
+    const first = await WeatherRepository.getCurrent(london);
+    const second = await WeatherRepository.getCurrent(london);
+
+    expect(first).toMatchObject({ data: reading(12), fromCache: false, offline: false });
+    expect(second).toEqual({ ...first, fromCache: true });
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+  });
+
+  it('fetches again once the cached reading is older than the TTL', async () => {
+    provider.getCurrentWeather.mockResolvedValueOnce(reading(12)).mockResolvedValueOnce(reading(15));
+    const fetchedAt = Date.now();
+    await WeatherRepository.getCurrent(london);
+
+    jest.spyOn(Date, 'now').mockReturnValue(fetchedAt + WEATHER_CACHE_TTL_MS + 1000);
+    const refreshed = await WeatherRepository.getCurrent(london);
+
+    expect(refreshed).toMatchObject({ data: { temperatureC: 15 }, fromCache: false });
+  });
+
+  it('skips a fresh cached reading when forced', async () => {
+    provider.getCurrentWeather.mockResolvedValueOnce(reading(12)).mockResolvedValueOnce(reading(15));
+    await WeatherRepository.getCurrent(london);
+
+    const refreshed = await WeatherRepository.getCurrent(london, { forceRefresh: true });
+
+    expect(refreshed).toMatchObject({ data: { temperatureC: 15 }, fromCache: false });
+  });
+
+  it('serves the cached reading as offline when the network fails', async () => {
+    provider.getCurrentWeather
+      .mockResolvedValueOnce(reading(12))
+      .mockRejectedValueOnce(createWeatherError('network', 'Could not reach the weather service.'));
+    const first = await WeatherRepository.getCurrent(london);
+
+    const offline = await WeatherRepository.getCurrent(london, { forceRefresh: true });
+
+    expect(offline).toEqual({ data: reading(12), fetchedAt: first.fetchedAt, fromCache: true, offline: true });
+  });
+
+  it('reports other failures even with a cached reading', async () => {
+    provider.getCurrentWeather
+      .mockResolvedValueOnce(reading(12))
+      .mockRejectedValueOnce(createWeatherError('unexpected', 'Unreadable response'));
+    await WeatherRepository.getCurrent(london);
+
+    await expect(WeatherRepository.getCurrent(london, { forceRefresh: true })).rejects.toMatchObject({ code: 'unexpected' });
+  });
+
+  it('reports network failures when nothing is cached', async () => {
+    provider.getCurrentWeather.mockRejectedValue(createWeatherError('network', 'Could not reach the weather service.'));
+    await expect(WeatherRepository.getCurrent(london)).rejects.toMatchObject({ code: 'network' });
+  });
+
+  it('shares one provider call between concurrent requests for a city', async () => {
+    let resolveRequest;
+    provider.getCurrentWeather.mockReturnValue(new Promise((resolve) => { resolveRequest = resolve; }));
+
+    const requests = [
+      WeatherRepository.getCurrent(london, { forceRefresh: true }),
+      WeatherRepository.getCurrent(london, { forceRefresh: true })
+    ];
+    await new Promise(resolve => setTimeout(resolve, 50));
+    resolveRequest(reading(12));
+    const [first, second] = await Promise.all(requests);
+
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+    expect(second).toEqual(first);
+  });
+
+  it('returns the fresh reading when it cannot be cached', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(DbOperations, 'saveCachedWeather').mockRejectedValue(new Error('disk full'));
+    provider.getCurrentWeather.mockResolvedValue(reading(12));
+
+    const fresh = await WeatherRepository.getCurrent(london);
+
+    expect(fresh).toMatchObject({ data: reading(12), fromCache: false, offline: false });
+    expect(console.error).toHaveBeenCalledWith('Error caching weather reading:', expect.any(Error));
+  });
+
+  it('keeps readings from different providers apart', async () => {
+    provider.getCurrentWeather.mockResolvedValue(reading(12));
+    await WeatherRepository.getCurrent(london);
+
+    const other = { ...provider, id: 'other', getCurrentWeather: jest.fn().mockResolvedValue(reading(20)) };
+    require('../WeatherService').setWeatherProvider(other);
+
+    expect(await WeatherRepository.getCurrent(london)).toMatchObject({ data: { temperatureC: 20 }, fromCache: false });
+  });
+});
+
+describe('WeatherRepository units', () => {
+  it('returns metric units until units are saved', async () => {
+    expect(await WeatherRepository.getUnits()).toEqual({ temperature: 'celsius', windSpeed: 'kmh' });
+    await WeatherRepository.saveUnits({ temperature: 'fahrenheit', windSpeed: 'mph' });
+    expect(await WeatherRepository.getUnits()).toEqual({ temperature: 'fahrenheit', windSpeed: 'mph' });
+  });
+
+  it('caches forecasts separately from current weather', async () => {
+    provider.getCurrentWeather.mockResolvedValue(reading(12));
+    provider.getForecast.mockResolvedValue({ provider: 'stub', location: reading(12).location, utcOffsetSeconds: 0, entries: [] });
+    await WeatherRepository.getCurrent(london);
+
+    const forecast = await WeatherRepository.getForecast(london);
+
+    expect(forecast).toMatchObject({ data: { entries: [] }, fromCache: false });
+    expect(provider.getForecast).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('WeatherRepository favourites', () => {
+  it('returns no favourites until some are saved', async () => {
+    expect(await WeatherRepository.getFavourites()).toEqual([]);
+    await WeatherRepository.saveFavourites(['Japan', 'France']);
+    expect(await WeatherRepository.getFavourites()).toEqual(['Japan', 'France']);
+  });
+
+  it('replaces the saved favourites', async () => {
+    await WeatherRepository.saveFavourites(['Japan', 'France']);
+    await WeatherRepository.saveFavourites(['France']);
+    expect(await WeatherRepository.getFavourites()).toEqual(['France']);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * expo-sqlite test double
+ * Implements the parts of expo-sqlite's async API the app uses on top of sql.js,
+ * so tests run the app's real SQL against an in-memory SQLite database.
+ * Every openDatabaseAsync call returns a new, empty database.
+ */
+// The asm.js build is used because the WebAssembly build fails to open databases
+// inside the React Native test environment
+const initSqlJs = require('sql.js/dist/sql-asm.js');
+
+let sqlJs; // Shared promise for the loaded sql.js module
+
+/**
+ * Normalises bound parameters the way expo-sqlite accepts them
+ * @param {Array} params - Either a single array of values or the values themselves
+ * @returns {Array} Values with undefined stored as NULL
+ */
+const toBindings = (params) => {
+  const values = params.length === 1 && Array.isArray(params[0]) ? params[0] : params;
+  return values.map(value => (value === undefined ? null : value));
+};
+
+/**
+ * Wraps a sql.js database in the expo-sqlite async API
+ * @param {Object} database - sql.js Database
+ * @returns {Object} Database with execAsync, runAsync, getAllAsync, getFirstAsync,
+ * prepareAsync, withTransactionAsync and closeAsync
+ */
+const wrapDatabase = (database) => {
+  const run = (sql, bindings) => {
+    database.run(sql, bindings);
+    const changes = database.getRowsModified();
+    const [{ values }] = database.exec('SELECT last_insert_rowid()');
+    return { lastInsertRowId: values[0][0], changes };
+  };
+
+  const getAll = (sql, bindings) => {
+    const statement = database.prepare(sql);
+    try {
+      statement.bind(bindings);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  };
+
+  return {
+    execAsync: async (sql) => {
+      database.exec(sql);
+    },
+    runAsync: async (sql, ...params) => run(sql, toBindings(params)),
+    getAllAsync: async (sql, ...params) => getAll(sql, toBindings(params)),
+    getFirstAsync: async (sql, ...params) => getAll(sql, toBindings(params))[0] ?? null,
+    prepareAsync: async (sql) => ({
+      executeAsync: async (...params) => run(sql, toBindings(params)),
+      finalizeAsync: async () => {}
+    }),
+    withTransactionAsync: async (task) => {
+      database.exec('BEGIN');
+      try {
+        await task();
+        database.exec('COMMIT');
+      } catch (error) {
+        database.exec('ROLLBACK');
+        throw error;
+      }
+    },
+    closeAsync: async () => database.close()
+  };
+};
+
+/**
+ * Opens a new in-memory database; the name is ignored
+ * @returns {Promise<Object>} Promise that resolves to the wrapped database
+ */
+const openDatabaseAsync = async () => {
+  if (!sqlJs) sqlJs = initSqlJs();
+  const SQL = await sqlJs;
+  return wrapDatabase(new SQL.Database());
+};
+
+module.exports = { openDatabaseAsync };
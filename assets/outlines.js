@@ -0,0 +1,245 @@
+/**
+ * Country Outline Assets
+ * SVG path of each country's silhouette, keyed by lowercase ISO 3166-1 alpha-2 code
+ * Each path is scaled to fit a 100x100 box; viewBox gives its exact size
+ * Countries too small and scattered to draw recognisably (e.g. Kiribati) are omitted
+ * Generated from @svg-maps/world (CC BY 4.0); see assets/ATTRIBUTION.md
+ */
+
+const outlines = {
+  ad: { viewBox: '0 0 100 86.5', path: 'M89.5 57.9 81.1 60.7 52.8 77.7 36.7 83.6 22 86.5 10.5 85.3 4.2 75.4 4.8 60.1 2.2 46.5 0 39.2 4.2 19.4 13.6 8.8 26.6 0 47.2 3.2 90.8 15.9 99.9 27.8 100 35.7 92 48.7Z' },
+  ae: { viewBox: '0 0 100 78.1', path: 'M98.1 9.6 99.5 11.4 99.7 24 100 24.9 99.3 25 98.5 26 97.5 27.5 96.2 28.2 95.1 29.1 94.2 30.2 93.3 30.4 92.1 29 91.3 27.7 92.1 27.3 92.3 26.5 92 25.5 91.2 25.1 90.2 25.1 89.3 25.5 88.3 26.5 87.7 27.4 87.6 29.4 87.9 31.6 87.9 32.7 87.3 34.1 87.1 36 87.5 37.5 87.9 38.5 87.9 39.2 87 41.7 87.8 42.1 90.5 42.3 91.2 43.9 91.8 45 91.6 45.7 89.7 46.2 87.4 46.8 85.6 46.6 82.6 47.3 80.9 48.5 81.4 49.2 82 49.7 82.2 51.2 81.7 53.4 80.9 55.4 79.8 58 78.5 61 76.8 65.4 75.3 68.9 75.2 71.4 75.2 73 75.1 76.3 73.7 78.1 71.7 77.9 69.6 77.6 67.1 77.3 64 76.9 60.2 76.4 56 75.9 51.6 75.3 46.9 74.7 42.3 74 37.9 73.5 33.7 72.9 29.9 72.4 26.8 72 24.3 71.7 22.7 71.5 20.4 71.2 19.5 70 18.4 68.5 17.2 67 16.1 65.5 14.9 64.1 13.8 62.6 12.7 61.1 11.5 59.7 10.4 58.2 9.3 56.7 8.1 55.2 7 53.8 5.8 52.3 4.7 50.8 3.6 49.3 2.4 47.8 1.3 46.4 0.5 45.4 0.1 44.2 0 41.3 0.8 39.5 1.1 40.3 2 41.5 3.5 41.2 4.1 41.4 4.6 45.5 5.7 46.9 7 47.5 11.4 47.8 14.2 47.2 19.6 44.6 22.4 43.6 30.3 43.8 36.6 44.9 46.4 45.6 48.3 45.4 53.6 43.3 56.8 41.4 58.7 40.8 60 39 60.8 36.7 61.6 35.1 62.5 34.4 63.4 33.1 64.2 30.9 66 28.8 73.3 23.5 77.5 19 77.9 17.6 80.2 15.4 82.1 13.1 90.8 6.3 92.5 3.5 93.5 0.4 94.4 0 95.5 0.5 95.6 2.8 95.2 5 95.2 7.4 95 8.7 95.8 9.7 97.2 10.2 97.8 10.1ZM97.8 19.1 97.9 18.1 96.8 17.5 96.4 18.4 96.3 19.6 96.9 19.7 97.8 19.1ZM60.1 37.1 59.3 37.5 57.9 37.1 57.4 36.5 58.3 35.7 59.3 36.5 60.1 37.1ZM36.6 41.3 35 41.4 33.7 40.5 36.6 39.4 37.4 38.9 38.2 37.8 38.9 38.7 38.2 40.2 37.6 40.8 36.6 41.3ZM21.7 40.6 21 39.5 22 38.6 22.6 39.6 21.7 40.6ZM48.9 43.1 48.9 43.9 46.8 43.7 46.3 44.1 44.5 43.8 42.9 43.3 44 42.4 47 41.3 48.2 42.3 48.9 43.1Z' },
+  af: { viewBox: '0 0 100 75.6', path: 'M100 10.7 99.1 10.6 98.5 10.4 97.7 10.7 96.4 11.4 97.3 12.2 96.8 12.9 95.2 13.6 94.1 14.2 93.2 14 92.2 13.7 89.7 13.8 87.7 13.9 86.8 14 85.2 14.2 84.3 14.2 83.6 14.4 82.9 14.8 82.2 15 81 15.3 80.6 15.9 79.4 16.8 78.7 17.2 78 17.7 77.3 17.6 76.8 18.1 76.2 18.8 75.2 19.9 74.6 20.3 74.3 21 75.4 21.9 76 22.7 76.3 23.8 76.6 24.8 77.1 25.9 77 26.7 76.8 27.4 77.2 28 76.8 29 76.1 30.1 75.5 30.6 74.6 31.7 73.8 32.5 73.4 33.2 72.7 33.8 73.1 34.6 73.7 35.1 73.6 35.9 73.6 36.5 73.6 37.2 73.3 37.8 71.9 38.4 70.6 38.6 68.9 38.6 68.3 38.5 66 37.8 65.3 38.1 65.1 39.1 66.4 40.5 67 41.4 67.6 42.7 68 43.4 67.9 44.1 66.7 44.9 65.5 45.6 64 45.7 63 46 62.2 47.9 61.9 49.1 61.6 49.9 61.1 50.3 60.8 51.1 60.9 52.6 61 55.2 60.4 56 59.7 56.8 58.9 57.4 58.2 57.7 57.6 57.6 57.1 57.1 56.3 56.3 55.2 56.7 54.4 56.6 53.6 56.2 53.1 56.6 52.3 57.3 50.4 58.4 49.6 58.4 49.4 59.1 50.3 59.7 49.8 60.3 48.4 60.9 47.2 61 46 60.8 45.4 60.4 44.7 60.3 44 60.7 43.4 61.2 42.6 62.4 41.7 63.1 41 63.5 40.7 64.4 40.3 65.9 40.4 66.8 40.4 68.2 40.2 69.3 39.9 69.9 40 70.5 40.5 71.1 39.9 71.9 38 72.6 36 73.2 34.6 73.6 32.6 74.2 32 74.3 30.8 74.4 30.1 74.3 29.3 74.2 28 74.3 27.1 74.4 26.2 74.7 25.6 75.1 25.1 75.6 24.2 75.3 21.4 74.8 13.8 75.5 13.1 75.4 10.5 74.5 7.2 73.5 5.1 72.8 2.5 71.9 4.3 69.8 5.9 67.9 7.5 66 9 64.1 9.2 63.5 9.2 62.2 8.8 60.5 8.2 59.7 6 59.4 4.3 59.1 2.6 58.9 2.1 57.4 2.2 56.8 2.1 55.7 2.1 54.8 2.4 53.3 2.4 52.6 1.6 49.8 1.1 48.2 0.6 46.5 0.5 45.4 1.6 43.8 2.6 42.7 2.9 42 2.2 41.9 1.2 41.9 0.6 41.6 0 40.6 0.3 39.5 0 37.4 0.6 36.4 1.1 35.6 2.8 35.5 2.2 34.7 1.7 34.1 2.2 33.6 3 32.9 3.3 32.3 3.9 31.5 4.1 30.5 4.3 29.8 4.6 29 4.3 28 4.5 27.4 5 26.8 5.1 26.2 5.5 25.5 5.4 24.6 6 24.5 6.5 25.2 7.3 25.9 7.9 26.2 8.6 26.3 9.4 26.2 10.1 26 11.1 26.6 12 27.4 12.4 28.2 13.2 27.9 14.2 27.8 15.3 27.7 16.5 26.9 17.3 26.4 17.8 26 18 25 18.3 24.4 18.5 23.6 18.2 22.9 18.7 22.5 19.5 22.5 21 22.1 22.3 21.6 23.4 21.2 24 21.2 24.7 21.1 25 20.4 25.7 20.1 26.9 19.4 27.9 18.4 28.3 17.7 28.6 16.6 29.1 14.9 29.6 13 29.8 12.2 30.1 11.6 31 11.1 32 10.7 33.4 10.6 35.2 10.6 35.6 9.5 35.8 8.7 36.5 7.9 37.6 8.3 39 9.1 40.7 9.5 41.6 9.7 44 9.5 45.7 9.8 46.6 10.7 47.4 10.9 48.3 10.5 49 10.7 50.1 10.8 50.5 11.5 51 12.2 51.9 13 52.6 13.2 53.6 12.5 54.2 12 54.8 11.5 56 11.1 56.6 10.8 57.2 10.4 57.9 10.4 58.3 9.9 59.4 10.4 60.4 11.4 60.9 11.8 61.6 11.4 62 10.9 62.1 10.2 61.9 9.3 62 8.5 62.5 7.9 63.4 7.6 64.8 7.4 65.6 7.5 66.4 8 67.4 7.7 67.8 7 67.8 6.1 67.4 5 68.2 4.2 68.9 3.4 69.6 2.3 70.3 1.1 71.2 0.3 72.1 0 73.3 0.3 74.8 1.3 75.3 2.5 75 4 74.9 4.7 75.7 4.8 76.4 4.6 77 4.8 76.8 5.8 76.5 7.5 76.3 8.9 76.1 10.4 76 11.6 76.3 12.6 76.7 14.1 77.1 15 78.1 15.5 79.5 14.7 81 13.6 82.4 12.9 84.5 12.5 85.2 11.2 86.1 10.4 88.3 9.2 89.5 8.7 90.2 8.6 91.1 8.9 91.9 9.1 91.8 9.9 91.2 10.5 92.1 10.7 93.5 10.3 94.4 10 95 9.9 95.6 9.1 96.2 9.1 96.9 9.3 97.5 9.4 98.4 9.3 99.6 10.3Z' },
+  ag: { viewBox: '0 0 27 100', path: 'M22.9 94.5 18.6 100 3.7 97.8 0.7 90.8 0 86 9.4 76.1 19.9 80.3 24 85 27 85.9 26.9 89.9 25.8 92.8 22.9 94.5ZM18.8 19.4 16.8 23.1 5.8 16.5 2.5 4 2.8 1.4 4.7 0 9 2.4 14.8 3.3 18.5 7.4 18.8 19.4Z' },
+  ai: { viewBox: '0 0 100 56.9', path: 'M88.1 27.7 0 56.9 3.6 40.1 74.3 0 100 2.8Z' },
+  al: { viewBox: '0 0 44.2 100', path: 'M19.8 3.4 20.8 4.2 22.8 7.6 24.2 10.5 26.9 11.6 28.5 12.7 30.4 14.5 31.3 16.2 32.7 21.6 32.8 24.8 32.4 26.3 30.9 31.9 31.2 34.6 31.2 36.4 30.2 37.1 29.5 38.2 30.6 42.5 30.4 44.4 30.5 46.5 32.5 51.3 33.7 52.8 34.7 53.5 36 58 36.8 58.8 40.1 58.3 41.7 58.8 42.3 59.9 42.5 60.6 42.3 63.1 43.1 65 44.2 66.9 44.2 68.1 43.4 70.1 42.1 72.4 40.4 73.3 38.5 74 37.6 75.8 37.1 77.6 36.3 79 35.7 80.6 34.9 83.7 34.7 84.8 33.5 85.9 31.5 86.4 29.7 86.5 28.5 87 27.8 88.1 26.7 89 26 89.3 26 90.3 26.8 92.2 27.8 93.8 27.8 95.1 27.3 95.5 25.9 95.3 25.4 97.2 25 98.4 24.4 99.2 23.4 100 21.5 99.7 19.7 98.5 18.7 98.1 18 95.2 17.3 92.9 14.4 87.2 5.1 81.8 3 79.3 2 77.2 1 75.3 2 75.2 2.9 75.7 4 76.3 4.5 75.3 4 73.2 1.6 68.2 1.4 66.8 2.6 62.6 4.5 57.8 4.4 52.1 5 47.7 4.4 44.9 4 41.4 5.5 36.8 6.7 35.6 7.4 34.2 7.5 29.2 4.7 26.9 1.6 26.5 1.6 24.8 2 22.1 1.8 21.2 2 19.7 1.3 17.7 0 16.2 1.2 13.6 3 10.4 4.6 7.9 6.7 5.3 8 2.8 9.4 0.7 10.7 0 11.3 0.5 11.6 1.4 11.5 4.2 12 5.2 12.8 5.9 14.6 5.5 16.6 4.8 19.3 3.3Z' },
+  am: { viewBox: '0 0 99.7 100', path: 'M96.8 98.5 91.3 98.2 86.6 100 84.8 99.6 83.7 96.5 82.7 94 79.7 87.4 80.5 84.8 78.8 83.2 74.8 80.4 73.8 79.3 74.4 77.7 74.8 74.8 74.4 72.4 73.3 71.7 71.3 71.7 68.9 72.3 64 74.5 60.6 73.1 58.6 71.6 57.5 70.4 55 71.4 54.3 70.9 54.2 67.9 53.4 66.3 51.9 64.4 50.5 63.4 45.3 65.3 42.1 66 41 64.2 35.5 58.4 30.4 53.9 26.9 52.1 23.4 52.3 18 53.2 15.9 52.8 11.2 50.9 7.2 48.5 7.7 47.6 8.6 46.9 7.6 43.9 5.4 39 5.6 37.5 4.9 35.4 4.1 33.8 7.2 30 8.7 26.9 9 23.9 8.1 20.8 6.1 15.2 4.8 13.5 2.5 12 0.5 9.5 0 7.7 1.7 7.4 6.5 7.3 11.2 6.7 14.9 5.5 20.2 4.6 22.4 3.7 25 3.3 32.8 4.2 35.7 3.5 44.4 3.3 43.5 1.8 48.7 0.6 49.5 0 50.2 1.9 52.2 4 54.3 4.9 55.5 6 55.5 6.9 51.7 8 51.7 9 52.9 9.3 58.2 11.9 61.2 12 62.8 12.8 63.6 14.4 66.1 16.5 68.1 18.6 68.3 19.3 67.9 20.4 62.2 24.4 61.5 25.8 61.4 27.3 63.9 31.7 67.5 36.5 72.8 40.1 80.1 44.1 80.2 46.5 79 49.4 78 51.4 77.6 52.7 76.7 53.2 69.5 53.1 68.4 53.6 67.9 54.2 70.5 55.5 74.5 58.6 76.9 61.6 79.3 62.9 82 65.3 84.2 67.5 87.6 70.4 91.4 69.4 96.4 72 96.7 73.7 96.3 75.3 93.2 77 92.8 77.7 93.2 79.1 95 80.4 97.2 82.5 99.7 85.5 98.6 86.5 96.3 86.6 94.5 86.2 93.9 86.8 93.9 87.8 96.2 90.1 96.7 91.8 96.6 94.8 96.8 98.5ZM50.3 11.1 50.4 10 50.2 8.9 49.3 8.6 48.3 8.9 48.2 10 48.5 11.1 49.6 11.5 50.3 11.1ZM67 28.2 65.8 28.9 64.7 28.6 64.7 26.9 65.5 26.2 66.4 26.2 67.3 26.9 67 28.2Z' },
+  ao: { viewBox: '0 0 89.2 100', path: 'M9.7 1.5 8.8 1.9 7.9 2.2 6.8 3.4 6.2 4 5.5 4.4 5.7 5.2 5.6 7.2 5.5 9.2 4.7 9.4 3.7 9.5 3 8.7 3.2 8 3.2 6.5 2.7 5.6 2.2 4.4 2.4 3.8 3.1 3 4.1 2.4 4.6 1.6 5.5 1.1 6.5 0.7 7.1 0.3 7.7 0 8.3 0.1 8.9 0.9 9.5 1.4ZM88.6 46.8 88.7 47.8 88.9 49.1 89 50.1 89.2 50.7 88.9 51.6 88.6 52.4 88.7 53.1 88.6 54 88.6 55 88.5 56 88.8 57.7 88.4 59.1 88.2 59.8 88 60.6 88.6 62.2 87.7 62.5 86.2 62.5 84 62.5 81.9 62.5 79.7 62.5 77.7 62.5 75.8 62.5 74.2 62.5 74.2 63.6 74.2 66 74.2 68.4 74.2 70.8 74.2 73.2 74.2 75.5 74.2 77.9 74.2 80.3 74.2 82.7 74.2 84.5 74.6 86.8 75.4 89.3 76.5 90 77.7 90.9 78.3 91.6 79.6 92.9 81.3 94.4 82.9 95.9 84.3 97.1 82.1 97.6 78.8 98.2 76.7 98.6 74 99.1 72.3 99.5 70.1 99.9 69.2 99.6 67.9 99.5 66.4 99.9 65.2 100 64.4 99.8 63.5 99.5 62.7 99 61.2 98.8 59.2 99 57.2 98.9 55.3 98.5 54 98.4 53.1 98.5 52.3 98.4 51.3 98.1 50.5 97.6 49.6 96.6 48.9 95.6 48.2 95.3 46.1 95.3 44.1 95.3 43 95.3 40.2 95.3 37.5 95.3 34.7 95.3 31.9 95.2 29.2 95.2 26.4 95.2 23.6 95.2 20.8 95.2 19.4 95.2 18 95.3 16.5 95.4 15.9 95.2 14.9 94.5 14.1 94.1 13.2 93.4 12.6 92.6 12 92.4 11.1 92.2 10.4 92.1 8.8 92.4 8.1 92.8 6.6 93.5 5.8 93.9 4.5 93.9 3.4 93.9 2.7 93.5 2 93.6 1.2 94 0 94.2 0.3 91.3 0.5 90.1 0.6 88.6 0.4 84.7 0.1 83.5 0.8 83.1 1.6 82.1 2 81.1 2.4 79.2 3.9 74.6 4.6 70.2 5.5 68.1 5.9 65.7 8.4 62.7 9 60.8 10.3 59.9 12.1 58.9 13.4 57.2 14.1 56 14.8 53.7 14.8 51.3 15.2 48.2 15.1 47.2 14.5 46 14.3 45.1 13.7 44.2 13 43.5 12.7 42.3 11.5 40.4 11.2 39.2 10.6 38.3 10.5 37.2 10.2 36 9.7 34.8 9.1 33.5 9.5 32.6 9.5 33.2 11.7 30.9 11.8 29.9 11.9 28.5 9.8 24.3 8.1 20.3 7.9 18.3 5.7 15.6 4.8 13.9 4.3 12.7 4.1 12 5.9 11.7 7.6 11.4 9.2 10.7 10.5 10.3 11.3 10.5 13.8 10.4 14.7 10.3 16.2 10.3 17.2 10.4 17.8 10.5 19.3 10.6 21.1 10.5 21.8 10.5 24.3 10.4 26.7 10.4 28.9 10.4 31.3 10.4 33.2 10.4 34 10.6 34.8 11.1 35.3 11.7 35.9 12.5 36.1 13.1 36 13.9 36 14.8 36.3 15.8 36.8 16.9 37.5 18.1 37.9 19 37.8 19.7 38 20.5 38.6 21.2 39.2 21.9 39.9 23.1 41.1 25 42 26.4 42.8 26.5 43.8 26.4 44.7 26.4 45.4 26.6 46.7 26 47.8 25.9 48.9 25.6 50.1 25.4 51.9 25.8 53.6 25.9 55.1 25.6 55.3 23.7 55.6 22.6 56.1 22 56.1 21.4 56.1 20.6 56.4 19.6 57.4 18.9 58.9 18.5 59.8 18.4 61.2 18.2 63.3 18 64.1 18 63.7 19.5 63.9 20.4 66.5 20.6 68.5 20.7 70.8 20.7 72.5 20.8 73.2 21.6 73.1 23 72.7 24.9 72.9 26.7 73.6 28.3 73.7 30.9 73.4 32.4 73.1 34.4 73 36.5 73.3 37.5 74 38.4 75 39.4 75.8 40.7 76.3 42.3 76.5 43.3 76.4 44.5 76.6 45.5 76.4 46.2 75.8 46.5 75.9 47.8 76 48.6 76.4 49.2 77.2 48.9 77.9 48.4 79.2 48.2 80.2 48.3 82.1 48.4 82.7 48.3 84.5 47.6 85.6 47.6 86.6 47.8 87.6 47.9 88.2 47.3 88.6 46.8Z' },
+  ar: { viewBox: '0 0 45.6 100', path: 'M25 1.1 25.7 1.6 26.4 2.6 27 3.4 27.6 3.8 28.3 4.3 28.7 4.8 29.9 5.3 30.5 5.5 31.3 5.7 32 6.1 32.5 6.6 34 7.4 34.7 7.7 35.4 7.9 36.1 8.3 36.5 8.8 36.3 9.6 36 10.2 35.5 10.8 35.2 11.4 35.2 12.1 34.9 12.7 34.4 13.2 34.3 13.8 35.3 13.7 36.1 13.8 37.1 14.1 37.7 14.2 38.3 14.1 38.9 14.2 39.5 14.1 40.1 13.8 40.7 14.1 41.2 13.7 41.6 13 42.2 12.8 42.7 12.2 43.3 11.2 43.4 10.5 43.4 9.4 44.1 9.4 44.8 9.4 45.2 10.4 45.6 11 45.5 11.6 45.4 12.2 45.4 13 44.7 13.6 44.2 14 43.6 14.2 43 14.4 42.6 14.9 42 15.3 41.4 15.8 40.8 16.2 40.4 16.8 40 17.3 39.5 17.8 39.2 18.4 38.7 18.9 38.1 19.7 37.4 20.2 37 20.9 36.5 21.4 36.1 22.1 36.1 23.1 36 23.7 35.6 24.5 35.7 25.1 35.4 25.7 35.3 26.4 35.4 27 35.2 27.6 35.3 28.7 34.7 29.1 34.4 30.6 34.6 31.3 34.8 32.1 34.6 32.8 35 33.4 36.2 34 36.7 34.4 37.3 34.8 37.6 35.7 37.1 36.3 37.2 37.2 37.8 37.9 38.5 38.1 38.7 39.2 38.6 39.8 37.8 41.2 37.1 42.1 36.7 43.1 35.3 44.1 33.4 44.8 31.8 45.1 29 45.7 27.9 45.7 26.9 45.6 26.1 45.2 25.7 46.2 26.2 46.6 26.3 47.4 26.2 48.2 25.6 49.3 25.6 50.1 25.9 50.7 25.6 51.4 24.7 51.8 23.7 52.2 22.8 52.2 21.6 51.7 20.5 51.3 19.9 50.9 19.3 51.3 19.3 52 19.6 53.4 19.6 54 19.5 54.6 19.9 55.2 20.5 55.5 21 56.1 21.7 56 21.3 55.5 22.2 55.1 22.8 55.6 22.9 56.4 22.7 57 21.8 57.5 21.4 56.7 20.8 56.3 20.1 56.7 19.6 57.1 20.5 57.5 21.1 57.7 20.3 58.3 19.7 58.7 19.2 59.5 18.9 60.3 19.1 61.1 19 61.9 18.8 62.5 18.2 63.1 18.3 63.8 16.9 64.1 16.2 64.6 15.3 64.9 14.5 66 14.2 66.7 13.8 67.3 13.7 68 13.8 68.6 14.2 69.3 15.6 70.8 17.4 71.1 17.9 71.6 17.9 72.7 17.3 73.4 17.8 73.9 17.3 74.4 16.4 75.3 15.6 75.9 15 76.3 14.5 76.9 14 77.4 13.5 78.4 13.3 80.6 12.4 81.4 11.8 81.2 11.5 80.6 10.7 81 11.4 81.1 11.8 81.7 11.1 82.1 10.6 82.5 10.3 83.2 10.2 83.8 9.9 84.5 10.3 85.8 10.4 86.5 9.7 86.7 10.4 87 11.2 88.4 11.6 89.1 11.8 89.7 11.1 89.3 10 88.9 8.8 88.6 7.1 88.4 6 88.3 4.9 88.3 4.3 88.3 3.7 88.2 3.3 87.4 2.8 86.9 2.9 85.8 2.7 85 3 84.4 2.8 83.5 2.2 83.4 1.6 83.4 1.1 83.8 0.7 83.1 0.6 82.4 0.2 81.5 0.1 80.8 0.2 80 0.1 79.2 1 78.6 1.1 77.9 1.6 77.4 2.1 77 2.3 76.4 2.3 75.8 2.8 75.4 2.9 74.5 2.4 74 2.5 73.4 2.8 72.7 3.4 71.9 3.8 71.4 3.7 70.8 3.9 70.1 4.3 69.6 4.2 68.8 4 68.1 4.5 67.3 4.1 66.5 4.3 65.9 5.1 65.2 4.7 64.4 4 64 3.4 63.6 4.1 63.4 4.9 63.4 5.4 63 5.4 62.4 4 62.2 4 61.5 4.3 60.9 4.1 60.2 4 59.5 3.8 58.9 4.1 58.3 3.5 58.1 3.3 57.1 3.3 56.5 3.4 55.8 3.5 55.2 4.2 55 4 54 3.9 53.4 3.9 52.6 3.9 51.7 3.7 51.1 3.9 50.5 4.1 49.9 4 49.2 4.4 48.7 4.3 47.8 4.7 47.3 4.9 46.6 4.9 45.7 5.4 45.2 6 45 6.2 44.4 5.9 43.7 5.8 42.9 5.5 42.1 5.5 41.5 5.4 40.8 5.6 40.1 5.5 39.5 5.7 38.9 6.1 38.3 6.8 37.7 7.3 37.3 7.3 36.5 7.2 35.8 7.1 35.2 7.4 34.1 7.6 33.4 8 32.7 8.5 32.2 8.5 31.3 8.5 30.4 8.6 29.7 8 29.4 8.1 28.7 7.8 27.8 7.6 26.9 7.4 26.3 7.2 25.7 6.8 24.9 6.9 24.3 7.1 23.7 7.5 23 7.7 22.1 8.3 21.7 8.5 21.1 8.4 20.5 8.2 19.6 8.1 19 8.6 18.4 8.8 17.6 8.9 17 9.3 16.3 9.7 15.8 10.1 15.2 10.4 14.5 10.8 13.6 11.4 13.4 12 13.1 11.9 12.5 11.4 11.8 11.6 11.2 11.8 10.6 11.6 9.8 11.4 9.2 11.5 8.5 11.7 7.9 11.5 7.3 11.9 6.7 12.7 6.2 13.7 5.7 14.3 5.4 14.6 4.5 14.9 3.6 15 3 14.6 2.5 15 1.8 15.6 1.3 16.2 0.9 16.7 0.4 17.7 0.5 18.4 0.7 19.5 0.7 20.2 0.9 20.7 1.4 21.1 2.4 21.4 1.7 22 0.7 22.6 0.6 23.6 0.5 24.6 0.5 25 1ZM11.3 99.3 11.3 98.4 11.3 97.2 11.3 96.1 11.3 95.1 11.3 94.1 11.3 93 11.3 91.9 11.3 90.8 12 91.7 12.2 92.4 11.6 92.8 12.4 93.3 12.8 94.3 13.5 95.1 13.9 95.6 14.4 96.1 14.9 96.5 15.8 97.2 16.3 97.7 17.4 98.3 18.8 98.4 19.1 99 18.6 99.5 18 99.6 17.2 99.7 16.4 99.9 15.2 99.6 13.2 99.3 12.3 99.1 11.6 99.2ZM20.7 98.7 21.4 98.8 22.2 98.8 21.2 99.1 20.5 99.5 20.6 98.9Z' },
+  as: { viewBox: '0 0 100 41.6', path: 'M37.4 38.1 20.3 41.6 0 22.3 39.5 7.6 52 0 100 3.8 71.4 10.2Z' },
+  at: { viewBox: '0 0 100 50.6', path: 'M97.5 8 97.3 8.9 96.8 9.9 96.3 11.1 96.3 12.2 97.7 15.9 99 18.1 99.2 19 100 19.6 99.2 20.5 99.1 21.7 98.6 22.2 98.5 22.9 98.7 23.6 98.7 24.4 98.9 25.5 97.7 25.7 96.3 25.7 95.3 26 93.4 24.9 92.7 24.6 91.8 25.1 91.1 25.7 90.5 26.1 93.3 27.4 93.8 28.8 93.3 29.9 93.1 30.5 92.5 30.9 91.7 31.3 90.8 31.4 90.6 32.1 91 33.9 90.4 34.8 90.7 36.3 91.3 36.4 91.3 37.4 91.2 38 91 38.7 90.5 39.2 89.3 39.1 88.3 39.7 86.2 41.7 85.4 42.1 84.6 42.9 84.7 44.7 84.4 45.3 81.9 44.6 80.1 44.9 79 45.7 77.6 46.2 74.7 45.9 71.8 46.3 71.2 46.5 70.4 46.6 69.7 47.1 69.3 47.8 68.6 48.7 67.6 49.4 66.5 49.9 65.9 50.6 65.3 50.2 64.2 50 62.2 49.8 60 49.4 59 49 57.8 48.7 56.5 48.4 55.4 48.4 54.8 48.3 52 47.6 50.2 47.6 47.8 47.3 43 46.3 41.7 45.9 40.3 45.7 38.8 45.4 37.6 44.8 36.8 43.7 36 42.3 34.5 40.4 34.2 39.4 34.6 38.6 35.1 37.9 32.1 38.4 29.5 39.4 28.5 39.4 27.6 39.2 26.3 39.2 25 39.4 22.6 39.6 21.1 40.3 20.2 41.8 19.7 43 18.4 43.5 17.1 43.4 16.2 43.1 15.3 42.1 13.8 41.9 12.5 41.9 12.2 41 11.7 39.8 10.8 39.4 8.6 41.8 8 42 6.2 41.3 4.6 40.3 4.5 39.6 4.2 39 2.9 38.4 1.3 38 0.7 38 1.1 37.1 0.6 36.1 0.4 35 0.2 34.2 1.1 31.6 1.3 30.1 0.4 29.3 1.7 29 2.5 28.5 2.9 28 4.1 28.5 5.9 29.4 6.7 30 7.2 30.9 7.1 31.6 8.3 31.9 8.9 32.1 8.7 33 8.6 33.8 9.4 33.7 10.3 33.1 11.1 32.1 11.5 31.1 11.9 28.7 12.6 28.7 14.9 28.6 16 29 17.7 29.1 18 30.1 18.7 30.9 19.1 31.5 19.9 31.6 21.1 31.3 21.9 30.9 23.3 30.9 24.3 30.3 24.5 29.7 25.5 29.4 26.9 28.5 28.8 27.9 34.9 27.2 35.2 26.6 35.1 25.4 36 25.6 37.2 25.8 38.2 26.3 38.8 26.8 39.4 26.8 40.3 26.5 41.5 26.2 42.6 26.8 42.9 27.4 42.7 28.2 43.1 28.7 44 29.4 45.2 30 45.8 29.9 46 29.3 46.2 28 46.3 26.5 46 25.6 45.4 25.4 44.7 25.4 44.4 24.7 45 23.5 45 21.9 43.6 20.1 42.4 18.3 42.5 17.7 43.2 16.6 44.3 15.8 46.7 14.4 47.4 14.1 48.4 13.8 49.8 13.3 50.5 12.7 51 12 51.6 8.7 54.5 9.5 55.1 9.1 55.9 8.2 56.1 7.5 56.1 6.3 56.1 5 56.7 4.8 57.7 5.4 58.6 6.1 59.4 7.9 61.2 8.4 63.5 8.4 64.4 7.6 65.1 7.5 66 7.7 67.8 8 68 6.5 69 5 69.5 4.5 70.8 4.6 71.1 3.4 71.5 0.3 72.7 0.1 73.7 0.6 74.5 1.1 75.1 0.7 75.9 0.5 77.1 0.9 79.7 2.3 81 2.8 81.9 2.7 82.7 2.7 85.7 4.9 87.8 5.2 89.8 5.2 90.4 4.6 91.2 4 92.1 4.1 92.8 4.4 94.3 5.3 95 5.5 95.9 5.7 96.5 5.9 97.1 7.5Z' },
+  au: { viewBox: '0 0 83.2 100', path: 'M31.6 2.3 32.2 2.4 32.9 2.2 33.5 2.3 33.2 3 32.6 3.4 32 3.1 31.6 2.5ZM47.6 12.3 48.2 12 47.6 12ZM42.8 2.4 43.1 1.8 42.7 2.4ZM43.3 7.6 43.4 6.9 42.8 6.7 42.5 7.3 42.9 7.8ZM69.3 25.8 68.9 25.2 69.2 25.8ZM72.5 29.8 73.1 28.4 72.9 27.7 72.8 28.3 72.5 29 72.5 29.7ZM73.2 32.9 73.3 32.3 73.2 32.9ZM63.9 60.4 63.4 59.8 63.2 60.4 63.5 61 63.9 60.4ZM83.1 99.2 83 99.9 83.2 99.1ZM64 61.1 63.4 61.3 64 61.4ZM64 65.4 63.9 64.7 63.9 64.1 64 63.3 63.9 62.6 63.3 62.2 62.7 62.4 62.1 62.7 61.5 62.8 60.8 63.1 60 63 59.4 62.8 58.9 62.4 58.3 62.3 57.7 62.1 57.3 62.7 57.6 63.6 57.8 64.3 58.4 65.2 58.9 66 58.3 65.7 58.4 66.3 58.9 67.4 59.4 68.2 60 68.4 59.9 69 60.5 68.9 61.1 69.1 61.6 68.5 62.1 67.9 62.1 67.2 62.6 67.6 63 68.2 63.3 67.5 63.2 66.8 63.4 66.2 63.5 65.6ZM73.5 34.8 73.2 34.1 72.8 33.1 72.7 32.2 72.6 30.8 72.7 30.2 72.3 29.6 72.1 28.8 71.6 28.4 71.3 27.7 70.7 27.2 70.3 26.5 69.7 26.3 69.1 25.8 68.5 25.2 68.4 24.1 68.4 23.5 67.7 23.3 67.2 22.7 67 23.4 66.4 23 66.2 22.4 66 21.6 65.7 21 65.3 20.4 64.8 19.9 64.9 19.2 64.4 18.7 63.7 18.4 63.1 18.1 62.5 17.5 61.8 17.4 61 17 60.5 16.6 60.4 16 59.8 15.2 60 14 59.6 13 59.1 12.3 58.8 11.7 58.7 10.7 58.5 10 58.4 9.3 58.1 8.7 57.3 8.2 56.8 7.8 56.1 8.1 55.6 7.6 55.4 7 55.4 6.2 55.3 5.6 55.1 4.9 54.8 4.3 54.6 3.7 54.1 3.2 54.1 2.5 54 1.9 53.6 1.4 52.9 1.6 52.8 2.2 52.6 2.9 52.5 3.5 52 4.2 52.4 4.8 51.9 5.3 51.9 5.9 51.6 6.9 51.8 7.5 51.7 8.1 51.8 8.8 51.8 9.5 51.6 10.2 51.5 10.8 51.4 11.4 51.2 12.2 50.7 12.9 50.4 13.6 49.9 14 49.3 14.2 48.4 13.9 47.6 13.5 47.3 12.9 46.5 12.4 45.8 12.3 45.2 11.9 44.8 11.4 44.1 11.1 43.5 10.7 42.9 10.4 42.2 10.2 41.7 9.6 40.9 9.1 40.8 8.5 41.3 7.8 41.6 7.1 41.6 6 42.3 5.7 42.8 5.2 43.4 4.2 42.8 3.8 42.2 3.9 41.6 3.8 41.5 3.2 40.9 3.7 40.3 4 39.7 3.8 39.1 3.7 38.5 3.6 37.9 3.3 37.3 3.2 36.6 3 36.2 2.5 35.5 2.4 34.9 2.2 34.2 2.2 34.7 2.6 35.4 2.6 35.6 3.3 35.3 3.9 34.6 4.1 34 4.1 33.3 3.9 32.7 4 32.4 4.6 31.7 4.8 31.2 5.3 31.4 6 30.8 6.3 30.5 6.9 29.9 7.6 30 8.2 30.4 8.7 30.3 9.3 29.8 8.9 29.2 8.9 28.4 8.7 27.8 9 27.7 9.6 27.5 9 27.1 8.1 26.7 7.6 26 7.1 25.3 6.8 24.9 7.4 24.2 7.4 23.7 7.8 23.5 8.4 23.1 7.8 22.6 8.3 22.3 8.9 21.8 9.3 22 9.9 21.4 9.6 20.8 10 20.9 10.7 20.7 11.3 21.3 11.6 20.6 11.7 20 11.5 19.4 11.3 19.1 11.9 19.6 12.5 19.7 13.1 19.2 13.6 18.7 12.9 18.4 12.3 17.7 12.4 17.2 12.8 16.7 13.4 16.8 14.2 17.1 14.8 16.4 15.5 15.9 16 15.5 16.8 14.9 17.5 14.4 17.9 13.6 18.2 12.4 18.4 11.7 18.5 10.6 19 10 19.1 9.4 19.3 8.6 19.8 7.9 19.9 7.1 19.8 5.6 20.5 4.9 21.1 4.1 21.7 3.5 21.9 2.7 22.9 2.2 23.3 2.1 22.7 2.2 22 1.6 23 1.4 23.6 1.6 24.4 1.5 25.1 1.2 25.8 0.9 26.5 0.9 27.1 1.4 28.2 2 29.3 2.4 29.9 2.3 30.5 1.7 30.3 1.3 29.7 1.2 30.4 1.7 30.9 1.2 31.4 0.9 30.6 1.5 31.9 2 33 2.2 34.2 2.6 34.9 3 35.6 3.5 36.6 3.7 37.2 3.7 38.5 3.9 39.6 4.3 40.4 4.6 41.1 5 41.9 5.1 43.4 4.9 44 5 44.7 4.9 45.5 4.4 46.1 3.8 45.8 3.7 46.4 3.7 47 4 47.6 4.8 47.8 5.6 48.6 6.5 49 7.2 49.1 8.4 49.3 9 49.2 10.1 48.5 10.8 47.9 11.5 47.9 12.2 47.1 13.2 46.7 13.8 46.7 15.4 46.5 16.3 46.6 17.8 46.6 18.4 46.7 19.2 46.7 19.8 46 20.3 45 21 44.6 22.3 43.9 22.9 43.7 23.5 43.2 25.1 43.2 26 43.1 26.7 42.9 27.4 42.7 28.3 42.3 29 42 30.1 41.8 31.1 41.7 32.3 41.7 32.9 41.5 34 41.9 34.9 42.6 35.7 42.5 36.7 43 37.5 43 38 43.5 38.6 44 38.4 44.7 39.2 45.1 39.6 45.7 40 46.4 40.4 47.2 40.7 48.1 40.1 48.2 40.7 48.4 41.1 48.9 41.7 49 41.5 48.3 41.9 47.8 42.5 46.9 43.1 46.5 43.8 46.2 44.2 45.6 44.5 44.9 45 44.3 45.3 44.9 45.2 45.7 44.7 46.6 44.4 47.2 44.4 47.9 44.4 48.5 43.8 48.9 43.3 49.6 44 49.5 44.6 49.4 45.1 48.5 45.2 47.9 45.5 47.2 45.8 47.8 46.2 48.5 46.3 49.1 46.1 49.8 45.7 50.4 46.3 50.5 46.9 50.2 47.5 49.8 47.7 50.4 47.1 50.3 47.6 50.9 48.1 51.5 48.5 52.1 48.7 52.7 48.6 53.3 48.6 54.1 49.3 55 49.7 55.5 50.8 55.9 51.5 56.6 52.1 56.4 52.9 56.7 53.7 56.8 54.5 57.3 55.3 57.7 56.4 56.8 57 56.5 57.1 55.9 57.8 55.5 58.2 56 57.8 56.6 58.4 56.4 59 56.7 59.1 57.3 59.7 57.8 60.4 58.2 60.2 57.6 61.3 57.3 62.3 56.3 63.2 55.6 63.9 55.4 65.1 55.3 65.7 55.3 66.5 54.9 66.9 54.3 66.9 53.2 67.1 52.5 67.2 51.5 67.4 50.9 67.7 50.3 68 49.5 68.5 49.1 68.5 48.5 68.7 47.7 69.2 46.9 69.4 46.2 69.7 45.6 70 44.9 70.5 44.3 71.1 43.9 71.6 43.3 72.1 42.1 72.3 41.4 72.5 40.7 72.5 39.9 72.8 38.7 73.1 37.3 73.3 36.4 73.6 35.7 73.5 34.8ZM31.1 3.2 31.8 3.3 31.6 2.7 31 3ZM0.4 30.1 0.1 29.3 0.4 30.4ZM45.2 50.7 44.6 50.7 43.7 50.5 42.9 50.7 43.1 51.3 43.8 51.3 44.6 51.3 45.4 51.1ZM56.4 59.9 56 60.4 56.4 59.9Z' },
+  aw: { viewBox: '0 0 87.5 100', path: 'M85.7 84.8 87.5 100 63.7 91.8 31.9 59.3 0 35 7.9 8.8 15.9 0 47.8 24.4 79.3 70Z' },
+  ax: { viewBox: '0 0 100 72.5', path: 'M43.1 10.1 45.9 10.1 47.2 8.6 52.1 9.7 59.4 16.8 60.9 20.7 66 22.7 67.7 26.7 61.9 39.2 58.3 39.4 55.5 37.8 50.8 39.2 47.9 41.6 47 46.7 47.2 57.6 25.7 59.7 20.8 56.6 14.1 31.9 15.4 25.5 20 22.8 23.8 22.2 24.4 35.6 30.1 34.2 31.9 25.4 32.3 19.3 30.8 16.1 26.9 13.7 24.7 9.6 27.9 2.9 33.9 0 39 8.9 43.1 10.1ZM13.1 40.3 13.6 44.5 10.1 43.4 7.4 44.8 5.6 49.9 1.6 48 0 40.8 3 29.9 10 29.5 13.1 40.3ZM100 67.2 99.3 71.5 91.8 72.5 88.7 68.6 81.7 69.1 80.5 67.2 83.4 63.3 88.9 60.9 96.2 61.9 100 67.2Z' },
+  az: { viewBox: '0 0 100 81.3', path: 'M68 1.1 69.6 2.5 72.4 6.2 76.5 12.3 77.5 14 78.2 16 78.7 18.4 79.6 20.5 83.8 25.9 85.5 27.8 88.4 30.4 89.5 30.9 90.8 31.1 93.3 31.1 95.6 32.1 96.7 32.8 97.9 33.8 98.9 35 100 38 96 37 92 37.2 89.8 37.8 87.6 38.8 85.4 40 84.1 42.5 83 48.3 81.4 53.6 81.5 56.1 82.2 58.5 82.1 59.6 81.3 60.1 80.4 61.1 79.2 65.9 78.6 66.9 77.8 67.5 77.5 66.9 77.6 65.7 75.8 64.5 74.9 65.8 74.3 68.5 73 71.3 73.3 80.5 72.7 80.4 69.1 81.3 68.3 81 65.2 77.1 64.5 76.6 63.2 76.4 62.4 75.8 61.8 74.7 61.4 73.9 58.1 71.7 57.7 71 57.6 70.3 58.1 69.6 58.6 69.1 60.2 68.6 62.1 68.1 62.9 67.2 62.9 66.2 62.6 65.3 60 63.7 59.7 62.9 59.6 62.1 59.7 61.1 60.2 60.4 62.3 59.4 63.5 58.4 62.8 57.3 60.4 54.7 57.6 51.9 55.8 51.8 53.7 52.7 50.3 55.1 48.4 56.1 45.9 57.9 43.2 59.8 41 61.8 39.7 63.5 37.2 64.2 36 65.6 31.9 69.8 30.8 69.7 30.7 67.6 30.8 66 30.5 65 29.2 63.7 29.5 62.8 30.5 63 31.8 63 32.4 62.5 31.1 60.7 29.8 59.6 28.8 58.8 28.5 58 30.5 56.7 30.7 55.8 30.6 54.8 27.7 53.4 25.6 53.9 23.7 52.3 22.5 51 20.9 49.7 19.6 49 18.3 47.3 16 45.5 14.5 45 15.4 44.2 19.5 44.3 20.2 43.2 20.8 42.1 21.4 40.5 21.4 39.1 17.3 36.9 14.3 34.8 12.3 32.1 10.9 29.6 10.9 28.8 11.3 28 14.5 25.7 14.7 25.1 13.5 23.6 12.1 22.4 11.6 21.5 10.7 21 9 21 6 19.5 5.4 19.4 7.5 18.2 6.9 17 5.7 16.5 4.6 15.3 4.2 14.3 8 11.1 9.2 10.5 11.7 11.1 16.9 13.2 16.6 14.3 17.1 15 18.3 15.8 20.6 16.7 22.6 17.2 23.5 16.8 25 16.5 27 17.5 28.8 18.8 29.7 19.3 31.6 19.1 33.2 17.4 33.8 15.4 34 14.4 33.1 13 31.1 11.6 28.9 10.3 27.5 9.1 26.6 6.9 25.6 6.6 25.3 5.6 25.3 4.5 25.6 3.7 26.5 3.3 27.4 3.2 28.2 2.4 29.2 0.9 29.7 0 31.6 0.5 31.9 1.9 33 2 34.3 1.4 35.4 1.9 36.7 3.5 38.6 5.3 39.6 6.4 40 7.2 41 8 42.4 8.9 43.5 10.4 44.5 13.7 45.5 14.5 49.2 15.7 50.4 16 54 16.4 55.2 16.1 57.1 13.3 58.7 10.3 60.3 9.7 63 8.2 64.7 6.9 65.4 5.4 67 2.7 68 1.1ZM14 30.2 14.2 29.4 13.2 29 12.7 29.4 12.7 30.4 13.3 30.6 14 30.2ZM4.6 20.5 3.6 20.5 3.4 19.9 3.5 19.3 4.5 19.3 4.7 19.9 4.6 20.5ZM24.1 70.4 20.6 69.7 14.4 68.2 12.7 67.5 11.1 65.4 10.1 64.4 8.7 63.2 7.5 62.7 6.7 61.8 6.2 60.5 5.4 59.3 4.1 57.9 1.2 53.1 0.3 51.9 1.8 51.1 4.7 50 5.5 50.5 6.4 51.6 6.8 52.5 6.9 54.2 8.6 53.9 9.3 54.6 10.4 55.4 12.3 56.2 15.1 55 16.4 54.6 17.5 54.6 18.2 55 18.4 56.4 18.2 58 17.8 58.9 18.4 59.6 20.7 61.1 21.6 62 21.1 63.5 22.8 67.2 23.4 68.6 24.1 70.4Z' },
+  ba: { viewBox: '0 0 100 97.7', path: 'M30.7 0 36.1 3.9 38.3 4.4 39.6 3.9 41.3 4.1 45 5.3 45.9 5.7 47 5.7 49.8 4.2 50.8 4.3 54 7.3 55.6 7.3 57.5 6.1 58.7 5 62.4 5.8 64.5 5.3 66.2 5.2 68.1 5.7 69.9 6.4 71.5 7 76.1 7.3 78.2 9.2 79.1 11 79.1 12.1 79.3 13.3 80.6 14.4 83.3 15.1 85 14.9 85.9 14.9 88.2 13.8 91 13.3 93 13.9 93.9 14.5 94.1 15.3 93.5 18.2 92.4 21.2 90.6 24.4 88.8 27.4 88.3 29 88.1 31.5 87.9 33.5 88.2 34.5 88.8 35.6 90.8 36.4 93.6 38.3 96 40.9 99.1 43.8 100 44.9 100 46.1 99.1 46.9 96.5 47.3 93.8 47 92.8 46.7 91.8 47.1 91.2 47.7 91.5 48.5 94.3 52.1 97.5 57.1 97.7 59.3 97.3 61 96.6 62.2 95.2 62 94.2 61.1 92.6 61.1 91.4 61.4 89.9 63.2 89.1 63.1 87.8 63.4 86.9 63.8 85.6 63.2 84.2 62.9 83.5 63.5 83.3 64.5 84.1 66.5 85.8 69.5 85.5 71.8 84.3 72.1 83.1 70.1 82.1 69.8 81 69.9 78.3 72.1 76.4 74 75.9 75.3 75.2 76.7 75 77.8 75 81.2 71.5 81.8 70.8 82.3 70.4 83.3 70.7 87.7 70.9 90.1 73 93.7 73 94.8 72.7 95.6 71.3 97 70.6 97.6 67.8 96.8 66.7 96.3 62.1 93.1 60 91.3 56.7 89 54.7 87.7 53.7 85.6 52.1 85.2 50.2 85.8 48.1 84.4 49.6 83.6 49.9 82.9 49.7 81.9 49.1 80.7 43.3 75.1 40.5 71.3 40 70 40 66.3 39.3 65.5 35 63.8 30.3 59.1 25.4 54.4 24.7 53.1 22.2 49.6 19.1 46.4 16.7 44.3 14.7 42 12.4 38.7 11.3 33.8 10.2 29.4 9.5 27.6 8.1 27 3.7 21.8 0 18.7 0 15.4 0.6 9.9 1.3 3.6 2.2 2.7 3.9 2.2 5.9 2.4 7.6 3.2 10.9 7.5 12.9 9.2 14.5 9.8 16.3 8 18.6 4.2 20.6 2.2 27.4 2.9Z' },
+  bb: { viewBox: '0 0 84 100', path: 'M58.7 92.2 47.8 100 13.5 84.4 1.5 65.6 0 5.7 21.2 0 60.9 47.4 84 64.6Z' },
+  bd: { viewBox: '0 0 73.4 100', path: 'M72.5 79.8 72.6 80.4 72.6 86.1 72.8 88.5 73.3 90.5 73.4 91.2 72.9 91.9 71.9 91 70.8 90.3 69.3 89.5 68.6 89 67.8 89.2 66.6 90.4 66.2 91.5 66.4 93 66.7 94.5 67.5 95.4 67.6 96.4 67.9 97.6 68.3 98.7 68.5 100 67.3 98.4 66.4 96.7 64.2 93.5 63.5 87.7 63.5 84.8 61.9 81.4 60.9 76.7 60.5 75.5 61.1 74 61.2 73.4 60.1 74.3 59.1 72.5 58.4 70.8 55.8 67.3 55.1 65.8 55 64.3 53.9 65.8 52.4 66.8 50.8 68.4 49.8 68.9 46.5 69.2 44.6 67.1 41.9 61.8 41.6 60.7 41.9 57.6 41.3 54.7 41.3 53.1 41.1 52.1 40.4 53 40.5 54.1 40.3 55 38 54.8 35.8 54.4 37.7 56 39.8 56.3 40.9 57.7 41 58.8 40.9 60 39.9 60.8 38.9 61.4 39.1 62.5 40.3 63.9 38.8 64.3 38.4 65.2 38.4 66.6 39.1 67.7 39.4 68.6 39.2 69.4 39.9 70.2 41 72 41.3 73.2 40.9 75 40.3 75.7 39.3 76.4 37.1 78.6 36.1 81.2 35.2 82.3 34 82.6 33.6 82 32.6 81.4 32.6 80.1 32.9 79.1 34.8 76.8 33.8 77.1 32.6 77.8 30.8 79 30.2 77.4 29.8 76 29.8 74.2 31.2 71.5 29.6 72.8 29.1 74.5 29.3 76.5 29.1 77.9 28.5 79.7 27.6 80.8 26.2 81.5 25.6 82.6 24.6 83.4 24.6 81.8 24.3 79.7 23.3 74.7 23 75.8 23.6 78.9 23.5 80.9 22.8 82.5 21.2 84.2 20 84.4 19.3 84.2 18.2 83.1 17.1 81.6 16.9 79.2 16.4 77.8 16.5 76.2 16.4 74.7 15.1 70.7 14.3 68.6 14.4 67.9 14 65 13.4 63.3 13.2 61.6 14.4 59.1 13.9 58.7 12.5 58.3 11.2 57.9 10.8 57.2 11.4 54.8 10.7 53.8 9.8 52.8 9.1 51.9 8.7 50.7 9.5 48 10.8 45 11 43.8 11.2 41.8 11.3 41 11.2 40.3 9.9 39.4 7.6 39 6 38.3 5 37.1 4.2 36.7 3.2 37 1.9 36.6 0.9 35.5 0 34.1 0.1 33.5 0.3 32.6 2 29.1 2.6 29 4.1 29.7 5.6 28.3 6.9 24.3 8.8 24.3 10.4 24.5 11.5 24.7 12.6 24.6 13.8 24.2 14.4 23.7 14.8 23.1 14.7 22.5 13.2 21.8 12.7 21.2 12.3 19.6 11.9 19 9.1 19 7.6 18.2 6.8 17.6 5.4 15.4 3.6 13.8 2 13.4 1.3 12.9 1 12.1 1.2 10.9 1.7 9.8 2 8.6 3.4 6.9 4.9 5.5 5.6 4.6 6.6 3.6 6.7 3 6.6 2.4 5.8 1.8 5.2 1.6 5.5 0.1 6.3 0 7.9 1 9.5 2.5 10.4 3.9 10.5 4.9 11.1 5.1 11.7 5.2 12.8 5.6 13.9 5.5 14.6 5.8 15.2 5 14.7 4.1 14.3 3.5 14.8 2.8 15.8 2.8 16.6 3.4 17.2 4.6 17.3 6.5 18.5 8.2 20.2 9.4 21.4 10 23 10.4 24.3 10 25 8.8 24.7 7.8 24.9 6.8 25.4 6.3 26.2 6.3 26.8 7.1 28.6 11.1 28.3 12.9 28.7 17.8 28.2 21.1 28.3 21.8 28.8 22.5 31.5 23.1 33.4 23.8 35.5 24.4 38.5 24.9 40.3 24.7 41.2 24.7 43.1 24.9 48 24.6 52.1 24.5 53.7 25 55 25.2 59.5 24.8 64.1 24.7 66.6 25.7 69.3 27.4 70.8 28.6 71.1 29.3 70.9 30 69.5 30.3 67.3 29.5 67 31.4 66.5 33.1 65.2 36.5 64.9 38 64.3 38.6 63.3 38.6 62.5 38.9 61.7 40.5 61.3 41.7 59.7 41.4 59 41.5 58 41.8 57.1 42.4 56.5 43.2 55.8 43.5 53.6 43.3 53 44 52.7 44.7 51.1 46.4 50.5 49.2 49.9 50.9 50 52.3 51.4 55.9 52.4 60.5 52.8 61 53.2 60.1 53.3 58.9 54.3 58.9 54.9 59.9 55.5 61.7 56.2 62.5 57.3 62.7 58.5 62.2 59.3 61.4 59.7 60.5 59.5 58.7 59.4 57.4 60 56.1 62 54.2 62.3 53.6 62.2 52 62.2 50.5 63 50.4 64 50.6 65.3 49.9 66.3 50.7 67.2 50.5 67.9 53.8 68.6 56.8 68.6 58.1 68.8 61.1 69.1 63.5 69.6 64.1 70.2 65.3 70.7 66.9 71.2 67.7 71.4 70.4 71.8 72.4 72.3 78.6 72.5 79.8ZM41.7 62.9 42 63.7 41.1 63.2 40.4 62.7 40 62 40.7 61.7 41.7 62.9ZM43.9 77.9 41.1 78.5 39.7 78.3 42.3 73.8 42.2 71.8 41.8 70.2 40.5 68.8 40.4 67.9 39.8 66.6 39.5 65.1 41 64.6 42.2 65.5 42.6 67.2 43.2 68.5 45.3 71.1 45.3 72.7 44.7 76.7 43.9 77.9ZM56.3 72.9 55.5 73.4 54.8 73 54 71.3 54.4 69.2 55.1 69.6 55.7 71 56.1 72.1 56.3 72.9ZM49.8 76.4 48.1 77.6 48.7 70.5 49.9 73.2 50.2 74.6 49.8 76.4ZM61.3 82.3 60.7 83.7 60.5 82.7 60.7 81.4 61 80.7 61.5 81.4 61.3 82.3ZM62.5 87.8 61.6 87.9 61.1 87.4 61.3 86.7 61.1 84.4 61.9 84.1 62.5 84.8 62.7 86.1 62.5 87.8Z' },
+  be: { viewBox: '0 0 100 80.9', path: 'M59.7 2.4 59.8 3.3 60.5 3.7 63 3.5 64.3 1.9 65.3 0.9 66 1.6 66.4 3.5 67.1 6 70 8.8 72.6 9.6 75.6 9.1 76.9 8.6 77.7 9 78.5 10.5 80.3 12.2 84.1 13.4 85.2 14 86 15.2 85.8 16.8 84 20.8 83.8 22 83.6 23.2 81.3 25.9 81.1 26.8 81.9 28.4 82.5 29.6 86.1 28.2 87.7 30.6 90.3 30.7 90.7 31.4 93.6 33.6 94.5 35.3 96.6 37 94.9 39 95.2 40 95.8 40.9 98.2 41.5 99.4 42.9 99.5 45 100 48.4 95.1 51.8 93.7 55.6 93.5 56.3 92.8 55 91.9 55 89.9 54.4 87 57.9 85.7 60.7 85 62.8 83.8 64.5 83.6 66.2 83.8 67 83.4 67.9 83.3 68.9 85 70.9 85.4 72 87.4 75.5 86.8 76.8 86.3 78.2 85.7 79.2 85 79.8 83 79.7 80.3 80.2 78.6 80.9 77.7 80.9 75.8 79.1 73.7 76.5 72.3 75.3 71.7 74.2 70.1 73.7 67.7 72.4 66 71 64.6 70.1 62.6 69.7 61 69.8 60.5 67.4 60.3 64.7 59 62.8 60.8 55.7 59.7 55 58.5 55.6 56.8 57.3 56 59.3 55.5 61.1 52.6 62.8 48 63.4 43 62.8 42.3 62.4 42 61.8 42.3 60.3 43.2 59.1 43.4 57.4 42.5 56 41.9 55.4 42.2 54 42.8 52.2 43 51.2 39.6 48.2 37.1 47.6 34.7 47.5 32.9 47.1 31.8 47.3 31.1 48.2 30.3 48.8 29.8 48.1 28.7 42.7 27.9 41.8 24.8 40.9 20.6 40.6 19.5 39.6 18.9 37.2 18.5 34.2 17.1 31.4 16.4 30.7 15.2 29.5 13 30 10.3 31.6 8.8 32.1 8.2 32.2 6.1 30.6 3.7 28.1 1.9 25.5 1.4 24 2 22.2 1.3 20.9 0.3 18.3 0 16.4 11.3 9.4 18.2 5.8 21.5 4.7 22.3 8.3 22.9 9.5 23.6 10.2 24.7 10.4 25.8 9.5 27.5 8.5 30.1 9 32.1 9.8 32.7 10.7 34 11.6 35.9 11.8 39.5 10.2 42.9 7.7 43.9 5.9 44.3 4.4 46.3 5.4 48.1 5.6 48.9 5.2 48.4 2.6 49.9 1.3 51.5 0.7 52.3 1.8 53.7 2.9 54.9 2.9 58.1 0 58.8 0.6 59.5 1.6Z' },
+  bf: { viewBox: '0 0 100 72.7', path: 'M72.6 2.2 72.4 2.8 72.4 3.8 72.1 5.5 71.9 7.5 73 8.8 74.3 10.3 74.3 12.2 74.5 13 75.2 14.3 76.4 16.1 77.6 17.8 78.5 18 79.3 18.2 80.4 18.8 81.2 19 81.8 19.4 82.7 20.9 84 21.6 85 22.3 83.4 22.5 82.3 22.2 82.1 24.7 82.3 26.4 83.7 26.9 86.3 29 88.8 31.1 89.6 31.6 90.9 31.8 92.4 31.9 93.1 31.7 94.5 30.7 95.3 30.6 96 30.6 97.1 31.6 97.8 32.8 97.9 33.8 97.7 34.5 96.5 34.7 95.9 34.9 96 35.8 97.5 38 99.4 40.5 100 41.1 99.7 41.8 98.7 43.7 98 44.5 94.8 47.2 93.3 46.9 90 47.4 89.5 46.8 88.8 46.7 87.8 46.9 87.1 47.7 86.5 48.8 85.4 49.2 84.7 49.2 84.3 49.9 83.7 50.6 83.5 51.6 82.6 51.7 81.9 52.2 81.5 52.7 77.9 52.8 76.7 53.1 76 53.1 71.8 51.7 68.9 51.1 66 50.4 65.9 51.1 64.8 51.5 64.1 51.9 63.6 52.5 62.9 52.8 62.3 53.2 61.6 53.5 60.9 52.7 60.1 52.6 58.4 52.8 57.6 52.6 56.6 52.4 54.2 52.6 50.4 52.3 49.8 52.5 45.8 52.6 41.6 52.7 38.1 52.7 35 52.7 34 52.6 33.1 56 33 57.8 33.4 58.9 33.9 59.5 34.5 59.8 34.1 60.7 34.7 61.8 34.6 62.9 34.6 64.3 35 66.5 35.1 67.9 34.7 68.6 34.8 69.7 35.6 71.3 35.7 72 34.8 72.7 33.5 71.7 32.5 70.3 32 69.3 31.4 68.9 30.7 68.5 29.9 67.3 29.1 66.7 28.2 66.8 27 66.6 24.5 66.3 21.9 66.4 20.8 66.7 19.7 67.1 17 68.1 15.9 68.6 15.1 69.9 14.1 69.8 13.2 69.4 12.6 68.9 11.3 69 10.1 68.4 9 67.4 8.1 67 7 66.2 6.7 64.7 6 63.7 5.4 62.3 4.4 61.6 3.3 61.3 1.8 61.3 0.8 60.8 0 59.9 0.2 59.2 0.6 58.1 0.6 57.1 0.8 55.5 0.7 53.5 0.4 52 1.3 51.4 2.2 50.9 2.8 49.9 3.5 47.8 3.7 45.9 3.5 45.2 3.2 44.6 2.9 43.8 2.8 42.8 3 42 3.7 41.2 4.6 40.5 5.3 40.2 7 39.8 9.2 39.3 10.4 38.8 11.3 38.2 11.8 37.8 12.4 36.9 13.2 36.1 13.8 35.4 13.9 33.4 13.9 32.3 13.4 31.7 13.2 31.1 16.4 29.6 16.4 28.5 16 27.2 15.3 26.2 15.1 25.4 16 24.4 16.8 23.6 17.3 22.9 18.6 22 19.9 21.7 21.1 22.1 24.6 24.4 25.2 24.5 26 24.4 26.9 23.8 28.1 23.3 28.5 21.7 28.5 19.4 28.8 18.4 29.4 18.2 31.4 18.7 32.5 18.5 32.9 17.4 32.8 16.7 33.5 14.6 34.7 13 37.1 11 37.9 10.6 38.7 10.4 43.1 11.8 43.8 11.5 44.9 8.1 46 7.7 47.5 7.7 48.4 7.4 50.9 5.9 54.6 4.1 56.5 3.4 58.3 1.8 60.2 0.4 61.4 0.1 63 0 64.1 0.2 64.7 0.8 66.8 0.2 69.9 1.2Z' },
+  bg: { viewBox: '0 0 100 65.1', path: 'M100 11 99.6 16.3 98.1 18.8 95.7 17.9 92.8 18.6 91.2 21.4 90.3 22.3 89.5 23.2 89 26.8 88.8 32.8 87.7 33.5 86.7 33.7 82.4 38.9 84.8 40.3 85.9 41.4 87.8 44.5 90.3 47.9 90.9 49.6 88.7 49.2 87.9 49.4 87.4 49.9 86.4 49.8 85.2 49.8 83.9 50.4 83.2 50.7 82.2 50.1 80.4 48.4 79.3 47.2 78.5 46.9 77.7 47.3 74.8 47.7 74.1 48.4 72.8 49.1 71.4 49.5 69.5 49.7 68.4 49.7 67.9 50.1 67.4 51.2 67.1 52.2 64.4 53.2 63.8 53.8 63.7 54.4 63.7 55 61.8 54.4 60.3 54.8 59.9 55.3 59.6 56 59.8 56.7 60.4 57.3 60.9 59.2 61.1 61 60.7 62.1 59.6 62.8 57.3 63.7 55.1 63.3 54.2 63.6 52.5 63.7 51 63.9 48.7 64.7 46.6 65.1 44.7 63.6 42.5 62.5 40.1 61.9 39.3 62.4 37 61.4 36.1 60.9 35.7 60.3 34.8 58.5 32.7 59.1 31.2 59.1 30.2 59 27.4 59.1 27.1 60.3 26.1 60.7 24.6 60.6 22.7 61.5 20.7 62.1 19.1 62.1 17.5 61.8 16.5 62 14.4 62.1 13 63.4 10.9 63.4 9.2 63.1 9.7 57.4 10.6 55 10.4 54.2 9.6 53.8 9.1 52.5 7.9 49.1 7.2 48.4 5.4 47.7 3.8 46.7 2.5 45.4 0 42.2 1.3 41.9 1.6 41.2 2.9 39.4 3 38.6 2 37.2 1.5 35.4 1.9 33.6 1.9 32.7 1.5 31.8 2 30.7 2.9 30.1 5.8 29.8 7.3 27.6 8.2 26.9 9.2 25.6 10 24.2 10.1 23.2 8.3 21.8 7.6 20.7 6.8 19.5 5.7 18.7 3.4 17.3 2.5 15.9 2.1 14.1 1.5 12.7 0.8 11.8 0.7 11 0.4 10.1 0.3 8.3 0.9 6 1.2 5.1 2 4.9 4.1 3.6 4.2 2 4.5 1 5.2 0.4 5.8 0 6.9 0.9 9.6 2.5 11 3.6 10.9 4.2 10.3 4.9 9.1 5.6 8.4 6.4 8.2 7.5 8.4 8.3 9.2 9 14.1 8.1 19.1 8.5 25.7 10 30.2 10.5 33.4 9.8 39.5 11.1 45.1 12.2 50.5 12.6 53.5 11.7 55.7 10.5 57.5 8.2 62 5.1 66.4 3.4 72.2 2 76 1.6 76.5 2 81.4 4.8 83.6 4.8 85.3 5.3 86 6.1 88.8 5.6 89.8 7.1 91.4 9.2 94.2 10.3 96.6 10.9 97.4 11Z' },
+  bh: { viewBox: '0 0 33.9 100', path: 'M31.8 82.7 25.2 100 18.8 93.9 2.7 63.9 7.5 42.8 0 12.7 3.6 4 22.9 0 27.4 1.3 21.6 11 32.3 27.8 33.9 55.6Z' },
+  bi: { viewBox: '0 0 84.3 100', path: 'M72.2 4.1 71.3 5.3 67 14 66.1 15.3 66.6 16.1 68.4 17.8 67.4 20.5 66.9 21.3 66.1 23.8 66.6 26.2 67.6 27.1 70.4 28.2 74.6 29 79.5 31 82.8 31.3 83.6 32.8 83.5 35.3 84.3 37.5 84.3 41.4 83.3 44.9 78.2 46.5 75.6 48.2 74.9 49.1 75.5 50.2 75.9 51.6 71.1 55 66.2 59.5 65 62.6 64 66.1 62.6 68.4 58.8 71.7 55 78.4 53.1 82.7 43.8 93.1 35.4 98.2 33 100 18.2 99.7 17.1 92.7 14.9 83.2 9.8 74.6 9.3 71 9.5 64 9.5 54.2 9.2 49 9.3 45.2 9.9 38.5 9.9 34.5 6.5 30 2.4 25.1 0.1 22.7 0 20.8 0 19 0.7 16.4 2.3 13.5 4.1 13.2 8.6 14.3 13.3 16.8 15.7 22.3 17.6 23.1 21.1 23.1 29.9 22.4 32.1 22.5 36.1 21.1 40.1 18.8 41.2 16.4 42.1 11 43 1.2 45 1.1 50.6 4.6 51.8 4.8 52.9 4.7 54.8 3 57.2 1.6 59 1.6 65.4 0 68.9 2.9 71 3.9Z' },
+  bj: { viewBox: '0 0 49.4 100', path: 'M45.6 11.2 44.9 12.3 43.9 14.5 43.9 16.2 46.3 19.7 47.2 20.6 47.5 21.3 47.8 23.1 48 25 48.2 26.4 49.4 28.2 49.4 29 48.6 31.8 47 31.9 46.4 32.2 45.7 33.2 45.3 34.1 46.4 36.3 45.7 38.8 45 40.4 43.7 41.3 42.5 41.5 41.7 41.9 41.2 42.5 41.3 44.3 39.6 45.9 38.7 47.1 38.2 47.8 38.4 49.9 37.8 52 36.7 53.7 34.4 54.1 32.4 54.3 31.7 58.6 31.7 61.3 31.6 64.1 31.2 65.3 31.4 66.8 31.2 70.5 31 73.3 31.3 74.1 31.5 75.7 31.5 77.5 32 78.7 32.5 79.7 32.2 80.6 32 85.1 32.1 86.3 31.9 87.1 31.5 87.7 31.7 89.8 32 91.1 32.4 92 32 92.8 31.8 93.9 31.3 96.6 31.3 97.6 24.5 98.2 17 99.3 13.8 100 16.3 98.7 15.8 96.6 14.1 94.1 13.4 93.7 13.1 92.4 13.5 91.6 13.2 89.4 12.4 87.5 13.9 87.4 13.9 81.4 13.9 75.7 13.9 70.8 13.9 66.9 13.6 62.2 13.5 58.8 13.5 54.3 12.9 52.9 10.6 50.5 10 49.2 9.9 47.6 9.4 45.9 9.4 42.9 9.3 39.5 9.1 38.9 6.6 37.3 3.1 34.9 0.5 33.2 0 32.6 0.4 27.3 0.9 26.6 1.8 24.5 2.2 22.7 3.1 22.1 3.6 21.3 4.8 21.7 5.1 20.7 5.4 20.1 6 19.8 6.2 19.2 6.2 18.5 7.6 18.3 8.3 18.1 8.9 17.8 9.7 16.4 10.1 15.9 10.7 15.3 11.9 15.2 12.8 15.3 13.5 16.1 17.6 15.4 19.6 15.8 23.6 12.3 24.5 11.3 25.8 8.9 26.2 8 26.6 6.3 25.8 3.2 25.8 2.6 27.5 2 29.5 1.5 30.3 1.4 30.9 1.2 31.6 0.5 32.9 0 33.6 0.2 38.4 4.3 40.3 6.4 40.8 7.5 41.8 8.2 43.2 8.7 44.6 9.8Z' },
+  bl: { viewBox: '0 0 100 64.8', path: 'M57.7 63.4 37.6 64.8 22.1 53.5 8 32.9 0 12.2 1.9 0 13.6 5.6 100 18.8 90.6 34.3 75.6 50.7Z' },
+  bm: { viewBox: '0 0 100 77.1', path: 'M68.1 56.6 22 77.1 9.2 75.5 0 68.5 47.1 48 86.4 0 100 3.1Z' },
+  bn: { viewBox: '0 0 100 78.9', path: 'M76.3 9.8 69.8 13.2 63.4 17.5 57.1 21.2 54.1 24.1 55.1 28.2 56.7 37.1 57.5 44.2 59.8 47 61.5 49.7 60.8 52.8 57 58.6 59.2 59.7 56.4 67.4 52.4 73.1 46.8 77.8 43.1 78.9 40.2 76.9 35.5 71.8 30.3 64.7 27.9 60.6 20.5 60 17.9 56.7 17.7 52.7 15.6 48.1 12.7 43 8.3 39.1 2.5 36.1 0 33.9 9 34.1 18.7 32.8 28.6 28.6 38.1 23.5 46.1 17.7 53.6 11.2 61.5 6 73.8 0 77.9 0.5 77.9 4.7 76.3 9.8ZM76.3 9.8 85.2 9.8 87.5 12.4 92.2 21.6 95.3 30.8 96.2 44.8 100 50.7 99.4 51.9 97.2 53 93.7 53.4 87.6 52 82.6 50 78.2 34.8 76.2 26.2 76.4 16 76.3 9.8Z' },
+  bo: { viewBox: '0 0 88.8 100', path: 'M83.9 78.7 84.1 77.4 83.9 76.3 81.6 74.7 79.7 73.5 77.1 71.9 73.8 72 70.4 72 67.2 72.7 64 73.4 62.5 73.7 59.4 74.4 57.7 74.7 57.2 76 56.5 77.9 55.8 79 55 80.1 53.9 81.8 53.9 83.8 53.9 85.7 53.1 88.4 52.4 90.7 51.7 92.9 51.3 94.4 50.4 94.2 49.9 93.4 46.6 93 43.6 93 42.9 93.2 42.3 93 41.4 93.6 40.3 95.9 39.7 96.8 39.3 97.7 39 99.2 38 97.6 37.8 96.8 37.4 95.9 36.8 94.8 36.1 94.4 35.1 94.1 34 93.9 30.4 93.8 28.9 93.9 28.3 93.8 27.7 93.1 26.2 92 25.4 91.5 24.8 91.7 24.6 92.6 24.3 93.4 22.9 94.2 22 94.6 21.4 94.7 21 95.7 19.4 97 18.9 98.1 18.1 99.1 16.7 99.7 15.1 100 14.2 100 13.5 99.9 12.9 99.5 12.8 98.7 12.9 97.9 12.9 96.9 12.4 95.6 12.4 94.6 12.1 93.4 11.5 92.9 11.3 91.9 11.2 91.1 10.7 90 10.6 88.7 10.6 87.5 9.7 86.2 8.8 84.8 8.1 84.6 7.9 84 7.9 83 8.5 82.4 6.9 81.2 6.5 80.6 6.8 80 6.7 79.2 6.7 78.6 7.6 77.8 7.9 77.2 7.8 76.3 6.9 75.4 7.8 74 8.5 73.2 8 72.3 7.1 71.6 6.5 71 5.8 70.4 5.2 69.9 4.9 69 4.9 68.3 4.5 67.1 4.4 66.3 4.3 65.4 4.1 64.8 4 64.2 3.8 63.6 3.9 62.8 2.7 61.8 2.1 60.3 1.1 59.2 1 58.3 0.9 57.4 0.1 56.7 0.2 56 1 55.2 1.6 54.7 2.8 53.4 3.3 52.7 4.3 52 4.4 51 4.7 50.1 5.8 49.6 5.4 48.8 4.4 48.5 3.7 48.5 3.1 48 1.9 44.9 1.6 44.2 2.5 42.3 2.9 41.8 3.5 41.1 2.3 39.6 2 38.5 2.1 37.8 2.7 37.4 3 36.3 3.5 35.8 4.3 35 4.7 33.8 5.6 33.3 5.5 32.5 5.2 31.9 4.5 30.2 4.2 29.5 4.6 28.8 4.8 28.1 4.9 27.2 4.9 24.1 4.9 23.5 5.7 22.5 6.5 22 6.4 21.4 7 20.7 6 18.9 5.2 17.4 4.4 16 3.4 14.4 2.8 13.3 2.1 11.9 1.4 10.8 0.5 9.2 1.3 9.1 3 9.2 4.7 9.5 5.8 9.6 6.4 10.2 7.1 10.4 8.4 9.9 9.1 9.7 9.8 9.3 10.9 7.9 11.5 7.3 12.1 7.1 13.2 7 14.1 7.2 14.5 6.6 15.1 5.9 16.3 5 16.9 4.8 17.9 4.4 18.5 4.1 21.3 2 22.4 1.4 23.1 1.3 23.7 1.2 24.7 0.9 27.2 0.5 28.8 0.4 29.9 0.6 30.4 0.2 31.1 0 31.5 0.6 31.7 1.2 31.6 2.3 31.8 3.2 31.7 4 31.1 5 30.7 5.9 31 7.4 31.5 8.7 31.6 9.7 31.2 10.3 31.1 10.9 31.2 11.7 31.6 12.2 31.6 12.8 32.4 13.8 32.6 14.8 33.3 15 33.7 15.7 33.9 16.3 34.6 17 35.2 17.2 36.2 18 36.8 18.4 37.5 18.8 38.2 20.2 39.4 20.5 40.8 20.7 41.7 20.9 42.8 20.4 43.5 20.5 44.3 20.8 45.2 21.4 46 22 46.7 22.2 47.7 21.8 48.3 22.5 48.9 23.2 49.8 24 50.9 24.3 52 24.8 53.3 25.4 53.9 25.4 54.6 25.4 55.2 26.2 56.3 27.4 56.8 27.9 57.4 28.3 59 28.3 60.1 28.3 62.2 28.1 63.8 28.6 65.2 29.3 66.1 29.9 66.8 30.3 67.4 31.4 67.5 32 67.4 32.6 67 33.2 67.1 33.8 67.6 34.3 67.8 35 68 36.1 68.5 40 67.6 40 66.2 40.1 67.7 41.7 68.7 42.9 68.9 44.9 69 46.1 69.1 47.9 69.2 48.9 71.7 49 74.6 49.1 78.1 49.2 81.2 49.4 82 49.2 82.6 49 82.5 50 82.5 50.6 81.7 51.8 81.7 53.8 82.1 55.1 82.2 56.2 83.6 57.2 85.2 58.3 85.8 58.5 86.6 58.8 86.7 59.6 87.6 61.7 88.1 63 88.8 63.7 88.2 64.2 87.7 65.7 87.1 67.7 86.7 69.1 87.2 70.1 86.6 70.3 86 71.5 85.3 73 84.6 74.5 84.1 75.5 84.9 76.1 86.1 77.3 85.4 77.7 84.6 78.3Z' },
+  br: { viewBox: '0 0 95.8 100', path: 'M42.8 8.1 43.4 8.2 44 8.3 44.1 7.7 43.7 7.2 44.1 6.7 44.7 6.9 45.5 6.9 46.1 6.6 46.8 6.8 47.4 7.1 48.2 7.6 49 7.4 49.7 7.2 50.3 7.3 50.9 7.4 51.6 7.4 52.1 7 52.4 6.4 52.7 5.8 52.9 5.2 53.4 4.6 53.8 3.9 54.2 3.4 54.6 2.9 54.9 2.3 55.7 2.8 56 3.9 56.1 4.8 56.7 6.3 56.9 7 57.1 7.6 57.6 8.3 58.2 8.5 58.8 8.8 58.9 9.7 58.5 10.3 58 10.8 57.5 11.2 57.3 11.8 56.8 12.2 56 12.9 55.2 13.7 54.5 14.6 54.5 15.3 54 15.7 53.2 16.1 52.4 16.5 53 16.6 53.9 16.6 54.6 16.2 55.5 15.8 56.2 15.3 56.6 15.8 56.8 16.4 57 17.1 57.7 17.7 58.3 17.4 58.9 17.3 59.7 17.3 60.4 17 60.1 17.6 59.9 18.3 59.8 18.9 60.6 17.4 61.8 16.4 62.4 16.7 62.4 16 62.8 15.3 63.3 14.7 63.9 14.5 64.7 14.4 65.4 14.4 66 14.6 66.6 14.8 67.2 15.2 67.9 15.3 68.5 15.7 69.3 16.1 70 16.6 70.7 16.4 71.3 16.9 71.9 17.3 71.8 18 71.7 18.6 72.1 18.1 72.1 18.8 71.8 19.5 71.6 20.4 72.3 19.9 72.6 18.9 72.8 19.5 73.5 19.1 74.7 18.9 76 18.8 76.6 19.1 77.6 19.6 78.2 19.6 78.9 19.6 79.5 19.9 80.2 19.8 81 19.8 82 19.6 83.2 19.7 84.1 20.2 84.7 20.6 85.5 21 86.3 21.7 86.9 21.8 87.4 22.4 87.9 23 88.5 23.5 88.9 24 89.7 24.2 90.6 24.8 91.5 25.2 92.5 25.2 94 25.3 94.8 26.3 95 27.2 95.1 27.8 95.5 29.3 95.8 29.9 95.8 30.5 95.7 31.1 95.8 32 95.4 33.3 95 34.6 94.5 35.3 93.9 36.1 93.3 36.5 92.8 37.4 91.9 38.4 91 38.9 90.2 39.8 89.7 40.6 89.3 41.3 88.8 42.4 88.1 43.3 87.4 44.2 86.9 44.6 86.7 44 86.1 44.1 86 44.7 85.7 45.3 85.4 46.1 85.5 47.1 85.4 48.8 85.5 49.5 85.6 50.3 85.7 51.1 85.9 51.8 85.7 52.6 85.4 53.4 85.3 54.1 85.2 54.8 85.1 55.5 85.2 56.3 84.9 56.9 84 57.9 83.8 58.9 83.9 60.5 83.7 61.3 83.1 61.7 82.8 62.3 82.6 62.9 82.4 63.5 81.7 64.4 81.1 65.1 80.6 66.3 80.7 67.4 79.3 68.2 78.3 69.1 78.4 69.7 77.9 70.1 76.8 70.1 76.2 70.2 75.6 70 74.9 70.2 74 70.4 73.2 70.1 72.5 70.2 71.8 70.4 72 71 71 71.2 70.4 71.8 69.9 72.2 69.3 72.3 68.5 72.3 66.9 73.2 66.3 73.5 65.7 74.2 64.6 75 64 75.4 63.7 76 63.1 76.7 62.6 76.3 62.2 76.8 62.2 77.8 62.1 78.7 62 79.4 61.9 80.2 62.1 81.1 62.1 81.7 62 82.5 62.1 83.2 62.1 83.9 61.9 84.6 61.6 85.3 60.5 86.1 59.9 86.7 59.3 87.5 58.6 88.7 58 90.5 57.2 91.8 56.4 92.8 55.9 93.5 55.1 94.1 54.3 94.7 53.7 95.3 53.6 94.7 54.2 94.5 55.1 93.7 55.8 93.1 55.8 92.4 56.4 92.2 56.8 91.6 56.9 90.5 57.3 90 56.4 90.3 55.8 89.9 55.6 90.6 55.5 91.4 55.1 92 54.5 92.8 53.9 93.2 53.7 93.8 53.3 94.6 53.4 95.2 53.1 95.9 52.6 97.5 52.2 98.2 51.5 99 50.4 100 50.1 99.3 50.1 98.3 50.6 97.6 51 97.1 50.5 96.6 49.9 96.1 49.6 95.5 49.2 94.9 48.4 94.5 47.7 93.9 46.7 93.2 46 92.9 45.6 92.4 45.1 91.7 44.6 92.1 44 92.3 44 91.6 43.6 91 43 90.5 42.3 89.8 41.7 89.6 41.1 90 40.2 90 40.6 89.4 41 88.7 41.7 88.1 42.1 87.6 42.5 87 43.1 86.5 43.5 85.7 44 85.2 44.4 84.7 45 84 45.6 83.6 46.2 83.3 46.7 82.9 47.3 82.4 48.1 82.1 48.6 81.7 49.3 81.3 49.6 80.6 49.6 79.4 49.5 78.5 49.2 77.6 48.7 77.1 48.1 77.1 47.4 77.1 47.7 76.1 47.9 75.2 48.1 74.3 48.2 73.7 48.3 73.1 47.8 72.6 47.1 72.5 46.5 72.8 45.8 72.9 45.4 72.3 45.1 71.6 45.1 70.9 44.9 70.3 44.9 69.5 44.6 68.9 44.2 68.4 43.6 68.3 43.1 67.8 42.5 68.2 41.7 68.3 41 68.1 40.4 68.1 39.8 67.9 39.2 67.7 39.3 67.1 39.3 66.4 39.4 65.8 39.5 65 39.4 64.4 39.1 63.7 38.8 63 39.2 62.5 38.8 61.7 39.2 60.9 39.6 60 39.8 59.1 40 58.5 40.2 57.9 40 57.1 39.7 56.4 39.2 56 38.6 55.6 38.1 54.9 38 53.9 38.3 53.2 36.8 53 35.6 52.9 34.7 52.9 33.8 52.9 33.7 51.9 33.6 50.9 32.9 50 33.6 49.9 33.5 48.7 33.3 48 33.2 47.4 33.1 46.8 32.5 46.3 31.6 45.9 30.8 46 29.9 46 29.1 45.2 28.5 45 27.7 44.6 27 44.3 26.6 43.8 25.8 43.7 25.2 43.3 24.6 43.5 23.8 43.4 23.3 43 22.8 42.5 22.2 42.2 21.8 41.5 21.3 40.9 21.1 40.3 21.2 39.7 21 39 20.9 38.3 21.3 37.6 21.2 37 20.8 36.5 19.8 36.7 18.9 36.8 18.2 37 16.9 37.9 16.3 38.1 15.7 38.5 15.2 38.9 14.5 38.9 14 39.5 13.2 39.9 12.6 39.7 11.7 39.6 11.1 39.5 10.2 39.5 9.6 39.6 9 39.8 8.3 39.6 8.2 38.6 8.2 37.7 8.2 37.1 8.4 36.5 8.4 35.9 7.8 36.3 7.2 36.8 6.5 37.2 5.2 37.2 4.5 37.2 4.3 36.6 4 36 3.4 35.9 2.4 35.7 2.5 35 2.2 34.3 1.7 33.9 1.4 33.3 1 32.8 0.7 32.2 0.4 31.6 0 31.1 0.5 30.7 0.5 30 0.8 29.4 1.7 28.8 2.1 28.2 1.9 27.6 2.3 26.9 2.6 26.2 2.7 25.4 3.4 25 4 24.4 4.7 24.1 5.3 23.7 6.1 23.7 6.8 23.5 7.4 23.4 7.8 22.9 8.5 22.9 9.2 23.2 9.8 23.3 10 22.5 10.2 21.7 10.3 20.9 10.4 20.1 10.6 19.3 10.8 18.4 10.9 17.7 11 17.1 11.2 16.2 11.1 15.4 10.8 14.8 10.8 14.2 10.2 13.7 9.7 13.3 9.6 12.7 9.6 11.7 10.1 11.3 10.7 11.2 11.3 11.2 11.8 10.8 11.5 10.2 10.8 10.2 10.2 10.2 10.2 9 10.8 8.5 11.5 8.6 12.4 8.6 13.6 8.6 14.2 8.5 14.8 8.5 15.4 8.1 15.9 7.7 16.6 8.3 16.9 8.9 16.9 9.8 18.1 10.4 18.7 10.9 19.4 10.9 20 10.5 20.6 10.5 20.7 11.1 21.4 10.5 22 10 22.7 9.7 23.2 9.3 24 9.1 24.3 8.5 24.8 8 25.5 7.6 26 7.1 25.2 6.9 24.6 6.8 24.4 6 23.9 5 23.9 4.3 23.1 3.3 22.7 2.8 23.8 2.7 24.3 3.1 25.1 3.2 26 3.2 26.6 3.7 27.3 4.1 27.5 3.2 28.2 2.7 29 2.8 29.8 2.6 30.4 2.4 30.9 2 31.5 1.8 32 1.4 32.6 1.1 32.7 0.4 33.4 0.1 34 0.2 34.2 0.9 33.9 1.6 34.5 1.9 34.9 2.4 35.2 3 35.1 3.7 34.6 4.1 34.7 4.7 34.4 5.3 34.3 6.1 34.5 7 34.9 7.6 34.8 8.2 35.4 8.7 35.9 9.1 36.4 9.5 37 9.9 37.7 9.7 38.2 9.2 38.8 9.1 39.4 8.7 40.1 8.6 40.6 8.2 41.3 7.9 42 8.2 42.6 8.2ZM57.9 8.1 57.5 7.6 58 8ZM58.3 11.8 58.5 11.2 58.3 11.8ZM57.6 12.5 57.6 11.8 57.6 12.5ZM59.3 12.1 59.1 12.8 58.4 12.7 57.8 12.7 58.4 12.2 59 12.1ZM60 13.1 59.4 13.1 59.9 12.6ZM57.1 13.1 56.4 13.6 56.2 13 56.8 12.9ZM59.6 13.3 60.4 13.2 61.6 13.3 62.3 13.4 62.4 14.1 62.2 14.7 61.8 15.5 61.5 16.2 60.9 16.4 60.3 16.7 59.7 17 58.9 17.1 57.8 17.1 57.2 16.9 56.9 16.1 56.9 15.5 56.8 14.5 56.9 13.9 57.5 13.2 58.1 13.1 59.6 13.3ZM54.2 16.3 54.3 15.7 54.6 14.9 55.2 14.2 55.8 14.4 55.6 15.3 55.1 15.7 54.2 16.3ZM86.2 44.9 86.4 44.3 86.2 44.9ZM62.1 79.3 62.2 78.7 62.1 79.3ZM62.4 83.1 62.2 82.5 62.4 83.1Z' },
+  bs: { viewBox: '0 0 95.5 100', path: 'M26.9 17.6 25.3 16.1 24.2 15.6 25.9 14.4 26.6 13.3 26.6 11.1 27 9.8 26.9 8.8 27.2 7.7 26.7 6.5 25.3 5.5 22.6 1.6 18.2 0.7 15.9 0.6 17.2 0 18.3 0.1 20.1 0.4 22.2 0.6 23.5 1.8 24.7 3.3 25.8 3.9 26.3 4.3 26.4 5.1 27.9 5.8 29.4 7 29.8 10.3 27.8 11.9 27.5 16.7 26.9 17.6ZM7.5 3.6 9.4 4.1 10.4 4.1 11 3.7 13.7 3.9 15.9 3.3 16.3 4.2 11.5 5.2 7.2 6.5 4.8 7.4 3.7 7.5 2.9 7 0 4.3 0.8 4.6 2.9 6.1 4.2 5.8 5.4 4.8 5.6 4 5.9 2.4 7.5 3.6ZM35.7 24.6 38.3 26.5 40.4 27.3 42.7 29.6 43.7 30.5 43.9 31.3 43.5 34.8 43 36.9 43.1 38.7 42.5 38.2 42 37 41.1 36.3 42.4 35.8 42.5 33.9 43.3 32.4 43.2 30.8 41.3 29.1 40 27.6 38 27.1 36.2 25.6 35.1 25.4 33.7 25.7 34.2 24.8 34.5 23.6 35.7 24.6ZM19 37.8 19 39.8 19.1 41.3 17.3 42.9 16.9 43.4 15.3 44 14.4 44.8 13.9 43.5 13 42.7 12.8 41.3 12.1 41.8 11.1 41.5 9.5 40.5 8.4 39.1 9.9 38.9 10.2 39.7 11.4 38.7 11.1 38.1 10.5 37 12.3 34.3 12.6 32.5 11.8 29.6 12.6 29.5 14.6 30.5 15.5 31.4 15.5 32.8 16.3 33.8 17.5 36.3 19 37.8ZM25.1 32.6 23.3 33 22.1 32.6 22.3 31.9 23.5 31.5 25.3 31.5 26.2 31.9 25.1 32.6ZM56.3 46.2 56.4 47.1 55.3 46.9 53.8 47.2 54.7 45.9 54.7 45.1 53.4 44.1 51.9 41.4 51.2 40.7 50.9 39.7 49.6 38.6 50.1 37.9 51 38.2 52.9 42.1 56.3 46.2ZM20.3 45.4 18.8 46.8 19.9 47.6 21 46 21.8 47.3 22.2 49.8 22.2 50.6 22.4 51.7 21.6 53.9 18.6 53.7 18.5 51.9 18 51.5 17.3 48.9 16.4 48.1 15.1 45.9 15.8 45.3 16.9 45.5 18.8 45.1 19.6 44.8 20.3 45.4ZM69.7 48.4 68.5 50.2 67.8 50.1 68.2 47.8 69.1 47.5 69.7 48.4ZM50.8 58.7 50.2 58.8 49 58.4 46.4 56.3 45.1 56.2 45.5 55 46.5 55.4 48.6 57.2 49.4 58 50.8 58.7ZM63.4 67.9 61.4 65 59 64.2 57.6 63.4 58.8 62.8 59 61.7 58.6 60.6 57.3 58.3 56.6 56.8 56.1 55.1 57.7 57.1 58.3 58.9 59.3 60.7 60 63.7 61.9 64.7 63.3 66.2 63.4 67.9ZM75.4 70.7 74.8 71.7 72.6 70.9 71.6 70.1 71.5 69.4 71.6 68.8 72.9 69.3 73.6 70.1 75.4 70.7ZM73.1 79.1 72 79.6 72.3 78.8 74.3 77.3 75.5 76 76.1 75.6 77.3 74.8 77.7 74 77.6 73.3 76.6 72.2 76.7 71.4 78.6 70.6 78.2 71.4 78.8 73.8 76.7 76.7 74.9 77.6 73.1 79.1ZM91 75.6 91.9 75.8 94.2 76.3 95.2 77 94.9 77.9 93.3 76.7 91.9 76.6 89.9 76.6 89.1 76.4 89.6 75.1 91 75.6ZM92.9 90.7 90.8 91.5 90.6 90.6 91.7 89.8 92.9 90.7ZM91.2 95.8 90.7 97 89.1 99.3 85.5 99.9 81.5 100 81.2 99.4 81.1 98.8 81.4 98 81.2 97.3 82.6 96.9 83.6 95.9 85.1 95.7 87 96.4 88 96.5 89.5 95.6 90.7 93.9 91.4 94.1 91.2 95.8Z' },
+  bt: { viewBox: '0 0 100 54', path: 'M86.5 18.6 86.3 19.3 85.5 21.4 84.9 23.6 85.4 25.4 87.3 27.5 89.8 29.2 93.1 29.4 96 28.7 97.2 29 98.8 31.8 100 34.3 98.4 36.9 97.6 39.1 97.3 40.7 97.5 41.4 98.4 42.7 99.5 44.9 99.7 46.9 99 48.2 97.5 48.9 95.8 48.7 94.5 48.7 92.8 48.9 90.1 49.7 87.7 50.6 83.1 50.5 81.2 48.5 80.4 48.5 76.2 51 71.6 50.6 63.3 51.4 59.8 51.6 56.2 51.4 54.4 50.8 51.1 49 48 47.7 45 48.9 43.9 49.1 41.4 52.2 36 53.2 30.6 54 29.1 53.6 26 53.4 25.9 52.7 26 52 25.3 51.4 24.1 50.8 22 50.6 19.3 49.8 17.7 49.1 12.2 50.2 9 48.5 5.4 46.3 3.5 45.3 2.9 41.8 2.2 40.7 0.8 39.5 0 38.2 0.6 36.7 4.3 34.1 4.6 33.5 6.2 28.5 8.6 26.7 10.9 24.2 12.6 20.2 16 16.1 19.6 11.9 22.2 8.5 23.9 6.9 27.3 5.2 30.2 4.2 32.2 1.9 34.7 0.6 37.1 0 40.8 0.3 44.3 1.1 48.1 2.3 48.6 3.2 48.2 4.8 47.7 6.5 47.7 7.3 48.2 7.8 52 8.1 56.5 7.9 59.1 8.1 64.8 9.6 66.5 10.7 68.2 11.5 69.9 11.4 72.1 9.6 74.4 8.1 75.8 7.9 76.8 8.3 78.6 9.8 82.4 11.1 85.7 12.1 86.8 13.1 86.4 17.2Z' },
+  bw: { viewBox: '0 0 96.2 100', path: 'M54.1 0.1 53.8 1.4 54.4 2.7 55 3.4 55.9 4.8 56.5 6 57.2 7 59.3 9.2 59.5 10 59.8 10.8 61.1 12.4 61.2 13.9 62.6 17 63.4 18.8 64.2 19.2 66.6 21.1 68.7 22.7 71.1 23.7 72.9 24.4 73.8 24.9 74.2 25.4 74.6 26.3 74.8 28 74.8 29 76.8 29 78.4 29.1 79.1 29.6 79.1 30.3 79.1 31.3 79.2 32.2 79 33 78.9 34.1 78.8 35.4 80.6 37.6 81.3 38.6 82 40.2 82.4 40.8 84.1 41.1 87.7 41.8 89.9 42.4 91.6 43.1 92.4 43.2 92.6 45 92.9 45.9 93.6 46.4 94.9 46.5 95.7 47.4 96.2 47.8 93.8 48 92.6 48.7 91.9 50 90.8 50.9 89.3 51.5 87.8 52 86.1 52.2 84.4 53.3 82.5 55.3 81.5 56.5 81.1 57.5 80.3 57.9 79.8 58.3 79.7 58.9 78.6 59.1 78 59.5 77.7 60.3 77.1 60.8 76.1 60.9 75.2 61.4 74.4 62.1 73.9 62.5 72.8 63.1 71.8 64.5 71.7 65.2 70.3 70.5 69.5 71.1 68 72.2 66.9 73.5 66.3 74.3 63.1 75.3 62 75.6 60.8 76.1 60.2 78.3 59.4 80.6 58.7 82.4 58.2 83.9 57.5 85.8 56.8 86.5 56 87 55 87.3 53.7 87.5 52.4 87.5 51.5 87.5 50.1 88.2 48.9 88.2 46.9 87.8 45.3 87.4 44.6 87.4 43.2 86.1 42.3 86.1 40.9 86 40.1 85.8 39.4 85.1 37.8 83.9 36.3 82.9 35 82.3 33.7 82 32.5 82.2 31.6 82.5 30.5 83.2 29.7 84.1 29.1 85.7 28.9 86.6 28.2 88.7 27.3 91.1 26.9 91.8 26.3 92.3 25.6 92.8 23 94.7 21.7 96.9 20.8 97.5 19.9 97.8 19 98 18 99.5 17.1 100 15.6 99.9 11.2 100 10 99.6 9.2 99.5 7.8 99.9 6.8 98.7 6.6 96.9 6.7 95.3 7.4 94.1 8 93.3 8.6 92.1 8.5 91.2 8.4 90.3 8.4 89.3 7.5 87.3 6.5 84.5 5.1 81.5 4.6 80.6 3.8 79.3 0.5 76.8 0 76.2 0 73.8 0 70.6 0 67.4 0 64.2 0 61 0 57.8 0 54.6 0 51.5 0 48.3 0 45.6 2.3 45.6 5.2 45.6 8.7 45.6 10.2 45.6 10.3 43.3 10.3 38.8 10.3 34.3 10.2 29.9 10.2 25.5 10.2 21.1 10.2 16.6 10.2 12.2 10.2 7.9 10.2 5.7 12.9 5.6 15.9 5.1 20.8 4.4 25.4 3.5 28.4 3 32 2.4 33.2 2.3 34 2.6 35.7 4.8 36.7 6.4 36.9 7.1 37.6 7.1 38.2 6.8 39.8 5.2 40.2 4.7 41.2 3.9 42.5 3.1 43.7 2.5 44.9 2 46.1 2.6 46.7 2.8 49.3 0.8 50.5 0.4 53.7 0Z' },
+  by: { viewBox: '0 0 100 86.4', path: 'M52.2 0.1 53.6 1.7 54.7 1.1 56.5 1 57.3 1.6 57.8 2.7 58.4 3.6 60.5 2.7 61.4 2.3 62 2.3 64.1 3.3 65 3.9 65.3 5 65 5.8 64.8 6.8 65.4 7.9 66.1 8.6 67.7 7.4 68.3 7 68.9 7 69.7 6.6 70.3 5.9 70.9 5.6 72 5.8 74 5.6 76.4 6.7 77.7 8.3 78.1 9 79.1 9.8 80 10.2 80.6 10 81.1 10.7 81.1 11.6 81 13.9 80.6 14.6 80.2 15.2 80.1 16.1 80.8 17.1 81.6 18.7 81.8 19.6 81.8 20.3 80.7 22.3 80.3 22.8 80 23.7 79.9 24.7 81.9 26.7 83.3 27.6 83.7 28.3 82.9 30 84 31.1 84.6 32.2 85.2 34 86.3 35.7 88.7 37.3 90.4 38.2 90.9 39.2 90.7 40.4 90.3 41.8 90 42.6 90.7 42.9 92.5 42.8 94.7 43.1 97.3 44.7 97.3 45.4 97 46 97.2 46.7 97.5 47.3 99.7 49 100 50.3 99.9 51 99.3 51.1 98.6 51.4 97.5 52.1 97 53.2 95.2 54.6 94 55.2 93.1 55.3 91 55 90.2 54.3 89.9 53.6 89.1 53.3 88 53.3 86.4 53.4 85.9 54.4 85.2 55.8 84.8 56.5 85.2 57 85.8 58 86.7 59.2 87.7 60.3 88 61 87.5 62 87.6 63.2 88.5 64.7 88.1 66.7 88.1 68.7 88.9 69.5 89.3 70.3 90 71.9 88.1 72.2 85.7 72.2 84.4 73.2 83.8 72.9 82.9 72.7 81.9 73.2 80.4 74.8 79.5 75.8 78.6 77.2 78.3 77.9 77.7 79.3 77.2 80.8 77.5 81.9 77.9 82.9 78 84 78.2 84.9 77.6 85.5 77.3 86.4 76.3 86.2 75.1 85.4 74.8 84.1 73.9 83.3 73.3 82.8 72.2 82.8 70.6 83.2 68.5 83.5 66.9 83.6 66 84 64.7 84.4 64.2 83.9 63.5 82.5 62.9 81.1 62.5 80.5 61.7 80.3 61.2 80.8 60.3 81.4 59.5 81.8 58.9 82.3 58.3 83.6 57.4 83.2 56.9 81.7 56.2 81.4 55.1 81.4 53.7 81.1 52.5 80.6 51.4 81.4 50.7 81.5 49.1 80.9 48.4 82 47.9 82.8 47.2 82.6 47.3 81.2 46.4 80.8 44.9 80.7 43.8 80.9 43.2 80.8 41.6 78.2 40.9 78.1 39.6 78.2 37.7 77.9 35.6 77.4 34.4 77.2 33.8 76.6 32.4 76.5 28.8 75.5 27.4 75.3 25.2 75.3 21.9 75.1 19.8 75.2 18.9 75.5 17.7 75.7 15.8 75.9 15.1 75.9 13.8 76 12.4 76.3 11.6 77.8 10 79.7 8.4 80.9 7.2 80.4 6.5 80.2 5.6 80.1 4.9 80.3 4.6 82 3.8 80.5 3.9 78.9 4.3 78 4.7 77.2 4.5 76.1 5 74.5 5 73.3 4.4 72.3 3.4 71.6 3 71.1 1.6 70.5 0.2 69.6 0.1 68.8 0.3 68.2 1.3 66.7 2.5 65.2 3.2 64.6 7 62.6 7.6 62 7.8 60.8 7.8 60 7.7 58.5 7.5 56.3 7.2 54.9 6.4 52.1 4.4 46.3 3.2 40.3 4 40.7 5.9 40.8 7.3 40.4 8.1 40.3 8.7 40.5 9.7 40.2 10.7 40.1 11.1 40.7 12 41.1 13.7 40.4 15.2 39.6 16.7 39.7 17.3 37.1 17.8 36.6 19.6 36.9 20.3 36.5 21 35.4 22.1 34.7 23 34.7 24 34 24.4 34.5 24.7 35.4 24.4 36.1 25.1 36.7 26.3 36.7 27 36.4 27.2 35.3 27 34.6 26.5 34 25.6 33.7 25 33.7 25.1 32.5 25.6 31 26.3 29.6 26.7 29.1 26.7 27.8 26.7 26.3 27.3 24.2 28.2 22.7 29.3 22.2 30.6 21.9 31.5 21.2 31.9 20.3 32.1 19.6 32.3 18.9 35.9 18.8 36.4 17.5 37.3 16.7 37.8 16.2 36.8 15.6 34.8 15.4 34.4 14.9 35.1 13 35.6 11.2 35.8 9.8 35.9 8.9 37.7 8.4 38.3 8.2 39.6 6.2 40.7 5.9 43.4 6.4 44.6 6.4 46.2 6.5 46.8 4.4 47.4 3.8 49.5 1.3 50.9 0.2 51.8 0Z' },
+  bz: { viewBox: '0 0 53.7 100', path: 'M34.9 0.4 32.9 4.8 34.9 5.4 36.7 5 41 5.1 42.7 9.9 42.3 14 38.2 24.7 37.7 28.3 35.8 33.8 38.3 37.4 36 42.2 35.2 45.3 35 49.9 36.2 58.7 34.2 71.4 30.9 77 28.8 79.1 25 84.6 20.1 86.2 13.3 95.1 12.1 97.4 12.7 99.9 11.1 99.9 4.6 99.5 0.2 100 0.4 90.3 0.9 75.5 1.3 64.7 1.7 54.1 2 46.1 2.4 35.2 2.8 25.9 2.8 22.5 3.8 19.8 6.9 18.7 10.9 21 12.6 22 14 21.5 15.9 20 18.3 15.9 24.1 7.4 26.4 1.4 28.7 0.2 32 0 34.9 0.4ZM47.7 21.6 45.9 22.3 47.4 20.1 47.6 18.7 49.6 12.7 51.1 12.7 51.5 13.2 47.7 21.6ZM51.3 41 48.5 46.4 48.3 44.9 49.5 40.9 51.1 39.5 52.1 38 52.3 36.2 53.7 37.1 53.4 38.8 51.3 41Z' },
+  ca: { viewBox: '0 0 76.9 100', path: 'M62.2 0.7 62.9 0.8 63.6 1.2 64.7 1.2 64.7 1.8 63.2 3.1 64 3.2 64.5 2.8 65.2 2.2 65.9 2.2 66 1.6 66.4 2.1 67 2 67.5 2.4 67.4 3 67.8 3.8 67.7 4.5 68.3 4.2 69 4.4 69.4 5.3 69.1 6.3 68.6 7.2 67.4 8.5 66.6 9.1 65.9 9.1 65.5 9.7 64.7 9.9 64.5 10.6 62.9 11.7 65.5 10.6 66.3 10.6 65.7 11.8 65 12.6 64.6 13.2 63.7 14.2 63 15.2 62.3 16.5 61.7 16.6 61.2 16 61.6 17.3 60.8 17.7 60.2 18 61 18.1 61.1 18.7 60.6 19.1 60.6 19.8 60.1 20.2 58.8 19.5 58.2 19.3 58.6 19.8 59 20.4 58.9 21 58.3 21.2 57.6 21.3 57 21.5 56.2 21.2 56.5 21.9 56.9 22.4 57.7 22.4 57.8 23.2 57.2 23.3 56.6 22.9 55.9 23.1 55.3 23.2 54.6 23.1 54.9 23.7 55.8 23.4 56.5 23.5 57.1 24 57.8 24.6 57.5 25.5 56.6 25.6 57 26.1 56.9 26.9 56.7 27.8 55.9 28.1 55.3 28 54.7 28.5 54.8 29.4 54.7 30 54.2 30.5 53.2 30.7 52.6 30.6 51.9 29.9 51.9 30.5 51.3 30.7 52 30.8 52.8 31.3 53.5 31.1 53.7 31.7 54 32.3 54.5 31.9 54.8 32.8 54.6 33.5 54 33.9 53.5 34.4 52.9 34.7 52.2 34.9 52.4 34.2 51.9 33.7 51.3 33.3 51.1 33.9 50.1 34 49.4 33.1 49.4 34.3 48.6 34.5 47.8 34 47.5 33.4 47.3 34.2 46.7 33.9 46 34.1 45.7 33.4 45.7 32.7 45.6 33.6 44.9 33.8 44.8 33.1 44.8 32.5 45.4 31.9 45.8 31.4 46.5 31.4 47.1 31.2 46.9 30.6 46.4 30.1 46.2 29.5 46.1 28.7 46.8 28.3 47.5 28.6 47.9 29.4 48.2 30 48.8 30.4 49.6 30.3 50.1 29.8 50.6 28.9 50.8 28.3 50.2 29.2 49.8 29.7 49.2 29.6 48.5 29.6 48.5 28.8 48.3 28.1 48.7 27.6 49.1 27 48.9 25.6 48.7 26.5 48.4 27.2 47.7 27.5 47.9 26.4 47.5 27 46.7 27.3 46.6 26.6 46.6 26 46.8 25.4 47.2 24.5 48.1 24.2 48.7 23.9 49.7 24.2 50.3 24.3 51 24.2 51.5 23.7 50.8 23.9 49.8 23.7 49.2 23.5 49.3 22.9 50 23.2 49.6 22.7 49.3 22.1 48.9 21.2 48.6 20.6 47.8 20.1 47.5 19.5 47.4 18.6 47.4 17.4 48.6 17.3 49.5 17.4 50.2 17.9 50.7 18.7 51.3 19.8 51.8 20.4 52.5 20.6 52.1 20 51.6 19.2 51 18.3 50.5 17.3 50.9 16.8 52.2 16.4 53 16 53.4 15.4 54.5 14.6 55.2 14.3 55.8 14.2 54.8 13.9 54.2 13.7 54.4 12.8 55.2 11.6 55.7 11.2 54.8 11.5 54.2 12.6 53.6 13.2 53.5 13.9 53 14.7 52.2 15.3 51 15.8 51 14.9 50.1 15 49.7 15.6 49.2 16 48.6 16 47.8 15.8 47.3 15.4 47.6 14.6 48.2 13.8 49 13.2 50.2 12.8 49 12.9 48 13.2 46.9 14.9 46.4 15.3 45.6 14.7 45.1 14.2 45.8 13.4 46.6 13.5 47.4 13.2 48 12.7 48.7 12 48 12 47.3 12.7 46.7 13 45.3 13.1 44.7 13.2 44.4 12.4 45 12.1 44.7 11.5 45.3 10.7 46 10.4 45.3 10.3 44.1 11.1 44.5 9.9 43.8 9.6 43.3 10.1 42.9 9.5 43.3 8.8 44 8.3 44.7 8.2 45.4 7.4 46.1 6.9 46.8 7.5 47.5 7.2 48 7.7 48.7 7.6 47.4 6.3 47.9 5.7 48.3 5.2 48.8 4.6 49.3 5.1 50 5.4 50.3 6.3 50.7 6.9 50.7 6.3 51.7 6.8 52.6 7.5 53.2 7.9 53.6 8.4 53 7.3 51.8 6.3 51.3 5.7 50.9 5 51.3 4.3 51.2 3.6 52 3.7 52.1 2.8 53 2.9 53.9 3.1 53.4 2.3 53 1.6 53.8 1.3 54.4 1.6 55.1 1.6 56.2 3.1 56.4 4 56.9 3.6 56.5 2.8 56.2 2.1 55.8 1.4 55.6 0.8 56.8 0.5 57.9 0.7 58.4 1.5 58.9 2.4 59.5 2.8 59 1.9 58.8 1.2 59.3 0.3 60 0.1 60.6 1 61 1.5 60.6 0.8 60.8 0.2 61.8 0 62.2 0.7ZM42.7 12.7 43.3 14.2 43.8 15.1 43.9 15.7 44.5 16.1 45.1 16.2 45.1 16.8 45.2 17.7 45.8 18 45.6 17.4 45.6 16.7 46.2 16.6 46.4 17.6 46.2 18.2 46.8 18.5 47 19.2 46.9 20.3 47.6 20.5 47.9 21.2 48.1 20.6 48.6 21.7 48.6 22.4 47.8 23 47.3 23.5 46.9 24.1 46.6 24.7 46.2 24.1 46.3 23.3 46 24.1 46 24.8 46.1 25.4 45.5 25.3 45.6 25.9 45.5 26.8 44.8 26.3 44.4 25.4 44.6 26.3 44.8 27 44.3 26.5 44 27.1 43.1 27 42.3 26.5 41.9 26 42.4 25.6 41.8 25.2 41.3 24.8 41 24 40.9 23.3 41.5 22.8 42.2 22.2 42.8 22 42.2 21.4 41.4 21.8 40.8 22.1 40.2 21.9 39.5 21.6 39.4 21 40.4 20.3 39.8 20.4 39.2 20.1 38.8 19.4 38.6 18.8 38.5 18 39.3 18.3 40.3 18.4 40.6 17.8 39.9 18 39.5 17.5 38.9 17.3 39.1 16.7 39 15.8 39 15.1 39.6 15.1 40.1 15.7 41 15.8 40.4 15.4 40.2 14.8 39.6 14.3 39.8 13.4 40.4 13.2 41 12.8 41.6 12.7 41 12.2 40.7 11.6 41.5 11.3 42.3 11.8 42.6 12.4ZM36.7 18.8 36.7 19.7 36.1 19.2 35.6 18.7 35.8 18 36.4 18.1 36.7 18.8ZM32.7 22 33.4 23 33.3 23.6 34 23.1 34.5 23.5 34.7 24.1 35.3 24.3 35.9 25.2 35.8 25.9 35.9 26.5 36.4 27.3 36.5 28 36 28.6 35.4 28.5 35 27.9 34.8 27.3 34.1 26.7 33.4 26.8 33.3 26.2 32.5 26.5 31.9 26.7 31.4 26.1 31.4 25.5 32 25.5 32.6 25.5 32.6 24.8 32 24.4 32.3 23.8 31.6 24.2 31.6 23.5 30.9 23.3 30.8 22.7 30.9 22.1 31.5 22 32.2 21.8ZM39 25.6 39.7 25.7 40.1 26.2 39.7 26.9 40.1 27.4 39.9 28 39.1 28.3 38.4 28.6 37.9 27.9 38.3 27.3 37.6 26.9 37.4 26.2 37.1 25.6 37.2 24.8 37.8 24.4 38.6 24.9 38.9 25.5ZM27.1 25 27.5 25.7 27.5 26.3 26.7 26.6 26.1 26.3 25.4 26.6 24.7 26.4 24.1 26.3 24.5 25.8 25.5 25.4 26 24.8 26.6 24.6 27.1 25ZM26.6 27.4 27.3 27.5 26.8 28.2 26.2 28.5 26.8 28.8 26.9 29.4 26.4 30.1 25.3 30.5 24.7 30.1 24.2 29.6 24.2 29 24.1 28.4 25 27.8 25.9 27.5 26.6 27.4ZM23.6 28.8 23 28.8 22.6 28.2 23 27.7 23.6 28.2 23.7 28.8ZM34.2 29.1 33.6 29 33.5 28.4 34.2 28.3 34.8 28.7 34.2 29.1ZM39.6 28.7 40.3 28.8 40.9 28.8 41.5 28.9 41.3 30 40.5 30 39.2 29.9 38.9 29.3 39.4 28.7ZM31.7 31.3 31.1 31.1 30.8 30.5 30.7 29.8 30.4 29 31.1 29.3 31.3 30.1 31.8 30.6 31.7 31.3ZM44.5 30.8 43.5 30.6 43.3 30 43.4 29.4 44 29.4 44.5 29.9 44.6 30.5ZM22.1 30.4 21.6 31.2 21.9 32 21.7 32.7 21.6 33.3 20.9 33.6 20.8 34.2 20.2 34.4 20 33.8 20.1 33.2 20.2 32.6 19.7 33 19.6 33.6 19.5 34.2 19.2 35 18.7 34.4 18.6 35 18.7 35.6 18.3 36.1 17.8 35.7 17.6 35.1 17.2 35.6 16.6 35.4 16.1 35.8 16 35.1 16.1 34.3 16.9 34 17.2 33.3 17.9 32.6 18.4 31.6 18.9 30.9 20 30.4 20.6 30.6 20.8 30 21.4 29.7 22.1 30.4ZM40.6 32.2 41.2 32.3 41.6 32.8 41.5 33.5 42.4 33.3 43 33 43.7 33.4 43.1 33.7 45 34.5 44.1 35 43.3 34.7 43.7 35.2 44.3 35.7 44.8 36.1 44.9 36.8 45.3 37.5 45.4 36.9 45.9 37.3 46.5 37.4 47.1 37.4 47.7 37.7 48.2 37.1 48.9 36.8 49.5 36.4 50.3 36.5 50.9 36.2 51.6 36.3 52.1 36.8 52.8 36.9 53 37.5 53.5 38 53.1 38.6 53.5 39.1 53.1 39.6 52.9 40.2 52 40.5 51.4 40.8 50.8 40.6 50.4 40.1 50.1 39.4 50.1 40.1 49.4 40.7 48.8 40.5 48 40.7 47.3 40.5 46.7 40.7 46.1 40.7 45.6 40.3 45.7 39.7 45.1 39.9 44.9 40.5 44.1 40.3 43.5 40 42.9 40.1 42.5 39.2 42.6 38.6 42.3 38 42.3 37.4 42.6 36.8 42.5 36.1 42 35.2 41.7 34.3 41 34.6 40.4 34.5 39.8 34.6 39.3 34.1 39.4 33.5 38.6 33 38.6 32.4 38.8 31.8 39.5 31.6 40.4 32ZM23.9 32.8 22.8 32.8 23.6 32.3ZM44.6 33.7 44 33.1 44.3 32.5 44.6 33.1 44.6 33.7ZM28.5 35.4 28.7 36.1 29.4 36 29.7 36.7 29.8 36.1 29.9 35.5 30.5 35.5 30.9 36.5 30.7 37.3 30.6 38.4 29.9 39 29.2 39.2 28.5 39.2 28 38.8 27.4 39.4 26.8 39.6 26.3 40.1 25.5 40.7 24.8 41 23.9 40.9 23.3 40.5 23.4 39.8 24.1 39.5 24.7 39.1 25.3 39 25.9 38.6 25.2 38.6 24.6 38.4 23.7 38.8 23.6 38.2 24 37.6 23.4 37.6 23.3 38.2 23.1 38.8 22.5 39 21.6 38.9 21 38.5 20.4 38.4 20.4 37.8 21 37.4 21.6 37.4 22.3 36.9 21.7 37 20.9 37 21.1 36.4 21.9 36.1 22.5 36 21.5 36 21.2 35.3 21.7 34.8 22.7 35 22 34.7 22.1 34 22.8 33.7 23.4 34 23.6 34.7 24.2 34.6 24.9 35.3 25.4 35.8 25.7 36.4 26 37.1 26.6 37.1 27.8 37.3 27.9 36.7 27.2 36.1 27.4 35.5 27.2 34.8 26.7 34.4 27 33.8 27.4 33 28 32.5 28.3 33.1 28.2 33.7 28.5 34.4 28.4 35ZM34.6 33.4 34.9 32.8 34.6 33.4ZM37.7 33.9 37.7 34.5 37.8 35.1 37.7 35.8 37.5 36.4 37.9 37.2 37.5 38.2 37.4 38.9 36.8 39 36.2 38.9 35.5 39 35.3 38.4 35.1 37.7 35.7 37.1 36.4 36.8 35.7 36.7 34.9 36.9 33.5 37.3 33.6 36.6 33.8 36 34.4 36.4 34.4 35.8 34 35.3 34.3 34.7 34 34.1 34.7 34.3 35.5 35.5 36.1 35 35.5 34.9 35.6 34.3 35 34 35.2 33.4 35.8 33.2 36.3 33.7 36.8 33 37.2 33.5 37.7 33.9ZM32.2 33.4 32.9 33.8 32.7 34.4 32 34.4 31.8 33.8 32 33.1ZM33.7 35.5 33.5 36.3 32.8 36.4 32.9 35.7 32.2 35.8 31.8 35.2 32.6 34.6 33.3 34.5 33.5 35.2ZM53.9 35.8 53.3 36 53.8 35.2 53.9 35.8ZM19.7 37.1 18.9 37 19.1 36.4 19.5 35.9 20.1 35.3 20.3 35.9 19.8 37ZM40.4 36.5 40.1 35.9 40.6 36.3ZM17.3 36.5 17.4 35.9 17.3 36.5ZM39.1 37.3 38.6 37.7 38.7 37ZM41.3 39 41.3 39.8 40.7 40.2 40.1 40 39.3 39.6 38.9 39.1 38.8 38.3 39.2 37.5 40 36.9 40.7 37.2 41.1 37.9 41.3 38.6ZM32.1 38.9 31.5 38.6 31.6 38 32.1 37.6 32.4 38.2 32.1 38.9ZM18.5 41.9 19 42.3 19.4 41.7 20 41.5 20.7 41.8 21.8 43.1 22.2 43.6 21.8 44.4 20.8 45 20 45.7 19.2 46.3 18.8 47.2 18.2 47.6 18 48.3 17.9 49.3 17.5 49.8 16.9 49.9 16.4 50.3 15.9 50.7 15.3 50.4 15.1 49.7 14.1 48.7 13.3 48.4 13.4 47.7 13.6 47.1 13.9 46.5 13.9 45.9 14.3 45.4 14.2 44.8 14.4 44.1 14.8 43.4 14.9 42.8 14.3 41.5 15.3 40.9 16 40.8 16.8 40.6 17.5 41 18.3 41.5ZM41.6 41.8 42.2 42.1 43 42.2 43.8 42.5 44 43.1 43.6 43.8 43.3 44.5 43 45.3 42.5 46.1 41.5 46 40.7 46.1 41.3 46.7 41 47.5 40.9 48.2 40 48.2 39.9 47.3 39.5 46 39.5 45.4 39.5 44.8 39.5 43.7 39.6 43.1 40.2 43.4 39.9 42.7 40.3 42 40.9 41.9 41.6 41.8ZM37.2 42.7 36.6 42.9 36.6 42.3 37.4 42 37.3 42.7ZM35.7 42.5 36.4 43.1 37 43 37.6 42.7 38.2 43 38.2 43.6 38 44.2 37.3 45 37.1 45.6 37.7 45.3 38.1 45.8 38.1 46.4 38.7 46.3 38.8 46.9 38.6 47.5 38.5 48.1 38.6 48.7 38.1 49.2 37.3 49.2 37.2 49.8 36.7 50.2 36.2 49.5 35.9 48.9 35.4 48.2 35 47.7 34.4 47.5 34 47 33.4 46.2 33.4 45.6 33.8 45.1 34.3 45.6 34.6 46.2 35.3 46 35.3 45.4 35.2 44.8 35.8 44.7 35.2 44.4 34.4 44.1 34.8 43.6 34.8 43 35.5 42.9ZM47.3 51 48 50.7 48.6 50.6 49 50 49 49.4 48.4 49.1 48 48.4 48.4 47.7 49.1 47.9 48.9 47.3 48.3 46.8 48.2 46.2 48.3 45.6 49.4 46 48.6 45.4 48.7 44.4 49.2 44 49.8 44.1 50.1 43.5 50.8 43.2 51.4 43.2 51.9 43.6 52.1 44.4 52.5 44.9 52.6 45.6 52.8 46.2 52.2 47 52.3 47.7 52.3 48.4 52.7 47.8 53 47.2 53.6 47.3 53.9 48 54.3 48.6 54.1 48 54.2 47.3 55.1 47.8 54.6 47.2 54.5 46.6 55 46.2 55.8 46.2 56.4 46.6 57.2 46.9 57.4 47.5 57.1 48.1 56.7 48.8 57.1 48.3 57.7 48 58.1 48.6 57.6 49 57.5 49.6 57.5 50.2 57.8 49.4 58.3 49 58.1 49.9 58.5 49.4 58.8 50 59.3 49.2 59.9 49.4 60.5 49.7 60.7 50.3 60.2 50.7 59.8 51.2 60.6 51.1 61.1 50.7 61.2 51.3 60.9 51.9 60.3 52.2 60.5 53.3 60.9 52.3 61.3 51.7 62 51.4 62.6 51.7 63.1 52.1 62.8 52.8 62 53.1 62.7 53.1 62.6 53.7 63.2 53.4 63.4 52.8 64.1 53.5 64.2 54.1 63.5 54.2 62.9 54.5 63.5 54.9 64.2 55 64.7 55.4 64.1 55.6 63.3 55.6 62.6 55.9 63.2 55.7 63.7 56.2 63.1 56.4 62.5 56.4 63.2 56.7 63.6 57.2 64.2 57.4 64.5 58 65.1 57.8 65 58.4 65.6 58.5 65.8 59.2 65.9 58.6 66.5 58.9 67 59.3 67 60 66.4 59.9 67.1 60.1 67.8 60.2 67.3 61.1 67.9 60.8 68.6 60.6 69.2 61.2 68.6 61.5 69.1 62 68.5 62.1 68.7 62.8 68.3 63.3 67.7 63.6 67.6 64.5 67.3 65.2 66.8 64.8 66.3 64.4 66 63.8 65.9 63.1 66.4 62.5 65.9 62.9 65.3 62.6 64.6 61.9 64.1 62.3 63.6 61.9 63.9 62.5 64.1 63.1 63.4 62.6 63.4 63.2 63.6 63.8 64.3 64.1 64.4 64.7 64.6 65.3 65.2 65.4 65.8 65.6 66.1 66.2 66 66.8 66.5 67.2 66.5 67.9 66.6 68.5 66.2 67.9 66.1 68.5 66.4 69.1 66 69.7 65.6 69.2 65.1 68.8 64.5 68.6 64 68 63.3 67.7 62.7 67.6 63.2 68.3 63.6 68.8 64.2 69.2 64.6 69.7 65 70.3 65.2 70.9 64.6 70.8 64 70.6 63.2 70.4 62.6 70.1 62.2 69.5 61.6 69.4 60.9 69 60.4 68.6 60.5 68 59.8 67.6 59.5 67 59 66.5 58.9 65.9 58.3 66.1 57.8 65.6 57.4 66.1 56.8 66 56.2 66.4 55.5 66.5 54.8 66.1 54.7 65.5 54.9 64.9 55.3 64.3 55.9 64.2 56.5 64.4 57 64.9 57.3 64.3 57.9 64.2 58.6 64 58.5 63.4 58.1 62.9 58.4 62.1 58.9 61.5 59.4 60.7 59.8 60.2 59.5 59.2 59.3 58.6 58.9 57.8 58.4 57.4 58.5 56.8 58 57.2 57.7 56.6 57.6 56 57 56.2 56.4 56.7 56 56.1 56.6 56 56.8 55.4 56.2 55 56.2 54.4 55.6 54.5 55.2 54 55.1 53.2 54.4 52.8 54 52.3 54 52.9 54.1 53.5 53.5 53.9 52.9 53.6 52.1 53.4 52.3 54 51.7 53.8 51.1 54 50.5 53.7 49.7 53.7 49.1 53.6 48.4 53.3 47.7 53.3 47.4 52.7 46.8 52.6 46.3 53 45.8 52.5 45.1 51.6 44.9 51 45.5 50.9 46.1 51.1 46.8 51 46.3 50.5 45.6 50.4 44.9 50.1 44.5 49.4 44.4 48.7 44.4 48.1 44.5 47.4 44.6 46.6 44.9 45.9 45 45.3 45.3 44.6 46 43.6 46.6 43.1 47.2 42.8 47.9 42.8 48.6 42.9 48.5 43.5 48.1 44 47.8 44.6 47.4 45.5 47.3 46.1 47.5 46.8 47.6 47.5 47.6 48.2 47.8 48.9 48.3 49.5 48.7 50.1 48.1 50.5 47.4 50.9ZM53.5 43.4 54.6 43.3 55.4 43.7 55.7 44.3 56.1 44.9 56.3 45.5 55.7 45.8 55 45.7 54.3 45.8 53.7 46.1 53.1 45.8 53 45.1 52.5 44.6 52.4 43.9 52.3 43.3 53 43.2ZM31.1 45.6 30.6 45.1 30.3 44.5 29.8 44 29.9 43.3 30.9 43 31.5 43.4 31.7 44 31.5 44.9 31.2 45.5ZM23 46.6 23.8 46.3 24.1 45.5 24.8 45.6 25.7 46.1 25.6 47 26.3 46.7 26.8 46.3 26.4 45.5 27 45.4 27.4 45.9 27.9 46.3 28.2 47.1 28.3 47.9 28.5 48.5 28.6 49.1 29.3 48.8 29.1 48.2 28.9 47.4 28.8 46.8 28.5 45.1 28.6 44.5 29.5 44.8 30.4 45.2 30.9 45.8 31 46.4 31.1 47.1 31.4 48.3 31.7 49.1 31.9 49.7 31.8 50.3 32.1 51.2 32.6 52 33.3 52.3 33.9 52.9 34.6 53.2 34.9 53.9 34.3 54.2 33.7 54 33.5 54.6 32.8 54.4 33 55 33 55.6 33.5 55 33.9 55.5 34 56.1 33.3 56.4 32.7 56.6 32.1 56.4 31.2 56.3 30.6 55.7 30.1 55.2 29.6 55.6 29.2 56.1 28.4 56.2 27.9 56.7 27 57 26.2 57.1 25 57.2 24.3 57.3 23.9 56.6 23.8 56 23.4 55.5 22.5 55.4 21.9 55.3 21.3 55 20.9 54.3 20.7 53.6 21.3 53.2 22.2 52.9 23 52.8 23.6 52.9 24.7 53 25.4 52.9 24.2 52 23.5 51.8 22.8 52 21.8 52.1 20.9 52 19.8 51.3 20.1 50.6 21 50.3 21.6 50 22.2 49.7 21.1 49.8 20.3 49.9 20.2 49.2 19.5 49.2 19.2 48.5 19.5 47.8 19.7 47.2 19.9 46.4 20.4 45.9 20.9 45.5 22.1 44.7 22.9 44.2 23.4 44.6 23.4 45.2 23.3 45.9 23.1 46.5ZM38.5 45.6 38.2 45 38.6 45.5ZM57.7 96.1 57.1 96.4 56.6 96.8 56 97 55.4 97.1 54.8 97.3 54.2 97.4 53.6 97.7 53.5 98.3 53 98.8 52.4 98.9 51.8 99 51.3 99.4 50.7 99.7 50.7 99.1 51 98.5 51.5 98.1 51.6 97.3 51.9 96.7 51.9 96.1 52.3 96.6 52.9 96.7 53.3 96.2 53 95.6 52.5 95.2 51.9 94.9 51.3 94.7 50.7 94.6 50.1 94.6 49.5 94.4 49.1 93.9 49.1 93.3 48.7 92.8 48.2 92.4 47.7 91.9 47.5 91.3 46.9 91.3 46.3 91.1 45.8 91.6 45.2 91.7 44.8 92.3 44.1 92.2 43.5 92.1 42.9 92.2 42.3 92 41.8 91.5 41.2 91.6 40.5 91.4 40.1 90.7 39.3 91 38.6 91 37.8 91 37.1 91 36.3 91 35.6 91 34.9 91 34.1 91 33.4 91 32.6 91 31.9 91 31.1 91 30.4 91 29.7 91 28.9 91 28.2 91 27.4 91 26.7 91 26 91 25.2 91 24.5 91 23.7 91 23 91 22.2 91 21.5 91 20.8 91 20 91 19.3 91 18.5 91 17.8 91 17 91 16.3 91 15.7 90.9 15.5 90.2 14.9 90.4 14.9 89.7 14.2 89.7 13.9 89.1 14 88.5 13.5 89 12.8 89 12.6 88.4 11.9 88.4 11.6 87.8 12.2 87.4 11.6 87.7 11.5 87.1 11.7 86.5 12.3 86.7 12.2 86 11.7 86.4 11.3 87 11.3 86.3 11.2 85.7 10.7 85.1 10.3 84.6 10.9 84.9 10.7 84.3 10.2 84.7 9.5 84.7 9.5 84.1 9.2 83.5 9.4 82.9 9.7 82.3 9.8 81.7 9.6 82.4 9.5 81.8 9.6 81.2 9.2 80.6 8.6 80.4 8 80.1 7.8 79.5 7.4 78.8 7.1 78.2 6.7 77.5 6.4 76.8 5.9 76.4 5.5 75.8 5.2 75.2 4.6 74.9 4.1 75.3 3.8 75.9 3.2 76.2 2.7 75.5 2.2 75 1.7 74.5 1.7 73.8 1 74 0.4 74.1 0 73.4 0 72.4 0 71.8 0 70.8 0 69.7 0 69.1 0 68 0 66.8 0 65.7 0 65.1 0 63.8 0 62.6 0 62 0 61.3 0 60 0 59.4 0 58.7 0 58 0 57.3 0 56.6 0 55.9 0 55.2 0 54.5 0.9 54.6 1.6 54.8 2 55.3 2.5 55.7 3.3 56.2 3.9 56.3 4.5 56.5 4.5 55.9 4.6 55.3 5.1 54.9 5.7 54.9 5.9 55.5 6.5 55.1 7 54.5 7.6 54.3 8.2 53.9 8.8 53.5 9.4 53.4 10 53.3 9.2 54.2 8.5 54.6 7.9 54.8 7.5 55.3 7 55.8 6.6 56.4 7.2 56.5 7.2 55.9 7.7 55.5 8.2 55 8.7 55.5 9 54.9 9.5 54.3 10.2 54 11 53.7 11.5 53 11.2 52.4 11.9 52.7 12.2 53.4 12.4 54 12.8 54.7 13.3 55.2 13.7 54.7 13.7 54 14.1 53.4 14.4 54.2 14.4 54.9 15.1 55.2 15.5 54.5 16.2 54.1 16.8 54.1 17.4 54.5 18 55.1 19.3 55.5 19.9 56 20.6 56.2 21.3 56.4 21.9 56.1 22.6 56.5 23.1 56.9 23.5 57.5 22.8 57.8 22.5 58.4 22.9 58.9 23.5 59.1 24.2 59.1 24.8 59.2 25.5 59 26.1 58.9 26.7 58.6 27.2 59 27.8 59.1 27.9 59.7 28.7 60.2 28.5 60.9 28.9 61.4 29.3 62 29 61.3 29.4 60.8 29.1 60.1 28.9 59.4 28.8 58.8 29.2 58.3 29.8 58.1 30.2 57.6 30.7 57.1 30.1 57.2 29.6 57.6 29 57.7 28.5 58.1 28.4 57.1 29.2 56.8 29.8 56.5 30.4 56.3 30.9 56.8 31 57.4 31.4 57.9 31.9 58.4 32.5 58.3 33.2 58.8 33.8 59.1 34.7 59 35.3 58.8 35.9 58.9 36.5 59.1 37.1 58.9 36.8 58.3 37.4 59 38 59.2 37.8 58.6 37 58.3 36.9 57.7 37.6 57.6 38.2 57.6 38.8 57.7 38.5 58.3 39.1 57.9 39 58.9 38.8 59.5 39 60.1 39.6 60.3 39.1 60.7 39.3 61.3 39.7 60.8 39.8 60.1 39.6 59.4 39.6 58.4 40.2 58.3 40.7 57.8 41.2 57.2 41.2 56.6 40.5 56.7 40.7 56 40.7 55.4 41.4 55.2 40.8 55 40.3 54.5 39.6 54.3 39.1 53.9 38.7 53.3 38.9 52.4 39.3 51.8 38.7 51.5 38.7 50.8 38.9 50.1 39.5 50.1 39.3 49.4 39.9 48.5 40.5 48.5 41.1 48.9 41.3 49.5 41.7 50.1 41.9 50.7 41.8 51.3 42.3 51.9 42.6 52.6 43 53.1 42.4 53 42.6 53.6 42 54.3 42.7 54.8 43.3 54.5 43.9 54.8 43.7 55.4 43.9 56.2 43.9 57 44.1 57.6 44.5 57.1 44.6 56.5 44.8 55.9 45.2 55.4 45.6 55.9 46.1 56.5 46.2 57.1 46.3 57.7 45.8 58.1 45.9 59 46.6 59.9 47.2 59.8 47.4 59.1 47.9 58.4 48 57.7 48.1 57.1 48.8 56.6 48.8 56 48.4 55.5 48.3 54.9 48.3 54.2 48.9 54 49.7 54.2 50.5 54.4 50.8 55 51.2 55.5 51.9 55.6 51.5 56.2 52 56.6 51.8 57.2 51.2 57.3 51.1 58.1 51.4 58.8 51.8 59.3 51.9 59.9 51.8 60.5 51.3 60.9 50.9 61.6 50.3 62 49.7 61.4 49.2 60.9 48.6 60.9 49.3 61.4 49.6 62 49.2 62.5 48.6 62.2 48.2 61.7 47.3 61.8 47.8 62.4 47.2 63.6 46.8 64.2 46.1 64.3 45.6 63.8 44.9 63.2 44.3 63.2 43.7 63 43.1 63 43.9 63.2 44.6 63.5 45 64.1 45.9 64.4 46.6 64.5 46.8 65.2 46.2 66.2 45.8 66.8 45.2 67 44.6 66.9 44.2 67.6 43.6 67.8 43 67.6 42.3 67.4 41.4 67 42.2 67.5 42.8 67.6 43.4 68.1 43.8 68.8 43.2 69.3 42.6 69.2 42.7 69.8 42.1 69.9 42.2 70.5 41.6 70.2 41.5 70.8 41.4 71.4 40.9 71.9 40.8 72.6 40.5 73.2 40.3 73.9 40.2 74.5 40.2 75.3 40.2 75.9 40.5 76.6 40.6 77.3 40.8 76.6 41.4 76.6 41.8 77.4 42 78.1 42.2 78.7 42.1 79.4 43.4 79 44.1 79.2 44.9 79.6 45.5 79.9 46.1 80.3 46.5 80.9 47.1 81.1 47.7 81.4 48.3 81.8 48.4 82.4 49 82.1 49.6 82.1 50.3 82.2 51 82.4 51 83.3 51.1 83.9 51.2 84.6 51.1 85.2 51.3 85.8 51.7 86.3 52.1 86.9 52.6 87.4 52.3 88.1 53 87.9 53.6 88.5 53.3 87.8 53.9 87.6 54.1 87 54.4 86.4 54.2 85.8 54 85.2 53.9 84.5 53.7 83.9 53.5 83.3 54 82.7 54.6 82.4 55.1 82 55.5 81.5 55.9 81 56.1 80.4 56.1 79.6 56 79 55.9 78.4 55.6 77.8 55.1 77.3 54.5 76.9 54.4 76.3 54.8 75.8 55 75.2 55.4 74.7 55.1 73.8 55 73.2 55 72.5 55.1 71.8 54.8 71.2 54.7 70.5 55.2 69.9 56 70 56.7 70.3 57.3 70.4 57.9 70.4 58.4 70 59 70.3 59.5 70.7 59.9 71.2 60.4 71.6 60.4 72.3 61.1 72.6 61.7 72.7 62.3 72.8 62 73.4 62.1 74.1 61.3 74.4 61.9 74.5 62.1 75.1 62.3 75.7 62.2 76.3 61.6 76.5 62.3 76.4 62.9 76.3 63.3 76.9 63.2 77.5 62.7 77.9 63.3 77.5 63.9 77.6 64.4 77.1 64.8 76.6 65.2 77.1 65.3 76.4 65.5 75.8 66.1 75.5 65.7 75 66.1 74.3 66.8 74.3 66.8 74.9 67 75.5 67.4 76 67.9 76.4 67.7 77 67.8 77.6 68.5 77.9 68.7 78.5 68.8 79.1 69.3 79.6 68.7 79.9 69.2 80.4 69.3 81 69.9 81.3 70.3 81.8 69.9 82.4 70.5 82.1 70.6 82.7 71.1 82.3 71.5 82.8 72.1 82.7 72.7 83.1 72.1 83.5 71.7 84 70.9 84.3 70.3 84.6 70.9 84.7 71.4 84.2 72.1 83.9 72.7 83.8 73 84.4 73.7 84.6 74.1 85.1 74.1 85.7 74.2 86.3 73.9 87 73.1 87.7 72.4 87.7 71.8 87.9 71.3 88.5 70.8 89 70.1 89.4 69.4 89.4 68.8 89.4 68.1 89.3 67.4 89.3 66.8 89.3 66 89.3 65.3 89.3 64.7 89.5 64.2 90.2 63.5 90.7 62.9 91.1 62.4 91.6 62 92.1 61.4 91.8 62 92.2 61.5 93 60.9 93.6 60.4 94 59.8 94.3 59.2 94.6 58.8 95.2 58 95.5 57.7 96.1ZM37.9 54.5 38.6 54.9 39 55.5 39.3 56.2 39.8 56.6 39.2 57 38.6 57.4 37.9 57.2 37.2 56.7 36.7 56.3 36.1 56.2 36.5 55.7 37 55.3 36.9 54.7 37.2 54.1 37.9 54.3ZM53.6 54.1 53.2 54.6 52.4 54.4 53 54.3 53.6 54.1ZM54.8 54.3 54.4 54.9 54.6 54.3ZM39.6 54.7 39.5 55.3 39.4 54.7ZM55.7 55.7 55.4 55.1 56 55.2ZM53.8 56.5 53.8 55.9 54.2 55.4 54.2 56.1ZM35.5 56.6 35.1 56.1 35.5 56.6ZM34.1 57.1 33.9 56.5 34.1 57.1ZM57.5 57.6 57.1 57.1 57.6 57.5ZM56.8 57.7 57.4 58.1 57.4 59 57.3 59.7 56.7 60.1 56 60.2 55.5 59.6 55.5 58.8 55.7 58.2 56.2 57.7ZM47.3 59.1 47.1 58.4 47.2 57.7 47.5 58.3 47.5 58.9ZM58.6 59 58 58.9 57.6 58.4 58.2 58.3 58.8 58.5ZM28.8 59.8 28.7 59.2 28.8 59.8ZM49.8 63.3 49.3 62.9 49.9 63.1ZM49 63.8 48.6 63.3 49.1 63.7ZM48.8 64.5 49.4 64.2 49.8 64.7 50.3 65.1 50.8 65.5 51.4 65.9 51.6 66.6 52.1 67 52.7 67.3 52.2 68.1 51.4 67.7 50.9 67.2 50.4 66.7 49.9 67.2 49.5 67.8 49.1 68.3 48.5 68.7 48.1 67.7 47.4 67.7 46.8 67.8 47 67.2 47.6 66.8 47.5 66 47.7 65.2 47.8 64.1 47.9 63.5 48.5 63.3 48.5 63.9 48.8 64.5ZM56 68.2 55.4 67.8 56 68ZM54.9 68.1 55.1 68.7 54.4 68.3ZM51.3 69.1 51 69.9 50.5 70.5 49.9 70.6 49.7 70 50.1 69.2 50.7 69.1 51.3 69ZM61.5 69.8 60.9 69.4 61.5 69.6ZM53.5 70.1 53.7 70.7 53.4 71.4 52.8 71.2 52.9 70.6 53.3 70.1ZM66.3 72 65.8 71.6 66.4 71.6ZM63.3 74 63.4 73.4 63.3 74ZM54 80.6 53.8 81.2 53.1 81.2 53.4 80.6 53.8 80.1ZM7.3 83.8 7.7 84.3 8.1 83.8 7.9 84.5 7.8 85.1 7.2 85 6.9 84.4 6.9 83.8ZM9.7 85.3 9.2 84.8 9.8 85.1ZM10.8 85.6 10.9 86.2 10.4 85.8 10.4 85.1 10.8 85.6ZM8 85.2 8.1 85.8 8.5 86.3 7.8 85.9 7.4 85.4 8 85.2ZM52.4 85.9 51.5 85.6 52.1 85.2 52.5 85.7ZM11 86.4 11 85.8 11 86.4ZM74.4 87.6 73.9 88 73.9 88.7 73.5 89.3 73.3 89.9 73.8 89.5 74.4 89.7 73.9 90.1 74.5 90.4 75.1 90.5 75.7 90.4 75.9 91 75.8 91.7 76.4 91.6 76 92.1 75.8 92.7 76.3 92.3 76.4 93 76.7 93.6 76.2 94 76.1 93.4 75.6 93.8 75.8 93.1 75.5 92.5 75.3 93.1 74.7 93.5 74.1 93.8 74.5 93.3 75 92.8 74.4 93 73.8 93 73.1 92.9 72.5 92.8 71.9 92.7 71.2 92.9 71.1 92.3 71.6 91.9 71.5 91.3 72.1 90.9 72.2 90.3 72.5 89.6 72.7 89 73.1 88.4 73.4 87.8 74 87.5ZM12 88.8 12.9 89.1 13.5 89.2 13.9 89.9 14.4 90.5 14.9 90.9 15.2 91.6 14.5 91.7 13.9 91.4 14.1 90.8 13.5 91.1 13.1 90.6 12.6 90.2 12.1 89.8 11.5 89.5 11.7 88.9 11.1 88.8 12 88.8ZM68.9 90.9 68.3 90.8 67.4 90.5 66.6 89.9 67.2 89.8 67.8 90 68.6 90.5ZM64.3 95.9 64 95.3 63.7 94.6 63.7 93.9 63.4 93.3 62.8 93.3 62.1 93.5 61.7 94.2 61.5 94.8 61.2 95.4 60.7 95.8 60.1 96.1 59.4 96.1 58.7 96.1 57.9 96.1 58.5 95.6 59 95 59.6 94.4 60.3 94 60.9 93.8 61.6 93.2 62.1 92.6 62.7 92 63.3 91.5 63.9 91.2 64.7 90.8 65.4 90.7 66.3 90.8 66.8 91.2 66.7 91.8 66.1 92.2 65.3 92.1 64.6 92.3 65.4 92.4 66.1 92.5 66.2 93.1 66.2 93.7 66.4 94.3 67.1 94.7 67.6 95.1 68.2 95.3 68.8 95 69.3 95.4 69 96 68.3 96.3 67.7 96.5 67.1 96.7 66.6 97.1 66.1 97.7 65.5 97.8 65.1 97.2 65.4 96.6 66.2 96 66.9 96.1 67.5 95.7 66.9 95.6 66.3 95.7 66.7 95.2 66.1 95.4 65.4 95.8 64.8 95.9ZM68.8 93.2 69.3 92.8 68.8 93.2ZM67.2 94.3 67.9 94.3 68.6 94.3 68.3 94.9 67.8 94.5 67.2 94.4 66.6 94 67 93.5 67.1 94.1ZM69.5 94.9 70.1 94.5 70.6 94.9 70.1 95.3 69.5 95.4 69.2 94.8 69.6 94.1 70 93.6 70.1 94.3 69.7 94.8ZM50.6 94.9 51.2 95 50.5 95.1Z' },
+  cd: { viewBox: '0 0 100 98.5', path: 'M79.7 1.1 80.2 1.8 81.1 2.4 81.6 3.2 82 3.7 82.7 4.1 83.2 4.6 83.8 5 84.5 5.1 85.1 5.2 86.2 4.5 87.7 4.3 88.4 4.5 89.2 4.8 90.1 4.3 90.5 3.7 91.6 3.8 92.2 4.3 92.6 5.2 93.4 5.9 94.3 7 95.5 7.5 96.1 8 96.2 8.7 97 8.7 97.5 9.1 98 9.7 97.9 10.3 97.4 11.2 97.3 11.9 97.7 12.4 97.4 13.8 97.1 14.5 97.7 15.2 98.4 15.2 98.8 15.7 99.5 15.9 100 16.5 99.9 17.1 99.4 17.7 98.3 19 95.8 21.3 95 21.5 94.6 22 94.3 22.7 93.6 23.2 93 23.5 92.9 24.2 93 25.1 92.3 26.4 92 27 91.7 28 91.4 30 91.3 31.3 91.2 32.3 91 33.6 91.1 34.8 90.5 35.4 89.9 35.6 89.5 36.2 89.1 36.7 88.7 37.4 88.8 38.1 88.8 38.8 88.6 39.4 88 39.8 87.4 40.2 87.5 41 87.7 41.7 88.2 42.3 88.9 43.1 89.3 44.1 89.2 44.8 89.2 45.8 89.2 46.9 89.2 47.7 89.8 49.1 90.1 50.2 90.2 50.9 90 52.1 89.8 53 89.9 53.7 90.3 54.7 90.6 55.5 90.9 56.4 91.2 57.2 91.2 57.9 90.6 58.9 90.7 60 90.9 60.7 91.8 62.3 92.3 62.7 93.1 63.3 93.9 63.8 94.4 64.5 95 65.4 95.3 66.1 95.4 66.7 95.9 67.6 96.2 68.4 96.7 69.4 97.1 70.1 96.3 70.7 95 70.9 93.6 71.1 92.1 71.4 90.6 71.6 89.2 71.8 87.9 72 87.7 72.7 87.4 73.7 87 74.2 86.4 74.9 85.4 75.7 84.9 76.3 85.7 77.5 86 78.4 86.1 79.2 86.1 80.6 86.1 81.8 86.2 83 86.2 83.7 85.7 84.4 85.5 85.1 85.3 86 84.9 87.3 84.7 88 85 88.7 85.4 89.7 85.8 90.2 86.9 91 87.9 92.1 88.4 92.6 89.1 92.7 89.9 92.9 90.6 93 90.7 92.4 91 91.8 91.7 91.8 92.2 92.4 92.2 93.1 92.2 94.1 92.2 95.1 92.2 96 92.2 97 92.2 98 91.5 98.3 91.4 97.7 90.6 97.5 89.4 98.1 88.7 98.2 88.1 98 87.7 97.2 87.3 96.7 86.9 96 86.4 95.3 85.7 95.2 85.3 94.1 85 93.5 84.1 93 83.2 92.7 82.1 92.2 81 92.2 80.4 91.8 80.1 91.2 79.8 90.4 78.8 89.6 78.6 88.6 77.8 88.7 77.5 89.8 77 90.4 76.2 90.6 75.5 90.6 74.6 90.5 72.8 90.2 71.9 90 70.3 89.4 69.5 89.1 68.9 88.7 68.6 87.6 68.8 86.7 68.1 86.7 67.5 86.8 66.4 87 65.7 87.2 64.6 87.7 63.8 87.6 63.9 86.8 63.8 86.1 62.8 85.6 62.2 84.8 61.5 84.8 61 85.5 60.2 85.4 59.5 85.3 58.7 85.3 57.4 85.8 55.6 85.8 54.8 85.7 53.9 85.9 53.4 86.3 52.8 86.4 52.5 85.5 52.3 84.8 52.8 84.3 52.8 83 52.9 82.2 52.8 81.5 52.4 80.3 51.8 79.4 51.1 78.7 50.6 78 50.4 77.3 50.4 75.7 50.7 74.3 50.8 73.2 50.8 71.3 50.3 70.1 50.2 68.8 50.5 67.5 50.5 66.5 50.2 65.9 48.8 65.9 47.1 65.8 45.6 65.8 44 65.8 43.7 64.9 44 64 43.4 63.9 41.8 64 40.8 64.2 39.1 64.5 38.4 65.1 38.1 65.8 38.1 66.8 37.6 67.7 37.4 69.4 36.4 69.6 35.3 69.6 33.8 69.2 32.9 69.4 32.1 69.6 31.4 69.7 30.6 70.1 29.9 69.9 29.2 69.9 28.5 70 27.9 70 27.3 68.9 26.4 67.6 25.9 66.7 25.4 66.2 25 65.6 24.9 64.6 24.7 63.9 24.1 63.1 23.8 62.3 23.6 61.5 23.5 60.9 23.6 60.3 23.2 59.7 22.7 58.9 22.1 58.5 21.5 58.3 20.2 58.3 18.4 58.3 16.8 58.4 15.1 58.4 13.3 58.4 11.5 58.5 10.4 58.4 9.3 58.3 8.1 58.3 6.1 58.3 5.1 58.3 4.1 58.2 3.4 58.3 2.5 58.8 1.6 59.1 1 59 0.5 58.5 0.1 58 0.9 57.6 1.5 57.5 1.6 56 1.6 54.6 1.5 54 2.4 53.3 3.2 52.4 3.9 52.2 4.5 51.9 5.1 52 5.7 52.6 6.3 53 7 52.5 7.6 52.4 7.8 51.8 7.9 51 8.6 51 9.3 51 10.1 50.7 11 50.2 11.7 50.8 11.3 51.6 11.5 52.6 12 53 12.7 53.2 13.5 53 14.2 52.3 15.2 51 16 50.2 16.7 49.9 17.4 49 18.6 48.5 19.2 48.2 19.8 47.4 20.6 45.8 20.9 44.4 21 43.5 20.9 40.6 20.9 39.6 21.3 38.7 22.1 37.9 22.7 37.3 23.1 36.6 24 34.9 24.5 34.1 25 33.7 25.7 33.3 26.6 32.9 28 31.8 29.1 30.6 28.9 29.2 29.2 28 29.8 26.5 30 24.9 29.8 23.3 29.8 21.9 30.4 20.3 30.7 19.7 30.7 18.8 30.7 17.2 31.5 15.1 32.2 13.9 32.9 12.5 33.2 11.6 33.6 10.5 33.6 9.6 33.5 8.5 33.7 7.1 33.6 6.3 33.3 5.5 34 4.9 34.7 4.1 36 2.2 37.3 1.3 38.2 1 39.2 1 39.8 1.2 40.9 1.9 42 2.5 42.9 3.3 43.4 4 44.2 4.6 45 4.5 45.9 4.7 46.8 5.1 47.5 5.2 48.9 5.6 49.7 5.4 50.9 5.5 53.6 6.2 54.6 4.5 55.1 3.8 55.9 3.1 56.6 3 57.2 3 58.2 3.4 59.3 3.2 60.2 2.8 61 2.6 61.8 2.3 63 1.9 64.1 1.6 65.9 2 67 1.7 68.4 1.5 69.2 0.3 69.8 0 70.8 0.1 71.4 0.3 73.2 0.7 75.6 1.2 76.4 1.3 77.7 0.7Z' },
+  cf: { viewBox: '0 0 100 67.3', path: 'M65 0.6 65.5 1.6 68 4.2 68.5 4.7 69.6 6.4 70.3 7.5 71 9.1 71.1 10 71 10.8 70.9 12.9 70.7 13.5 69.7 14.6 69.8 15.6 70.3 16 70.2 17 71.3 17.6 73.2 17.8 74.1 17.9 74.9 18.1 75.5 18.6 75.2 19.7 75.4 20.4 76 21 76.7 21.3 77.3 21.4 79.4 21.8 80.3 22.2 81.5 23.5 83 24.8 83.4 25.4 83.3 26 82.9 26.7 83.6 27.7 84.4 28.4 85.8 29.2 88.3 30.5 89.5 31.3 89.9 32 90.5 32.7 91.4 33.3 92 33.8 91.6 35.2 91.9 36 92.4 36.6 92.6 37.3 93.1 38.2 93.8 38.6 94.8 38.7 95.3 39.1 96.4 39.8 97.5 40.4 98 40.8 98.5 41.6 98.7 43 98.9 44.2 99.5 45 100 45.6 97.8 44.9 97.1 45 95.9 45.8 95.1 45.8 94.1 45.7 90.5 45.1 87.8 44.4 87 44.2 85.5 44 84.6 44.4 83.7 45.9 82 46.6 81.3 46.5 79.7 46.9 77.1 46.3 76.2 46.4 75.5 46.7 73.7 47.4 72.6 47.8 71.3 48.2 70.1 48.7 69.3 49 68.5 49 67.7 48.7 67 48.4 66 48.4 65 48.5 64.2 49.1 63.1 50.7 62.2 52.5 61.6 53 57.6 52.1 55.9 51.9 54.8 52.2 53.3 51.7 52.7 51.6 51.6 51.5 50.3 50.9 49 50.6 47.9 50.7 47.2 50.5 46.7 49.9 46 48.8 44.7 47.7 42.9 46.8 41.9 46.2 41.4 45.7 40.5 45.5 39.1 45.4 37.7 45.8 35.7 47.2 33.9 50.1 32.9 51.1 32.1 51.4 31.9 52.1 32.3 53.2 32.4 54.4 32.1 56.5 32.2 58.1 31.4 57.1 30 57.3 29.3 57.6 28.4 57.5 27.6 57.5 26.8 57.5 26 57.3 23.9 56.7 23.2 56.5 22.1 57 21.5 57.2 19.8 57.5 18 57.6 17.3 57.6 16.5 58.2 16.3 58.9 15.9 60.1 15.8 61 15.7 61.8 15.6 62.5 15.2 64 14.6 65.3 14 66.3 13.5 67.3 13.1 66.6 12.9 65.8 12.8 64.8 12.7 64.2 12.6 63.5 12.6 62.4 12.2 61.9 11.5 61.2 10.9 61 9.6 60 8.9 59.2 7.9 58.2 7.2 57.4 6.2 56.4 5.4 55.4 4.9 54.5 4.7 53.9 5.4 53.8 5.1 52.8 4.9 51.9 4.6 51.3 3.6 50.5 2.6 49.8 2.1 49 1.8 45.9 1.6 45 1.1 44.5 1.1 43.7 1.2 43 1.4 39.7 0.6 39.3 0 38.4 0.3 37.7 1 37.2 2.1 36.8 2.6 36.3 3.3 34.4 4.3 33 5.1 31.7 5.6 30.5 6 29.4 7.3 28.2 8.1 26.9 8.9 27 9.8 27.2 10.9 27.3 11.8 27.1 12.3 26.6 13.6 26.2 15 25.7 15.2 25 16.1 24.4 16.6 25.3 17.2 26 18.1 26.7 19 26.1 20.4 25.7 21.7 24.7 22.9 24.2 23.6 24 24.8 23.4 25.7 23.5 27.1 23.4 29.4 23.1 31 23 31.9 22.9 32.4 22 33.3 21.4 34.5 20.1 35.3 19.1 35.7 18.6 35.7 17.7 34.3 16.8 34.9 16 35.6 15.6 36.3 15.4 38.3 15.4 40 15.3 41.7 15.1 42.6 14.9 43.5 14.5 45.6 14.5 47.3 13.4 48 13 48.9 12.4 49.8 11.4 50.5 10.6 50.7 10 52.7 8 53.4 8 54.5 6.4 55.1 6.1 55.9 5.5 56.2 4.9 56.2 4.2 56.1 3.6 56.3 3 58.1 2 58.7 1.4 59.6 1.3 60.2 0.8 61.2 0.3 62.2 0 63.2 0.1 64 0.3 64.6 0.5Z' },
+  cg: { viewBox: '0 0 86.7 100', path: 'M86.6 2.4 86.7 4.4 85.8 6.9 85.2 8.8 83.5 11.9 81.9 14.6 80.3 19.3 80.3 22.6 80.2 24.8 79.6 26.1 78.4 29.6 78.2 32.6 78.6 36.2 78.2 39.7 76.9 43 76.3 45.6 76.6 48.7 74.2 51.3 71.1 53.9 69.2 54.6 67.6 55.5 66.5 56.5 65.4 58.2 63.6 61.9 62.6 63.6 61.4 65 59.5 66.6 58.8 67.4 58.6 68.6 58.7 70.7 58.9 77.3 58.6 79.1 58 82.2 56.2 85.7 54.9 87.7 53.5 88.3 51.7 88.8 50.9 89.4 50.3 90.4 49.3 91.2 47.9 92 46 93.7 43.8 96.6 42.2 98.2 41.4 98.6 40.5 98.6 39.7 98.3 38.9 98.2 38.3 98.3 38 97.4 37.9 96.3 37.4 95.2 38 94.3 38.4 93.6 37.9 92.7 37.4 91.9 35.8 92.5 34.8 93 33.7 93.2 33 93.7 31.8 94 30.6 93.4 29.9 93.7 29.8 94.7 29.7 95.5 29.6 96.4 28 97.1 27.2 97.7 26.4 98.1 25.1 97.2 24.2 96.6 23.7 96 23.2 95.4 22.5 95.7 21.3 94.8 20.3 93.6 19.3 93.4 18.4 93.8 17.5 94.5 15.9 95.2 14.5 95.6 14.1 96.8 13.6 97.2 12.4 97.4 12 98.1 11 99.4 10.3 100 9.7 99.4 8.8 98.4 8 97.1 7.8 96.5 7.5 94.9 6.2 93.4 3.1 90.7 2.7 89.9 0 87.5 0.7 85.7 1.2 84.9 1.8 84.3 4.3 82.9 6.4 84.8 7 84.9 8.3 84.9 8.7 84.1 8.2 83.6 8.1 83 8.5 82.4 8.7 81.7 9.2 80.9 8.7 80.2 7.6 79.5 6.8 78.9 6.7 77.6 7.3 77 6.7 76.2 6.3 75.6 4.7 75 4.9 74.3 5.4 73.1 5.5 72.2 5.2 70 5.5 69.3 6.2 69.6 6.9 69.9 8.8 69.4 9.5 69.4 10 69.8 10.8 70.1 15.2 69.2 15.3 68.2 15.6 67.3 15.4 66.3 15.1 65.3 15.1 64.6 16.9 63.4 18.3 63.9 19.2 64.6 20.1 66.1 20.6 67.4 21.5 69 23.5 69.6 25.8 70.1 27 69.9 28.8 68.6 29.8 67.6 30.1 67 30.7 67.3 31.4 68.7 31.8 69.2 31.6 70.3 33.1 71 34.2 70.8 34.7 70.2 35.5 69.5 35.1 68.5 35.5 67.5 36 66.3 36.1 65.4 36.5 64.9 37.4 64.5 38.1 62.1 37.9 61.3 38.4 59.9 38.5 58.7 38.3 56.5 38.1 55.1 38 53.6 38.4 51.6 38.8 49.5 38.1 48.4 37.4 47.8 35.6 47.3 34.9 46.6 34.4 45.8 32 45.2 31.6 44.7 31.8 43.5 31.9 41.5 31.9 40.2 32.2 39.1 32.6 38.3 33.5 37.5 34 36.5 35.9 36.1 36.5 35.7 37 35.2 37.7 33.7 38.2 33.1 38.2 32 37.7 30.9 37.1 29.9 36 27.2 35.3 26.7 34 26.4 31.5 26.1 30 26.5 27.7 27.3 25.9 27.8 24.8 28.1 24.1 28.1 24.3 27.4 24.5 26.7 24.2 25.7 23.8 24.8 23.5 23.5 23.6 21.9 24.1 20.3 25 18.4 25 17.6 27.8 17.6 30.6 17.6 33.6 17.6 36.5 17.6 38.8 17.6 39.9 17.1 40.9 17.9 41.5 18.1 42 18.6 43.3 18.5 43.6 19.3 44.9 19.3 45.9 19.4 46.6 19 48 19.6 48.7 20.1 49.6 19.9 51.7 20 53.4 20.4 55 21.5 56.1 22.2 57 23.1 57.7 22.7 57.9 21.8 57.4 20.4 57.2 19.2 57.3 18.2 57.7 17.5 58.4 17.1 58.5 16.4 59.3 14.7 60 13.2 61 11.4 61.8 9.8 61.7 9.1 61.7 8 61.9 6.7 61.9 6 62.6 3.7 62.9 2.6 63.4 2.1 64.1 1.8 65.2 1.7 67.9 1.5 70.5 1 71.4 0.8 73 0 74.1 0.3 77.3 1.2 78.1 1.5 78.9 1.6 79.6 1.6 80.3 1.5 81.4 2.2 82.2 1.7 83.2 1.2 85 0.7 85.9 2Z' },
+  ch: { viewBox: '0 0 100 63.2', path: 'M79.3 8.3 79.9 8.7 81.5 10.2 81.1 12.6 79.3 16.6 78.4 19.8 78.3 22.3 78.4 23.4 80.5 23.6 81.4 23.6 84.2 24.3 86.4 25.2 86.9 26.3 87.1 27.5 89.8 29.2 92.8 30.3 93.9 29.9 97.7 26 99.1 26.6 100 28.7 100 29.9 98.9 34.1 98.7 36.3 99.6 37.8 99.7 39 99.5 40.1 98 40.2 95.9 39.6 94.2 37.8 92.9 38 91.8 38.5 91.2 40.2 90.7 42.2 90.9 43.4 91.7 44.2 92.3 46.1 92.8 48.5 93.1 49.6 92.7 50.1 91.7 50.5 90.8 50.1 89.2 47.2 88.5 46.1 87.3 45.9 85.1 46.7 81.8 48.3 80.5 48.3 79.4 47.9 78.3 46.6 77.4 43.9 77.1 42.3 74.4 41.8 73.4 42.5 73.4 45.2 73.2 48.6 72.1 50.7 69.1 54.5 68.1 56.1 67.6 57.3 67.5 58.3 68 60.1 68.6 61.7 68.1 62.7 66.5 63.2 65.4 62.2 65 60.4 62.6 57.9 63.7 55.8 59.6 54.2 57.9 52.6 55.5 49.9 55 48.7 55.1 44.8 55 43.9 53.5 43.5 51.9 44.8 50.4 46.8 47.4 49.1 48.1 51.7 48.1 52.6 45.6 56.1 45.1 57.3 42 59.4 40.5 60.3 36.2 58.7 35 58.5 33 59.5 30.3 60.6 25.8 61.6 24.2 60.8 23.4 60.1 23.1 59.1 21.9 57.2 20.7 56.1 19.8 54.9 18.6 53.6 17.9 52.5 18.9 48.9 18.2 47.7 17.8 45.9 18 44.7 13.6 43.7 10.2 43.9 7.8 45.1 5.9 47.1 5.8 47.9 6.8 49.7 5.1 51.6 2.6 53.1 0.8 53.2 0 52.9 0 50.9 1.5 50.1 2.8 48.8 3.3 46.9 3.4 45.6 2 44 2.2 43 3.1 41.2 3.6 39.5 4.3 38.1 7 35.8 9.8 33.4 10.2 30.9 10.5 27.9 10.8 27.1 14.6 25.3 15.5 24.6 16 23.6 19 20.1 21.9 16.7 22.5 15.6 23 14.9 22.6 13.9 21.2 13.7 20.7 12.6 22.3 10.6 24.2 9.4 26 9.4 26.7 10 27.5 11.3 28.9 11.5 30.6 11.3 32.3 10.6 33.4 8.8 34 7.5 36.7 6 38.5 6.8 43.6 7 47.4 6.6 49.7 5.6 52.6 5.6 54.5 6.1 55.4 5.9 55.9 5.4 57.7 5 57.9 4.1 55.3 4.1 54.5 3.7 54.3 2.9 55 1.5 56.6 0.3 58 0 59 0.3 61.5 2.5 62.1 2.6 63 2 63.8 2.4 64.8 3.7 70.4 3.5 71.6 3.5 75.4 5.8Z' },
+  ci: { viewBox: '0 0 95.5 100', path: 'M48.2 4.7 49.2 5.8 50.4 6.5 52.3 6.4 53.7 6.8 54.9 7.6 55.7 9.4 56.5 10.7 56.9 12.5 58.3 13.5 59.3 14 60.8 15.3 62.3 16 63.8 15.8 64.6 16.5 65.7 17 66.9 17 67.9 15.5 69.3 14.9 72.7 13.7 74 13.1 75.4 12.7 78.6 12.6 81.7 13 83.2 13.3 84.2 13.1 85.2 13.8 86.2 15.4 87.1 15.8 87.9 16.4 88.6 17.6 89.3 18.8 89.7 19.3 90.6 20.5 91.4 20.5 92.2 20 92.7 20.4 92.3 21.7 92.4 22.5 92.6 23.8 91.7 25.5 91.7 26.5 92.6 26.8 93.2 27.9 93.6 29.7 94 30.3 94.7 35.2 95.5 39.6 95 40.2 94.3 40.4 93.7 41 94 41.6 93.8 42.2 92.9 42.6 91 44 90.9 44.6 90.4 45.8 90 46.5 89.4 47.9 88.4 51.5 88 54.5 88 55.4 87.6 56 87.2 57 85.1 59.5 84.1 61.6 84.2 62.5 84.2 63.5 83.9 64.1 84 65.9 84.2 67.4 84.6 68.8 86.1 72.9 86.9 75.4 87.3 77.4 87.8 78.8 88.2 79.3 90.5 80.2 91.6 83.1 91.5 84.3 91 84.7 91 85.7 90.9 87 89.4 87.5 88.5 88 87.4 87.8 86.7 87.4 85.1 86.7 85.4 84.4 84.6 84.3 84 84.6 82.8 87.4 82.3 87.8 74.1 86.4 72.3 85.3 70.2 85 66.5 85.2 63.4 85.5 62.5 86.2 70.3 85.8 71.1 85.9 61.7 87.2 58 87.7 56.9 87.6 56 86.7 52 86.6 51.2 86.9 50.7 87.5 52.3 87.4 54.8 87.3 55.4 87.8 47.6 88.5 42.1 89.7 39.8 90.6 32.2 93.6 27.5 95 26.3 95.5 24.2 97 21.5 97.9 18.4 99.6 16.6 100 16.2 99.5 16.1 96.6 15.9 92.7 15.9 91.2 16.2 89.8 16.2 88.6 17.1 88.2 17.5 86.2 18.4 84.8 18.4 82.4 18.8 81.3 18.5 79.7 18 76.7 17.1 76.7 15.2 75.7 13.7 75.5 12.6 74.6 12.6 73.6 12.1 73.1 11.7 71.9 11.2 70.6 9.7 69.8 8.4 69.6 7.4 69.8 6.3 69.7 5 69.3 4 68.8 3.2 67.8 2.4 67 1.8 67.1 1 66.9 0.2 66.6 3.2 63.2 4.2 61.7 4.4 60.8 4.4 59.8 4.7 58.9 4.8 57.4 3.1 52.1 2.6 50.5 2.1 50 2.7 49.1 3.9 49.3 5.8 49.9 6.2 49.3 7.6 46.7 7.6 45.7 7.5 45 8.3 43.1 9 42.4 9.3 41.7 9.2 40.6 8.7 40.2 8 40.3 7.3 40 6.1 39.4 5.4 38.9 5.6 36.5 5.7 35.7 6.2 35.3 6.8 35.2 8.7 35.1 10.2 35.4 11.5 35.5 12.2 35.5 12.8 36.3 13.5 37 14.2 37 14.4 36.4 14.3 34.1 13.8 32.8 12.8 31.6 10.2 30.5 10.2 29.1 10.4 27.5 11 26.9 12.9 25.9 12 24.8 10.7 24.2 11 22.3 11.1 20.6 10 20.8 9 20.9 8.1 20.4 7.3 19.4 7.2 16.5 7.2 13.3 7 11.8 7.3 11.1 8.2 10.4 9.2 9.4 9.6 8.9 11.3 8.5 12.4 7.7 13.4 6 14.8 4.7 16.3 4.8 17.3 4.5 18 5.4 18.6 6 19.4 7.3 22.2 7.9 23.5 8.2 24.5 9.2 25.3 9 25.7 8.3 25.2 7.5 25.4 6.7 25.9 6 26.6 6 27.7 5.8 29 5.8 29.9 5.9 30.3 5.2 29.9 3.4 30 2.3 30.2 1.4 31.9 2.2 33.2 2.6 34.1 2.6 34 1.2 34.4 0.6 35 0.5 36.7 0 37.1 2 37 2.6 37.4 3.9 37.8 5.1 37.4 6.4 37 7 37.7 7.8 38.9 8.3 40.2 8.4 40.9 7.7 41.7 7.1 42.2 6.6 42.4 5.8 43.2 5.3 45.5 4.6 47.7 4.5ZM86.4 87.9 86 88.5 83.9 88.1 84.4 87.6 86.4 87.9Z' },
+  ck: { viewBox: '0 0 100 63.9', path: 'M96.6 63.5 66.2 63.9 27.7 56.4 2.7 52.4 0 42.9 9.8 14.2 30.1 0 70.3 2 97.6 22 100 54.7Z' },
+  cl: { viewBox: '0 0 86.5 100', path: 'M85 11.3 85.2 12.3 84.9 13.1 84.7 13.8 84.2 14.2 83.6 14.4 82.8 14.8 82.3 15.3 82.4 15.9 82.3 16.5 82.1 17.2 82.5 18.5 82.2 19.1 82.4 19.8 82.7 20.5 82.1 20.9 81.4 21.5 81.1 22.2 80.6 23 80 23.7 79.8 24.3 79.7 25.2 79.3 25.7 79.3 26.3 79.5 27.1 79.6 27.7 79.1 28.3 78.8 29 78.6 29.6 78.3 30.2 78.1 31 78.4 31.7 78.6 32.5 78.9 33.1 79.1 34 79.1 34.7 79.7 35.1 79.5 35.9 79.6 36.7 79.6 37.4 79.1 37.9 78.8 38.5 78.6 39.1 78.4 39.7 78.4 40.4 78.5 41.2 78.5 41.9 77.9 42.4 77.3 42.9 77 43.6 77.1 44.4 76.9 45 77 45.6 77.1 46.5 77.3 47.2 77.4 47.9 77.5 48.5 76.9 48.8 76.4 49.3 76.5 50 76.3 50.6 75.9 51.1 76 51.7 75.7 52.3 75.9 52.9 75.5 53.5 75.5 54.2 75.5 55.3 75.5 56 75.6 56.6 75.8 57.3 75.2 57.6 75.1 58.2 75 58.8 75 59.9 75.5 60.3 75.5 60.9 75.8 61.5 75.9 62.3 75.8 62.9 75.6 63.6 76.6 63.9 76.8 64.8 76 64.8 75.4 64.9 76.1 65.4 76.4 66 76.3 66.7 75.8 67.1 75.8 67.9 75.9 68.5 75.7 69.2 75.9 70 75.6 70.6 75.4 71.3 75.5 71.9 74.7 72.6 74.5 73.3 74.3 73.9 74.6 74.6 74.6 75.3 74.1 75.7 74.1 76.4 73.6 77.1 73.1 77.6 73 78.2 72.3 78.5 72.3 79.4 72.2 80.1 72.3 80.7 72.7 81.5 72.8 82.1 73 82.7 73.6 82.4 74.3 82.3 74.7 82.8 74.7 83.6 74.7 84.2 74.6 85 74.8 85.7 75.4 86.3 75.9 86.7 77.4 86.7 78.3 86.7 79.4 86.7 80.3 87.2 80.9 87.2 81.5 87.4 82.2 87.6 81.3 87.6 80.4 87.6 80.1 88.2 79.5 88.4 78.5 88.9 77.9 89.1 77.6 89.7 77.4 90.8 77.3 91.5 77.3 92.6 76.7 93 75.9 92.7 75.1 92.3 74.5 91.6 74.7 90.9 75.4 90.8 75.6 91.4 75.8 90.8 76.5 90.4 76.9 89.8 76.5 89.2 75.5 90 74.7 90.5 74.3 91 74.2 91.6 73.3 91 73.4 90.4 73.5 89.8 73.8 89.2 74.4 89.4 75.1 88.9 75.7 89 76.3 88.7 75.7 88.5 74.8 88.4 74 88.5 73.7 89.1 73.2 89.7 73 90.3 72.4 89.9 72.6 89.2 73 88.7 72.1 89 71.4 89 71.3 88.4 70.9 87.8 70.7 87.1 71.6 87.5 72 87 72.6 87.3 73.4 86.9 74 87 73.9 87.8 74.1 86.8 74.3 86.2 73.8 85.3 73 84.9 73.7 85.5 74.1 86.1 73.4 86.3 72.9 86.7 72.2 86.9 72 86.2 71.3 86 71.1 85.3 71.5 84.6 71 84.1 70.4 84 69.6 83.7 69.3 83.1 69.1 82.5 69.9 82.4 69.7 81.8 70.5 81.9 70.9 82.8 71.6 83.3 71.8 82.5 72 81.9 71.5 82.8 70.9 82.3 71.4 81.9 70.7 81.6 70.2 81.2 70.4 80.5 71.2 80.4 70.6 79.7 70.7 79.1 71.4 79.1 71.1 78.4 71.3 77.7 70.9 78.2 70.8 78.8 70.5 77.4 70.5 76.6 70.6 76 71.2 75.7 70.6 75.7 70.1 75 70.1 74.2 70.8 74.4 71.6 74.3 72.2 74.8 72.1 74.2 71.8 73.2 71.6 73.8 70.8 74.1 70.4 73.6 70.2 72.9 70.8 73.3 70.3 72.5 70.8 71.9 71 71.2 70.6 70.6 69.9 70.9 69.2 70.5 69.3 69.8 68.6 70.2 68.5 70.9 67.8 70.6 68.4 69.7 69.1 69 69.1 68 69.7 67.8 70.3 67.9 71 67.7 71 66.9 71.6 66.8 71.3 67.9 71.2 68.5 70.6 69 71.3 68.8 71.5 67.9 71.9 68.6 71.6 69.4 71.4 70 71.9 69.2 72 68.3 72.1 67.7 71.8 66.9 72.5 66.6 73.3 66.8 72.8 66.2 72.5 65.4 73.1 65.3 73.8 64.7 74 63.9 73.3 63.5 72.7 63.1 72.8 62.4 73.3 61.7 73.1 60.8 73.5 60 73.6 59.4 73.7 58.6 73.7 58 74.4 58.4 74.4 57.8 74.3 57.1 73.6 56.9 74.3 56.4 74.6 55.8 74.2 56.4 73.7 56 72.9 56.5 72.2 56.6 71.8 56 71.5 55.4 71.3 54.8 71.4 54.2 71.7 53.1 71.9 52.1 72.3 51.5 72.8 50.4 72.3 48.3 72.2 47.7 72.3 47.1 72.2 46.5 71.9 45.7 71.9 45.1 72.5 44.8 72.9 44.3 73 43.7 73.3 43 73.7 41.7 74.1 41.1 74.2 40.5 74.5 39.8 74.9 39.1 75.2 38.3 75.3 37.5 75.4 36.9 76 36 75.9 35.4 75.8 34.6 76.4 33.6 76.5 33 76.2 31.6 76.1 30.9 76 30.1 75.9 29.1 76 28.1 76.5 27.7 76.7 26.6 76.6 25.9 76.3 24.9 76.7 24.3 76.9 23.7 77 22.9 77.2 22.2 77.5 21.2 77.7 20.4 77.9 19.6 78 19 78 18.3 78 17.3 78.4 16.7 78.2 15.6 78.2 14.6 78.3 13.8 78.5 13.1 78.1 12.5 78.2 11.8 78.8 10.8 78.9 10 79 9.3 79.1 8.5 78.9 6.8 79 5.8 79 4.9 78.9 4.2 78.6 2.8 78.6 1.9 79.2 1.6 79.7 1 79.6 0.4 80.3 0 80.6 0.6 81.1 1.1 81.2 1.8 81.3 2.4 81.4 3 81.8 3.5 82.3 4 81.9 4.7 82.1 5.4 81.9 6 82.3 6.6 82.2 7.2 82.7 7.7 82.9 8.4 83.1 9 83.4 9.7 83.4 10.3 83.6 10.9 83.7 11.5 84.6 11.4ZM71.7 60.9 71 60.9 70.5 60.4 70.8 59.6 71 58.8 70.9 58.2 71.1 57.5 71.2 56.9 72.2 56.9 72.4 57.6 72.2 58.3 71.7 58.8 72.1 59.3 72.3 59.9 71.8 60.4ZM71.6 62.2 71 62.4 71.6 62.1ZM71.8 63.8 71.3 64.2 71.6 65 71.7 65.6 71.8 66.2 71.2 66.5 70.9 65.9 70.6 65.2 70 64.5 70.4 63.9 71 63.8 71.1 63.2 71.9 63.4ZM73.3 64.9 72.6 65 72.5 64.3 72.8 63.7 73.6 64 73.5 64.7ZM72 65 71.6 64.5 72 65ZM70.6 67.5 69.9 67.6 70.1 67 70.3 66.3 70.8 67.1ZM70.1 76 69.4 76.1 69.2 75.4 68.8 74.7 69.3 74 69.8 74.6 70 75.3 70.1 76ZM68.2 76.5 68.2 75.2 68.1 74.5 68.7 74.9 68.9 75.5 68.8 76.3 68.2 76.5ZM70.3 77.7 70.3 78.6 70.2 79.2 70.3 79.9 69.9 80.4 69.6 79.8 69.5 79.2 69.8 78.6 69.3 79 69.2 79.8 68.3 79.6 68.6 78.8 68.4 78.2 69.1 78.1 68.9 77.5 69.4 77.1 69.5 76.4 70.1 76.5 70.3 77.7ZM69 76.8 68.7 77.5 68.2 78 68.2 77.3 68.7 76.7ZM69.1 81.3 68.4 81.4 68.5 80.7 69.2 80.6 69.1 81.3ZM68.6 82.5 68.4 81.8 69 81.9 68.6 82.5ZM70.1 84.4 69.6 84.9 69 85.2 68.9 84.4 69.8 84.2ZM69.6 85.5 69.7 86.1 70.2 86.6 69.9 87.2 69.2 86.8 69 86 69.6 85.5ZM71 86.5 70.4 86.2 71 86.3ZM82.1 88.9 82.1 89.8 82.1 90.8 82.1 91.7 82.1 92.7 82.1 93.6 82 94.5 82 95.5 82 96.3 81.2 96.5 80.3 96.4 79.9 95.8 79.3 96.2 78.7 96 77.8 96 76.8 95.8 75.6 95.5 75.7 94.9 76.5 94.8 77.1 94.9 77.7 94.5 77.9 95.1 78.7 95.2 78.2 94.4 77.6 93.8 77.6 93 78.1 92.2 78.4 93 78.2 93.9 78.8 94.3 79.3 94.7 80.1 94.6 80.7 95.1 79.3 93.8 79 93 79.1 92.4 79.9 92 80.5 91.7 80 91.1 79.1 91.4 78.5 91 78.4 90.3 79 89.9 78.5 89.2 79.3 89.4 80 88.8 80.5 88.3 81 88.9 81.7 88.6ZM70.5 89.8 71.1 89.9 71.7 90.2 72.3 90.5 73 91.2 72.3 91.1 71.7 90.4 71 90.3 70.4 90 70 89.5ZM73.4 91.6 74.3 92 74.7 92.5 74.6 93.2 73.9 93.7 73.8 92.9 73.2 92.8 73.1 93.4 72.7 92.8 72.1 92.2 71.6 91.8 72.4 91.4 73.1 91.7ZM76.5 93.5 77.3 93.8 77.2 94.4 76.4 94.2 75.8 94.2 75.1 93.8 75 93.2 75.9 93.1 76.5 93.5ZM77.3 96.4 78.1 96.7 78.7 97.1 78.1 97.1 77.4 97.1 76.9 96.5ZM79.9 96.6 81.5 96.9 82.4 96.7 82.1 97.3 82.7 97.6 83 98.4 83.2 99.1 82.7 98.7 82.1 98.4 81.5 98.3 81.3 97.7 80.7 97.4 80.7 98.1 80.1 98 79.6 97.6 79.5 96.4ZM85.2 97.4 84.7 97.9 84.2 97.5 83.2 97.6 82.7 96.8 83.6 96.6 84.5 96.7 85.1 97.1ZM84.8 99.6 84.2 99.4 84.6 98.9 84.8 99.5ZM84.2 100 83.6 99.9 84.3 99.8Z' },
+  cm: { viewBox: '0 0 66.9 100', path: 'M60.7 49 59.8 50.5 58.7 51.3 58.3 51.8 58.1 52.4 57.9 53.1 57.3 54.4 56.8 55.5 55.3 57.5 54.6 59.2 54.2 59.9 52.7 60.7 51.9 61.3 51.5 62 51.8 62.6 52.2 63.1 53 63.4 53.2 66.8 52.9 67.5 52.7 68.6 53.4 69.5 53.6 70.5 54 74 54.2 74.6 55.6 75.7 56.7 76.7 57.1 77.3 57.3 78.4 57.7 79.2 57.1 79.6 57.1 80.3 57.6 81.3 58.6 82.4 59.7 83.6 60.5 84.5 61.6 85.6 62.4 86.5 63.3 87.4 63.9 87.6 64.6 87.8 65.3 88.7 65.8 89.3 66 89.9 65.8 90.5 66 91.3 66.1 92 66.2 93.1 66.5 94 66.9 94.8 66.8 95.4 66 96.3 65.9 97 66 97.9 66.4 99 66.5 99.6 65.8 100 65 99.3 64.2 98.8 63 97.9 61.8 97.6 60.2 97.6 59.5 97.7 59 97.3 58.3 97 57.4 97.2 56.6 97.1 55.7 97.1 55.4 96.5 54.4 96.5 53.6 96 52.8 95.5 52 95.8 50.3 95.8 48.1 95.8 45.8 95.8 43.7 95.8 41.6 95.8 41.4 95.2 40.2 94.9 37.9 95 36.1 95 34.9 94.7 33.5 94.6 31.6 94.7 29.8 94.7 26.4 94.6 24.6 94.6 24.5 95.2 22.4 95.7 19.7 95.7 17.2 95.7 15.5 95.7 12.6 95.7 11.7 95.3 11.3 94.8 11.3 92.5 11.7 90.8 11.8 89.2 12.4 87.8 12.1 86.4 11.7 85.8 10 83.8 10.8 83.1 9.7 83.2 9.5 82.4 8.9 81.6 9.6 80.9 10.5 81.1 9.7 80.1 10.1 79.3 9.3 79.6 8.6 79.3 8.1 80.3 7.2 80.4 6.7 80 5.1 79.4 4.1 79 3.9 77.8 3.5 77.3 3.3 76.7 3.2 76 3.4 75 2.8 74.8 2 74.8 1.5 74.2 1.4 75 0.4 75.2 0 74.5 0.3 73.3 0.5 72.5 0.9 71.7 1.6 70.7 2.3 69.4 2.9 67 3.2 65.6 3.5 64.3 4.1 63.1 4.6 62.3 6.2 60.7 7.3 59.6 7.9 59.1 8.4 58.7 9.1 58.3 9.9 57.7 10.4 56.7 10.9 55.7 11.7 55.4 13.2 54.3 14.1 53.7 14.4 54.4 15.4 54.7 16.4 54.7 17 54.6 17.7 53.3 19.3 53.7 20.2 54.7 21.2 55.6 21.8 56.3 22.3 58 22.9 58.5 23.6 58.4 24.4 58.1 25.1 57.7 25.7 57.1 26.2 56.6 26.5 54.9 27.3 54.1 28.4 53.1 29.1 52.6 28.6 51.9 28.3 51.2 28.6 50.6 29 50.1 30.4 48.5 30.4 47.9 30.5 47.3 31.7 45.4 32.3 42.9 33 41.2 33.8 39.6 35.4 39.4 36 39 36.7 38.3 37.1 37.7 37.4 37.1 37.5 35.9 37.8 34.6 38 33.4 38.4 32.3 39.2 31.8 40.6 31.3 41 30.4 41.1 28.9 41.2 28 41.4 27 42.7 25.8 43.2 23.9 43.7 21.9 45.2 19.6 46.8 17.2 47.6 16.6 48.3 16.3 49 16.3 49.6 16.1 51.4 14.9 52.1 14.5 52.7 14.1 52.9 13.2 52.7 12 53 11.1 53.2 9.7 53.3 8.6 52.9 7.7 52.3 6.9 51.4 6.5 50.2 6.4 49.5 6.2 49.4 5.6 49.3 4.9 49.2 4.2 48.3 0 49.9 0 51.8 0.5 52.3 0.9 52.5 2.3 53.2 3.1 54.4 3.8 55.2 5.1 55.5 7.2 56.1 8.4 57 10.4 57.2 11 57.3 12 57.2 12.8 57.6 13.7 57 15.2 56.8 16.1 56.8 17.5 57.1 19.8 57.7 21.6 58.3 23 58.9 24.1 60 25.4 61.2 26.5 62.2 27.2 61.3 27.6 59.3 27.7 58.2 27.5 57.1 27.6 55.1 27.8 53 27.7 51.1 27.4 49.9 27.5 49 28.2 48.3 29.2 47.6 30 47.8 30.9 48.3 31.4 49.3 32.5 50.2 33.6 50.7 34.3 52.5 35.9 54.2 37.3 55 37.8 56.2 38.7 57.5 40 58.7 42 59.6 44.1 60.4 46.2 61.3 46.7 61.4 47.8Z' },
+  cn: { viewBox: '0 0 100 73.5', path: 'M61 70.4 61.2 71 60.6 71.7 60.3 72.5 59.8 72.9 59.2 73.2 58.5 73.4 57.9 73.2 57.4 72.6 57.3 71.7 58 71.1 58.4 70.6 59.4 70.5 60.1 70.4 60.7 70.3ZM78.9 49.6 78.1 49.3 78.8 49.5ZM81.6 0.1 82.4 0.4 83 0.8 83.7 1.2 84.4 1.1 85 1.4 85.5 1.9 85.7 2.5 86.1 3 86.3 3.6 86.5 4.4 86.8 5 87 5.7 87.2 6.4 87.6 7.3 87.9 8 88 8.6 88.2 9.2 88.2 9.9 88.7 10.3 89.3 10.5 90.1 10.4 90.6 10.8 91.2 11 91.9 11.4 92.3 12 93.1 12.2 93.1 12.9 93.5 13.4 93.4 14 93.7 14.7 94.4 15 95.1 15.1 95.7 15 96.4 14.9 96.9 14.4 97.6 14.1 98.2 13.8 99.1 13.5 99.7 13.6 99.8 14.2 99.9 14.8 99.7 15.5 99.2 15.9 99.1 16.5 98.8 17.1 98.7 17.7 98.6 18.3 98.3 19 97.9 19.6 97.6 20.2 97.3 21 96.7 21.3 96.1 21.1 95.5 20.9 94.9 21 94.3 21.6 94 22.2 94.3 23.6 94.2 24.4 94.3 25 94.2 25.7 93.9 26.3 93.2 26.4 93.2 27 92.6 26.6 92.2 26 91.9 26.6 91.8 27.2 91.1 27.3 90.7 27.9 90 28.2 89.2 28.2 89.3 28.9 89.2 29.5 88.4 29.4 87.8 29.3 87.3 28.8 86.7 29 86.5 29.6 86.1 30.1 85.7 30.6 85.1 30.8 84.4 31.3 83.7 31.7 83.2 32.1 82.9 32.7 82 32.9 81.4 33 80.8 33.2 79.7 33.9 79.2 34.4 78.6 34.6 78 35 78.6 34.4 78.9 33.8 78.1 33.8 78.4 33.2 78.8 32.6 79.5 31.8 79.4 31.2 78.9 30.7 77.8 30.6 77.4 31.1 76.7 32 75.6 32.5 74.9 33 74.6 33.8 74.2 34.3 73.6 34.3 72.8 34.2 72 34.9 72 35.8 72.6 36.3 73.5 36.5 74.1 36.6 74.3 37.2 74.2 37.8 74.4 38.4 75 38.5 75.7 38.3 76.1 37.8 76.5 37.3 77.1 37.1 77.9 37.5 78.6 37.8 79.2 37.8 80 37.9 80 38.5 79.7 39.1 79 38.9 78.2 39.3 77.6 39.6 77 40 76.7 40.6 76.1 40.5 76 41.1 75.6 41.6 75.1 42.1 74.6 42.8 74.9 43.4 75.5 43.8 76.2 44.1 76.6 45 76.9 45.8 77.3 46.7 77.3 47.4 78 47.8 78.3 48.4 78.9 48.8 78.1 48.9 77.2 48.6 76.2 48.7 77.1 48.7 77.6 49.2 78.1 49.6 78.6 50 79 50.7 78.4 50.9 77.5 51.4 76.9 51.7 76.3 51.9 76.9 52.2 77.8 51.9 78.6 52.5 79.2 52.7 78.6 53.2 79 54.1 78.4 53.9 78.6 54.5 78.4 55.2 78 55.8 77.4 56.1 77 56.6 76.9 57.2 76.5 57.7 76.1 58.2 75.8 58.8 75.2 58.4 75.6 59 75.2 59.6 74.6 59.6 75.3 59.8 75.1 60.4 75.2 61 74.5 60.8 74.1 61.4 73.6 61.9 73.1 62.4 72.5 62.6 72.5 63.2 72 63.7 71.5 64.1 70.8 64 70.4 64.6 70.2 65.2 69.6 65.4 68.9 65.5 68.3 65.7 67.6 65.7 67 65.8 66.4 66 65.8 65.9 65.4 65.4 65.3 66.2 64.9 66.8 64.3 67.2 63.6 67.3 63 67.3 62.4 67.4 61.8 67.8 61.1 67.9 60.4 68.3 59.8 68.6 60.2 69.1 60.3 69.7 59.7 70 59.3 69.5 59 68.9 59.1 68.3 58.9 67.5 58.2 67.9 57.6 67.6 57.2 67.1 56.7 67.6 56.1 67.7 55.4 67.7 54.7 67.3 54.2 66.9 53.9 66.3 54.2 65.7 53.5 65.4 52.9 65.3 52.2 65.1 51.8 64.6 51.2 64.9 50.8 65.5 50.2 65.7 49.6 66 49.1 65.6 48.5 65.7 48 66.2 47.4 65.7 46.8 66.1 46.2 66.3 45.7 66.7 46 67.3 46 68 45.3 68.4 45.1 67.8 44.5 67.5 44 67.9 43.4 67.9 43 67.3 42.5 66.8 41.9 66.7 42.1 66.1 42.2 65.5 41.6 65 41.3 64.4 41.1 63.8 41.3 63.2 40.5 63.2 39.9 63.3 39.3 63.6 39.4 63 39.1 62.3 39.4 61.7 39.8 61.2 40.1 60.6 40.7 60.2 40.8 59.6 41.1 59 41.1 58.4 41 57.7 41 57 40.4 57 40.1 56.2 39.8 55.6 39.3 55.2 38.8 55.7 38.2 55.5 37.6 55.3 37.5 54.6 36.9 54.5 37.2 53.9 36.7 53.5 36.1 53.7 35.7 54.2 35 54 34.4 53.7 33.8 54 33.4 54.5 32.8 54.9 32.1 55 31.8 55.6 31.2 55.9 30.9 56.5 30.2 56.5 29.6 56.6 29 56.1 28.4 56.2 27.8 56 27.2 55.7 26.6 55.6 26.1 56 25.6 56.5 25.2 57.1 24.9 56.4 24.3 56.1 23.7 56.3 23 56.5 22.4 56.5 21.8 56.2 21.2 56 20.6 56.1 20 55.9 19.3 55.7 18.8 55.3 18.2 55.1 17.7 54.7 17.2 54 16.5 54 15.9 53.5 15.1 53 14.5 52.6 14 52.2 13.5 51.8 12.8 51.8 12.4 52.4 11.9 51.9 11.3 51.6 10.8 51.2 10.3 50.8 9.7 50.7 9.2 50.1 8.6 50 8.5 49.4 8.4 48.7 8 48.2 7.8 47.6 8.4 47.6 9 47.7 9.2 47.1 9 46.5 8.6 45.9 8.5 45.1 8.7 44.4 8.3 43.8 7.7 43.6 7.4 42.9 7.2 42.3 6.7 41.8 6 41.8 5.4 41.6 4.8 41.3 4.2 41.2 3.8 40.7 3.9 40 3.5 39.4 2.9 39 2.2 38.8 1.6 38.7 2.1 38.3 2.3 37.7 2.1 37.1 1.9 36.5 2 35.9 1.5 35.5 0.9 35.4 0.3 35.5 0.1 34.9 0 34.2 0.4 33.6 0.4 33 0.6 32.4 1.3 32.2 1.9 31.8 2.5 31.6 3.1 31.2 3.3 31.8 3.9 31.7 4.6 31.7 4.9 31.1 5.3 30.4 6 30.4 6.7 30.3 7.4 30.2 7.8 29.7 8.4 29.2 9.1 28.8 10.1 28.4 10.8 28.1 10.8 27.3 10.7 26.7 11.3 26.3 11.5 25.7 11.6 25 11.3 24 11 23.4 11 22.5 10.9 21.9 10.3 21.8 10.8 21.4 11.5 21.2 12.2 21.1 13.1 20.7 13.6 21.1 14.2 21 14.7 20.6 14.2 20.2 14.4 19.6 14.6 18.8 14.9 18.2 15.3 16.9 15.4 16.3 16.1 16.5 16.7 16.8 17.3 16.8 18 16.8 18.7 17 19.4 16.6 19.7 16 19.6 15.4 19.5 14.6 19.7 13.9 20.4 13.3 21.1 13.1 21.5 12.2 22 11.6 22.6 11.7 23.2 11.5 23.1 12.1 23.6 12.6 24 13.2 24.5 13.6 24.9 14.1 25.5 14.4 26.1 14.3 26.5 14.8 27.1 15.1 27.5 15.6 27.7 16.3 28.1 16.8 28.4 17.4 28.4 18.2 28.4 18.9 28.1 19.5 27.9 20.1 28.2 20.9 28.8 21.1 29.4 21.3 30.1 21.3 30.8 21.4 31.6 21.4 32.2 21.5 32.8 21.7 33.3 22.2 34 22.6 34.5 23 35.1 23.2 35.5 23.7 36 24.1 36.4 25.1 36.8 25.8 37.2 26.3 38 26.5 38.6 26.5 39.4 26.6 40.3 26.7 41.1 26.8 42.3 27 43.1 26.7 44 26.8 45 27 45.6 27 46.2 27.6 47.4 28 48.2 28.2 48.8 28.5 49.7 28.6 50.5 28.5 51 29 51.7 28.8 52.3 28.5 53.5 27.9 54.1 27.6 54.8 27.5 55.8 27.3 56.4 27.3 57.1 27.3 57.7 27.3 58.4 27.2 59 27 59.6 26.8 60.2 26.5 60.7 25.8 61.2 25.2 61.9 24.9 62.4 24.5 62.5 23.9 62 23.3 62 22.6 62.2 21.9 62.6 21.3 63.3 21.3 63.8 21.7 64.5 21.9 65.2 22 65.9 21.7 66.5 21.2 66.9 20.7 67.6 20.6 68.4 20.5 69 20.2 69.7 19.7 69.9 18.9 70.3 18.4 70.9 18.3 71.6 18.2 72.2 17.9 72.9 17.5 73.6 17.5 74.2 17.4 74.8 17.7 75.4 17.7 75.7 17.1 75.4 16.4 74.9 15.9 74.4 15.4 73.8 14.9 73.4 14.4 72.8 14.3 72.2 14.4 71.7 15 71.1 14.8 70.4 14.7 69.8 14.7 69.3 15.1 68.7 14.7 68.6 14 69 13.5 69.3 12.7 69.5 12.1 69.7 11.5 70 10.9 70.3 10.2 71 10.2 71.7 10.4 72.3 10.6 72.9 10.2 73.8 9.5 74.5 9.3 74.8 8.7 74.7 8.1 75.1 7.4 75.4 6.7 75.6 6.1 76 5.3 76.7 4.6 77.1 3.9 76.9 3.1 76.5 2.5 75.9 2.3 76.6 1.6 77 1 78.2 0.7 79.3 0.3 80 0.3 80.7 0.2 81.3 0Z' },
+  co: { viewBox: '0 0 72.9 100', path: 'M46.2 3.5 44.9 4 43.8 4.3 42.4 4.7 40.7 7.5 39.5 8 39 8.4 38 9.7 37.7 10.4 36.9 11.8 36.5 13.6 36.3 14.6 36.1 16.1 35.8 16.8 35.3 17.5 34.8 18.2 34.4 18.9 34 19.5 35 19.7 35.8 19.3 36.4 20 37 20 37.8 21.8 38.2 23.1 39 23.9 39.6 24.6 40 25.9 39.8 26.6 39.4 28 39.3 29.2 39.5 30.1 40.4 30.5 41.2 31.4 41.6 32.3 42.1 32.7 42.8 32.9 44.4 32.7 45.4 32.7 46.8 33 47.4 33 48.1 32.9 49.3 32.4 50.2 32.4 50.9 32.6 51.8 33.1 52.6 33.2 53.4 33.2 54.7 34.7 55.7 35.9 56.6 37 57.5 38.1 58.3 38.1 59 38.2 59.6 37.8 60.5 37.7 61.7 37.9 63.3 37.9 65.3 37.7 66.5 37.4 67.8 37.2 68.8 37.4 69.3 37.8 69.5 38.7 69.3 39.3 68.7 39.9 68.4 40.6 68.3 41.5 68 42.2 67.4 42.6 67.2 43.3 67.3 44.1 67.3 45.3 67 46.9 67 47.8 67.4 48.6 67.4 49.2 67.8 50.3 68.2 51.7 68.9 52.4 70.1 54.1 70.1 54.8 69.1 55.7 67.2 57.5 67 58.1 67.6 57.8 68.2 58 68.8 58.7 69.8 59.5 70.3 60 70.9 60.5 70.9 61.1 71.2 61.9 71.5 62.5 71.6 63.1 71.9 63.8 72.2 64.7 72.4 65.4 72.6 66 72.9 66.6 72.9 67.4 71.8 67.7 71.6 66.4 71.6 65.1 70.9 63.7 70.2 62.6 69.8 62.1 69.2 62.2 68.5 62.6 67.9 63.3 67.3 64 66.5 64.3 65.7 63.6 65 62.9 64.6 63.7 65.1 64.5 63.5 64.5 62.1 64.5 60.7 64.5 59.4 64.5 58.2 64.5 57.3 64.2 56.3 64.3 55.7 64.4 55.1 64.5 55.1 65.5 55.1 66.9 55.1 68.4 55.7 68.3 56.4 68.3 57.1 68.4 57.8 68.5 58.6 68.7 59 69.4 59.2 70.2 59.2 70.9 58.6 71 58 70.8 57.3 70.4 56.5 70.7 55.9 70.8 55.3 71.1 54.6 71.2 53.8 71.3 53.8 72.1 53.8 73.6 53.7 74.6 53.7 75.6 54.6 76.6 55.2 77 55.7 77.4 56.4 77.8 56.6 78.5 56.5 79.3 56.8 80 57.2 80.5 57.5 81.1 57.8 81.8 57.6 83.2 57.3 84.4 57.1 85.3 56.9 86.8 56.5 88.5 56.2 90.6 55.8 92.7 55.4 94.7 55.1 96.6 54.7 98.6 54.5 99.8 53.6 99.1 53 98.6 52.7 97.9 52.1 97.5 51.2 97.8 49.9 97.3 50.4 96.2 51.6 94.3 52.4 93.1 53.3 91.8 53.7 91.1 53.2 90.5 52.4 89.9 51.7 89.6 51.1 89.4 50.3 89.1 48.7 88 48 88 47 88.5 46.4 88.6 45.8 88.6 45.2 88.3 44.1 87.7 43.3 87.6 42.6 88.4 41.8 88.6 40.9 89 39.8 89.2 39.2 89 38.6 88.8 37.9 89 37.3 89.1 36.5 89 35.8 88.5 35.2 88.3 35.2 87.6 35.3 86.7 35.1 85.9 34.6 85.3 33.5 85.1 33 84.5 33.2 83.9 32.7 83.1 32.2 82.2 31.3 82 30.6 81.4 29.8 80.9 29.1 80.7 28.5 80.3 28.2 79.5 27.9 78.8 27.6 78.2 27.1 77.5 26.5 76.9 25.6 76.5 25.3 75.9 24.5 75.8 23.8 75.4 23.3 75 22.4 75.4 21.4 75 20.4 74.4 19.5 74.2 18.9 73.8 18.3 73.3 17.7 72.7 16.5 72.1 15.8 72.3 15.6 72.9 14.5 73.3 13.8 73.1 13.2 73.3 12.6 73.1 11.5 72.6 10.4 72.6 9.8 72.4 9.3 70.9 8.5 70.6 8.1 70.1 7.2 69.8 5.9 69.4 5.1 69 4.3 68.5 3.1 67.6 2.1 67.1 1.7 66.6 1.2 66.2 0.8 65.6 0 65 0.4 64.3 1.4 63.7 2.7 64.2 2.8 63.3 2.4 62.5 2.5 61 2.9 60.3 3.7 59.9 4.4 59.8 5.4 59.9 6 59.6 6.6 59 7.3 58.5 8.1 57.6 8 56.8 8.8 56.4 9.3 55.4 9.7 54.8 10.2 54 10.7 53.3 11.7 51.4 10.9 51.7 10.7 50.6 10 51.2 9.6 50.5 9.7 49.7 9 49.6 9.5 49.1 10 48.5 10.3 47.3 10.4 46.5 10.1 45.9 10 44.4 10 43.6 9.9 42.9 8.9 41.7 10.2 40.8 10.7 40.2 10.1 38.9 9.3 37.8 9.8 37.2 10 35.9 9.5 34.8 8.5 33.9 8.1 33.1 7.3 32.1 6.7 31.5 7.2 30.2 7.7 29.7 7.5 28.9 8.2 29.1 8.6 29.6 10 28.6 10.1 27.9 10.5 27.4 11 27 10.5 25.8 10.1 25.3 9.7 24.3 9.5 23.5 9.9 22.9 10.6 23.9 11.4 24.5 12.2 25.4 12.5 26 12.9 26.5 12.8 27.2 13.4 27.3 13.5 25 13.2 24.1 12.6 23.4 13.3 23 14 22.7 16.5 20.9 17.3 19.2 18 18.6 18.7 18.2 19.6 18.3 20.3 18.1 20.3 16.9 20.3 15.8 20.6 14.8 20.6 14 20.8 13.4 20.3 13.8 20.8 12.8 21.2 11.6 22.5 10.4 23.4 9.5 24.6 8.4 27.4 8.8 28.2 8.8 27.2 9.1 27.4 10 28.1 9.9 28.4 9 28.8 8.1 29 7.1 29.8 6.7 30.7 6.9 31.4 7.1 32.1 7.1 34.3 6.9 37.8 4.4 39.5 3.9 40.5 3.3 41.2 2.3 41.4 1.5 42.3 1.2 43.9 0.1 44.6 0 45.2 0 46.6 0.6 47.2 1.6 47.3 2.4 46.5 3.1ZM5.5 59.6 4.9 59.2 5.5 59.6Z' },
+  cr: { viewBox: '0 0 100 94', path: 'M67.7 8.2 68.5 9.4 69.4 11.3 69.7 13.8 73.5 21.9 76.6 26.4 83.2 34.7 86.1 36.2 90.9 42.9 92.6 43.9 93.6 45.9 98.6 47.5 100 48.7 99.8 49.3 99.3 49.9 98.6 50.4 97.6 50.8 95.2 49.6 92.9 48.3 91.6 48.9 91.1 50.7 90.3 51.6 89.2 51.9 88.7 52.5 88.7 58.6 88.7 64.3 90.5 64.4 93.4 66.4 94.7 67.5 95.1 68.6 94.7 69.1 92.6 70.3 90.5 71.9 89.4 73.9 91.3 77 91.7 79.2 91.6 81.4 91.1 82.5 87 85.1 86.1 86 86.2 86.6 88.5 88.4 89.5 90.1 90.4 92.2 90.6 94 88.5 90.6 85.7 87.5 83.3 85.5 83.1 80.9 82.1 78.4 78.4 76.2 75.3 74.5 72.9 74.9 74.3 77.5 78 80.9 78.3 82.2 78.2 83.9 75.7 83.6 73.4 82.9 70.7 82.7 68.9 81.7 65 77.6 67.7 74.2 68.6 72 68.5 67.3 67.9 65 64.9 61.5 60.2 57.7 53.5 54.6 50.4 52.1 42.6 50.2 39.7 49 37.3 46.6 37 44.9 37.8 42.3 35.7 39 26.4 32.5 21.2 30.1 20.1 28.6 19.3 28.2 20.1 32.7 22.3 35.4 28.3 38 29.9 39.4 30.5 41.3 27.1 45 25.4 45.9 24.8 47.9 23.7 48.6 22.5 47.4 17.7 41.6 8.5 38.9 6.8 37.2 3.3 31.9 1.7 27.1 2.3 23.9 6.1 18.9 7.3 16.8 7.1 15.4 7.2 13.4 5.8 12.1 2.2 10.3 0 8.8 0.6 8.1 4.7 6.2 4.9 4.4 5.6 3.7 6.1 3.3 6.5 2.8 7.6 1.1 8.6 0.1 9.7 0 11 0.7 16.1 2.5 21.8 4.5 29.9 7.4 33.2 5.6 36.1 4.2 38.1 4.4 42.4 6 45 6.5 46.6 6.3 49.4 8.7 50.9 10.5 51.2 11.7 52 12.4 54.2 12.5 59.5 13.7 62.7 13.5 65.6 12.2 67.2 10.7Z' },
+  cu: { viewBox: '0 0 100 33.2', path: 'M28.4 0.3 30.8 0.8 32.8 0.6 33.7 0.3 34.5 1.3 36.1 1 39.4 0.9 40.4 1.8 41.2 2.2 42.1 2.5 43 2.6 43.9 2.4 44.8 2.5 45.9 3.2 47.1 3.1 46.9 3.7 48.5 4.5 49.7 6.2 50.5 6.8 51.4 7.4 52.2 7.9 53.1 8.1 55.7 8 56.9 8.3 57.7 8.3 62.7 10.8 64.4 12.2 65.3 12.9 67.5 14 68.3 14.2 68 13.2 68.8 13.2 70.2 14.4 71.3 15.2 72 15.5 71.1 16 70 15.8 70.9 16.5 71 17.1 72.1 16.5 72.5 16 74 17.3 74.9 17.9 74.6 18.6 75.6 18.3 76.3 18.5 76.7 19.1 77.6 19.2 78.4 19.2 80.3 19.6 82 20.6 83.6 20.7 85.3 20.8 86.1 21.3 86.4 21.9 86 22.4 86.4 23.5 85.1 23.7 85 24.5 86 24.5 87.1 24.7 88.8 24.8 90 24.7 92.4 25.1 93.1 25.3 94.5 26.1 95.1 26.6 96.5 28 97.7 28.5 98.7 28.6 99.4 28.7 100 29.5 99.8 30.1 99.2 30.6 97.4 31 95.4 31.2 93.4 31.7 92.4 32.2 90.9 32.7 90.6 31.7 89.9 32.5 89.3 32.8 86.8 32.8 85.9 32.4 84.9 32.1 81.2 31.8 80.3 31.9 77.9 32.2 75.4 32.3 74.4 32.5 73.4 32.8 71.4 32.8 69.1 33.1 66.7 33.2 68.2 30.9 71.4 28.8 72 28.3 72.4 27.7 72.4 26.9 71.6 26.2 71.2 25.4 70.1 25.1 69 24.9 67.9 24.9 65.4 24.7 64.1 24.7 63 24.2 61.2 22.6 60.3 22.1 59.5 21.3 59.1 18.9 58.7 17.8 58.2 16.8 57.3 16 56.4 15.7 53 16.4 52.2 16.3 51.4 16.1 46.3 14.5 44.2 13.6 43.3 13.2 42.6 12.6 41.8 11.6 41 10.7 40.8 11.3 36.5 11.4 35.8 11.2 35.1 10.6 34.9 9.9 34.4 9.3 34.3 9.9 34.1 10.5 33.5 10.8 32.9 10.9 32.1 10.1 28.6 9.9 27.1 9 26.1 8.1 27.1 7.7 29.1 7.3 29.8 6.6 29.6 6 28.8 5.4 27.8 5.2 20 5 19.5 5.4 18.8 6 17.5 6.8 16.6 7.6 16.2 8.1 14.8 8.9 14 9.7 13 10.1 12 9.9 11.2 10.1 9.2 10.2 8.6 11 8.3 12.1 7 12.6 6 12.9 4.1 14 3.7 13.4 3.6 12.6 3 12.6 2.4 12.7 0.9 13.5 0 13.4 3.3 11.6 4.2 11.6 5.2 11.2 4.7 9.4 4.9 8.1 5.6 7.2 7.1 5.7 7.8 5.3 15.2 2.2 15.9 2.1 20.7 1.5 21.4 1.3 23.6 0.4 25.9 0 28.4 0.3ZM51.5 5.3 49.9 4.8 49.2 4.1 51.2 5.1ZM58.2 6.4 59.5 6.6 60.4 6.5 61.4 7.4 60.5 7.5 59 7.3 58.2 7.1 57.6 6.6 58.2 6.4ZM63.8 9.1 63.1 8.9 62.4 8.7 62 8.1 61.5 7.7 62.2 7.6 63.2 8.1 63.5 8.9ZM65.2 10.7 64 10.3 64 9.5 64.2 8.9 64.4 9.5 65.1 9.8 65.6 10.5ZM67.2 12.4 66.4 12.3 65.7 12.1 65 11.6 65.4 11 66.2 11.1 67.5 11.4 67.4 12ZM21.7 16.2 20.8 16.7 18.9 17.5 18 17.5 17 17.2 16.3 16.6 15.9 16 16.5 16.2 17.1 16.4 17.8 16 16.8 14 17.7 12.5 19.9 12.8 20.5 13.7 21 14.3 21.6 15.7Z' },
+  cv: { viewBox: '0 0 100 92.3', path: 'M6.5 9.7 2.8 10.5 1.2 10.1 0.7 7 0 4.9 0.2 4 8.6 0 11.5 0.7 13.6 3.9 12.2 5.6 6.5 9.7ZM17.1 14.7 14 15.6 12.1 15.5 9.3 14.1 10.2 12.6 13.2 11 15.2 10.6 16.9 13.6 17.1 14.7ZM92.2 20.9 91 22.9 89.6 19.9 88.8 19.3 88.4 15 90.6 13.8 91.6 13.7 91.6 18 92.2 20.9ZM47.1 22.3 48.7 23.4 49.2 24.3 46.9 24.7 41.3 23.2 39.8 24.1 38.3 27.3 35.5 22.5 35.7 20.7 36.3 20.1 40.2 21.4 47.1 22.3ZM91.1 37.3 94.3 38 95.5 37.8 97.5 37.9 99.6 40 100 42.1 98.9 44.9 94.8 47.1 92.4 46.8 89.6 44.8 91.2 40.8 91.1 37.3ZM71.3 85 69.1 88.6 64.1 88.3 61.5 86.8 58.5 82.4 58.6 78.9 59.7 75.9 59.5 73.3 59.9 72.6 61.5 73.1 61.7 74.8 66.2 79.1 67.9 79.9 71.3 85ZM81.2 80 80.1 80.2 78.6 78.4 78.9 76 78.8 75.4 80.1 72.8 82.9 73 83.6 75 83.7 78.9 81.2 80ZM38.9 90.9 35.9 92.3 33.9 91.7 31.9 90.2 31 88 31.8 86.1 35.7 83.8 38.1 84.6 39.3 88 38.9 90.9Z' },
+  cw: { viewBox: '0 0 100 83.5', path: 'M100 79.9 87.2 83.5 40.1 59.4 1.2 20.4 0 0 10 1.7 20.1 9.5 35.8 37.2 81.3 55.3Z' },
+  cx: { viewBox: '0 0 100 95.7', path: 'M100 44.7 79.8 95.7 42.7 67.7 0 58.6 8.3 20.7 43.4 15.4 60.9 13.4 85.9 0Z' },
+  cy: { viewBox: '0 0 100 59', path: 'M95.9 3.7 72.8 20.1 71.3 24.9 72.3 28.3 75.5 32.3 76.4 33.4 77.6 36.5 72.5 37.4 67.5 37.7 64.7 37.3 62 37.4 53.8 46.2 49.4 49.2 44.1 51 38.8 52.1 36.1 52.2 33.7 53.3 32.1 55.3 32.1 57.3 31.3 59 28.4 58.6 27.2 55.4 25.1 54.1 19.9 54.8 17.4 54.7 9.1 51.6 6.6 50.4 5 47.8 0.7 38.3 0 31.3 4 33.1 7.7 31 11.3 27.4 15.6 26 18.2 26.6 20.9 27.2 25.7 26.1 27.7 20.8 28.4 14.7 36.5 16.5 44.7 17.4 51.3 17.7 57.9 16.7 78.1 10.2 83.9 6.3 87.4 5 93.6 1.8 100 0Z' },
+  cz: { viewBox: '0 0 100 56.4', path: 'M40.3 4.2 41.6 4.1 42.9 3.6 43 2.6 42.9 0.8 45 1.1 47 1.9 47.3 3.6 47.8 4.5 48.4 5.3 49 5.7 50 5.7 52.7 6.8 54 7 55.3 7.7 56.4 8.5 57.2 8.6 57.6 9.4 58.1 10 59 9.5 62.2 9 63.3 9.8 64.1 10.6 63.8 11.6 63.6 12.2 62.2 13 61.6 13.6 61.1 14.3 61.4 15 62.3 15.6 62.9 15.7 65.2 18.4 66.8 21.3 67.5 21.8 68.1 21.9 68.8 21.5 69.5 20.5 70.5 19.8 71.3 19.5 72.7 18.7 71.6 16.2 70.9 14.6 72.5 14.5 75.1 15.4 79 18.3 79.7 18.3 81 18 82.5 17.6 83.2 17.1 83.7 18.8 83.3 19.7 81.6 20.5 82.1 21.5 82.9 21.8 83.9 22.8 84.6 24 85.2 24.5 85.8 24.8 87.4 24.2 87.9 23.7 89 24 90.7 25 91.6 25.7 92.2 26.1 92.8 25.8 95.3 26.4 96 26.9 96.2 27.8 96.5 29.7 99.6 33 100 34.7 99.6 35.4 98.8 35.7 97.7 35.9 96.5 35.8 95.6 36.4 94.7 37.4 93.8 38.1 93.3 38.7 93.1 39.3 90 41.1 89.6 41.8 89.3 42.9 89.1 44.2 88.9 45.4 88.4 46.1 86.8 46.6 86.1 47.6 85.2 48.5 84.1 49.4 82.1 50.5 80 50.8 77.2 50.5 75.6 50 74.8 50.5 73.8 51.8 72.6 54.2 72.1 55.9 71.1 53.6 70.4 53.3 69.3 53.2 68.6 52.9 66.9 51.8 66.1 51.5 65.1 51.4 64.1 52 63.4 52.8 61.2 52.8 58.8 52.4 55.4 50 54.5 49.9 53.6 50.1 52.1 49.5 49.1 47.9 47.8 47.5 46.9 47.7 46.1 48.1 45.2 47.6 44.2 47 43.1 46.9 42.4 50.8 42 52.1 40.5 52 40 52.6 38.8 54.3 38.6 55.9 36.5 55.6 35.6 55.3 34.7 55.5 33.8 56.4 31.1 56.4 29.1 55.8 28.2 53.8 27.2 53 26 52.3 24.9 51.1 23.7 49.7 21.6 47.8 20 47.9 19.5 47.4 19.2 46.7 18.5 45.5 17.8 44.7 16.9 44.4 15.6 43.3 13.9 41 12.3 39.4 10.7 39.5 9.8 38.6 8.8 37.5 8 36.5 6.9 33.9 6.1 32.4 5.4 31.5 4.7 30.7 4.5 30.1 5.3 28.7 5.7 28 6.1 27.5 6.3 26.5 5.5 25.2 4.4 24.2 2.8 23.2 1.7 21.9 1.4 20.7 1.3 20.1 0.6 19.2 0 17.9 0 17.2 0.7 17 1.3 17.5 2.1 18.5 2.8 20 3.2 19.4 4 17.8 5.4 16.1 6.8 15.1 8.1 15 9.1 14.7 10 14.2 11.5 14.4 12.7 14.7 13.5 13.6 13.7 12.8 16.2 12.3 17 10.8 18 10.6 18.6 10 19.5 10 20.5 9.9 21.3 8.1 23.9 7.5 26.8 6.5 28.3 5.6 29.8 5 31.3 4.1 33.8 3.3 32.8 2 32.4 1.4 32.1 0.8 32.5 0.2 33.1 0 33.8 0.3 35.9 0.7 36.6 1.9 37.2 2.8 37.4 4.3 38.1 4.8 39.1 5.2 39.7 5.1 40.2 4.6Z' },
+  de: { viewBox: '0 0 73.8 100', path: 'M19.7 3.8 19.6 2.1 20.5 0 20.5 0.6 20.2 1.8 22.3 2.3 20.1 3 19.7 3.8ZM31.3 3.3 32.5 3.9 33 4.5 33.6 5.4 33.6 6.7 32.9 7.6 32.3 8.2 34.5 8 35.1 9.1 36.3 8.6 39.3 10.3 41.1 9.5 41.9 10.8 41.5 12.2 39.9 13.6 40.3 14.5 42.3 14.5 44.6 15.4 47.1 13.1 47.8 12.7 50.4 12.4 50.8 11.6 51.9 10.8 52.5 9.9 54.1 8.2 55.8 8.5 56.7 8.9 57.8 9 58.7 10.8 61.2 12.7 63.4 12.6 64.2 14.4 64.5 16.7 65.2 17.4 65.8 17.8 67.6 18.3 67.9 19.8 68 20.7 68.9 24.4 68.9 25.3 68.6 26.8 68 27.8 67.2 28.4 66.7 29.1 66.6 29.8 67.6 31.1 69.7 32.9 70.6 34.4 70.2 35.7 70.1 36.7 70.2 37.3 70.6 37.8 71.3 38.7 71.2 39.4 71.7 40.3 71.4 41 71.2 41.9 71 42.6 70.4 43.6 70.6 44.4 71.1 45.3 71.6 46.2 71.3 47.3 72.9 48.3 73.3 49.5 73.8 51.1 73.4 53.1 73 54.2 72.2 55.9 71.8 56.6 70.9 56.4 70.6 55.4 70.1 54.9 69.7 54.2 68.6 54 67.9 53.9 67.8 54.6 68.6 55.4 67.2 56.1 66.4 56.5 65.6 56.8 64.8 57.3 63.2 57.9 62 58 61.4 59.2 60.8 59.3 60 59.5 59 60.5 57.7 60.8 57.3 61.7 56.5 61.6 55.7 61.5 54.6 61.9 53.9 62 53.1 62.5 52.4 63.5 52 64.3 51.4 63.8 50.9 63.3 50.3 63 50.2 63.6 50.5 64.2 50.9 64.7 51.2 65.7 51.7 66.4 52.6 66.9 53.2 67.5 53.6 68.2 53.5 68.8 53.1 69.4 52.6 70.2 53.2 70.9 54 72.2 54.6 73.6 55 74.2 55.5 74.8 56.1 75.2 56.9 75.2 57.7 76.1 58.7 77.3 59.4 77.9 60.3 78.5 60.6 79.2 61.1 79.8 62 79.8 63.1 80.8 63.8 81.5 64.1 82.1 64 83.1 64 83.9 63.4 84.9 61.5 84.4 60.9 86.7 60.2 87.4 59.3 87.8 58.7 87.9 56.7 89 56.1 89.5 55.6 90.1 56.3 91.6 57.2 92.7 57.2 93.7 56.8 94.5 57.4 94.9 58 95.5 57.9 96.4 57.8 97.3 57.3 97.7 56.6 97.3 56 96.9 55.8 96.3 55.7 95.7 55 95.4 54.3 95.5 53.7 95.8 53 95.4 52.4 95.1 51.7 95 51.1 94.9 51.1 95.6 47.2 96.4 46.1 96.8 45.2 97.3 44.6 97.5 43.8 98.3 43.2 98.4 42.5 98.5 41.8 98.7 41.1 98.3 40.6 97.7 40.4 97.1 39.4 97.1 38.7 96.8 37.3 96.9 36.6 98.4 36.4 99 35.9 99.6 35.3 99.9 35 99 34.2 98.8 34 98.2 33.2 97.3 32.1 96.8 31.4 96.5 30.6 97.1 29.7 97 28.1 96.2 26.8 95.3 24.4 95.5 24 95 23.4 95 22.3 94.2 21.4 94.2 20.8 94.6 20.6 95.4 21.7 95.5 21.1 96 19.9 96.1 18.9 96.1 18 96.5 16.7 96.6 14.8 96.6 14.2 96.3 13.5 95.3 13.6 94.1 14 92.5 14.1 91.4 13.9 90.6 14.2 89.5 14.9 88 15.4 86.5 15.6 84.8 16 83.7 16.7 83 18.3 80.8 18.4 79.6 17.3 79.1 15.7 78.8 14.1 78.5 13.5 78.2 12.9 77.4 11.7 77.7 10.8 77.9 10.2 77.7 9.5 77.9 9.2 77.1 8.3 76.7 7.8 77.2 7.1 77.3 6.1 75.7 5.7 75 5.5 74.4 4.9 73.8 4.2 73.6 4 73 4.2 71.9 4.4 71.3 5.1 70.6 5.1 69.4 3.8 68.9 3.2 68.5 2.8 68 2.3 67.2 2.1 66.5 2 65.7 2.6 64 4.1 62.9 3.9 61.9 3.9 61.2 2.8 60.6 2.5 60 3.1 59.4 2.4 58.9 1.2 57.7 1.5 55.5 1.2 54.9 0.3 54.5 0 53.9 0.7 53.8 2.2 52.4 1.8 51.7 2.5 49.7 2.7 49 2.7 48 2.3 47.2 1.9 46.6 1.6 45.8 0.7 44.5 1.2 43.5 1.9 43.3 2.5 42.9 3.5 43.3 4 43.7 4.6 43.2 5.3 43.3 7.1 42.5 7.6 41.8 6.9 40.9 7 40.3 7.6 39.9 9 38.7 9.4 37.9 9.5 37 9.5 36.4 8.9 35.6 7.9 35.6 7.2 35.3 6.8 34.8 6.9 34.2 6.8 33.5 9.3 33.1 9.6 31.6 10.1 29.7 10.6 28.6 10.7 25.7 10.8 24.4 10.4 23.8 9.6 23.1 9.8 21.8 10.1 20.7 10.9 19.4 11.5 19 14.3 18.8 17.3 18.9 18.6 20.9 18.1 21.9 18.9 22.4 19.5 21.3 19.7 20.3 20.9 20.8 21.2 22.9 21.6 20.7 21.3 19.2 21.5 17.7 21.9 16.9 24.5 16.9 27 16.6 27.9 17.2 30 20.1 30.7 20.6 31.6 20.7 30.4 20.1 27.8 16.6 27.1 16.2 25.9 16 25.1 15.7 24.7 15.2 24.6 11.1 24.1 10.6 23.5 10.4 22.5 10.6 22.3 9.8 22.5 9.2 24 8.8 24.9 8.2 25 7.3 24.4 6.5 23.6 5.1 22.8 3.7 22.7 2.2 24.2 2.2 26.8 3 27.4 3.5 28.1 3.5 29.3 3.1 30.3 2.9 31.2 3.3ZM22 4.8 20.9 5.1 20.6 4.5 21.4 4.2 22 4.8ZM63.3 9.4 63.5 10.3 62.3 10 61.4 10 60.9 11.2 59.1 10.2 58.8 9.2 59 7.7 59.4 6.6 59.5 5.9 60.3 5 60.9 5 61.2 5.7 62.7 6.7 62.9 7.3 62.4 8 62.4 8.8 63.3 9.4ZM43.7 8.9 42.5 9 42 8.4 41.8 7.6 43.3 7.8 43.7 8.6ZM67.3 15.3 67.3 16.4 66 16.5 65 16.3 64.8 15.5 65 14.7 64.6 14.2 64.1 13.4 65.9 14.2 67.3 15.3Z' },
+  dj: { viewBox: '0 0 91.7 100', path: 'M82.5 68.5 77.7 76 71.5 85.7 64.5 96.7 60.1 96.8 56.8 96.2 54.4 94.3 49.6 92.3 44.2 92.1 39 94 30.3 96.4 22.4 97.2 16 98.5 10.7 100 6 99.2 1.9 97.8 1 86.1 0 73.4 0.1 63.4 1.5 57.9 2.8 55.8 10.3 48.2 12.9 45.1 21.4 32.6 28.7 21.8 34.2 13.8 35.9 12.2 38.2 10.6 39.8 11.1 50.5 18.8 52.3 18.6 55.9 16.2 59.1 7.9 61.4 4.9 62.3 5 69.2 2.6 75.3 0 76.1 2.7 85.5 13.9 88.5 19.4 91.7 29.4 90 35 87.6 38.7 84 41.9 71.5 49.9 57.6 54.9 48.8 65.1 42.2 64.4 43.2 68.2 45.6 68.6 49.5 67.9 57.1 65 63.9 63.6 71.2 63.5 77.9 64.7Z' },
+  dk: { viewBox: '0 0 100 79.5', path: 'M23.1 74.6 21.9 74.4 21.3 73.9 19.6 74.2 17.4 75.1 16.2 75 15.2 74.1 11.1 72.9 10.5 72.7 7.8 72.7 7.7 70.7 7.4 69.2 6.4 67 7.8 66.4 7.5 62.1 7 59.9 3.2 57.6 0.2 55.3 0.9 47.7 1.2 45.6 0 41.6 0.1 37 0.6 29.6 1.6 29.3 2.3 29.4 5 30.7 6.2 30.8 6.9 32 7.9 32.5 8.5 31.3 8.8 29.1 10.9 26.3 12.5 25.3 13.5 24.8 14.5 25.9 15.3 27.2 15.5 24.4 16.2 19.1 14.1 18.3 12.4 19 10.8 22.4 9.3 26.6 6.9 27 5 28.2 3.2 26.9 2.1 25.8 2.1 24.2 2.3 23.3 4.4 19.8 7.1 16.5 9.9 16.6 11.9 15.5 13.1 15.4 16.8 15.6 18.7 14.9 20.4 13.3 24.2 6.9 26.3 4.1 30.5 3.2 34.4 0 35.5 0 33.7 2.3 33.4 3.3 33.1 4.6 34.5 7.6 34.2 9.5 34.3 13.1 33 14.9 31.6 18.9 31 19.5 30.9 24 31 25.1 30.8 29.3 32.3 31 33.8 31.9 38.8 31.8 39.4 32.6 40 33.9 39.5 36 39 37.7 37.5 39 35.6 40 34.5 40.1 32.9 38.1 32.1 38.8 31.3 39.8 30 45.1 29.4 48.6 28.3 48.4 27 48.3 25.4 49.2 26.3 49.9 27.1 51.2 26.8 51.9 25.4 52.6 24.1 54 23.6 55.1 22 56.4 21 58 21.5 60 21.7 61.7 22.1 63.7 21.7 65.2 19.7 67.4 19 69.3 20.7 69.3 21.7 69.7 22.4 70.3 23 71.1 22.6 72.1 23.1 74.6ZM41.8 12.8 41.2 13.4 39.2 12.5 40.1 11.3 42.3 10.8 43.5 10.9 42.1 12.2 41.8 12.8ZM63.4 50.6 63.4 53.2 63.1 53.9 62.5 54.4 61.1 54.9 59.9 55.6 58.8 56.9 58.4 58.7 59.2 60 60.8 60.7 61.2 63.2 59.9 64.4 56.6 65.6 56.2 68.6 56.3 70.9 56.3 72.6 56 74.9 53.3 75.9 51.6 72.4 51.6 71 51.1 69.3 51 67.9 50.4 65.7 47.8 65 46.8 65 45.5 65.4 43.5 62.1 43.7 58.7 42.9 56.9 42.7 56.2 42.8 55.3 42 54.6 41.2 54.2 40.7 52.2 41.7 51.8 44.2 52 45 51.9 45.6 51.5 47.7 48.3 47.6 47.5 47.8 46.6 50 46.3 51 47.5 50.8 49.5 50.9 52.1 52.2 52.7 53.3 51 53.6 50.1 54.2 49.5 54.3 47.8 54 46.8 53.4 46 55.8 43.9 58.4 42.2 59.9 42.1 61.4 42.5 62.8 43.1 63.5 43.5 63.9 44.3 63 46.2 62.8 47.3 63.4 50.6ZM35.4 50.7 34.3 50.7 34.2 49 34.5 47.6 34.1 46.2 34.6 45.4 35.8 47.4 36.2 48.3 35.7 49.4 35.4 50.7ZM64.8 55.4 63.4 56.5 62.7 54.9 63.4 54.1 63.8 53.3 64.5 54.1 64.8 55.4ZM36 55.1 36.6 56.4 37.3 59.2 38.5 62.3 38 63.6 38.3 65.3 38 67 35.7 69 33.1 69.1 30.4 68.1 26.6 66.2 26.3 65.2 25.8 64.6 24.8 61.4 24.8 57.4 26.7 56.9 30.9 55 31.8 55.3 32.8 56.3 34 56.4 35.7 55ZM99.3 69.8 98.8 70.2 96.4 69.5 93.5 67.8 94 64.4 94.7 62.9 99.9 66.7 100 68.1 99.3 69.8ZM37.2 76.5 36.6 76.6 35.8 74.6 35.6 74 36.7 72.7 37.3 71.2 39 69 40 66.4 39.9 68.8 37.7 75.3 37.2 76.5ZM27.7 73.1 26.2 73.5 25.4 72.9 24 72.6 23.5 68.8 24.4 68.9 26.8 70.6 27.6 72.6ZM63.1 71.1 62.6 71.5 60.4 71.3 57.9 73 57 72.4 57.3 71.3 58.4 70.5 59 69.8 59.2 68.7 59.7 69.3 61.2 69.5 62 69.9 62.6 70.4 63.1 71.1ZM33.7 74.1 32.7 74.3 31.6 73.8 29.9 71.8 29.6 71.2 30.6 71.6 31.7 72.6 32.7 72.9 34 73.7ZM46.2 73 48.7 74.5 50.4 74.4 51.6 75.1 51.9 76 52 78.2 50.7 78.8 49.4 78.6 47.6 79.5 41.5 75.9 41.6 72.9 41.9 71.8 44.7 71.5 46.2 73Z' },
+  dm: { viewBox: '0 0 55 100', path: 'M47.7 94.6 25.3 100 15.7 57.5 0 26.6 2.7 7.3 5.5 0 38.5 11.8 48.8 26.2 55 64.1Z' },
+  do: { viewBox: '0 0 100 65.3', path: 'M6.3 53.8 6.5 49.1 7.2 47.2 6.5 45.2 3.5 43.1 1.6 40.3 0 37.8 3.7 37.4 4.8 36.5 7 34 7.5 32 7.3 30.4 5.8 28.6 5.3 26.7 7.1 25 9.4 22.6 9.7 21.6 9.7 20.7 6.9 18.1 6.8 17 8 14.2 7.9 12.3 6.6 6.5 6 5.7 7.2 5.2 8 3.4 9.1 1.9 10.5 1.1 12.1 0.5 15.3 0.6 19.6 1.9 20.9 1.9 25.1 0.7 28.6 0 31.9 0.8 33.2 1.8 35.9 3.5 37.3 4 41.5 4 42.7 4.1 46.3 6.9 49.3 8 51.1 8 54.3 7 55.8 7 57.6 9.4 58 12.7 59.5 15.8 61.8 17.7 73.1 16.9 75.6 18.5 74.7 19.8 73.1 20.5 67.8 20.2 65.4 20.4 64.9 21.7 64.9 22.9 68.1 23.2 71.1 23.8 74.3 24.8 77.5 25.5 81.1 25.9 84.6 26.7 90.6 29.1 97.1 34.5 98.8 35.8 100 37.5 99.4 39.6 97.1 43 95.8 44.1 93.9 44.8 92.5 46.2 91.3 48.6 90.5 48.8 89.6 48.7 88 47.3 86.9 45.3 83.7 43.3 80 43.5 74.4 42.4 71.1 42.9 67.8 43.1 64.3 42.5 60.9 42.3 57.5 43 54.1 44.3 52.9 45.1 50.8 47 49.6 47.8 41.5 48.7 39.2 47.3 37 45.3 33.9 45.1 29.4 46.6 26.6 47.1 25.4 47.8 25.1 48.5 25.1 51.3 24.4 52.9 20 59.2 17.5 63.7 16.5 65 15.3 65.3 13.2 62.8 11.8 61.9 10.1 61.4 9.3 60.1 9.4 58.1 8.9 56.3 7.9 54.8Z' },
+  dz: { viewBox: '0 0 100 99.5', path: 'M83.6 0.9 83.7 1.6 82.9 2 82.6 2.8 81.9 3.3 82.3 3.8 82.5 4.4 82.3 5.4 82.1 6.3 82 7.3 82.2 8.2 82.4 9 82.3 10.1 82.5 10.7 82.7 11.3 82.3 12 82.1 12.6 82 13.5 81.7 14.6 81 15.3 80 15.9 79.6 16.8 78.6 17.6 78.3 18.5 78.4 19.3 78.5 20 79 20.9 79.4 22 79.5 22.6 80.2 23.1 81.2 23.6 81.8 24.5 82.3 25.8 82.4 26.7 83.3 27.4 84.1 28.1 84.9 28.6 85.7 29.2 86.1 30.7 86.4 32 86.7 33.4 87 34.8 87.4 36.4 87.6 37.3 87.8 38.5 88.1 39.8 87.1 40.4 87.5 41.1 88.3 42.2 88.7 43.1 89.2 44.6 89.5 45.6 89.7 46.8 89.6 49 89.8 51.8 90.1 53.2 89.6 54.5 89.2 55.7 89.3 56.3 89.5 57.3 89.7 58 89.9 59.5 88.9 60.5 88 61.1 87.7 62.1 88.4 63.5 89.4 64.9 90.5 66.5 90.6 68 91.1 69.3 91.5 69.9 92 70.7 92.6 71 93.8 70.6 95.8 71.2 97.8 71.9 98.3 72.8 99 74.1 99.5 75.1 100 76.1 97.5 77.7 95 79.3 92.5 80.9 90 82.4 87.5 84 85 85.6 82.4 87.2 79.9 88.8 78.3 89.8 77.2 90.7 75.9 91.9 74.6 93 73.7 93.9 72.4 95.1 71.7 95.7 70.3 97 68 97.6 66.3 97.9 64.7 98.2 63.6 98.5 62.5 98.7 61 99 59.9 99.2 58.7 99.4 58.1 99.5 57.4 99 57.2 98.3 57.6 97.6 57.7 97 57.6 95.7 57.2 95.1 56.5 94.7 55.9 94.5 55 94.3 54 94.1 53.1 93.2 51.4 92.9 50.5 92.6 50 91.9 48.3 90.6 47.7 90.1 47.7 89.3 47.6 88.6 46.9 88.1 45.3 87 43.7 85.9 42.1 84.8 40.5 83.7 39 82.6 37.4 81.5 35.8 80.4 34.2 79.2 32.6 78.1 31 77 29.4 75.9 27.9 74.7 26.3 73.6 24.7 72.5 23.1 71.4 21.5 70.2 20.2 69.3 18.7 68.3 17.6 67.5 16.5 66.8 15.3 66 14.6 65.5 13.7 64.9 12.7 64.3 11.8 63.7 10.9 63.1 10 62.5 9.1 61.9 8.2 61.3 7.3 60.7 6.4 60.1 5.5 59.5 4.6 59 3.6 58.4 2.7 57.8 1.8 57.2 0.9 56.6 0 56 0 54.9 0 54 0 52.6 0 51.5 0 50.3 0 49.5 0 48.7 0.1 48.1 1.4 47.3 2 46.7 3.3 45.9 4.8 44.7 5.8 44.4 6.5 43.9 7 43.4 7.7 43.1 8.8 43.3 9.9 43.5 10.5 43 10.5 42.3 11.3 42.1 12 42.1 13 42 14.1 41.8 15 41.5 15.7 41.3 16.4 40.7 17 40.1 17.5 39.2 18 38.5 18.9 38 19.7 37.7 21.1 37.2 22 36.5 22.7 36 23.4 35.9 24.1 35.8 24.5 35.1 24 34.7 23.5 34 23.7 33.4 23.5 32.6 23.4 32 24.1 31.5 25.4 31.5 27.4 30.8 27.7 30 28.1 29.4 28.9 29.3 29.8 29.1 31.2 29.1 32 29.2 33.2 29.2 34.1 29.3 34.9 29.3 35.9 29.3 35.9 28.3 36.4 27.5 36.7 26.7 35.8 26 35 25.3 34.5 23.7 34.2 23.1 33.9 22.3 34.1 20.8 33.8 20 33.7 19.2 33.9 18.4 33.8 17.3 33.4 16.2 33.7 15.6 33.3 15.1 33.2 14.5 33.4 13.9 32.7 13.4 31.7 12.6 31.3 11.9 32.3 12 33.9 11.4 34.9 10.7 35.6 10.3 36.2 9.6 36.8 9.1 37.6 8.5 40 7.4 41.1 7.6 41.8 7.6 42.3 7.1 42.8 6.2 43.6 5.6 44.5 5 45.9 4.4 46.8 3.9 48.1 3.4 51.6 3.2 53.4 2.9 54.6 3 55.8 2.1 56.4 1.9 59.1 1.8 60.3 1.2 65.1 1.2 65.7 1.4 67.2 2.5 68.3 2.5 69.8 1.8 71.4 1.4 72.3 0.9 72.7 0.3 73.5 0 73.9 0.5 75.6 1 76.6 0.9 76.9 0 78 0.2 78.9 0.6 79.8 1.3 80.4 1.4 81.4 1.1Z' },
+  ec: { viewBox: '0 0 100 39.1', path: 'M99.8 9.5 99.1 9.7 98 9.6 98.5 10.3 98.9 11.3 99.5 11.9 99.9 12.4 99.8 13.1 100 14.6 99.4 14.7 98.8 15.3 98.4 16.8 98 18.1 97.6 18.6 97 19.3 96.1 20.3 94.9 21.7 94 22.4 93.2 22.9 92.4 23.6 91.3 24.4 90.1 24.8 88.3 25.4 87.1 25.8 86.2 26.2 85.3 26.5 84.1 26.9 83.6 27.3 82.8 28.3 82.1 29.1 82.3 29.8 81.7 29.6 81.1 29.4 80.8 30.6 80.7 31.3 80.4 32.1 80.1 32.8 79.6 34 79.3 34.6 79.1 35.4 79.1 36.2 78.7 36.7 78 37.1 77.6 37.7 77.3 38.4 76.9 38.9 76 38.9 75.1 38.7 74.7 38.2 74.1 37.1 74 36.3 73.2 35.8 72.3 36 71.3 35.4 70.7 35.1 69.8 35 69.3 35.6 68.7 35.9 68.1 35.7 68.3 35.1 68.9 34.3 68.3 34.3 67.9 33.5 68.4 32.9 69.2 33.1 69.6 32.6 69.7 31.8 69.7 31 69.5 30.2 69.4 29.6 70.1 29 70.9 28.4 71.3 27.9 72.1 25.6 72.7 24.4 72.1 23.1 72 21.9 71.8 23.5 71.5 24.3 71 23.1 70.3 24.1 69.5 24.7 68.7 25 66.9 23.3 65.9 23 65.4 22.6 65.7 21.8 66.3 21.4 66.4 20.5 66.4 19.9 65.9 18.7 66.1 17.2 66 16.6 65.5 15.3 65.9 14.7 67.2 14.3 67.7 13.9 68 13 68.3 12.4 69.3 12.6 68.7 12.3 68.2 11.4 69.1 9.8 70.2 8.8 70.8 7.9 70.9 6.3 70.7 5.2 70.5 4.1 71.6 3.6 72.3 3.2 73.4 2.9 74.3 2.4 75.7 2.1 77.7 1.5 78.2 1 78 0 78.7 0.6 79.6 1.3 81.3 2.5 82.1 2.9 83 3.4 84.3 3.8 85 3.7 85.4 4.4 86.1 4.8 86.7 6.2 87.5 6.6 88.3 6.7 89.3 7 90.4 7.3 91 7.2 91.7 7.4 92.4 7.4 92.9 7 93 6.4 93.8 6.2 95 6.7 95.6 7.3 96.1 7.9 96.8 8.3 97.7 8.4 98.7 9 99.8 9.5ZM77.7 1.2 77.8 0.6 77.7 1.2ZM2.3 8.7 2.9 10.2 4.1 11.3 4.3 12 4.8 12.9 5.2 13.4 4.6 14.5 3.2 15 1.7 15 1 14.4 1.2 13.7 2 13.1 3.1 12.6 2.8 11.8 2.5 11.1 1.7 10.6 1.4 9 0.6 9.1 0.9 8.4 1.8 8.1 2.3 8.7ZM6.6 10.8 5.2 10.8 5.1 10 6 10 6.7 10.5ZM1.4 11.6 0.8 11.7 0 11.2 0 10.5 1.2 10.4 1.5 11.4ZM8 13.5 6.8 12.9 7.2 12 8.4 11.8 9 12.1 8.9 12.8 8.5 13.3ZM13.6 14.3 12.9 14.6 12.9 13.8 13.6 13.2 14.2 12.9 14.4 13.6 13.6 14.3ZM7.5 16.9 6.9 16.7 7.5 16.3ZM70.2 26.8 69.5 27 69.5 25.9 70.2 25.2 71.1 25 71 25.9 70.2 26.8Z' },
+  ee: { viewBox: '0 0 100 64.3', path: 'M97.8 4.8 98.6 5.8 99.7 7.4 100 8.3 99.6 8.8 98.6 9.2 97.9 10.5 96.6 10.7 96 11.3 95.2 13.9 93.8 18.3 91.6 21.6 89.9 23.4 89.1 24.7 88.6 26.4 88.5 28 90.2 37.1 90.1 38.7 89.8 40.4 89.5 42.1 89.7 43.6 90.8 46.1 92 49.8 92.4 52.2 93.2 53 93.9 53.7 94.1 54.5 90.3 56.2 89.9 57.2 89.5 58.4 88.1 60.1 87.6 61.7 87.4 63.6 87.3 64.2 84.7 63.9 82.3 62.7 81.2 61.8 80.1 61.8 78.9 62.4 74.3 64.1 73.2 63.7 70.6 62.1 69.3 60.2 66.3 56.6 66.1 55.7 65.7 55 62.6 54.1 61.4 52.8 60.4 52.6 59 51.9 55.3 49 54.4 48.7 54.3 49.9 53.6 50.3 52.7 49.2 51.7 48.3 48.5 50.1 47.4 50.5 46.4 50.6 41.3 52.9 39.8 54.2 39.2 54.1 39.3 52.9 41.4 47 41.8 42.3 42.6 41.7 42.8 41 42.5 39.5 40.3 38.6 39.4 38.7 38.6 40.3 37.8 41.5 35.9 42.2 34.2 41 30.4 39.3 29.4 37.2 29.2 35 27.1 32.8 26.3 30.3 26.6 28.6 28.5 27.4 29 26.4 26.6 26.5 26.1 25.4 25 22.3 25.9 21.1 26.3 19.9 25.6 18.9 25.8 17.7 26.4 16.5 26 13.8 28.3 12.4 30.6 11.4 35.4 10.8 34.9 8.3 36.8 8.2 40.1 5.2 43.3 5.7 48 3.7 57 3.7 58.2 2.5 58 1.3 58 0 59.7 0.4 62.5 0.1 73.1 2.7 75.7 2.7 79.4 5.2 81.3 5.9 87 5.9 95.9 7 97.6 5.3ZM17 25.2 15.7 26.7 14.9 26.1 14.5 25.4 12.8 28.8 10.9 29.4 9.8 28.7 9.9 27.4 8.9 24.1 7.2 23.1 4.9 23 3.2 21.6 9.7 20.7 10.3 19 11.7 17.4 12.6 17.2 13.5 17.6 13.6 18.9 16.8 20.1 17.9 22.3 18.3 25 17 25.2ZM23.7 33.6 22.3 33.9 19.2 31.8 19.9 30.3 20.8 29.7 23.5 30.6 23.9 32.8 23.7 33.6ZM12.1 31.5 13.2 32.2 14.3 32 15.3 31.4 17.6 31.9 22.8 35.6 23.3 36.6 20.2 37.1 19.5 38.2 18.8 39 17.9 39.3 16.4 40.8 14.3 42.4 13.9 43.3 10.2 43.1 8.2 43.7 6.6 45.4 5.9 48.7 4.7 51.2 3.5 52.1 2.3 52.3 2 51.3 2.1 50.4 4.7 46.8 5.3 45.6 4 45.1 2.9 43.8 0.4 42.3 0 41.2 0.6 41.1 1.1 40.7 1.8 39.7 2.1 38.6 0.1 35.2 1.1 34.7 2.3 34.8 3.6 35.8 5 34.7 5.6 34.5 6.5 34.9 7.5 32.7 9.8 32 11 31.3 12.1 31.5Z' },
+  eg: { viewBox: '0 0 100 88.6', path: 'M78 3.2 78.4 4.3 79.1 6.3 79.7 7.9 80.4 10.1 80.7 11 81.8 14 82.4 15.9 82.9 17.5 83.6 19.9 83.8 20.7 82.5 22.6 81.5 27.4 80.1 31.1 79.9 33.5 79.7 34.3 79 35.5 78.2 36.6 76.8 36 74.4 34 73.1 32.1 71.6 30.8 70.2 29.2 69.8 28 69.9 27.2 69.3 25.4 68.8 24.5 67.1 22.5 66.6 21.4 65.9 20.3 65.3 17.7 64.6 16 63.9 16.5 64 17.2 63.3 18.1 62.9 19.2 63.2 20.2 64.6 21.5 64.9 22.1 65.2 23.5 65.2 25.2 65.4 25.8 66.4 27.1 66.8 27.9 67 28.6 67.3 29.2 68.4 30.4 69.8 32.5 71.2 34 72.3 34.7 72.7 35.4 72.8 37.2 72.7 38.1 73.6 39.7 73.9 40.5 74.8 41.2 75.2 42 75.5 43.2 76.1 46.9 76.8 47.8 79.1 52.6 81 55.6 82 57.9 83.4 60.6 86.2 66.6 87.9 68.4 88.5 69.5 89.8 70.3 91.1 71.4 89.8 71.3 89.1 71.6 88.9 72.3 88.9 75.8 89.3 77.3 90.4 80.2 91.2 81.1 91.6 81.7 92.1 82.1 94.7 83 96.2 85.1 99.7 87.7 100 88.5 97.3 88.6 94.6 88.6 91.9 88.6 89.2 88.6 86.5 88.6 83.8 88.6 81.1 88.6 78.4 88.6 75.7 88.6 73 88.6 70.3 88.6 67.6 88.6 64.9 88.6 62.2 88.6 59.6 88.6 56.9 88.6 55.3 88.6 55.6 87.9 55.7 87.3 55 86.8 53.9 88.6 52.5 88.6 49.4 88.6 46.2 88.6 43.1 88.6 40 88.6 36.8 88.6 33.7 88.6 30.5 88.6 27.4 88.6 24.3 88.6 21.1 88.6 18 88.6 14.8 88.6 11.7 88.6 8.6 88.6 5.4 88.6 2.3 88.6 2.3 86.7 2.3 84.7 2.3 82.7 2.3 80.7 2.3 78.7 2.3 76.7 2.3 74.7 2.3 72.7 2.3 70.7 2.3 68.7 2.3 66.7 2.3 64.7 2.3 62.6 2.3 60.6 2.3 58.6 2.3 56.5 2.3 54.5 2.3 52.5 2.3 50.4 2.3 48.4 2.3 46.3 2.3 44.3 2.3 42.2 2.3 40.1 2.3 38.1 2.3 36 2.3 33.9 2.3 31.8 2.3 29.7 2.3 27.7 2.3 25.6 2.3 23.5 1.7 21.6 1.3 19.8 0.9 17.6 0.8 16.8 0.1 14.5 0 13.9 1.4 11.4 1.8 10.5 2.1 9.3 2.2 8.4 1.9 7 1.4 5.7 1.3 4.4 1.2 3.1 1.9 2.2 2.6 1.4 2.9 0.8 3.4 0.3 4.3 1.2 5.6 1.4 9.8 0.3 14.4 1.4 17 1.8 20.9 2.7 23.3 4.2 24 4.4 25.7 4.4 26.8 5.3 31.3 5.8 33.7 6.8 35.1 7.6 35.9 7.9 36.6 7.8 37.6 7.5 38.8 7 40.2 6.2 43 4.1 43.9 3.7 44.6 3.8 45.4 3.8 45.7 3.2 46.4 2.4 46.8 1.9 48.2 1.7 51.1 0.8 48.2 2.3 49.3 2.4 50.4 2.1 51.8 1.8 52.2 0.6 53.3 0.6 56.1 1.9 56.7 1.9 58.6 1.2 59.7 1.5 61.1 3 59.1 1.7 58.9 2.3 58.1 3.5 59.2 4 60 4.2 60.5 4.8 60.8 5.4 61.7 5.1 62.3 4.4 61.7 3.5 62.6 3.8 64.3 5.3 64.9 5.6 65.6 5.6 67 5.1 69.3 4.7 69.8 5.5 71.3 5 73.7 5 75.6 4.5 77.9 3.4Z' },
+  er: { viewBox: '0 0 100 86.7', path: 'M100 81.6 98.3 82.3 96.5 82.9 95.6 83.7 94.8 86 93.8 86.6 90.5 84.6 89.4 84.9 87.6 83.7 86.7 82.3 85.3 80.7 84 79.9 82.6 79 81.2 76.8 79.8 74.4 77.7 72.4 73.8 69.6 70.2 65.9 67.4 62.2 65.7 60.2 64.9 59.7 61.2 58.5 58.7 56.7 56.7 55.3 55.5 54.9 54.3 54.9 51.8 55.2 49.8 54.3 48.9 54.3 47.5 54 46.4 53.7 45.1 54.1 42.5 54.7 41.4 54.6 40.8 53.7 40.5 53 39.6 52.3 38.8 52.3 38.4 52.9 35.6 54.5 31.1 55.4 30 55.3 29.1 54.7 26.8 51.9 26.2 51.5 24.6 51.1 23.5 50.6 22.7 49.5 21.8 48.8 20.8 51 19.1 54.9 18.3 57 17.1 59.6 16.1 59.5 13.9 56.2 12.4 54.9 11.3 55.1 10.5 55.7 10.1 56.8 9.5 57.5 8.9 57.7 7.7 57.6 5.8 57.1 3.8 57.2 1.7 57.9 1 53.6 0.7 50.6 0.3 47.5 0 44.5 1.4 42.7 2.1 41 3.8 35.4 4.5 34.3 5.8 31.2 6 30.4 7.3 26.6 7.2 24 6.9 21.5 7.6 20 8.3 18.7 8.2 17.7 8.5 15.3 8.7 14.7 9.5 14.7 11.1 15 12.3 14.8 13.7 14.8 14.7 14.7 15.3 14 16.2 11.2 16.7 10.6 18.4 9.9 19.4 9.1 20.3 8.5 21.5 8.3 22.4 8 23.9 7.3 25 7.5 25.7 7.1 26.8 6.9 27.5 6.1 28.7 5 29.1 4.5 29.4 3.5 29.8 2.8 31.3 1 32.6 0 37.1 9 39 14.3 40.6 19.9 41.8 28.1 42.9 32.4 44.8 34.4 46 38.4 47.1 38.5 47.9 39.6 49.2 43.3 50.2 44.6 50.7 43.5 50.6 42.8 50.3 41.7 50.6 40.2 51.4 39.3 53.1 40.5 54 41.4 54.3 43.2 54.7 44.2 56.5 46.3 58 47 59.9 47.1 61.6 47.6 62.9 48.4 65.3 50.5 71 52.4 75.5 58.2 78.2 62.2 87 68.2 88.5 71.1 89.3 73.9 91.1 73.8 94.3 76.9 95.2 79.2 97.8 80.1 98.2 78.7 99.5 79.8 100 81.6ZM54.6 29.9 55.1 31.4 53.6 30.8 54 29.9 54.6 29.9ZM55.5 35.8 56.1 36.7 56.9 36.3 57.2 35.7 59.5 36.9 59.4 37.6 58 37.7 56.4 37.4 54.8 37.5 53 37.1 52.6 35.8 53.8 36.5 54.4 36.3 53.7 35.3 52.5 35.1 52.6 34.4 53.4 33.8 52.8 32.9 54.1 33.1 54.9 33.6 55.4 34.3 55.5 35.8Z' },
+  es: { viewBox: '0 0 100 88.5', path: 'M72.8 2.2 73.2 2.8 73.8 3 74.5 3.2 74.3 4 74.9 4.1 75.5 4.5 76.6 5 77.4 5 78.2 5.9 79 5.8 79.9 5.9 80.4 6.4 81.7 6.3 82.5 6.5 83.6 6.5 83.7 5.9 85.3 6 86.2 6.4 86.8 6.5 87.1 7.1 87.1 7.7 87.8 7.9 88.4 7.6 89 7.9 89.5 8.3 90.1 8.4 91.3 8.3 92.2 8.6 92.8 8.2 93.6 7.9 94.4 8 95.1 8.1 95.5 8.9 94.9 9.1 94.8 9.7 95.2 10.2 95.2 11 94.8 11.5 94.1 12 91.1 13.8 90.3 14.7 87.7 15.4 86.1 16 85.4 16.2 84.4 17.2 84.7 18.2 84 18.7 83.4 18.8 82.4 20.6 81.5 21.8 81 22.3 80.4 23.1 79.3 25.2 79.3 25.8 79.9 27.8 80.6 28.8 81.5 29.1 81.4 29.9 80.5 30.5 79.1 31.3 78.5 32 78.3 32.7 77.7 33.9 77.4 34.6 77.1 35.4 77.6 35.9 76.6 36.2 74.9 36.3 73.5 37.2 72.8 38.1 72.2 39.7 71.4 40.6 70.5 40.4 69.9 40.3 69.2 40.5 68.4 41 66.8 40.7 65.5 41 64.9 40.8 63.8 40.7 61.4 41 60.8 41.4 60 42.1 58.8 42.1 57.8 42.6 57.1 43.6 56.9 44.2 56.1 44.7 55 44.4 54.3 43.9 53.3 43.1 52.9 42 52.4 41.4 52.6 40.2 51.9 39.6 50.2 38.3 48.9 38.2 47.8 38.4 47.6 37 47.4 36.1 47.7 35.3 48.4 34.3 48.8 33.8 49.6 33.6 49.8 32.8 48.1 31.2 48.3 30.6 48.4 29.8 49.1 29.1 49.6 28.2 49.5 27.5 48.9 27.4 48.3 26.2 48.2 25.5 47.7 25.1 47.3 24.5 49.1 24.2 49.8 23.6 50.1 22.8 50 22.1 49.5 21.6 49.9 21 50.5 20.4 50.3 19.8 50.4 18.8 50.4 17.9 50.3 17.3 50 16.5 50.7 16 51 15.3 51.6 14.8 52.3 14.4 52.8 13.9 53.1 13.3 52.7 12.8 51.9 12.7 51.6 11.9 51.5 11.2 50.6 10.9 49.5 11 48.9 10.8 48.5 11.5 47.9 11.7 46.9 11.5 45.7 11.4 44.8 11.8 44.2 11.3 44.6 10.6 44.3 10 42.8 10.3 42.2 10.6 41.7 11 41.3 10 41.8 9.4 41.6 8.7 42 8.2 41.6 7.3 40.8 7.2 41 6.1 40.2 5.5 39.7 4.8 40 3.6 40.6 3.2 41.3 2.6 42.2 2.7 42.8 2.6 43.6 2.3 44.1 1.6 44.6 0.8 45.2 0.4 45.9 0.4 46.5 0 47.4 0.2 48.5 1 49.4 1.3 50.1 1.1 51.4 1.1 52 1.1 53.1 1 53.7 1 54.8 0.7 55.6 1.1 57.1 1.3 58.1 1.6 60.7 2.1 61.6 2.1 62.9 1.8 63.5 1.6 64.8 1.5 65.6 1.9 67.2 2.4 67.7 2 69.2 2.2 70.4 2.7 71.9 2.6 72.7 2.2ZM99.9 23.3 98.4 22.7 97.9 22.2 98.8 22 99.6 22.2 100 22.9ZM94.8 23.6 95.6 23.6 96.2 24.1 95.7 25 95.2 25.9 94.4 26.4 93.7 26 93.1 25.8 93 25.2 92.2 25.1 91.4 25 93.2 23.2 94.8 22.6 95 23.2ZM87.2 28.6 86.4 28.8 86.6 28.2 87.7 27.5 87.4 28.5ZM87.9 30 87 30 87.9 29.8ZM19.8 82.1 19.1 82.3 19.3 81.6 20.1 81.1 20.7 80.6 20.8 81.6 19.8 82.1ZM1.5 84.2 0.7 82.9 1.6 82.5 1.9 83.1 1.8 83.9ZM17.6 85.9 17 86.4 16.4 86.3 17.5 85.6 17.8 84.7 18.4 83.6 18.7 83 19.3 83.2 19.1 84.7 18.8 85.4 17.6 85.9ZM8.1 84.8 7.7 86 7.2 86.6 6.1 86 5.8 85.2 7.1 84.7 8.2 83.9 9.1 83.8 8.1 84.8ZM4.3 86.6 3.7 86.1 4.2 85.7 4.7 86.2ZM12.3 86 12.4 86.7 12.3 87.3 11.6 88 10.9 87.8 10.5 87.3 10.9 86.4 12 86ZM1.2 87.7 0.8 88.5 0.2 88.2 1 87.5Z' },
+  et: { viewBox: '0 0 100 76.7', path: 'M36.3 2.9 38.8 2.5 40 1.8 40.6 1.5 41.1 2.2 41.9 2.6 43 2.3 43.6 2.2 44.7 2.4 46 2.8 47.2 2.7 48.2 2.9 49.1 3.5 50.2 4.3 51.9 4.9 53 6 54.2 7.6 55.8 9.3 57.6 10.5 58.5 11.4 59.2 12.5 59.8 13.5 60.4 13.9 61 14.2 61.6 15 62 15.6 62.6 16.3 62 17.3 61.1 18.5 60.1 20 58.9 21.3 58.5 22.2 58.5 23.4 58.6 25 58.7 26.4 59.8 26.6 60.4 26.4 61.2 26.3 62.1 26.2 63.2 25.9 63.8 25.7 64.5 25.7 65.3 26.2 66.3 26.2 65.9 26.9 65.2 27.7 64.5 28.8 64.9 29.7 65.3 30.5 65.5 31.2 66.2 32 66.9 32.9 67.2 33.5 68 33.8 68.2 34.5 68.8 35.6 69.4 36.5 70 37.1 70.6 37.4 72.3 38.7 73.3 39.6 75.5 40.4 77.7 41.1 79.4 41.7 81.6 42.4 83.8 43.2 85.9 43.9 88.8 44.8 91.1 45.6 92.9 46.2 95.5 46.4 97.7 46.4 100 46.4 98.4 48 96.5 49.8 94.5 51.7 93.3 52.9 91.3 54.8 89.6 56.4 87.9 58.2 86.4 59.8 84.3 62 83 63.4 81 65.6 79.7 67 77.7 67 75.9 66.9 73.6 66.8 72.7 66.9 70.7 67.4 69 68.1 67.6 68.8 66.9 69.3 66.3 70.1 66.1 70.7 65.4 71.1 62.5 71.7 61.6 71.7 60.3 72.2 59.5 72.9 58.3 73.2 56.6 73.3 55.9 73.4 54.9 73.5 54 73.1 52.6 71.8 51.8 71.3 50.3 71.9 48.8 72.5 46.8 73.4 45.7 74.1 45.3 74.7 44.5 75.9 43.7 76.6 41.6 76.5 40.9 76.4 39.8 76.3 38.4 76 37.4 75.7 36.4 75.7 34.9 75.6 34 75.4 33 74.8 31.8 74 30.6 73.2 29.3 72.3 27.7 71.4 26.1 70.3 25.5 70.2 23.7 70.2 21.8 70.1 20.6 70.1 19.9 69.7 19.5 69 19 68.4 18.5 67.7 18.4 66.8 18.6 65.7 18.6 65 18.3 64.1 16.5 63.6 15.9 63.9 15.1 63.7 15.2 63.1 14.5 62.6 13.9 61.9 13.6 61.3 13.2 60.7 13.1 59.5 12.7 58.7 12.3 57.8 11.7 56 11.4 55.4 10.9 54.9 9.9 53.8 8.5 53.1 8 52.5 7.1 51.6 6.8 50.6 6 49.7 4.5 48.6 3.5 48.4 2.6 48.3 1.5 48 0.5 47.6 0 47.1 0.4 46.1 1.1 44.7 1.6 43.7 2.7 43.4 3.6 43.4 4.3 43.5 5.2 43.5 6.4 43.4 7.2 42.7 7.4 41.9 7.3 39.4 7.2 38.2 7.2 36.9 7.2 36.2 7.5 34.8 7.7 34 8.6 32.1 8.8 31.3 8.5 29.4 9 28.5 9.6 27.7 10.1 27.3 10.7 27.1 11.2 27.5 11.8 27.9 12.6 27.5 12.9 26.5 13.2 25.1 13.1 24.4 13.4 23.4 13.8 22 13.9 21.2 15 19.7 15.8 18.4 16.4 17.4 17.3 15.8 17.8 15.2 18.8 14.8 20 14.7 20.8 14.5 20.9 13.3 21.1 12 21.5 10.8 21.9 9.9 22.3 9.1 22.6 8.4 23 6.9 23 5.9 23.5 4.1 24.6 3.7 25.5 3.7 26.3 3.9 26.9 4 27.4 3.6 27.9 2.8 29.1 3.3 30.1 4.8 31 3.6 31.4 2.7 32.2 1 32.6 0 33.4 0.8 34.3 1.2 34.9 1.4 35.9 2.6Z' },
+  fi: { viewBox: '0 0 44.5 100', path: 'M34.1 12.2 32.9 12.9 31.8 13.5 33 13.9 33.3 14.5 32.1 17.6 32 18.2 32.4 19.7 32.9 21.5 34.5 22.3 35.6 22.9 36.3 24.3 37.6 26.2 38.2 26.9 38 28.4 37.3 29.7 36.5 30.8 35.8 32.1 35.2 33.2 34.6 34.5 34.5 35.3 35.4 37.4 35.7 38.2 36.1 39 36.4 40 36.6 40.8 36.9 41.6 37.5 42.6 37.9 43.5 38 44.2 38.6 46.6 38.7 47.2 37.8 47.8 37.2 48.1 37.5 48.7 37.2 49.6 37.1 51 36.7 51.7 37.5 52.3 37.5 53.2 36.7 53.9 36.7 54.6 37.1 55.7 38.6 56.5 38.8 57.2 38.2 58.5 38.4 59.6 38.7 60.3 39.9 61.1 40.4 61.9 40.4 63 40 64.2 39.1 65.5 38.3 66.1 40 68.3 41 69.1 42.3 70.1 43.1 71 43.4 71.6 43.7 72.2 44.1 72.8 44.5 73.6 44.1 74.9 43.9 75.6 43.5 76.7 43.1 77.5 42.1 78.9 40.6 80.6 40.2 81.1 39.5 82 38.3 83.8 37 85.6 36.2 86.5 35.2 87.8 34.2 88.8 33.1 89.7 32.4 90.6 31.8 91.1 30.7 92.4 29.3 94.1 28.2 94.5 27 94.1 26.3 94.2 25.8 94.6 24.9 94.8 24.1 95.1 24.2 94 24.4 93.3 24 94 23.8 94.7 22.8 95.2 22.1 94.6 22.1 95.5 21.3 95.9 20.8 96.3 20.1 96 19 96.5 18.5 96.9 17.7 97.2 16.2 97.6 15.6 98.3 13.9 98.4 12.7 98.8 11.6 98.6 11 99.1 10.4 99.8 9.8 100 10.2 99.2 10.5 98.3 9.7 97.7 9.3 96.8 9 97.7 8.5 98.2 7.5 98.3 7.6 97.3 8 96.6 8 95.6 6.7 95.2 5.4 94.4 4.8 93.6 4.1 94.1 3.3 93.6 3.2 92.8 3.1 91.5 3 90.5 3.1 89.7 3.5 88.8 3.6 87.9 3.7 86.8 3.6 86.1 3.7 85.4 3.8 84.6 3.5 83.3 3.1 82.4 2.6 81.8 2.8 80.7 3 79.7 2.9 78.7 2.2 78.1 2.1 77.2 2 76.2 2 75.6 2.3 74.7 3.4 73.3 3.5 72.6 4.2 72.5 3.9 71.8 3.8 71 4.8 70.7 6.1 70.7 6.9 70.1 6.8 69.5 6.6 68.9 6.9 68.3 7.8 67.6 8.7 66.7 9.8 65.4 10.3 65 11.7 63.4 12.4 62.5 13.2 61.3 13.9 60.1 14.9 58.9 15.6 57.3 16 56.8 16.1 56.2 16.8 55.7 17.6 55.4 18.4 55.5 19 55.6 18.8 54.7 19.4 54.2 19.4 53.6 18.9 52.9 19.1 51.9 19.1 50.8 19.3 49.6 18.9 48.9 17.2 47.8 16.5 47.7 16.2 46.9 16.3 46.1 15.4 46.6 14.8 46.3 14 44.5 13.8 43.8 13.4 42.9 12.8 42.5 12.6 41.9 12.5 40.6 12.5 39.9 12.8 39.3 13.2 38.6 13.4 37.2 13.5 36.5 13.7 35.9 13.3 34.9 12.8 34.2 12.5 33.5 12.3 32.9 12.2 32.3 12.4 31.4 12.8 30.9 12.7 29.8 11.9 29.5 11.6 28.7 11.9 28 11.7 26.8 11.7 25.8 11.8 24.9 12.3 24.3 11.6 23.4 11.2 22.6 10.4 22.1 10.1 20.7 9.6 20.1 9.1 19.5 7.1 18.4 6.4 18.3 5.6 17.8 5 17.2 4.5 16.8 3.4 15.9 2.6 14.8 1.2 13.5 1.2 12.8 0 12 1.1 11.6 1.8 11.9 1.8 10.3 2.1 9.6 3.4 9.2 4 9.3 4.9 10.7 5.6 12 6.8 14.1 7.2 15 7.3 15.6 8.9 15.9 10 16.1 11 16.4 11.6 16.1 12.6 15.7 13.2 14.6 13.8 14.7 14.4 15.1 15.1 15.7 15.8 15.9 16.7 16.3 17.1 16.9 18.2 16.5 18.6 15.1 18.9 14.4 19.8 13.8 20.5 13.3 20.9 12.5 21 11.6 20.9 9.8 21 9.2 21.3 8.2 21.8 5.6 22 4.9 22.6 4.2 23.2 3.4 24.1 1.8 25 1.6 25.8 1.6 26.5 1.9 27.5 1.3 28.4 0.3 29.1 0 30.3 1.1 31.2 2.3 31.8 2.9 33.4 4 34.8 4.7 35.6 7 35.2 7.9 34.3 9.1 33.6 10.4 33.5 11.1 33.8 11.7ZM17.3 54.3 16.6 54.7 16.1 53.8 17 53.4 17.8 53.7 17.3 54.3ZM2.4 70.7 3 70.5 3.2 71.1 2.6 71.5 1.9 70.3 2.5 70.3ZM3.4 94.1 2.8 94.6 2.4 93.5 3.4 94.1ZM5.6 95.7 4.9 95.4 4.9 94.8 5.4 95.2ZM6.3 95.5 6.9 95.7 6.9 96.6 6.2 96.3 6.1 95.6ZM4.9 97.4 5.1 96.8 4.9 97.4ZM4.1 97.6 3.5 97.5 4.1 97.1Z' },
+  fj: { viewBox: '0 0 74.5 100', path: 'M26.4 0.3 25.3 0.3 26.3 0.1ZM57.1 43 56.3 43.4 56.9 42.3 57.1 43ZM67.2 51.3 67 50.7 66.6 50.1 67.2 50.4 67.5 51.1ZM74.5 58.7 73.4 58.4 73.8 57.9 74.5 58.5ZM66.9 59 66.3 59.1 65.9 58.6 66.7 58.7ZM69.2 61.8 68.5 61.6 69.2 61.3ZM58.4 69.5 57.9 70 58.1 69.3ZM71.6 72 70.9 71.8 71.4 71.4 71.6 72ZM56.3 39.4 54.8 40.8 54.2 41.6 53.7 42.4 52.4 43.3 51.8 44.5 51.8 45.7 53.2 44.4 54.7 43.4 55.6 43.2 55.4 43.9 55.2 44.8 55.6 45.6 54.5 45.5 53.4 45.6 52 46.1 50.8 46.3 49.8 46.1 49.3 45.3 48 45.3 46.5 46.4 46 47.3 45.4 47.4 44.7 47.2 43.9 47.9 42.9 48.1 42.4 47.5 42.1 46.8 41.8 46.2 40.7 46.1 40.9 45.4 41.4 44.8 42.1 44.6 42.7 44.8 43.3 44.4 43.9 44.4 44.5 43.4 45.5 42.8 46.9 42.3 48.3 42 49 41.9 49.7 41.7 50.9 40.8 51.7 40.3 52.5 40 53.4 39.8 54.1 40 54.7 39.9 56.3 39.3ZM57.8 45 56.3 46.1 55.6 47 55.3 48 56.3 48 57.7 46.8 58.2 45.8 57.8 45ZM27.5 50 27.3 49.3 28.1 48.9 28 49.5 27.5 50ZM50.3 52.4 49.8 51.2 50.4 51.3 50.3 52.4ZM38.4 52.4 38.7 53.1 39.8 54 41 54.8 41.7 55.4 41.7 56 41.8 57.5 41.9 58.5 42.5 60.1 41.7 60.4 40.6 60.5 39.9 60.6 39 60.7 38.1 61.2 37.2 62 36.2 62 35 62.1 33.9 62 33.1 61.6 31.7 61.2 29.9 60.8 29.1 60.5 28.4 60.1 27.8 58.9 27.8 58.3 28.4 57.6 28.9 56.9 29.4 56.5 29.3 55.8 30.4 54.2 31.5 53.4 33.6 52.6 34.9 52.7 36.8 52.1 37.5 51.8 38.1 51.9ZM44.1 56.3 43.3 55.8 43.7 55.1 44.4 55.8ZM49.6 60.3 48.6 59.6 48.8 58.9 49.4 59.1 49.7 59.9ZM40.6 69.9 39.3 70.6 38.5 70.2 37.7 70.9 37.2 71.5 35.7 71.8 35.1 71.5 36.1 70.8 37.1 70.4 37.7 69.8 38.4 69.7 39 69.4 39.9 69.6 40.6 69.9Z' },
+  fk: { viewBox: '0 0 100 50', path: 'M68.4 0 73 2.8 78.7 1.8 81.1 2.6 82.5 4.9 81.7 7.1 79.9 6.8 78.3 7.3 78.6 10.2 79.7 11.4 85.7 14.5 86.8 14.7 86.6 13.4 85.6 11.3 85.2 8.9 86.1 7 87.6 6.4 94.5 5.5 96.1 6.4 99.5 11.8 96.3 12.6 95 15 97.8 16 100 17.5 98.8 19.8 98.6 21 93.7 22.6 89.3 23.7 87.3 26.5 83.8 28.5 73.4 31.9 74.6 34.8 74.8 36.1 74.3 39.8 60 35.4 58.1 35.9 61.9 43.4 59.1 44.8 56.3 43.9 53.8 44.5 52.1 50 48.1 46.5 44.6 41.5 44.6 38.8 47.9 33.6 46.9 31.4 54.7 24.5 56.1 22.4 58.6 21.2 61.1 20.8 62.2 19.9 62 18.2 61 15.3 61.1 10.6 67.3 4.3 66.4 0.2 68.4 0ZM30.8 6 26.7 6 25.9 4.4 25.9 0.5 29 0.2 32.1 1.8 31.9 3.5 30.8 6ZM25.6 9.2 29.9 10.1 33.9 6.7 36.6 5.6 38.9 6.3 40.5 8.4 42.8 8.1 49.3 6 50.1 6.7 52.4 4.3 54.4 5.4 56 7.5 55.2 9.9 53.4 11.5 52.3 13.6 51 15.4 48.7 17 46.9 19.6 42.7 25.7 36.5 33.5 34.5 34.2 30.2 34.7 28.4 34.1 26.8 34.3 25.6 38.5 23.6 41.7 22.7 42.4 20.7 42.7 19.7 43.2 19 44.4 13.7 44.1 9.9 42.1 5.5 37.7 11.4 32.4 16.5 32.6 20.8 29 24.2 27.2 25.6 25.4 27 24 27.1 22.1 25.9 21.3 24.4 21.4 22.8 22.2 19.2 23.2 16.8 21.1 18.4 20.3 20.2 20.4 25.8 18.4 26.8 17.6 25.1 14.8 21.8 13.1 19.1 10.2 18.6 9.2 18.7 7.5 17.2 4.1 18.8 4 20.9 6.1 25.6 9.2ZM3.8 24.7 5.9 25.3 8 25.1 6.8 30 5.9 32.4 3.4 32.2 0.9 29 0 27.3 2.8 26 3.8 24.7ZM80.7 35.5 80.9 39.8 78.5 38.4 77.7 36.4 79 35 80.1 35.1 80.7 35.5ZM43.6 46.2 41.7 47.1 41.2 46.7 40.6 44.9 40.5 42.5 40.3 41.5 41.5 41.8 43.7 43.7 43.6 46.2Z' },
+  fm: { viewBox: '0 0 100 17.3', path: 'M81.2 11.2 80.6 10.9 81.2 10.6Z' },
+  fo: { viewBox: '0 0 51 100', path: 'M51 10.4 48.6 18.2 45 17 44 16.1 43.3 14.1 43.6 8.4 43.5 0 47.6 6.9 51 10.4ZM39.7 13.8 38.4 28.1 36.4 28.1 32.8 24.1 30 23.3 29.2 25.4 29.3 28 30.7 29.6 35.1 39.2 35.5 42 34.9 43.3 30.7 40.6 20.5 28.1 12.5 7.6 23.3 4.3 31 9.7 39.7 13.8ZM11.8 23.3 16.3 27.4 17.9 30.3 15.3 33.1 12.2 33.9 8.4 33.2 2.2 30.2 0 23.2 4.3 23.3 9.4 22 11.8 23.3ZM40.1 58.8 39.1 62.7 37.7 62.7 33 57.8 29.3 55.1 28 52.8 27 48.9 29.1 48.4 31.7 49.3 38.1 52.9 40 56.6 40.1 58.8ZM36.2 96.8 37.2 100 36.1 99.6 32.7 96 26.8 87.4 24.8 80.2 24.5 76.9 25.9 77.3 27.1 80.2 32.7 82.1 34.2 83.6 34.2 87.2 36.1 91.4 36.2 96.8Z' },
+  fr: { viewBox: '0 0 100 98.1', path: 'M53.3 4.2 54.4 3.6 55 3.5 55.5 4 55.9 4.8 56 5.6 56.1 6.2 57.5 6.6 58.4 6.8 58.9 8.5 59.7 8.2 60.8 8.4 61.5 8.5 62.4 9.3 62.2 10.1 62.5 11 62.3 11.7 62.2 12.3 63.8 12.6 65 12.4 65.8 12 66.1 11 66.6 10.5 67.2 10.5 66.7 12.4 67.1 12.9 67.1 13.7 67.3 14.3 68.2 14.4 69.1 15 69.7 15.4 70.3 15.8 71.2 16.8 71.7 17.3 72.4 17.1 73.1 17 73.7 17 74.5 17.5 75.3 18 76 17.6 76.9 17.5 77.6 17.9 78.4 18 78.9 18.5 79.2 19.3 80.3 21 80.9 20.9 81.4 20.5 82.2 20.8 82.3 21.4 83 21.4 84.3 21.4 85 21.1 85.8 21.8 86.4 22.1 87.7 22.3 89.1 22.6 89.7 22.9 90.1 23.9 88.6 25.9 88 26.6 87.7 27.5 87.5 29 87.1 30.3 86.5 31.6 86.2 32.6 86.4 33.2 86.3 34.2 85.9 35.6 85.8 36.6 86.1 37.3 85.6 37.9 85.1 38.9 84.5 39.1 83.6 39.1 83.1 38.5 81.9 38.9 81.5 39.5 82 39.9 81.8 40.8 80.9 41.9 80 42.9 79.5 43.5 78.4 44.1 78.2 45.2 78 46 77.2 46.8 76.3 47.5 75.9 48.5 75.6 49.3 76 49.8 75.8 50.8 75.4 51.3 75 52.1 75.8 52.2 76.6 51.7 77.1 51.1 76.7 50.4 77.4 49.7 78.2 49.3 79.2 49.2 80.5 49.5 80.7 50.5 80.6 52 81.2 52.8 81.8 53.5 82.2 54.1 81.7 55 80.8 55.5 80.7 56.2 81.3 56.9 81.9 57.8 82.3 58.6 83 59.4 83 60.1 82.7 61.2 82 61.5 81.1 62.2 80 62.2 79.6 62.9 80 63.4 80.3 64.3 80.8 64.7 81.4 64.9 82 65.1 82.4 66.4 81.7 67.2 81.3 67.8 81.1 68.4 81.4 69.2 81.5 70.1 81.9 70.6 83.2 71.4 84.4 72 86.3 71.7 86.8 72.2 86.7 73 86.3 73.7 85.8 74.2 85.6 75.1 85.2 75.8 84 76.3 83.4 76.6 81.2 78.8 80.2 79.4 79.8 80.4 79.1 81 77.3 81.6 76 82.2 75.4 82 73.8 82 72.9 81.2 71 80.8 70.4 79.6 69.6 79.6 68.7 79.4 68.6 78.7 68 78.9 67.3 79 66.7 79.1 65.6 79.2 64.1 78.7 62.8 78.4 62 77.6 60.6 77.6 59.7 78.5 56 81.1 55.4 82.2 54.6 83.7 54.5 84.5 54.8 86.8 55.6 88 54.6 88.2 54 88 52.9 88.3 52.1 88.5 51.8 89.2 51.2 89.1 49.8 88.7 48.6 88.4 47.9 88.8 47.1 89 46.7 88.4 45.2 87.6 45.4 87 44.2 86.4 43.5 86.5 42.7 85.9 41.7 85.7 41 85.4 40.3 85 38.6 84.5 37.9 84.5 37.7 85.8 36.9 85.9 35.9 85.8 35 85.9 33 85.9 32.3 85.3 31.5 84.8 30.9 84.6 29.9 84.9 29.2 84.9 28.1 83.8 27.4 83.4 26.7 83.4 25.1 82.7 24.3 82.4 23.7 82.6 23.1 82.5 23.3 81.5 23.4 80.7 22.4 80.3 21.3 80 20.7 79.4 21.9 78.8 22.9 77.6 23.9 73.2 24.6 67.9 25.1 66.9 25.7 66.6 25.2 65.9 24.7 66.7 25 62 25.2 60.2 25.7 58.3 26.7 59.1 27.5 59.8 27.9 60.5 28.4 62.7 29.4 63.6 28.8 62.7 28.1 59.8 27.7 59 27.1 58.3 25.1 56.8 24.8 56 25.5 56 26.1 56.3 25.8 55.6 25.6 54.4 25.3 51.6 25.3 50.5 24.6 50.4 23.5 50.1 20.8 48.5 19.8 46.8 18.9 45.5 18.6 44.9 19.2 43.2 18.7 42.4 17.9 41.9 18.3 41.3 19.1 40.8 19.8 40.9 20.5 41.3 21.1 41.4 19.5 40.4 16.8 40.7 15.8 40.4 15.6 39.7 16.3 38.7 15.4 38.2 14.6 38.2 13.9 38.3 14.2 37.4 13.3 37.3 12.6 37.4 11.9 37.2 11.2 36.4 10.5 36.5 9.5 36.2 8.8 35.8 6 34.9 4.8 34.8 3.7 35.2 2.7 34.5 2.3 33.6 0.6 32.8 1.8 32.2 2.7 31.9 2.3 31 1.5 30.7 1.6 30 2.5 30.2 3.6 30.1 3.2 29.6 2.6 29.4 1.7 29.4 0.3 29.5 0 28.5 0.3 27.6 1.6 26.8 4.9 25.8 6.3 26 7.3 25.8 8.5 25.2 9 24.7 10.7 24.4 12.3 25 13.8 27 14.5 27.6 16.2 26.5 18.7 26.5 19.3 27.2 19.5 26.6 19.9 25.9 20.5 26.7 23.2 26.5 22.9 25.9 22.3 24.8 22.2 20.6 21.4 19.4 20.6 17.5 20.2 16.4 20.3 15.4 21.3 15.5 22.2 15.6 23.7 15.2 24.5 15.5 24.4 16.4 24.6 17.5 25.3 18.6 26.6 18.6 27.9 18.9 29.6 19 32.1 19.6 33.2 19.2 34.2 18.5 36.2 18 35.2 17.8 34.2 17.3 34.1 16.3 34.6 15.2 37.6 13.5 39.7 13 41.9 12 43.1 11.1 43.8 9.8 44.4 9.3 44.3 4 44.5 3.1 44.9 2.3 45.6 1.8 46.6 1.2 50.3 0.3 50.9 0 51.2 1.2 51.3 2.1 51.9 3.2 52.5 3.8 53.1 4.3ZM25 54.6 24.8 55.5 24.3 54.7 23.7 54 23.6 53.3 24.3 53.6 25 54.6ZM99.5 84.8 99.3 86.2 99.7 86.9 100 90.9 99.1 92.6 98.9 94.9 98.4 95.9 97.9 97.4 97.4 98.1 96.1 97.3 95.4 96.9 94.8 96.2 95.3 95.5 94.5 94.8 94.2 94.2 94.4 93.6 93.8 93.1 93.7 92.4 94 91.5 93.2 90.9 93.1 90.3 93.8 89.7 93.5 89.1 93.6 88.4 94.1 87.2 94.8 86.7 96.1 86.3 96.7 85.7 97.5 85.5 98.1 85.8 98.5 85.1 98.4 83.5 98.6 82.8 99.3 83.1 99.5 84.3Z' },
+  ga: { viewBox: '0 0 93.5 100', path: 'M74.3 2.3 74.2 3.4 72.9 6.1 72.3 8.3 72.2 10.5 72.5 12.3 73.1 13.6 73.5 15 73.2 16 72.6 16.4 73 16.9 74 17.1 75.5 16.6 78 15.9 81.2 14.8 83.3 14.2 86.8 14.6 88.6 15 89.6 15.8 90.6 19 91.1 19.5 92 20.9 92.7 22.5 92.8 23.4 92.7 24 92 24.9 91.2 26.2 90.9 27 90.3 27.6 89.4 28.2 87.1 28.4 86.1 30.1 84.9 31.3 84.3 32.4 83.8 33.9 83.9 35.8 83.7 38.5 83.4 40.3 84 40.9 86.8 41.3 87.4 41.7 88.1 42.8 89 43.9 91.6 44.5 92.6 45.3 93.4 46.2 93.5 46.9 92.9 49.8 92.3 52.6 92.6 54.8 92.8 56.8 93.1 59.7 92.9 61.5 92.2 62.6 92.2 63.5 92.5 64.5 91.9 67.4 91.5 67.9 90.4 68.4 89.8 69.2 89.6 70.4 89 72.1 88.3 72.7 88.3 73.4 88.9 74 88.9 74.9 87.8 75.9 87.1 76.7 85.6 77 83.9 76.6 83.5 76.1 83.9 75.2 83.7 74.5 83.1 73.7 82.2 71.8 81.4 71.4 80.9 72.2 79.5 73.6 77 75.5 75.3 75.7 72.1 75.1 69.4 74.2 68.1 72 67.3 70.2 66.2 68.1 64.9 67.1 63.5 66.4 62.9 66.4 60.9 67.5 60.3 68 60.3 69 60.5 69.9 61.1 71 61 71.9 60.7 73.1 60.6 74.5 54.4 75.8 53.3 75.3 52.5 74.7 51.6 74.8 48.9 75.5 47.9 75 47 74.7 46.5 75.5 46.9 78.7 46.8 79.9 46.2 81.5 45.9 82.6 47.5 82.9 48.1 83.4 48.7 84.2 49.5 85 48.6 86.3 48.3 87.3 48.7 88.1 49.9 88.9 51.5 89.8 52.3 90.4 51.4 92 51.2 92.9 50.6 93.8 50.7 94.6 51.5 95.3 51.4 96 50.9 96.5 49.9 96.4 49 96.4 48.3 96.2 45.8 93.7 41.8 95.6 41 96.4 40.2 97.5 39.3 100 37.7 98.6 36.3 95.9 34.7 94.3 31.4 91.7 30.5 89.7 26.6 85.5 21.1 81.2 17.1 77.5 16.5 76.7 17.2 76.8 21 78.6 22 78 20.3 77 18.7 76.3 17.2 75.8 15.7 75.8 14.9 75.1 14.4 73.9 14.1 72.9 13.4 71.8 11.3 69.6 10.8 68.8 9.6 67.6 10.3 67.4 12.6 68.6 12.6 67.5 10.3 66.4 9.1 66.3 8.8 65.6 9 64.8 7.4 61.6 5.7 59.2 5.4 58 10 63.2 10.6 63.3 11.4 63.3 13.3 62.7 12.9 62 12.1 61.3 11.2 61.6 10.2 61.7 9.6 61.4 9.3 60.8 10.4 58.3 9.6 58.9 9 59.1 8.1 59.2 5.8 57.9 3.9 54.2 3.3 53.5 2.8 52.2 2.3 51.7 0 46.5 0.9 46.9 1.9 48.4 3.9 48.1 4.7 47.2 5.4 47.2 6.1 47 7 46.2 9.6 42.6 10.3 37.9 10.1 35.1 9.7 32.4 10.5 31.5 10.9 32.1 11.1 33.1 11.5 33.8 12.4 34.4 14.1 34.6 16.7 35.6 17.7 36.3 18 35 21 33.9 20.1 33.5 17.4 33.9 13.6 32.2 12.4 31.2 11.3 29.2 10.1 28.1 10.1 27.2 12.8 26.3 13.5 26.4 13.8 27.5 14.5 27.9 14.9 26.9 14.9 24.5 14.1 21.1 14.4 20.4 15.1 20.2 15.7 19.7 17.1 19.7 17.6 20.5 18.7 21.2 19.5 21.6 20.1 21.5 20.7 21 21.4 20.9 23.9 20.9 26.1 20.9 30.5 20.9 34.9 20.9 39.3 20.9 42.6 20.9 42.6 19 42.6 16 42.5 12.4 42.5 9 42.5 5.9 42.5 2.2 42.7 1.1 42.8 0 46.2 0 52.4 0.3 55.1 0.2 55.8 0.3 59.2 0.1 61.9 0.3 63.1 0.6 64.1 0.7 67.4 0.9 71.6 0.7 73.1 0.7 73.9 1.3Z' },
+  gb: { viewBox: '0 0 51.6 100', path: 'M37 94.5 36.4 95.2 35.7 95.4 34.6 94.7 35.3 94.2 36.5 94.2ZM20.6 72.3 21.4 72.4 20.6 73.2 19.7 73.9 19.2 73.5 18.8 72.8 18.7 71.7 20 71.4 20.6 72.3ZM9.2 55.1 10 55.4 11 56 11.3 57.1 11.9 58.1 12.7 59 12.4 59.8 11.8 60.2 12.6 60.3 13.4 60.4 13.9 61.4 13.9 62.4 13.5 61.8 12.9 61.4 13 62.1 13 62.9 13.3 63.9 12.7 64.1 12.1 64.2 11.8 64.9 11.5 65.5 10.6 65.8 9.6 65.5 8.9 65.8 7.8 65.8 7.8 64.9 7.2 64.6 6.7 63.9 6.3 63 5.7 62.7 5.3 63.2 5 63.9 4.4 64.9 3.8 65.1 3.1 65.1 2.4 64.7 1.5 64.4 1.4 63.8 0.1 62.6 0.5 61.7 1.8 61.2 1.7 60.6 1.2 60.2 1.8 59.9 2.4 59.8 3.1 59.4 3.6 58.5 3.9 57.3 4.8 56.5 5.4 56.9 6.3 55.7 6.9 55.7 7.5 55.6 8.7 55.2ZM15.9 53.3 15.2 53.3 14.4 51.7 14.6 51 15.5 51 15.9 52.1 15.9 52.8ZM10.5 48.8 10.7 50 10.9 50.7 10.7 51.3 9.9 51.8 9.8 51.2 9.7 50.3 8.8 50.9 8.8 50.3 8.9 49.7 9.4 49.3 10.1 49ZM11.4 49.9 10.8 49.6 11 48.8 11.7 48.4 11.5 47.7 12.2 47.1 12.3 48.1 11.4 49.9ZM12.4 44.9 10.3 45.5 9.6 45.4 10.2 44.8 10.5 43.6 9.6 43 9.7 42.4 10.3 42.1 11 42.4 11.5 43.1 12.1 43.3 12.4 44.9ZM8 42.7 8.2 41.9 8 42.7ZM3.8 39 3.2 39.1 3.6 38.5ZM9.7 39.1 8.9 38.5 9.5 38.2 9.8 38.9ZM4.7 37.6 4 37.5 3.8 36.9 3.9 35.9 3.8 35.1 4.4 35 4.7 37.5ZM10.4 33.9 10.3 34.8 10.5 35.7 11.8 36.2 12.7 36.1 12.8 36.8 12.3 37.3 11.6 38.1 11 36.8 10.4 37 9.5 36.8 8.9 35.6 7.7 35.2 7.2 34.5 7.5 33.9 8.2 33.8 9.2 32.9 9.3 32.3 9.9 32.4 10.3 33.1 10.4 33.9ZM4.9 32.1 5.5 32.7 5 33.6 4.3 33.6 3.3 32.9 3.7 32.4 4.3 32.3 4.9 32.1ZM10.2 25.4 9.5 27.2 9 27.6 8.3 28.1 9.1 28.3 8.2 29.6 7.6 29.9 7 30.7 6.4 31.2 5.5 30.8 6.2 30.3 6.7 29.8 6 29.3 6.1 28.5 5.5 28.1 5.5 27.2 6.2 26.9 7 27.1 7.1 26.2 8.4 25.2 9.6 24.2 10.2 24.7 10.2 25.4ZM26.3 23.9 26.3 24.7 26.1 25.3 24.7 26.7 22.8 28.5 21.7 29.4 21.5 30.5 22.1 30.6 21.2 32.2 20.9 33.2 21.7 33.1 22.3 32.9 23.6 32.3 24.8 31.9 26.4 32.2 27.1 32.1 30.8 32.1 31.7 31.9 32.3 32.2 32.8 32.8 33.2 34 32.9 34.7 32.4 35.3 32 36.2 31.8 37.2 30.7 40 29.9 41.3 29.5 42.2 29 42.9 28.5 43.3 26.6 43.9 25.7 44.6 26.4 44.5 27.5 44.4 28.7 45.2 28.6 45.8 28.1 46.3 27 46.3 25.9 47.4 25 47.9 24.4 47.8 23.2 47.6 23.7 48 26.6 48.6 27.7 47.9 29 47.9 31.3 49.1 32 49.9 33 51.2 33.5 51.7 34.1 52.8 34.6 55 35.1 57.1 35.8 59.4 36.1 60 36.5 60.5 38.6 61.5 39.8 62.8 40.6 63.8 41.3 64.6 42.1 65.3 41.4 66.1 41.6 66.8 42 67.5 42.6 68.6 43.1 69.8 42.4 69.5 41.6 69.1 41.1 68.6 40.1 68.8 39.1 68.8 40 69 41 69 43.2 71 43.9 72.2 44.4 73.7 44.1 74.4 43.6 74.8 43.2 75.3 42.8 75.9 44 76.7 44.8 76.3 45.2 75.6 46.2 75.3 47.5 75.5 49.2 75.7 51.2 77.2 51.5 77.9 51.6 78.7 51.6 79.6 51.4 80.5 51.1 81.3 50.9 82.3 50.7 82.9 49.9 83.7 49.2 83.9 49.2 84.9 48.7 85.3 47.5 85.3 46.4 85.9 47.2 86.2 47.2 87.2 46.2 87.6 45.6 87.7 44.7 88.1 45.3 88 45.9 88.6 47.2 89 49.1 88.9 49.7 88.9 49.8 90.5 48 91.6 47.6 92.2 46.6 92.5 46.1 92.9 45.3 93.2 44.7 93.5 44.1 93.8 41.5 93.5 40.2 93.6 38.4 93.9 37.3 93.5 36.6 93.3 35.8 93.2 35.1 92.8 35.6 93.5 34.6 94.1 33.7 94.2 32.8 94.3 31.9 94.3 32.3 95.1 30.3 95 29.2 95.1 28.6 94.7 28 94.4 27.4 94.3 24.7 95 24.3 95.7 24.1 96.7 23.8 97.6 23.3 98.2 22.7 98.3 22.2 97.9 21.1 97.3 20.5 97.1 19.7 97.3 19 97.4 17.8 97.8 16.4 98.9 15.8 99.9 15.2 100 14.7 99.5 13.5 99.5 13 99.1 13.4 98.6 14.6 98.2 15.7 97.1 16.2 96.5 16.7 95.9 17.1 95.4 18.6 93.8 18.8 92.8 18.9 92.2 20.1 91.8 20.7 90.4 22.5 90.1 23.7 90.1 24.9 90.4 25.5 90.4 26.2 90.3 27.5 88.6 28 88 28.5 87.5 29 86.9 29.8 85.8 29.3 86.2 28.6 86.8 27 87.5 26.4 87.9 25.5 88.7 23.9 88.6 22.9 87.5 22.2 87.1 21 87.3 20.4 87.3 21.2 86.5 20.2 86.3 19.6 85.8 18.9 85.8 17.9 86.3 16.9 86.8 15.8 86.1 15.5 85.3 15.1 84.6 15.5 84.1 16 83.7 17.1 83.3 18.7 82.4 19.6 82 20.5 81.3 21.1 80.3 21.4 79.6 21.7 79 21.2 78.5 21.4 77.6 21 76.6 21.1 75.8 20.4 75.8 19.8 76 19.2 76.3 18.6 76.7 18.3 76 18.9 75.4 19.5 75 19.9 74.2 21.1 73.2 22.6 72.4 23.5 72.5 24.1 72.4 25.2 72.1 26.4 72.8 26 71.6 27.3 72.4 28.2 72.4 27.3 72 26.5 70.6 26.9 69.3 27.2 68.7 26.7 68.3 26.6 67.7 27.4 66.7 27.6 65.9 27.7 65.1 26.9 64.8 26.3 65.2 25.2 64.3 24.7 63.6 23.9 62.2 23.8 61.3 24.4 59.4 25.5 58.2 26.7 57.8 24.6 57.7 24 57.8 23.4 58.3 22.8 58.5 22.2 59.1 21.2 59.3 20.5 58.8 19.5 59.3 18.9 59.5 18.3 59.3 17.4 58.7 17 59.4 16.9 60.2 16.2 59.5 15.7 58.6 15.5 57.5 16.1 57.5 16.6 56 17.5 54.1 17.9 53.5 18.1 52.8 17.9 51.9 17 50.9 17 50.2 17.1 49.3 17.4 48.7 18.6 48.7 17.2 47.7 17.5 46.7 16.8 47.9 15.9 48.3 15.4 48.8 15.1 48.2 15.2 47.5 16.4 46 14.9 47.3 14.4 48 14.2 48.6 14.5 49.8 13.5 53.8 13 54.4 12.4 54 12.5 53.3 12.9 51.6 13.2 50.7 13.8 50 13.2 49.9 13.2 47.6 13.5 46.9 13.6 45.8 13.9 44.9 14.1 44.2 14.4 43.3 14.8 42.3 15.1 41.7 15.4 41 13.5 42.8 13 43.2 12.4 43.1 11.5 42.5 11.3 41.7 10.5 41.5 11 41 11.8 40.8 12.6 40.1 11.9 39.6 12.6 39.1 13.3 37.7 13.5 36.5 13.1 35.9 12.3 35.1 12.1 34.5 12.5 33.9 13.4 33.5 12.7 32.9 12.5 32.3 12.8 31.2 13.2 30.2 14.6 30.2 15.6 30.2 14.4 28.6 14.6 27.6 14.6 26.9 16.1 26.6 16 25.6 16 24.9 16 24.2 16.3 23.4 17.4 23.3 17.9 24 18.8 23.5 19.4 23.9 20.6 23.5 22.4 23.3 23.4 23 24.5 22.9 25.5 22.6 26.6 22.7 26.3 23.9ZM27.2 21.7 26.7 20.8 27.4 20.8 27.2 21.7ZM26 21.1 25.4 21.2 24.9 20.7 24.8 20 25.7 20.5 26 21.1ZM26.6 18.7 27.5 19.2 28.1 19.5 27.8 20.1 26.9 19.7 26 19.9 25.6 19.2 25 19.2 25 18.4 25.2 17.7 26 17.7 26.6 18 26.6 18.7ZM29.2 16.7 28.9 16.1 30 16 29.2 16.7ZM28.3 17.2 27.6 17.2 27.6 16.5 27 16.3 26.6 15.8 27.6 16.1 28.3 16.7ZM35.7 3.1 35.8 3.9 36.5 4.4 37 4.8 36.6 6.6 36.4 7.5 36.3 8.7 35.8 10 35.7 8.4 35.9 7.6 35.6 6.8 34.8 7 34.6 6.4 33.9 6.3 34.3 5.7 35.3 5.3 34.9 3.9 34.3 3.6 35.1 2.5 35.7 2.4 35.7 3.1ZM37.1 3.4 36.4 2.4 36.8 1.2 37.3 1.6 37.1 2.5 37.1 3.2ZM38.5 0.2 38.2 1.2 37.6 0.9 37.7 0.2 38.3 0Z' },
+  gd: { viewBox: '0 0 75.4 100', path: 'M28.7 98.3 0 100 11.4 83.9 13.8 56.2 28.9 22.6 52.4 0 75.4 6 66.8 80Z' },
+  ge: { viewBox: '0 0 100 50.3', path: 'M96.4 34 96 34.7 95.2 36 94.5 36.7 93.7 36.8 93 37.1 92.7 37.8 92.7 38.7 92.8 39.3 93.8 39.8 94.5 41.7 95.7 42.6 97.6 43.7 99.2 44.9 100 46 99.8 46.9 99.3 48.6 97.9 50 96.8 50.3 95.6 49.7 94.1 48.7 92.5 47.8 91.2 48.1 90.4 48.4 88.8 48 86.9 47.3 85.8 46.5 85.4 46 85.7 45 81.3 43.3 79.2 42.8 78.3 43.3 75 46 72.2 46.6 72.7 47.4 68.5 47.6 67.1 47.9 63.5 47.5 62.3 47.7 61.2 48.1 58.7 48.6 57 49.1 54.8 49.4 52.5 49.4 51.7 49.6 51.6 48.6 51.1 48.2 50.5 48 49.3 48.1 48.2 47.8 47.4 47 47.7 46 46 44.7 43.7 42.5 42.5 42 42 40.5 40.4 40.1 39.3 40.2 38.7 40.6 37.8 42.4 37.2 43 35.6 42.7 34.4 42.3 33.4 42.1 31.4 41.9 29.1 41.9 27.6 43.2 26.9 43 25.7 42.4 23.9 41.9 22.9 41.5 25.7 37.7 26.6 35.5 26.6 34.1 26.7 32.4 25.2 28.9 23.9 23.8 22.6 18.6 21.5 17 17.2 15.1 16.2 13.1 12.8 10.4 8.2 9.2 7.2 8.7 3.2 5.3 0 3.1 0.7 1.7 1.6 0.3 2.6 0 5.4 0.6 8.1 1.2 10 0.7 12.3 1.8 14.4 3.1 16.5 4 20.6 4.8 22.1 6 23.9 7.2 30.9 7.8 31.5 7.6 34.4 7 36.5 7.1 38.7 8.5 40.1 8.4 41.6 8.2 43.5 8.9 45 9.8 45.1 10.6 46.5 11.9 50.3 13.7 53.5 14.8 54.4 15.6 56.8 16.8 57 17.7 56.3 18.6 56.2 19.4 57.5 20.3 59.4 20.4 60.1 19.9 61.6 19.4 63.1 18.7 65 17.7 67.6 16.8 68.7 16.8 69.7 17 70.4 17.5 71.6 19.4 72.8 16.8 74.2 17.1 76.1 17.9 77.4 18.2 78.1 18.8 80.1 21.2 83.4 21.1 84.8 21.4 85.5 21.8 85.9 22.3 85.3 24.7 84.5 27.1 84.6 27.7 85.9 28.7 87.7 29.6 88.6 30.4 89.3 31.1 90.7 31.7 92.3 32 93.1 32 94 32.6 96.1 33.7Z' },
+  gf: { viewBox: '0 0 81.3 100', path: 'M81.3 47.1 80.4 47.6 78.1 48.9 77.1 50.6 76.5 52.3 75.1 53.4 73.7 54.8 73.3 56 72 56.9 71.8 58.4 68.6 63.7 67.3 66.1 65.5 68.6 64.3 69.6 62.8 71.1 62 72.8 62 74.6 60.9 76.8 60.3 78.7 59.2 79.7 56.5 85.6 56.4 87.7 55.8 88.9 53.8 91.7 52.5 93.4 50.3 94.7 47.9 96 47 97.5 45.3 98.3 44.1 98.3 42.1 97.8 39.4 97.5 38 97.7 37.4 97 36.5 95.3 35.2 94 34.3 94.5 32.5 95.7 30.4 96.4 28.9 96.2 25.6 95.3 24.2 94.9 23.8 94.2 23.3 93.6 22.5 93.9 21.6 94.8 20.3 95.7 18.4 97 14.4 99.2 13.3 100 12.3 99.6 10.6 99.1 8.9 99.1 5 97.6 2.8 96.6 1.8 95.3 0.7 94.8 0 94.4 1.3 94 2.2 93.9 3.6 92 5.9 90.7 9.9 83.8 11.5 81 11.7 79.4 12.2 76.2 11.3 72.3 11.7 71.2 15.2 66.4 16.6 63.8 16.7 61.6 17.2 59.9 16.7 59.1 16 58.9 14.6 56.8 13.8 55 11.5 53.3 9.9 51.4 7.3 47.3 7.5 44.9 6.8 44.1 6 43.2 6 42.1 5.5 39.5 4.8 37 4.6 35.5 5.2 32.8 4.8 29.8 4 28.3 3.7 25.9 3.9 23.7 4.6 22.5 4.5 21 7.8 16.3 10.3 13.5 12.6 11.6 14.6 10.1 17.2 2.9 19.1 0.4 21.1 0 31.9 6 36.9 6.5 47.1 9.8 50.8 13.9 59.3 20.8 63.8 23 63.8 24.8 62.8 27.7 65.7 25.2 70.2 29.1 71.4 31.1 72.8 34.7 72.3 37 71.7 38.2 71.7 39.1 73 37.8 73.7 36.8 74 34.4 75 31.4 76.5 31.4 77.6 33.2 80 40.9 80.9 42.5 81.3 45 81.1 46Z' },
+  gg: { viewBox: '0 0 100 89.1', path: 'M100 13.6 73.7 89.1 5.3 63.6 0 43.9 77.7 0 93.6 0.3Z' },
+  gh: { viewBox: '0 0 68.9 100', path: 'M49.4 0.8 50.4 1.8 50.3 4.3 49.5 5.8 49.1 7.1 49.1 7.8 49.6 8.4 51.1 9.5 51.9 10.2 52.8 11.2 53.8 12.2 55.6 13.5 56.4 13.8 56.1 14.6 55.9 19.5 55.8 20.8 55.7 21.4 55.5 23.2 54.7 23.6 54.7 24.3 55.8 24.6 54.8 25.1 54.4 25.6 54.5 26.3 54.1 26.8 54.5 27.3 56.2 26.4 56.8 26.3 57.4 26.5 58.6 27.8 58.7 28.4 58.2 30.6 57.7 32.2 57.6 34.4 58.1 35.7 57.5 36.9 56.3 37.8 56.4 38.4 56.9 39.5 58 40.7 60.1 42.2 61.1 44.1 61.2 44.9 60.5 45.7 59.8 46.4 59.5 47.4 59.9 53.9 58.2 56.7 58.2 57.5 58.4 58.5 58.8 59 59.7 59.2 60.3 59.7 60.1 61.7 59.7 63.7 59.7 64.7 58.8 65.6 58.6 66.2 58.8 67 58.6 67.6 59 68.3 59.7 69.2 60.9 71.6 61.6 72.3 61.9 73.8 63.3 74.8 64.7 75.7 65.8 75.8 66.1 76.6 66.8 77.6 67.3 78.1 68.2 78.4 68.9 78.5 68.9 79.4 67.7 80 66.8 80.9 66.2 82.2 65.2 83.7 62.1 84.5 60.9 84.5 54.5 84.6 48.5 87.5 45 88.5 42.9 90.2 40.1 91.4 38.1 92.8 33.9 93.5 27.1 95.7 25 96.6 22.8 98.2 19.3 100 17.9 100 15.2 98.3 13.1 97.4 8.1 96.1 4.3 95.6 2.5 95 2.4 94.3 3.5 94.3 4.6 94.5 5.4 94 6.7 93.9 7.1 92.2 7.1 91.2 7.6 89.6 7 87 4.4 86.3 3.8 85.3 3.4 83.9 2.9 81.9 2.2 79.5 0.7 75.4 0.3 73.9 0.1 72.5 0 70.7 0.3 70.1 0.3 69.1 0.1 68.2 1.2 66.2 3.2 63.6 3.6 62.7 4 62 4.1 61.1 4.4 58.2 5.4 54.6 6 53.2 6.4 52.5 6.9 51.3 7.1 50.7 8.9 49.3 9.8 48.9 9.7 47.8 10.3 47.1 11 47 11.5 46.4 10.7 41.9 10 37.5 9.6 36.5 9.3 34.7 8.6 33.6 7.7 33.3 7.7 32.3 8.6 30.6 8.9 29.6 8.4 28.5 8.7 27.3 8.5 26.5 8.4 25.7 7.4 23.7 7.2 22.3 7.7 21.5 7.7 19.8 7.2 17 7.1 15.3 7.4 14.6 7.3 13.9 6.6 13.3 6.5 12.7 7.1 12 6.3 11.2 5.7 10.4 5.1 9 5.2 6.9 6.3 3 7.7 2.7 11.4 2.8 15.7 2.8 20.9 2.7 25.6 2.7 26.6 2.3 31.3 2.7 34.2 2.5 35.5 2.6 36.4 2.9 38.5 2.7 39.6 2.8 40.4 3.8 41.2 3.4 42 2.9 42.8 2.5 43.4 1.7 43.8 1.2 45.1 1.2 45.6 0.8 45.8 0Z' },
+  gi: { viewBox: '0 0 35.4 100', path: 'M35.4 0 30.3 26.9 33.1 46.3 29.1 100 18.3 98.9 0 71.4 1.7 34.3 19.4 24.6 7.4 1.7Z' },
+  gl: { viewBox: '0 0 68.1 100', path: 'M47.6 0.3 48.6 0.9 49.2 1.6 50.1 1.9 50.8 2.2 52 3 51.8 3.7 50.2 3.9 47.4 4.3 45.8 4.9 45.3 5.9 47.1 4.8 48.4 4.8 49.6 5.1 50.8 5.1 51.8 4.8 52.9 4.2 53.2 5.5 53.7 6.8 54.3 6.7 54.5 7.3 55.8 7.6 56.5 8.2 56.9 9 56.8 9.7 56.4 10.4 55.9 11.1 55.2 11.6 54.3 11.9 48 12.9 47.6 13.8 47.7 14.6 48.7 14.3 49.9 13.8 50.8 13.9 52.9 14.2 53.5 15.2 53.9 16.6 54.6 16.2 54.9 15.6 55 14.6 55.4 14 56.9 13.6 57.3 14.4 57.4 15.3 57.3 16.6 57.3 17.3 57 18.6 56.7 19.2 55.9 20.8 55.2 22.3 55.1 23.2 55.4 22.6 56.3 21.6 57 20.5 57.6 19.7 58.6 17.6 59 17 59.6 18 60.3 18.1 60.9 18.5 61.4 18.9 62 17.8 62.4 17.1 62.7 16.3 63.6 15.5 65 15.7 65.6 15.9 66.4 16.4 67 16.7 67.7 17.5 68 18.1 67.2 19.5 67 20.1 66.2 21.1 65.5 21.6 64.8 21.8 64.9 22.4 64.8 23.3 64 23.7 63.6 24.2 62.7 24.2 62.2 24.7 62.6 25.3 63.1 25.7 62.9 26.3 62.5 26.8 61.9 27.2 61.1 27.3 60.1 27.1 59.5 26.8 58.8 27.5 58.5 28.4 58.4 29.4 58.6 30 59.2 30 59.4 30.8 59.3 31.7 59.3 32.5 59.7 33.1 59.6 33.7 58.9 34.2 58.8 34.8 58.6 35.5 57.9 35.7 57.4 36.5 57.6 37.1 57.3 38.1 57.2 39.2 56.9 40.2 56.7 41.2 56.9 42 57.4 40.9 58 40.7 58.6 41.2 59.2 41.6 59.4 42.3 58.7 41.9 58.1 41.9 58.1 43 58.8 43.6 59.3 44 60.2 43.8 60.5 44.6 60.5 45.2 60.4 45.9 60 46.4 59.2 45.9 58.5 45.6 57.6 45.8 56.8 46.8 56.2 46.3 55.7 46.7 56.1 47.2 56.7 48.2 57 48.8 57.6 48.6 58.3 48.9 58.8 49.5 58.8 50.5 59.2 51.1 59.2 51.8 59.3 52.8 59.3 53.5 58.7 53.6 58.1 53.1 57.6 53.8 57.1 54.2 56.1 53.9 56.5 54.4 57.4 54.2 57.7 54.9 57.6 55.6 58 55.1 58.4 54.4 58.8 55.1 59.1 56 59.5 56.6 59.4 57.2 58.6 57.5 57.9 58 56.9 57.9 56.6 57.1 56.5 56.3 56.4 57 56.2 57.6 56 58.2 56.4 58.7 57.2 58.8 58.2 59.2 58.1 60 58.1 60.6 57.1 60.8 56.5 61.1 56 61.5 55.3 61.2 54.4 60.4 54 59.5 53.7 60.1 53 59.7 52.5 59.2 53.2 60.3 52.7 60.9 52.3 61.4 51.5 61.3 50.9 61.1 51.4 61.6 50.8 61.8 50.2 62 51.1 62 51.7 61.8 52.6 61.5 53 61 54 60.9 54.5 61.3 55 61.8 55.5 62.2 56.2 62.6 56.4 63.6 56.3 64.7 56.1 65.4 55.1 65 54.5 64.8 53.8 63.7 53.6 62.8 52.9 62.6 52.1 63.1 51.2 63.6 51.9 63.6 52.7 63.2 53.3 62.9 53.5 64.1 52.9 64.7 53.5 64.7 54.4 65.5 55 65.9 55.8 66.5 56.1 67.1 56.1 67.7 55.9 68.4 56.4 67.9 56.7 68.5 56.7 69.4 56.8 70 56.9 71.1 56.5 71.6 56 71.1 55.9 70.2 55.7 71.4 55.1 71.6 54.4 71.2 54 70.4 53.9 69.5 53.6 68.9 53 68.5 52.3 67.9 51.7 67.7 50.8 67.5 51.5 68 52.1 68 52.3 68.8 51.9 69.4 51.3 69.8 50.5 69.9 49.9 69.7 49.3 69.7 49.8 70.2 49.6 70.9 48.6 71.5 49.7 71.7 51.1 71.5 50.8 72.1 50.2 72.6 50.8 72.4 51.5 72.3 52.4 71.9 53.4 72.1 54.1 72.4 55.1 72.6 56.1 72.6 55.7 73.2 55.2 73.7 54.4 73.8 54.3 74.4 53.7 74.9 53.2 75.3 52.8 75.9 52.4 76.4 51.8 76.9 51.2 77.2 50.6 77.5 49.9 77.7 49.3 77.9 48.5 78.2 47.8 78.3 47.2 78.6 46.6 79 45.9 78.8 45.1 78.1 45 78.8 45 79.4 44.3 80.1 43.9 80.7 43.6 81.4 43.2 82.3 43 82.9 42.5 83.4 41.9 84.1 41.2 83.9 41.3 84.5 40.8 84.9 40.2 85.4 39.5 85.5 39 85.9 38.9 85.3 39.2 84.4 38.8 83.8 38.7 84.5 38.5 85.1 38.4 85.7 37.4 85.9 36.5 86.1 36.9 86.7 36.5 87.2 35.7 87.3 35.3 87.9 35.9 88.4 36.1 89.1 35.6 89.6 34.7 89.4 35.3 89.8 35.7 90.3 35.6 91.1 35.2 91.6 35 92.3 34.4 92.4 34.3 93.3 33.4 93.3 34 93.7 33.9 94.3 33.9 94.9 33.9 95.6 33.7 96.5 33.5 97.2 33.4 97.9 33 98.4 32.4 98.3 32.9 98.7 33 99.5 32.4 99.7 31.8 99.8 31.7 99.2 31.1 99.5 30.5 99.1 30.9 98.6 30.2 98.4 29.6 97.9 29.8 97.3 29.1 97.4 28.5 97.8 27.9 97.7 27.3 97.9 27.8 97.3 27.1 97.3 26.5 96.7 26.4 96.1 26 95.4 26.4 94.9 25.7 95 25.5 94.3 25 93.9 25 93.3 25.6 92.5 25 93 24.5 92.5 24 91.5 23.6 90.7 23.6 90.1 24.3 89.9 24.9 89.7 24.1 89.7 23.5 89.7 23.8 89 24.4 88.7 25 88.6 24.6 87.9 24.4 87.3 24.5 87.9 24 88.5 23.5 89.2 23 88.6 22.8 87.4 22.6 86.8 23.1 86.1 23.9 85.6 23.2 85.9 22.7 86.3 22 86.1 21.7 85.5 21.9 84.9 22.5 83.9 23 83.5 23.5 83 23.9 82.5 23.3 83 22.6 83.7 22.1 84.2 21.5 84.4 21.3 83.7 21.5 83.1 22 82.6 22.6 82.5 21.7 82.3 21 81.7 21.1 80.9 21.7 80.4 22.4 79.9 23.2 80.2 24 80.3 24.6 80.6 24 80.1 23.4 80 22.7 79.7 22.1 79.9 21.5 80.4 21.4 79.7 21.8 78.9 22.6 78.8 23.3 79 23.8 78.6 24 77.9 23.5 78.4 22.9 78.5 22.3 78.4 21.7 78.3 22 77.4 22.8 77.1 23.3 77.6 24.1 77.4 24.4 76.8 24.1 75.9 24.9 75.7 24.1 75.5 24.3 74.9 24.4 74.3 24.8 73.7 24.8 73.1 24.2 72.9 23.6 73 22.8 72.8 22.3 72.2 21.6 71.9 20.9 71.6 20.5 71.1 20.4 70.5 21 70.3 21.6 70.5 22.4 70.6 23.3 71.4 24.3 71.8 23.9 71.1 23.9 70.2 23.4 69.7 24.1 69.8 23.3 69.2 22.6 69 22 69.1 21.9 68.5 22.3 68 23.1 67.6 22.4 67.4 21.8 67.8 21.7 67.2 21.6 66.6 21.4 65.8 21.1 65.1 21.1 65.7 21.4 66.3 21.4 66.9 21 67.5 20.9 68.1 20.1 68.4 19.4 68.2 19 67.5 19.3 66.3 19.8 65.2 19.1 65.5 19.4 64.9 19.7 64.2 20.1 63.6 20.1 63 19.7 62.4 19.1 62.5 19.3 61.9 19.5 61.2 18.9 60.9 18.6 60.3 18.7 59.6 18.7 59 18.5 58.4 18.1 57.9 17.3 58.1 17.9 57.7 17.9 57 18.4 56.4 17.8 55.8 17.5 55.1 16.7 54.3 16.3 53.6 15.8 52.9 16.2 52.2 15.9 51.4 15.2 51.1 14.8 50.6 14 50 13.3 49.6 12.7 49.2 11.9 48.9 11.2 48.8 10.6 48.4 10 49 9.5 48.6 9 49 8.3 49.3 7.7 48.9 7.2 49.3 6.6 49 6.6 49.8 5.2 49.7 4.7 49.3 4.1 48.7 3.7 48.1 4.4 47.4 5.1 47.1 4.5 46.9 3.5 46.5 3.3 45.9 3.5 45.3 2.9 46 2.3 46 2 45.3 2.1 44.5 3.5 44.1 4.3 44.3 4.5 43.7 5.2 43.4 6 43.3 6.8 43.6 7.2 42.9 7.1 42.1 6.5 41.9 5.9 42.5 5.2 42.6 4.7 42.2 4.3 42.8 3.2 42.5 2.8 41.8 3 41 2.4 41.2 1.7 41.1 0.8 40.5 0.3 39.7 0 39.1 0.3 38.5 0.4 37.5 0.9 37.1 1.4 36.6 2.1 36.6 2.7 36.1 4.2 35.4 4.4 34.7 4.9 34.3 5.5 34.2 6.1 33.8 6.9 33.7 7.5 33.9 8.1 32.9 8.4 32 8.5 31 8.7 30.1 8.8 29.2 8.9 28.5 9.3 28 8.7 27.9 8.1 28.2 7.2 28 6.6 28 6.3 27.4 6.2 26.6 6.4 26 6.9 25 7.4 24.3 8 23.9 8.6 22.9 9 22 9.9 21.3 10.8 22.5 10.6 21.1 10.9 20.2 11.7 20.3 12.2 20.7 12.8 20.4 12.9 19.7 13 18.9 13 17.8 12.9 17.1 12.9 16.2 13.3 15.4 13.7 14.8 14.3 14.7 15 15.1 15.4 15.6 16 16.6 16.4 17.2 17 17.8 17.5 18.6 17.9 19.1 17.7 18.4 17.4 17.8 16.6 16.9 16.2 16.1 15.8 15.3 15 14.4 15.6 13.5 16.8 12.9 18 12.4 19.2 12.2 20.1 11.3 20.9 11.9 21.2 12.9 21.3 13.7 21.3 16.3 21.4 16.9 21.7 16.1 21.9 15.2 22 14.5 22.1 13.9 21.9 13.3 21.9 12.2 22 11.6 23.4 13.6 24.3 15 24.9 14.9 25.5 15.1 25.7 14.4 24.9 13.2 24.5 12.3 24.3 11.1 24.2 10.4 25.3 10.3 26.6 10.9 28.3 12.8 29.1 13.4 30.6 15.6 31.2 15.9 31.4 15 31.3 14 31.4 12.1 31.7 11.2 31.6 10.3 31.3 9.7 30.3 8.2 30.8 7.6 33.5 8 34.1 8.3 34.9 8.3 34.8 7.7 31.7 7 31.1 6.7 30.5 6.9 29.9 7 29.2 6.1 29.6 5.1 30.4 5.5 31.3 4.5 32.9 3.3 33.9 3.6 34.4 4.3 35 4.8 35.3 4 35.7 3.2 36 2.6 36.9 3.3 37.6 4.1 38.3 5.7 38.6 4.8 38.7 4.2 38 3.3 37.8 2.6 37.9 1.9 38.6 1.8 38.8 1.1 39.6 1.3 40.1 0.9 41.5 0.6 42.3 0.3 42.9 0.7 43.8 0.2 46.7 0.1 47.6 0.3ZM31 13.6 30.3 12.8 29.6 12 28.9 11.4 28.3 9.8 28.4 8.8 29.3 8.5 30.4 9.4 31 10.3 31.2 10.9 31.1 12.3 31 13.6ZM60.1 15.4 59.3 14.9 59.1 14.3 59.1 13.6 59.7 13.8 59.9 14.6 60.1 15.4ZM61.3 29.6 60.8 30.3 60.1 30.2 59.6 29.4 59.7 28.8 60.2 28.4 60.9 28.1 61.5 28.8 61.3 29.6ZM59.7 40.3 59.4 39.1 59.4 38.3 59.7 37.7 59.8 39 59.7 40.3ZM60.9 42 60.9 40.9 61.1 41.7ZM1.3 43.6 0.5 43.5 0.6 42.9 1.2 43.1ZM60.2 49.8 59.6 48 59.6 47.3 59.7 46.7 60.1 48.1 60.2 49.8ZM60.8 52.7 61 53.6 61.5 54.3 60.4 54.4 59.9 53.6 60.1 52.8 60.8 52.7ZM19.8 63.3 19.2 64.1 18.6 63.8 19 63.3 19.7 63.2ZM21.4 69.6 20.9 69.2 21.3 68.7 21.5 69.3ZM52.6 70 52.7 70.6 52.2 71 51.7 71.5 50.7 71.3 50.1 71.4 50.1 70.7 50.1 70 50.9 70.2 51.6 70 52.2 69.5 52.6 70ZM23.5 70.2 22.9 70.1 23.5 70.1ZM22.3 73.2 23.1 73.6 23.2 74.2 22.3 75 21.4 75.4 20.8 75.1 21.3 74.7 20.7 74.4 20.1 74.3 20 73.3 20 72.6 20.5 72 21.6 72.3 22.3 73.2ZM24.2 74.5 23.8 73.9 24 73.3 24.6 73.5 24.3 74.1ZM39.7 86.2 39.7 85.6 39.7 86.2ZM29.5 97.8 28.9 97.9 29.5 97.5Z' },
+  gm: { viewBox: '0 0 100 25.5', path: 'M2 25.5 1.9 22.6 0 16.1 2.5 13.2 5.2 11.5 7 12.8 7.5 15.5 8.9 17.4 13.7 18.5 18.4 17.7 21.3 18.1 21.3 16.6 22.2 14.6 28 13.8 34 13.2 40.3 12 45.2 12.1 46.6 11.7 41.9 10.6 32.5 12 23 12.4 15.8 16 12.8 15.7 9.8 12.1 8.8 7.7 17.2 7.3 27.5 7.5 38.6 7.6 43.9 7.7 46.6 2.9 51.9 0.8 57.2 0 60.1 0.2 63 0.9 68.7 4.9 72.2 5.8 75.2 6.7 77.3 8.6 80.7 10.5 83.4 11 84.9 10.7 87.6 10 89.3 9.4 95 9.2 99.1 11.4 100 13.8 99.3 16.3 93.7 17.6 86 19.6 79.6 18.5 71.8 15.7 67.3 13.7 65.4 12.9 62.5 11.6 60 10.2 57.7 9.3 55.8 8.7 54.5 9.4 53.8 11.2 52.7 13.1 51.3 14.2 44.8 14.9 38.9 15.6 35.8 16.2 33.7 16.6 33 22.3 26.4 22.3 19.9 22.2 13.1 22.3 5.9 22.4 4 23.6Z' },
+  gn: { viewBox: '0 0 100 74.7', path: 'M49.7 3.7 48.9 4.9 48.5 5.9 48.2 6.6 49.3 7.9 50.8 9.1 51.4 9.2 52.1 9 53.2 8 54.1 6.9 54.9 6.4 55.9 6.5 56.6 7.2 57.6 8.8 58.5 10.3 59.3 10.7 59.8 10.3 60.5 9.4 62.2 7.4 63.5 6.8 64.8 6.4 66.3 6.9 68.4 7.7 71 8.7 71.9 8.9 73.2 7.3 74.1 6.8 75.5 6.1 76.6 5.8 77.2 5.8 77.6 4.8 77.5 4.2 76.8 3.2 77.2 2.7 78 2.5 79.2 2.6 80.5 3.1 81.5 3.7 82.1 4.5 82.8 6.2 83.3 7.8 84.6 10.4 84.5 12 84.5 13.8 85.1 14.1 85.7 14.3 86.6 16 87.2 16.4 88 16.5 89.3 17.4 90.1 17.7 90.2 18.4 89.4 19.2 88.6 19.8 88 20.6 86.7 22.6 86.9 23.2 88 23.1 89.2 22.4 90.2 22.6 91.1 23.2 91.5 24.5 91.3 25.4 91.3 26.5 91.6 28.3 92.1 30.1 92.5 30.8 95.6 32.4 95.9 33 96 33.6 95.8 34.5 94.6 35.8 93.8 36.5 93.6 37.1 93.7 38.4 93.7 41.2 93.8 43.7 94.5 44.5 95.3 45 96.2 44.9 97.1 44.8 97 46.2 96.8 47.9 97.8 48.4 98.4 48.9 97 50.2 96.5 50.7 96.3 52.1 96.3 53.3 98.6 54.2 99.5 55.3 99.9 56.4 100 58.5 99.2 59 98.6 58.3 98.1 57.7 96.3 57.6 95 57.3 93.4 57.4 92.8 57.5 92.4 58.5 92.2 60.6 92.7 61.1 93.8 61.6 94.4 61.8 95.4 62.1 95.5 63 95.2 63.7 94.7 64.3 94 65.9 94.1 66.5 94.1 67.3 92.9 69.6 92.5 70.1 90.9 69.6 89.8 69.5 89.1 70.1 88.6 69.7 88 69.2 87.8 68.5 86.7 68.3 86.1 68.7 85.8 69.4 85.7 70.3 85.6 70.9 84.4 72.3 84.1 73.3 83.6 74.1 82.9 74 81.4 74.6 80.5 74.7 79.8 73.9 79.2 73.1 78.5 72.5 77.3 72.1 76.2 72.2 75.9 71.6 76.5 70.7 76.9 69.9 77.1 69 77.1 68.1 76.7 66.9 76.2 65.9 76 65.3 76.1 64.5 76 63.7 75.7 62.6 75.5 61.9 75 60.5 75.1 59.3 74.6 58.9 73.8 58.6 73.4 58.1 72.8 57.5 72.1 57.9 71.7 56.8 67.7 58.2 67.2 57.2 66.5 57 65.4 57.4 64.7 57.5 63.6 57.3 61.8 59.1 61 59.8 60.3 59.7 59.7 59.6 58.9 59.5 59.3 58.6 60 56.8 61.7 55.1 61 53.7 60.3 52.2 60.3 50.7 60.2 49.6 58.7 49.3 58.7 47.8 59.2 46.9 59.2 46.1 58.2 45.2 56.8 43.4 55.5 41.4 54.3 39.7 53.4 38.9 52.5 37.8 52.2 37.1 51.3 36.8 48.6 36.8 45.3 36.8 42.6 36.9 42.4 37.8 39.5 38.5 37.6 37.7 35.6 38.2 34.6 38.7 34.3 39.7 33.8 40.8 33.4 41.3 33 42.2 32.6 42.8 32.1 43.8 31.1 45.3 30.1 46.3 28.4 46.8 27.9 48.4 27.5 49 26.8 49.5 26.1 49.8 25.4 49.6 24.7 49.5 23.9 49.8 24.2 48.1 23.8 47.4 22.5 46.1 22.3 45.5 21.9 44.7 20.1 43 18.5 43.1 18.9 41.7 18.9 39.8 18.3 38.8 18.5 37.8 17.6 38.5 16.7 38.3 14.9 37.2 14 36.1 13.9 35.2 13.1 35 12 35 8.5 33.4 6 29.2 5.9 28.3 6.3 26.7 5.1 27.3 4.9 26.6 4 25 3.7 24 2.9 23.6 2.2 23.5 1 25.8 0 25.3 0.1 23.9 0.7 23.2 1.5 22.1 3.7 17.5 4.5 16.4 6.1 16 8.1 15.4 9.8 14.4 10.7 14 12.6 14.1 14.9 13.9 17.9 12.9 17.9 11.6 17.9 9.9 17.8 9.2 16.8 8.5 16.1 8 15.6 7.3 15 6.8 15.8 5.9 17.5 5.7 18.2 5 18.6 3.9 18.7 2.7 17.9 1.1 17.9 0 22.3 0.2 24.7 0.5 26 0.5 26.7 0.6 27 1.3 26.7 1.9 27 2.5 27.7 2.7 28.4 2.2 29.3 2.1 30.6 3.1 31.7 3.3 33 3.8 34.2 4.1 35.2 4.1 36 4.6 37.5 4.8 39.3 4.1 40.8 3.8 42.9 3.7 44 4 47.2 3.4 48.8 3.5Z' },
+  gp: { viewBox: '0 0 96.7 100', path: 'M72.6 44.5 54.3 46.3 42.3 44.9 39.5 33.4 45.7 23.6 41.2 11.7 44.1 4.7 50.2 0 60.3 6.2 61.9 15.1 68.3 23.2 96.7 40.5 72.6 44.5ZM31.8 80.5 19.2 87.7 13 85.5 5.4 71.6 0 33.1 4.2 26.7 7.2 24.4 23.8 29.1 30.7 34.5 37.6 38 34.1 45 35.8 73.9 31.8 80.5ZM87.7 99.4 79.1 100 75.2 98.6 74.1 89 80.8 82.3 84.7 80.7 90.6 88.2 92 94.4 87.7 99.4Z' },
+  gq: { viewBox: '0 0 100 95.9', path: 'M10.4 0 11.3 0.1 16.4 0 17.8 1.8 17.6 4.5 12.3 12.3 11.3 15.5 9.3 18.3 7.5 18.6 1.4 16.9 0.4 15.9 0 14.6 0.6 11.5 1.1 10.6 4 10 4.9 9.5 6.5 6.1 7 3.1 8.3 0.7 10.4 0ZM99.8 54.5 99.8 62.5 99.9 69.2 99.9 76.4 99.9 84 100 90.4 100 94.5 92.9 94.5 83.6 94.5 74.2 94.5 64.8 94.4 60.1 94.4 54.9 94.4 53.3 94.6 52.1 95.7 50.7 95.9 49.2 95 47.2 94.6 46.7 93.7 45.7 92 43.8 91.8 42.8 92 41.4 93 39.9 93.5 40.2 92.7 37.1 90.6 34.9 90.4 32.8 89.8 34.5 84.4 36.5 79.6 39.6 76.1 41.3 75.2 41.8 73.4 44.3 67.5 47.3 62.8 46.4 58 47.1 49.9 48 50.1 48.1 50.9 48.3 52 49.5 53 53.3 54.6 64.5 54.6 71.3 54.6 81.2 54.6 91.8 54.6 99.8 54.5Z' },
+  gr: { viewBox: '0 0 99.1 100', path: 'M77.1 0.5 78.1 0.8 78.7 1.3 79.1 1.8 79.6 2.2 80.4 3.6 80.6 5.3 80.3 6 79.5 6.2 77.2 7.8 77.1 9.3 77.1 10 77.4 10.9 77.2 12.1 76.1 13.2 75.4 14.1 74.6 15.3 73.8 15.6 73.5 15 71.7 13.8 67.6 13.2 65.6 12.3 64.7 12.5 63 11.5 61.9 11.9 59.4 13.6 58.1 13.4 56.7 12.4 55.8 12.2 54.7 12.8 53 14.7 51.2 15.6 49.6 15.3 47.5 15.3 47.3 16.4 47.7 17.1 48.9 18.4 48.3 19.3 48.7 20.3 49.5 20.5 50.6 20.4 52.7 21.6 53.6 22.9 54.2 24.4 53 23.3 52.1 22.4 50.9 22 49.3 21.2 48.2 21 47.1 21.6 47 22.3 48.2 23.5 49.3 24.2 49.9 24.8 50.3 26.2 49.6 27.1 48.4 26.2 46.4 23.2 43.6 22.6 43.2 23.2 43.7 24.8 44.1 25.5 46.5 27.2 46 27.7 43.3 26.7 42.5 25.2 42.3 23.3 39.9 22 37.5 20.5 37 19.2 37.5 18.7 37.8 17.7 36.6 17.8 35.8 18.5 34.5 19.1 34.4 20.1 34.6 21 34.2 22.4 33.8 24.8 34 26 36.8 29.6 37.8 32.1 38.5 33.1 39.9 34.2 41.4 36.1 42.1 37.2 42.5 38.9 41.3 39.9 40.5 40 40.1 39.5 40.7 38.3 40.6 37.6 38.7 36.6 37.8 36.9 36.9 37.6 37.4 38.9 38 39.8 38.3 41 39.5 40.9 37.9 42.2 36.5 42.9 35 43 34.1 43.1 34.5 43.7 35.1 43.7 36.1 44.4 39 45.3 40.3 46.4 41.7 46.5 43 48.5 45.3 49 46.6 51 48.4 51.4 49.9 52.1 50.3 52.8 50.6 54.1 50.7 56.8 51 58.8 51 59.4 50.9 60.4 50 60.9 48.9 59.4 47.2 57.8 45.4 56 44.5 55.6 43.6 56.3 41 56.7 39.7 57.4 39.2 57.9 39.7 58.3 40.4 59.1 40.4 60.3 41 61.7 41.8 62 42.7 62 43.3 62.3 44 63.5 44.4 64.3 41.7 65.2 41.1 65.6 39.9 65.4 39.8 64.3 38.9 63.7 38 63.2 37 63 36.1 62.2 35.6 62.8 36 65 37 66.4 38.7 70.4 39.4 72.7 39.6 73.9 39.2 75.7 40 77.1 40.6 78.6 40 78.5 39.4 78 38.5 77.4 36.8 75.1 36.2 73.7 35.5 73.6 34.2 73.8 32.8 76.8 32.8 78.6 32.1 78.2 31.5 77.6 31.6 75.7 31.5 74.9 29.9 72.3 29.1 72 28.7 71.2 28.1 70.2 27.3 70.4 26.7 70.8 26.5 72.2 26.4 73.5 26 74.4 24.2 72.6 22.4 69.5 22.3 67.8 23.6 66.2 23.5 65 22.3 62.8 20.5 61.4 19.5 61 19 59.4 18 58.6 17.2 58.3 17.1 57.7 19.2 55.7 20.3 53.3 20.9 53.2 22 53.7 23.3 53.6 24.3 52.1 25.2 51.3 26.7 51.5 30 53.4 33.6 54.5 35.4 55.5 36.4 56.4 37 56.6 37.8 56.8 37.8 56 37.5 55.4 38.2 55.1 40.2 55.1 40.9 54.2 40.5 53.6 39.8 53.3 39.1 53.2 38 53.2 36.8 52.7 36.2 52.3 33.9 51.1 32.1 49.7 31.6 50.5 30.9 50.9 29.8 51 26.8 50.1 24.9 50.8 23.9 51 23.2 51 22.2 51.3 21.1 51.4 20.2 50.2 19.8 49.2 19.5 49.9 19.2 50.7 17.8 51.1 17 50.5 16.3 48.8 15.6 46.6 14.2 44.8 13.1 44.3 13 43.3 13.1 42.5 14.4 42.3 16.5 43.1 17.4 42.6 17.3 41.8 17 41 16.4 41 14.8 40.9 13.1 41.3 12.3 40.9 10.7 39.3 9.5 37.7 7.6 36.6 6.3 33.3 5.3 31.9 4.1 30.9 4.8 31 5.6 31.6 6.5 31.7 7.2 31 7.5 29.8 8.3 29.7 8.5 28.9 8.1 28.2 7.7 27.3 8 26.7 8.5 26.3 9.4 25.6 10.2 25.5 11.1 25.3 11.7 24.8 12.2 22.8 12.4 22.1 12.8 21.5 13 20.6 13.4 19.8 14.3 19.5 15.1 19.1 15.7 18 16 17.2 15.5 15.7 15.2 14.8 15.2 13.7 16.8 13.6 17.4 13.5 19.4 13.4 20.3 12.8 21 12.9 22.3 13.4 22.9 13 24.7 12.2 26.4 9.8 27.1 9.4 28.8 9.3 30 9.1 31.8 9.5 32.9 9.6 34.2 9.3 35.6 8.7 35.9 6.6 37.1 6.3 37.8 6.3 39.1 6.4 40.6 6.5 41.5 5.5 43.1 5.5 43.8 5.3 44.9 5.5 46.1 5.5 47.6 5.1 48.9 4.4 50 4.5 50.7 4.2 50.9 3.3 53 3.3 53.6 3.4 54.8 3.4 55.9 2.9 56.9 4.3 57.8 5 59.2 6 60.1 5.4 61.8 5.8 63.4 6.6 64.7 7.7 66.3 7.4 67.9 6.8 69 6.7 70.2 6.6 70.9 6.4 72.5 6.6 74.2 6 75 5.5 75.2 4.8 75.1 3.4 74.7 2.1 74.3 1.6 74.4 0.6 75.7 0 77.1 0.5ZM59.2 17.3 57.7 17.8 56.2 16.8 56.2 16.2 57 15 57.5 14.6 58.6 14.7 59.2 15.5 59.1 16.6 59.2 17.3ZM69.7 20.2 68.4 20.5 67 19.3 68.4 18.8 69 19.2 69.5 19.6 69.7 20.2ZM66.9 26.8 66.4 27.3 66.1 28.2 65.9 29.4 65.3 29.5 64.7 28.8 64.7 28.2 64.1 28.8 63.3 29.2 62.5 28.8 62.6 27.9 62.4 26.9 64.5 26.5 65.1 27.2 65.8 26.8 67 26 66.9 26.8ZM5 35.1 5.2 35.9 3.8 35.4 2.7 34.6 1.9 32.8 0 30.7 0.7 29.6 2.2 29.3 2.8 29.6 3.4 30.4 2.5 31.2 3 32.3 3.2 34 3.6 34.5 4.4 34.9 5 35.1ZM78.1 36.6 77.9 37.5 79.5 38.9 80 39.9 80.2 40.8 79.5 40.5 79.7 41.6 78.8 41.9 77.9 41.9 75.2 41.1 74.6 40.3 76.2 39 75.4 38.6 74.2 40.1 72.3 39.4 71.7 38.8 72.3 37.2 73.7 37.3 74.4 37 75.3 36.6 75.3 35.9 77.4 35.8 78.1 36.6ZM49 39.1 48.4 39.3 49 38.1 49.9 37.5 49.6 38.5 49 39.1ZM47.7 39.8 47.2 40.3 46.4 40.1 45.6 38.4 47.7 39.8ZM43.5 42.1 44.2 43.7 44.8 44.2 46.1 44.9 46.7 45 48.9 46.1 51.4 46.3 52.1 47.6 52.6 48.2 52.7 48.8 52.4 49.4 52.8 51.2 53.4 53 54.4 53.8 55.6 54 56.8 54 56.9 55.9 56.5 56.5 55.7 56.4 55.1 55.9 54.4 55.9 53.9 55.3 52.7 54.5 52.4 53.2 51.9 52.6 51.4 51.5 50.7 50.7 48.9 50.3 47.5 50.3 46.2 49.7 45.8 48.1 45.1 47.6 44.5 47.2 44.1 46.6 42.9 45.4 41.6 44.4 40.4 43.8 39 43.3 38 43.8 37.3 43.7 38.6 42.7 40.4 41.4 41.7 41 43.5 42.1ZM58.1 44.3 56.8 44.7 56.8 44.1 55.6 43.1 55.7 42 56.8 42.3 57 43.3 58.1 44.3ZM12 47.2 11.2 47.3 10.5 47.6 10.5 46.5 10.9 45 11.4 44.2 12.1 43.8 12.4 44.4 12.3 46.8ZM74.4 53 73.3 53.8 72.1 52.6 72.8 51.7 73.3 51 72.9 50.1 71.6 48.7 71.6 47.8 73.5 47.3 74.6 48.2 75.2 48.2 75 49 75.2 51.7 74.6 52.1 74.5 52.7ZM12.8 51.4 11.5 50.1 11.3 49.1 11.9 49.2 12.2 49.9 12.6 50.8 12.8 51.4ZM11.2 50.6 11.3 52.3 12.1 52.6 13.2 54.1 13.1 54.9 11.1 54.4 10.1 54.6 9.8 53.8 9.6 53 8.6 53.4 8.2 52.9 8.8 51.2 9.7 51.5 10.4 50.4 10.4 49.5 11.2 50.6ZM45.1 57.3 44.1 57.6 43.6 57.2 44.1 56.5 44.7 56.4 45.1 57.3ZM61.7 59.7 61.4 60.6 60.5 59.5 59.5 58.7 59.1 58 58.5 57.6 58.3 56.7 59.1 56.3 60.1 57.4 61.3 57.6 61.2 58.2 61.6 59.1 61.7 59.7ZM14.3 59 15.6 60.4 14.6 60.1 13.5 61.1 12.2 59.9 11.4 58.7 12.1 57.2 12.8 58.3 13.8 58.5 14.3 59ZM82.9 58.9 84.3 59.4 85.4 59.5 85.5 60.4 84.6 60.5 83.1 61.3 82.5 61.2 81.7 60.5 80.4 60.4 80.7 59.4 81.9 58.9 82.9 58.9ZM54.4 62.3 53.6 63 53.5 62 54 60.9 54.6 60.8 54.4 62.3ZM64.8 62 64.3 62.9 63.6 62.8 62.4 61.8 62 61.3 62.9 61.3 64.4 61.5 64.8 62ZM73.7 63 73.1 63.1 73.3 62.5 74.3 61.5 75.8 61.4 77.1 60.9 76.8 61.7 75.7 62.4 73.7 63ZM66.5 64.6 65.4 64.7 65.4 63.6 67.2 63.9 66.5 64.6ZM61.2 63.5 61.1 65 60.6 64.2 60.7 63.3ZM55.3 65.7 54.6 66.1 54.9 65.1 54.5 64.6 55.2 63.8 55.8 64.8 55.3 65.7ZM56.3 68.9 55.2 68.8 55.4 68 56.4 67.9 56.3 68.9ZM68.1 71.1 67.1 71.7 66.4 70.9 66 69.6 67.9 67.8 68.6 68.5 68.6 70.1 68.1 71.1ZM65 69.7 64.1 70.8 63.3 70.7 63.5 69.1 64.5 68.5 64.9 69.5ZM85.1 71.2 84 71.4 84.2 70.3 83.6 69.4 84.5 69.9 85.1 70.5 85.1 71.2ZM58.6 71.8 58.1 71.2 58.1 70.4 59.1 71.4 58.6 71.8ZM71.7 73.7 70.7 73.8 71.4 73.2 72.7 72.3 73.4 71.6 74.1 72.1 73.2 72.4 71.7 73.7ZM84.3 74.6 84.4 73.9 85.6 73 87.4 72.1 88 72 89 72.5 87.1 73.4 86.6 73.9 85.3 74 84.3 74.6ZM66.2 75.3 65.1 74.7 64.8 74.1 66.5 74.7 66.2 75.3ZM56.4 74.1 56.5 74.9 54 75.6 54.2 74.6 55.2 74.8 55.6 74.3 56.4 74.1ZM94.8 77.1 94 76.6 94.6 75.9 94.9 76.7ZM78.7 76.6 77.8 77 77.2 77.7 76.5 77.2 76.5 76.5 77.2 76.7 77.8 76.3 78.7 76.6ZM67.4 79.4 66.8 80.1 66.1 79.9 66.6 79.2 66.4 78.3 67.2 78.8 67.4 79.4ZM94.6 86 93.8 86.3 93.2 85.6 93.6 84 93.2 83 93.8 81.9 94.3 81 95.5 80 98.4 78.9 99.1 78.8 99.1 79.7 98.1 82 97.2 83.1 97.5 84 96.1 84.3 94.6 86ZM39.3 82.3 39.2 82.9 38 82.5 37.7 81.8 37.6 80.4 37.9 79.7 38.7 80.3 39.8 81.5 39.3 82.3ZM86.9 92.5 86.5 93.3 86 92.7 86.2 91.9 85.7 90.7 86.7 88.8 86.7 88 87.5 87.5 87.3 89 86.7 90.2 87.3 91.2 87.6 92.3 86.9 92.5ZM48.6 91.5 49.3 91.6 50.4 91.6 51.3 90.7 52.2 90.7 52.5 91.5 51.7 91.9 52.3 92.6 53.2 92.5 53.4 93.7 54.4 94 55.4 93.9 56.4 93.7 57.5 93.3 58.6 93.1 61.8 93.3 63 94.2 65.2 94.3 67.3 94.8 68.4 94.5 70.2 94.2 70.3 96.5 70.4 97.1 71.5 97.2 72.1 96.6 73.7 96.1 75.3 96.1 76.7 94.7 76.8 95.3 76.6 96.8 76.3 97.7 76.2 98.5 75.3 98.8 73.9 98.9 71.4 98.7 68.9 99 64.2 99.7 59.5 100 58.9 99.8 58.9 98.9 58.8 98.3 57 97.5 55.6 96.8 50.2 96 48.9 95.6 46.9 95.8 46.1 95.8 45.2 94.9 45 93.2 45.3 91.6 45.8 91.1 46.5 91.8 47 91.3 47 90.6 47.2 89.8 47.9 91.3 48.6 91.5Z' },
+  gt: { viewBox: '0 0 95.1 100', path: 'M72.9 0 72.7 6 72.4 13 72.2 18.1 72 24.9 71.7 31.8 71.4 41.3 71.1 47.4 74.1 47.2 78.3 47.5 79.3 47.5 80.6 48 81.5 48.1 83.7 49.5 86.2 50.6 87.8 48.5 86.9 47.2 86.3 46.6 86.4 46 95.1 51.4 94 52.3 91.8 54.2 87.8 57.5 84.2 60.4 80.8 63.1 77.7 65.5 73.4 67.5 72.7 68.3 71.9 71.7 71.5 72.5 72.2 74.4 72.9 77.3 72.7 78.8 70 80.7 68.7 82.4 68.2 83.5 66.8 83.1 64.9 83.5 63.9 83.6 63.2 84.1 63.1 85.2 63.6 86.9 63.8 87.7 63.2 88.1 60.8 89.2 59.9 90.2 59 91.7 57.9 92.4 56.8 92.3 56.1 92.5 54.4 93.7 51.9 95.9 50.5 97.6 50.5 98.9 50.8 100 41.7 96 38.6 95.3 25.8 95.4 20.4 93.8 14.1 90.8 9.9 88.1 0 80.3 0.6 79.7 1.1 78.3 1.8 76.8 1.4 75.1 1.1 73.7 1.9 71.7 1.8 70.1 2.2 69.2 3.2 68.6 3.8 67.4 0.7 63.4 0.7 62.5 1.1 61.4 3.6 57.1 6.6 52.1 9.9 46.4 11.8 43.1 19 43.1 23.8 43 29.8 43 36.3 43 40.6 43 42.4 43 42.1 40.8 42.4 38.4 43.1 36.2 43.1 35.2 41.8 34 39.4 33.3 38 32.2 38 30.9 37.4 29.3 36.2 27.4 33.7 25.4 29.9 23.4 26.6 20.8 24 17.4 21.7 15.3 20 14.3 24.7 13.9 29.5 13.9 29.5 9.1 29.5 4.9 29.6 0 38.3 0 48.7 0 59.5 0 67.9 0Z' },
+  gu: { viewBox: '0 0 78.3 100', path: 'M24.9 99.5 13.5 100 3.6 90.8 0.2 84.6 0 53.1 37.9 26.2 50.3 0 60.7 2.1 69.9 6.4 78.3 14.2 35 57.9Z' },
+  gw: { viewBox: '0 0 100 58.1', path: 'M98.2 0.2 98.1 2.9 100 6.8 99.7 9.6 98.9 12.3 98.1 13.4 97.2 14 94.2 14 93 14.5 91 15.6 90.9 16.8 92.5 18 93.8 19.7 95.3 21 97.9 22.5 98.1 24.1 98.2 28.3 98.1 31.6 90.8 34 85.2 34.4 80.5 34.2 78.5 35.2 74.4 37.6 69.4 39.1 66.8 39.2 65.6 40.1 63.6 42.6 58.2 53.8 56.4 56.4 54.9 58.1 53.3 55.8 54.6 51.4 53.2 51.5 50.4 55 49.1 55.1 49.2 50.9 47.7 50.8 45.9 51.1 43.4 48.9 43.2 47.3 43.4 45 44.9 43.6 44.7 42.9 43.2 42.8 41.6 43.2 40.6 42.5 42.2 39.5 48 37 51 36.8 54 36.2 52.3 34.1 48.8 33.2 45.9 33.8 44.5 35.4 42.8 35.6 39.8 32 39.9 30.2 41 28 42.7 27 49.4 27.1 52 25.8 53 25.6 54 24.5 53.8 23.8 52.7 23.7 50.1 25.2 42 24.6 39.4 25.5 34.9 28.8 29.4 30.7 25.3 29.9 26.6 25.4 26 24.8 24.8 24.1 18.9 25.5 14.4 23.5 12.6 21 12.9 18 15 15.9 15.4 14.8 13.1 14.6 9 15.9 0 10.9 1.8 10.6 6.3 11.1 9.7 10.5 12.2 9.4 15.5 7.9 18.7 7.5 28.7 8.1 37.4 6.4 43.9 3 49.9 0 57.6 0 65.9 0.1 77.7 0.1 87.1 0.2 98.2 0.2ZM23.9 26.7 22.2 30.8 20.1 30.4 18.6 27.9 18.4 26.9 22.7 26.6 23.9 26.7ZM38.1 38.3 37.8 39 36 38.4 38.7 35.6 40.5 35.1 40.4 37.2 39 37.7 38.1 38.3ZM26.7 40.6 25.1 41.7 23.5 41.2 22.7 40.2 22.8 38.6 24.6 36.2 26.2 36.5 26.7 40.6ZM32.5 49 32.5 50.4 31.1 50.1 31.5 47.2 32.7 46.1 34.2 46.3 34.4 47.6 33.7 48.3 32.5 49ZM19.7 54.2 17 54.7 15.8 53 15.7 52.4 17 51.8 17.7 51.8 18.7 50.6 20 49.8 20.6 49.5 21.2 49.6 21.7 52.3 21.1 53.4 19.7 54.2ZM26.9 53.4 26.6 54.3 24.6 54.2 25.1 53.3 25.2 50.2 26.4 50.8 26.9 53.4Z' },
+  gy: { viewBox: '0 0 67 100', path: 'M57.2 41 56.5 41.8 56.4 42.4 55.9 43.4 56.1 45.1 56.7 45.1 57 45.8 56.2 46.3 55.7 47 55.7 47.8 54.3 48.4 52.1 48.4 51 48.4 50.2 48.6 49.6 49.1 48.9 49.4 47.9 50.1 47.4 50.9 48.1 52.2 48.4 53 48 54.2 47.5 55.1 47.3 55.9 46.9 57.3 46.1 58.8 45.5 59.7 45.5 60.7 45.8 62 47.5 64 48.1 64.9 48.5 66.4 50.1 67.6 51 68.6 50.9 69.9 51.7 70.6 52.4 70.8 53.2 70.8 53.9 70.7 55.8 70.5 56 72.6 56.1 73.4 56.7 74.1 56.8 75.6 57 77.2 57.7 77.9 58.2 78.7 59.1 80.1 59.6 80.9 59.9 82 60.6 83 60.8 83.8 61.4 84.8 62.1 85.4 62.4 86.1 63.2 87.6 63.9 88.7 65 89 65.9 89.1 66.4 89.5 67 90 66.4 90.2 65.1 90.2 64.1 90.3 63.1 90.6 62.1 90.8 60.3 90.3 59.4 90 58.6 89.1 57.3 89.4 56.1 89.7 54.9 90 54.3 90.4 53.1 92.2 52.5 92.9 51.8 93.2 50.5 93.2 49 93.2 48 93.7 47 93.9 46.3 94.9 45.8 95.7 45 95.8 44.3 95.7 43.1 95.1 42.4 94.9 41.6 94.8 41.1 95.5 40.9 96.2 39.8 96.4 39.6 98 39.3 98.9 38 98.9 36.9 98.9 36.3 99.4 35.5 99.9 34.5 100 33.8 99.4 33 98.6 31.2 98.1 29.5 97.6 28.3 96.4 28 95.8 26.1 94.2 25.3 93.2 24.5 93 23.5 92.6 23.6 92 23.5 91.3 22.5 90.9 22.4 89.7 22.5 87.5 22.3 85.5 21 84.7 20.5 84.3 19.5 81.2 19 79.8 19 78.8 19.4 75.7 19.7 74.4 20.7 71.8 21.3 70.9 21.3 70.2 21.3 69.3 21 67.6 22.6 66.6 23.4 66.1 23.5 65.4 24.4 64.5 24.8 63.6 25.1 62.9 24.6 62.4 24.2 61.7 23.2 59.9 22.5 59 22.7 58.1 23.1 57.2 22.4 56.4 21.2 55.6 20.3 55.5 19.5 55.2 18.4 55.2 17.5 55.1 16.9 54.8 17.3 53.9 18 53 18.5 52 18.6 51 18.8 49.7 19 48.6 19.1 47.3 17.9 46.5 17.5 45.8 17 45.2 15.7 44.9 14.4 45.7 13.4 45.6 12.7 45.9 11.1 45.8 10.1 45.4 8.9 45.7 6 42.5 3.1 39.3 0.2 36.1 1.2 34.2 2.3 33.1 3.2 32.5 3.6 31.9 3.3 29.6 3.3 28.7 2.9 27.8 2.6 26.8 2.9 26 3.3 25.4 3.9 25.1 5.2 24.9 6.2 24.8 7.1 24.1 7.8 24.1 9.2 24.4 9.8 23.8 11 23.1 13.6 21.9 14.2 21.1 14.6 19.9 14.3 19.1 13.6 18.9 12.6 18.9 11.8 19.2 11 19.1 10.3 18.3 10.3 17.7 10.7 16.8 10.5 16.2 9.2 14.4 10.1 13 10.6 12.3 11.4 10.6 12 10.1 13.8 9.9 15.2 8.6 16.5 7.6 18.5 6.8 19.1 5.3 21 4.1 21.3 3.3 18.7 0 21.2 2.4 22.3 2.9 22.5 2.3 23.5 2.6 26.1 4 29.9 6.5 35.2 11.1 36.7 12.9 37.7 13.7 39.3 15.8 39.7 16.7 39.7 20.7 38.3 23.3 38 25.3 37.9 28 37.1 29.5 38.2 28.7 38.5 26.3 39.4 24.8 40.6 23.2 42.2 22.8 43.9 23.5 45.3 23.6 46.5 24.1 49.1 26.7 51.6 28.7 52.5 30.3 55.2 31.1 56.8 32.4 57.3 33.5 57.6 36.4 57.1 40.8Z' },
+  hn: { viewBox: '0 0 100 58.5', path: 'M56.3 0.9 55 1.8 55.4 0.5 56.1 0 56.9 0.1 56.3 0.9ZM47.4 2.3 44.8 3.6 44 3.5 45.2 2.5 47.1 1.7 48.7 1.3 50.1 1.4 47.4 2.3ZM100 25.3 95.8 25.1 93.9 25.6 93 26.7 92.3 27.3 91.7 27.1 90.4 27.6 88.6 28.6 86.9 29 85.4 28.7 84.8 29.3 84 29.8 83.3 29.7 82.6 29.4 82.1 30.2 80.9 30.1 80.1 30.3 79.1 31.1 77.8 31.3 76 30.8 74.7 29.9 73.7 28.7 72.6 28.3 70.5 29.3 69.7 30.4 69.5 31.1 69.7 31.7 68.4 32.3 67.7 33.1 67.2 34.4 67.1 35.4 67.4 36.1 66.9 36.6 65.7 36.9 64.3 38 62.6 39.9 61 41.3 59.3 42 58.5 42.9 58.6 43.8 57.6 44.3 54.4 42.3 53.5 40.9 52.7 41.1 51.7 41.8 50.3 43.4 48.8 45.5 48.1 45.8 44.3 45.5 42.4 45.6 41.8 46.7 41.9 47.8 42.4 51.5 42.7 53.1 41.4 53.6 40.1 53.8 39.4 54.5 39.2 55.3 39.1 56.3 38.7 57.3 37.9 58.1 37.1 58.3 32.6 58.5 32.7 56.8 31.4 56.1 30.7 54.7 30 53.7 30.3 53.1 30.2 52.4 28.4 51.9 26.7 52.3 25.7 52 25 51.6 26.2 50.8 25.9 49.9 25.6 48.7 25.9 47.5 26.6 44.8 25.2 43.6 23.7 43.5 22.1 43.7 21.3 43.3 20.7 42.4 19.5 41.9 17.5 42.7 15.4 43.8 14.7 44.2 13.9 43.3 13.8 42.3 12.6 41.7 11.2 41.5 10.6 41.2 9.9 40.5 8.3 39.7 8 39 5.8 37.6 5.4 36.8 4.9 36.3 3.9 35.6 3.1 35.8 0.4 34.9 0.4 34.1 1.2 33 3.1 31.7 3.2 30.7 2.7 28.7 2.3 27.4 2.5 26.8 3.1 24.5 3.5 24 6.2 22.8 8.6 21 10.9 19.2 13.4 17.2 16.1 15 17.6 13.6 18.3 13.1 19.8 13.5 21.1 12.5 21.8 12.1 23.5 10.9 26.8 10.1 28.1 10.1 29.3 11.4 30.2 12.1 32 11.5 33.5 11.3 39.6 12.5 42 12 46.5 11.9 48.5 12.2 51.3 10.5 53.1 10.1 55.2 9.4 55 8.5 54.4 8.2 57.7 8.5 62.5 10.3 67.7 9.9 69.6 9 70.8 8.7 76 10.5 77.4 11.9 78.5 12 79.4 11.7 78.6 11.1 78.1 10.7 82.2 11.5 90.1 17.9 90.2 18.5 86.9 16.6 85.1 16.7 84.8 18.1 85.7 18.6 87.6 18.7 88.5 19.3 89.7 20.4 90.3 21.5 91 21.6 91.7 20.9 93.1 20.8 93.9 21.6 94.5 21.5 93.7 20.3 91.7 19.1 96.6 21.2 97.9 23.9 98.9 24.5 100 25.3Z' },
+  hr: { viewBox: '0 0 100 97.4', path: 'M51 0.8 51.9 1.2 54.9 2.9 57 4.8 58.2 6.9 59.8 8.5 61.7 9.6 63.3 11.2 64.5 13.2 66.1 14.3 68.2 14.5 69.5 15.2 70.1 16.3 71.2 17.3 72.9 18.2 75.6 18.7 80.7 18.8 82.3 19.1 83.6 18.7 85.3 18 85.8 17.6 87.5 15.3 88.5 15.5 90.4 15.3 91.5 14.8 91.4 16.4 90.5 17.1 91.4 18.7 92.3 21.4 91.8 22.8 92.4 23.8 94.1 24.6 93.8 25.2 93.3 26 93.3 27.6 94.8 29.2 97.8 30.6 98.8 30.8 99.2 31.3 99.7 31.7 100 32.7 98.3 33.2 96.7 33.2 95.5 32.5 95.4 33.6 94.2 33.9 94.9 37.9 94.6 39 93.8 39.2 93.1 39.5 93.3 40.4 92.2 40.5 90.4 40 89.6 39.3 89.4 38.5 89.4 37.8 88.9 36.6 87.4 35.4 84.5 35.2 83.4 34.8 82.3 34.4 81 34 79.9 34.1 78.5 34.4 76.1 33.8 75.3 34.6 74 35.4 73 35.4 70.9 33.5 70.3 33.3 68.5 34.3 67.7 34.4 64.7 33.3 63.6 33.2 62.8 33.5 61.3 33.1 57.8 30.6 55.6 32.5 51.2 32.1 49.9 33.4 48.4 35.9 47.2 37 46.1 36.6 44.9 35.5 42.7 32.7 41.6 32.2 40.3 32.1 39.2 32.4 38.6 33 38.1 37.1 37.7 40.7 37.7 42.9 40.2 44.8 43 48.3 43.9 48.7 44.4 49.8 45.1 52.7 45.8 55.9 47.3 58.1 48.6 59.6 50.2 60.9 52.2 63 53.9 65.3 54.3 66.2 57.5 69.2 60.6 72.3 63.4 73.4 63.8 74 63.8 76.3 64.2 77.2 66 79.7 69.8 83.3 70.2 84.2 70.4 84.8 69.1 85.8 68.3 85.2 64.8 81.7 61.4 79.4 57.5 75.2 52.4 73.6 48.9 71.7 46.8 72 44.4 72.6 43 72.6 41.9 72.3 41.2 71.1 41.3 70.2 41.2 69.1 39.1 67.2 36.3 65.4 33.7 63.1 28.4 56.9 27.3 54.9 28.3 54.6 29.1 54.6 30 54.2 31.5 54.2 33.2 54.6 31.7 53.3 29.8 51.9 24.9 46.7 23.4 44.3 23.2 41.6 23.6 37.9 22.7 35.3 18.9 31.9 17.6 30.1 14.8 29 13.5 29.1 12.8 30.5 12.2 33.4 9.7 37.3 8.9 39 7.6 41.2 6.5 41.3 5.8 41.1 3.8 37.5 1.9 34.7 1.6 33.3 1.5 31.7 0 25.7 1 24.8 1.7 25.8 6.1 27 7.1 26.4 7.7 25.7 8.1 25 9.6 25.8 10.9 25.6 13 25.6 14.5 25.7 15.5 25.1 16.8 22.9 17.3 21.7 17.9 21.4 18.5 22.6 19.2 23.5 20.7 25 21.7 25.8 22.6 26 23.5 25.4 24.4 25.2 27.1 26.4 29.3 26.6 31 26 30.7 25.2 30.1 24.2 30 23.3 30.1 22.5 31.2 21.7 29.8 20 32.9 18 35.8 17.1 36.3 16.5 36.5 15.4 36.7 13.5 36.5 11.9 35.3 10.4 35.2 9.7 35.5 8.9 36 8.2 37.1 7.9 38.5 7.4 39.6 6.8 41 6.3 42.2 5.6 43.3 4 44 3.7 46 4 46.5 3.6 46.2 1.3 46.6 0.7 47.3 0.3 49.4 0.3 51 0.8ZM22 37.8 19.9 38.3 18.9 37.4 18.7 36.6 16.9 36.4 15.9 35.3 17.2 33.7 17.9 31.8 18.9 33 20.2 35.1 20.8 35.7 22 37.8ZM16.5 45.3 16.4 46.3 15.4 45.1 14.9 43 13.6 39.6 13.4 38.7 14.1 37.7 14 36.7 13.1 33.8 13.9 33.3 14.5 35.3 14.9 36.5 16.2 37.9 15.9 40.4 16.2 43.8 16.4 44.5 16.5 45.3ZM22.4 43 22.8 44 21.2 43.1 19.8 42.7 19.5 42 19.7 41.4 21.1 40.9 21.2 41.5 22.4 43ZM28.4 53 28 53.7 26.9 52.5 25.9 51.7 25.2 50.7 23.8 49.5 23.3 48.1 21.2 45.2 20.8 44.5 21.9 45.6 22.8 46.3 23.5 46.5 25.3 48.3 27.2 50.7 29.3 52.7 28.4 53ZM28.4 62.8 28.7 63.4 27.8 63 23.4 58 22.9 57 24.4 58.2 28.4 62.8ZM29.2 59.5 29.4 60.3 27.3 58.8 26.5 57.7 29.2 59.5ZM31.5 61.6 32.7 63.3 31.6 63 30.5 61.9 29.8 60.7 31.5 61.6ZM55.6 78 52.9 78.1 50.6 77.7 49.4 76.9 49.5 76.3 49.8 75.3 52.4 75.4 56.4 76.2 57.4 77 55.6 78ZM62.5 81.4 61.3 81.6 53.8 81.5 51.6 81 49.1 79.7 48.6 79.3 51.1 79 53.4 79.3 54.1 80.2 60.2 81 62.5 81.4ZM70.6 86.7 71.8 86.3 72.8 86.6 73.5 87.9 74.8 88.8 76.9 90.3 78.3 91.5 81.4 93.6 82.1 93.8 83.6 94.5 83.6 95.3 84.3 96.3 85 97.4 81.8 95.2 78.9 92.8 73.2 89 69.1 88.1 63.6 85.1 60 84 61.4 83.7 62.9 83.7 71.5 87.8 70.6 86.7ZM53.3 84.4 56.4 85 58.7 84.7 60.8 85.1 62.1 85.9 60.7 86.3 58.8 86 56.7 86.7 54.8 86.3 54.1 85.8 53.5 85.2 53.3 84.4ZM69.5 89.6 71.9 91.2 65.1 89.1 65.8 89 66.5 88.9 69.5 89.6Z' },
+  ht: { viewBox: '0 0 100 76.3', path: 'M64 2.1 65.5 3 64.9 4 61.4 3.4 57.7 2.2 56.5 2.5 55.7 2.3 53.6 1.2 55.5 0.3 57.4 0 59.5 0.1 64 2.1ZM95.3 14 96 15.1 97.7 22.6 97.8 25 96.2 28.7 96.4 30.1 99.9 33.4 100 34.6 99.6 35.9 96.6 39 94.3 41.2 95 43.7 96.9 46.1 97.1 48 96.6 50.6 93.7 53.9 92.2 55 87.9 55.2 89.6 58.8 92 62.4 95.9 65.1 96.8 67.7 95.8 70.2 95.6 76.3 92.7 73.3 89.4 70.9 87.4 69.9 85.3 69.3 69.7 69.6 67.9 70 66.6 70.8 65.1 71.2 60.8 71.9 56.5 72.1 46.5 70.1 42.6 69.1 38.6 68.4 34 68.7 29.4 69.3 25.8 70.7 23.1 73.2 22.6 75.6 20.9 76.2 17.3 72.4 13.9 69.8 10 67.8 2.1 64.9 0.6 63.2 0 61.1 3.2 54.6 6.8 53.4 8.8 53.2 13.3 54 17.7 55.5 21.7 56.4 27.9 56.8 31.3 58.4 55.1 60.9 59.6 61.6 61.4 61.4 62.9 60.4 64.2 58.7 65.7 57.4 72.7 57.1 74.2 56.5 75.2 54.7 75.2 52.8 71.1 50.2 64.6 44.6 58.9 38.1 61.3 35.8 60.4 31.8 61.3 28 62.7 24.3 57 21.2 50.3 18 41 17 38.2 16.2 36.7 13.8 38 10.7 41 8.9 44.5 7.8 48 7.1 56.5 6.2 65 7.2 72.3 10.5 79.7 13 89.1 13.9 93.3 14.8 95.3 14ZM59.1 49 58.5 51.6 49.4 48.5 42.1 44.6 42.4 42.4 46.2 41.9 49.7 43.2 55 45.9 59.1 49Z' },
+  hu: { viewBox: '0 0 100 60.5', path: 'M89 3.3 90.4 3.1 91.1 4.3 91.4 5 91.7 5.9 92.2 6.6 93.3 6.9 94.7 7.7 95.7 9.3 97 9.9 98.4 9.8 99.4 10.9 99.7 11.6 99.6 12.3 99.7 13.1 99.6 13.9 97.1 16.6 96 17.3 95.4 17.5 94.3 17.2 93.2 17.4 92.3 18 91.4 18.2 90.7 18.9 89.8 20.3 88.7 21.6 87.6 22.4 87.1 23 87 25.4 86.4 26.1 85.6 26.8 85.2 27.4 83.9 31 83 32.1 82.1 33 81.9 33.8 82 34.8 80.9 36.6 79.6 38.5 79.4 39.3 79.7 40.3 78.4 41.5 77.7 42.1 77.1 42.4 76.7 43.2 76.1 45 76.2 45.8 76.2 46.6 75.2 47 74.9 47.8 74.6 48.9 74.1 49.3 72.9 50.2 69.9 49.8 68.8 50.1 68.5 50.7 68 51.7 67.3 52.2 66.6 52.5 65.1 51.8 61.7 52.5 61.2 53 60 52.3 56.6 51.9 55.3 52.2 53.5 52.1 51.9 51.7 50.7 52 49.6 53.5 49.1 54 47.7 54.7 47 55.3 45.9 55.7 45 55.6 44.1 55 43.6 55.7 43.1 56.2 41.8 56.8 40.4 57.2 38.8 57.5 37.9 57.3 36.4 59.3 34.6 60.2 33.4 60.5 32.4 60.3 27.6 60.2 25.3 59.7 23.8 59 22.8 58.1 22.3 57.1 21.2 56.6 19.4 56.4 18 55.4 16.9 53.7 15.6 52.4 13.9 51.4 12.5 49.9 11.5 48.1 9.7 46.5 7 45 6.2 44.7 4.8 42.4 4.2 41.7 4.3 40.8 3.6 40 3.3 38.7 3.2 37.7 2.8 37 0 36.9 2.4 34.6 3.5 33.9 4.9 34 5.4 33.5 5.7 32.7 5.8 32 5.9 31.3 5.1 30.8 4.8 29.2 5.1 28.5 5 26 5.2 25.3 6.2 25.2 7.1 24.8 7.8 24.3 8 23.7 8.6 22.4 8.1 20.8 5 19.7 5.6 18.9 6.3 18.3 6.8 17.8 8.2 17.9 9.7 19.1 10.8 18.9 13 18.9 14.4 18.6 14 17.4 14.1 16.5 13.8 15.8 14 15 14.5 14.4 14.7 13 15.5 12.1 17.5 12.1 20.5 14.7 22.7 16.4 24.6 17.3 27.3 17.3 30.3 17.4 35.1 17.1 38.8 16.9 39.6 15.4 39.1 14.6 39.2 13.6 39.8 12.2 41.6 11.1 46.8 10.6 49.7 9.8 50.2 8.7 51.2 7.5 52.1 7.3 53.3 7.8 54.8 8.8 56.1 9.3 56.9 9 59.5 7.3 62.5 5.7 64.6 1.3 64.8 0.6 67.1 0.1 70.4 0.2 72.1 0.8 73.3 1.1 75.2 1 78 0 79 0 79.8 0.7 80.6 1.3 81.2 2 81.7 3 82.3 3.9 83 4.6 83.6 4.8 88.7 3.5Z' },
+  id: { viewBox: '0 0 100 36.7', path: 'M60.6 36.7 61 36.1 61.5 35.7 61.2 36.4 60.6 36.7ZM54.2 33.3 54.7 33.7 55.3 33.9 55.7 34.4 55.7 35.1 55.1 35.3 54.5 35.1 54 34.6 53.3 34.2 52.2 34 52.1 33.4 52.9 33.3 53.7 33.3ZM65 32.6 65.1 33.2 65 33.9 64.5 34.5 64 34.9 63.3 35.1 62.6 35.4 62 35.3 62 34.6 62.2 34 62.6 33.5 63.2 33.4 63.8 33.2 64.3 32.7 64.9 32.4ZM53 31.9 52.9 31.3 53 31.9ZM61.4 31 60.8 31.1 61.5 30.9ZM46.8 31.6 46.7 32.2 46.1 32.3 45.5 32.2 45.6 31.6 45.9 30.9 46.8 30.9 46.8 31.6ZM63.5 31 63.1 31.5 63.4 30.7ZM62.7 30.9 62.1 31.2 61.6 31.6 61.7 31 62.4 30.7ZM95.5 31.1 94.8 31.1 95.2 30.6ZM64.2 30.6 64.9 30.6 65.4 31 63.9 31.2 64 30.6ZM71.3 30.5 71.9 30.6 71.3 30.7ZM60.2 31.6 59.6 31.9 58.9 31.9 58.2 32.2 57.6 32.1 56.8 32.2 55.9 32.1 54.9 32.1 54.2 32 53.7 31.6 54.4 31.1 55.1 30.8 55.7 30.9 56.4 31.1 57 31.3 57.6 31.5 58.2 31.3 59.1 31.6 59.7 31.3 60.4 30.9 60.4 31.5ZM77.9 31 78.4 30.5 77.9 31ZM50.3 31 50.9 30.9 51.5 30.9 52.1 31.3 52.2 31.9 51.6 31.8 50.8 32.1 50.1 32.1 49.5 32.3 48.7 32.5 48.1 32.5 47.5 32.6 47.2 32 47.3 31.4 48 31.1 48.6 31.2 49.2 31.5 49.7 31.9 50.3 31.7 49.8 31.3 49.3 30.9 50.1 30.5ZM44.2 30.6 44.8 31.1 44 31.6 43.6 32.1 43.4 31.5 42.7 31.1 42.1 30.7 42.9 30.7 43.6 30.4 44.2 30.6ZM75.7 30.2 75.1 30.1 75.7 30ZM69 29.5 68.4 30 67.7 30.1 66.9 30.2 67.2 29.5 68.1 29.6 68.9 29.5ZM94.7 30.9 94.1 31.2 93.5 31.1 92.8 31.2 93.1 30.1 93.5 29.5 94.1 29 94.7 28.9 95.3 29 95.7 29.6 95.2 30.4 94.7 30.9ZM78.9 30.3 78.5 29.8 78.8 29.1 79.3 28.6 79.6 29.4 79 30ZM40.7 28.3 40.1 28.5 39.3 28.6 38.4 28.4 39 27.8 41 27.8ZM85.9 26.9 85.5 27.7 84.9 27.6 85 26.9 85.1 26.3 85.7 26.7ZM26.6 25.9 27.2 26.4 28 26.5 28.6 26.5 29.1 26.9 29.3 27.5 29.9 27.7 30.8 27.8 31.4 27.7 32.2 27.9 32.8 27.8 33.5 27.9 33.8 27.1 34.4 26.8 34.8 27.4 35.4 27.4 36 27.5 36.7 27.7 37.4 27.8 38 28.2 38.4 28.7 38.4 29.3 39.4 29.6 40 29.7 40.8 29.6 41.9 29.8 41.9 30.8 42 31.5 41.4 31.6 40.4 31.3 39.4 30.9 38.7 31.1 38 31.1 36.9 31 35.6 30.9 34.6 30.8 33.6 30.6 32.4 30 30.8 29.6 30.1 29.6 29.2 29.6 28.4 29.8 27.8 29.7 27.1 29.3 26.4 29.1 25 29 24.5 28.6 24 27.9 23.2 27.7 22.4 27.8 22.7 27.2 23.3 26.1 23.9 25.8 24.6 25.9 25.4 26.1 25.9 25.7 26.5 25.8ZM55.3 26.5 55.1 25.6 55.3 26.5ZM82.2 25.6 81.8 25 82.2 25.6ZM86.4 25.2 86.3 25.8 86.3 26.5 85.7 26.6 85.1 26.1 85.5 25.5 85.8 24.9 86.4 25.2ZM82.4 25.7 82.6 25.1 82.8 24.4 82.8 25 82.4 25.7ZM15.6 24.8 15.1 24.4 15.7 24.5ZM58.6 24.7 58.1 24.3 58.7 24.2ZM59.9 24.3 59.3 24.5 59.4 23.9 59.3 23.2 60 22.9 60.2 23.6 59.9 24.3ZM61.1 22.7 61.2 23.3 60.7 24 61 24.6 60.4 25.1 59.8 24.9 60.1 24.3 60.3 23.7 60.4 22.9 60.8 22.4ZM61.3 21.8 60.7 21.9 61.2 21.5ZM72.3 20.8 71.6 21 72.2 20.5ZM46.1 21.2 45.6 21.6 45.5 20.9 45.7 20.1 46.1 20.9ZM69.2 19.5 69.7 20 70 20.7 69.3 21 68.5 21 67.7 20.7 67.4 20.1 67.9 19.6 68.5 19.5 69.2 19.5ZM75.5 19.1 76.2 19.3 77.3 19.6 77.5 20.2 77.8 21.2 76.8 20.7 76.1 20.4 75.2 20 74.6 20.2 73.8 20.1 73.1 20.2 72.3 19.9 71.7 20 71.9 19.2 72.9 19 73.6 19 74.2 19.2 74.8 18.9 75.5 19.1ZM11.4 19.8 10.9 19.3 11.5 19.4ZM28.4 19.4 27.9 19.8 27.2 19.8 27 19.2 27.2 18.4 28.1 18.5 28.6 19ZM10.9 18.8 10.4 18.3 10.9 18.7ZM10.1 17.9 9.5 17.5 10.1 17.8ZM67.4 18.2 67 17.4 67.4 18ZM67.3 16.7 68 16.8 67.2 17 66.1 17.1 66.7 16.8 67.3 16.7ZM76.8 16.5 76.9 17.1 76.3 17.3 75.5 17 76.2 16.6 76.8 16.5ZM65 16.5 65.7 16.7 65.1 17.1 64.3 17.1 63.6 16.9 64 16.4 65 16.5ZM88 16.3 88.8 16.4 89.6 16.4 90.7 16.6 90.1 16.9 89.2 16.8 88 16.5ZM23.7 16.5 24 17.6 24.4 18.2 25.4 18.4 24.9 19.1 24.3 19.2 23.6 19 23.4 18.3 23.1 17.6 22.1 17.5 22.1 16.9 22.3 16.3 22.9 16.5 23.4 16.1ZM72 16.4 71.1 16.5 70.3 16.4 70.8 15.8 71.4 16 72 16.3ZM61.2 15.4 61.8 15.6 61.3 16 60.7 16.1 60.5 15.4 61.1 15.4ZM31.7 15.4 31.1 15.6 31.2 15 31.8 15.1ZM8.6 16.7 8 16.5 7.5 15.6 7.6 14.9 8.2 15.1 8.5 15.8 8.9 16.4ZM78.2 15.7 77.6 15.4 78 14.8 78.3 15.4ZM78 14.5 76.9 14.8 77.6 14.6ZM87.8 14.3 88.4 14.3 89.3 14.7 89.7 15.2 89.1 15.4 88.6 14.6 88 14.5ZM83.6 14.4 84.2 14.5 85 14.7 85.2 15.5 85.2 16.2 85 16.8 85.1 17.4 85.5 18.5 86.1 18.4 86.3 19.2 86.7 19.8 87.5 20.2 88.2 19.9 88.8 19.3 89.2 18.8 89.7 18.3 90.5 17.7 91.5 17.4 91.6 16.8 92.7 16.2 93.3 16.1 94.9 16.7 95.5 17.1 96.2 17.4 97.4 17.9 98.2 17.9 99.2 18.2 100 18.5 100 19.4 100 20.3 100 21.1 100 22 100 22.9 100 23.8 100 24.7 100 25.6 100 26.5 99.8 27.2 100 27.9 100 28.7 100 29.6 100 30.5 100 31.4 100 32.2 99.3 32.1 98.9 31.6 98.1 30.9 98.1 30.1 97.4 30.5 96.8 30.6 96.2 30.4 95.5 30.8 95.5 30.1 95.8 29.5 95.4 28.9 96.1 28.5 95.3 28.4 94.8 27.9 95.4 27.8 95 27.3 94.5 26.6 94.1 25.8 94.2 25.2 93.6 25.2 93.5 24.6 92 23.7 91.4 23.6 90.5 23.3 89.6 22.9 88.5 22.6 87.9 22.5 86.4 22 86.3 21.4 85.6 21.3 85 21.1 84.3 20.8 84.1 20 83.7 20.7 83.5 21.3 83 21.7 82.3 21.6 82 20.9 82.2 20.3 81.6 19.6 80.9 19.2 80.3 18.9 80.9 18.7 81.6 18.8 82.3 18.6 82.8 18.2 83.5 18.3 84.1 18.5 84.5 18 84.6 17.4 83.6 17.7 82.5 17.8 81.8 17.7 81.1 17.7 80.6 17.3 80.2 16.6 78.8 15.9 78.2 15.8 78.8 15 79.2 14.5 80 14.4 80.5 14 81.2 13.6 82.3 13.8 83.2 14.2ZM20.2 13.6 20.3 14.2 19.8 13.8ZM70.7 13.5 70.8 14.2 71.4 14.6 70.8 14.5 70.3 14.1 70.6 13.5ZM18.6 13.6 18 13.6 18.6 13.4ZM77.8 12.9 78.8 13.2 78.2 13.6 77.5 13 77.9 13.5 77.3 13.6 76.5 13.3 77.1 13 77.8 12.9ZM7.1 14 7 13.3 7.1 14ZM20.9 13.2 20.2 13.3 20.8 13.1ZM75 13.2 74.5 12.7 75 13.1ZM17.1 11.2 16.5 11.2 15.9 11 16 10.4 16.5 10.8 17.1 11.2ZM17.4 11 16.8 10.7 17.4 11ZM20.5 10.2 20.6 10.8 19.9 10.6 20.5 10.2ZM15.8 10.7 15.4 10.1 15.8 10.7ZM5 9.7 5.4 10.3 6 10.7 5.8 11.5 5.2 11 4.7 10.5 4.1 9.7 4.7 9.5ZM15.9 9.7 15.2 9.7 15.9 9.6ZM64.9 10.7 64.4 11.1 64 11.6 63.5 12 62.4 12.2 61.4 12.2 60.9 11.8 59.2 11.8 58.2 11.9 57.5 11.8 56.4 11.9 55.7 11.7 54.9 11.9 54.4 12.5 54.2 13.3 54.3 14 54.7 14.7 55.3 15.1 55.6 15.8 56.2 15.8 56.8 15.5 57.3 14.9 58 14.9 58.7 14.7 59.7 14.5 60.5 14.5 61.1 14.1 61.7 14.5 61.4 15.1 60.8 14.7 60.1 15.2 59.6 15.8 59.1 16.2 58.2 16.5 57.8 17 57.2 16.8 57.6 17.5 58.2 17.9 58.6 18.6 59.2 19.2 59.4 19.8 59.1 20.5 59.5 21 59.9 21.5 60.5 21.8 60.4 22.4 59.6 22.4 59 22.6 58.7 23.3 58 23.3 57.4 22.8 57.5 22.1 57.3 21.5 56.2 20.6 56.4 19.8 56.5 19.1 56.1 18.6 55.4 18.8 54.7 19.2 55 19.9 55.1 20.9 55 21.7 55 22.4 55.1 23.1 54.8 23.9 55 24.6 54.3 25 53.7 25.2 53 24.8 52.8 24.1 53.1 23.4 53.3 22.7 53.3 21.6 53.1 21 52.9 20.4 52 20.5 51.6 20 51.6 19.4 51.5 18.8 52.2 18.2 52.4 17.5 52.7 16.8 52.7 16.1 52.8 15.5 53.1 14.8 53.5 14.3 53.6 13 53.8 12.4 54.2 11.7 54.7 11 55.3 11.1 55.8 10.6 56.2 10 56.8 10.1 57.4 10.3 58.2 10.5 58.8 10.6 59.5 10.6 60.3 11 60.9 10.8 62.6 11 63.5 10.6 64.1 10.2 64.5 9.7 65 9.2 65.6 9.6 65.2 10.3ZM14.2 8.3 14.2 9 13.5 8.7 14.1 8.2ZM71.1 11 71.6 10.6 72 10 72.6 9.5 73.2 9.4 73.2 10.4 72.4 10.9 72.5 11.5 73.1 11.7 73.5 12.3 72.8 12.1 72.1 11.9 71.4 12 71.4 12.7 71.6 13.4 72.2 14.4 71.4 13.8 70.9 13.2 71 12.5 70.7 11.8 70.7 11.2 70.4 10.4 70.6 9.7 70.8 8.8 71.4 8.2 71.4 8.9 71.7 9.7 71.4 10.3 70.8 10.7ZM72.6 8.4 72.1 7.9 72.7 7.3 73 8ZM2.7 7.7 1.8 7.2 1.1 6.8 2 6.9 2.6 7.4ZM66.5 5.4 66.1 4.9 66.5 5.4ZM28.6 4.8 28 4.4 28.4 3.7 28.8 4.2 28.6 4.8ZM46.6 3.4 47.3 3.4 48.2 3.5 48.8 3.8 49 4.4 48.6 5 48 4.9 48.4 5.4 48.5 6 49 6.4 49.4 7 49.9 7.7 49.6 8.3 50 9.1 50.8 9.8 51.7 10.5 51 11.1 50.2 10.9 49.6 10.5 49.5 11.1 48.8 12.1 48.6 13.3 48.8 14 48.4 14.7 47.8 15.3 47.2 15.4 46.8 15.9 46.2 16.6 46.4 17.3 46.6 18.1 46.1 18.5 46.2 19.1 45.9 19.7 45.5 20.3 43.8 21.3 42.6 21.9 42.4 20.9 42.2 20.2 41.6 20.1 41 20.2 40.4 20.3 40.1 19.7 38.9 19.2 38.8 19.8 38 20.2 37.3 20 36.6 20.5 36.3 19.5 35.6 19.3 34.6 19.5 33.9 19.3 33.1 19.2 32.6 17.7 32.5 17.1 32.4 16.4 32.3 15.6 31.9 15 31.1 14.7 30.7 14.1 30.4 13.4 30.7 12.8 30.3 12.3 30 11.7 29.9 11.1 30 10.4 30.3 9.7 30.7 9.1 31.5 8.4 31.6 9.3 32.1 9.8 32.6 10.3 33.2 10.8 34.4 10.6 35.1 10.6 35.7 10.7 36.3 10.6 36.9 10.4 37.1 9.7 37.7 9.5 38.8 9.4 39.7 10 40.4 10.1 41.1 9.7 41.7 9.6 42.3 9.7 42.6 8.9 42.7 8.1 43.2 7.7 43.4 7.1 43.7 6.4 44.3 6 44.5 5.4 44.5 4.7 44.6 4 45.1 3.4 45.7 3.4 46.3 3.5ZM69.1 4.1 69 3.5 69.1 4.1ZM2.8 1.5 3.6 1.4 4.3 1.5 4.9 1.5 5.5 1.9 6 2.5 6.6 3.3 6.8 4 7.5 4.3 8 4.8 8.6 5.1 9.4 5.7 10.3 6.4 10.8 7.1 11.2 7.6 11.6 8.1 12.3 8.5 12.4 7.9 13.2 8.3 13.5 9 14.2 9.2 14.9 9.7 15.3 10.4 15.7 11 16.7 11.3 17.2 11.8 16.6 12.2 16 12.4 16.8 12.2 17.6 11.8 18.3 12 18.7 12.5 18.3 13 17.9 13.6 18.2 14.5 19.1 15 19.8 15.1 20.2 15.8 20.3 16.5 20.7 17.2 20.9 17.8 20.6 18.4 21.2 18 22 18 22.7 18.3 23.4 19.1 23.7 19.7 23.3 20.3 23.4 21.1 23.2 21.8 23.3 22.7 23.3 23.3 23.2 25.2 22.6 25.3 21.7 25.3 20.6 24.8 20.7 25.5 20 25.2 19.5 24.7 18.8 23.9 17.9 23.3 17.3 22.8 16 21.9 15.3 20.8 14.4 20.2 13.9 19.7 13.6 19.1 13.1 18.6 12.5 17.9 12.3 17 11.5 15.7 11.1 14.6 10.7 14 10.2 13.5 9.9 12.9 9 12.4 8.5 11.8 8.1 10.6 7.8 9.6 7.4 8.8 6.3 8.1 5.7 7.9 5.3 7 4.8 6.4 4.3 5.7 3.9 5.1 2.9 4.7 2.4 4.2 1.7 3.6 0.8 2.7 0.4 2 0 1.4 0 0.7 0.7 0.6 1.4 0.9 2 1.3 2.8 1.5Z' },
+  ie: { viewBox: '0 0 66.9 100', path: 'M48.6 7.3 46.2 9.1 45.8 9.7 45.1 12.3 45 13.1 44.3 14.4 43.5 16 42.7 16.6 41.4 17 40.7 17.5 39.7 17.3 38.6 17.3 38 17.8 38.4 18.7 39.4 19.4 40.5 20 39.8 21.2 35.9 22.7 34.8 23.7 34.4 24.3 34.8 25.3 37.9 28.4 38.9 30.5 41.6 31.3 42.7 32.4 43.6 32.7 45.7 32.6 46.5 33 47.3 32.1 49 30.6 49.6 29.9 49.2 29 48.9 28.3 49.9 26.9 51.2 25.5 51.9 25.5 53 26.4 53.9 27.6 54 28.5 54.1 29.1 55 30.6 55.6 31 57 31.3 57.4 31.9 57.1 33.9 57.3 34.6 58.9 34.7 60.6 34.5 61.7 34.1 62.7 33.7 64 33.8 64.6 34.8 64.9 35.7 63.8 36.1 62.6 35.9 62 36.5 62 37.7 62.4 39.2 63.2 40.3 63.8 42.7 64.3 45.4 65.1 47.1 65.3 49.1 65.2 50.1 65.3 51.9 65 52.5 65.2 54.2 66.2 57.6 66.6 59.5 66.9 63.7 66.2 65.3 65.3 66.8 64.7 68.5 64.3 70.4 64 73.4 62 77 61.2 77.8 60.2 78.4 62.3 80.9 60.6 82 58.7 82.3 56.6 81.7 55.3 81.8 54.1 82.6 53.3 82.8 52.5 80.8 51.9 82.9 50.7 83.5 48.7 83.4 45.2 84 43.9 84.5 43.3 85.5 42.9 86.5 42.4 87.2 41.8 87.5 39.1 88.3 37.4 90.3 35.8 91.3 34.4 91.6 33.2 90.6 32.7 90 30.4 89.8 31.3 90.8 31.5 92.1 31.3 93.5 30.4 94.1 29.3 94.3 27.6 95.6 25.4 96 24.2 97.3 16.8 99.4 15.3 98.9 14.2 98.6 13.1 98.8 10 100 8.5 99.8 10.4 96.8 13 95.3 12.4 94.7 7.5 95.7 5.8 96.6 4.1 96.9 4.9 95.5 7.1 93.7 8.3 92.8 9 92.4 9.8 91.4 12.1 90.1 4.7 92.7 2.7 92.4 2.3 91.6 0.7 92 0.2 90.3 2.4 87.6 3.7 86.5 5.3 85.9 6.8 85 7.4 83.9 6.7 83.6 2.2 83.9 0 83.6 0.1 82.8 0.5 81.8 2.7 80.2 4 80 5 80.1 6.1 80.5 6.9 81.1 9.5 80.8 8.4 79.7 8.2 77.6 7.4 76.9 8.5 76 9.6 75.4 11.6 73.3 12.3 73 16.2 72.5 20.5 71.5 24.6 70 22.5 69.2 21.5 68.1 19.8 70.3 18.6 71.1 15.3 71.6 14.2 71.3 12.7 70.6 11.8 71.4 9.6 72.5 7.3 72.8 10 70.8 13.4 67.4 14.2 66.4 15.3 64.5 14.9 63.7 14.2 63.2 16.7 59.4 17.6 58.7 19.2 58.6 20.4 58 21.4 57.7 22.4 56.6 20.8 55.9 19.2 55.5 14.1 55.9 13.4 55.8 12.8 55.4 12.4 54.9 12.1 53.6 10.6 53.3 9.4 53.7 8.7 53.7 7.9 53.1 9.1 51.8 7.5 51.5 5.9 51.7 4.6 51.3 4.5 50.5 5.2 49.6 4.4 48.8 4.2 47.8 5 47.3 6 47.5 7.8 46.7 10.3 46.4 8.2 45.6 7.4 45 7.3 44 7.5 43.2 9.9 41.8 12.4 41.2 12.3 40.3 12.4 39.3 9.9 39 7.3 39.7 7.6 37.8 8.2 36 8.3 34.9 8.2 33.7 7 34.2 6.9 32.4 6.3 31.3 4.6 32.1 4.6 30.5 5.1 29.4 6 28.9 7 29.1 8.7 29.1 10.3 28.3 12.7 28.1 16.5 28.3 19.1 30.7 19.7 30.3 20.8 28.8 25.2 29.3 27.6 30.1 28.3 29.8 27.9 28.2 27.1 27.1 28.1 25.6 29.4 24.6 30.3 24.1 32.2 23.4 33.1 22.9 33.7 20.9 34.6 19.3 29.6 20.2 24.9 18.3 25.7 16.9 26.7 16.2 28.4 15.6 28.6 14.9 29.4 14.3 30.9 12.7 30.3 10.7 30.6 9.2 31.6 8.3 32 6.9 32.4 5.9 34.5 5.5 36.5 4.6 37.3 4.7 39.7 4.4 40.5 4.8 40.3 3.2 41.7 2.9 42.3 3.3 42.6 4.5 43.2 5.2 43.4 6.5 43 7.6 42.2 8.3 42.9 9.1 41.9 10.6 43 10 44.6 8.5 44.5 7.4 44.3 5.9 43.8 4.6 44 3.2 44.9 2.3 47.3 1.8 46.3 0.1 47.2 0 48.2 0.3 49.6 1.6 51 2.6 52.5 3.4 51.1 5 49.3 6.1 48.6 7.3ZM6.8 38.4 6.7 39.1 5.6 38.2 5 37.2 1.9 36.7 3.2 35.7 3.8 36 6 36.1 6.6 36.5 6.8 38.4Z' },
+  il: { viewBox: '0 0 36.1 100', path: 'M33.4 17.9 32.3 18.1 29.6 19.3 28.8 20.4 28.3 26.6 26.8 26.5 25.1 25.2 24.7 24.1 22.9 23.6 20.5 23.1 17.8 25 16.6 28.1 16.3 29.5 15.4 32.6 15.7 34.5 15.9 36.9 16.1 38.9 15.9 40.1 15.3 40.7 16 41.4 17.5 40.8 19.1 41.4 20.6 42.4 20.8 43.1 19.7 43.4 17.1 45 15.3 46.8 14.8 48.5 13.6 52 13.8 52.7 14.4 53.1 18.5 52.8 22.3 51.3 25.2 49.8 26.1 49.9 25.5 53.8 25 56.2 25.9 58.7 24.6 62.4 23.3 65.5 22.8 67 21.5 70.2 20.1 73.9 19.4 76.5 19.6 77.4 19.2 82.1 19.4 83.5 17.8 87.6 17.5 89.6 16.9 92.3 15.8 98.1 14.3 100 13.5 97.9 11.8 91.7 10.6 87.5 8.9 82.2 6.2 75.9 5.9 74.4 5.3 72.1 3.4 66.3 1.8 62.1 0 56.7 2.2 54.6 2.3 52.9 6.1 48.7 5 47.2 9.4 39.4 12.1 31.7 14.7 21 16.5 15.6 18 12 18.7 9 21.2 8.8 23 9.1 25.3 9.2 27 8.1 27.9 4.7 28.9 4.1 29.4 4.9 29.9 4.1 32.3 2.6 33.4 1.6 34.6 0.4 35.2 0 34.8 1.6 34.5 2.6 34.5 4 35 4.7 35.6 6.2 36 7.6 35.2 8.9 35.2 10.1 35.5 11.2 36.1 12.4 34.9 14.7 33.7 16.7Z' },
+  im: { viewBox: '0 0 75.2 100', path: 'M62.7 63.8 28.8 100 15 93.5 3.2 96.9 0 95.9 6.7 82.8 14.6 52.4 28.6 40.4 46.5 8.7 60.6 0 65.5 1.2 68.6 4.2 75.2 39.7 66.1 52.2Z' },
+  in: { viewBox: '0 0 93.9 100', path: 'M82.8 99.7 82.2 99.2 82.1 98.6 82.7 98.5 82.9 99.3ZM81.6 95.8 81.5 95.2 81.6 95.8ZM78.3 87.7 77.8 87 78.3 86.6 78.6 87.2ZM79 84.5 78.6 83.9 78.5 83.2 78.8 82.6 79.2 82 79 81.2 79.1 80.4 79.4 79.7 79.5 78.9 79.7 78.1 80.2 78.9 79.8 79.5 79.8 80.2 79.9 81.2 79.5 82.2 79.2 82.9 79.2 83.7 79 84.5ZM34 13.9 33.9 14.5 34.1 15.2 34 16 34.7 16 35.6 16.3 36 16.8 36.4 17.3 37 17.4 37.7 17.5 38.3 18 38.7 18.7 39.4 19.1 40 19.3 40.9 19.9 40.7 20.5 40.3 21 39.4 21.9 39.1 22.5 38.9 23.1 38.8 23.9 38.3 24.6 38.6 25.4 39.1 25.8 39.7 26 40.4 26.3 41 26.6 41.8 27.1 42.3 27.6 42.9 28 43.7 28.6 44.5 28.6 45.4 29.1 46 29.5 46.7 29.4 46.9 30 47.5 30.2 48.4 30.4 49 30.3 50.1 30.5 51 30.2 51.7 30.3 52.5 30.6 53 31 53.2 31.7 54 32.1 54.6 32.4 55.1 32.8 56 32.5 56.5 33.2 57.4 33.1 58.2 33.3 59.1 33.7 59.8 33.9 60.7 33.5 61.1 34 61.9 33.9 62.6 34 63.3 33.9 63.9 34 64.2 33.4 64.3 32.6 63.8 31.6 63.9 30.4 64 29.8 64.3 29.2 64.1 28.6 64.7 28.4 65.4 28.1 66.3 28.1 66.6 28.7 66.2 30 66.5 30.6 66.2 31.2 66.6 32 67.2 32.4 68.1 32.4 68.8 32.6 69.5 33 70.1 32.9 70.7 32.8 71.4 32.3 72.1 32.6 73 32.7 73.9 32.6 74.9 32.4 75.6 32.6 76.2 32.4 76.9 32.3 76.8 31.7 77 30.8 76.5 30.2 75.9 30.3 75.4 29.9 75.5 29.2 76.4 29.2 77 29 77.6 28.9 78.3 28.8 78.9 28.3 79 27.7 80 27.1 80.4 26.5 81.1 25.9 82.1 25.8 82.8 25.3 83.2 24.8 83.8 24.4 84.6 23.8 85.3 23.5 86.3 24.1 87.3 24.4 87.9 24.1 88.6 23.5 89.2 23.2 89.8 23.1 90.2 23.6 90 24.3 90.1 25 90.7 24.5 91.3 25.3 90.8 26.1 90.5 26.7 91.5 26.6 92.1 26.9 92.7 27 93.7 27.4 93.8 28 93.8 28.6 93 29.1 92.5 29.6 92.5 30.3 93.1 31.3 92.4 31.2 91.9 30.7 90.5 30.9 89.8 31.1 89.3 31.7 88.7 32.1 87.9 32.8 87.3 33.1 86.6 33.6 86.5 34.2 86.6 34.8 86.7 35.5 86.3 36.3 85.9 36.9 85.3 37.4 84.9 38.1 85.4 38.7 85 39.8 84.4 40.7 84.1 41.4 83.9 42.1 83.6 43 82.7 42.7 82.1 42.5 81.5 42.6 80.9 42.4 81.1 43.3 81.2 44.2 81.1 45.5 80.7 46 80.3 46.7 80.2 47.3 80.4 48.2 80.3 48.8 79.8 49.5 79.2 49.1 78.6 49.6 78.4 48.1 78.3 47.1 78 46.4 77.8 45.8 77.8 44.9 77.6 44.3 77.5 43.6 76.8 43.6 76.5 44.3 76 44.8 76 45.6 75.5 46.1 75 45.5 74.3 44.7 74 44 74.1 43.4 74.2 42.8 74.6 42.3 75.2 42.2 75.8 41.8 76.4 41.6 76.9 41.2 77.3 40.1 77.4 39.4 78.1 39.5 77.4 38.6 75.9 38.4 75 38.5 74.4 38.4 73.6 38.4 72.6 38.4 71.7 38.4 71.1 38.3 70.3 38.1 69.7 38 69.7 37 69.6 36 69.3 34.8 68.8 35.4 68 35.3 67.4 34.7 67.3 34.1 66.9 34.6 66.3 34.5 65.8 33.9 65.2 33.4 65.3 34 64.9 34.5 64.3 35.1 64.1 35.9 65 36.5 65.4 37.1 66.3 37.3 66.9 38 66.2 38.4 65.3 38.3 65 39.1 64.4 39.3 64 40 64.1 40.6 64.8 40.8 65.4 41.3 66.2 41.6 66.1 42.3 65.8 43.1 65.7 43.7 66.1 44.3 66.1 45 66.7 45.3 66.6 45.9 66.7 46.6 66.8 47.3 67.2 48.5 67.2 49.1 67.1 49.7 67.2 50.3 66.6 50.4 66.2 50.9 66.2 49.5 65.7 50 65.7 50.6 64.8 50.4 64.2 50.7 64.4 49.4 64.1 48.7 63.6 48.2 64.1 48.8 64 49.5 63.7 50.1 62.8 50.7 61.3 51 60.5 51.7 60.1 52.5 60.4 53.8 60.1 54.5 59.9 55.1 59 55.7 58.6 56.3 58.1 56.7 56.9 57 56 57.4 56 56.8 55 57.1 54.8 57.7 55.4 57.4 54.9 58 53.4 59.3 52.9 60.1 52.4 60.8 51.5 61.7 49.8 62.9 49 63.8 48.4 64.4 47.7 64.9 46.4 65.5 45.7 66.1 45.4 66.7 45.6 67.4 45 68.2 43.8 68.7 42.6 68.6 41.7 69.9 41.3 70.4 40.7 70.6 40.2 70.1 39.3 70.5 38.4 72 38.3 72.9 38.4 73.8 38.6 74.5 38.6 75.3 38.5 76.2 38.8 76.9 39.1 78.1 38.6 77.3 38.5 78 39.2 78.5 38.8 80.7 38.5 81.5 38 82.2 37.6 83 37.3 84 37.4 84.8 37.6 85.4 37.6 87 37.6 88.4 37 88.5 36.1 88.5 35.7 89.4 34.9 90.5 34.6 91.3 35.2 91.7 35.8 91.8 34.8 91.9 33 92.4 32.5 92.8 32.1 93.8 31.8 94.7 30.9 95.4 30.3 95.5 29.4 95.5 28.6 94.9 27.2 93.2 26.8 92.4 26.3 91.3 26.2 90.5 26 89.7 26.4 90.4 26.6 91 26.3 89.7 25.8 89.2 25.6 88.4 25 86.9 24.7 86.1 24.3 85.1 23.7 83.9 23 83.1 21.8 81.1 21.6 80.2 21.3 79.4 21 78 20.7 76.9 20.4 76.3 20.3 75.7 20.1 75.1 19.9 74.5 19.1 73.4 18.6 72.9 18.4 72.1 18.3 71.5 18.2 70.9 17.5 70.2 17.1 69.6 16.6 68.3 16.3 65.8 16 64.7 15.7 63.4 15.5 62.8 15.4 61.9 15.3 61.2 15.2 60.5 15.6 59.7 15 59.8 14.9 59 15.5 58.8 14.9 58.5 14.7 57.8 14.6 57.2 14.6 56.1 15.2 54.4 15.2 53.5 15 52.6 14.3 51.6 14.6 51 15.6 50.5 15 50.6 14.1 50.5 14.2 49.9 14.1 48.9 14.9 48.7 14.2 48.5 13.4 48.5 13.2 49.2 12.6 49.8 13 50.4 13.2 51.1 12.6 52.1 11 53 10.4 53.4 9.2 53.8 8.2 53.8 7.5 53.5 6.3 52.6 5.1 51.2 4.4 50.6 3.9 50 3.3 49.5 2.7 48.8 2.6 48.1 3.3 48.3 4.5 48.1 5.3 47.9 5.9 47.6 6.5 47.5 7 46.7 7.3 46.1 6.5 46.1 5.4 46.5 4.8 46.8 3.4 46.5 2.1 45.8 1.5 45.3 1.2 44.7 0.8 44 1.5 43.4 2 43 1.1 43.4 0.6 43.9 0.1 43.5 0.2 42.9 1 42.6 1.8 42.6 1.8 41.6 2.4 41.5 3.1 41.6 4.1 41.6 4.7 41.7 5.3 41.9 6 41.8 6.8 41.3 7.5 41.1 8 41.7 8.8 41.3 9.1 40.7 9.3 40.1 9 39.4 8.7 38.8 8.2 37.8 8 36.8 7.3 36.6 6.2 35.8 6.3 34.7 6.4 33.8 5.6 33.4 4.6 33 4.3 32 4.4 31.4 4.8 30.9 5.6 30.2 6.1 29.4 6.4 28.8 6.9 28.3 7.5 28.2 8 28.9 8.5 29.3 9.7 28.9 10.9 28.7 11.9 28.4 12.2 27.6 12.8 27 13.1 26.2 13.4 25.5 14.4 25 15.3 24.5 16 23.3 16.3 22.6 16.6 21.8 16.8 21.2 17.7 20.8 18.4 20.3 18.4 19.6 18.8 19 19.5 18.1 19.9 17.6 20.8 17.1 20.4 16.5 20.7 15.5 20.4 14.6 20.8 13.9 22.2 13.1 22.8 12.9 23 12.3 22.3 11.9 21.3 11.7 20.9 11.2 20.8 10.5 19.9 10.6 19.8 9.9 19.2 9.4 18.8 8.9 19.2 8.2 19 7.4 18.8 6.6 19.5 6.3 19.1 5.8 18.5 5.7 18.7 5.1 18.2 4.6 18.3 4 18.7 3.3 19.3 3 20.4 3 21.3 3.2 22.4 3.4 23.5 3.8 24.3 3.9 25 3.5 25.8 3.2 26.7 2.9 27.5 2.8 28.1 2.2 28.5 1.7 29 1.3 29.8 0.8 30.7 0.2 31.3 0.2 31.7 0.7 31.9 1.4 32.2 2.2 32.4 2.8 32.7 3.5 33.3 3.7 34.1 4.1 34.7 4.5 34.1 5.5 34.1 6.3 34.2 7.2 34.4 8 34.9 8.6 35.3 9.3 35.5 9.9 35.6 10.6 35.6 11.3 35.1 12 34.4 11.9 34 11.4 33.3 11.3 33.1 12 33.2 12.6 33.8 13.4Z' },
+  iq: { viewBox: '0 0 98.7 100', path: 'M60.5 2.9 60.9 3.9 61.7 7.2 62.2 7.6 62.7 8 63.1 8.5 63.2 9.7 63.2 10.6 63.4 11.3 64 12.1 65 12.3 66.4 16.5 67 17.2 67.8 17.1 68.6 17.5 69.4 18.1 70.2 19.2 72.4 19.2 74.7 19.4 75.8 20 74.8 20.8 73.4 21.3 72.9 22.1 72.7 23.1 73.1 24.3 74.1 25.6 74.4 26.7 74.3 28 73.4 28.6 72.2 29.2 69.7 32 69.6 32.6 69.6 34.3 68.6 34.8 67.9 34.7 67.5 36 67.3 36.7 68.2 38.3 68.4 39.1 68.2 39.9 67.4 41.2 66.9 42.1 67.7 42.7 69.7 45.5 70.3 46.6 71.2 46.3 71.8 46.5 71.9 47.3 71.7 47.9 72.8 48.2 73.2 48.8 74.5 51.1 74.4 51.7 73.8 52.8 73.8 53.5 73.9 54.1 76 54.4 76.8 54.7 78.7 55.8 81 57.5 82.8 59 84.3 60.2 86 60.1 86.8 60.7 87.3 61.7 88.3 63.9 89.1 64.7 90.3 66.5 91.5 68.2 90.7 70.4 90 72.8 90 75.9 90 77.5 91.5 77.6 93.3 77.6 93.3 79.6 93.3 81.5 93.3 83.8 93.9 83.9 94.7 84.3 95 85.1 96 85.5 96.5 85.9 97.1 86.5 97.1 87.3 97.2 87.9 97.6 88.7 98.7 89.6 97.8 89.9 96.8 89.7 94.6 88.7 93.9 88.7 93 89.1 90.7 88.3 89.9 88.1 88.3 88.1 86.4 88.3 85.3 88.7 84.6 89.2 84.1 89.9 83.5 91.2 82.8 93 82.1 94.5 80.8 96.7 80 97.7 78.4 99.6 76.6 100 72.5 99.6 67.9 99.2 63.4 98.8 60 98.5 56.4 95.7 53.8 93.6 50.5 90.9 47.1 88.2 43.7 85.4 41.3 83.4 38.2 80.8 35.5 78.5 33.3 76.6 30.6 74.9 28.4 73.6 25.2 71.8 22.7 70.3 20.6 69 17.2 67 16.1 66.5 12.7 65.8 9.4 65.2 6 64.6 3.8 64.3 5.2 62.8 4.8 61.6 3.7 61.8 2.7 62.1 2.1 60.1 2.9 59.9 2.2 57.3 1.4 54.6 0.7 52 0 49.3 2.9 47.6 5 46.4 8 44.6 10.9 42.8 13.6 41.2 16.6 39.4 19.4 37.7 21.8 37.1 22.4 36.5 23.5 34.3 24.5 32.4 24.5 29.2 24.7 26 25 24.3 25.6 22.8 26.1 21.7 26.1 20.6 26 19.6 25.5 18 25 16.3 25 14.7 25.1 13.8 25.5 12.4 26.1 11.4 26.7 10.8 29.1 10.1 30.5 9.8 32.3 8 33.4 6.9 35 5.2 36.1 3.9 36.2 3.3 37.2 3.1 39 1.5 40.1 0.1 41.4 0.5 42 0.6 43.6 0.1 44.6 0.3 45.3 0.7 47.9 1.6 49.5 1.8 51.1 1.9 52.2 1.3 52.9 0.7 53.9 0.9 54.7 1.5 54.9 2.1 54.8 4 55.3 4.9 56.1 4.6 56.8 4 57.8 3.3 58.5 2.7 59.5 2.5 60.2 2.6Z' },
+  ir: { viewBox: '0 0 100 90.2', path: 'M4.1 0.8 5 2.3 5.6 3.1 6 3.7 6.8 4.2 7.5 5.1 9.8 5.8 10.8 6 11.9 5.7 12.8 5.8 14.3 4.6 15.4 4 15.8 3.5 16.4 2.9 17.2 2.3 17.9 1.8 19.4 0.8 20 0.6 20.6 0.6 21.4 1.4 22.1 2.2 21.9 2.8 21.3 3.1 21.2 3.8 22 4.5 22 5.2 21.3 5.4 20.7 5.7 20.7 6.4 21.7 7 22.2 7.7 22.8 7.9 23.7 9.1 25 8.9 25.3 10.8 25.4 11.7 25.6 12.5 25.9 13.2 26.2 13.9 26.7 14.4 27.7 14.9 29.6 15.2 30.9 15.4 31.7 15.6 32.1 16.1 32.7 17.3 33.8 18.2 35.8 19.5 36.8 19.9 40.1 20.8 42.3 20.7 48.5 19.1 50.5 18.7 51.3 18.7 50.1 19.2 51.2 19.5 51.8 19.2 51.5 17.1 51.3 16 52.7 16.1 53.3 16 54.1 15.6 54.7 15.4 55.4 15.2 56.1 13.6 57.3 12.4 58.1 11.9 58.9 11.4 59.9 11.1 61.3 11.1 62.4 11.2 63 11.2 63.6 11.1 63.8 10.5 64.4 10.1 65.6 10.1 66.8 10.4 67.7 10.4 68.3 10.3 68.9 10.9 69 11.5 69.5 12.1 71 12.4 71.9 12.7 73 13.2 73.8 13.9 74.5 14.1 75.3 13.8 75.9 14 76.7 13.8 77.3 14 78.9 14.9 79.5 15.4 79.6 16.1 80 16.6 80.6 17.1 81.2 17.4 82.6 18 83.2 18.5 83.8 19.4 84.5 20.5 86.5 20.6 88.7 20.6 88.9 21.9 88.9 22.8 89.1 23.5 89.1 24.1 88.9 24.7 89.3 25.5 89.4 26.2 89.3 26.9 89.5 27.5 89.2 28.3 89 29.1 88.6 29.7 88.8 30.4 88.6 31 88.5 31.9 88 32.6 87.8 33.2 87.2 33.6 86.6 34.1 87 34.7 87.5 35.3 86.2 35.4 85.8 35.9 85.4 36.7 85.6 38.3 85.4 39.1 85.8 39.9 87 40 87.6 40.2 86.8 41.2 85.8 42.6 85.8 43.5 86.2 44.8 86.5 45.9 87.2 48.1 86.9 49.7 86.9 50.4 87 51.2 87.1 52.7 88.6 52.9 89.8 53.1 91.5 53.4 92 53.9 92.3 55.2 92.2 56.2 90.9 58.1 89.8 59.5 88.6 60.9 87.4 62.3 88.2 63.7 88.8 64.4 89.7 65.4 89.8 66 90.7 67.6 91 68.3 92 69.5 92.7 70.3 93.4 70.6 95.1 71 96.2 72.1 97 72 97.1 73.4 97.3 74.6 97.4 76.4 97.2 77.2 97.4 77.9 98 78 99.3 77.8 100 78.4 99.6 79.3 99.7 80 99.3 81.2 97.3 81.3 96.5 81.6 95.5 81.8 94.9 82.2 94.5 82.9 93.7 83.2 92.6 83.6 92.1 85.1 92 85.9 91.5 86.4 91.4 87.4 91.2 89.1 90.8 89.6 90.2 90.2 89.3 89.9 88.6 89.7 86.3 89.1 85.9 88.4 84.9 89 83 88.6 82.3 88.7 80.9 88.5 80 88 78.9 88.3 77.9 88.4 76.6 87.6 75.2 87.4 74.1 87.4 72.6 87.1 71.4 87 69 86.2 68.6 85.5 68.4 84.8 68.3 84.1 67.8 82.9 67.7 81.1 67.5 80.4 67.2 79.8 66.8 79.3 66.3 78.8 64 78.1 62.7 78.4 61.8 79.1 60.3 79.4 59.6 80.3 58.5 80.5 57.7 80.9 56.4 81.8 55.7 82.1 55.1 82.1 54.4 81.6 53 81 52.1 80.8 50.8 81 50.2 80.9 49.2 80.1 48.3 79.2 46.5 78.4 45 77.4 44.5 76.4 43.8 75.7 42.4 75.1 41.5 74.5 40.5 74.3 39.6 74.4 38.9 74 37.6 72.7 36.8 70.9 36.5 69.2 35.5 68.3 35.5 67.5 35.1 66.9 34.5 66.7 34.5 65.6 33.8 64.3 33 63.6 32.2 62.4 31.7 61.4 31.4 60.5 28.7 61.5 28 60.9 26.1 59.8 26.3 59.2 27.1 59.2 26.5 58.6 25.8 58.6 25.4 59.3 25.3 60.2 25.4 60.9 24.9 61.4 24.1 61.5 23.5 61.9 22.9 61.4 22.6 60.7 22.3 59.9 21.6 59.5 21 58.9 20.7 57.7 20.7 56.7 20.7 55.7 19.8 55.7 19 55.6 19 54.8 19 53.2 19.3 52 19.7 50.8 19.1 50 18.5 49.1 17.6 47.5 17.1 46.8 16.1 46.7 15.3 46.1 14.3 45.4 13.2 44.5 12.2 43.9 10.8 43.7 10.7 42.9 11 42.1 10.4 40.9 9.6 40.4 9.6 39.7 8.9 39.8 8.6 39.2 7.5 37.7 7.4 37 7.8 36.3 7.8 35.5 7.3 34.7 7.6 33.9 8.4 33.7 8.5 32.6 9.8 30.8 10.5 30.5 11.1 29.8 10.9 29.2 10.3 28.3 10.1 27.7 10.4 26.8 11.2 26.5 11.7 26.1 11.1 25.8 10 25.7 9.1 25.8 8.4 25.1 7.6 24.6 6.9 24.6 6.3 22.4 5.7 22.1 5.2 21.3 5.2 20.5 5 19.9 4.5 19.5 4 17.8 3.9 17.2 4 16.5 3.6 15.9 3 15.5 2.9 14.6 2.7 14 2.8 13.4 1.9 12.9 1 12.5 1.3 11.5 1.7 10.8 1.9 10.1 2.2 9.5 1.5 9.3 1.4 8.1 1.3 7.5 1.3 6.2 0.8 5.6 0.7 5 0.8 4.4 0.3 3.7 0.2 3.1 0.1 2.5 1.1 2.5 1.9 2.3 2.2 0.7 2.9 0 3.6 0.6ZM63.1 79.7 62.6 80.4 61.9 81 61.3 80.8 60.4 81.1 59.7 81.5 59.1 81.7 58.5 81.6 59.7 80.9 60.9 80.4 60.8 79.7 61.6 79.8 62.5 79.4 63.2 79.3Z' },
+  is: { viewBox: '0 0 100 67.5', path: 'M81.8 6.8 82.9 6.9 84.6 6.1 85.3 5.6 87.1 3.8 88.1 3.3 89.7 3.4 90.5 3.3 89.5 4.2 88.7 4.5 87.6 5.5 86.5 7.9 85.7 9.1 86.7 10.6 87.8 11.1 88.7 10.6 89.5 11.5 89.8 12.2 89.8 12.9 89.6 14.3 89 15.7 88.2 16.9 89 17.4 92 16.7 92.5 17.1 92.6 17.8 92.7 18.4 93 19 92.9 19.6 91.6 21.4 93.2 20.3 94.4 19.9 96.5 20.5 97.4 21.2 97.9 22.4 98.6 22 99.4 22.7 99.5 23.4 99.1 24.4 99 25.3 97.9 26 98 27 98.5 27.7 99.2 28 99.2 28.9 98.6 29.3 98.2 29.8 99.8 30.9 100 31.9 99.9 32.5 99.6 33.2 99.1 33.7 98 33.7 97.3 34.2 97.5 34.9 97.5 35.9 97.3 37 96.4 38.7 95.5 39.6 94.7 40.2 93.2 40 92.4 39.5 92.5 41 91.7 41.9 91.8 42.6 92 43.9 91.6 44.9 90.9 45.9 90.2 46.5 88.7 47.3 87.4 48.6 86.6 49.1 84.4 49 82.2 49.9 79.2 51.6 77.1 52.9 75.5 54.5 73.3 57 71.8 58.1 70.8 58.4 69.1 58.6 67.6 59.3 62.7 60.5 61 61.2 60.8 61.9 60.1 62.8 60.3 63.4 59.8 64.9 58.6 65.7 58 65.7 57.3 65 57.3 66.2 56.5 66.5 53.3 67.5 47.9 66.8 45.7 66 43 64.9 41.4 64.5 39.2 64.5 37.3 62.8 36.5 61.8 36.5 60.8 37 60.3 37.6 60.3 37.2 59.3 35.6 60.8 35 60.7 34.3 60.1 32.9 59.3 31.8 58.6 30.6 57.6 31 56.6 30.4 56.4 29.6 56.6 28.3 57.9 27.7 58.2 19.3 58.5 17.1 58.7 16.3 58 16 56.1 15.9 54.9 16 54.3 16.3 53.5 17.1 54.2 17.5 55 18 55.4 21 54.4 22.2 53.8 22.7 53.1 23.3 52.1 23.9 51.5 24.8 49.3 25.2 48.5 25.7 47.9 26.3 47.6 27.6 47.3 26.7 46.9 25.9 46.9 23.1 48.7 22.2 48.7 22.6 47.9 23.6 47 22.9 47 22.6 45.8 23.1 44.4 25.4 42.7 26.2 42.4 26.1 41.8 23.4 43.4 21.7 44 20.3 43.2 19.7 42.1 20.5 40.2 19.9 39.8 18.4 38.4 16.1 38.6 10.3 37.8 9.1 38.1 7.2 39.3 6 39.6 5 38.8 4.5 38 4.1 37 4.3 36.3 5 35.9 5.6 35.7 7.2 35.9 9.1 35.2 10.3 35 11.3 34.2 12.2 34.2 12.5 34.8 14.4 34 15.1 33.6 15.5 33 16.4 33.4 17.2 33.5 18.1 33.2 19.8 33 23.7 33 24.2 32.3 24.5 31.7 24.8 30.2 22.3 31.3 19 30.6 18 29.7 18.3 29.1 19.8 27.7 21.3 26.5 23.5 25.3 24 24.8 22.6 23.2 19.8 23.5 19.1 22.3 16.8 21.6 15.2 22 14.4 21.3 12.4 22.3 8 23.8 6.2 24.8 5.3 25.1 4.2 24.3 2.3 23.4 0.2 23.1 0 22.5 1.2 20.9 2.1 20.6 2.9 20.7 4.5 21.9 5.7 22.2 4.3 20.5 4.3 19.9 4.2 18.9 3.8 18.4 3.3 17.3 4.1 16.8 5.2 17.2 7.9 19.1 9.2 18.8 9.9 18.1 10.9 17.6 8.3 17.2 7.1 16.9 6.4 16.3 5.9 15.3 6.7 14.5 8.7 14.7 7.4 13 6.5 12 6.5 11 6.8 10.4 9 11.4 9.1 10.8 8.1 9.9 8.5 9.2 8.7 8.2 9.4 7.9 10.1 7.9 10.8 8.2 12.9 10 13.3 10.5 13.4 11.2 13.2 12 14.2 12.1 14.9 12.4 16 11.1 16.6 11.4 17 12 17.1 13.2 17 14.7 17.6 14.1 18.6 14 18.8 12 18.7 10.7 15.3 8.5 14.7 8.1 14 7.2 14.8 6.3 15.8 6.1 18 6.1 17.8 5.4 16.8 5.1 16.4 4.3 15.2 4.6 13.8 4.6 12.4 4.3 12.9 3.2 14 2.2 16 2.1 17.5 1.9 18.8 2.2 19.7 3.2 21.1 5 23 6.1 24.1 7.4 26.1 9.9 28.1 11.4 27.9 12.2 27.1 12.7 28.3 13.3 29 14.3 28.4 17.7 28 18.4 25.8 18.1 26.2 19.1 27.6 20.1 27.9 20.7 27.8 21.4 28.5 21.4 28.4 22.3 28.2 23.1 27.9 23.7 28.5 23.8 29.7 24.8 30.3 27.4 30.6 28.2 30.9 27.5 31.1 25.6 31.4 24.7 32 23.7 32.4 21.7 33.6 20.1 34.2 19.6 34.8 19.5 36 21.3 36.8 21.5 37.2 20.4 37.7 18.2 37.8 15.8 37.6 13.1 37.7 11.2 38.3 10.1 39.1 9.7 40 10.1 40.8 10.9 42.1 13.5 43.3 14.9 44.2 16.4 44.7 16.9 45.7 17.2 46.1 16.7 46.2 16.1 46 12.3 46.2 11.1 46.6 10.3 48.4 9.8 49.3 9.2 50.2 8.3 51 7.9 51.6 7.8 52.2 8.1 52.8 8.9 53.9 10.4 55.1 12.8 56.8 14.5 57.6 17.4 58 17.9 58.4 17 58.4 15.8 57.9 14.1 56.4 9.9 56.4 9.1 56.6 8.4 57.7 8.3 60.2 8.7 61 9.4 62.7 12 63.1 12.6 64.2 12 64.6 11.4 65.4 10 67.1 7.4 67.9 7.5 68.7 8.2 69.1 8.7 69.9 9.1 70.8 9 71.9 8.1 73.2 7.5 73.6 6.2 72.7 1.8 73.1 1 75.3 0.1 77.3 0 79 2.1 79.8 3.1 80.2 3.8 80.3 5.5 80.8 6.1Z' },
+  it: { viewBox: '0 0 85 100', path: 'M50.7 5.8 50.5 6.4 49.7 6.9 49.1 7.4 48.5 7.9 48.4 8.5 48.9 8.9 49.6 9.2 50.2 9.4 49.6 10.3 49.1 10.8 49.3 11.5 50 11.4 49.7 12.9 50.4 13.3 51.6 14.5 51.9 15.2 51.2 15.5 50.2 13.6 49 14.2 47.1 13.6 46.5 14.3 45.9 14.9 45 15.2 44 15.9 42.9 16.4 42.1 16.7 42.3 15.9 41 16.4 40.5 16.9 40.3 17.7 40.1 19 41.3 21 42.2 21.7 42.1 22.4 41.8 23 41.2 23.4 40.5 23.1 40.3 24.2 40.7 27.1 41.3 29.2 42 30.1 43.4 31.5 45 32.2 47.8 34.5 49.3 35.3 50.6 37.4 51.4 39.5 52.3 42.7 52.9 44.3 54.1 46.1 56.7 48.6 59 50.4 61.2 51.6 62.9 51.8 66.9 51.5 67.6 51.6 68.3 51.9 68.5 52.7 68.2 53.3 67.4 53.8 66.5 54.6 66.4 55.6 67.3 56.3 71.1 58.3 75.1 59.9 76.3 60.7 77.7 62 81.2 63.7 81.8 64.6 83.8 66.4 84.8 67.8 85 68.9 84.5 70 84.3 70.8 84 71.5 83.1 71.2 82.1 70.5 80.5 67.2 77.7 66.9 76.2 66.1 75.9 65.3 74.6 65.1 73.8 65.6 72.9 66.8 72 68.6 71 71.2 70.9 72.2 71.4 73.2 73.1 73.8 74.3 74.7 75.2 75.6 75.2 77.9 75.6 79.1 75 79.9 74 79.7 72.6 80.1 71.6 81 71.2 81.7 71.3 83.8 71.1 84.5 69.2 86 68.2 87.5 67.9 88.1 67.6 88.8 65.2 88.8 64.6 87.9 64.6 86.7 65 85.9 65.9 85.5 66.5 83.8 66.3 82.7 66.6 82.1 67.6 81.5 68.6 81.3 68.7 79.7 67.9 78.9 67.7 77.8 67.3 75.9 66.1 73.3 65.5 71.1 65 70 64.2 69.4 62.8 69.4 62.1 69.2 59.6 67.6 59.5 67 59.9 66.3 59.6 65.5 59.3 64.7 58.8 64 58.3 63.6 57.2 63.8 56.1 63.9 55.6 64.3 56.1 63 55 62.3 53.9 62.2 53.1 62.3 53.2 61.7 51.8 59.3 50.9 58.3 49.6 58.3 48.3 57.8 47.4 57.7 46.3 58.2 45.8 57.6 44.6 56.6 43 56 40 52.8 39 51.5 37.1 50.2 35.9 48.2 34.9 47.5 33.5 46.9 32.7 47.2 32.1 46.9 32.7 46.6 32.5 45.8 30.9 43.8 29.9 43.2 29.4 42.2 28.8 41.7 27.9 41.6 27.9 40.6 28 39.9 27.9 39.3 27.4 37.6 26.5 36.2 25.9 32.9 25.5 31.9 24.5 31.2 22.2 30.4 19.1 28.2 18.4 28.2 16.5 27.4 15.3 27.2 13.8 28 11.9 30.1 10.4 32.2 9.9 32.6 7.9 33.4 6.2 33.7 6.1 32.8 6.9 31.8 7.3 31.1 7.4 30.3 7 29.8 5.3 30.2 3.7 29.4 2.4 28.6 2 28.1 1.8 27.5 1.8 26.8 1.8 25.8 2.2 25.1 2.7 24.5 2.6 23.2 1.9 22.8 1.2 22.6 0.7 21.7 0.1 20.7 0.5 20 1.1 19.9 2.5 19.2 3.2 19 3.5 17.9 3.6 17.1 2.8 16.3 2.4 15.5 1.8 14.6 1.3 14.2 1.2 13.5 2.2 12.6 2.8 12 3.6 12.5 5 12.1 5.9 11.8 6.5 11.5 8.3 12 9.8 11.1 10.7 9.6 10.4 8.6 11.5 7.7 12 7.1 12.5 6.6 13 7.1 13 8.3 13.9 9.6 14.4 10.1 15.7 10.4 15.4 11.3 16.2 12.1 16.3 12.7 17.2 12.8 17.1 12 17 11.4 17.2 10.7 18.5 9 18.8 8.3 18.9 7.2 18.9 6.3 19.9 6.3 20.5 7.6 21.2 8.2 22.7 7.7 23.3 7.4 24 7.9 24.5 8.8 25.1 8.8 25 7.5 24.8 6.9 24.4 6.2 24.6 5.6 24.8 5 25.6 4.8 26.1 5.4 26.8 5.6 27.3 5.2 27 4.4 27.1 3.6 27.4 2.3 28.3 2.4 29.1 2.5 29.6 3 30.8 3.3 31.5 3 31.8 2.3 32.3 1.5 33.1 1.1 34.4 1 35.1 0.9 35.8 0.9 36.9 1 38.3 0.4 39.7 0 39.7 0.6 39.6 1.5 40.4 2.6 40.9 3.4 41.3 4 41.9 4.3 42.8 4.5 43.5 4.5 44.3 4.8 46.9 5.3 48.2 5.5 49.2 5.5 50.7 5.8ZM42 32.4 42.1 31.5 41.3 32.1 42 32.4ZM27 42.6 27.3 43.2 27.2 44 26.6 43.6 25.7 43.8 24.9 43.3 25.9 43 26.7 43ZM21.5 61.6 21.9 62.2 22.7 64.7 22.6 65.7 21.6 67.4 21.7 68.4 22 69 22.1 69.7 21.9 70.6 21.4 75.8 21.2 76.8 21 77.6 19.8 77.6 18.9 77.1 18.1 77.3 17.4 76.9 17.1 78.7 16.7 79.4 16.1 79.9 15 79.8 14.1 79.4 13.8 78.8 13.3 78.1 12.8 77.2 12.8 76.4 12.7 74.7 13 73.9 13.1 73.1 13.1 72.4 13.7 72 13.7 71.3 12.7 70.6 12.7 69.5 13.2 68.6 13.2 67.1 12.8 66.6 12.6 65.7 11.9 64.6 11.2 63.8 11.1 62.6 11.3 61.7 12 61.8 13.2 62 13.9 61.9 14.8 61.5 15.7 60.9 17 59.4 17.8 59.1 18.3 58.2 19 58.6 20.2 59 20.6 59.5 21.1 60.2 21 61.1 21.5 61.6ZM11.9 60.1 11.3 60.5 11.7 59.5 12.3 59.5 11.9 60.1ZM52.4 63.3 51.8 63.1 52.6 62.9ZM13.3 78.5 12.8 79.4 12.4 78.8 12.5 78 13.3 78.5ZM64.1 86.2 63.6 87.3 61.7 90.2 61.5 90.8 61.4 91.4 60.9 92.5 60.7 93.1 60.7 93.9 61 94.5 61.6 95 61.7 96 62.1 96.7 61.3 97.8 60.8 98.7 60.8 99.6 60 99.9 59.2 99.7 58.4 99.8 57.2 99.3 56.4 99 55.5 97.5 54.7 96.8 53.9 96.3 53 96.3 52.2 96.3 51.4 96 49.9 94.9 48.3 94.1 47.6 93.5 46.9 92.9 46 92.7 45.1 92.1 43.9 92.1 43.1 91.9 42.3 91.2 41.8 90.3 42 88.8 42.4 87.7 43.3 87.2 43.8 86.6 44.6 87.6 45.3 87.8 46 87.5 46.8 86.5 47.8 86.5 48.4 87.1 49.2 87.3 50.5 88.2 51.3 88.4 52.4 88 53.2 87.8 54.9 88.1 55.8 87.8 56.5 87.8 57.4 87.4 58.1 86.8 58.9 86.7 59.9 86.7 60.8 86.8 61.6 86.3 62.4 86.2 63.6 85.6 64.5 85.8ZM38.9 99.4 38.1 99.2 38.1 98.6 38.7 98.8 38.9 99.4Z' },
+  je: { viewBox: '0 0 100 65.3', path: 'M96.1 23.8 100 57.9 80.6 65.3 64 53.5 31.1 53.5 0 60.9 6.8 0 68 7.4Z' },
+  jm: { viewBox: '0 0 100 39.7', path: 'M50.6 3.2 56.4 5 62.3 5.9 64.8 5.9 67.2 6.5 72.6 10.7 77 13 93.5 18.2 99 27.1 100 29.9 95.7 31.6 90.4 32.2 85.3 32.2 80.5 30.5 78.5 29.2 73.5 28.6 74.8 27.4 72.6 26.8 69.8 27 67.8 30.4 65.6 33.1 61.2 32.8 59.6 30.5 57.3 31.6 55.5 33.3 53.3 39.7 49.8 36.5 45.9 33.8 41.1 32.7 31.4 32.6 26.8 31.7 23 26.3 21.5 24.8 17.7 23.4 13.9 17.1 12.5 16.3 2.1 15 0 11.6 0.6 8.5 4.1 4.7 5.8 3.6 11.5 3.8 17 2.7 19.4 1.1 21.9 0 41.7 2.7 46.3 2.7Z' },
+  jo: { viewBox: '0 0 89.1 100', path: 'M86.1 30.3 83.1 33.1 82.4 33.4 78.4 34.6 70.3 37 64.9 38.6 58 40.6 52.2 42.3 46.5 44 41.2 45.5 44.2 48.8 48.8 53.8 51.9 57.1 55.5 61.3 58.8 65.1 62.2 69.2 59.8 70.5 55.8 72.8 55.1 73.6 53.4 77.6 52.1 80.7 46.2 82.3 40.6 83.4 37 84.1 36 85 33.7 88.9 31.3 92.9 27.3 96.1 22.9 99.8 21.9 100 18.7 99.4 13.2 98.5 8 97.6 4.4 96.9 0 96.2 0.6 93.1 0.5 91.5 1.5 86 2.1 83.4 2.4 81.5 3.9 77.6 3.7 76.4 4 71.9 3.9 71 4.6 68.6 5.9 65 7.1 62 7.6 60.6 8.9 57.7 10 54.1 9.4 52.2 9.7 49.5 10.3 45.8 10.6 43.8 11.3 41.2 12.5 39 11.9 33.7 12 30.8 12.8 27.6 12.3 23.8 12.7 18.3 13.2 17.2 16.1 15.7 17.2 15.5 19.4 16 20.6 17.2 22.8 20.4 26 21.4 27.4 22.3 29.2 24 31.4 24.6 38.3 25.7 43.9 22.1 48.6 19 53.9 15.6 57.5 13.2 63.7 9.2 67.8 6.7 73.2 3.3 78.5 0 79.9 5.4 81.4 10.7 82.9 16.1 84.3 21.4 82.8 21.9 84 25.9 86 25.3 88.2 24.8 89.1 27.4Z' },
+  jp: { viewBox: '0 0 84.9 100', path: 'M77.2 7.5 77.9 7.5 79.8 8.4 80.7 8.5 81.3 8.2 82.1 7.2 83.1 6.3 83.1 6.9 82.7 7.7 82.2 8.8 82.1 9.4 82.6 10.4 82.8 11 83.1 11.8 84 11.7 84.6 11.3 84.1 11.9 83.7 12.5 83.1 12.5 82.2 12.9 81.4 13.4 80.3 13.7 79.1 13.5 77.8 14 77 14.7 76.3 15.5 75.7 16.4 75.4 17.4 75.3 18.1 74.5 18.5 73.7 18 72.2 17.2 70.6 16.1 69.7 15.6 68 15.8 66.4 16.8 65.6 16 64.9 15.6 64.1 16.1 63.8 16.9 64.2 17.5 64.8 18 65.4 18 66.1 18.7 66.8 19.4 66.4 19.9 65.7 19.8 65.1 19.5 64.5 20.3 64.1 21 63.6 21.4 62.9 21.5 62.6 20.7 62.7 20.1 63 19 62.8 18.2 62.2 17.6 61.9 16.6 62 15.6 62.4 15.1 63 14.8 63.8 14.1 64.2 13.6 64.1 12.5 64.1 11.8 64.8 11.8 65.6 12.3 66.2 12.3 66.9 12.5 67.5 12.3 68 11.4 67.9 10.7 67.9 10 68.7 8.6 68.9 8 68.9 6.7 69.2 6.1 69.3 5.5 69.4 4.3 69.2 3.1 68.9 2.5 68.6 1.9 68.9 0.9 69.4 0.5 70 0 70.9 1 71.8 2.1 72.9 3.7 73.6 4.5 74.4 5.3 75.2 6 76 6.6 76.6 6.9 77 7.4ZM66.7 1 66.3 0.2 66.7 1ZM67.5 2.1 66.9 1.6 67.6 1.8ZM60.6 18.2 60.4 17.5 60.7 18.1ZM67.3 21.8 68.2 21.6 68 22.4 67.9 23.2 68 24.5 68.1 25.1 68.5 26 69.5 27.2 69.8 28.4 70.2 29.5 70.2 30.3 70.2 31.5 69.9 32.6 69.6 33.2 69.1 33.7 68.8 34.3 68.4 35.4 68.4 36.1 67.8 36.7 66.8 36.9 66.3 37.8 66.1 38.8 66.3 39.4 66.4 40 66.5 41.1 66.4 42.8 66 43.7 65.4 44.6 65 45.7 64.8 46.6 64.8 47.4 65.5 48.8 65.9 49.4 65 49.7 64.3 50.4 64.2 51.5 63.8 52.1 63.2 52.3 62.4 53 61.8 53 61.9 52.4 62 51.7 62.4 50.8 62.9 50.3 62.5 49.7 61.9 49.7 61.7 50.3 61.2 50.9 61.4 51.5 61.3 52.1 60.9 51.6 60.1 51.4 59.4 51.8 59.2 53 58.8 54 58.4 54.5 57.8 54.2 58 53.4 58.4 52.7 57.7 52.2 57.1 52.4 56.6 53.2 55.9 54 55.6 54.7 54.8 54.4 53.9 54.4 53.2 54.3 52.3 54.5 51.3 54.7 52.2 54.2 51.4 53.9 50.9 53.5 50.9 54.1 50.5 53.2 50.7 52.6 50.1 52.7 49.5 53.8 49.6 54.7 50.5 55.3 50.5 55.9 49.3 56.2 48.5 56.6 47.5 58.4 46.9 59.4 46.1 59.8 45.1 59.5 44.7 58.7 44.1 57.9 43.9 56.6 43.9 55.9 44.6 55.5 45 54.9 44.2 54.4 43.6 54.5 42.6 53.9 41.8 53.8 41 54.1 40.4 54.2 39.9 54.7 39.1 55.1 38.3 55.2 37.6 55.4 37 55.6 36.3 56 34.9 56.2 34 56.1 33.1 55.9 32.7 57.3 32.5 58.1 31 57.2 29.9 57.3 29.3 57.6 28.7 57.5 28.1 57.4 27.6 56.2 28.1 55.6 29.1 55.6 29.7 55.2 30.4 54.6 31.4 54 32.2 53.2 32.9 52.7 33.5 52 34.3 51.3 34.8 50.7 35.4 50.4 36.3 50.2 37.2 50.6 38.1 50.4 39 50.5 40.4 50.2 41.3 49.8 43 49.7 44.1 49.3 44.3 50 45.7 50.3 46.5 50.2 47.3 49.6 47.3 48.7 47.3 48.1 47.5 47.5 48.2 46.7 49.4 45.4 49.9 44.6 50.1 43.6 50 42.4 50.5 41.5 51.8 40.9 52.4 41 51.7 42 51 42.4 51.1 43.2 51.1 44.1 52 44.5 52.9 43.7 54.6 43 55.3 42.6 56.1 42.3 57 41.5 57.6 40.6 58.1 39.6 59.7 38.5 60.1 38 60.5 37.2 60.6 36.6 61 35.6 61.6 34.7 62.1 33.1 62.3 32.5 62.6 31.9 62.8 31.3 62.8 30.6 62.8 29.9 62.4 29.3 61.6 29.1 62.2 28.6 62.5 28 62.6 27.4 62.4 26.6 62.3 26 62.5 25.3 63.1 24.9 63.7 24.4 63.9 23.6 63.8 22.8 64.5 22.6 65.2 24.2 65.8 24.3 66.9 24.3 67.3 23.7 67.4 23.1 67.2 22.4 65.7 23 65.7 22.4 65.9 21.5 66.6 21.2 67.3 21.8ZM56.2 39.4 56.1 38.7 55.9 38.1 56.7 37.1 56.7 37.9 56.8 39 56.2 39.4ZM37.2 47.1 36.5 47 36.9 46.5 37.2 47.1ZM21.9 55.8 21.7 55 22.1 54.2 22.2 54.9 21.9 55.5ZM43.1 56.1 42.4 56.4 42.5 55.7 43 55 43 55.6ZM40.9 55.2 40.3 55.1 41 55ZM40.9 56.2 41.5 56.4 42 57.2 42.2 58.1 41.7 58.7 41 59.2 40.5 60 40.3 60.9 39.4 59.9 38.4 59.6 36.8 60.3 36.3 61.6 35.8 62.1 35.6 62.7 35 63.1 34.4 63.1 34.6 62.4 33.8 62.4 33.5 61.7 33.8 61 33.5 60 32.2 60.4 33 59.8 34 59.1 34.6 58.4 34.8 57.8 35.5 57 36.2 57.7 36.9 57.5 37.5 57.5 38.1 57.1 38 56.3 38.9 56 39.9 55.8 40.9 56.2ZM21.5 56.8 21.2 55.9 21.7 56.3ZM32.9 57.7 33.6 57.8 32.9 58ZM28.7 59.2 29.3 59.4 30 59.1 30.7 59.2 30.4 60.2 30.8 60.8 31.5 60.8 31.3 61.4 31.7 61.9 31.9 62.5 30.9 63.8 30.6 64.4 30.4 65 30.1 66 29.8 67 29.8 68 29.4 69.2 28.6 69 28.4 69.8 27.7 70.5 26.9 70.9 27.1 70.3 27.2 69.3 26.9 68.6 27.3 68 26.7 67.8 26.4 68.5 26.3 69.2 26.7 69.8 25.4 69.8 24.8 69.2 25.4 69 25.5 68.3 25.1 67.7 25 66.7 25 66.1 25.7 65.5 26.4 64.5 26.7 63.7 26.1 63.5 26.3 62.7 25.9 62.2 25.7 61.6 25.1 61.2 24.9 61.9 24.9 62.7 25.5 62.7 25.4 63.5 24.8 63.1 24 63.2 23.3 63.9 23.6 63.2 23 62.6 22.9 62 23.6 62.5 24.2 62.7 23.9 62 22.9 61.1 22.7 60.4 23.6 60.5 23.9 59.8 24.5 59.6 25.3 59.3 25.9 58.6 26.8 57.8 27.9 58 28.3 58.9ZM23.5 58.6 23.1 58.1 23.5 58.6ZM22.3 61 22.5 60.4 22.3 61ZM20.7 62.7 20.5 62.1 20.8 61.4 21 62 20.7 62.7ZM19.1 63 19.8 63.1 19.4 63.9 19.1 63ZM24.5 65.5 24.2 64.9 24.3 64.2 24.9 64.1 25 65 24.5 65.5ZM27.9 73.7 27.8 72.9 28.1 71.9 28.3 72.6 27.9 73.7ZM26.6 74.3 25.9 74.2 26.1 73.4 26.7 73.7 26.6 74.3ZM22.1 83.2 21.5 83.3 21.6 82.6 22.2 82.4 23 81.9 22.6 82.6 22.1 83ZM21.6 83.7 21.1 83.3 21.6 83.7ZM20.4 85.3 19.9 84.8 20.5 85.1ZM17.6 89.9 17 90.3 16.4 90.8 16 91.3 15.8 92 15.2 92.3 15.5 91.4 15.8 90.8 16.3 90.3 16.2 89.7 16.9 89.9 17.4 89.3 17.6 89.9ZM6.8 98 6.1 98 6.8 98ZM2.3 99 2.1 99.6 1.5 99.3 2.4 98.7ZM0.8 99.9 0 99.9 0.4 99.4 1 99.6Z' },
+  ke: { viewBox: '0 0 78.8 100', path: 'M78.8 14.9 77.6 16.6 76.2 18.7 73.5 22.5 71.4 24.5 69.9 26.1 69.8 28 69.8 32.2 69.8 40.4 69.8 48.7 69.9 57 69.9 61.1 69.9 62.5 71.2 64.2 72.6 65.9 74.3 68.2 75.3 69.4 75.4 70.6 73.9 72.3 72.7 73 71.2 73.4 70.1 73.1 69.6 74.1 69 73.8 69.2 74.9 69.3 75.5 69.1 76.2 68.3 76.9 66.6 78.9 64.2 79 63 79.7 62.4 80.3 62 81.6 62.1 83.6 61.5 85.1 61.4 85.8 60.1 86.8 59.6 87.7 59.2 88.6 58.4 91.1 57.9 92.3 57.6 93.1 57.1 93.9 56.6 94.7 55.2 97.9 54.1 99.3 53.2 99.2 52.6 99.7 51.5 99.3 50 98.2 48.5 97.1 46.9 96.1 45.4 95 43.9 93.9 42.4 92.8 40.9 91.7 39.4 90.6 38.5 90 37.8 88.9 37.2 88.4 36.6 88.2 36.8 87.4 37.3 86.4 37.4 85.8 37.3 85.1 37.1 84.1 35.9 83.2 33.8 82.1 31.7 80.9 29.6 79.7 27.5 78.6 25.4 77.4 23.3 76.2 21.2 75.1 19.1 73.9 17 72.7 14.9 71.6 12.8 70.4 10.7 69.2 8.6 68.1 6.5 66.9 4.4 65.7 2.3 64.6 1.5 64.1 0.8 63.8 0 63.8 0 62.1 0.2 57.8 0.2 54.1 0.4 52.2 1.4 51 1.8 50.2 2.1 49 2.6 48 3.7 47.2 5 45.4 5.7 43.7 6.3 43.1 6.9 42.6 8.2 42 8.8 41.9 8.7 40.4 9.4 39.3 9.9 38.7 10.3 38.2 10.6 37.1 10.6 36.5 10.6 35.7 10.5 33.7 10 32.1 9.7 30.2 9.9 29.6 9.5 28.5 8.6 27.2 8.3 26.3 6.8 25.2 6.1 23.3 5.4 22.9 5 21 5.3 18.5 4.9 17.7 3.6 17.3 2.6 16.5 2.3 15.8 0.7 12.5 2.7 10.6 4.7 8.6 7.3 6.1 9.6 3.8 11.7 1.8 13.5 0 13.5 0.8 14.1 1.3 15 0.8 18.2 1.5 18.7 2.1 18.6 2.8 18.5 3.8 18.3 5.3 18.4 6.7 19.2 7.8 19.9 8.6 20.5 9.7 21.5 10.3 23.4 10.3 26.2 10.4 28.8 10.4 29.6 10.6 32.1 12.2 34.4 13.6 36.3 14.8 38.1 16 39.9 17.2 41.3 18.1 42.7 18.4 44.9 18.6 46.5 18.6 47.9 19 50 19.4 51.6 19.6 52.5 19.8 55.2 20 56.8 18.8 58.1 17.1 58.6 16.1 60.3 15.2 63.3 13.9 65.4 12.9 67.7 12 68.8 12.8 70.3 14.1 70.9 14.7 72.2 15.2 73.2 15.2 74.8 15 77.3 14.9 78.8 14.9ZM70 75.1 71 73.9 71.4 74.4 70 75.1Z' },
+  kg: { viewBox: '0 0 100 48.5', path: 'M99.7 12.9 99.8 13.7 100 14.5 96.9 15.1 96.3 15.3 95.6 16.5 93.3 17.4 91.9 17.9 90 18.7 86.4 20.6 84.5 21.8 83.6 22.3 82.9 22.9 82.8 23.9 80.7 26.4 79.2 26.7 77.9 26.7 77.1 27 75.8 27.4 73.1 27.1 72.2 27.2 70.4 26.8 69.7 27 68.9 27.5 67.9 29.5 67.3 30.4 67.1 31.3 66.7 32.4 66.2 33.1 65.8 33.9 65.1 34.6 64.3 35 63.8 34.1 62.9 34.7 62 34.6 60.3 35.6 58.5 35.6 58 33.1 57.7 32 57.1 31.8 54.6 33.5 53.4 33.8 52.4 33.9 51.2 33.4 50.7 33.8 50.9 35.1 50.3 35.3 49.5 35.5 48.9 36 47 37.6 45.5 38.1 44.1 38.3 43.5 38.5 42.8 39.5 42.3 40.6 42 41.2 41.9 42 42.2 42.6 42.5 43.8 42.2 44.7 41.7 45.2 40.7 45.5 40 45.7 38.5 45.5 37.7 45.8 36.4 46.6 35.2 46.7 33.8 46.8 33.1 46.7 31 46.4 30.3 46.5 29.6 46.8 28.4 47 27.8 47.7 27.4 48.4 26.5 47.9 25.9 47.3 25.5 46.8 23.4 47.7 22.7 47.3 22.8 46.5 22.2 45.7 21 45.6 20.7 44.9 20.6 44.1 19.7 43.9 19.1 44.3 18.6 44.7 17.9 44.9 17.1 44.9 16.1 46.1 14.3 46.3 13.7 46.1 13.2 45.4 12.5 44.3 11.6 44.1 10.6 44.1 9.2 44.6 8.6 44.1 7.9 44.4 6.6 44.5 4.9 44.4 4 44.2 3.4 44.2 2.1 44.7 1.5 44.7 0.6 44.8 0.5 43.1 0 42 0.1 41.2 0.5 40.2 0.7 39.6 1.8 40.3 2.4 39.8 2.2 39 2.7 38.1 4.9 37.3 6.7 36.8 7.6 37.2 9.5 38 10.4 38.4 11.1 38.6 11.7 39.8 12.4 39.5 12.8 38.2 13.7 37.7 15.6 37 15.7 36.4 16.9 36 18.8 35.8 19.5 35.9 20.2 36.3 20.8 36.7 21.8 36.6 22.4 37.4 23.1 37 23.8 36.4 24.8 36.2 25.3 35.2 26.3 34 26.9 33.8 27.5 34.2 28.4 34.5 28.8 33.7 28.5 33.1 28.6 32.5 30.3 33 31.3 32.6 32 32 35.3 29.9 34.1 29 33 29.2 31.1 28.9 29.7 27.5 29 27.1 27.8 26.8 27.1 27.1 26.8 26.5 26.8 25.9 26.6 25.2 25.6 25.3 24.8 25.1 24 25 23.9 23.6 23.6 23 23.3 22.3 22.4 21.9 22.4 21.1 21.5 21.3 21.7 22.1 21.6 22.9 21 23.6 19.9 23.2 19.8 25.7 18.8 25.5 18.1 25.6 17.1 25.5 16.3 25.1 15.7 25 14.8 24.6 14.1 24.2 13.7 22.5 13.2 21.9 11.3 22.4 10.7 21.9 9.6 21.3 8.8 21.1 8.6 20.4 11.1 18.6 12.1 17.3 12.7 16.8 13.6 16.4 14.3 16.2 14.6 15 15.3 14.8 16.4 14.3 18.1 13.3 18 12.7 17.2 12.2 16.4 11.8 15.6 12.2 15.1 11.7 15.6 10.1 16.1 9.6 16.3 8.7 16.9 8.1 17.6 7.1 18.4 6.3 19.9 5.7 20.7 5.9 21.5 5.7 22.7 5.2 23.5 5.2 26.6 5.9 27.6 6 30.1 7 31.2 7.2 32 7.4 32.9 8.4 36 8.8 36.8 9.1 38 10.1 38.7 10.3 38.1 8 38.3 6.6 39.3 2.9 39.8 2.4 40.7 1.9 42.3 1.3 42.8 0.6 44.1 0.6 45 0.4 46.6 0.8 49 2.3 50.7 3.2 52.8 4.2 55.7 5 58.2 5.3 59.6 3.8 60.9 3.9 63.4 3.9 66.1 4 67.3 3.9 70 3.3 71.1 3.3 72.7 4.1 73.9 4.2 74.7 4.2 76.2 4.2 77.8 4.3 79.8 4.7 82.3 4.7 83 4.6 84.4 4.6 85.4 5.1 86.8 5.6 87.7 5.8 89.2 5.9 89.8 5.7 90.5 7.1 91.4 7.8 92 8.6 92.6 9.3 93.1 9.7 94.1 9.7 96 9.9 97.1 10.2 98.4 11.5 99.7 12.9ZM17.9 40.5 17.7 39.4 18.1 38.6 17.3 38.5 16.3 37.4 15.7 38.2 16.2 39.1 16.2 40.4 17.5 40.6ZM23.1 39.8 22.3 39.6 22.5 40.2 23.1 39.8ZM13.4 41.3 12.1 40.8 11.5 40.6 11.7 41.2 12.1 41.7 13.4 41.3Z' },
+  kh: { viewBox: '0 0 100 82.7', path: 'M39.8 82.7 36.7 80.2 30.6 79.4 29.9 78.3 29.3 78 28.8 79.5 25.4 80.8 24 80 22.9 79 23.1 77.8 24.1 76.8 25.7 76.1 26.5 73.6 25.2 70.3 24.1 69.4 22.9 68.6 21.7 69.8 20.6 71.9 19.5 73 18 73.2 15.7 73.1 14.9 70 14.6 67.4 14.9 64.4 15.2 62.6 13.1 60.2 12.9 57.8 11.9 56.6 11.6 57.2 11.6 57.9 7.9 50.5 7.3 47.4 7.9 44.9 8.2 44.1 7.2 42.8 5.9 41.3 3.4 39.4 3.2 36.3 2.7 32.7 1.9 31.5 0.8 29.3 0.2 27.5 0 22.6 2.1 22.1 4.3 21.7 4.7 20.9 4.3 20.3 5.7 19.2 7.7 16.7 9.3 14.2 10.5 12.6 11.2 11 13.5 8.8 16.6 7.2 18.8 6.9 21.1 6.3 23.2 5.6 24.2 5.5 26.9 6.4 28.4 6.7 29.9 6.6 31.4 6.7 32.8 6.7 36.1 6 39.6 6.5 42.7 6.1 46.5 5.4 48.4 5.9 50.1 6.6 50.4 8.1 50.8 8.8 51.3 9.3 52.1 9.3 53.1 8.3 53.9 7.2 54.6 8.7 55.4 9.8 56.1 10.6 57.3 11.6 58.1 11.6 60.8 10.7 64.7 12 65.2 12.7 66.4 14.1 67.8 15.1 70.9 15.2 72 12.7 71.5 11.2 69.7 8.6 69.2 7 69.8 6.8 72.7 6.5 73.9 4.4 74.7 4.6 76.3 4.9 78.1 3.7 79.1 2.5 79.7 3 80.3 3.9 81 4.4 82.2 5.1 83.6 6.2 84.4 7.2 85.1 7.6 86.9 7.3 88.4 6.1 89.1 5.4 89.7 5.6 90.6 5.6 92.4 4 93.5 2.6 94.1 2.2 95.7 2.9 96.4 2.8 97.3 0.8 98.4 0 98.7 1.1 97.9 3.1 97 4.9 95.4 6.5 95.4 7.7 94.8 11.2 95 12.3 95.4 13.3 95.9 13.8 97.3 17.3 98.5 20.4 99.8 22.9 100 24.6 98.9 28.7 97.5 32.4 97.7 34.3 98.2 36.2 98.8 38.7 99.1 41.9 98.7 44 98.1 45.3 97 46.6 96 47.3 94.8 46.1 93.8 46.1 92.6 46.4 91.6 46.9 89.5 48.9 87.2 50.8 84.1 51.3 82.9 52.7 81.6 52.9 79.1 52.9 77.5 53.3 77.5 54 77.4 57.3 77.4 58.1 76.1 58.4 74.2 57.9 71.6 57.1 69.7 56.9 68.8 58.4 68.2 58.9 67.5 59 66.8 59.3 66.6 59.9 66.5 60.7 66.9 62.1 67 64.3 66.9 65.8 67.6 66.8 71.5 69.9 72.7 70.7 72.1 72.9 72.7 75.4 71.5 75.3 69.4 74.3 68.5 73.7 67.3 74.2 66 72.9 65 71.6 63.9 71.6 61.6 72 59.3 72.4 58.4 72.4 56.7 74.4 56.1 74.1 53.7 73.4 51.6 73.2 51.1 73.6 51.4 75.1 51.9 76.5 51.6 77.2 50.4 77.9 48.8 79.3 47.9 80.4 47.2 80.6 44.8 80.6 42.5 80.7 41.5 81.7 40.6 82.5 39.8 82.7ZM13.7 66 13.1 66.2 12.8 64.8 13 64.1 13.6 64 13.7 66ZM18.9 76.8 18.2 77.6 17.1 76 18.9 76.8Z' },
+  km: { viewBox: '0 0 100 78.1', path: 'M18.4 41.6 16.9 42.6 9.9 38.2 5.9 37.1 0 29.9 2.3 5 4.2 1.8 5.6 0.5 8.9 0 12.8 3.1 11.8 19.2 17 30 20.4 38.6 18.4 41.6ZM96.1 55.7 100 66.5 100 74.6 98.3 77.2 94.9 75.5 88.5 69 76.4 62.7 82 62.2 85.2 62.8 88.6 62.3 90.8 58.7 91.2 56.6 94.2 54.9 96.1 55.7ZM43.2 73.3 48.6 78.1 33.6 76.1 31.2 71.8 31.1 68.6 36.7 69.3 43.2 73.3Z' },
+  kn: { viewBox: '0 0 98.1 100', path: 'M66.7 53.7 58.5 59 44 38.5 20.6 33 0.5 21 0 18.4 0.3 12.4 4.3 5.3 14.6 0 40.4 16.4 52.4 37.1 63.6 46.5 66.7 53.7ZM98.1 93 82.1 100 68.5 90.5 71.5 67.5 84.5 66.8 97.4 77 98.1 93Z' },
+  kp: { viewBox: '0 0 91.8 100', path: 'M89.4 9.1 89.8 10.3 90.8 11.5 91.2 12.3 91.3 13.2 91.8 13.7 91 14.2 90.1 13.9 88.4 13.7 86.4 15.4 85.2 16 84.4 17.7 82.8 18.6 81.9 19.7 80.8 21.5 80 23.3 78.3 25.1 77.3 27.4 77.2 29.3 78.3 31.3 78.4 33 77.7 36.4 78.1 40.1 77.6 41.5 72.3 44 70.9 45.3 68.9 48.5 66.6 49.7 65.1 51 63 51.8 61.7 54 60.3 55.3 58.6 56.1 57.3 57.1 54.4 57.1 52.4 57.8 50.9 59.7 46.6 61.8 46 63.5 46.3 65.9 46.3 67.9 46 69.4 45 69 44.5 69.5 43.9 70.9 44.1 72.6 45.6 73.1 46.8 73.8 48.5 74.1 49.8 74.9 52.5 78.3 54.7 79.8 55.2 80.4 56.5 81.2 57.6 82.3 58.3 83.4 56.9 85.2 56.1 87.2 55.3 88.3 54.4 88.9 53.4 89.2 51.5 89.4 49.8 89.2 49.2 89 46.8 89.1 46.1 89.3 42.7 89.1 40.8 89.3 39.7 89.7 38.5 90.5 37.5 91.6 36.6 92.9 34.8 95.2 33.6 96.4 33.6 98 33.1 98.8 32.2 98.6 29.3 97.1 26.8 98 26.2 99.2 25.6 99.6 24.6 97.2 23.1 97.2 20.6 95.1 19.5 95.5 19.2 96.4 17.8 98.2 15.9 99.8 15.3 100 14.6 99.9 13.9 97.7 10.9 97 9.8 96.3 12.2 94.2 13 93.8 12.4 93.4 11.8 93.2 9.4 93.4 8.1 92.8 6.2 93 5 92.5 7.6 90.6 7.7 89.5 7.7 88.6 9.1 86.1 10.4 84.6 13.9 82.6 15.4 82.4 16.6 82.4 17.5 82.3 16.5 81.5 15.6 81.1 13.8 81.2 11.9 80.1 11.7 78.8 15.4 71.1 15.4 70.4 14.9 68.5 14.7 66.6 12 65.6 10.9 65.4 7.5 63.4 6.2 62.3 5.6 64.3 5.1 64.7 4.2 65 3.8 63.1 3 61.7 0.8 60.3 0 59.5 0.4 57.8 0.5 55.8 1.9 54.3 5.3 51.7 6.1 50.5 7.8 49.1 8.6 49.1 9.4 49 9.6 48.3 10.5 47.4 12.1 46.6 14 45.6 15.5 45.3 17.3 43.7 18 43 18.8 43 19.4 41.9 20 41.3 20.8 41.2 22.1 40.8 23.7 40.6 24.9 39.3 25.2 38.3 26 37.3 27.6 36.1 28.7 34.5 29.9 32.6 30.4 32 31 31.9 31.3 31.2 31.7 29.3 32.3 27.4 32.6 26.5 34 25.5 34.6 24.9 35.3 25 36.2 24.4 37 23.8 37.7 24 38.5 24.5 39.2 25.6 39.6 26.4 40.2 27.1 40.3 28.1 41 28.6 42.3 28.8 44.4 29.5 45.8 29.5 46.6 30.1 48.3 30.3 51.7 29.9 53 30.2 53.6 30.8 54.4 31.3 55 31.3 55.7 30.5 56.5 29.1 57 28 57 27.1 56.6 26.2 55.5 25.3 54.7 24 54 22.6 53.3 21.5 53.2 20.5 53.5 19.8 55.1 19.3 57.3 19 59 19.3 61.9 19.1 63.7 18.7 65 18.8 66.2 18.8 66.7 18.2 68.4 16.8 69.2 16.3 70.1 15.3 70.3 14.3 70.5 13.4 71 12.6 71.8 11.5 72.6 11 73.4 11 74.3 11.5 74.9 12 75.5 11.9 76 11 77.4 10.8 78.1 7.8 78.5 5.8 78.6 4.4 79.5 2 79.8 0.6 80.3 0 80.9 0 81.5 0.5 82.1 0.7 83 0.5 83.6 0.8 84 1.6 85.3 2.1 85.4 5 86.1 6.2 87 7.2 88.3 8.2 89 8.4 89.4 9.1ZM8.1 66.5 7.2 67 7.2 66 7.8 65.2 8.5 65.1 8.1 66.5Z' },
+  kr: { viewBox: '0 0 73.9 100', path: 'M9.4 16 9.9 15.1 9.9 13.4 11.2 12.3 13.1 9.9 14 8.5 15 7.3 16.2 6.5 17.4 6.1 19.3 5.9 22.9 6.1 23.6 5.9 26.1 5.8 28.5 6.2 30.5 6 31.5 5.7 32.4 5 33.2 3.9 34.1 1.9 35 0.3 39.2 8.5 42.7 14 45.6 18 49.9 25.5 51.1 29.6 51.3 32.1 52 35.5 51.4 37.4 51.5 40.5 51.3 42.1 50.8 43.3 50.7 45.5 50.9 46.7 50.9 48.3 51.3 48.9 52.5 48.5 53.5 48.3 53.3 50.2 52.1 55 51.2 58.5 49.8 61.5 48.1 64.3 46 65.3 44.6 65.7 41.8 65.9 39.5 65.4 37.5 65.7 36.8 66.3 36.2 67.3 36.6 68.8 36.5 69.9 35.7 69.8 34 69.2 32.2 69.1 31.3 68.8 30.4 67.2 29.5 67.2 28 68.2 25.6 68.4 24.8 68.9 24.5 69.6 24.8 70.4 26 71.5 25.6 72.7 24.4 73.2 23.4 71.8 22.7 70.5 22.1 70.4 21 70.8 20.7 72.3 21.2 73.2 22.1 74.4 20.9 75.7 20.6 76.6 19.8 77.3 17.5 75.8 17.8 74.8 18.8 73.7 18.9 72.7 18.6 72 15.4 74.7 13.4 77.8 12.3 77.5 11.9 76.8 11.2 76.4 9.1 78.4 8.7 80 7.9 80 7.5 79.4 7.5 77.9 7.1 76.8 4.9 75 3.9 73.5 4.4 72.7 6.3 73.1 7.8 73.1 7.5 72.3 8 71.6 8.8 70.8 8.1 70.5 7.1 71 6.2 70.8 5.9 68.8 4.8 66.7 4.3 64.8 5.3 63.6 5.9 61.8 6.8 59.2 7.3 58.4 8.7 57.8 9.1 57.1 8.4 56.8 7.2 56.5 7.2 55.7 8 55.3 8.9 54.5 10.7 53.5 11.2 51.6 10.7 51.1 9.6 50.7 9.9 49.7 10.3 49 8.9 47.3 8 46.2 8.3 44.9 8.1 42.9 8.2 41.3 8.1 40.4 7.5 38.4 7.2 36.4 6.4 36.7 5.8 37.2 3.4 36.5 2.6 36.4 2.3 34.9 3.2 33.1 5.2 31.5 6.4 31.3 7.2 30.5 8.6 30.3 10.2 31.4 11.7 31.7 12.5 33.6 13 34 13.1 33.3 14.3 32.5 14.6 31.8 13 31.2 11.7 28.8 11.6 27.7 11.1 27.1 11.8 25.2 10.4 23 9.7 22.3 9.8 20.4 9 19.1 8.6 18.4 8.4 17.2 9.2 16.5ZM7.7 16.8 7.6 19.3 6.8 19.2 6.2 19 5.4 16.2 6.1 15.2 7.3 16 7.7 16.8ZM73.6 21.7 72.9 22.3 72.1 21.7 72 21.1 72.4 20.6 73.4 20.3 73.9 20.8 73.6 21.7ZM6.1 40.1 5.9 41.3 4.9 40.5 4.7 37.9 5.7 38.7 6.1 40.1ZM41 71.3 39.6 72.4 37.7 70.9 37.2 70 38.7 68.8 39.9 67.4 40.7 67.3 41 71.3ZM30.9 71.1 30.7 72.9 29.6 73 29 71.8 28.3 72.4 27.4 71 27.4 69.9 28.6 69 29.4 69.5 30.4 69.8 30.9 71.1ZM2.5 72.5 1.6 72.8 0.9 71.5 0.7 70.5 0 70 1.1 69.1 2.4 70.7 2.5 72.5ZM26.9 74.6 25.9 74.3 26.7 73.4 26.9 74.6ZM3.4 79 2.4 79.3 1.9 78.7 1.7 77.7 3.3 76.1 3.6 75.5 5 75.9 5.6 76.7 4.9 78 3.4 79ZM11.2 79.5 11.4 80.4 10.2 80.2 9.6 79.4 9.7 78.7 10.4 78.6 11.2 79.5ZM4.8 99.6 4.1 100 3.5 99.8 2.6 98.6 2.4 98 2.9 97 5 95.4 10.3 93.8 11.3 93.7 13.4 94.4 13.9 95.7 13.5 96.8 13 97.5 10.5 98.8 8.6 99.3 4.8 99.6Z' },
+  kw: { viewBox: '0 0 100 93.4', path: 'M75.7 6.9 75.4 9.1 77.1 15.7 80.9 22.9 83.9 28.8 84.3 31.5 81.5 31.1 79.4 30 75.3 28.8 67.3 36.6 62.5 40.8 62.4 42.2 68.8 43.9 73.5 43.8 76.8 42.7 79.5 44.5 81.4 49.3 82.1 53.1 86.5 66.9 90.1 71.6 94.6 79.8 96.3 84 97.2 87.6 100 92.8 90.9 93 79.4 93.2 70.1 93.3 59.6 93.4 55 87.8 53.5 81.6 51.8 75.3 47.2 66.3 31.8 64.1 23.6 62.9 10.1 61.2 0 59.9 8.5 50.2 12.5 45 19.6 33.6 23.3 25.5 26.8 16.5 29.9 9.5 30.5 8.2 32.3 5.8 36.2 3.4 41.8 1.1 51.4 0.1 58.2 0 59.7 0.1 64 1.2 75.7 6.9ZM91.2 28.4 88.2 29.7 86.2 29.1 84.3 25.9 81.1 17.9 82.8 14.9 82.8 13.6 83.1 12.6 84.1 12 85.1 8.2 86.5 7.1 88.8 9.6 95.1 18.9 95 22.6 94.6 24.1 91.2 28.4Z' },
+  ky: { viewBox: '0 0 100 31', path: 'M95.2 3.4 92.4 4.4 90.2 4 95.1 1.4 96.4 0.5 97.5 0 98.6 0 100 0.5 95.2 3.4ZM85.9 3.6 85.3 4 83.4 3.7 79 6.3 77.1 6.1 77.7 5.2 78.6 4.4 79.6 3.8 80.6 3.5 83.7 3 85.1 3 86.1 3.5ZM3 26.2 4.9 27.4 7.3 26.7 8 25.4 17.2 26.3 18.6 28.9 11.6 29 8.5 30.7 6.9 31 0.9 30.6 0 24.6 1.7 23.9 3 26.2Z' },
+  kz: { viewBox: '0 0 100 54.6', path: 'M100 25.3 99.3 25.2 98.7 25.4 98.6 26.1 98.5 26.7 98.1 27.4 97.4 27.6 96.3 27.8 95.9 28.4 95.7 29.1 95.7 30.2 95.7 30.9 95.9 31.5 95.7 32.2 95.2 32.8 94.6 33.1 93.9 33.5 93.5 33 92.7 32.9 92.1 33 91.4 32.9 90.5 32.5 89.9 32.2 89.4 32.8 88.9 34.3 88.6 35.1 88.3 35.9 88.2 36.5 88 37.1 87.7 37.9 88.4 38.4 88.4 39 87.9 39.4 87.2 39.3 86.6 39.3 86.2 38.8 85.3 39.1 84.6 39.4 83.9 39.5 83.3 39.6 82.6 39.9 81.9 40.2 82.6 40.6 83.2 41 82.8 41.9 82.9 42.6 83 43.2 83.2 43.8 83.5 44.5 83.7 45.3 83.8 45.9 83.3 46.5 83.3 47.1 82.6 47.5 82.5 48.4 82.6 49.2 81.8 48.7 81 48.6 80.3 48.1 79.9 47.5 79.3 47.5 78.7 47.3 78 47.2 77.2 47.3 76.6 47.1 75.9 47.1 75.2 47.1 74.6 46.9 73.8 47 72.7 47 72 47 71.4 47.3 70.6 47.3 69.8 47.1 68.8 46.6 68.2 46.2 67.6 46.1 67 46.3 66.3 46.6 65.9 47.8 66 48.7 65.3 48.4 64.5 48.2 63.7 47.9 63 47.6 61.9 47.4 61.2 47.6 60.5 47.7 60.1 48.2 59.6 49 59.2 49.5 58.8 50 58 50.3 57.3 50.9 56.6 51.2 56 51.6 55.4 52 55 52.7 54.3 53.2 54 53.8 54 54.5 53.2 54.5 52.6 54 52.8 53.3 52.4 52.7 51.4 52.8 50.6 52.8 49.6 52.9 49.2 52.2 49 51.4 48.9 50.5 48.4 50.1 47.6 50.1 47.7 49.5 47.7 48.5 47.8 47.6 47.9 46.8 47.1 47.2 46.8 46.6 46.4 45.7 45.8 45.4 45.4 44.8 44.9 44.4 44.2 44.7 43.5 44.9 42.7 44.8 41.9 44.8 41.3 44.7 40.4 44.7 39.4 44.9 38.4 45.1 37.8 45.1 37.1 44.4 36.6 43.8 36 43.1 35.6 42.6 35 41.8 34.4 41.4 33.7 40.9 33 40.5 32.3 40 31.6 39.6 31 39.1 30.3 38.7 29.6 38.2 28.7 38.2 27.9 38.4 27.2 38.7 26.3 38.9 25.4 39.2 24.5 39.5 23.7 39.8 23 40 23 40.8 23 41.6 23 42.4 23 43.1 23 43.9 23 44.7 23 45.5 23 46.2 23 47 23 47.8 23 48.5 23 49.3 23 50.1 23 50.8 23 51.6 23 52.3 22.3 52.5 21.7 52.4 21.2 51.9 20.9 51.3 20.5 50.7 19.8 49.8 18.8 49.2 18.2 49 17.4 49.1 16.3 49.4 15.7 49.7 15 50.3 14.5 50.8 14.4 49.9 14.5 49.3 14.8 48.7 14.7 47.6 14 47.4 13.4 47.2 12.8 46.9 12.3 46.2 11.6 46.2 11.6 45.6 11.5 45 10.9 44.3 10.6 43.5 10.4 42.7 9.5 42.4 8.9 42 9.1 41.4 9.9 41.2 10.9 41.6 11.7 41.6 11.3 41 10.8 40.5 11.2 39.8 11.5 39.2 12.1 38.8 13.4 38.6 14.3 38.6 15.1 38.8 15.9 38.9 15.3 38.2 15.4 37.3 15.8 36.6 16 35.8 16 35 16 34.3 15.9 33.4 14.9 33.1 14.2 33.2 13.6 33.5 12.6 33.2 11.5 32.6 10.6 32.8 10 33.1 9.4 33.4 8.6 34 8.1 34.4 7.4 34.5 6.7 34.6 6.4 35.3 5.8 34.9 4.9 34.5 4.7 33.9 5.3 34 5.5 33.1 4.9 32 4.4 31.3 3.8 30.4 2.4 30.1 1.7 30.2 1.3 29.7 1.3 28.8 0.6 28.1 0 27.2 0.2 26.3 0.6 25.7 1 25.2 0.6 24.5 0.5 23.7 0.7 23 0.9 22.4 1.6 21.8 1.7 21 2.2 20.3 3 20.7 3.6 21.5 4 22.1 4.5 22.5 5.3 22.1 5.4 21.4 5.1 20.5 5 19.7 5.7 19.4 6.7 18.6 6.9 17.9 7.5 17.6 8.2 17.2 8.9 16.8 9.6 16 10.2 15.3 10.8 15.3 11.4 15.6 11.8 16.1 12.7 15.8 13.3 15.3 14.1 15.3 14.5 16 15.3 16 16.3 16.1 17 16.4 17.4 17 18 17.3 18.5 17.8 18.9 18.3 19.2 19.2 19.4 19.8 19.7 18.8 19.5 18.2 20.3 18.2 21.1 19 21.9 19.5 22.6 19.5 23.2 19.1 23.9 18.2 24.5 18 25.2 17.8 26 17.8 26.6 18.4 27.3 18.1 28.1 17.7 28.9 17.7 29.6 18.5 30 19 30.6 19.3 31.5 19.5 32.3 19.7 32.8 18.8 33.6 19.1 34.5 19.3 35.2 19.2 35.9 18.9 36.5 18 36.6 17.4 36.7 16.7 36.2 16.2 35.4 16.1 34.4 15.6 33.9 15.2 33.1 14.5 33.5 13.9 34.1 13.5 34.9 13.1 35.3 12.5 34.9 11.8 34.9 11.1 35.4 10.3 36.3 10 37.1 10.1 37.7 10.2 37.8 9.6 37.2 9.3 36.4 9 35.8 8.8 35.9 8.2 36.6 8 35.9 7.8 35.3 7.5 35.6 6.9 35.7 6 36.8 5.9 37.6 6.1 39 5.8 40.4 5.5 41 5.2 41.7 5 42.3 4.9 42.9 4.6 43.8 4.3 44.7 4.3 45.4 4.5 45.7 3.7 46.3 3.3 46.9 3.3 47.5 3.1 48.2 3.1 49 2.9 50.3 2.6 51.3 2.3 52.1 1.9 52.7 1.8 53.1 1.2 53.6 0.8 54.3 0.3 54.9 0 55.6 0.1 56.2 0.1 56.8 0.4 57.4 0.8 58.2 0.9 59.3 0.4 59.7 1.1 59.9 1.9 60.2 2.9 60.3 3.6 60.3 4.4 60.1 5 60.7 5.2 61.6 5.1 62.4 5 62.8 4.5 63.2 5.1 63.3 5.7 63.9 5.3 64.6 5.4 65.1 6 65.8 6 66.3 5.6 66.5 6.2 65.8 6.7 65.5 7.6 65.7 8.2 66.4 7.7 67.4 7.5 68 7.9 68.4 7.4 68.9 6.9 69.7 6.6 70.3 6.3 70.7 5.8 71.3 5.5 71.9 5.2 72.5 4.8 73.4 4.5 74 4.1 73.9 5.1 73.2 5.3 73.4 5.9 74.2 6.6 75 7.3 75.8 8 76.4 8.5 77.2 9.6 77.6 10.3 78.3 11.5 78.9 12.6 79.5 13.9 79.9 14.6 80.7 16 81.3 17.4 81.7 18.2 82 18.9 82.5 18.3 83.1 18 83 17.4 83.6 16.9 84.2 16.9 84.8 17.2 84.7 17.9 85.4 18.1 85.6 18.7 86.3 18.9 87.2 19.1 88.1 19 88.7 18.5 89.4 18.4 90 18 90.8 18.2 91.5 18.7 92.1 19.5 92.3 20.2 92.6 20.9 93.3 21.1 93.9 21.5 94.3 22.2 94.6 22.8 95 23.3 96.4 23.5 97 23.7 97.8 23.2 98.2 22.7 98.2 23.3 98.7 23.8 99.1 24.4 99.8 24.8ZM8.8 40.5 8.4 39.8 8.6 40.4Z' },
+  la: { viewBox: '0 0 83.9 100', path: 'M22.4 1.4 23 2.5 24.3 3.8 25.9 5.6 26.4 6.4 27.5 7.1 27.8 7.7 28 8.7 28.1 9.4 28.7 10 29.6 9.4 29.9 8.3 30.4 9.1 31.2 9.4 31.7 10.4 31.5 11.1 31.1 11.8 30.9 12.6 30.7 13.8 30.5 14.7 30.8 15.4 33.3 19.1 34.5 19.7 37.3 20.4 38.3 20.9 39.2 21.4 40.1 21.2 40.9 20.1 41.9 19.5 43.8 18.5 44.4 18.5 45.4 18.8 47.1 19.9 48.4 21 49.2 21.5 49.7 22 49.7 22.6 49.2 23.1 48.6 23.4 47.8 23.9 47.3 24.4 48.8 24.8 50.1 25.2 50.6 25.8 50.8 27 52.3 27.1 53.1 27.6 53.6 28.7 53.6 29.4 52.7 30.3 52.3 30.8 52.2 31.6 51.5 32.5 49.8 34.1 46.1 33.3 44.7 33.4 44 33.4 43.4 33.8 43.8 34.8 44 35.7 43.6 36.5 42.5 37.1 42.1 37.8 43.3 38.7 44.5 39.1 48.2 41.6 49 42.1 50.1 43 51.2 43.7 54.3 44.6 55.7 45.1 56 45.9 55.6 46.4 55.4 47.3 55.7 48.3 56.2 49.1 57.4 50.3 58.1 50.8 58.8 51 59.5 51.3 60.2 52.1 60.9 53.2 61 54 61.4 55 62.1 56.1 63.1 57.2 64.4 58.5 65.2 59.5 68.5 62.1 69.2 63 70.3 64.6 71.1 65.2 71.4 66.1 71.5 66.7 71.6 68.7 72.1 69.3 72.6 70 73.3 70.9 74.3 70.5 74.8 70.1 75.5 71.6 75.9 72.1 76.7 72.6 77.4 73 79.1 74.6 80 75.2 80.6 75.4 81.2 76.2 80.7 77.1 78.8 78 78.8 79.1 79.2 79.9 79.8 80.6 80.4 81.2 81.8 82.3 82.9 83.2 83.6 84.1 83.9 84.7 83.7 85.5 83.2 86.3 82.8 87 82.2 87.4 82.3 88.6 82.4 89.8 82.4 91 81.8 91.5 81.3 92.7 79.9 92.3 79 93.4 77.9 94.3 77.3 94.4 76.6 94.6 76 95.4 74.6 95.5 73.7 94.7 72.9 94.1 72.2 93.6 71.4 92.8 70.5 93.2 69.5 93.9 68.5 93.8 67.6 94.7 65.6 95 65.6 96.1 66.6 97.7 66.9 98.5 66.3 100 64.5 100 63.6 99.4 62.9 98.5 60.3 97.3 58.8 97.9 57.6 97.3 57.1 96.8 56.7 96.1 56.5 95.5 57.1 94.9 58.2 94.3 59.1 93.7 59.7 93 59.9 92.4 60 91.6 60.2 89.5 60.5 88.4 60.3 87.2 59.8 86.2 59.8 84.7 60 84 60.8 82.9 61.2 82.1 61.5 81 61.5 80.1 60.6 79.2 59.5 78.7 58.8 78.1 58.5 77.5 58.6 76.9 58.9 76.3 58.1 75.8 56 75.1 54.9 74.3 54.7 73.4 53.8 72.3 52.4 70.8 51.6 68.7 51.5 66 51.7 63.8 52.3 61.2 51.5 59.3 50.6 58.3 49.3 57.6 48 56.5 46.8 55.2 45.4 53.2 43.8 50.5 42.7 49.3 42.1 49.6 40.9 49.4 39.1 48.6 37.6 48.2 36.2 48.1 35.3 48.3 34.9 49.1 35 49.8 34.3 50 33.8 50.5 33.1 51.4 32.7 52.7 32 53.2 31 53.3 30 53.7 29 54.3 28.5 54.8 27.9 55 27.6 53.9 27.1 53.5 26.1 53.2 24.9 52.5 23.6 51.3 22.6 50.7 21.4 51.1 20.4 52.1 19.6 52.5 19 52.3 18.5 52.7 18.1 53.6 17.5 54.3 16.1 55.1 14.5 56.3 13.2 57.4 11.7 58.9 11 59.1 10.4 58.7 9.4 58.4 8.8 57.9 9.8 55.4 11.1 52.7 11.5 51.4 11.5 50.5 11.4 49.7 10.9 48.9 10.4 48.3 10.5 47.5 11 46.8 11.7 45.8 12.3 43.8 13 41.6 13 40.3 12.4 38.9 12.1 37.5 12.3 35.7 12.2 34.9 11.6 34.6 9.5 34.2 8.8 34.3 7.7 35 7 35.3 5.7 35.5 4.4 34.9 3.4 33.8 3.1 32.5 3.9 30.9 4.4 29.7 4.8 28.6 4.5 27.5 3.5 26.8 2.9 25.6 2.3 25.1 1.7 25.2 1.1 25.6 0.7 26.4 0 26.6 0.1 25.9 0.2 25.2 0.8 22.7 1.5 21 2.4 20.2 3.3 19.9 4.2 20 5 19.9 5.7 19.5 4.8 19.2 4.7 17.9 5.5 17.1 6.1 16.3 6.5 14.8 7.1 14.1 7.8 14.1 9 13.5 10.7 12.3 11.4 11.1 12 11.6 11.8 13 12.3 13.8 12.2 14.5 12.4 15.2 13 15.6 14.8 15.1 15.9 15 16.4 15.4 17.3 15.8 18 16 18.6 15.4 18.4 14.5 17.9 14.1 17.9 13.1 18.1 11.5 18.2 10.6 18.1 8.6 17.6 7.3 16.6 6 16.3 5.3 16.1 4.5 15.8 3.4 16.2 2.6 16.8 2 17.1 1.1 17.3 0.4 18.1 0 19.2 1.3 20.4 0.7 21.3 0.7 22 1Z' },
+  lb: { viewBox: '0 0 76.8 100', path: 'M39.6 77.9 38.1 79 35.3 81.8 32.6 84.1 27 87.7 25.7 89.8 24.5 87.9 22.1 89.2 20 97.3 15.8 100 10.4 99.8 6 99 0 99.5 2.4 94.8 4.9 88.7 7.4 80.4 11.8 73.5 20.9 50.1 26.2 40.6 28.1 27 36.2 15.2 42.3 11.7 45.2 8.3 45.2 3.1 54.2 3.2 60.1 2.9 61.8 0 66.4 1.3 68.9 4.1 66.6 7 63.4 10.4 63.6 11.3 66 11.5 70.1 13.4 72.6 15.5 76.8 28.7 74.2 34.2 70.2 39 68.4 39.5 64.8 41.9 61.9 45.2 60.8 47.2 61.1 49.2 65.3 51.6 65.4 52.6 64.5 53.4 61.1 52.8 56.7 52.6 54.2 52.6 51.2 53.1 47.4 56 45.7 58 44.8 59.3 43.4 63.3 44.9 66.1 47.8 67.6 48.2 68.4 47.5 69.8 44.7 71.6 42.6 73.7 42 75.9Z' },
+  lc: { viewBox: '0 0 48.5 100', path: 'M46.2 72.2 31.6 100 3.2 82.6 0 60.6 2.5 47.4 19.8 22 33.4 5.5 42.9 0 48.5 21.9Z' },
+  li: { viewBox: '0 0 41.8 100', path: 'M32.1 100 7.3 97.5 2.6 97.7 0 81.2 1.5 46 15.3 0 18.2 7.5 19.9 17.2 22.8 27.4 24.4 40 29.5 52.8 38.8 65 41.8 76.7 37.1 91.3Z' },
+  lk: { viewBox: '0 0 56 100', path: 'M7.1 0 9.5 0.1 12.2 0.1 14 0.4 17.2 4.4 25.9 11.6 30.6 18.9 31 20.5 31.7 21.9 32.8 22.2 33.7 22.9 38.4 29.9 39 31.3 38.9 32.8 39.2 33.9 40.4 34.5 41.9 34.8 42.9 35.9 44.2 41.5 44.2 43.2 44.6 44 50.5 52.7 50.8 53.7 50.8 54.5 50.9 55.2 52.1 56.7 53.9 60.9 54.8 61.8 55.9 65.5 56 72.4 55.6 75.4 54.4 79.2 53.1 82.9 51.7 85.5 49.8 87.7 43.1 92.5 41.2 93.4 32.6 96.4 26.2 99.2 20.3 100 14.4 98.4 10 94.8 7.7 89.3 6.2 83.6 3.9 77.3 2.2 57.8 1.3 52.3 0 45.3 0.1 42.3 1.1 39.4 1.1 45.8 2 46.6 2.6 45.8 3.2 39.2 3.7 36.4 6 29.1 6.1 27.8 5.7 25.1 5.7 23.7 9.2 18.6 10.1 15.7 10.6 12.6 10.4 9.4 9.8 6.1 12.6 7.2 14.2 8.3 15.8 9 17.1 8.7 18.6 8.7 17.5 6.9 14.2 5.3 8.8 4.3 7 3 6.4 1.9 6.7 0.6 7.1 0ZM6.7 4.7 5.1 5 3.8 3.3 3.5 2.6 3.9 2 4.6 1.9 5.2 3.5 6.7 4.7ZM4.3 19.8 5 21.8 2.9 20.4 1.5 19.3 1 18.4 3.9 19.4Z' },
+  lr: { viewBox: '0 0 98.1 100', path: 'M72.2 23.5 73.3 24.5 74 27 76.7 35.1 76.6 37.3 76 38.7 76 40.2 75.8 41.6 74.2 43.9 69.4 48.6 70.9 49.5 72.1 49.8 73 49.7 74.3 50.9 75.6 52.3 76.9 53.1 78.9 53.8 80.7 53.9 82.1 53.6 84.2 53.9 86.4 55.1 87.2 57.1 87.8 58.9 88.5 59.8 88.7 61.3 90.2 62.6 92.5 62.9 95.4 64.5 96.1 64.4 96.8 64.5 97.6 69 98.1 71.4 97.8 72.4 97.4 73.2 97.4 76.8 96.1 78.9 95.9 81.2 95.5 82 94.1 82.6 94.1 84.4 93.7 86.5 93.6 88.8 93.9 94.7 94 99.2 94.7 100 91.9 99.6 83.8 96.3 77.6 94.3 56.7 83.3 51 78.8 44.3 72.2 29.4 58.9 26 56.7 21.7 55.7 19.1 54.5 17.2 53.3 15.7 49.6 12 47.4 5.2 44.3 0 39.1 1.3 38 3.1 34.6 5.7 31.3 8.2 29.3 10.1 27.3 12.1 25.8 15 24 19.5 19.2 20.5 18.7 21.3 15.4 22.4 11.2 23.7 9.9 26.7 9.1 27.4 8.4 28.5 5.4 29.2 2 29.2 1.3 30.4 1.2 32.5 0.4 33.7 0.8 34.2 1.8 34.5 2.6 40.7 0.4 41.2 0 42.3 2 43.1 1.3 44.1 1.5 44.5 2.4 45.3 3.3 46.7 3.8 47.5 4.6 47.4 6.7 47.8 8.7 48.3 9.1 48.6 10.3 48.8 11.6 49.1 12.3 49.4 13.7 49.2 15.1 49.5 16.1 50.5 17.8 51.1 20 51.1 21.5 50.7 23.2 50.1 24.6 48.9 26.2 48.8 26.9 49.5 27.3 50.5 27.4 51.4 27.1 53.6 27.8 54.8 28.9 55.8 30.2 56.7 30.8 57.1 31.7 58.6 31.4 60.5 30.6 61.4 30.5 62.5 30.5 63.4 29.1 64 27.5 65.4 25.7 66.1 25 66.3 23.8 66.4 22.4 66.9 21.1 68 20.4 69.3 20.4 70 20.6 70.3 21.9 71.3 22.8Z' },
+  ls: { viewBox: '0 0 99.2 100', path: 'M71.4 73.6 67.6 74.8 64.6 74.6 61.4 74.9 58.8 75.6 56.8 75.8 53.6 79.3 47.7 88.6 46.1 90.6 45.7 94.3 44.3 97.2 42.6 99.4 41 100 36 99.1 29.7 97.9 26.1 95.1 22.8 91.4 21.1 88.7 19.3 87.2 18.7 86.4 16.1 85.1 15.1 84.5 14.3 84 13.2 82.2 12.6 80.7 12.9 76.3 11.1 73.8 8 69.4 6 65.8 3.3 60.8 1.7 56.6 0 52.3 0.2 50.4 1.8 49.1 6.6 46.9 10.3 45.2 12.9 42.2 15.8 37.5 17.2 34.8 18.6 33.5 20.2 31.5 22.8 27.2 25.8 22.4 29 17.3 33 15.8 38.5 14 43.8 9.5 50.1 5.8 60.2 1.6 64.9 0.6 66.7 0 67.9 0.8 69.1 3.1 70.8 5.1 74.8 8.5 76.5 9.4 80.6 14.4 85.1 17.9 90.1 21.9 93.6 23.9 95.4 24.5 96.8 28 98.3 30.7 99.2 33.2 99 35.6 97.4 41.5 95.1 47.6 93.2 50.1 90.9 51.7 88.6 54.1 87.8 58.9 86.8 64.7 83.8 67 81.6 68.6 78.4 70.5Z' },
+  lt: { viewBox: '0 0 100 74.9', path: 'M96.9 22.6 96.9 24 96.4 26.2 95.6 29.2 94.8 31.5 94.6 32.3 95.2 33.1 98.4 33.4 99.7 33.8 100 34.4 99.3 35.2 98.3 35.8 97.8 36.5 97 38.7 91.8 38.4 91.1 38.8 90.7 39.9 90.5 41 89.8 42.4 88.4 43.6 86.2 44.1 84.4 44.9 83.1 47.5 82.1 50.8 82.1 53.2 82.2 54.6 82.1 55.4 81.4 56.2 80.3 58.4 79.4 60.8 79.1 62.1 79.3 62.7 80.3 62.8 81.7 63.3 82.5 64.2 82.8 65.4 82.8 66.6 82.5 67.2 81.4 67.7 79.5 67.7 78.5 67.1 78.8 65.5 78.4 64.1 77.6 63.3 76.1 64.5 74.6 64.5 72.8 65.6 71.7 67.3 70.6 67.9 67.6 67.6 66.8 68.3 66.2 71.8 65.8 72.5 63.3 72.3 60.9 73.7 58.2 74.9 56.8 74.1 56 73.2 54.5 73.4 52.9 73.7 51.8 73.5 50.6 73.6 48.2 74.3 45.2 74.1 44 73.5 43.9 71.6 43.9 69.5 43.4 67.6 42 66 40.5 64.8 38.6 63.6 37.2 63.1 36.4 63 36.3 62.3 36 61.7 35.3 61.2 33.9 60.5 32.7 60.3 31.8 61.4 31 60 30.3 57.5 30.4 55.4 30.8 53.4 32.9 47.3 32.7 46.3 31.2 44.6 29.4 43.4 28.4 40.8 24.6 40.6 21.1 40.8 19.9 40.7 16.6 39.6 13.3 37.8 11.1 36.8 9.3 35.6 8.3 34.4 6.7 34.7 5.7 34.7 5.1 32.3 5.7 29 4.6 24.1 2.7 18.2 2.6 11.9 2.5 10.4 7 6.8 12.8 3 14.1 2.6 19.4 0.3 20.1 0.1 24.9 0.6 28.7 1.1 31.9 1 33.6 0.5 35.2 1 36.4 2.7 37.8 2.5 39 1.4 46.1 2.4 47.7 2.4 49.5 2.5 52.9 3.6 54.8 4.5 59 3.9 60.8 3.9 61.7 3.5 64.6 0.9 65.9 0.5 67 0 68.1 0.4 68.8 2.6 70.9 6.4 73.3 7.1 79.7 8.6 81 9.4 84.7 12.7 86.8 14.4 88.2 15.7 90.3 18.2 91.5 20.1 93.6 21.5 96 22.4 96.9 22.6ZM1 34.2 0 34 1.9 30.6 2.7 28.3 3.2 25.1 3.7 24.1 3.7 25.6 3.5 28 2.2 32.1 1 34.2Z' },
+  lu: { viewBox: '0 0 68.9 100', path: 'M35.1 6.5 34.4 10.2 34.5 18.5 37 26.9 43 35.1 47.6 41.1 53.8 45.8 64.2 50.3 68.3 51.3 68.9 57.4 68.1 63.8 64.5 67.4 61.1 72.5 58.6 78.8 55.9 90.7 55.5 99 49.5 95.6 46.4 93.3 40.9 92.6 35.4 94.5 31.3 98.7 25.7 100 21 98.7 18.3 95.6 15.8 93.9 8.8 91.8 5.8 87.2 8.1 85.1 10.1 81.7 11.8 76.9 13.9 72.6 7.1 60.4 5.6 56.7 0 49.9 0.1 46.5 1.4 43.2 0.9 40.6 1.7 34.5 5.7 28.7 8.3 21.5 12.7 11.8 22.5 0 29.6 1.8 32.7 1.8 34.5 6.1Z' },
+  lv: { viewBox: '0 0 100 60.9', path: 'M88.2 14 89.8 14.1 90.4 14.5 90.8 16.5 92.6 18.1 94.4 19.4 94.8 20 94.9 21.2 94.8 22.5 94.6 23.2 93.9 24.1 93.3 26.1 93.2 28.1 92.2 31.4 94.5 30.9 95.1 31.2 95.5 32 95.7 34.1 96.4 35 97.1 36.5 97.3 37.7 98.6 39 98.7 39.9 99.5 43 99.9 44.8 100 46.2 99.6 47.9 99.2 49.1 97.6 49.4 95.7 50.8 92.9 54.1 92.2 54.9 91.5 57.4 89.7 57.5 87.6 57.5 84 56.9 82.6 57.3 80.8 59.9 80.1 60.2 78 60.6 76.9 60.8 74.9 60 73.3 58.8 72.3 57.3 70.6 55.2 69.4 54.2 67.6 52.8 64.7 50.1 63.6 49.4 58.3 48.2 56.4 47.7 54.7 44.6 54.1 42.7 53.2 42.4 52.3 42.8 51.3 43.2 48.9 45.3 48.1 45.6 46.7 45.6 43.2 46.1 41.6 45.3 38.9 44.5 37.5 44.3 36.1 44.3 30.3 43.5 29.3 44.4 28.2 44.6 27.2 43.2 25.9 42.8 24.5 43.3 21.9 43.3 18.8 42.9 14.9 42.5 14.3 42.7 10 44.5 8.9 44.8 4.2 48 0.4 50.9 0 46.2 0.2 36.7 0.8 32 3.4 29.2 4.7 27.1 5.4 24.2 5.7 21.5 6.2 19.3 9.9 12.8 12.9 12.1 16.9 10.4 21.4 8.9 22.3 10.8 22.7 12.2 28.1 17.5 29.5 19.2 31.6 25.2 36.6 28.3 40.6 27.3 42.3 25.8 45.4 23.1 46.9 21.1 47.1 19.2 46.6 10.9 45.7 7.3 46 5.1 46.6 5.2 47.9 4.1 52.3 2.1 53.2 2 54.2 1.5 57 0 57.9 0.8 58.6 1.8 59.2 1.4 59.4 0.4 60.2 0.6 63.4 3.2 64.6 3.8 65.5 3.9 66.5 5.1 69.2 5.9 69.6 6.5 69.8 7.3 72.4 10.5 73.5 12.1 75.8 13.5 76.8 13.9 80.8 12.4 81.9 11.9 82.8 11.9 83.7 12.6 85.9 13.7 87.8 14Z' },
+  ly: { viewBox: '0 0 100 96.2', path: 'M100 11.4 99.4 12 98.6 13 98.1 13.7 98.2 14.7 98.3 15.7 98.6 16.7 98.9 17.8 98.8 18.5 98.6 19.4 98.3 20.1 97.3 21.7 97.2 22.5 97.8 24.3 97.9 24.9 98.2 26.6 98.5 28 98.9 29.1 98.9 31 98.9 32.6 98.9 34.2 98.9 35.8 98.9 37.4 98.9 39 98.9 40.6 98.9 42.2 98.9 43.8 98.9 45.4 98.9 46.9 98.9 48.5 98.9 50.1 98.9 51.7 98.9 53.2 98.9 54.8 98.9 56.4 98.9 57.9 98.9 59.5 98.9 61 98.9 62.6 98.9 64.1 98.9 65.7 98.9 67.2 98.9 68.8 98.9 70.3 98.9 71.8 98.9 73.4 98.9 74.9 98.9 76.4 98.9 77.9 98.9 79.5 98.9 82.8 98.9 86.2 98.9 89.5 98.9 92.9 97.3 92.9 95.7 92.9 94.2 92.9 92.6 92.9 92.6 93.7 92.6 94.6 92.6 95.4 92.6 96.2 89.6 94.7 86.6 93.1 83.5 91.5 80.5 89.9 77.5 88.3 74.5 86.7 71.4 85.1 68.4 83.6 65.4 82 62.4 80.4 59.3 78.8 56.3 77.2 53.3 75.5 50.3 73.9 47.2 72.3 44.2 70.7 42.1 69.6 39.9 70.7 38.1 71.5 35.8 72.7 33.1 74.1 31.1 75.2 28.7 73.3 27.1 71.8 26.3 71.4 23.2 70.6 20.1 69.9 16.8 69.1 16.2 67.9 15.5 66.5 14.6 64.8 14.1 63.8 11.4 62.8 8.7 62 7.1 62.5 6.4 62.1 5.7 61.1 5.1 60.3 4.5 58.5 4.5 57.1 3 54.6 1.7 52.7 0.9 51.5 0.7 50.9 0.8 50.2 1.1 49.6 2.4 48.9 3.5 48.1 3.6 47.5 3.7 46 3.3 45.5 3.1 44.6 2.8 43.4 2.8 42.6 3.3 41 3.8 39.4 3.5 37.5 3.2 33.8 3.4 30.9 3.2 29.9 2.7 28 2.3 26.6 1.5 25 0.5 23.5 0 22.6 0.7 22.2 1.3 21.8 2.1 21.4 3.1 21 3.7 20.7 4.7 19.3 5.1 18.6 5.7 17.8 6 17.2 5.9 15.9 5.4 14.3 5.1 12.8 5.4 12.2 6.1 11.1 7.4 10.8 7.8 10.3 8.1 9.7 8.7 9 9.6 8.2 10.7 7.5 11.7 6.9 12.9 6.3 13.9 5.7 14 4.9 13.5 4 13.5 3 13.6 2.1 13.8 0.2 14.8 0.5 15.8 0.7 18.7 2.4 19.7 2.6 21.7 2.9 24.2 2.1 25.1 2 26.7 2.7 27.4 2.9 28.6 2.9 30.6 3.5 32.3 4.7 37 5.9 37.6 6.5 38.2 7.6 38.2 9 38.5 10 39.1 11.4 39.7 12.3 40.4 13.1 41.2 13.5 43 14.2 45.1 14.5 47.2 14.6 50.8 15.6 53.8 16.7 54.5 17.3 56.1 17.8 59.1 20.5 60.8 21.4 62 21.5 63 21.4 64.9 20.5 65.7 19.9 67.6 17.6 68.2 16.5 68.4 15.6 68.4 14.7 68.1 14 67.6 13.2 67.2 12.1 67 10.2 67.3 8.8 67.7 8 68.3 7.2 69.8 5.6 71.4 4.5 74.2 3 75.8 3 76.5 2.9 77.8 1.8 78.4 1.8 79.1 2 81.3 2 82.3 2.3 83.4 2.9 84.9 3.3 85.9 3.7 87 4.2 87.2 5.5 87.1 6.4 88.2 7.2 91.5 7.6 92.1 7.9 93 8.5 93.6 8.7 95.8 8.8 97.1 8.7 98.3 8.9 99.2 9.7 99.8 10.9Z' },
+  ma: { viewBox: '0 0 100 80.1', path: 'M90.5 8.3 90.7 9.1 91.2 9.7 92.9 11 94 11.9 93.7 12.8 93.8 13.8 94.4 14.4 94.3 15.1 94 15.7 94.7 17.6 94.8 19.5 94.6 20.8 94.6 21.5 94.7 22.2 95.3 23.6 94.9 26.1 95.4 27.4 96 28.5 96.3 30.4 96.8 31.3 97.6 32.1 99 33 99.6 33.6 100 34.4 99.2 35.1 98.6 35.7 98.4 36.3 98.7 37.4 98.3 38.1 96.6 38 95.3 38 93.8 37.9 91.7 37.8 90.4 37.8 88.6 37.7 86.3 38 85.2 38.2 84.6 38.5 84.3 39.3 84.1 40.2 80.4 41.8 79 42 78.2 41.9 77.2 42.2 77 43.1 77.1 43.7 77.5 44.4 77.5 45.1 77.2 46.1 77.1 46.7 77.7 47 78.5 47.5 78.9 48 78.9 48.6 78.2 49.1 76.9 49.3 75.9 49.4 74.5 50.4 73.1 51.5 71.4 52.2 70.7 52.4 69.3 52.9 67.8 53.7 67 55 66 56.5 65.1 57.6 63.8 58.5 62.6 58.9 61.1 59.4 59.2 59.7 57.9 59.8 56.3 59.9 55.3 59.8 55 60.7 54.6 61.9 54 62.2 53 62.1 52.2 61.9 50.2 61.7 49.1 62.2 48.1 62.9 47.5 63.6 45.8 64 43.2 65.9 40.6 67.7 39.9 68.2 39.5 68.7 38.1 69.7 37.3 70.2 37.1 71.1 37.1 72.5 37.1 73.9 37.1 75.9 37.1 77.8 37.1 80.1 36 80.1 0 80.1 1.1 79.1 1.9 77.7 3.2 77.1 5.9 76.8 9.8 75.7 13.4 74 14.4 73.4 15.5 72 17.3 70.2 20.7 68.1 22.2 67 24.6 64 26.1 61.5 27.5 59.9 28.4 58.5 29 57.1 29.3 54.8 29.1 53.9 28.1 52.4 27.4 52 27.3 51.3 27.6 50.1 27.6 47.9 27.8 44.5 28.9 41.8 31.6 38.1 32.1 36.6 32.4 34.2 32.5 33.4 35.8 30 37.8 27.4 38.5 26.7 40.3 25.5 46.4 22.9 49.8 21 51.8 19.7 53 18 56.3 11.6 59.6 2.5 59.9 1.5 61.3 1.2 62.4 1 63.2 0.7 64.2 0 65.2 0.3 64.7 0.7 64.7 1.9 65.4 3.2 66.6 4.7 68.9 6.6 70.6 7.3 73 7.8 75.9 6.9 77.5 6.9 78.3 6.6 79.2 7.1 80.8 7.3 82.3 7 83.5 6.2 84.3 5.3 84.4 6.2 85.1 7.7 86.2 8 87 8.3 88.8 8.1Z' },
+  mc: { viewBox: '0 0 100 88.9', path: 'M100 46.2 0 88.9 4.1 39.8 28.7 12.9 60.2 0 97.1 21.6Z' },
+  md: { viewBox: '0 0 79.4 100', path: 'M36 100 34.9 98 33.7 96.2 32.9 95.2 34.2 94.3 34.8 93.7 34.8 91.5 34.3 89.1 33.8 87.9 33.8 86 33.5 83.1 33.9 77.8 35.7 71 36.7 67.6 36.3 65.7 36.6 61.4 35.8 59.2 34.6 56.4 32.8 50.2 30.6 48.1 27.9 45.7 26.8 44 26 42 24.4 40 22.5 38.2 20.3 33.7 19.1 31.7 16.2 28.3 14.9 25.6 14.2 23.5 13.8 21.5 12 17.5 10.4 14.6 8.9 12.4 8.2 10.9 6.4 9 3.8 7.5 2.1 7.3 0 7.4 0.5 6.2 5.2 3.1 6.4 3.6 8.8 3.7 13.8 3.6 16.2 1.5 17.7 2.1 19 1.2 21 0 21.6 0.4 24.8 1 27.2 2.1 28.7 3.8 30.4 4.9 32.1 5.3 33 6.2 33.2 7.5 34.8 8.1 37.8 8.1 39.1 9 38.6 10.7 38.9 11.3 40 10.7 40.8 11.2 41.2 12.5 41.7 13.1 43.2 11.1 44.8 11.3 48.7 12.1 50.8 16.3 52.1 17.8 53.2 18.4 54.7 17.8 55.9 17 56.7 17.4 58.2 20.1 58.6 23.7 58.6 25.2 58 27.6 57.2 30.2 56.6 31.9 56.9 33.3 57.4 34.4 58.4 34.8 61.4 37.1 62.5 38.7 64.1 39.8 65.4 39.9 66 40.5 66.2 41.4 66.1 43.4 65.4 45.3 65.5 46.5 66.6 48 66.7 49.6 66.8 50.7 67.3 51.5 70.1 53.4 73.7 55.2 74.6 56.7 75.1 58.6 75 61.9 74.7 64.7 79.4 68.5 78.9 69.2 78.1 70 73.7 70.5 72.8 70.8 70.8 68 69.8 67.6 68.9 68.7 67.7 69.3 66.4 69 64.9 68.1 64.2 67.5 63.6 67.4 62.7 68 61.5 67.8 60.7 67.1 59.6 69.5 58.9 70 58.4 65.8 58 65.2 57.1 65.1 55 66.1 52.9 67.3 52.2 68.4 52.3 70.5 52.6 72.9 54 76.5 53.2 78.1 52.6 80.6 50.4 83 47.9 84.3 47.7 87.1 46.3 88.9 43.9 90.8 42.3 93.1 42.7 94.6 42.8 96.1 42.6 97.1 42.5 97.8 41.9 98.2 38.2 98.5 37.2 98.9Z' },
+  me: { viewBox: '0 0 84.2 100', path: 'M33.4 0.6 33.3 1.3 33.5 3.5 34.5 5.6 38 7.8 43.1 12.1 49.1 20 51.9 22.3 54.4 22.9 59.3 26.1 62.6 26.9 66.4 27.8 76.3 34.6 80.7 36.6 83.9 39.1 84.2 41.5 84.1 43 78.4 44.8 77.4 47.4 74.6 47.1 71.3 47.1 70.2 48.8 71.8 51.5 72.8 54.8 72 59.2 71.7 59.8 70.9 59.6 66.2 62.2 62.7 63.4 59.6 64 58.1 62.8 57.3 61.1 57.5 56.2 56.9 54.6 55.8 53.8 53.7 54.9 51.2 58.7 48.8 63.1 45.3 67.6 42.4 72 39.3 77.5 37.2 82.1 39.4 84.6 40.8 88.2 40.4 90.8 40.7 92.4 40.1 97.1 39.9 100 33.1 95.3 30.2 88.7 20.2 77.5 8.7 69.9 8.1 68.7 8.7 67.2 9.2 66 6.8 65.9 5.2 66.9 3.6 66.6 1.8 63.7 0.1 61.2 0 59.1 0.8 58.8 1.9 57.9 4.3 55.5 4.8 54.2 4.7 52.2 1.3 46.1 0.8 42.1 0.3 34.6 1.1 32.8 2.3 32 8.2 31.1 8.2 25.2 8.5 23.5 9.7 21.1 10.5 18.8 13.8 15.7 18.3 11.9 20.2 11.7 22 12.3 23.9 15.5 26 15.1 26.5 11.2 23.7 6.1 22.2 2.8 22.7 1 23.7 0 26.1 0.6 28.4 1.5 29.8 0.9 32.1 0.4Z' },
+  mf: { viewBox: '0 0 100 42.6', path: 'M98.4 42.6 0 42.6 7.2 22.6 53 0 86.5 1.9 100 10Z' },
+  mg: { viewBox: '0 0 50.9 100', path: 'M44.2 2.5 44.5 3.3 44.9 4 46.1 5.7 46.6 6.4 47 7.1 47.2 8.5 48 10.7 48.7 14.1 48.9 17.5 49.1 19.1 49.7 20.5 50.6 22.1 50.9 23.8 50.3 25.6 49.5 27.2 48.9 28 48.1 27.5 47.6 26.8 46.9 25.2 46.7 24.3 45.7 24.3 45.1 24.8 45.1 26 45.3 26.9 45.4 27.7 45.4 28.8 46 29.4 46.3 30.1 46.3 31.8 46.1 32.6 45.6 33.4 45.8 34.2 44.9 34.8 44.2 35.8 43.6 37.3 43.5 38.1 43.9 40.5 43.8 42.1 43 45.4 42.5 46.9 41.9 48.7 40.8 51.1 39.8 54.2 39 57.3 38.4 59.2 37.7 61.1 36.7 64.4 35.9 67.8 34.6 71.5 32.9 75.7 32.4 78.3 32 80.2 31.6 82 30.6 85.1 30.5 86 30.3 86.9 29.4 88.8 29 89.6 28.7 90.3 28.5 91.3 28.3 92.2 27.6 93.9 26.6 95.4 25.9 96 24.4 96.7 23.7 96.9 22 96.9 20.4 97.4 18.8 98.2 17.1 99.2 16.5 99.7 15.8 99.9 13.7 100 13.1 99.8 11 98.2 10.1 97.9 8.6 97.7 7.7 97.3 7 96.5 5.8 95.8 5.3 95.1 5.2 94.5 4.8 93.9 4.6 92.8 4.2 92 3 90.6 2.8 88.7 2.8 87.7 2.7 85.9 2.9 85.1 3.3 84.3 3.1 83.5 2.7 82.6 2.5 81.7 2.2 80.9 1 79.4 0.7 78.7 0.5 77.9 0.1 75.6 0 74.8 0.1 73.1 0.2 72.2 0.5 71.6 0.8 70.7 1.3 70 1.7 67.8 2.3 67.4 3.1 67.1 3.8 66.5 4.2 65.7 4.6 64.2 5.7 62.6 6.1 61.8 6.9 60.5 7.7 58.8 7.9 58 8.1 57.1 8.3 55.3 8.4 54.4 8.4 53.4 7.9 52.5 6.9 50.8 7 49.3 6.9 48.4 6.5 47.5 6 46.6 5.5 45 5.3 42.4 5.3 41.5 5.2 40.6 4.8 39.8 5.1 38.4 8.2 33.4 8.3 32.8 8.2 31.3 8.2 30.4 8.6 29.9 11.6 29.5 12.6 29 13.4 28.1 14.2 28 14.7 28.5 15.7 28.2 16.5 28.2 16.8 27.4 17.2 26.9 18.5 26.8 19.3 26.7 20.4 26.4 21.5 27.6 22.1 27.7 21.7 26.9 21.6 26.2 22 25.4 22.7 24.7 24.1 23.8 25.5 22.7 26.3 22.8 26.6 24.1 27.3 23.6 27.1 22.8 27 22.1 27.7 21.3 28.3 20.6 28.6 19.7 29.4 18.9 29.8 19.7 29.5 20.5 29.7 21.1 30.5 20 31.1 19.2 31.8 18.4 32.5 18.5 33.1 18.6 32.1 17.7 31.8 16.5 33.1 14.3 33.3 13.7 32.7 12.8 32.7 11.9 33.3 11 34 11.1 34.7 11.7 35.8 11.2 36.2 10.5 37 10 37.8 9.7 39 8.5 39.8 6.1 39.9 5.4 39.7 4.6 39.4 3.8 38.9 2.8 39.7 2.7 40.7 1.7 41.9 0 42.6 0.3 43 1.1 43.8 1.9 44.2 2.5ZM35.8 9.2 34.9 9.3 34.7 8.4 35.3 8 35.9 8.8ZM47 34.8 46.2 36.2 46.4 35.1 47.4 33.4 47 34.8Z' },
+  mh: { viewBox: '0 0 91 100', path: 'M0.8 0.3 0 0.3 0.8 0ZM36.8 72 34.8 72.1 33.9 71.8 35.4 71.8 36.8 72ZM78.9 75.2 81.2 76.1 84.3 75.7 82.7 76.3 81.9 76.5 80.8 76.4 78.8 75.7 77.7 74.9 78.9 75.2ZM87.7 76.9 88.4 77.3 89.8 77.2 91 78.3 89.9 77.8 89.3 77.6 88.4 77.6 87.7 76.9ZM51.7 99.4 51.4 100 51.6 99 52 97.3 52.9 96.7 53.6 96 53.4 96.8 52.4 97.5 51.7 99.4Z' },
+  mk: { viewBox: '0 0 100 78.6', path: 'M74.1 2.3 80.2 10.2 83.5 13.3 87.3 15.7 91.8 17.5 93.4 19.2 96.2 27.4 97.6 30.6 99.5 31.5 99.9 32.4 100 33.6 97.9 39.4 97 52.4 96.5 53.4 94.3 53.4 91.3 53.7 90.2 54.7 89 61.6 84.3 63.6 80 64.7 76.3 64.5 70 62.8 67.9 62.6 66.1 63.6 60.4 64.1 57.9 65.3 52 73.4 46.1 76.2 44.1 77.6 39.5 75.8 37.4 75.6 34.2 77.7 27.3 77.9 25.5 78.3 20.2 78.6 20 77.5 19 75.8 16.5 75.1 11.4 75.7 10.2 74.5 8.1 67.7 6.5 66.6 4.7 64.2 1.6 56.8 1.5 53.5 1.7 50.6 0 43.8 1.1 42.1 2.6 41 2.7 38.3 2.2 34.2 4.1 26 4.6 25.4 5.1 25.8 9.6 26.5 10.8 25.5 11.6 23.8 11.8 17.9 12.9 15.1 23.9 9.8 27.1 9.6 29.6 12.1 31.6 13.6 32.8 13.6 33.2 12 34.5 9 36.8 7.3 43.5 5.8 45.7 6.1 50.5 4.8 53.4 2.9 54.9 2.6 56.9 1.9 59.8 2 62.7 2.8 66.4 1.7 70 0 71.5 0.4 73.1 1.9Z' },
+  ml: { viewBox: '0 0 100 94.1', path: 'M100 38 100 39.2 100 40.8 100 42.7 100 44.4 100 46.4 100 47.9 100 49.8 100 51.6 99.7 52.9 99.7 54.2 99.3 55.6 98.7 56.7 98.4 57.7 98 58.5 97.8 59.4 96.8 60.1 95.7 61.1 95.6 61.9 94.3 61.7 92.9 61.5 92.5 62 90.6 62.1 89 62.1 87 62.2 85.6 62.2 83.9 62.3 82.2 62.4 81.1 63.3 80.2 64.2 78.7 64.4 77 64.3 76.1 64.3 74.4 64.2 72.9 63.8 71.9 64 71.1 63.6 70.3 63.7 68.9 64.5 68.2 65.1 67.1 65.6 65.3 66.5 64.3 67.1 63.7 67.3 63 67.4 62.4 67.5 61.9 69.1 59.5 68.6 58.7 68.9 57.5 69.9 57 70.6 56.6 71.7 56.7 72.3 56 72.6 55 72.4 54.6 73 54.6 74.1 54.4 74.8 53.8 75 53 75.4 51 74.2 49.8 74.2 49.2 74.6 48.6 75.3 48.1 75.8 48.6 76.7 48.8 77.3 47.2 78.6 47.6 79.1 47.6 79.7 47.5 80.6 46.8 81.3 46.3 82 45.3 82.5 44.3 82.7 43.4 82.9 42.7 83.4 42.3 84.2 42.4 85 42.7 85.6 42.6 86.5 42.3 87.6 41.5 88.3 41.2 89.3 41.3 90.2 41.2 91 41 92 39.9 92.3 39 92.6 38.6 93.1 38.1 93.5 37.3 93.7 36.6 93.4 36.9 92.7 36.7 92 36.6 91.3 36.5 90.6 35.8 90.7 35.6 91.5 34.6 91.4 34.1 90.9 33.8 91.8 34 92.6 33 92.8 32.3 92.9 32.2 93.7 31.7 94.1 30.9 93.6 29.8 93.4 29.2 92.6 28.6 92.4 28 92.3 27.4 92.9 27 93.5 26.2 94 26 93.2 24.5 92.3 24.1 91.2 24 90.4 24.1 89.5 23.9 88.9 23 88.5 22.5 88.9 21.9 88.8 22.5 87.7 23.1 87.1 23.5 86.6 22.5 85.9 21.9 85.7 21.6 85 20.9 84.7 21 83.9 21 83.2 20.4 82 20.2 81.3 19.9 80.6 19.1 79.9 18 79.7 17.8 80.4 17.7 81.1 16.9 81.3 16.3 81.6 15.5 82.4 13.7 82 12.8 81.6 12.1 81.4 11 81.8 10.2 82.8 9.7 83.3 8.9 82.5 8.5 81.8 7.7 81.4 7 82.1 6.5 82.5 5.9 82.6 5.2 82.1 4.7 81.5 5 80.7 5.4 80.2 5 79.4 5.1 78.8 5.2 77.9 5.4 76.9 4.8 76 4.4 75.5 4.2 74.7 3.7 74.2 3.1 74.3 2.4 74.3 2 73.4 1.4 72.6 1.8 71.7 1.9 71.1 1.6 70.5 1.6 69.1 1 68.3 0.3 67.5 0.4 66.8 0 65.3 1.1 65.7 1.6 65.3 2.1 64.8 2.5 64.2 2.7 63.3 2.7 62.6 2.9 62 3.7 60.9 4.7 60.2 5.5 60.8 6.7 61.9 7.7 62.7 8.1 63.2 8.9 62.4 9.4 61.7 10.3 61.4 11.3 61.4 12.2 61.5 13 61.7 14.2 61.8 15.3 61.6 16.4 61.4 17.2 61.3 17.2 60.5 17.7 59.9 17.8 60.9 18.8 61 19.9 61 21.2 61 22.4 61 23.6 61 24.9 61 26.1 61 27.4 61 28.6 61 29.8 61 31.1 61 32.3 61 33.5 61 34.8 61 36 61 37.2 61 38.5 61 39.7 61 41 61 41.3 59.2 41.6 57.5 41.9 56.1 41 55.1 40.3 54.3 40.1 52.8 39.9 51.2 39.8 49.7 39.6 48.1 39.4 46.5 39.2 45 39.1 43.4 38.9 41.8 38.7 40.2 38.6 38.6 38.4 37.1 38.2 35.5 38 33.9 37.9 32.3 37.7 30.7 37.5 29.1 37.4 27.5 37.2 25.9 37 24.3 36.8 22.7 36.7 21.1 36.5 19.5 36.3 17.8 36.1 16.2 36 14.6 35.8 13 35.6 11.4 35.5 9.7 35.3 8.1 35.1 6.4 34.9 4.8 34.8 3.2 34.6 1.5 34.4 0 36.3 0 38.3 0 40.2 0 43 0 45.2 0 47 1.3 48.7 2.5 50.7 3.9 52.6 5.3 54.6 6.7 56.6 8.1 58.6 9.5 60.6 10.9 62.6 12.3 64.5 13.7 66.5 15.1 68.5 16.5 70.5 17.9 72.5 19.3 74.5 20.7 76.4 22.1 78.4 23.5 80.4 24.9 81.3 25.5 81.5 26.3 81.4 27.3 82.2 28 84.1 29 84.3 29.6 85 30.4 86 30.8 87.8 31 88.9 32.2 90.5 32.6 91.4 32.8 92.5 33.1 93.3 33.5 93.8 33.9 93.7 35.4 94.1 36.3 93.7 37 93.4 37.6 93.2 38.3 94.1 38.9 94.7 39 96.7 38.7 98 38.4Z' },
+  mm: { viewBox: '0 0 45.4 100', path: 'M45.4 38.7 44.3 39.8 43.5 40.1 43 41.1 42.5 41.6 42.3 42.2 42.1 42.8 41.3 42.9 40.6 44 40.3 45.1 39.6 45.1 38.7 45.1 37.8 45.4 36.9 45.2 37.1 46.1 36.6 46.6 36 46.7 35.2 46.5 34.7 46.9 34.5 47.9 34.1 48.4 33.3 48.4 32 48.7 31.4 48.8 30.7 48.8 30.1 48.4 29.4 49 28.6 50 28.4 51.1 28.5 51.8 28 52.5 28.2 54.5 27.3 55 26.4 55.1 26.7 55.9 27.5 56.2 27.7 56.9 28.1 57.6 28.2 58.2 28 58.9 28.4 59.5 29.1 60.3 29.8 61.1 30.4 61.8 30.8 62.3 31.7 63.2 31.9 64.5 32.4 65.4 32.8 66.6 33.7 66.2 34 66.8 33.6 67.4 32.5 68.1 32.4 68.7 32.3 69.6 32.3 70.7 32.4 71.5 31.8 71.7 31.2 72.1 30.5 72.5 30.5 73.7 30.7 74.5 31.2 75.2 32 76.3 32.4 76.9 33.1 77.6 34.2 78.5 34.6 79.1 35 79.7 35.4 81 35.5 82.8 35.1 83.4 35.4 84.2 35.7 85.3 36.1 85.8 36.6 86.3 36.7 87.1 36.9 88.1 37.2 88.7 37.7 90.2 37.2 91 36.4 92.3 35.5 93.7 34.7 94.7 34 95.3 33.5 95.7 33.4 96.5 33.4 97.2 33.1 98 32.3 99.2 32 98.4 32.1 97.6 31.9 95.9 32.5 94.9 32.9 94.3 33 93.6 33.3 93 33.2 92 33.3 91.2 33.9 90.6 33 90.6 32.7 89.8 33 88.9 33 88 32.9 87.3 32.9 86.3 32.7 85.1 32.5 84 32.4 83.1 32 82.4 31.6 81.5 30.7 80.2 30.8 79.6 30.5 78.9 30.3 80.6 30 79.3 30 77.9 29.5 77 29.4 76.4 29 75.4 29.6 75.4 29.2 74.8 28.6 74.3 28.5 72.6 28.2 72 28.4 71.3 28 69 27.4 68.2 27.5 67.6 27.7 67 27.6 65.9 28.1 65.4 27 65.6 26.3 65.6 26.1 64.8 25.5 63.7 25.3 62.8 24.9 62.2 24.3 61.4 23.7 61 23.7 62 24 62.9 23.7 63.5 23.5 64.3 22.5 65.4 21.9 65.6 21.2 65.6 20.7 64.9 20.6 64.3 20.6 65 21 66 20.1 66.5 19.5 66.9 18.2 67.5 17.7 68.5 17.1 69.2 16.3 69.8 15.9 69 16.1 68.4 16.1 67.8 15.4 69 14.7 69.2 14 69.3 13.7 68.5 13.8 67.6 13.5 68.2 12.6 68.8 12.5 68 12.7 67.1 12.9 66.3 12.8 65.7 12.6 66.6 11.7 67.4 10.7 68.3 10.3 67.7 10.6 65.6 11 65 11.3 63.8 11.6 62.4 12.1 61.5 12.2 60.1 12.1 59.4 11.7 58.7 11.4 56.7 10.6 55.1 10.1 53.9 9.7 53.3 9.4 51.7 9.5 51 8.9 51.7 9.1 52.5 8.2 52.7 7.2 51.5 6.7 50.5 7.8 51.1 8.6 51 9.2 50.1 8.4 49.6 8 49 7.5 48.6 7.5 47.9 6.4 47.1 5.4 46.8 5.2 47.7 4.2 46.7 4.6 46.2 4.5 45.1 4.1 45.6 3.6 46.3 3.4 45.6 3.4 44.9 2.8 44.1 2.8 44.7 2.8 45.6 2.2 44.6 1 43.3 0.7 42.5 0.4 41.7 0.1 40.7 0.1 39.8 0.8 39.4 1.5 39.8 2 40.3 2.1 39.2 2 38.5 2 36.7 2.4 36.1 3 35.8 3.4 36.3 4 36.3 4.3 35.6 4.8 35.2 5 34.4 4.7 33.4 4.6 32.4 5 31.4 5 30.7 5.7 30.7 6.1 29 6.2 28 6.3 27.1 5.7 25.3 6.5 25.5 7.4 25.4 8 25.5 9.3 25.9 9.9 26.1 10.1 25.5 10.3 24.8 10.7 23.6 11.1 22.8 11.7 21.9 12.2 21.1 12.6 20.2 12.8 19.6 12.4 18.9 12.2 18.1 12.6 17.3 13.2 17 13.6 16.5 14 16 14.4 14.8 14.8 14.3 14.6 13.2 14.6 12.3 14.6 11.6 14.9 10.9 15.8 10.5 16.6 10 18 8.9 18.9 8.4 19.7 7.4 20.3 7.2 22.7 6.7 23.4 7 23.8 7.6 24.6 8.1 23.9 6.2 23.8 5.3 24.2 4.7 24.7 4.3 25.2 3.9 26 3.5 26.1 2.8 26 2.1 26.2 1.5 26.6 0.9 27 0.3 27.8 0.1 28.3 0.9 29.2 1.2 29.6 1.7 30.1 2.6 30.7 4.9 31 5.5 31.6 5 32.5 5.2 32.9 6.3 33 7.3 33.1 8.4 33.2 9.3 33.2 10.3 33.2 11 33.1 11.9 32.9 12.6 33 13.2 32.4 13.6 32.5 14.3 32.8 15 31.9 15.5 31.5 16.1 31 16.7 30.4 16.5 30 17.5 29.5 18.2 28.6 18.5 28.1 19.7 28.2 20.6 27.4 21.1 27.1 21.9 27.1 22.7 27.6 23.1 27.8 23.7 27.9 24.7 27.3 25.5 27.9 26 28.7 25.5 29.6 25 30.6 24.8 31.4 24.7 32 24.8 33.4 24.8 33.1 25.6 32.9 26.3 33.5 26.8 33.7 27.5 33.7 28.2 34 28.8 33.9 29.8 34.8 30.2 35.7 30.3 36.3 30.4 36.9 30.6 36.9 31.3 36.5 31.8 36.3 32.6 36.3 33.6 35.8 34.3 35.4 35.3 36.1 35.8 37.6 35.9 38.7 36.1 39.4 36.4 39.3 37.3 39.5 38 40.1 38.2 40.2 39 41.4 39.1 42.3 39.3 43.1 39 43.9 38.2 44.8 37.8 45.4 37.8 45.4 38.6ZM4.2 47.6 3.7 47.1 4.2 47.6ZM6.6 47.7 6.8 48.5 6.3 47.8ZM7.8 49.5 8.4 50 9 50.3 8.3 50.9 7.9 50.3 7.4 49.8ZM7.7 54.2 7 53.8 6.6 53.2 7.3 53.1 7.9 53.2 7.8 54ZM27.3 67 26.8 65.9 27.4 65.8 27.3 67ZM11.6 68.6 11.7 67.9 12.3 67.3 12.1 68.2 11.6 68.6ZM13.3 69.3 13.4 68.7 13.3 69.3ZM31.1 83.4 31.1 84.3 30.8 83.4ZM31.6 86 31.8 86.7 31.4 87.3 31.2 86.5 31.1 85.6 31.6 86ZM29.8 87.1 29.5 87.7 29.4 87.1ZM30.2 88.3 29.7 87.9 30.2 88.3ZM32.1 89.6 31.8 88.8 32.6 89.3ZM29.9 90.7 29.5 89.8 29.8 90.4ZM32.3 90.4 32.2 91.5 31.5 90.7 32.1 90.1ZM30.6 91.8 30.7 90.9 30.9 90.3 30.9 91.2 30.6 91.8ZM32.2 94.4 32.2 93.8 32.2 94.4ZM30.6 94.5 31 95.4 30.3 94.8ZM30.4 99.7 30.6 99.1 30.4 99.7Z' },
+  mn: { viewBox: '0 0 100 47.9', path: 'M90 11.3 89.7 12 89.1 13.3 88.6 14.4 88.4 15 88 16 87.7 16.7 87.3 17.2 87.2 17.8 87.2 18.8 86.4 19.3 86.5 20.2 87 20.8 87.6 21.4 88.1 20.9 88.9 20.6 89.9 20.5 90.7 20.6 91.6 21.1 92.1 21.5 92.7 20.8 93.1 20.3 93.6 19.9 94.2 19.8 94.8 19.9 95.6 20 96.2 20.7 96.8 21.2 97.5 21.5 97.7 22.1 98.2 22.5 98.8 23.3 99.4 23.8 99.6 24.4 100 25.1 99.9 26 99.1 26.3 98.2 26.2 97.3 25.9 96.7 25.6 96.1 25.8 95.4 25.8 94.6 26 93.8 26.2 93.3 26.7 92.7 26.4 92.1 27 91.5 27.4 90.5 27.3 89.8 27.6 89.3 28.3 88.7 29.2 88.6 29.9 88.2 30.4 87.2 31.1 86.4 31.5 85.4 31.7 84.5 31.8 83.7 31.6 83.2 32 82.5 32.9 81.9 33.5 81.3 33.9 80.6 34.5 80 34.4 79.2 34.3 77.6 33.9 77 33.4 76.3 33.1 75.5 33.1 74.7 33.6 74.3 34.2 74 34.9 73.9 35.6 73.6 36.2 73.9 36.9 74.5 37.6 75.1 38.3 75.2 39 74.6 39.4 74 39.9 72.9 40.4 72.1 40.9 71.5 41.6 70.8 42.5 70.1 43.1 69.4 43.5 68.8 43.7 68 44.1 67.2 44.4 66.5 44.4 65.7 44.5 65.1 44.5 64 44.4 63.2 44.5 62.4 44.5 60.8 44.8 60.2 44.9 59.6 45 58.9 45.1 57.8 45.7 56.4 46.3 55.4 46.8 54.6 47.2 54 47.6 53.2 47.7 52.1 47.7 52.1 46.8 51.5 46.9 50.5 47.1 49.7 47.3 48.8 46.8 48.2 46.5 46.8 46 46.1 45.9 44.8 45.6 44 45 43.4 44.3 42.8 44 41.5 43.9 40.5 43.8 39.7 43.7 38.4 43.4 37.4 43.6 36.5 43.9 34.8 43.7 34.1 43.6 32.7 43.4 31 43.2 29.4 42.9 28.3 43.1 27.6 43.1 26.9 43.2 26.6 42.3 25.9 41.6 25.4 41.2 25.2 40.4 24.7 39.2 24.4 38.4 24 37.8 23.6 37.3 23.7 36.6 22.7 36.6 21.7 36.3 21 35.7 20.1 35 19.3 34.8 18.7 34.2 18 33.7 17.3 33.5 16.1 33.3 15 33.4 13.8 33.3 12.8 33.1 11.9 33.1 11.1 32.9 10.3 32.5 9.7 32.6 9.4 31.8 9.1 31.1 9.2 30.2 9.7 29.5 10.1 28.8 10 28.2 9.9 27.5 10.2 26.6 10.1 26 9.9 25 9.2 24.5 8.7 23.5 8.5 22.6 8.2 22 8 21.4 7.3 21.1 7.1 20.5 6.5 20.7 5.9 20.3 5.4 19.8 4.5 20 3.8 19.7 2.9 19.1 2.6 18.4 2.1 18 1.3 17.5 0.7 17.3 1 16.6 0.3 16.2 0 15.6 0.2 14.8 0.8 14.3 1.2 13.8 1.4 13.1 2 12.9 2.8 12.9 3.4 13.1 4.2 12.8 4.7 12.2 5.4 12.1 6 11.7 5.9 10.9 6.6 10.7 7 10.1 7.7 9.9 8.6 9.4 9.2 9.2 9.9 8.7 10.9 8.3 11.5 7.9 12.1 7.5 12.6 7.1 13.6 7.1 14.1 6.7 14.8 6.7 15.4 7.1 15.9 6.6 16.4 7.3 17 7.5 17.6 7.5 18.3 7.6 19.4 7.7 20.2 7.8 20.5 8.5 20.6 9.4 21.2 10 22 10.2 22.6 10.4 23.6 10.7 24.2 10.9 24.8 10.6 25.4 10.5 26 10.5 26.7 10.9 27.3 10.8 27.9 10.9 28.7 11 29.2 11.6 29.9 11.7 30.5 11.2 31 10.7 31.7 10.5 32.2 10.1 32.5 9.4 32.8 8.4 32.6 7.7 32 7.3 31.8 6.7 31.6 6.1 31.4 5.3 31.6 4.5 31.7 3.9 32 3.3 32.6 3.1 32.8 2.4 33.9 1.6 34.3 1.1 34.5 0.2 35.1 0.4 36.3 1 36.9 1.1 37.5 1.5 38.2 1.9 39.6 2 40.3 2.3 40.9 2.6 41.5 2.8 42.2 3.2 43 3.3 43.8 3.5 44.7 3.8 44.8 4.5 44.9 5.3 45 6.1 45.2 6.7 45.2 7.4 45.8 7.9 46.5 8.6 47.6 9 48.2 9.2 48.8 9.5 49.4 9.8 50.1 9.6 50.8 9.7 51.4 9.4 52 9 52.7 8.8 53.6 8.6 54.2 8.4 54.9 8.2 55.8 8.4 56.4 8.5 57 8.8 57.9 8.9 58.6 8.9 59.4 9.3 60 10 60.6 10.5 61.9 10.5 62.7 10.7 62.8 11.7 63.1 12.4 63.7 12.7 64.3 13.3 64.9 13.7 65.9 13.6 66.8 13.6 67.5 13.8 68.4 14.1 69.2 14.3 69.8 14.4 70.5 14.2 71.2 14.6 71.8 14.4 73 13.8 73.7 13.6 74.6 13.3 75.2 13.3 76.6 12.8 77.6 12.8 78.3 12.5 78.8 11.9 79.5 11.1 80.3 10.4 81.3 10 81.9 9.5 82.6 9.1 83.4 9.3 84.4 9.6 85.1 10.2 85.6 10.7 86.6 11 87.2 10.9 88.3 10.4 89 10.6 89.6 10.8Z' },
+  mp: { viewBox: '0 0 14 100', path: 'M11.4 1 10.8 1.8 10.3 1.2 10.1 0 11.1 0.1 11.4 1ZM12.9 15.7 11.9 16.1 13.1 14 14 14.4 12.9 15.7ZM11.5 52.9 10.4 52.9 9.8 52 11.2 52 11.7 52.4ZM12.3 78.4 11.2 78.9 11.5 76.7 13 75.8 13.8 75.6 13.1 76.6 12.9 77.6 12.3 78.4ZM10.5 81.9 9.6 83 9 81.3 8.9 80.6 9.7 80 10.5 81.9ZM2.3 99 1.3 100 0.6 99.8 0 98.9 1.7 98.4 2.3 98.6Z' },
+  mq: { viewBox: '0 0 85.3 100', path: 'M85.3 84.8 83.1 97.5 77.6 100 69.5 89.4 33.8 90.9 28.4 81.5 28.1 77 45.2 60.9 25 56.6 17.1 49.6 0 15.8 1.4 5.9 8.5 0.7 20 0 41.8 10.9 58 26.5 63.4 26.7 65.3 31.1 62.1 42.1 71.7 51.4 75.9 58.3Z' },
+  mr: { viewBox: '0 0 91.4 100', path: 'M91.4 18.9 88.8 18.9 85.3 19 82.9 19 80.5 19 78.2 19 78.4 20.8 78.6 22.8 78.8 24.9 79 26.9 79.2 28.9 79.4 30.9 79.7 33 79.9 35 80.1 37 80.3 39 80.5 41 80.7 43 80.9 44.9 81.1 46.9 81.4 48.9 81.6 50.9 81.8 52.9 82 54.8 82.2 56.8 82.4 58.8 82.6 60.7 82.9 62.7 83.1 64.7 83.3 66.6 83.5 68.6 83.7 70.5 83.9 72.5 84.1 74.4 84.3 76.3 84.6 78.3 84.8 80.2 85 82.1 85.2 84.1 85.4 85.9 86.3 86.9 87.4 88.2 87.1 89.9 86.7 92 86.3 94.2 84.7 94.2 83.2 94.2 81.6 94.2 80.1 94.2 78.6 94.2 77.1 94.2 75.5 94.2 74 94.2 72.5 94.2 71 94.2 69.5 94.2 67.9 94.2 66.4 94.2 64.9 94.2 63.4 94.2 61.8 94.2 60.3 94.2 58.9 94.2 58 94.2 57.6 92.8 57 93.2 56.9 94.1 55.9 94.7 54.6 95 53.2 95.2 51.8 95.1 50.8 94.8 49.7 94.7 49.1 94.7 48.4 94.7 47.6 94.8 46.7 95.9 46.1 96.9 45.2 96.3 44 95.3 42.6 93.9 41.9 93.2 40.8 93.6 40.2 94.1 39.6 94.8 39.3 95.4 39.1 96.2 39 97 38.8 98.1 38.3 98.9 37.7 99.5 37 100 35.7 99.5 34.8 98.9 34.4 98.2 33.8 97.7 32.9 97.4 32.3 97 31.7 96.3 31.4 95.4 30.9 94.6 30.4 94.2 29.8 94.1 29.3 93.4 28.4 92.7 28.1 91.5 27.8 90.5 27.3 89.9 26.7 89.6 26.2 89.2 25.2 89.4 24.7 89 23.9 89.2 23.4 88.8 23.1 87.9 22.2 87.1 20.6 85.9 18.9 85.3 17 85.3 15.9 85.3 15 85.4 13.8 85.8 12.6 85.8 11.6 86 10.8 86.4 9.7 86.6 8.3 86.5 7.4 86.4 6.7 86.1 5.7 86.9 5.3 88 4.9 88.6 4.4 89.6 4.2 91 4 91.6 3.9 88.1 4.4 86.8 4.5 85.7 5.4 83.2 6.4 81.1 7.4 78.4 7.7 75.7 7.6 73.1 7.3 70.7 6.8 69.2 6.4 67 5.7 65.8 4.4 64.7 4.1 64.1 5.2 63.8 5.7 63 4.6 63.3 5.8 60.8 6.2 59.1 6.2 58 6.4 57.3 5.5 55.8 4.7 53.9 4 53.5 3.7 54.3 2.5 52.7 1.4 50.5 0.7 50.6 0.1 52.7 0 52 0.2 51.1 0.4 50.1 0.7 48.6 1.7 48.6 3.4 48.6 5.1 48.6 6.8 48.6 8.6 48.6 10.3 48.6 12 48.6 13.7 48.6 15.4 48.6 17.1 48.5 18.8 48.5 20.6 48.5 22.3 48.5 24 48.5 25.7 48.5 27.4 48.5 29.1 48.5 30.2 48.5 30.2 47.5 30.1 46.6 30.1 45.5 30 44.4 29.9 43.3 29.8 42.2 29.8 41.1 29.7 40.1 29.7 39.2 29.2 37.7 29.2 36.6 30.1 35.2 31.1 34.5 32.3 33.6 33.2 33 35 32.6 36.1 32.1 37.2 31.7 37.7 30.5 37.7 29.5 37.7 28.4 37.7 27.3 37.7 26.2 37.7 25.1 37.7 24 37.7 22.9 37.7 21.8 37.7 20.7 37.7 19.5 37.7 18.4 37.7 17.3 37.7 16.2 37.7 15.1 37.7 14 37.7 12.8 37.7 11.7 37.7 10.7 38.8 10.7 40.2 10.7 41.6 10.7 43 10.7 44.4 10.7 45.8 10.7 47.2 10.7 48.6 10.7 50 10.7 51.4 10.7 52.7 10.7 54.1 10.7 55.5 10.7 56.9 10.7 58.3 10.7 59.7 10.7 61.1 10.7 62.6 10.7 62.6 9.8 62.6 8.4 62.6 6.6 62.6 4.7 62.6 3 62.6 1.4 62.6 0 64 0.9 65.4 1.8 66.8 2.8 68.2 3.7 69.6 4.6 71 5.5 72.4 6.4 73.8 7.4 75.2 8.3 76.7 9.2 78.1 10.1 79.5 11 80.9 11.9 82.3 12.9 83.7 13.8 85.1 14.7 86.3 15.4 88.1 16.7 89.7 17.8 91.4 18.9ZM5.1 61.4 4.7 62.2 4.4 61.4 4.8 60.7 5.4 60.2 5.1 61.4Z' },
+  mt: { viewBox: '0 0 100 81.5', path: 'M34.5 15.4 19 20.3 3.6 10.7 0 4.9 21.4 0 31.9 4.3 36.4 12.7 34.5 15.4ZM100 71.2 91.3 81.5 66.4 81.1 44.6 64.9 44.4 31.1 69.5 37.8 92.5 60.4 100 71.2Z' },
+  mu: { viewBox: '0 0 85.5 100', path: 'M60.2 94.6 37.4 100 11.8 98.1 1.9 87.9 0 83.6 8.5 79.6 8 66.4 12.3 45.6 17.7 37 30.4 29.4 35.6 12.6 46.5 1.4 61.1 0 75.6 20.7 85.5 42.5 83.5 64.4 73.5 72.4 70.1 85Z' },
+  mv: { viewBox: '0 0 14.4 100', path: 'M12.9 8.2 11.1 9.1 9.5 8.7 9 7.6 9.8 5.9 11.1 3.7 12 1.3 13.4 0 14.4 0.4 14.3 1.8 13.8 3.6 13.5 6 12.9 8.2ZM3.4 99.8 1.3 100 0 98.3 0.3 95.9 1.9 94.2 4.5 94.1 6 95.6 5.2 97.9 3.4 99.8Z' },
+  mw: { viewBox: '0 0 40.8 100', path: 'M29 27.9 27.3 27.9 25.2 28 24.6 28.5 24.5 29.4 23.8 31.2 23.5 31.9 22.7 33.1 21.6 34.9 21.4 36 22 38.4 22.7 40.9 22.9 41.9 23.4 45.2 23.7 47.6 23.7 49 24 50.9 24.6 51.9 25.2 52.5 27.6 52.9 28.3 53.3 29.6 54.5 32.6 57.8 34.2 59.9 35.7 61.7 38.2 65.2 40.2 67.8 40.4 70.3 40.1 72.6 39.7 75.6 40 77.6 39.8 81 39.5 84.6 39 85.9 38.4 86.4 37 86.8 34 87.3 33.5 87.7 33.2 88.4 32.5 90.1 31.8 91.8 31.6 92.5 32.4 93.5 33 95.7 33.1 99.5 32 100 31 100 30.3 99.3 30 98.5 30.7 97.9 30.9 96.9 30.5 96.1 29.7 95.9 28.6 95.1 26.4 92.6 24.6 90.8 23.5 89.3 22.4 88.8 21.8 87.8 21.8 86.9 21.9 86.2 21.6 85.5 20.5 84.3 20 83.7 19.9 82.9 20.4 82.2 21.3 81.3 22.1 79.5 22.3 78.3 23.7 76 23.8 73.9 23.9 72.3 23.8 71.1 23.4 68.6 23.2 66.9 21.6 64.6 21 64.4 19.5 64.6 18.1 65 17.4 65.4 16.4 65.4 13.8 65.8 13 66 12.5 66.4 10.6 64.8 9.1 62.9 7.2 59.7 6.7 59.3 6 58.4 4.7 59.3 4.1 59.4 3.8 58.8 3.2 57.6 2.5 56.8 1.8 56.4 1.2 56 1.7 55.4 1.3 54.7 0 54.1 1.1 53.3 1.8 52.7 2.3 52.1 2.9 50.8 3.4 49.5 3.9 48.2 3.8 47.3 4 46.1 4.2 44.9 3.8 44.4 3.5 43.7 3.8 42.3 4.4 41.4 7.2 40.5 9.2 39.6 10.3 38.5 10.6 37.8 8.8 37.6 7.4 34.8 8 31.9 8 30.8 8 29.3 7.8 28.3 7.3 27.9 7 27.3 7.1 25.8 8.5 23.7 9 22.5 8.5 21.6 7.9 20.3 7.6 19.4 7.9 18.6 8.5 18.1 9.3 18 10 17.7 12.5 15.3 12.1 14 11.2 12.7 10.9 10.7 9.1 9.3 8.1 8.2 8.4 7.1 8.6 6 8.1 5.3 7.3 4.6 6.9 3.7 6.6 2.9 6 2.7 5.1 3.1 4.1 2.9 3.9 2.3 3.9 1.6 3.5 1.1 3.2 0.5 3.8 0 5.8 1.3 7 1.3 8.3 1.6 9.5 2.7 10.1 2.9 10.8 2.7 13 2.6 13.8 2.7 15 3.4 16.1 3.5 16.2 2.2 16.7 1.3 17.9 1.8 20.9 4.3 22.8 7.1 23.4 8.1 24 10.8 24.1 11.8 24 12.6 24.3 14 24.8 15.7 25.2 16.8 25.2 17.8 25 18.9 24.5 20.4 24.4 21 24.9 22.1 25.5 22.8 26 23.5 26.3 24.5 26.9 24.9 27.6 25 28.1 25.5 28.6 26.4 28.8 27.5ZM24.9 33.5 24.7 34.2 23.7 33.6 24.3 33 24.9 33.5ZM25.9 34.8 25.2 34.6 25.3 33.9 25.9 33.4 26.4 34.1 25.9 34.8Z' },
+  mx: { viewBox: '0 0 100 62.6', path: 'M67 24.3 67 25.1 66.2 26.9 65.9 27.6 65.4 29.8 65.2 31.2 65.2 31.9 65.1 33.5 65.1 34.7 64.9 35.3 64.8 36.1 65 37 65.1 37.6 65.7 38.6 66.4 39.2 66.3 40.1 66.3 39.5 65.6 38.7 65.1 37.9 65.5 39.3 65.9 39.9 66.4 41 66.9 42 67.1 42.6 68.4 44 69.2 45.1 69.5 46.1 69.7 46.8 70.3 47.3 70.7 47.8 71.3 48.6 71.8 49 73.2 49 73.8 49.4 74.4 49.6 74.8 50.1 75.2 50.7 76.4 50.6 77.4 50.3 78.4 49.9 79.4 49.8 80.5 49.7 81 49.3 81.7 49.1 82.6 49 83.3 48.9 83.5 49.5 84.5 49.8 85.6 49.2 85.3 48.6 86 47.9 86.6 47.5 87.2 46.8 87.4 45.6 88 45 88 43.9 88 42.8 88.2 42.1 88.5 41.3 89 40.9 89.9 40.5 93.1 39.9 94 39.5 95.1 39.4 95.9 39.3 96.6 39.5 97.5 39.7 98.2 39.8 98.6 39.2 99.3 39.8 99.6 40.5 99.6 41.3 99.3 42 98.8 42.5 98.3 43 97.7 43.9 97.6 44.7 97.2 45.4 96.9 46 97.6 46 97.4 46.6 97 47.1 97.2 47.8 97 48.7 96.6 49.8 96.3 50.4 96 49.8 95.8 48.9 95 49.6 94.4 49.7 94 50.3 93.5 51.1 93 51.6 92.3 51.4 91.6 51.9 90.4 51.9 89 51.9 87.6 51.9 86.5 51.9 86.4 52.5 86.4 53.1 86.4 53.8 85.8 53.7 85.1 53.7 85.7 54.2 86.1 54.7 87 55.3 87.5 55.8 88.1 56.4 88.2 57 88.2 57.6 87.4 57.6 86.5 57.6 85.7 57.6 85.1 57.6 84.1 57.6 83.4 58.8 83 59.5 82.7 60.1 83 60.9 82.7 61.7 82.6 62.5 81.6 61.6 80.7 60.7 80 60.1 79.6 59.6 78.4 58.7 77.8 58.2 77.2 57.7 76.2 57.2 75.6 57.1 76.2 57.3 76.9 57.7 75.5 57.2 74.8 57.1 74.3 56.5 73.7 56.9 74.3 57 73.4 57.3 72.3 57.9 71.4 58.2 70 58.9 69 59 68.1 58.7 66.9 58.1 65.1 58 63.9 57.2 62.7 56.9 61.9 56.1 61.2 56 60.1 55.7 59 55.5 58 54.8 57.3 54.6 56.7 54.4 55.4 53.9 54.4 53.3 53.7 52.9 53 52.4 52.5 51.8 52 51.4 51 51.4 50 51.2 48.5 50.7 47.2 50.2 46.7 49.7 45.7 48.6 44.5 48 43.5 47.5 42.5 47 42.1 46.5 41.4 45.6 40.7 44.7 40.5 43.9 40.2 43.2 41.1 43 41.5 42.5 40.9 42.1 41.3 41.2 41.6 40.5 41.6 39.7 40.9 39.2 40.6 38.6 40.2 38 40.2 36.8 39.8 35.8 39.3 35.3 38.4 34.3 37.8 33.9 37.3 33 36.8 32.5 36.2 31.5 35.7 31.1 33.5 29.5 34.3 29.9 33.8 29.4 33 29 32.8 28.4 32.1 27.8 32.7 27.6 31.6 27 30.6 26.4 30.3 25.8 29.6 26 30 25.3 29.4 25.5 28.8 25.6 28.3 24.1 28.8 23.4 28.9 22.8 28.1 21.7 27.5 21.8 26.8 21.1 26.7 20.4 25.6 20.1 25 19.6 24.6 18.8 24.7 17.9 24.1 17.5 23.4 17.4 22.5 16.8 21.9 15.8 21.2 15.5 20.7 14.9 20.4 14.3 19.7 13.5 19.5 12.6 19 12.1 18.4 11 18 10.3 17.8 9.5 17.6 8.9 17.2 8.1 16.7 7.1 16.7 6.2 16.8 5.6 15.5 5.3 15 4.6 14.1 4 13.6 4.5 12.2 3.6 11.5 3.4 10.9 3 11.4 4 11.1 5.8 11.5 6.5 11.7 7.2 11.9 8.1 11.8 9.1 12.1 9.9 12.6 10.4 13.3 10.9 13.7 11.4 14.4 12 15.3 13.2 15.5 13.9 16 14.3 16.7 15.3 17.4 15.7 17.7 16.4 17.8 17.2 17.9 17.8 18.4 18.4 19.1 18.9 19.3 19.5 19.9 20.2 20.2 20.8 20.6 21.3 21 22.2 20.8 21.6 21.5 21.7 21.9 22.4 22 23 22.3 23.8 22.4 24.9 22.9 25.7 23.3 26.2 23.7 27.2 24.1 27.7 24.4 28.4 24.2 29.1 24.4 30 25.2 30.5 25.7 29.9 26.4 30.5 26.8 31 27.2 31.6 27.5 32.3 28.3 32.9 28.2 33.8 27.7 34.3 27.1 34.8 26.5 34.9 25.9 33.4 25.6 32.8 24.5 32 24.1 31.5 23.2 30.8 22 30 21.5 29.6 21 29.2 20 28.2 19.8 27.5 19.9 26.6 20 26 19.8 25 19 23.5 18.1 23.1 17 22.2 16.6 21.4 15.7 21.4 15.1 21.7 14.6 21.2 14.1 20.7 13.5 20.3 12.8 20.1 12.3 19.4 11.6 18.8 10.7 18.1 11.3 17.8 12.1 17.9 12.7 17.7 13.1 18.2 13.7 18.3 13.3 17.8 13.3 17.1 13.6 16.4 13.7 15.6 13.4 15 12.9 14.6 11.8 13.2 11.1 12.6 10.2 12.1 9.7 11.7 8.9 11.1 8.4 10.2 8.2 8.9 7.6 8.5 7.5 7.9 7.4 7.1 6.6 6.4 6.5 5.6 6.1 5 5.7 4.5 5.5 3.8 5.6 3.2 4.9 2.7 4.7 1.9 4.2 1.4 4 0.7 4.9 0.6 5.8 0.5 6.7 0.4 7.6 0.4 8.5 0.3 9.4 0.2 10.3 0.1 11.2 0 11.4 0.6 12.7 1.3 14.2 1.9 15.7 2.4 17.2 3 18.7 3.5 20.2 4.1 21.7 4.6 23.2 5.2 24.3 5.1 25.4 5.1 26.6 5.1 27.7 5.1 28.8 5.1 29.9 5.1 31 5.1 32.1 5.1 32.1 4.3 32.1 3.5 32.8 3.5 33.5 3.5 34.2 3.5 34.9 3.5 35.6 3.5 36.3 3.5 37 3.5 37.7 3.5 38.3 4.3 39 4.9 39.7 5.5 40.6 6.4 41.4 7 42 7.4 42.5 7.9 43.3 9.5 43.5 10.5 43.8 11.1 44.4 11.6 45.1 12.2 45.9 12.5 46.5 12.8 47.2 13.3 47.8 13.6 48.5 13.1 49 12.7 49.1 12 49.4 11.3 50.2 10.8 50.9 10.5 51.8 10.7 52.5 10.8 53.1 10.7 53.7 10.9 54.8 11.9 55.1 12.5 55.7 12.9 56 13.7 56.8 15 57 15.6 57.3 16.3 58 17 58.4 17.6 58.8 18.1 59.3 18.5 59.7 19 59.6 19.7 59.7 20.4 60.2 21.1 60.6 22.2 61.1 22.8 61.9 23 62.5 23.4 63.1 23.6 64.1 24 65 24.1 65.6 24.3 66.3 24.7 67 24.3ZM16.5 13.4 15.5 12.5 15.2 11.9 15.8 12.1 16.4 12.5 16.5 13.1ZM19.5 13.6 19.3 14.4 18.6 14.1 18.7 13 19.3 12.7 19.5 13.6ZM0.5 13.8 0 13.2 0.5 13.8ZM10.2 16.9 9.6 16.8 9.9 15.9 10.3 16.5ZM23 24.1 22.7 24.7 22.8 24.1ZM20 29.2 19.6 28.6 19.5 27.8 19.7 26.7 19.6 28.1 19.8 28.9ZM21.1 29.8 20.1 29.3 21.1 29.8ZM27.1 30.6 26.8 30 27.1 30.6ZM99.2 43.6 99.1 43 99.8 42.7 99.2 43.6Z' },
+  my: { viewBox: '0 0 100 33', path: 'M89.2 0.9 89.2 0.1 89.8 0 89.8 0.7 89.2 0.9ZM91.4 16.2 90.8 16.1 89.9 15.5 89 15.3 87.7 15.3 86.9 15.3 86.2 15.2 85.5 15.5 84.6 15.2 84 15.3 82.8 15.3 82.3 15.8 81.7 16.1 81.3 17.2 81.1 18.4 81.2 19.6 80.9 20.3 80.8 21.1 80.6 22 79.8 22.2 79.2 22.3 78.7 22.9 78.7 23.5 78.9 24.1 79 24.7 78.1 25.4 77.4 25.8 77 26.4 77.3 27.1 77.2 27.7 76.7 28.1 76.5 28.8 76.1 29.7 75.1 29.7 73.8 30 72.7 30.1 71.9 30.7 71.2 31.1 70.7 30.7 69.9 30.6 68.7 30.2 68.1 30.1 68 29.5 65.4 29.4 64.7 29.7 63.9 30 63.8 30.6 63.4 31.5 62.6 31.7 62 32.2 61.4 32.2 60.7 32.3 59.3 32.1 58.4 32 57.8 32.1 55.9 32.9 55.3 33 54.8 32.6 53.4 31.3 52.7 30.8 52.1 30.3 51.4 29.6 50.9 28.3 50.4 27.7 50.9 27.1 51.2 27.8 52.1 28.4 52.7 28.6 53.3 28.7 54 28.7 54.8 28.7 56.2 29.5 56.8 29.6 57.6 29.6 58.4 30.2 59 30.3 58.2 29.8 58.1 29.1 58.7 28.5 58.7 27.7 59.1 26.9 58.9 26.2 58.9 25.3 59.7 25.4 60.1 24.7 60.1 24 60.5 23.4 61.6 22.9 63.6 22.6 66.7 21.8 67.7 21.5 68.3 21.1 68.8 20.4 69.7 19.3 70.3 18.4 71.7 17.1 72.8 15.8 73.1 14.9 73.2 14.1 74 14.4 74.5 15 74.8 15.7 75.4 16 75.8 16.5 76.3 16.9 76.9 16.6 77.3 15.7 77.4 15.1 77.1 14.3 77 13.7 77.6 13 78.4 12.5 78.4 13.6 78.8 15.1 79.5 15.3 79.6 13.8 79.1 12.7 80.2 12.3 80.9 11.7 81.2 11 80.6 10.7 80.4 9.9 81.1 9.1 81.7 9.3 82.7 8.9 82.9 8.3 83.7 7.5 83.9 6.9 84.1 6.2 85.9 4.2 87.2 1.9 87.7 2.7 87.5 3.4 88.5 2.8 88.8 2.2 89.6 2.1 89.7 2.7 89.9 3.5 91 4 91.6 4.3 92 5.1 91.6 5.9 91.8 6.5 91.6 7.2 91 7.5 92.6 7.2 93.6 6.6 94.1 7.6 93.2 8 93.7 8.4 94.3 8.2 94.8 7.8 95.9 8.1 96.4 8.5 97.2 9.2 98.4 9.8 99.6 9.8 100 10.4 99.9 11 99.3 11.5 98.2 11.9 97 12.2 95.5 11.9 94.9 12.1 94.5 12.9 95.2 13.7 96.4 14.5 96.3 15.2 95.4 15.4 94.7 15.5 94.1 15.6 93 15.7 92.2 15.4 91.5 16.1ZM12.5 5.7 13.4 5.9 14.7 7.6 16 8.7 16.6 9.1 17.6 9.9 18.1 10.6 19.2 12.7 19.4 13.7 19.5 15.1 19.2 17.2 18.9 18.2 19.4 19.5 19.3 20.2 19.4 20.8 19.3 22.5 19.8 23.3 21.2 24.3 22 25.9 23.3 28.6 23.7 29.8 23.1 30.4 22.7 29.8 22.3 29.3 22.1 30 21.3 29.9 20.6 30 19.9 30.6 19.3 30.1 18.9 29.5 16.6 28.3 15.7 27.9 14.8 27 12.7 25.9 11.4 24.9 10.9 24.3 9.5 23.7 9 23.1 8.4 22.7 8.7 22.1 8.6 21.4 8.4 20.8 7.5 19.7 7 19 6.1 18.2 5.4 17.2 5.7 16.6 5.2 15.9 4.9 15.2 4.9 13.7 4.2 11.8 3.6 9 3.7 8 3.6 7 3.1 6 2.6 5.2 2.4 4.6 2.6 3.6 3.6 4.1 4.7 4.5 5.4 4.4 6 5.2 6.8 5.6 7.3 6 7.3 6.7 6.9 7.7 7 8.3 7.5 8.7 8.1 8.2 9 7.6 9.7 7.4 10.2 7.9 10.9 8 11.6 7.3 12.3 6.4 12.5 5.7ZM1 4.5 1.4 5.1 0.7 5.5 0.1 5 0.9 4.6ZM3.3 10.5 2.8 9.7 3.4 9.7 3.3 10.5ZM93 16.1 92.3 16.2 91.8 15.8 93 16.1ZM23.3 23.5 23.1 22.9 23.3 23.5ZM59.9 25.1 59.4 23.4 59.8 24.3 59.9 25.1Z' },
+  mz: { viewBox: '0 0 61.5 100', path: 'M15.4 99.9 13.7 100 13 100 12.3 100 11.4 99.8 10.9 97.8 10.6 96.7 10.6 95.8 10.7 95.2 10.6 94.6 10 94.2 9.8 93 10.2 92.1 10.2 90.4 10.2 89.8 10.2 88.6 10.2 87.1 10.2 85.8 10.2 84.7 10.1 84.1 9.7 83.2 9.5 82 9.1 81.1 8.7 80.5 8.4 79.7 8 78.9 7.6 78.1 7.6 77.2 7.2 75.6 6.9 74.4 6.5 73.1 6.2 72.2 7 71.1 7.8 70.2 8.8 69.2 9.6 68.2 10.4 67.4 11.4 66.3 12.4 65.1 12.3 63.9 13 62.8 13.1 62 13 61.3 13.3 60.7 14.2 60.1 14.8 59.1 15.3 58.3 16 56.8 16.1 56.2 15.4 54.9 15.1 54.2 14.8 53.2 15.1 52.3 15.2 51.7 14.7 51 14.3 50.5 14.5 49.8 15.2 49.4 15.5 48.6 15.7 47.7 16 46.9 15.9 45.9 15.8 45.3 15.8 43.3 16 41.4 15.9 40.2 15.4 39 15.4 38 15.7 37.4 15 36.9 14 36.3 12.9 35.8 11.7 35.4 9.9 35.3 8.5 34 7.3 33.8 5.9 32.9 4.1 32.8 2.4 32.7 1.2 32.7 1 31.5 1 30.6 0.9 29.8 0.7 28.8 0.2 27.8 0 27.1 1.3 26.2 2.6 25.7 4 25.3 5.3 24.9 6.4 24.6 7.6 24.2 8.7 23.8 10.2 23.3 11.4 22.8 13.5 22.2 15.4 21.5 16 21.3 17.2 20.9 18.3 22.5 19 23.4 19.8 24.2 20.5 23.9 21.7 23.7 22.5 23.5 23.1 23.3 23.8 23.2 24.8 24.4 24.9 25.2 25.1 26.3 25.1 27.6 25 28.5 24.4 29.6 23.9 31 23.3 31.7 23.5 32.3 24 32.9 24.2 33.5 24.3 34.2 24.9 34.6 25.4 35.3 26.3 36.1 27.3 37.3 28.1 37.7 28.2 38.6 28 39.2 28.8 39.5 29.3 37.6 29 36.6 28.6 36.1 29.1 35 29.3 34.2 29.7 33.7 31.1 33.5 31.8 33.3 32.2 32.5 32.4 30.8 32.5 29.3 32.3 28.3 32.5 27 32.8 26.1 32.6 24.8 31.7 23.6 30.5 22 29.8 21.2 29.1 20.2 27.7 18.7 27.1 18.2 25.7 17.8 25.1 17 25 16.2 25 15.5 24.9 14.5 24.7 12.9 24.3 11.3 24 10.2 24.5 8.9 24.9 8.3 25.4 7.2 25.7 6.6 26.7 6.5 27.4 6.5 28.7 6.5 30.1 6.6 30.9 6.7 31.7 6.3 32.2 5.8 32.9 5.8 33.9 6.3 34.5 6.7 35.2 7.3 36.4 7.3 37.3 7.2 37.9 6.7 38.5 6.5 39.1 6.5 39.9 6.9 40.5 7.2 41.4 7.3 42.4 7.1 43.4 6.5 44 6 44.2 5.4 44.6 4.9 46 4.8 46.8 5 47.9 5.6 48.5 5.2 49.6 4.5 50.7 4.1 51.8 4.1 52.7 3.9 53.4 3.3 54.1 3 54.8 2.9 55.5 2.6 56.5 2.1 57.6 1.3 58.6 0.5 59.3 0 59.6 0.6 60.1 1.2 59.4 1.8 60.1 2.1 59.6 2.7 59.8 3.5 59.4 4.2 59 4.7 59.3 5.8 59.1 7 59.5 8.1 59.6 8.7 59.5 9.7 59.5 10.8 59.4 11.9 60 12.7 59.9 13.5 59.2 14.3 59.9 14.8 59.9 15.6 59.8 16.6 59.8 17.6 59.8 18.6 60 19.9 60 21.5 60.4 22 60.3 23.1 60.3 24 60.8 23.3 61.3 24 61.3 24.6 61.4 25.5 60.7 26.3 60.6 27.1 60.4 27.9 59.8 29.6 58.4 31.3 57.8 31.9 57.2 32.6 56.5 34.1 55.8 34.2 55.7 35.3 54.4 36.2 52.2 37.5 51.3 38.5 50.6 38.7 49.4 39 48.7 39.2 47.2 39.7 45.9 40.2 45.3 40.6 44.1 41.1 42.2 42.1 40.7 43.2 39.5 44.2 38.9 44.7 38.7 45.5 37.8 46.6 36.6 47.9 35.8 48.9 35.3 49.5 34.8 50 34.2 49.8 33.3 50.3 32.6 50.8 31.4 51.8 29.8 53.8 27.4 55.8 26.1 55.1 26.3 55.8 26.2 56.5 26.2 57.5 25.9 59.4 26.3 60.4 27 61 27.6 61.9 28.3 64.3 28.4 65.5 29.2 67.1 29.2 67.8 29.6 69.5 29.6 70.9 29.5 71.7 30 71.2 30.1 70.3 30.7 70.8 30.8 71.6 30.5 73.3 30.6 74 31 75.2 30.5 76.6 29.8 79.9 30 80.7 30.7 80.4 30.5 82.2 30.2 82.8 29.1 84.5 28.6 85.2 27.6 85.8 25.4 86.9 20.9 88.5 19.2 89.3 18.1 89.7 15.9 91.2 14.9 92.2 14.5 93.3 14.1 93.8 13.7 94.5 14.4 95.5 14.9 96 15.5 95.3 15.7 96.1 15.4 99.8ZM26 9.7 26.1 9.1 25.7 9.6ZM25.6 9.1 25 9.1 25.6 9.1Z' },
+  na: { viewBox: '0 0 100 95.7', path: 'M86.1 5.2 87.7 4.9 89.2 4.6 91 4.3 92.4 4 96.1 4.2 97.6 4.4 98.8 5.1 100 6.4 97.4 6.6 96.6 6.9 94.6 8.4 93.7 7.9 92.5 8.1 91.7 8.5 90.7 9.1 90 9.7 88.5 11.2 87.7 11.5 87.5 10.9 86.7 9.7 85.5 8.2 84.9 7.9 84.1 8 81.5 8.5 79.3 8.8 76 9.5 72.5 10 70.3 10.3 68.3 10.4 68.4 12 68.4 15.1 68.4 18.3 68.4 21.5 68.4 24.7 68.4 27.9 68.4 31.1 68.4 34.3 68.4 37.5 68.4 38.9 67.2 39.2 64.8 39.2 62.7 39.2 61 39.2 61 41.1 61 43.4 61 45.7 61 48 61 50.3 61 52.6 61 54.9 61 57.2 61 59.5 61 61.2 61 64.8 61 68.5 61 72.1 61 75.7 61 79.4 61 83.1 61 86.8 61 90.5 61 91.6 60.2 91.6 58.7 92.1 57.8 92.7 57.3 93.4 56.8 93.8 56.1 94 55.9 95 55 95.7 54 95.6 52.6 95.1 50.8 95 48.7 95.3 47.1 95.2 46.2 94.7 45.2 94.4 44.2 94.3 43.5 94.1 42.3 93.7 42.1 93.1 41.6 92.1 41.8 91.3 41.6 90.1 40.8 89.8 40.4 89 39.4 88.1 38.5 88.5 37.8 89.7 37.5 90.7 37.2 91.7 36.2 92 35.2 92.7 34.1 92.4 31.7 89.8 30.8 89.2 29.5 87.6 26.7 82.8 26.3 81.9 25.8 79.6 25.2 77.8 25.1 76.9 25.4 76.3 25.2 75.5 24.9 74.9 24 74 23.7 71 23.1 69.1 23.2 67.6 22.9 66.2 22.9 65.2 23 63.5 22.5 61.5 21.5 59.6 20.5 56.8 20.4 55.6 20.5 52.3 20.3 51 20.3 49.4 20 47.8 19.8 46.9 20.1 46.2 20.7 45.6 20.7 44.8 20.2 42.8 19.2 40.7 16.6 37.4 16 36.1 15.6 35 12.8 30.7 11.5 27.6 10.7 24.9 9.8 23.7 5.4 15.1 4.5 13.8 2.8 12.1 2.4 11.6 1.7 10 0.4 8 0.1 6 0 3.8 0.2 2.2 1.3 2 2.2 1.5 2.9 1.5 3.6 1.9 4.4 1.9 6.1 1.9 6.9 1.5 7.9 1.1 8.4 0.7 9.2 0.4 10.2 0 10.8 0 11.5 0.2 12.4 0.3 13 0.6 13.6 1.3 14.6 2 15.3 2.5 16.1 3 16.7 3.4 18.5 3.3 19.9 3.2 21.4 3.2 24.2 3.2 27 3.2 29.9 3.2 32.7 3.2 35.5 3.3 38.4 3.3 41.2 3.3 44 3.3 45.2 3.3 47.2 3.3 49.3 3.3 50 3.7 50.7 4.6 51.7 5.7 52.5 6.1 53.4 6.4 54.3 6.5 55.2 6.5 56.6 6.6 58.5 6.9 60.5 7 62.6 6.9 64.1 7.1 64.9 7.6 65.8 7.9 66.7 8.1 67.9 8 69.4 7.6 70.7 7.7 71.3 7.9 73.8 7.5 75.6 7.2 78.3 6.7 80.5 6.3 83.8 5.6Z' },
+  nc: { viewBox: '0 0 100 46', path: 'M0.3 2.5 0 0.8 0.4 0 0.6 1.6 0.3 2.5ZM52 14.5 53.4 15.4 54.9 15 56.7 16.3 61.5 20.2 63.1 21 64.1 21.3 64.8 21.9 65.5 22.8 66.4 23.5 66.8 24.1 66.9 24.9 68.9 26.6 69.8 27.8 71.2 28.3 71.8 29 72.5 29.3 73.3 30 74.6 30.6 77.6 32.6 79.9 34.5 81.1 35.7 82.3 36.7 83.9 37.5 85.4 38.5 86.2 40.7 85.8 41.5 84.9 41.9 84.1 42 83.4 42.2 80.9 40.8 80.3 40.6 79.6 40.7 79 39.9 77.5 39.3 76.1 38.5 75.7 37.9 75.4 37.2 73.1 36.1 71.8 35.4 70.8 34.4 69.3 33.7 67 32.3 65.8 31.8 64.7 31.1 61.9 28.6 60.9 28.1 60 26.9 57.6 24.2 56.4 23.1 55.1 22.1 54.1 20.9 53.4 19.6 51.6 17.6 51.4 16.7 51.5 15.9 51.1 15.3 50.4 15 50 14.4 50.1 13.6 52 14.5ZM80.6 20.4 80 20.5 80.7 19.3 80.8 18.6 81.1 17.2 81.6 16.8 82.1 17.2 81.5 17.5 81.3 18.2 81.3 18.9 81.1 19.9 80.6 20.4ZM91 26.4 90.3 26.5 89.5 25.6 87.8 25.1 87 24.3 86.5 23.3 87.5 23.1 88.4 21.8 87.8 21.3 86.7 21.2 88.6 20.1 89.4 20.4 89.7 22.9 90.5 23.6 91.4 25 91 26.4ZM98.4 29.9 99 30.1 100 30.1 99.8 32.3 98.4 32.7 97.6 32.2 96.8 31.9 96.8 31.1 96.1 29.4 97.4 29.1 98.2 28.7 98.2 29.6ZM92.8 45.5 92.4 46 91.5 45.7 91.5 44.4 92.6 44.9 92.8 45.5Z' },
+  ne: { viewBox: '0 0 100 78.2', path: 'M93.8 3.6 94.5 7.5 95 10.9 95 13 95.1 13.6 95.8 14.3 97.7 17.4 97.3 18 97.6 18.9 98.1 19.3 99.8 21.2 99.9 21.8 98.8 24 98.3 27.2 98.2 29.1 97.9 31.8 97.7 34.9 97.5 37.6 97.2 41.1 96.9 44.3 95.2 46.2 92.3 49.3 89.9 51.9 88.7 53.7 86.4 57.1 85.3 59.2 84.5 60.4 84.1 60.9 84.4 62.5 85.1 65.2 83.9 65.3 83.3 65.5 82.5 66.1 81.6 66.3 80.4 66.9 79.7 67.3 79.1 67.7 78.1 68.5 77.8 69.2 76.9 69.3 75.7 69.2 74.9 68.6 73 67.9 71.8 67.6 71.2 67.5 68.3 67.4 65.3 67.7 63.7 68 62.5 68.5 61.8 68.9 59.8 71 57.2 71 55.7 70.7 54.3 70.4 52.5 69.4 50.2 67.9 49.3 67.7 48.5 67.6 45.5 69.1 44.4 69.2 43.9 69.6 43.3 69.8 42.5 69.5 42 69.1 40.9 67.4 40.2 66.7 39.4 65.9 38.8 65.5 38.1 65.5 35.9 64.8 33.7 64.2 32.9 64.4 32.1 64.9 31.2 65 30.1 65 29.5 64.9 28.5 65.1 27.8 65.3 26.9 65.6 25.8 66.6 25.2 66.8 24.8 69.4 24.5 70.2 24 71.3 22.8 72.2 22 72.8 22 73.6 22 74.9 22 75.8 22 76.4 21.8 77 22.2 77.8 21.7 78.2 21.3 77.6 20.8 77.2 20.2 77 19.6 76.3 18.9 75.5 17.2 73.9 16.2 74 15.4 74.3 14.6 74.5 13.9 74.8 14.2 76.2 14.1 76.9 12.9 75.4 12.2 74.5 12 73.9 12.9 73.6 13 72.8 12.6 72.1 12.1 71.6 11.3 71.7 10.6 72.2 9.5 72.2 8.9 72.1 7.2 70.9 5.9 69.8 5.3 69.6 5.1 68.7 5.1 67.7 5.8 67.6 6.4 67.7 6.1 67.1 5.4 66.8 5.2 66.2 4.6 65.8 3.9 65.6 3.3 65.4 2.3 64.4 1.7 63.5 1.3 62.8 1.4 61.7 0.6 60.8 0 60.1 0.1 59.1 0.2 58.2 0.3 57.4 0.8 57 1.7 57 3.5 57.1 5 56.9 6.1 56 7.2 55.1 8.9 55 10.7 54.9 12.2 54.8 14.3 54.7 16 54.7 18 54.6 18.3 54 19.8 54.3 21.1 54.5 21.2 53.7 22.4 52.6 23.1 52.4 23.5 51.9 23.7 51 24.1 50.1 24.4 49 25 48 25.4 46.5 25.5 45.1 25.6 44 25.8 41.8 25.8 39.9 25.7 38.3 25.7 36.2 25.7 34.4 25.7 32.5 25.7 30.7 25.7 29.6 27.1 29.3 28.5 29 30.6 28.6 32.9 28.1 35.3 27.6 35.9 27.3 37.8 25.6 38.6 24.9 40.3 23.4 41.6 22.2 43.2 20.7 44.9 19.2 46.3 18 48.5 16.6 51.8 14.6 55 12.5 58.3 10.4 61.6 8.3 64.9 6.3 68.2 4.2 71.4 2.1 74.7 0 78 0.8 81.1 1.6 84.3 2.3 85 2.7 86.7 4.2 88.8 6.1 91.1 5 93.8 3.6Z' },
+  ng: { viewBox: '0 0 100 81', path: 'M91.4 1.4 92.8 3.3 94.2 5.3 95.3 6.8 96.1 10.8 96.2 11.5 96.3 12.2 97 13 98.2 13.1 99.1 13.5 99.6 14.1 99.9 14.7 99.9 16.1 99.7 17.4 99.5 18.3 99.6 19.5 99.4 20.3 98.9 20.7 98.2 21.1 96.4 22.2 95.2 22.4 94.6 22.7 93.8 23.3 92.2 25.6 90.9 27.8 90.4 29.7 89.8 31.5 88.6 32.6 88.5 33.3 88.4 34.5 88.2 35.9 88 36.6 86.5 37.3 85.8 37.8 85.3 38.8 85.2 39.9 84.9 41.2 84.8 42.3 84.6 42.9 84.1 43.5 83.5 44.2 82.9 44.6 81.4 44.8 80.6 46.3 80 47.4 79.3 50.3 78.2 52.1 78.1 52.7 76.8 54.8 76.4 55.3 76.1 55.9 76.4 56.5 76.8 57 76.2 57.7 75.1 58.6 74.5 59.1 74.2 60.7 73.6 61.6 73 62.1 72.3 62.5 71.6 62.8 70.9 62.9 70.3 62.3 69.9 60.7 69.2 60.1 68.3 59.2 67.4 58.3 66.3 57.7 65.6 58.8 64.7 59.2 63.7 59.2 63 59.1 62.7 58.5 61.6 58.9 60.2 59.8 59.4 60.2 59 61.1 58.4 62.1 57.7 62.6 57 63.1 56 63.9 54.9 65 53.4 66.5 52.8 67.3 52.3 68.4 52 69.7 51.7 71.1 51.2 73.3 50.5 74.5 49.9 75.5 49.4 76.3 49.2 77 48.1 77 47.4 76.4 46.6 75.6 47.2 77.8 47 78.6 44.7 78.6 42.8 78.9 41.5 78.9 40.9 78.6 40.6 77.8 40 78.6 38.5 78.7 37.9 78.2 37.3 77.6 37.4 79 36.2 80 35.5 80 35 79.6 34.8 78.9 34.7 77.9 34.3 77.2 34.4 78.3 34.4 79.4 35 80.2 34.1 80.4 33 80.4 32.8 79.5 32.4 80.4 31.6 80.5 30.3 80.7 30 79.7 29.5 80.8 28.4 80.8 27.5 80.4 27 80 26.1 79.5 24.3 77.9 24 77.1 23.5 76.3 23.1 75.4 22.6 73.8 23.2 73.9 22.6 73.5 22.4 72.8 22.5 72.1 23.1 71.9 23.8 71.4 22.6 71.6 21.3 70.9 21.2 70.1 21.8 70.1 22.7 70.1 22.1 69.5 20.8 69.9 20.3 68.8 19.7 68.3 18.2 66.3 16.3 64.7 14.6 63.6 12.1 63.1 6.7 63.1 7.2 62.6 8.9 61.7 6.9 62.1 6.2 62.2 5.4 63.2 0.7 63.4 0.2 63 0.4 61.6 0.6 61 0.6 60.1 0.4 59.4 0.3 58.4 0.6 57.6 0.5 57 0.5 54.9 0.8 54.2 0.5 53.6 0.3 53 0.3 52.1 0.2 51.3 0.1 49.4 0.2 47.5 0.1 46.7 0.3 46.1 0.4 44.6 0.4 43.2 0.7 41 1.8 40.9 3 40.7 3.6 39.8 3.9 38.7 3.8 37.6 4.5 36.6 5.4 35.8 5.4 34.8 6 34.3 6.6 34.2 7.3 33.7 7.7 32.9 8 31.6 7.5 30.7 7.7 30 8.3 29.3 9 29.5 9.6 27.8 9 26.4 8.9 25.8 8.8 24.7 8.6 23.8 8.1 23.2 6.7 21.1 6.7 20.3 7.3 19.1 8.1 18.3 8.1 17.7 7.7 17 8 16.2 7.9 15.5 7.9 14.3 8 12.5 8 11.5 9.1 10.7 10.6 9.4 11.3 8 11.7 7 12.2 3.6 13 3.2 14.5 1.9 15.7 1.5 16.6 1.2 17.9 1 18.7 1.1 20.2 1.1 21.4 1 22.4 0.3 23.5 0 26.4 0.9 29.3 1.8 30.3 1.8 31 2.3 32.1 3.3 32.7 4 34.5 6.5 35 7.1 35.6 7.4 36.2 7.5 37 7.2 37.6 6.7 38.4 6.5 39.1 6.6 42.7 4.6 44.1 4.7 45.3 5 48.3 7 50.8 8.3 52.5 8.7 54.6 9 58 9.1 60.7 6.3 61.6 5.7 62.8 5.2 65.2 4.6 69.3 4.3 73.1 4.4 73.8 4.6 75.4 4.9 77.9 5.8 79 6.7 80.7 6.8 81.9 6.7 82.3 5.8 83.5 4.7 84.4 4.2 85.3 3.6 86.8 2.9 88 2.6 89.1 1.7 89.9 1.5 91.4 1.4ZM38.6 79.8 37.8 80 38 78.9 38.9 79.2 38.6 79.8Z' },
+  ni: { viewBox: '0 0 100 96.5', path: 'M100 0.3 99.4 1.2 98.7 1.7 97.3 4.5 96.7 2.7 95.9 2.4 94.9 3.1 94.3 4.2 95.2 5.5 95.9 5.5 96.9 5.9 99.3 15.2 98.8 16.9 97.3 19.4 95.8 21.6 94.4 23 92.5 28.9 90.9 38.3 92.1 46.8 91.5 54.7 92 56.5 92.2 58.8 91 59.3 90.3 59.2 89.6 57.8 89.7 56.5 90.4 55.1 90.7 53.1 90.3 52.1 89.6 54.3 88.4 55.3 87.6 55.7 86.8 56.8 87.6 59 88.7 60.5 89.1 61.7 88.7 63 88.4 67.6 87.6 66.8 86.5 66.8 86.4 68.6 86.4 69.7 85.5 70.5 85.1 71.3 85.9 71.8 86.8 72.2 87.9 72.1 88.8 74.3 89 76.2 87 77.9 86.3 79.3 85.1 81 84.5 82.7 84.3 83.9 85.1 87.7 86.5 90.4 87.7 92.1 89.3 92.5 88.9 94.3 87.7 95.4 85.5 96.4 83.1 96.5 79.2 95.6 77.6 95.5 77 95 76.8 94.2 75.7 92.8 73.6 91 72.4 91.2 70.5 90.8 67.3 89.6 65.8 89.4 63.7 90.5 61.2 91.8 55.2 89.7 51 88.2 47.2 86.9 46.2 86.3 45.4 86.5 44.7 87.2 43.9 88.4 43.2 89.1 42.7 88.6 40.8 86.1 37.9 83.2 26.6 74 22.5 68.5 20.3 64.6 18.2 62.6 12.1 58.3 10.7 56.7 4.7 51.1 0.1 47.8 0 46.3 1.9 44.6 2.8 44.7 3.8 45.9 5.4 47.4 6.2 47.4 7.4 46.7 7.4 46 13.5 45.8 14.6 45.4 15.8 44.4 16.3 42.9 16.4 41.5 16.7 40.5 17.7 39.5 19.5 39.2 20.9 39.1 21.3 38.5 20.8 36.4 20.1 31.2 19.9 29.8 20.2 28.7 20.8 28.3 23.5 28 28.7 28.5 29.7 28.1 31.7 25.2 33.7 23.1 35 22.1 36.1 21.8 37.4 23.7 41.7 26.5 42.5 26.3 43 25.7 43 24.5 44.1 23.3 46.3 22.3 48.6 20.5 50.9 17.8 52.9 16.3 54.6 15.8 55.2 15.1 54.8 14.2 54.9 12.8 55.6 11 56.6 10 57.9 9.7 58.4 9.1 58.1 8.3 58.3 7.4 59.5 5.8 62.3 4.5 63.8 5 65.2 6.7 67 7.9 69.4 8.5 71.3 8.3 72.6 7.2 73.8 6.9 74.9 7.3 75.5 6.1 77.1 6.4 78 6.6 78.8 6.3 79.3 5.4 79.9 5.1 82 5.4 84.3 4.9 86.9 3.5 88.6 2.8 89.4 3 90.4 2.3 91.6 0.7 94.3 0Z' },
+  nl: { viewBox: '0 0 82.2 100', path: 'M40.2 8.9 39.3 8.4 44.1 7 47.1 6.5 47.7 6.7 42.2 8.6 40.2 8.9ZM50.9 6.6 55.1 6 54 5.4 50.4 5.5 49.2 5.7 50.9 6.6ZM63.7 4.1 62.8 4 60.2 4.7 60.7 5.3 63.7 4.1ZM37.6 11.4 35.8 11.3 33.3 13.6 37.6 11.4ZM73.7 0 72.7 0 70.9 0.7 70.3 1.7 72.3 1.5 73.7 0ZM14.1 78.1 11.4 79.5 7.8 79 5.1 78 1.6 78.2 0 78.7 0.6 81.7 1.1 82.6 1.8 83.2 2.6 83.3 3.6 82.6 4.9 81.9 7.1 82.2 8.7 82.9 9.2 83.7 10.3 84.4 11.8 84.5 14.7 83.2 17.6 81.1 18.4 79.7 18.7 78.4 16.3 79.3 14.1 78.1ZM82.2 12.3 79.2 11.6 77.3 10.7 76.1 9 74 6.6 68.6 6.9 64.1 7.5 57.9 7.8 53.9 9 46.6 12.8 44.8 14.7 42.9 18.9 36.6 23.7 32.9 25.6 31.8 24.8 30.3 24.4 29.1 26.8 28.4 29 25.9 41.9 24.2 46.6 21.9 50.5 18.3 55.3 16.7 56.9 15.7 57.5 14.4 59.8 13.4 62.6 12.8 63.9 16.8 68.6 17.3 70 17.8 70.7 14 71.2 15.6 72.8 17.6 73.9 19 74.4 19.7 75.5 18.3 76 16.9 76 11.5 72 8.4 71.2 4.3 71.5 3.2 71.9 2.1 73.1 3.7 75 5.1 76.1 7.3 76.2 10.1 77.6 14 76.5 16.9 77.9 18.7 78.4 20.4 79.3 21.9 79.4 22.5 79.1 22.1 77 23.3 75.9 24.7 75.4 25.3 76.3 26.5 77.2 27.4 77.2 30 74.8 30.7 75.3 31.2 76.1 31.3 76.8 31.4 77.5 32 77.8 34.1 77.7 35.1 76.4 35.9 75.6 36.5 76.1 36.8 77.7 37.4 79.8 39.8 82.1 41.9 82.7 44.4 82.3 45.4 81.9 46.1 82.2 46.8 83.4 48.3 84.8 51.3 85.8 52.3 86.4 52.9 87.3 52.7 88.6 51.3 92 51.1 92.9 51 93.9 49.1 96.1 48.9 96.9 49.6 98.1 50.1 99.2 51.2 99.7 52.3 99.9 54.3 99.9 56.5 100 57.7 94.8 56.8 93.3 55.7 92.5 54.4 92.1 53.8 91.4 53.6 90.6 53.8 90 55.3 90.2 55.8 89.7 59.4 86.6 59.6 86 59.1 85.6 58.4 85.5 58.2 84.8 58.3 84 60.2 79.5 60.8 77.6 60.9 76.3 60.8 74.9 59.6 72.8 58.6 71.2 58.5 69.8 57.8 69.1 55.5 65.6 55.5 64.2 56.8 63.1 58.5 62.4 59.1 61.8 60.2 61.5 63 62.5 64.2 63.4 65.7 62.2 67.7 62.4 72.5 60.4 73.2 59.5 73.7 58.5 71.9 56.1 71.9 55.4 72.1 54.6 72.6 53.9 73.7 53.5 74.9 52.7 77.5 50.2 78.4 48.1 78.7 45.8 78.7 44.1 78 42.8 77.3 41.9 76.3 42 74.4 42 72.6 41.2 71.6 40 71.4 38.9 71.8 38.2 72 37.4 71.7 36.5 71.8 35.8 72.6 35.3 78.3 35.3 78.7 34.6 79.1 31.4 80.5 26.3 81.8 23.5 82 22.4 82 15.7 82.2 12.3ZM8.1 68.4 10 67.9 12.8 70.2 15.5 69.4 15.3 68.8 14.9 68.2 12.8 66.3 9.4 66.1 7.4 66.7 8.1 68.4ZM30.7 22.3 32.8 19.8 32.8 15.8 29.7 19.1 29 21 29.4 21.6 30.7 22.3Z' },
+  no: { viewBox: '0 0 83.8 100', path: 'M66.6 0 67.4 0.4 68.2 1.1 67.2 1.8 66.6 1.8 66.3 1.2 65.7 1.1 66.1 0.4 66.6 0ZM83.5 13 83.7 14.2 83.6 15.1 82.7 15.3 81.9 14.8 81.3 14.4 81.3 15.2 81.2 15.9 80.7 16.6 78.8 17.5 78.2 19.3 77.4 19.9 77 19.1 77 18.5 77.6 17.5 78.1 16.8 78.6 15.9 78 14 76.9 13.5 75.6 12.6 74.5 11.3 74 10.4 73 10.6 72.2 11.4 71.5 11.9 70.9 11.7 70.3 11.6 69.6 11.8 68.9 13 68.4 13.6 68 14.2 67.8 14.8 67.4 16.8 67.2 17.6 67.2 19.5 67.1 20.2 66.8 20.9 65.9 21.4 65.3 22.2 65 23.3 64.5 23.7 63.8 23.2 63.1 22.9 62 22.3 61.5 21.9 60.8 22.3 59.8 23 58.8 23.3 57.7 22.8 56.7 22.6 56.3 22.1 56.1 21.4 55.4 20.2 54.5 18.8 53.9 17.7 52.8 17.7 52.1 18.2 52.3 19.4 51.5 19.5 50.9 19.5 50.3 19.8 49.1 19.9 49.6 20.7 49.8 21.5 49.7 22.3 49.5 23 49.2 23.6 48.6 24.2 49.5 24.7 48.9 25.5 48.3 25.8 47.7 25.5 46.3 24.9 45.7 24.6 45.1 24.5 43.5 24 42.8 24.3 42.8 26.1 42.9 27.1 42.7 27.7 42 29.2 40.9 28.5 40.1 28 39.6 28.6 38.4 29.8 37.8 32 37.3 32.7 36.5 33.1 36.3 33.7 36.8 34.7 37.3 36 37.2 36.8 36.6 37.4 35.5 39.1 34.5 40.9 34 41.4 34.2 42.8 33.2 43.8 32.4 44 31.2 44.2 31.4 45.8 31.5 46.5 31.4 47.3 31.2 48 31 50.7 30.6 51.7 29.8 53.4 29.2 54.5 28.4 56.1 29.1 56.6 29.7 57 29.9 57.6 30 58.5 29.9 59.1 29.7 59.7 29.4 60.3 28.4 60.1 27.2 59.9 26.2 60 25.6 60.4 24.8 61.6 24 62.8 23.6 63.3 23.8 64.1 23.1 65.5 23.5 67 23.8 67.6 23.4 68.2 23.5 68.8 23.5 69.5 23.4 70.4 24 72.6 24 73.4 23.8 74.7 23.6 76.4 24 76.9 24.6 77.4 25.5 78.3 25.9 78.9 25.7 79.7 25.4 80.5 24.6 80.9 24 81.2 24.1 81.9 24.5 83.3 24.8 84.2 25 84.8 24.8 85.4 24.7 86.2 24.6 87 24 87.9 23.3 88.4 22.7 89.1 22.1 90.3 22.3 91.3 22.4 92.2 22.3 93 22.2 93.9 21.9 94.5 21.1 93.8 20.3 93.1 19.7 92.9 19 92.2 18.7 91.6 18.7 90.2 18.6 89.2 18.5 90.3 17.9 90.8 18.1 91.7 18 92.3 17.4 93.6 16.5 94.2 16 93.8 15.5 93.3 15.7 93.9 15.2 94.4 14.5 94.9 14.5 95.6 14 96 13.2 96.7 11.9 98.3 11.3 98.8 10.8 99.2 9.9 99.6 8.5 100 7.7 99.8 7.1 100 6.7 99.5 5.7 99.5 6.1 98.8 5.4 98.6 4 97.9 2.9 96.9 2.5 96.4 2.3 95.7 2.3 95.1 2.4 94.2 3.4 94.3 4.2 94.8 5 94 4.2 94.3 3.5 93.6 3.7 92.9 3.7 92.1 4.5 91.3 5.2 90.6 4.4 90.9 3.9 91.4 3.4 91.8 2.8 92.1 2.1 92.7 1.2 93 1.2 91.2 1.4 90.5 1.9 89.9 2.5 89.7 3.1 89.9 3.8 89.3 4.5 88.9 3.7 88.9 3.1 88.9 3.2 88.3 3.8 87.5 4.2 86.9 4.3 86.2 5 85.4 5.7 85.4 5.5 86.3 6 85.3 6.4 84.8 7 84.4 6.4 84.5 5 85 4.3 85.5 3.7 86.4 3.5 87.3 2.9 87.6 2.4 88.3 1.8 89.2 1.4 89.7 1 88.8 1.3 87.8 1.3 87.1 1.9 87.3 2.9 86.9 2 86.7 1.2 85.7 1.1 84.8 2.4 83.7 1.4 84 0.8 83.1 0.7 82.1 0.7 81 1.3 80.9 2.3 80.8 3.8 80.4 4.8 80.7 5.8 80.3 6.7 80.5 7 81.2 7.2 80.6 8.8 80 8.2 79.2 8.5 78.4 7.9 79.3 7.9 80 6.9 80.1 6 79.8 5.4 80.2 4.1 80.1 2.7 80.2 2.1 80.5 1 80 0.6 78.7 1.2 78.2 1.2 77.6 0.6 76.9 0.4 75.8 0.6 75.2 2.1 75.2 3.2 75.7 3.9 75.9 5.3 75.8 6.2 75.4 5.1 75.5 4.3 75.5 2.8 75 2.2 74.9 1.5 74.9 1 74.3 1.1 73.4 1.8 73.5 2.2 72.9 2.9 71.9 3.6 71.7 4.1 72.1 5.7 71.7 4.7 71.6 4.6 70.9 5 70.3 5.8 70.2 6.9 70.2 8 70.4 8.6 70.8 9.3 70.5 8.7 70.3 9.6 69.5 10.6 69.5 8.4 69.6 7.8 69.3 7.1 69.5 6.3 69.7 6.4 69.1 6.8 68.3 8.3 67.4 8.9 66.9 9.8 66.8 10.6 66.9 10.9 67.6 12.3 68.7 11.3 67.3 10.8 66.4 11.1 65.5 12.1 65.4 12.3 64.8 11.5 64.4 11.5 63.8 12.1 63.3 13 63 13.9 63.3 13.7 64 14.5 63.5 15.1 63.4 15.7 63.1 16.1 63.8 16.6 64.8 17.3 64.3 18.6 64.4 18.9 63.8 19 63.1 19.7 62.6 20.6 62.1 21 61.6 20.4 61.1 21.3 60.4 20.8 60 20.1 60.5 19.6 61 20 61.5 19.7 62.1 17.7 63.5 16.8 63.9 16.3 63.5 15.9 62.6 15.3 62.5 15.4 61.9 16.2 61 16.7 59.8 17.4 59.1 18.5 57.3 19.3 56.8 19.6 56.1 20.2 55.9 20.6 55.4 21.5 54.9 21.9 54.4 21.1 54.7 21 53.7 21.4 53.2 23.6 51.6 24 52.3 24.7 52.2 25.4 51.3 26 50.4 25.4 50.9 24.7 51.5 24.1 51.1 23.5 50.8 23.7 49.3 23.9 48.6 25.1 46.8 25.3 46 26.2 45.7 26.2 45.1 25.6 44.7 27.5 43.8 28.4 43.8 29.2 43.3 29.4 42.7 28.4 43.1 27.6 43.3 26.6 43.4 26.5 41.8 26.6 41 26.9 40.1 27.7 39.5 28.3 38.9 29.3 38.9 28.5 38.4 28.6 37.7 29.5 36.6 30.1 36.3 30.6 35.9 31.4 35.8 32 35.6 34 35.6 33.6 35.1 32.1 35 31.3 35 31.2 34.4 31.9 33.1 32.6 32.5 33.6 33.2 34.2 33.5 34.4 34.3 34.5 33.6 34.9 32.9 34.2 33 33.5 32.2 33.6 31.3 32.8 31.6 32.2 31.7 32.1 31 32.8 29.2 33.6 29.2 34.3 29.5 33.8 28.8 34.2 28 34.8 27.5 35.4 27.3 35.9 26.9 36.3 28.6 36.7 29.8 36.7 28.9 37.1 28.3 36.7 27.6 36.4 26.4 37.1 25.5 37.9 25.4 38.7 25.8 39.4 25.7 40.2 25.3 40.9 25.2 40.5 24.7 39.7 24.9 37.8 24.8 37.7 23.7 38.7 22.9 39.5 22.8 40.3 21.9 40.7 21.2 40.8 20.1 41.3 19.2 42.6 18.7 42.5 18 42.5 17.2 42.9 16.2 43.5 16.2 43.8 16.8 44.4 17.2 45 17.3 44.7 16.7 44.3 16.2 44.4 15.4 45.1 15.4 45.5 14.8 45.6 14.1 46.1 13.3 47.7 12.8 47.7 14.6 47.5 15.6 47.5 16.3 47.9 15.6 48.3 13.6 48.6 12.6 49.2 12 49.7 11.5 49.9 12.2 49.8 14 49.6 15.3 48.8 16.9 50.3 15.2 51.1 15.4 50.8 14.8 50.4 13.8 50.4 12.4 50.7 11.8 51.4 11.9 52 12 52.7 11 53.3 10.9 53.8 11.6 54.4 12 54.9 12.7 54.8 10.9 53.8 10.1 53.2 9.3 53.6 8.6 54.4 8.8 55.1 8.2 55.8 8.1 56.5 7.8 57.3 7.4 57.8 7.8 58.3 8.8 58.5 10 58.9 10.7 59.4 11.1 59.3 10.4 59.4 9 60.4 7.2 61.2 6.5 62.4 4.7 62.9 4.3 62.4 3.6 62.9 2.5 63.6 1.4 64.2 1.6 64.9 2.1 65.3 2.6 65.9 2.5 66.5 2.4 67.2 2.8 66.8 3.6 66.2 4.6 65.6 5.7 65.4 6.3 65.2 7.9 64.7 8.9 64.7 9.6 65.4 9.7 66.1 8.8 66.2 7.8 67.9 5 68.7 3.5 69.5 2.2 70.3 2.8 70.1 3.9 69.7 4.6 69.9 5.8 69.8 6.7 71.1 6.1 71.4 5.2 71.6 4.5 71.7 3.9 72.1 3.3 72.9 3.3 72 2.3 72.2 1.4 73 0.5 73.7 0.8 74.8 1 75.6 1.6 75.6 2.7 75.2 3.4 74.2 4.2 75 4.3 75 5.5 74.9 6.8 74.9 7.6 74.9 8.3 75.2 7.2 75.7 6.2 75.9 5.1 76.3 3.8 76.7 3 77.9 2.8 78.6 3.7 79.6 4.3 80.1 4.9 80.6 4.4 81.5 5.1 81.4 5.7 82.1 5.8 83.7 7.2 83.8 7.8 83.8 8.4 82.2 9.1 81.6 9.8 80.5 10.1 76.8 9.6 79.5 11.2 79.5 12.2 79.6 13 80.1 13.5 80.7 13.4 81.3 12.5 82 13.5 82.3 12.9 83 12.9ZM59.7 3.2 59.5 3.8 58.5 5.4 57.9 5.7 57.2 5.7 56.5 6.2 55.6 5.7 55.1 4.7 55.8 4.7 56.5 4.3 57.9 4.1 59 3.2 59.6 2.9ZM61.6 5.6 61 6 60.5 5.3 60.4 4.6 60.8 3.9 61.4 4.3 61.8 4.8 61.6 5.6ZM60.3 5.8 60.4 6.6 59.4 7.8 58.8 8.3 58.7 7.6 58 7.4 58.1 6.8 58.8 6.1 60.1 5.1 60.3 5.8ZM48 9 48.7 9.6 48.7 10.3 48 10.3 47.8 9.4 47.4 8.5 48 9ZM46.3 10.4 46.8 10.8 47.4 10.8 46.9 11.8 46.6 12.7 45.9 12.8 45.2 13.7 44.9 14.3 44.8 14.9 43.6 15.1 42.7 15.1 42.6 14.5 43 14 43.4 13.2 44.2 12.8 44.5 12 44.9 11.4 45.4 10.6 45.7 9.7 45.9 8.7 46.3 9.3 46.3 10.4ZM51.2 10.2 50.6 10.3 50 9.9 50.3 9.1 51.2 8.9 51.2 10.2ZM80.6 12.9 80 13.2 80.2 11.9 80.9 12.5ZM40.7 14.7 41.1 15.3 41.9 15.2 42.5 16 42.5 16.6 42.1 17.2 42.1 18.4 40.9 18.7 40.1 19 39.6 19.9 39 19.5 39 18.9 39 17.6 39.1 16.9 40.2 16.7 39.8 15.8 40.5 15.3 40.7 14.7ZM35.1 24 35.6 23.2 36.1 22.7 36.3 21.9 36.8 21.3 37.4 21.9 37.6 22.7 37.5 23.4 37 24 36 24.9 35.6 25.5 34.9 25.8 34.1 26.2 33.8 25.6 33.3 26.2 32.4 26.2 31.5 27.2 30.6 27.3 30.3 26.7 30.9 25.9 31.3 25.4 33 25.1 34 23.5 34.2 21.9 34.5 21.3 34.1 20.3 34.2 19.7 34.8 18.9 35.5 17.6 36.3 17.7 35.9 19.1 35.3 19.9 35.3 20.5 35.6 21.7 35.7 22.5 35.2 23.5ZM33.3 20.6 33.8 21.5 34 22.1 33.8 23 33.4 23.5 32.8 23.6 32.1 23.3 31.4 23.3 30.8 23.1 31.1 22.2 31.7 21.8 32.2 21.1 32.8 20.1 33.3 20.6ZM29.1 26.6 29.8 26.7 29.6 27.3 28.9 27.8 28.1 28.1 27.5 28.7 26.9 28.1 27.2 27.5 28 26.7 28.8 26.5ZM26.2 29.9 25.7 30.4 25.9 29.6 26.1 28.7 26.7 28.4 26.6 29.2 26.2 29.9ZM24.4 44.9 24.4 44.3 24.8 43.6 25.1 44.3 24.4 44.9ZM24.7 46 24.6 45.4 25.5 45.2 24.7 46ZM23 48.2 22.4 48.3 22.7 47.6 23 48.2ZM20.6 54 19.3 54.2 19.3 53.6 19.9 53.1 20.7 53.7ZM11.8 62.8 11.2 62.7 12.5 62.1 11.8 62.8ZM10.6 65.2 9.9 65.1 10.1 64.4 10.7 64.5 10.6 65.2ZM0.5 80.7 0.1 80 0.5 80.7ZM0.9 85.7 0.9 86.5 0.5 86 0.4 85.1 0.9 85.7Z' },
+  np: { viewBox: '0 0 100 56.2', path: 'M99.4 35.4 99.9 36.4 99.8 37 99.3 38.5 98.8 39.6 98.3 41.7 97.8 45.5 97.9 46.2 99.4 48.4 99.9 50 100 51.2 99.4 53.1 98.7 55.2 98.3 55.7 96.1 55.1 94.9 55.2 93.5 55.6 92 55.6 90.8 55.3 89.2 56.2 87.7 55.7 86.8 55.2 86.1 53.7 82.7 55 82 55.1 80 54.3 78.5 53.5 77.9 53.2 76.3 52.9 74.9 52.7 73.4 52.2 71.6 52.9 70.8 52.8 70.1 52.3 69.7 51.3 69.6 50.4 69 49.7 68 49.6 66.6 50.2 64.6 50.9 64 50.8 63.4 50.6 62.9 49.5 62.1 49.3 61.3 49.1 60.2 48.4 57.1 46.8 56.7 46.1 56.8 44.6 56.6 43.9 56.2 43.3 54.6 42.6 51.5 41.5 49.8 40.6 49 41 47.4 41.4 46.6 42.2 45.6 41.9 43.2 41.1 41.9 41 41.1 41.3 39.9 42.3 39 41.8 37.1 41.3 35.5 40.9 33.1 40.2 32.8 39.2 32.4 38.1 31.8 37.9 29.6 38.1 27.6 36.9 25.4 35.4 24.5 34.9 23.9 34.8 22.8 35.3 22.2 35.4 21 34.8 19.5 33.8 17.7 32.7 15.5 31.1 14.6 30.2 14.2 29.5 13.8 28.9 11.9 27.9 10.4 27 8.6 26 7.6 25.2 6.6 24.5 5.8 24.3 5.3 25.1 4.5 25 3.4 24.3 2.2 23.5 1.2 22.7 0.2 22 0 21.4 0.4 19.7 1 18.2 2.2 16.9 2.5 15.1 2.5 13.6 3.3 11.6 4.3 9.3 6.1 6.9 6.9 6.1 7.8 5.6 9.5 3.8 10.6 3.1 11.3 3 12.4 4.1 13.1 5 13.9 4.9 14.8 4.2 16.8 0.7 19.6 0 22.2 0.4 24.6 0.9 25.2 2 25.7 3.3 26 3.9 26.7 4.6 30 6.3 31.9 7.9 34.6 10 36.5 10.9 38.3 11 39.3 11.8 40.7 13.4 42 15.3 43.5 17 44.6 17 46.1 16.4 47.9 15.7 49 16 49.9 16.5 50.3 17.4 50.9 19.1 51.5 20.8 52.5 21.4 53.8 22.3 54.4 23.1 56.7 24.4 57.5 25.3 58.1 25.5 59.2 25.8 61.9 25.1 62.6 25.2 62.5 26.8 62.1 28.4 62.5 29.2 63.6 29.5 66.1 29.7 69.4 29.7 70.4 30.5 71.4 31.7 72.4 33.7 72.8 34.6 74.1 34.5 74.3 33.6 74.3 32.4 75 32 76 33.2 77.4 34.1 78.4 34.5 79.3 34.4 80.2 32.4 80.9 32.1 81.9 32.2 82.6 33.2 83.7 33.6 84.9 34 85.9 34.5 87.4 35.8 89.3 36 91.4 36 92.5 36 93.4 36.1 94.1 36 96.3 35.1 97.2 35.1 98.3 35.2Z' },
+  nr: { viewBox: '0 0 84.8 100', path: 'M84.8 43.9 52.6 100 15.2 93 0 55.6 11.1 15.8 52.6 0 80.1 12.3Z' },
+  nu: { viewBox: '0 0 85.8 100', path: 'M80.1 68 24.7 100 0 62.1 21.9 14 47.9 1.6 63.3 0 85.8 44.6Z' },
+  nz: { viewBox: '0 0 71.3 100', path: 'M71.1 47.5 70.3 48.2 70.2 47.6 69.8 48.2 70.3 48.7 70 49.3 69.4 49.5 69.6 48.7 69.6 48.1 68.6 48 69.2 47.6 71.1 47.5ZM29.3 2.4 30 2 30.9 2.8 31.5 2.9 32.6 3.4 32.6 4 33.3 4 33.7 4.5 34.3 5.6 34.5 6.5 33.7 6.5 34.1 7 34.3 7.6 35.3 9.1 35.2 9.8 35.4 10.6 35.1 11.4 35.5 11.9 36.3 12.1 37.1 12.4 37.5 13.3 38.3 13.5 38.3 12.7 38.1 11.8 38.1 11 37.7 10.3 38.8 11.3 39.5 11.9 39.8 13.5 40.1 14.7 40.5 15.2 40.9 15.8 42.5 16.6 43.1 16.9 44.7 17.4 45.4 17.4 46.3 17 46.9 16 47.7 15.6 49.1 15.3 49.9 15.8 49.8 16.8 49.4 18.5 49.3 19.7 49.1 20.3 48.4 21 47.8 21.8 47.7 22.6 47.9 23.3 47.3 23.3 46.7 23 46.1 22.9 45.2 23.1 44.6 23.5 43.9 24.4 43.8 25 43.9 25.6 44.5 26 43.9 27.2 43.4 28.5 42.8 29.2 42.5 29.9 42 30.6 41.6 31.1 41.1 32.2 40.6 33 40 34 39.5 34.5 38.9 35 37.9 35.7 37.4 36.1 36.9 35.7 36.8 35 35.8 35.1 35.6 34.3 34.8 34.6 34.9 34 35.5 33.1 36.2 32 36.8 30.9 36.9 30.3 37.1 29.1 36.7 28.2 36.2 27.4 35.4 26.9 34.4 26.7 33.6 25.8 32.7 25.4 31.9 25.1 31.4 24.7 31.2 23.9 31.5 23.2 32.4 22.7 33.4 22.4 34 22.2 34.4 21.7 34.6 20.5 34.8 19.6 35 18.6 35.4 18 35.3 17 35.8 16.5 35.5 15.9 35.1 15 35.2 14.2 34.5 13 35.1 13.6 35.3 13 35.3 12.2 34.5 12.4 33.9 11.9 33.7 11.2 32.9 10 33.8 10.5 33.9 9.8 33.6 9.2 33.4 8.4 32.3 8.2 31.8 7.1 31.8 7.7 32.2 8.3 32.7 9 32.1 8.8 29.8 5.4 30.5 4.6 29.8 5.1 29.3 4.7 28.8 3.9 28.9 3.3 28.7 2.3 28.3 1.8 27.6 1 27 0.1 27.7 0 28.4 0 28.2 0.8 28.9 1.8 29.3 2.4ZM38.3 9 37.5 8.7 37.6 8.1 38.2 8.5ZM28.6 34.3 29.5 33.9 30.4 33.4 31.1 32.8 31.8 32.6 31.8 33.2 31.6 33.8 32.3 33.2 32.8 32.8 33.4 32.9 33 33.5 32.6 34 33.3 33.7 33.1 34.5 32.4 35.1 32.8 35.8 32.5 36.4 33.3 36.7 33 37.3 32.3 38.1 31.7 38.8 31.5 39.6 30.5 40.6 29.6 42.6 29.1 43.3 28.5 43.8 27.8 44.1 27.1 44.9 27 45.6 26.3 46 27 45.9 27.3 46.5 28 47 28.6 47.3 28.6 48.1 27.9 48.3 27.2 47.9 26.4 48 26.1 47.4 25.8 48 25.1 48 24.4 47.3 24.8 48 24.6 48.6 23.8 49 23.1 49.5 22.3 49.6 21.9 50.1 21.2 50.4 21.2 51.8 21 53.2 20.8 54 20.7 54.7 20.2 55.3 19.8 56.6 19.5 57.4 19.1 58.3 19.4 58.9 19 59.5 18 59.8 17.4 60.6 16 62 15.3 62.8 13.7 63.6 12.7 63.7 11.7 63.4 10.9 63.5 10.2 63.5 9.7 62.9 9.3 62.3 8.7 62.1 8 62.2 7.3 61.4 6.5 60.9 6 61.4 4.8 61.5 3.7 61.4 3.3 60.9 4.1 59.9 3.3 60.4 3.3 59.7 2.4 59.9 2.4 59.1 3.8 58.8 4.4 58.5 3.7 58.4 3.7 57.8 4.4 57.4 3.3 57.5 3.5 56.8 4.1 56.7 5 56.8 4.9 56.2 4.5 55.7 4.9 54.7 6 53.5 6.2 54.2 6.2 53.6 6.7 53 7.2 52.5 7.8 52.4 7.8 51.7 8.4 50.9 9.1 50.2 9.8 49.4 10.9 48.8 11.6 48.9 12.3 48.3 12.9 48.4 13 47.7 13.6 47.3 14.4 46.9 15 46.7 15.6 46.4 15.7 45.8 16.4 45.4 16.9 44.8 17.5 44.3 18.1 43.7 18.7 44 18.7 43.3 19.6 42.7 20.1 41.9 20.3 42.5 20.4 41.8 21 40.8 21.4 39.7 21.5 39.1 21.7 38.5 22.2 37 22.9 36.8 23.6 36.3 24 35.7 24.6 33.9 24.8 32.6 25.3 31.6 26.1 30.9 26.8 30.3 27.5 30.2 27 30.8 27.1 31.4 27.7 31.9 28.4 32.6 28.4 33.2 28.5 33.8ZM31.8 32.1 31.7 31.5 31.8 32.1ZM4.3 55.5 4.5 56.1 4.3 55.5ZM3.4 58.1 2.8 58.4 3.2 57.9ZM8.9 65 9 65.8 9.1 66.4 8.4 66.5 7.6 66.8 7.1 67.3 6.5 67 6.9 66.3 7.3 65.6 7.4 64.7 7.5 64.1 8.2 64.1 8.9 65ZM1.3 88.5 0.7 88.8 0.1 88.8 0.7 88 0.8 87.3 1.4 87.1 1.3 87.8 1.2 88.4Z' },
+  om: { viewBox: '0 0 75.7 100', path: 'M41.6 7.5 40.5 7.6 40.1 7.1 40.2 6.5 40.2 5.4 40.4 4.4 40.3 3.3 39.5 3.1 40.3 1.6 40.9 1.5 41.7 1.3 42 0.5 42.4 0 42.7 1.6 42.7 2.6 42.3 5.9 41.9 6.4 41.6 7.5ZM41.4 11.9 40.7 12.2 40.8 11.6 41.4 11.2 41.4 11.9ZM10.7 100 10.1 98.7 9.5 97.4 8.9 96 8.3 94.7 7.9 93.8 7.2 93.5 6.8 92.5 6.4 91.5 6 90.5 5.5 89.5 5.1 88.5 4.7 87.5 4.3 86.5 3.8 85.5 3.4 84.5 3 83.5 2.6 82.5 2.1 81.5 1.7 80.4 1.3 79.4 0.9 78.4 0.4 77.4 0 76.4 1.4 75.9 3 75.4 4.7 74.8 6.3 74.2 8 73.6 9.6 73 11.3 72.5 12.9 71.9 14.6 71.3 16.2 70.7 17.9 70.1 19.6 69.6 21.2 69 22.9 68.4 24.5 67.8 26.2 67.2 27.8 66.6 28.9 66.3 29.3 64.9 29.6 63.8 30 62.7 30.3 61.5 30.7 60.4 31 59.3 31.4 58.1 31.8 57 32.1 55.9 32.5 54.7 32.8 53.6 33.2 52.5 33.5 51.3 33.9 50.2 34.2 49 34.6 47.9 34.9 46.8 35.3 45.7 34.7 44.7 33.8 43.3 33 41.9 32.2 40.6 31.6 39.6 30.9 38.4 31 36.9 30.9 36.2 31 35 31.7 33.4 32.5 31.3 33.1 30 33.6 28.8 34 27.8 34.2 26.8 34.1 26.1 33.6 25.5 34.4 25 35.8 24.7 36.6 24.7 37.7 24.5 38.6 24.3 38.4 23.4 38 22.7 36.8 22.6 36.8 21.3 36.7 20.5 36.5 19.8 36.6 18.9 36.8 18.2 36.7 16.7 36.8 15.8 37.5 14.9 38.4 14.7 38.9 15.4 38.4 15.9 38.8 16.5 39.3 17.2 40.2 16.6 40.7 16.2 41.3 15.8 41.7 15.1 42.5 14.6 43.4 17.4 44.9 20 46.2 21.4 47.5 23.3 49.5 25.1 50.5 25.7 54.2 27 56.3 27.4 59.1 27.9 61.1 28.8 61.8 28.9 62.8 28.6 63.5 28.6 65.4 30 66 31.2 66.7 31.9 67.4 32.9 67.9 34 69.5 35.6 70.6 37.5 71.7 38.9 72.7 39.7 74.3 40.1 75.5 40.4 75.7 41.4 75.5 42.5 75.3 43.4 74.2 45.1 73.9 46.2 72.6 47.9 71.2 50.9 70.5 51.5 68.3 53 66.6 54.8 64.6 58 63.1 61.1 62.5 62 61.3 62.3 60.5 62.2 60.2 61 60.3 60.1 59.6 60.2 59 60.4 57.5 62.7 56.6 63.7 56.5 65 56.1 66.7 55.5 68.2 55.2 69.5 55.2 70.2 55.7 72 55.7 73.8 56 74.9 56.2 76.2 55.5 76.6 54.9 76.8 52.5 76.9 50.1 77.3 47.9 78.1 46.7 78.8 45 80.5 44 84.8 42.4 86.6 41.3 86.9 38.7 87.1 35 87.6 33.7 88 31.6 90.6 31.4 91.4 31.8 92 31.9 92.6 31.8 93.3 30.8 94.9 29.7 96.1 26.9 96.8 25.9 96.4 24.9 96.2 23.1 96.1 20.1 96.4 19 97.3 17.3 97.9 15.7 98.9 12.7 99.2 10.7 100ZM64.9 64 64.3 64.1 64.1 62.8 65.5 61.2 66.5 59.3 67.1 61 66 61.9 65.4 63.5 64.9 64Z' },
+  pa: { viewBox: '0 0 100 40.9', path: 'M96.9 16.2 95.7 17.8 95.2 18.9 96.4 20.2 96.7 21.5 97.4 22.9 98.5 24.3 99.7 26.9 100 28 99.7 28.7 98.5 29.1 97.4 30.3 97.1 31.8 97.3 32.6 94.1 35 93.3 35.4 92.8 35 92.1 33.8 91.2 32.8 90.6 32.5 90.2 33.2 90.6 35.5 90.2 36.4 89.2 37.1 87.9 40.8 87.4 40.3 83.3 35.4 79.7 29.2 79 26.5 79.9 26.3 80.8 26.4 81.3 25.9 81.8 25.1 81.4 23.2 83.1 21.8 83.8 20.9 85.4 22.6 87 23.5 89.1 24.9 90.3 25.2 88.7 23.8 86 21.9 85.2 20.7 84.5 19 83.4 19.7 82.9 20.3 82.4 20.7 81.9 20.3 81.8 19.7 80.2 19.6 79.8 19.1 79.6 19.9 79.9 20.5 79.7 21.3 78.7 20.6 78.2 19.8 77.4 16.7 75.6 15.2 74.7 14.7 74 14.5 73 13.5 71.7 13 69.8 11.4 67.6 10.3 64.8 9.9 61.5 10.2 60.4 10.8 59.6 11.6 57.3 12.9 56.5 14.2 56 15.3 55.1 16.5 56.2 17.3 49.7 21.5 48.5 22.1 45.6 22.5 44.9 23 44 23.8 43.9 25.1 44.1 26.2 44.9 27 45.6 27.6 47.4 30.1 50.6 33.2 51.2 34.4 51.7 36.1 50.8 36.9 50 37.3 47 37.4 45.9 38.1 45.5 39.1 44.4 40 40.5 40.8 37.4 40.9 36.5 40 36.2 37.2 34.2 32.5 33.7 29.3 33.1 29.7 32.1 30 31.7 30.8 31.4 33.2 31 34 30.2 34 28.4 33.1 26.1 32.3 23.2 27.3 22.9 26.3 22.3 25.2 20 24.7 18.1 23.8 16 23.7 14.9 24.2 13.8 23.6 13.6 22.2 11.4 22.8 8.5 22.6 6 22 4.2 22.3 2.8 23.3 3 25.8 2.5 26.3 2.5 25.3 2 24.1 1.4 23.1 0.1 22.1 0.5 21.2 2.8 19.7 3.1 19.1 3.2 17.8 2.9 16.6 1.9 14.8 2.5 13.7 3.7 12.8 4.9 12.1 4.9 11.1 4.2 10.5 2.5 9.4 1.5 9.3 1.4 6 1.5 2.6 2.4 2 2.9 1.5 3.1 0.5 3.9 0.1 5.2 0.9 6.6 1.6 7.5 1 7.9 0.3 9 1.3 11.3 2.9 11.4 3.7 11.2 4.5 11.8 6.7 12.9 7 14.1 6.6 14.2 7.4 13.6 7.9 13.4 9.8 15.3 10.6 16.3 11.4 19.4 11.1 20.6 11.3 21.4 11 20.5 9.5 19.3 8.4 20.3 8.3 21 9 22.6 10 25.4 13.3 28.7 14.1 31.3 14 33.7 13.5 37.5 12.3 40.3 9.9 42.5 8.9 49.7 6.7 52.3 4.4 53.4 4.1 54.4 3.8 56.7 2 57.9 0.7 59.2 0 63 0.5 65.4 1.1 67.1 1.1 68.8 1.5 69.5 2.5 70.2 2.9 74.3 2.8 77.6 3.3 84.8 6.2 89.1 9.1 91.4 12.2 96.9 16.2ZM13.6 3.7 13.4 4.5 12.1 3.1 12.9 2.8 13.6 3.7ZM70.8 22.8 70.5 23.5 69.7 21.9 69.7 20 70.5 19.6 71.5 19.8 71.8 21.5 71.6 22.3 70.8 22.8ZM67.9 23.1 67.2 23.9 66.9 23.2 67.4 22.4 67.9 23.1ZM24.4 39 23.5 39.1 21.5 38.3 20.1 36.9 20.1 36 20.8 34.5 21.8 34 23.2 35.7 22.6 36.4 22.8 37.4 24.2 38.2 24.4 39Z' },
+  pe: { viewBox: '0 0 68.4 100', path: 'M61.4 22.5 61 23.1 60.3 22.9 59.6 22.6 59.1 22.1 58.4 22.2 57.8 22.2 56.9 22.2 56.3 22.9 55.1 23.3 54.1 23.5 53.5 23.6 52.2 23.9 51.3 24 50.6 24.4 50 24.7 49.1 25.3 48.5 25.5 47.9 26.1 47.2 26.7 46 27.2 45.6 27.7 45.5 28.3 45.3 29.3 45.2 30.1 44.7 30.9 44.2 31.7 43.8 32.6 44.1 33.5 44.4 34.2 44.1 34.9 43.3 35.1 42.3 35.7 41.3 36.5 40.9 37.3 40.7 37.9 41.1 38.9 40.4 39.3 39.8 39.5 39.9 40.2 40.2 41 40.9 41.5 41.1 42.2 41.2 42.8 41.6 43.3 41.8 43.9 42.1 44.5 42.7 45.2 43.2 45.6 43.4 46.4 44 46.8 44.4 47.3 45.2 48.3 45.2 48.9 44.6 49.7 43.9 50.5 45 50.5 46.1 50.5 47.2 50.7 47.9 51 48.7 51.3 49 52 49.5 52.9 49.5 53.8 51.1 53.8 52.6 53.8 54 53.7 54.6 53.5 55.2 52.9 56 52.5 56.5 51.9 57.2 51.4 57.8 50.9 58 51.7 58.1 52.5 57.8 53.6 57.8 54.7 57.8 55.7 57.8 56.9 57.8 58.3 57.8 59.2 58.4 58.9 59.1 59.5 59.7 59.5 60.9 59.1 61.5 58.8 62.1 58.8 63 58.9 64.2 60.1 64.7 61 65.3 62 65.7 62.8 66.4 64 67 65 67.6 66.2 68.4 67.4 67.9 68 67.7 68.7 67 69.2 66.8 70 66.8 72.3 66.8 72.9 66.6 73.5 66.5 74.5 66.8 75.6 67.3 76.2 66.8 77 66.6 77.8 66 78.3 65.6 78.9 65.2 79.8 64.6 80.6 64.9 81.5 65.7 82.3 65.3 83.1 64.4 84.6 64.5 85.3 65.5 87.6 65.9 88.1 67.1 88.3 67.1 89 66.5 89.5 66.6 90.4 66 90.8 65.2 91.6 64.6 92.4 63.9 93 63.3 93.5 63.6 94.3 63.9 95 63.5 95.6 63 96.1 62.3 96.2 62.1 96.8 62.3 97.5 62.1 98.6 61.7 99.2 60.9 99.6 60.3 99.9 59.2 99.9 58.6 99.6 56.8 98.3 56.2 97.7 55.6 97.3 54 96.3 53.7 94.8 53 94.1 51.7 93.5 50.6 92.8 49.9 92.4 49 91.7 48.5 91.2 47.9 90.8 46.2 90.3 45.3 89.7 43.6 89 42.9 88.5 41.1 87.9 38.9 86.3 37.6 85.9 36.6 85.1 33.7 83.5 33.2 83 32.8 82.2 32.1 81.8 31.4 80.7 30.3 80 29.2 79.2 28.8 78.4 28.1 77.5 27.9 76.9 27.3 76.4 27.2 75.4 26.8 74.9 27.4 74.6 27.8 73 27.6 72.2 26.5 70.8 26.1 70.1 25.8 69.2 25.4 68.7 24.7 67.6 24.3 66.6 23.5 65.9 23.1 65.3 22.6 64.3 22.2 62.8 21.8 62.1 20 60.8 19.8 59.3 19.5 58.3 17.5 55.2 17 54.2 16.5 52.7 16.1 51.8 15.6 50.3 14.9 49.1 14.4 48.1 14 46.9 13.9 46.2 13 45.1 12.6 44 11.7 43.1 10.9 42.4 9.4 39.7 9.3 39 8.5 37.8 7.7 36.9 7.3 36.2 6.6 35.6 2.8 33.6 1.5 32.7 0.8 31.7 1.3 31 1.9 31.3 2.5 30.7 2.1 29.2 0.9 27.6 1.2 26.8 0.8 26 0.3 25.4 0.3 23 2.4 20.6 2.9 19.8 3.7 19.3 4.5 18.6 5.5 18 5.9 18.7 6 19.4 6 20.1 6.2 20.8 5.6 21.3 4.9 21.1 4.5 21.6 4.6 22.2 5.3 22.4 4.8 23.1 4.9 23.7 5.6 23.5 6.2 22.9 6.9 23 7.4 23.4 8.1 23.7 8.8 23.8 9.5 24 9.9 24.9 10.5 25.8 11.2 26.4 12.2 26.6 12.7 26.2 13.1 25.7 13.4 24.8 14 24.5 14.5 23.7 14.4 23 14.8 22.1 15 21.5 15.4 20.7 15.8 20.1 15.9 19.5 16.2 18.2 16.8 18.5 17 17.9 17.7 17 18.4 16.1 19.9 15.4 20.7 15.1 21.5 14.9 22.6 14.5 24.1 13.9 25.2 13.5 26.1 12.8 26.9 12.3 27.5 11.8 28.4 11.2 29.5 9.9 30.2 9.1 30.8 8.4 31.5 6.8 31.8 5.5 32 4.9 32.6 5 32.7 3.6 32.8 2.9 31.9 2 31.6 1.1 30.8 0.6 31.7 0.6 32.4 0.5 33 0 33.9 0.4 34.5 0.8 35.1 0.9 35.6 1.4 36.3 1.8 36.9 2.3 37.4 2.9 37.6 3.5 37.9 4.1 38.1 4.8 38.7 5.1 39.4 5.3 40 5.8 40.7 6.3 41.5 6.5 41.9 7.3 42.4 8 42.2 8.6 42.7 9.1 43.6 9.3 44.1 9.9 44.3 10.5 44.2 11.4 44.7 12.2 45.4 12.6 46.1 12.7 46.9 12.5 47.8 12.6 48.8 12.7 49.7 12.6 50.5 12.3 51.2 11.7 51.8 11.3 52.8 11.7 53.4 12.1 54.2 12.3 54.8 12.2 55.7 11.7 57.5 12.4 58.2 12.8 59 13.1 59.7 13.5 60.4 14 60.9 14.4 60.5 15.2 59.7 16.4 59 17.4 57.9 19.1 57.3 20.1 58.4 20.5 59 20.5 59.7 20.4 60.2 21.2 60.8 21.8Z' },
+  pf: { viewBox: '0 0 100 81.9', path: 'M75.2 0.8 74.5 1 74 0.4 75.3 0.1 75.2 0.8ZM75.2 4.3 74.7 3.8 75.4 3.7 75.2 4.3ZM82.1 6 83 6.4 82.1 6.9 81.3 6.9 82.1 6ZM81.8 7.6 81.3 8.1 81.5 7.5ZM84.5 11.5 84.3 10.9 84.5 11.5ZM42.5 47.3 41.9 46.8 42.5 47.3ZM39.6 50.5 39.2 50 38.8 49.4 38.8 48.8 39 49.4 39.4 50.2ZM0.3 52.8 0 52.2 0.3 52.8ZM52.2 52.6 51.3 52.2 51.9 52.5ZM53 52.5 52.3 52.5 52.9 52.5ZM0.7 54.3 0.2 53.5 1 54.2ZM11.2 58.8 10.6 58.7 11.2 58.3ZM14.4 59.8 15.3 60.1 15.5 60.7 14.8 60.9 14.3 60.1 13.3 60.2 12.7 60.1 12.4 59.3 12.5 58.7 13.2 58.5 14 58.7 14.4 59.8ZM70.3 61 70.4 60.2 71.1 59.8 70.5 60.3 70.2 60.9ZM70.2 63.2 69.3 62.5 70.2 63.2ZM95.5 64.3 94.9 63.8 95.5 64.3ZM71.1 64.6 70.5 64.2 71.1 64.6ZM100 65.7 99.4 65.5 98.8 65.2 99.4 65.4 100 65.7ZM85.5 81.7 85.1 81.2 85.5 81.7Z' },
+  pg: { viewBox: '0 0 100 68.2', path: 'M84 67.1 85.1 67.5 84.1 68.2 82.9 67.7 82.3 67.4 82 66.8 81.8 66.1 82.4 66.3 84 67.1ZM88.9 66.4 87.8 66.8 87.2 66.4 87.7 66 88.6 66.2ZM66.5 61 65.8 61.4 66.3 60.9ZM67.7 57.4 68.4 56.9 69.1 56.9 68.7 58.5 66.9 57.9 66.8 57.2 66.2 56.4 65.8 55.7 67.5 56.8 67.7 57.4ZM64 52.9 65 53.4 65.8 53.4 66.4 54 66.5 54.8 66.1 55.3 65 54.9 64.4 54.8 63.4 54.7 63.9 54.1 63.4 53.5 63.8 52.9ZM62.8 53.9 61.3 53 61.4 52.3 61.9 51.9 62.7 52.3 62.9 52.9 62.8 53.9ZM78 50.3 79.1 50.3 79.8 50.9 80.4 51.3 80.2 52 79.5 52.1 78.8 51.7 78 51 77.2 50.6 78 50.3ZM18.1 48.1 17.2 48 16.3 47.3 15.5 46.7 16.1 47.1 17.1 47.4 18.1 48.1ZM67.9 48.8 67.7 48.2 67.2 47.4 67.8 46.7 67.9 47.4 67.9 48.8ZM18 47.1 16.6 46.7 17.7 46.4 18.1 47ZM47.5 29.5 46.4 29 45.8 28.2 45.8 27.5 47.6 28.1 47.7 29.1ZM100 35.2 99.8 35.8 99 35.9 98.4 36.4 97.7 36.3 97.1 36.1 96.5 35.8 95.9 35.4 95.4 34.8 95 34.1 95.2 33.4 95 32.7 94 32.2 93.3 31.4 92.2 30.5 91.8 29.4 91.9 27.6 91.9 27 92.5 27.3 93.6 27.6 94.3 28.1 94.9 29.2 95.2 29.8 95.8 30.2 96.8 31.6 97.5 32 98.5 32.6 99.1 33.2 99.5 33.8 99.8 34.4 100 35.2ZM41.8 26.9 40.9 26.3 40.8 25.7 41.5 25.3 42 25.7 42.1 26.6ZM91.3 26.9 90.9 26.1 90.8 25.5 90.6 24.8 91 24.3 91.6 24.4 91.6 25 91.7 26.6ZM34.2 22.2 33.4 22.3 33.4 21.4 34 21 34.4 21.7ZM73.2 19.4 74.6 18.8 75.1 19.3 75.8 19.6 76.5 19.7 76.2 20.7 76.5 21.6 76.4 22.3 76.1 22.9 75.5 23.7 74.9 24 73.9 24.1 73.7 25 74.3 25.7 74.7 26.4 74.3 27.1 73.6 27.5 72.9 27.8 71.8 27.6 70.6 27.7 70.3 28.4 70 29 69.3 29.6 68.7 30.1 67.7 30.6 66.6 30.8 65.9 31.1 65.2 31.6 64.4 31.9 63.7 32.4 61.8 32.6 59.5 32.6 58.9 32.6 58.2 32.6 57.1 31.5 56.4 31.2 55.7 31.2 54.7 31.5 52.6 30.1 52 29.8 51.4 29.5 50.7 29.4 49.9 29.1 49.5 28.5 49.6 27.6 50.1 27.2 51 27.4 51.7 27.2 52.5 27.4 53.9 27.2 54.7 27.5 55.5 27.8 56.3 27.9 57.1 27.8 58.1 27.4 59.4 27.5 60.3 27 60.6 25 60.8 24.3 61.7 24.5 61.2 24.9 61 26.1 61.2 26.9 61.7 27.5 62.5 27.6 63.2 27.2 64 27.1 64.7 27.5 65.4 27.4 66.1 27 66.8 26.8 67.3 26.1 67.6 25.4 68.1 24.8 69.3 23.8 70.1 23.6 70.9 23.6 71.6 23.3 71.6 22.5 71.6 21.6 70.8 19.7 70.9 19.1 71.8 18.7 72.6 18.9 73.2 19.4ZM78.2 11.7 78.1 12.3 77.4 11.5 78 11.1 78.2 11.7ZM74.4 10.5 73.6 10.2 74.3 10.3ZM73.5 9.7 73.4 8.9 73.9 9.6ZM21.6 16.2 22.4 16.2 23.3 16.1 23.9 16.3 24.4 16.9 24.9 17.4 25.7 17.6 26.4 18.1 27 18.7 27.5 19.3 28 19.7 28.8 19.9 29.6 20 32.5 22.9 32.7 25.2 32.3 26.7 33.1 27.2 34 27.3 35.4 27.6 36.7 28.1 40.9 30.1 41.5 30.3 42.3 30.3 43.2 30.3 44.1 30.8 45 31.7 45.5 32.4 46.1 33.1 46.3 34.3 46.3 35 45.4 35.4 43 35.6 41.5 35.4 40.4 36.2 41.4 38.4 41.9 39.8 42.4 40.3 43.1 40.8 43.7 41.4 44.3 42 45.5 43.1 46.1 43.5 46.9 43.7 48.1 44.6 48.6 46.2 48.8 47 48.9 47.6 50 48.3 50.8 50.1 51.1 50.9 51.8 51.2 52.5 51.2 54.6 50.7 55.2 50.8 55.7 51.8 55.3 52.5 55.2 53.3 55.6 53.9 56.7 54.3 58.9 54.6 59.6 54.8 60.4 55 60.1 55.6 59 55.9 59.3 56.8 59.7 57.3 60.3 57.6 61.1 57.8 61.9 58.1 62.9 58.5 64.1 58.6 65 58.9 66.2 58.8 65.1 59.4 63.5 59.3 63.8 60.1 64.5 60.5 63.7 61.5 62.7 61.6 61.5 61.4 60.6 61.1 60.2 60.5 59.4 59.9 58.2 59.5 57.5 59.5 56.2 59.2 53.5 58.9 52.8 58.8 52 58.3 51.2 58.4 50.1 58.5 49.1 58.1 48.3 57.9 47.6 58.1 46.6 57.8 45.7 57.7 45.1 57.3 44.3 56.6 43.9 55.8 43.4 55 42.6 54.4 41.1 53.4 40.2 52.2 40.2 51.6 40.4 50.9 39.7 51.1 38.6 50.7 38.2 50.2 37.5 48.9 37.1 48.2 36 46.9 35.7 46.2 35.2 45.5 34.8 45 34.3 44.4 32.8 43.8 32.2 43.6 31.1 43.5 30.5 43.4 29.3 43 28.7 42.8 28 42.8 27.2 42.6 26.6 42.1 26.5 41.4 25.9 41.5 25.3 41.4 24.7 41.2 23.8 41.2 23.6 41.8 22.9 41.8 22.3 42.3 21.7 42.3 20.6 41.9 19.7 41.3 18.9 40.6 20.4 43.5 19.7 43.5 19.7 44.1 18.6 43.9 17.8 43.8 18 44.6 18.2 45.2 17.1 45.5 16 45.7 14.8 46 13.5 46 12.9 45.8 12.2 45.7 11.6 45.8 11 46 10.2 45.6 9.8 45 8.9 45.2 9.7 45.2 10.1 46 10.7 46.4 11.3 46.1 12.8 46.2 14.2 46.8 14.9 47.1 15.6 47.7 16.2 48.3 16.7 49 16.7 49.9 15.7 50.8 14.7 51.2 13.2 51.9 11.8 52.7 11.1 52.6 10.4 52.1 9.5 51.8 7.4 51.9 5.7 52 5 52 4.3 51.8 3.6 51.6 2.9 51.7 2.3 52 0.8 51.3 0.8 49.9 0.8 48.5 0.8 47.2 0.7 45.8 0.7 44.5 0.7 43.1 0.7 41.8 0.7 40.4 0.7 39.1 0.7 37.7 0.7 36.6 0 35.5 0.1 34.7 0.5 33.6 0.7 32.9 0.7 31 0.7 29.7 0.7 28.3 0.7 27 0.7 25.6 0.7 24.3 0.7 22.9 0.7 21.6 0.7 20.3 0.7 18.9 0.7 17.6 0.7 16.2 0.7 14.9 0.7 13.6 0.7 12.2 0.7 10.9 0.7 9.5 0.7 8.7 1.6 8.3 5.5 9.8 6.5 10.4 7.1 10.5 8.9 11.4 11.2 12.2 13.5 12.9 14.3 13.1 15 13.2 16.7 13.4 17.5 13.7 18.8 14.6 19.4 14.9 20 15.4 20.9 16 21.6 16.2ZM80.2 22.4 79.7 22.9 79 22 78.3 20.7 78.4 19.8 78.2 18.3 77.7 17.4 76.1 15.2 75.6 14.7 75.1 14.2 73.9 13.9 73 13.5 72.4 13.1 71 11.9 70.2 11.5 67.6 9.7 66.9 9.4 66.1 9.4 65.5 9.1 66.1 8.5 67.1 8.8 68.3 9.5 68.7 10 70.3 10.5 71 10.9 71.7 11.3 72.5 12 74 12.5 75 13.5 76 14.3 80.5 18.1 81.2 19.1 81.3 19.8 80.7 20.6 80.6 21.8 80.2 22.4ZM63.4 8.6 62.1 8.7 61.2 8.2 60.8 7.6 61.2 6.9 62 6.8 63.4 7.4 63.5 8.4ZM46.5 6.1 45.8 6.4 46.2 5.9ZM41.1 4 43.3 4.4 42.7 4.9 42 5.5 41.1 5.5 40.2 5.5 39 5.2 38.2 5.4 37.6 5.6 38.1 4.9 38.4 4.1 39.1 4.1 39.7 3.9 41.1 4ZM59 1.3 58.4 1.5 57.5 0.8 57.8 0 58.7 0.5 59 1.3Z' },
+  ph: { viewBox: '0 0 59.6 100', path: 'M30.4 0.4 29.9 0.9 30.2 0ZM30.9 3.1 30.8 2.5 30.9 3.1ZM28.2 9.7 28.3 10.3 27.3 9.9 28.2 9.7ZM26.5 11.5 26.3 10.9 26.5 11.5ZM30.7 12.7 30.3 13.2 30.3 12.5 30.8 12 30.7 12.7ZM25.6 14.6 26.5 14.9 28.6 16.1 29.4 16.4 30.2 16.6 30.8 16.7 31.4 16.4 32.1 15.4 32.8 15.6 33.1 16.5 32.5 17.5 32.3 18.1 32.1 20.1 32.2 21.3 32.6 22.2 33.4 22.8 33.6 23.5 34.1 24 34.3 24.6 33.8 26.1 32.6 28.6 32.5 29.2 32 30.2 31 30.4 29.8 30.9 29.2 31.3 28.6 31.8 28.4 32.5 28.7 33.2 28.5 33.8 28 34.6 27.5 35.4 27.4 36.1 28.3 37.8 29.1 39.1 28.8 39.8 28.9 40.5 29 41.1 29.6 42.7 29.9 43.4 30.6 44 31.7 44.5 32.5 44.6 32.9 43.9 32.4 43.5 32.9 43 33.5 42.5 34.2 42.1 35 42.2 35.9 42.4 36.5 42.6 37.4 43.7 37.8 44.4 37.7 45.1 38 45.8 38.8 45.8 39.2 45.2 39.2 44.6 39.1 44 39.7 44 41.3 44.8 42.4 45.2 42.3 45.9 41.1 46 41.1 47.2 41.7 47.8 42.1 48.3 42.4 49.3 42.8 49.8 44 50.3 44.4 51.8 43.9 53.2 43.3 53.1 42.8 52.5 42.9 51.7 43.2 51 42.3 51.1 41.2 51.1 39.8 50.3 39.1 49.9 39.2 49.1 38.6 48.3 38.4 47.7 36.7 46.8 36 45.8 34.8 44.8 34.2 44.6 34.2 45.3 34.3 46 34.8 46.9 35.3 48 35.3 48.9 34.3 48.9 34.2 48.2 33.7 47.4 32.4 46.4 31.6 45.5 29.8 44.6 29.2 44.6 28.1 45.2 27.7 46 27.1 46.4 26.2 46.4 25.5 46.2 25 45.7 24 44.9 23.3 44.8 22.7 45.4 22.6 44.2 22.6 43 23 42.3 24.5 41 24.6 40.1 23.7 39.3 23.1 39.2 22.4 38.6 22.2 39.3 22.4 40.4 22.4 41.1 21.8 41.4 21.2 41 21 40.3 20.5 39.8 20.3 39.1 19.6 39.1 19 37.9 19 37.1 18.8 36.3 18.5 35.6 18.1 32.5 17.6 31.7 17.3 31.1 17.4 29.8 18.1 29.6 18.7 30 19.5 31 20.4 31.1 21 30.7 21.2 30 20.8 28.9 20.7 28 20.6 27.3 20.8 26.5 21.3 25.3 21.4 24.4 21.3 23.3 21.4 22.6 21.1 21.6 21 20.9 21.9 17.5 22.2 16.8 22.4 16.2 22.5 15.3 23.2 15 23.8 14.6 24.5 14.8 25.3 14.6ZM31.4 37.8 31 38.5 31.3 39.3 31.1 40 30.7 39.5 30.5 38.8 30 38 31 37.5ZM32.2 43.9 30.9 43.2 32.2 43.9ZM45.7 46.5 45.1 46.8 43.9 46.7 44.3 45.5 44.3 44.3 44.7 43.8 45.4 44.5 46.1 45 46 45.7 45.7 46.5ZM20.4 45.7 19.4 45.5 20.1 45.3ZM30.6 47.1 31.9 47.6 31.9 48.2 31.5 48.8 30.4 48.7 30 47.8 30.3 46.9ZM23.1 47.5 24.4 47.3 25.1 47.8 25.7 48.1 26.7 48.1 27.2 48.8 27.7 49.3 28.2 49.7 28 50.4 27.9 51.5 28.3 52.8 27.8 53.6 27.6 54.3 27.4 54.9 26.8 55.1 25.9 55.3 25.5 54.7 24.7 54 24.5 53.1 24.1 52.4 23.6 51.8 23.5 50.7 23 49.7 22.3 49.2 21.7 48.5 21.5 47.9 20.9 47.9 21.3 47.2 22.8 47.3ZM39.1 51.4 39.6 52.4 39 51.7 38.4 51.3 37.7 50.5 37 50.1 37.6 49.8 38.6 51.1ZM42.2 53.9 42.2 54.5 41.2 53.2 41.2 52.5 41.7 52.9 42.2 53.9ZM31.7 54.6 31.2 56.1 31 55.2 30.8 54.4 31.2 53 31.8 52.7 32 53.4 31.7 54.6ZM41.8 55 43 55.7 43.8 57 43.9 58 42.6 57.3 42 57.2 41.5 56.5 40.6 55.6 39.9 55.6 39.2 56.6 38.3 57.3 38.6 56.1 38.9 54.7 38.8 53.7 38.8 53.1 39.4 53.4 40.2 53.6 40.8 54 41.8 55ZM51.2 53.5 51.7 54 51.7 54.8 52.3 55 53 55.6 52.9 56.4 52.6 57.1 52.6 58.2 52.8 59 52.9 59.7 53.4 60.7 53.3 61.3 54.1 62 54.4 62.6 53.6 62.2 52.4 62.4 51.7 62.2 50.7 61.4 49.9 60.9 49.4 60.1 49.6 59.1 49.7 58.3 49 58.2 48.6 57.7 48.2 57.2 47.7 56.7 47.1 56.4 46.3 55.8 45.9 55.3 45.6 54.2 45.4 53.2 47 53.5 48.7 53.4 50.7 53.2ZM35.2 54.9 34.2 54.4 33.8 53.9 34.9 53.7 35.4 54.4ZM19.4 55.7 20 55.7 20.9 56.3 20.3 56.8 19.4 56.8 18.8 56.7 18.1 55.7 18.1 55.1 19.3 55.5ZM19 58.7 18.4 58.7 17.9 57.1 18.5 57 19.2 57.7 19 58.7ZM34.2 59.2 34.9 59.5 35.7 59.3 36.9 59.8 38 59.7 38.3 60.3 38.1 61.3 37.4 62.3 36.4 62.9 36 63.4 35.9 64.2 35.3 64.3 34.4 65 32.4 65.4 31.8 65.7 31.1 66.5 31 65.3 30.8 64.6 30.9 63.9 31.3 63.2 31.5 62.5 31.5 61 31.8 59 30.8 58.3 30.6 57.7 31.3 57.5 32.9 58.2 33.6 58.7 34.2 59.2ZM48.8 59.3 48.1 58.9 48.8 59.3ZM47.3 60 46.5 60 45.8 58.9 46.7 58.8 47.4 59.6ZM47.1 60.9 48 61.1 48.6 60.6 49.3 60.7 49.7 61.5 50 62.2 50 63.4 49.8 64.4 50.3 64.8 50.8 65.3 51 66.5 51.3 67.1 51.3 67.7 50.7 67.6 50 67.3 49.8 68.1 49.9 69.1 49.3 68.7 48.6 68.5 48.4 67.6 48.1 66.6 48.5 65.1 48.4 64.4 48.1 63.8 47.6 63.3 46.7 63.7 46.1 62.1 45.8 60.7 45.5 60 46.2 60.2 46.9 60.6ZM17.9 59.8 17.9 60.6 17.1 60.4 17.7 59.8ZM2.1 79.1 1.5 79.5 1.8 78.4 2.4 77.4 3.5 76.2 4.8 75 5.7 74.1 6.3 74 7.1 73.4 8.5 71.8 9.7 70.6 10.9 69.1 11.5 68.7 12.7 67.1 13.5 66.8 14 66.4 14.4 65.7 14.5 65 14.2 64.1 14.5 63.2 15.5 61.2 15.9 62.1 16.1 62.8 15.8 63.4 16.4 64.9 16.8 65.9 16.3 66.8 15.2 67.1 14.3 67.8 14 68.4 13.8 69 12.3 69.4 11.6 69.7 11.1 70.2 11.2 70.8 9.9 72.9 9.5 73.5 9.1 74 7.8 74.5 7.2 74.9 6.8 75.7 6.3 76.3 5.7 76.8 5 77.3 4.4 77.6 3.7 77.8 3.4 78.5 2.7 78.7 2.1 79.1ZM42 61.3 42.4 62.1 41.7 61.5ZM39.6 72.8 39.4 72 39.8 70 40.5 68.5 41 67.4 41.8 66.4 41.8 65.8 42.5 64.8 43.1 63.3 43.2 62.6 43.3 61.9 43.8 61.4 43.8 62.4 43.9 63.5 43.7 64.5 43.9 65.7 43.6 66.8 43.2 67.3 42.2 67.9 41.7 68.5 41.3 69.2 40.4 71.9 39.6 72.8ZM38.2 75.2 37.3 75.2 36.5 73.6 35.9 73.3 35.3 73 34.6 72.6 33.7 71.2 33.6 70.4 34.1 69.6 35.2 69.4 36.5 68.8 36.5 67.6 36.4 66.9 36.2 66.2 36.8 65.6 37.1 65 37.2 64.1 38.7 63.1 40.5 63.6 40.8 64.2 40.6 65.2 39.9 66.5 39.5 67.3 39.2 68.6 38.5 69.7 38.4 71.1 38.3 71.8 39.3 73.3 39.3 73.9 38.8 74.8 38.2 75.2ZM35.2 66.4 34.5 66.7 34.5 65.5 35 65 35.7 64.9 35.4 66.2ZM45.5 65.5 45.6 64.9 45.5 65.5ZM18.3 66.3 17.5 66.5 17.3 65.9 17.9 65.3 18.5 65.6 18.3 66.3ZM54 69.9 53.4 69.3 53 68.8 53 68.1 53 67.4 53.5 67 53.7 67.8 54.1 68.9 54 69.6ZM47.2 70.7 46.5 70.9 46 71.5 44.3 71.8 43.1 71.7 42.5 70.8 42.7 70.1 43.9 69.3 44.6 68.5 45.6 68.3 46.6 68.9 47 70.1 47.2 70.7ZM51.5 69.4 50.7 68.9 51.5 69.4ZM56.3 70.8 55.9 70.3 56.4 69 56.7 69.7 57 70.6 56.3 70.8ZM56 73.6 57.1 73.8 57.1 74.8 57.8 75.9 57.9 76.5 57.6 77.2 56.8 77.9 57.7 78.4 58.2 78.8 58.3 79.8 58.8 80.5 58.6 82.2 59 83.3 59.5 83.8 59.6 84.6 59.6 86 59.3 86.9 58.6 87.9 57.7 88.7 57.1 88.9 57.4 89.6 57.3 91.2 57.1 92.3 56.8 91.7 56.4 89.6 56.2 89 55.8 88.3 55.3 87.3 54.8 85.9 54 86.4 53.8 87 53.1 87.9 52.6 88.5 52.2 89.3 52.1 89.9 52.7 90.6 53.2 91.1 53.9 92.8 53.9 94.3 53.5 95 52.6 96.3 51.9 96.7 51.2 95.7 51.4 94.6 51.2 93.8 50.2 94.8 49.6 95 47.5 94.2 46 93.4 44.9 92.7 44 91.7 43.8 90.9 43.8 90.1 43.5 88.8 43.4 88 43.8 87.3 44.3 86.9 44.7 86.3 44.8 85.5 44 84.4 43.3 83.9 42.1 83.4 41.5 82.9 40.8 82.8 40.3 83.3 40.3 83.9 39.8 85.5 39.1 85.1 38.5 84.7 38.2 84.1 37.3 84.6 36.4 84.7 36.1 83.5 35 83.3 34.2 83.8 33.9 84.5 33.1 85.9 32.7 86.9 32.2 88 31.8 88.5 30.9 88.2 30.6 87.5 30.7 86.8 31.1 86.3 31.5 85.7 31.9 83.9 31.9 83.2 32.7 82.1 33.2 81.6 34.8 81.2 36.1 81 36.8 80.8 37.3 80.4 37.3 79.6 37.7 79.1 38.3 78.6 39.2 78.4 39.7 78 40 77.4 40.8 77.8 41.6 77.9 42.2 78.4 42.6 79.1 42.8 80.6 42 81.4 43.1 81 44.5 80.5 45.3 79.4 45.6 78.6 46.1 78.1 47.4 78.5 48.1 78.3 48.3 77.5 48.4 76.3 48.9 75.7 50 76.2 50.6 76.4 51 75.4 52.1 75.6 52.8 75.5 53.1 74.7 52.9 73.8 52.3 71.4 52.7 70.8 53.7 71.5 55.2 72.4 55.7 72.9 56 73.6ZM55.7 71.9 55.6 71 55.7 71.9ZM41.7 74.1 41.7 74.7 40.7 74.8 40.4 74.2 41.2 73.9ZM48.5 74.7 47.7 74.7 47.9 74.1 48.5 74.7ZM2.4 80.5 1.9 79.8 2.4 80.5ZM0.7 82.5 0 82.4 0 81.7 0.7 81.4 0.7 82.5ZM37 85.5 36.4 86 36.2 85.3 37 85.5ZM54.6 88.2 54.1 87.7 54.2 86.8 54.6 88.2ZM31.7 91.5 31.1 91.6 30.4 91 30 90.4 30.6 90 31.5 89.6 32.9 90.2 32.4 91.2 31.7 91.5ZM25.9 93.7 26.3 94.2 27.4 94.2 26.8 95 26.3 94.5 25.5 94.8 24.5 94.8 24.3 94.1 25.2 93.6 25.9 93.7ZM20.3 98.8 19.7 99.2 18.9 99.4 18.5 99.9 17.7 99.9 18.7 99 19.3 98.7 19.8 98.3 20.3 98.8Z' },
+  pk: { viewBox: '0 0 100 90.7', path: 'M82.6 0.4 83.2 0.5 83.8 0.4 85.5 0.9 86 2.2 86.9 2 88 2.5 88.7 3.2 89 3.8 89.2 4.8 89.2 6.3 88.8 6.9 89.4 7.6 90 7.9 90.3 8.8 90.9 8.9 91.7 8.8 92.3 8.5 92.7 9.2 93.7 9.9 94.6 10.4 95.8 10.8 97 11.1 97.9 11.4 98.7 11.4 99.6 11.3 98.7 12.1 97.8 12.6 97 13.1 96.3 13.6 95.6 14 95.3 14.8 94.6 15.2 94 15.5 93.5 16.3 92.9 16.7 92.1 16.5 90.4 17.2 89.6 17.1 89 17.6 87.7 18.3 87.1 18.3 86.2 18.1 85 17.6 84.2 17.4 83.2 17.3 82.2 17.1 81.1 16.8 80.5 16.7 79.4 16.5 78.6 16.8 77.9 17.1 76.9 18.2 76.5 18.9 76.5 19.6 77.1 19.9 77.5 20.6 77 21.1 77.3 21.8 78.3 21.9 79 22 78.9 22.7 78.1 23.1 77.5 23.9 77.6 24.5 78.4 25.1 78.4 25.8 77.9 26.8 77.5 27.4 77.9 27.9 78.3 28.4 78.9 28.8 79.5 29.5 79.4 30.3 80.4 30.6 81.1 30.7 81.4 31.7 81.5 32.3 82.2 32.7 83.4 32.7 84.1 33 84.9 33.3 85.5 34 85 34.9 84.3 35.2 82 36.3 81.3 36.7 80.9 37.2 80.6 37.9 81 39.2 80.7 41 80.8 41.9 81.3 42.3 80.6 43.1 79.8 43.5 78.9 44.4 77.6 46.1 77 46.6 76.9 47.2 77.2 48.1 76.5 49 75.6 49.4 74.5 49.8 73.9 50 73.6 51.1 73.2 52.2 72.5 53.9 71.4 55.7 69.5 57 67.8 58 67.2 59.3 66.9 60.2 65.5 61.8 65.1 62.7 65 63.3 64.1 63.6 63.1 63.9 61.6 64 61 64.1 59.2 64.9 58.3 64.8 57.8 64.1 57.7 63.4 56.9 62.9 55.9 63.1 55.4 63.5 54.9 64 54.3 65 53.4 66.5 52.4 67.6 51.8 68.1 51.3 68.8 51 69.9 50.9 70.9 51.6 71.6 52.4 72.1 53.5 72.4 54.4 72.4 54.9 72.9 54.9 73.9 54.8 74.8 54.5 75.7 54.6 76.8 55.6 78.1 56.6 78.3 57.4 78.1 57.9 78.6 57.8 79.9 58.1 80.5 58.7 81.4 59.2 82.3 59.6 83.4 60 84.3 59.9 84.9 59.7 85.5 59.9 86.3 59.5 86.8 58.7 87.5 57.9 87.6 57.3 87 57.2 86.4 55.7 86.8 54.6 87.3 54.1 87.9 52.9 88.1 52.3 88 51.4 87.4 50.7 87.4 49.5 87.4 48.8 87.4 48 87.4 47.3 87.4 46.7 87.2 46.5 89.4 45.7 89.3 45.1 89.3 44.5 89.4 43.9 89.6 43.2 90 42.9 90.7 42.4 90.1 41.4 89.8 40.3 90.3 40.1 89.6 39.3 89.5 39 88.9 38.5 88.5 38.1 88 38 86.8 37.3 84.3 34.6 83.6 34.6 82 34.5 81.2 33.8 80.2 33.6 79.5 32.9 79 32.3 78.8 31.7 78.9 31.2 79.5 32.5 79.4 33.2 79.8 32.3 79.7 29.7 80 28.5 80.4 26.9 80.3 24.9 80.7 23.2 80.7 22.5 81.5 21.8 81.2 19.5 80.5 19 80.1 18.2 80.5 17 80.2 16 80.4 15.6 81.3 14.4 81.2 13.7 81 12.8 81.2 10.7 81 9.4 81.4 8.7 81.8 8 81.2 7.3 81.7 6.3 81.8 5.3 81.8 4.3 81.5 4.6 80.8 4.7 78.9 4.9 78.2 5.3 77.4 5.5 76.2 5.7 75.1 6.1 74.6 7.3 74.1 8.2 73.9 8.7 73 9.4 72.5 10.6 72.3 11.3 72 13.3 72.1 13.8 70.7 14.1 69.6 14.5 68.8 13.9 68 12.2 68.2 11.6 68.1 11.3 67.3 11.5 66.7 11.4 64.3 11.2 63 11.3 61.7 10.1 61.5 9.4 60.6 7.6 59.8 7 59.7 6.2 59.4 5.4 58.6 4.6 57.7 3.9 56.3 2.9 54.6 2.8 53.8 1.8 52.7 1.1 51.9 0 50.6 2.2 51.3 4 51.9 6.8 52.8 9 53.5 9.6 53.6 16.1 53 18.4 53.5 19.2 53.7 19.6 53.2 20.2 52.9 20.9 52.7 21.7 52.5 22.8 52.5 23.5 52.6 25.1 52.6 27.3 52 28.4 51.6 30.2 51.1 31.5 50.7 32.1 50.1 31.9 49.3 32.1 48.3 32.2 47.4 32.2 46.2 32.1 45.5 32.5 44.1 32.8 43.4 33.3 43 33.9 42.7 34.7 41.5 35.3 41 35.9 40.7 36.5 40.7 37 41.1 38 41.3 39 41.2 39.8 40.9 40.7 40.4 40.1 40 39.7 39.3 40.7 39 42.3 38.1 43 37.5 44.1 37.5 44.8 37.6 45.7 37.3 46.4 37.9 46.8 38.4 47.9 38.2 48.6 37.7 49.2 37 49.8 36.3 49.6 34.2 49.5 32.9 49.8 32.2 50.5 31.2 50.8 30.1 51.1 28.8 52.3 28.3 53.5 28.2 54.5 27.6 55.5 26.9 55.3 25.8 54.8 24.6 54.3 23.9 53.2 22.6 53.4 21.9 54 21.5 55.5 22.1 56.5 22.3 57.9 22.2 59 22 60.2 21.6 60.4 20.5 60.5 19.3 60 18.8 59.7 18.1 60.3 17.6 61.2 16.4 61.6 15.7 62.6 15 62.9 14.4 63.4 13.7 63.3 13 63.1 12.4 63.4 11.5 63.3 10.9 62.8 9.6 62.4 8.8 61.9 8 61.2 7.6 61.3 6.7 62.6 5.4 63.1 4.8 63.6 4.4 64.5 4.4 65.3 3.7 66.4 3 67.3 2.2 68.3 2 68.9 1.7 69.5 1.5 70.3 1.5 71.7 1.4 72.4 1.2 74.1 1.1 76 1.1 77 1.3 77.6 1.6 78.7 1 80.1 0.4 80.8 0.1 81.7 0Z' },
+  pl: { viewBox: '0 0 100 94.5', path: 'M54.9 6.6 58.1 7 60.9 7.2 65.5 7.5 70.3 7.7 75.2 8 80.6 8.3 86.2 8.4 87.2 7.6 87.9 7.7 88.7 8.1 89.2 8.8 89.8 9.3 90.6 9.6 91.7 10.3 92.6 11 93.5 12 93.7 13.1 93.8 14.3 93.7 15.1 94.9 21.2 96.8 26.7 97.5 29.4 97.8 30.8 98 32.8 98.1 34.2 98.1 35 97.9 36.1 97.4 36.8 93.7 38.6 93 39.2 92 40.7 91 42.1 90.7 43 92.2 44.3 93.5 44.9 93.9 45.4 94.9 46 95.3 46.5 95.4 48.1 95 49.6 95.2 50.7 94.7 51.5 94.4 52.3 94.3 53.8 95 55.4 95.5 56.5 95.7 57.4 95.5 58.1 95.6 58.8 96.1 59.5 97.6 61.7 98.3 63.8 98.8 64.7 99.9 65.7 99.6 66.6 98.9 66.7 99 67.5 99.4 68.1 99.9 69.8 99.8 71.1 99 72.3 98.7 73 96 73.5 95.4 74.3 94 75.8 93 76.7 91.6 78.3 89.3 81 88.4 82.1 87.8 83 86 85.5 85.4 86.6 85.5 87.4 86.1 89.4 86.2 90.3 86.1 91.1 85.9 91.9 86.5 92.7 87.4 93.6 87.3 94.2 85.9 94.2 84.7 93.6 83.6 93.6 80.9 92.5 79.1 91.6 78.6 90.2 77.8 89.6 76 89 75.3 88.5 72.4 88.3 71.1 88.2 70.2 88.4 68.9 89.6 68.3 90 67.6 90 66.9 89.8 66.2 89.2 65 88.8 64.2 89 63.6 88.8 62.9 88.9 61.9 89.2 61.2 89.6 60.5 90 59.9 90.7 59.4 92 58 91.4 56.9 91.9 56.5 91.2 56.7 89.9 56.6 89.1 55.5 88.8 55.1 88.3 54.2 87.1 53.6 86 52.7 86.2 51.9 86.8 51.3 87 50.3 88.7 48.5 88.8 48.4 88 48.2 87.2 47.1 87 46.9 85.4 44.8 83.2 44.5 82.2 44.4 81.3 42.3 80.5 41.5 80.5 40.9 80 39.8 79.5 39.3 78.9 38.6 79.4 37.5 79.9 36.7 79.3 36.3 78.5 35.6 77.9 34.8 77.2 35.9 76.4 36.2 75.8 36 74.8 35.3 75 34.3 75.3 33.4 75.4 30.3 73.5 28.6 72.9 27.6 72.8 27.9 74 28.7 75.4 27.7 76.3 26.6 77 26 77.6 25.2 77.8 23.6 75.5 22.3 74 21.7 73.6 21.1 73.3 21.2 72.3 22.3 71.6 22.7 70.9 22.9 70.3 22.4 69.7 21.6 69.2 19.4 69.6 18.8 69.8 18.2 68.9 16.9 68.3 16.1 67.8 15.2 67.7 13.4 67 12.7 66.9 11.9 66.2 11.5 65.6 11.3 64.4 10 63.8 8.7 63.5 8.6 64.9 7.7 65.9 6.8 65.9 7.9 63.6 8.4 62.2 8.9 59.7 8.3 57.7 8.1 56.8 6 55.3 6.1 53.7 6 53.1 5.5 52.5 5 51.4 4.7 50.4 5.5 49.2 5.7 48.3 6 47.1 6.2 46.5 5.8 45.9 5.7 45.2 5.8 44.3 5.5 43.6 4.9 43.1 4.5 42.5 4.3 41.8 4.4 40.6 4.9 39 3.9 37.1 1.3 34.8 0 33.2 0.1 32.3 0.7 31.5 1.6 30.8 2.4 29.5 2.8 27.9 2.9 26.5 1.7 21.9 1.5 20.8 1.4 19.4 3.6 20 4.6 20.5 4.4 19.9 4.4 18.6 4.3 17.4 2.2 16.8 0.9 16.6 0.7 15.8 2.6 15.7 5.9 14.1 11.6 12 17.8 10.1 19.2 9.9 20.6 9.5 21.2 8.7 21.7 8.2 22.5 6.9 24.4 4.9 27.6 4.2 28.9 3.2 31.4 1.9 37.2 0.4 39.7 0 42 0 44.2 1.2 46.4 2.7 46.8 3.5 45.6 3 43.8 1.7 43.2 1.6 44.7 5.6 45.5 7 47.2 8.1 48.6 8.4 52.9 7.8 54.4 7Z' },
+  pm: { viewBox: '0 0 49.4 100', path: 'M23.7 75.3 6.4 87.7 0.4 80.8 1.9 72.6 10.7 53 10.4 47.2 0 9 1.8 2.8 4.4 0 19.7 8.1 21.4 18.5 14.2 42 19.2 57.6 26 68.9 23.7 75.3ZM46.7 97.2 42.5 100 28.3 95.8 35.1 86.9 39.9 84.3 46.3 83.1 49.4 85.9 49 92.5 46.7 97.2Z' },
+  pn: { viewBox: '0 0 61.9 100', path: 'M61.9 83.2 51.6 100 30.4 85.7 8.4 53.1 0 19 20.5 0 48 11.4 61.2 46.5Z' },
+  pr: { viewBox: '0 0 100 22.8', path: 'M68.4 3.1 69.6 3.8 70.7 3.7 69.8 2.1 70.6 2.1 77.9 3.1 82.6 4.8 87.4 5.6 87.7 11.1 84 13.3 81.6 15.6 79.6 18.4 74.4 21.7 68.2 22.7 64 22.8 62.5 22.7 61 22.1 57.8 22.6 54 21.2 50.6 21.6 44.1 21.2 41.6 22.5 39.2 22.8 36.9 22.5 35 22 30.1 22 28 20.9 28.9 14.6 28.9 11.8 27.7 9.5 26.4 8 25.5 6.2 27.4 5.1 29 3.4 29.5 0.9 31.2 0.3 33.2 0 42.5 1.2 66.2 1.8 67.5 2 68.4 3.1ZM95.1 16.5 92.1 16.7 90.2 16.4 89.5 15.2 93.1 14.1 97.3 14.3 99.7 15 95.1 16.5ZM2.4 18.3 1.7 18.3 1.3 17.8 0.3 17.2 0.2 16.1 2.9 15.8 3.5 16.3 3.3 16.9 2.9 17.5 2.6 18.2Z' },
+  ps: { viewBox: '0 0 88.5 100', path: 'M9.7 93.7 3.1 100 0.9 93.7 0 91.4 12.2 79.3 18 71.7 21 75 21.1 76.2 9.8 88.4 9.7 93.7ZM85.9 41.6 87.6 58.1 83.8 65.2 81.6 73.5 80.7 79.7 78 79.4 69.5 83.9 58.1 88.2 45.7 89.3 43.9 88 43.4 85.9 47.1 75.4 48.5 70.4 53.9 65.1 61.5 60.5 64.8 59.3 64.4 57.4 59.8 54.3 55 52.7 50.5 54.3 49.1 53.8 48.6 52.5 50.2 50.6 50.9 47 50.2 41.1 49.7 33.9 48.8 28.3 51.6 19.2 52.3 14.9 55.8 5.6 64 0 71.2 1.6 74.9 2 76.5 3.1 77.6 6.4 82.8 10.1 87.1 10.6 88.5 22.5 86 32.7 85.9 41.6Z' },
+  pt: { viewBox: '0 0 100 47.6', path: 'M56.2 46.5 56.8 46.8 57.9 47 57.6 47.6 56.9 47.5 56.3 47.2 56.2 46.5ZM25 26.7 24.4 26.8 25 26.7ZM22.5 22.3 24 22.3 23.3 22.9 22.1 22.7 21.7 22.1 22.5 22.3ZM12.5 19.2 11.8 19.4 11 19.2 11.5 18.7 12.5 19.2ZM10.5 18.8 9.7 18.5 10.3 18.3ZM14 18.7 12.7 18.4 11.9 17.7 13.2 18.3 14 18.7ZM16.8 18.2 15.9 18.2 15.5 17.6 16.6 17.5 16.9 18.1ZM0.6 14.3 0 14.4 0.3 13.8ZM92.2 1.7 92.9 1.5 94.1 1.3 94.8 1.6 95.8 1.5 96.1 0.9 96.7 1 97.4 1 98 1.1 98.6 1.2 98.6 1.9 98.7 2.5 99.6 2.7 100 3.2 99.2 4.1 98.6 4.4 98.1 4.9 97.8 5.5 97.2 5.8 97.4 6.7 97.6 7.9 97.5 8.8 97.6 9.5 97.1 10 96.7 10.5 97.2 11 97 12.3 96.4 12.9 95 12.9 95.1 13.7 95.6 14.7 96.2 15.7 96.9 16.1 96.7 16.9 96 17.6 95.7 18.2 95.5 19 96.4 20.6 97 20.5 96.8 21.3 96.1 21.5 95.7 22 95.3 22.6 94.9 23.6 95 24.4 95.2 25.6 93.5 26.5 92.3 26.1 90.9 26 89.9 26.1 89.1 26.4 89.2 25.7 89.6 24.3 89.6 23.5 89.7 22.8 89.6 22.1 89.7 20.6 89.6 20 89.4 19.2 90.2 19.3 89.7 18.9 88.5 19.2 87.9 18.2 88.5 18 89 17.4 89.1 16.4 89.7 16 89.1 16.3 88.5 17.3 87.9 17.9 87.2 17.9 87 17.2 87.2 16.6 87.2 15.8 87.5 15.1 87.6 14.4 88.3 13.6 88.9 12.2 89.5 10.7 89.4 9.9 89.8 8.1 90.1 7.3 90.2 6.5 90.3 5.9 90.2 5.2 89.9 4.5 89.7 3.1 89.9 2.3 89.3 2 89.8 1.1 90.5 0.5 91.6 0.1 92.2 0.4 92 1.1 92.2 1.7Z' },
+  pw: { viewBox: '0 0 75.3 100', path: 'M73.9 7.1 72.6 7.5 72 5.9 72.2 4 73.1 2.5 74 2.1 75.1 0 75.3 1 74.7 4.5 74 5.9 73.9 7.1ZM0.8 99.9 0 99.9 0.4 99.3 1.1 99.3 0.8 99.9Z' },
+  py: { viewBox: '0 0 93.8 100', path: 'M50.1 10.3 50.3 11.2 50.5 11.9 51.2 13 51.8 13.9 51.8 14.6 51.9 15.4 52.1 16.2 52.8 16.6 53.1 17.2 52.9 18 53 18.7 53.4 19.3 53.7 20.2 53.8 21.8 53.4 22.7 53.1 23.4 53.3 24.5 52.9 25.2 52.5 26.1 52.6 26.7 52.6 27.3 52.7 28 52.8 28.6 52.6 29.2 52.4 30.4 52.6 31.1 52.3 31.8 52 32.7 52.3 33.5 53.2 33.8 53.9 33.8 54.5 33.5 55.8 33.7 56.7 34.3 57.7 34.4 58.6 34.5 59.3 34.7 60.3 34.5 61.4 34.7 62.7 35.1 63.7 35.4 64.7 35.3 65.5 35.3 66.3 34.9 67.1 35 67.7 34.3 68.3 33.4 69.2 33.1 70.2 34.3 71.1 34.9 72 35.5 73.4 35.5 74.2 35.5 75.2 35.8 76.4 36.4 76.9 37.1 77 38.3 77.5 39.2 78.1 39.6 78.4 40.2 78.3 41 78 41.9 78 42.8 78.4 43.6 78.4 44.5 78.6 45.3 79 46 79.2 47.2 79.1 48 79.5 49.2 79.3 50.5 79.3 51.2 80.2 52.4 80.4 53.7 80.4 54.6 80.7 55.6 81.2 56.1 82.1 56.3 83.1 56.4 84.4 56.2 85.5 55.9 86.1 55.6 87.3 54.9 88.4 54.4 89 54.2 90.5 54.4 91.5 55 92.3 55.9 93.8 56.8 92.9 57.8 92.9 58.7 93.3 60 93 62.7 91.8 66.8 91.4 69.2 91.6 69.9 91.2 71.1 89.6 73.7 89.6 75.5 89.4 80.8 88.9 84.5 88 87.3 87.2 88.8 86.5 88.9 86 89.4 85.7 90.1 85.1 90.7 84.3 91.2 83.9 91.7 83 92.6 81.4 92.8 80.5 93.2 80.3 93.9 79.8 94.5 79 95 78.6 95.7 78.7 96.7 78.2 97.5 77.3 98.3 76.5 98.3 75.7 97.6 74.7 97.2 73.4 96.9 72.3 97.1 71.5 97.7 70.7 98.6 70 99.8 69.3 100 68.5 99.2 67.4 98.9 66.2 99.2 65.2 99.1 64.4 98.6 63.3 98.5 61.8 99 58.6 98.5 53.9 97 50 96.5 45.1 97 44.7 95.5 45 94.7 45.7 94.1 46.2 93.5 46.4 92.7 47 92.1 47.9 91.7 48.1 90.9 48.8 90.2 49.2 89.1 49.7 88.5 49.6 86.6 49.6 85.4 49.8 84.5 50.1 83.9 50.6 82.9 52.5 81.4 53.1 80.8 53.4 79.6 54.3 78 54.6 77.3 54.9 76.6 56 75.8 56.6 75 56.7 74.2 56.5 73.4 55.8 72.4 53.8 70.1 52.3 69 50.3 68.1 49 67.9 48.4 68.2 47.8 67.9 47.1 67.1 46.1 66.5 43.8 65.8 38.6 63.1 36.5 61.8 35.9 60.9 33.9 59.5 30.8 57.4 28.3 56.3 26.6 56.4 23.9 55.8 20.2 54.5 18 53.3 17.5 52.1 16.1 50.9 13.9 49.7 12.8 48.9 12 48 10.8 47.4 9.5 46.3 8.1 44.9 6.5 42.6 4.9 39.5 3.1 37.4 1.2 36.3 0.3 35.6 0 34.9 0.3 34.3 0.9 32 1.9 28.6 3 25.1 4.2 21 4.2 18.1 4.2 15 5.9 12.5 7.1 10.7 8.2 9.1 9.3 6.2 10 4.2 12.7 3.8 17.3 2.8 19.6 2.3 24.5 1.2 29.5 0.1 34.7 0.1 39.7 0 43.6 2.4 46.6 4.2 49.8 6.3 50.3 8.4Z' },
+  qa: { viewBox: '0 0 48.8 100', path: 'M29.4 97.4 24.2 98.6 19.4 100 15.3 100 12.1 99.4 9.9 98.1 5.8 92.8 2.8 85.9 4.6 82.1 5.3 79.7 1.3 61.6 0 47.6 0.5 44.8 2.7 41.5 6.5 34.2 8.5 27.1 14.2 10.9 20.2 4.6 29 0 36.3 9 45.1 15.9 46.8 23.6 44.2 29.8 41.8 39.7 43.2 44.3 43.8 48.2 46.1 54.9 48.5 63.4 48.8 69.4 47.6 74.9 44.5 79.6 38.5 93.5 36.7 95Z' },
+  re: { viewBox: '0 0 100 88.6', path: 'M93.1 83.4 69.8 88.6 53.6 86.7 21.4 71.8 12.8 61.8 0 33.9 2.8 24.1 12.9 6.8 35.9 0 60 2.5 70.8 7.2 83.5 27.5 100 48 97.2 72.5Z' },
+  ro: { viewBox: '0 0 100 69.6', path: 'M84.2 43.3 85.3 44.9 86.7 45.7 90 46.6 90.1 45.8 90.7 45.4 91.4 45.8 92.8 45.3 94.9 44.1 96.8 43.8 98.5 44.5 99.4 45.4 100 46.2 99.8 47.2 99.7 47.8 99.3 50.4 98.9 51.3 98.4 52.4 93 53.7 93.4 53.1 93.3 52 93 51.2 93.5 50.5 92.3 50.2 91.8 50.6 91.4 51.3 91.8 52.9 91.2 53.8 90.9 55.5 90.5 56.5 91.4 56.4 91 57.4 89.4 59.3 88.8 60.5 88.9 65.1 88.2 67.8 88.2 68.6 86.5 68.6 84.3 68.2 82.5 67.4 81.4 66 80.8 65 79.2 65.5 78.5 64.9 77.3 64.5 75.9 64.5 72.7 62.7 69.8 62.7 66 63.6 63.1 64.7 60.1 66.7 58.9 68.3 57.5 69.1 55.5 69.6 52 69.4 48.2 68.7 44.3 67.8 42.1 68.3 39.2 68 34.8 67 31.5 66.7 28.3 67.3 27.7 66.8 27.8 65.6 28.2 65 29 64.6 29.4 63.7 28.6 63 26.8 62 26 61.4 25.8 60.6 24.7 59.9 24.2 59.3 23.8 58.4 23.9 57.6 24.4 56.9 25.1 56.6 26 56.7 26.2 55.9 25.4 55.3 23.8 54.4 22.3 54.9 20.7 56.6 19.6 56.9 18.9 55.7 17.6 55 15.8 54.8 14.7 54.4 14.3 53.7 13.5 53.2 11.8 52.7 11.8 52.1 12.7 52 13.5 51.9 13.6 51.3 13 50.9 12.3 50.7 11.8 50.2 12.2 49.7 12.6 49 13 48.4 12.9 47.5 12 47 10.4 46.5 9.6 45.7 8.3 45.3 7.4 44.6 6.6 43.7 5.8 43.1 5.8 42.3 5.5 41.1 5.7 40.2 5.6 39.2 4.9 39.1 4.3 38.4 3.6 37 3.1 36.6 2.1 36 1.2 35.4 0.6 34.3 0 33.4 2.8 32.5 3.9 33 4.9 32.4 5.2 31.7 6.3 31.1 8.4 31.4 9.3 30.8 9.8 29.7 10 29.1 10.8 28.8 10.8 28.2 10.7 27.6 11.1 26.3 11.8 25.6 12.4 25.2 13.3 24.3 13.1 23.6 13.2 23 14.2 21.6 14.9 20.3 14.9 19.6 15.6 18.4 16.3 17.6 17.2 15 18.1 14.1 18.5 13.6 18.6 11.9 19 11.4 19.8 10.9 20.5 10 21.2 8.9 21.6 8.4 22.3 8.3 23 7.9 23.8 7.7 24.5 7.9 25.7 7.3 27.6 5.4 28.2 4.7 29.7 4.1 30.1 3.4 30.6 2.8 31.3 2.8 33.5 4.3 35.8 4.2 36.4 4.3 39.7 5.2 40.3 5 41.6 5.6 42.7 5.6 43.7 5.1 44.8 5 45.8 5.2 46.6 6.1 48.6 7.9 49.2 8.6 50.1 8.5 51.1 8.2 52.1 6.9 55.2 5.6 57.6 5.2 59.9 4.7 62.6 4.3 63.3 3.1 63.8 2.4 64.1 0.9 65.5 0.5 66.9 0.2 68.4 0 69.2 0.1 70.4 0.8 71.2 1.7 71.5 2.4 72.3 3.4 73 4.8 73.8 6.6 74 7.6 74.3 8.6 75 9.8 76.2 11.2 76.9 12.4 77.9 14.5 78.8 15.3 79.5 16.2 79.9 17.1 80.4 18 81.7 19.1 82.7 20.1 83.6 23 84.1 24.3 84.5 25.3 84.3 27.3 84.6 28.2 84.1 29.8 83.2 32.9 83 35.5 83.2 36.8 83.2 37.7 83.6 39.4 83.7 40.4 82.9 40.9 83.2 41.6 83.7 42.4Z' },
+  rs: { viewBox: '0 0 75.7 100', path: 'M16.2 0.5 18.4 0.6 20.1 0.2 24.2 0.7 25.1 1.1 25.7 1.6 26.8 3.1 27.8 5.1 29.3 6 31 7.1 31.9 7.9 33.2 10.2 34.2 11.4 34.9 11 35.5 11.7 35.5 13.3 35.3 15 35.6 16.6 35.4 17.5 35.8 18.4 37.2 19.4 38.5 21 40 22.2 41.4 22.9 42.3 22.9 43.7 24.2 46.5 25.2 47.5 25.5 48.1 26 48.5 26.7 48.6 27.3 47.5 28.5 47.3 29.6 46.4 29.9 46.1 30.7 46.5 31.2 47.1 31.6 48.2 32 49.3 32.6 49.1 33.6 47.7 33.7 46.6 33.8 46.1 34.9 49.1 35.9 50.5 36.8 51.2 37.9 53.1 38.7 56.2 39.1 58.4 40.3 59.6 42.3 61.5 41.8 64.3 38.8 67 38 69.6 39.5 71.1 40.6 71.3 41.5 70.7 41.9 69.2 41.7 68 42.3 67.1 43.6 66.9 45 67.6 46.4 68.5 47.5 69.7 48 70.4 48.8 70.5 49.8 70.1 50.5 69.3 51.1 68.9 52.3 68.8 54.2 66.5 55.6 65.6 55.9 65.2 56.8 64.6 59.6 64.6 61.6 64.9 62.6 65.1 63.5 65.9 64.5 66.5 66.1 67 68.2 68 69.8 70.6 71.4 71.9 72.4 72.9 73.7 73.6 74.9 75.7 76.5 75.6 77.7 75.1 78.8 74.6 79.3 73.6 80.8 72.5 81.6 70.8 84.1 68.1 84.2 67.4 84.4 66.4 85.1 65.9 86.4 66.4 87.4 66.3 88.4 65.9 90.4 66.5 92.6 67.5 93.5 67.6 94.1 67.5 95.1 66 97.1 65.6 97.9 64.2 98.2 62.9 97.3 62.3 97.1 60.6 98 58.8 98.5 57.5 98.1 56.1 98 55.2 98.4 54.5 98.5 53.1 99.4 50.9 100 49.9 99.9 49.5 99 49.1 97.9 49.3 97.3 50.7 96.4 50.9 95.5 52.9 91.3 53.3 89.9 52.8 89.1 51.7 89.1 46.7 87.4 46.9 85.4 45.5 84.3 43.9 83.4 43.6 82.3 41.9 80.1 40.6 78.9 39 78.3 37.6 77.4 36.7 76.9 36.3 75.9 36.3 75.3 35.9 74.7 35.2 74.8 34.1 75.6 32.7 76.3 32.9 78 33.3 78.7 33.1 79.4 32.7 80.4 30 82.4 29.6 83.1 30.2 84.2 29.8 84.7 27.6 85.5 27.5 83.9 26.2 82.8 24.3 82 20.2 79.2 18.7 78.8 17.2 78.5 15.2 77.1 14.2 76.9 13 75.9 10.5 72.6 8.4 70.8 7 69.9 6.5 69.1 6.5 68.2 7.6 66.6 8.5 66.4 9.5 66.3 10.3 67 11.2 67.1 11.7 66.3 12 65.1 11.9 63.6 9.6 60 7.7 57.5 7.4 56.9 7.9 56.5 8.5 56.2 9.3 56.4 11.2 56.6 13 56.4 13.6 55.8 13.6 55 13 54.2 10.8 52.1 9.2 50.3 7.2 48.9 5.7 48.4 5.3 47.7 5.1 46.9 5.3 45.5 5.4 43.7 5.7 42.6 7 40.5 8.3 38.3 9.1 36.1 9.5 34.1 8.7 33.1 7.3 32.7 5.4 33.1 3.7 33.8 3.1 33.9 2.9 33 3.6 32.6 4.5 32.4 4.8 31.2 4.1 26.9 5.3 26.6 5.3 26 5.5 25.4 6.7 26.1 8.5 26.2 10.1 26 10.3 25 9.9 24.5 9.4 24.1 9 23.6 7.9 23.3 4.7 21.8 3 20.1 3.1 18.4 3.6 17.5 4.1 17.1 2.1 16 1.4 14.9 2 13.5 1 10.6 0 8.8 1 8 1.1 6.9 1.2 6.2 3.2 5.5 3.8 4.9 4.2 4.2 5.6 4.8 6.8 4.9 8 4.4 9 3.7 10.1 3.1 10.7 2.8 11.3 2.2 12.7 0.4 14.2 0Z' },
+  ru: { viewBox: '0 0 100 62.1', path: 'M20.3 5.5 20.1 4.8 20.3 5.5ZM18.7 26.7 18.7 27.3 19.1 27.8 19.8 27.7 20.1 28.3 19.8 28.9 20.4 29.1 21.1 29.2 21.7 29.4 22.3 29.2 21.6 28.5 21.2 27.8 21.1 27.2 21 26.6 21 26 21.2 25.4 21.4 24.8 20.9 24.3 20.2 24.3 19.7 24.7 19.3 25.3 19.4 25.9 19.2 26.5ZM19.3 6.2 19.9 6.3 19.8 5.7 19.1 6ZM21.2 2.6 21.8 2.5 22.4 2.7 22.4 2 22.4 1.4 21.7 1.7 21.2 2.1ZM20.4 4.1 21.1 4.5 21.8 4.6 22.3 4.1 21.6 3.4 21 3.3 20.5 2.9 20.4 3.7ZM22.5 0.6 23.3 0.4 22.6 0.1ZM17.3 5.1 16.6 5.1 15.8 5.9 16.3 6.3 16.9 6.6 17.2 6 17.7 5.4 18.4 5 18.8 4.5 18.3 3.8 17.5 3.9 17.3 4.6ZM17.2 31.3 16.8 31.8 16.9 32.4 17.6 32.3 18 31.8 17.4 31.3ZM15.1 5 15.6 5.4 16.1 5 16.4 4.3 17 4.7 16.9 4.1 16.3 3.9 15.7 4.3 15 4.6ZM17.8 6.7 17.7 6.1 17.8 6.7ZM25.5 3.5 25.1 4 25.5 4.5 26.3 4.3 26.9 3.6 26.8 3 26.2 2.7 26.1 3.4 25.5 3.5ZM21.2 6.6 21.9 6.7 22 5.8 21.3 5.7 21.3 6.4ZM22.6 3 22 3.3 22.4 3.8 22.9 4.2 23 3.6 22.6 3ZM23.3 4.8 23.5 5.4 24.1 5.4 24.7 4.9 25 4.1 24.4 3.9 23.8 4.1 23.3 4.8ZM23.5 30.9 23.6 30.2 23.1 29.7 22.9 30.3 23.4 30.7ZM26.7 17.1 25.7 17.5 25.1 17.7 24.4 17.6 23.8 18.1 23.3 18.5 22.7 19 22.3 19.6 21.8 20 21.2 20.3 21.5 20.9 21.1 21.4 20.8 22.4 20.4 23 20.3 23.8 20.9 24.1 21.5 24.2 22.2 23.6 22.4 23 22.8 22.5 22.8 21.9 23.2 21.4 23.8 21.1 23.9 20.5 24.4 20 24.9 19.6 25.5 19.3 26.2 19 27 18.5 27.6 18.2 28.2 17.7 28.7 17.2 28.9 16.5 28.4 15.8 27.7 16 27.2 16.4 26.8 17ZM22 5.2 22.1 6.3 22.7 6.1 23.2 5.7 22.2 5.3ZM24.2 3.6 24.5 3 23.8 3.3ZM25.2 0.8 25.8 1 25.3 0.6ZM23 7 23.6 6.9 23 7ZM1.8 50.3 1.4 49.8 0.8 50 0.2 50 0.6 50.5 1.2 50.5 1.8 50.6ZM19.7 28.4 19.2 28 19.5 28.6ZM45.7 6.3 45 6.6 44.4 6.7 43.8 7.1 43.6 7.7 43 8.6 43.7 8.9 43.9 9.5 44.3 10 45 10.1 45.5 10.5 46.1 10.8 46.8 10.6 47 9.8 46.5 9.2 46.9 8.7 47 8.1 47.1 7.4 46.7 6.9 46.1 7.3 45.9 6.6ZM45.1 17.7 44.5 17.7 45.1 17.7ZM47.3 11.2 47.1 12 46.8 12.6 47 13.2 47.7 12.7 48.4 12.5 49.3 12.3 49.9 12.1 50.2 11.4 50.1 10.7 49.7 10.2 49.3 9.7 48.8 10.1 48.8 9.3 48.4 8.8 48 9.3 47.7 10.1 47.6 10.7ZM43.4 7.5 42.8 6.9 42.1 6.7 42.1 7.5 42.5 8 43.1 7.8ZM73.3 55.7 73 55.1 72.8 54.5 72.6 53.6 72.5 53 72.4 52.4 72.5 51.8 72.3 51.1 72.2 50.5 72.1 51.1 71.6 51.5 71.6 52.1 71.5 52.9 71.8 53.6 71.8 54.3 71.8 55.1 71.6 55.8 71.8 56.5 71.7 57.1 71.6 57.8 72.2 57.6 72.6 58.2 72.6 57.6 72.2 57.1 72.1 56.4 72.3 55.7 72.8 55.3 73.3 55.8ZM42.2 6 43 6.6 43.8 6.7 44.7 6.3 45.5 6.1 45.4 5.2 45.5 4.6 45.8 4 45.2 3.5 44.9 2.7 44.3 2.3 44 2.9 43.4 3.2 42.9 3.8 43 4.5 42.8 5.1 42.2 5.5ZM50.9 12.7 51.5 12.9 50.9 12.7ZM44.6 15.7 45.1 15.2 44.4 15.6ZM41.2 2.9 42 3.1 41.3 2.5ZM68.2 19.7 68.1 19 67.9 19.6ZM68.8 20.1 69.2 20.6 69.9 21.3 70.3 20.8 70.9 20.9 71.6 20.7 72.2 20.9 72.1 20.3 71.8 19.7 71.9 19 72.1 19.6 72.4 20.4 73 20.5 73.4 20 73.7 19.4 72.7 18.6 72.1 18.6 71.6 18 71.1 18.4 71.1 19 70.4 18.4 70 17.9 69.4 18.1 69.1 18.7 68.9 19.3 68.8 19.9ZM74.6 20.5 75.2 20.9 75.8 21.1 76.6 20.9 76.9 20.3 76.2 20.1 75.6 20.1 74.9 19.6 74.3 19.3 74.2 20 74.6 20.5ZM93.3 29 93.9 28.7 94.5 28.8 95.1 28.6 95.2 28 94.6 27.6 94 27.7 93.5 28.1 93.2 28.7ZM82.9 31.8 83.2 31.1 82.9 31.8ZM86.9 30.8 87.5 31.2 87.8 30.6 87.2 30.4ZM67.9 22.4 68.2 23 68 22.3ZM70.4 24 71.2 24.1 71.8 24.3 72.4 24.4 72.5 23.8 72.1 23.2 71.5 23 71 23.6 70.5 24ZM70.8 23 71.2 22.5 70.6 22.4 70.8 23ZM86.1 50 85.6 49.6 86 50.1ZM79.9 54 79.5 54.5 80 54.1ZM36.3 19.9 36.7 19.4 36.3 19.9ZM74.2 59.5 73.7 60 74.2 59.6ZM75.7 58.7 75.1 58.9 74.6 59.4 75.2 59.1 75.7 58.7ZM76.6 58 76.1 58.6 76.7 58ZM84.9 45.4 84.4 45.8 85 45.7ZM33.1 8.3 34 8.6 33.3 8.1ZM34.9 4.1 35.6 3.9 34.9 3.5ZM29.6 24.8 30.3 24.6 30.3 24 29.7 23.9 29.5 24.5ZM34.7 25.4 35 24.8 34.6 25.3ZM33.9 25.7 33.6 26.3 34.2 26.1ZM100 36.5 99.3 35.9 98.8 35.3 98.1 35.1 97.2 35.1 97.5 35.7 97.5 36.4 97.1 35.8 97 35.2 97 34.6 95.8 33.5 95.3 33.1 94.7 32.8 94.3 32.2 93.6 31.7 92.8 31.3 92.2 31 91.6 30.6 90.9 30.7 90.3 30.6 89.6 30.5 88.9 30.3 88.4 30.7 88.5 31.5 88.4 32.4 87.8 32.2 87.3 31.7 87 31.1 86.4 31.2 85.8 31.2 84.9 31.1 84.3 31 83.5 31.1 83.1 31.6 83.2 32.3 82.8 32.8 83 32.1 82.8 31.3 82.3 30.9 82.2 30.3 82.2 29.7 81.9 29.1 81.1 28.6 80.3 28.5 79.7 28.6 79 28.7 78.4 28.9 77.4 28.7 77.1 28 76.5 28.2 76.4 27.6 75.8 27.4 76.4 27 75.8 26.3 74.9 26.2 74.3 27 73.6 27.4 73.9 26.8 74.5 26.4 73.5 26.3 74.2 26.2 73.6 25.7 72.7 25.5 71.8 25.4 71 25.1 71.2 25.7 70.3 25.9 70.1 26.5 70.7 26.5 70.2 26.9 70.5 27.7 69.8 27.5 69.3 27.9 68.4 27.6 67.8 27.7 67.1 28 66.5 27.6 66.2 27 65.9 27.8 65.7 28.5 65.4 29.1 64.7 28.6 64.3 27.9 64.2 27.3 63.7 26.7 63.4 26 64.1 26.7 64.3 26 64.2 25.3 64.2 24.7 63.7 24.3 62.9 23.8 62.3 23.9 61.6 23.4 60.9 23.5 60.8 24.1 60.8 24.9 60.2 25.1 59.6 24.9 58.8 24.9 58.2 24.6 57.9 23.9 57.3 23.7 56.1 23.4 55.3 23.7 55.1 24.3 55 25 55.1 25.6 54.9 25 55 24.2 54.9 23.4 54.2 23.4 53.7 22.9 53.1 22.8 52.8 23.4 53.4 23.3 52.9 23.9 52.1 24.2 51.4 24.6 50.8 24.7 50.3 25.3 50.7 24.3 51.3 23.7 51.9 23.5 52.4 22.8 52.9 22.4 53.2 21.8 53.7 21.4 54.3 21 55.1 20 54.9 19.4 54.4 18.7 55 19.1 55.2 18.5 54.9 17.9 54.5 17.3 54 16.8 53.2 16.4 52.6 16.4 52 16.5 51.6 17 51 17 51.3 16.2 50.8 15.7 50.2 15.5 49.6 15.5 50.3 15.2 50.7 14.7 50.2 14.3 49.6 13.8 48.9 14.1 48 15.3 47.6 16 47.7 16.8 47.1 17.1 46.4 17 46.8 17.6 47 18.5 46.6 17.9 46 17.9 45.3 18.5 44.6 18.6 44.7 18 43.9 17.9 43.2 18 43.7 18.4 42.8 18.8 42.1 19.1 41.4 19.3 40.8 19.5 40.4 20 39.6 20.2 39.7 20.8 39.3 21.3 39.4 21.9 39.6 23.1 39.1 23.7 39 24.3 39 23.7 39.5 23.2 38.9 23.1 38.2 23.3 37.5 23.5 36.5 23.5 35.7 23.7 35.6 24.3 35.9 25 35.8 25.6 36.3 26.2 36.7 26.7 37.3 27.1 37.5 27.7 37.2 28.5 37.5 29.1 37.4 29.8 37.2 29.2 36.7 29.6 36.8 29 36.8 28.2 37.2 27.7 36.6 27.4 35.9 26.9 35.4 26.4 34.5 26.1 33.9 26.5 34.4 26.9 33.7 26.8 33.1 27 33.2 27.6 33.9 28.1 34.4 28.5 33.6 28.4 32.9 28.2 32.8 27.5 32.6 26.9 32.9 26.3 32.8 25.7 32.4 25.2 32.5 25.8 32.5 26.5 31.8 27 31.3 27.9 31.7 28.6 32.1 29.3 31.8 30 31.6 30.8 31.8 31.4 32.4 32 33 31.7 33.8 32.2 34.2 32.9 33.9 33.7 34.3 34.2 33.7 34 33.8 33.2 33.5 32.5 32.8 32.3 32.2 32.5 32.2 33.2 32.3 33.9 31.9 34.6 31.8 35.2 30.9 35.9 30.3 36.2 29.7 36.2 29.1 35.9 29.7 35.7 30.3 35.7 31.1 34.3 31.4 33.7 31.6 33 31.2 32.4 31 31.5 31.1 30.8 31 30.1 31.1 29 31 28.4 30.6 27.8 30.9 27.2 31.1 26.2 31.2 25.5 30.5 25.1 29.9 25.1 29.3 25 28.8 26.1 28.7 26.8 28.5 27.4 28.1 27.9 27.6 28.4 27.6 29 27.9 29.6 27.9 30.4 27.7 31 28.4 31.3 28.6 32 28.8 32.8 28.2 32.9 27.8 32.3 27.2 32 26.6 31.7 26.1 31.2 25.2 30.9 24.3 30.7 23.8 31.1 24.1 31.9 24 32.5 23.6 33 23.2 32.3 22.6 32.4 22 32.8 21.4 32.7 20.8 32.9 20.3 33.3 19.7 33.3 20 32.7 20.4 32.2 19.4 32.5 19.3 33.1 18.6 33.1 17.9 33.4 17.3 33.9 16.6 34.3 16.5 35.2 15.9 35.5 15.3 35.2 14.8 34.7 15.2 34.1 15.9 33.9 15.6 33.2 14.9 32.8 14 32.6 14.4 33.2 14.3 34.2 14.2 34.8 14.6 35.5 14.4 36.1 14.4 36.7 14 36.2 13.4 36 12.8 36.5 12.3 36.9 11.8 37.3 12 38 11.9 38.6 11.1 38.4 10.5 38 9.9 38.2 10.2 38.8 10.8 39 10.6 39.6 10 39.5 9.5 39 8.9 38.7 8.9 38.1 8.8 37.5 8.9 36.9 8.5 36.4 8 35.9 7.5 35.4 8.1 35.6 8.7 35.8 9.3 36.1 10.1 36.3 10.7 36.6 11.5 36.5 12.3 36.1 12.6 35.5 12.7 34.9 12.5 34.1 12 33.7 11.3 33.2 10.6 32.6 10 32.1 9.2 31.7 8.6 31.6 8 31.9 7.9 31.3 7.3 31.1 7.9 31 7.3 30.5 6.9 31 6.3 31.1 5.7 31.6 5.3 32.2 5.2 32.9 5.5 33.5 6 34.1 5.8 34.7 5.6 35.3 5.8 35.9 6 36.6 6.1 37.2 5.9 37.8 6 38.4 6.2 39 6.2 39.7 6.7 40.4 6.9 41.1 6.4 41.9 5.9 42.6 5.5 43.1 5 43.6 5.4 44.1 6 44.3 5.5 44.7 4.9 44.8 4.8 45.4 4.6 46.3 4.8 46.9 4.8 47.5 4.9 48.1 5 48.7 5.6 48.9 6.2 49 6.6 49.5 6.6 50.1 6.9 50.7 7.4 51.1 7.5 51.7 6.9 51.8 7 52.4 7.6 52.6 8.2 52.5 8.7 53.1 9.1 53.6 9.3 54.2 9.9 54.5 10.5 54.4 11 54.8 11.6 55 11.9 55.6 11.9 56.2 11.4 56.6 10.9 57 11.5 57.1 11 57.5 11.1 58.1 10.6 58.5 10 58.7 10.4 59.2 11 59.6 11.6 60 12.2 60.2 12.8 60.5 13.5 60.6 14.1 60.8 14.7 60.9 15.3 61.1 15.7 61.6 16.2 62 16.8 61.8 16.7 61.2 16.3 60.7 16.4 60.1 16 59.6 16.2 59 16.7 58.5 17.3 58.1 16.9 57.6 16.9 57 16.3 56.7 15.9 56.1 16.1 55.5 16 54.9 16.4 54.3 16.8 54.8 17 54.2 17.5 53.8 18.1 53.3 18.7 53.4 19.3 53.3 19.9 53.4 20.3 53.9 20.9 54 21.5 53.9 22.1 53.9 22.7 53.7 23.2 54.1 23.8 54 24.5 53.9 24.3 53.3 23.7 53 24.2 52.6 24.2 52 24.8 51.9 24.5 51.3 25.1 50.9 25.7 50.7 26.3 50.5 26.9 50.3 27.5 50.2 28.1 50.1 28.6 49.7 29.2 49.5 29.8 49.7 30.2 50.2 30.3 50.8 30.9 50.7 31.5 51 32 51.4 32.6 51 33.2 50.6 33.7 51.2 34.2 51.8 34.6 52.5 35.1 53.3 35.4 54 35.8 53.5 36.2 54 36.8 54.1 37.4 53.8 37.8 54.3 38.3 54.7 38.8 55.1 39.4 55.2 40 55.5 40.6 55.2 41.1 54.8 41.7 54.5 42.2 54.1 42.9 54.1 43.5 54.2 43.9 54.7 44.5 54.8 45.1 54.8 45.7 54.9 46.1 54.4 45.8 53.8 46.1 53.2 46.6 52.8 47.2 53.1 47.8 53.3 48.4 53.5 48.5 54.1 49 54.5 49.6 54.6 50.2 54.3 50.8 54.4 51.4 54.7 51.9 55.2 52.5 55.3 53.1 55.5 53.7 55.4 54.4 55.2 54.9 54.8 55.5 54.5 56.1 54.8 56.7 54.7 57.2 55.1 57.8 55 58.4 54.7 58.4 54.1 58.8 53.4 59.2 52.9 59.2 52.3 59.4 51.6 60 51.5 60.6 51.4 61.2 51.5 61.8 51.7 62.3 52.1 62.6 52.7 62.8 53.3 63 54 63.2 54.7 63.7 55.1 64.3 55.3 64.8 55.7 65.2 56.2 65.3 56.8 65.9 56.7 66.5 56.4 67.1 56.2 67.5 56.8 67.1 57.3 67 57.9 66.7 58.5 66.3 59 65.7 58.8 65.3 59.3 65.4 59.9 65.4 60.5 64.9 60.9 65.5 60.8 66 60.4 66.5 60.9 67.1 60.6 67.7 60.3 68.1 59.6 68.6 59.1 69 58.5 69.4 58 69.7 57.4 70.1 56.8 70.5 56.2 70.7 55.6 70.8 54.9 70.8 54.2 70.9 53.6 71.3 53 71.2 52.4 71 51.8 70.7 51.1 70.1 50.7 69.7 51.3 69 51.4 69 50.8 68.6 50.3 67.9 50.2 68.3 49.6 68.8 49.1 69.4 48.4 69.8 47.9 70.3 47.4 70.8 46.9 71.1 46.3 71.6 45.9 72.1 45.3 72.8 45.1 73.8 45.1 74.4 45.1 75 45.3 75.7 45.3 76.1 44.7 76.7 44.9 77.3 45 77.2 45.8 77.8 45.6 78.4 45.4 79.2 45.5 78.8 45 79.1 44.4 79.6 43.8 80 43.3 80.3 42.7 80.8 42.3 81.4 42.3 82 42.4 82.2 43 82.4 43.6 83.5 42.6 84.1 42.5 84.1 41.9 84.8 41.2 85.4 41.4 84.8 41.6 84.6 42.2 84.6 42.9 84.3 43.5 83.6 43.8 83.1 44.4 82.7 44.9 82.2 45.5 81.9 46.1 81.4 46.6 80.8 47 80.4 47.5 80 48.1 79.8 48.8 79.7 49.6 79.7 50.4 79.9 51 80 51.9 80.1 52.5 80.2 53.4 80.9 53.3 81.3 52.8 81.4 52.2 82 51.7 82.2 51.1 82.6 50.5 83.2 50.4 83.3 49.8 83.4 49 83.8 48.4 83.9 47.8 84.1 47.2 83.5 46.9 83.5 46.2 83.9 45.7 84.2 45 84.5 44.4 85.1 44.6 85.7 44 85.9 44.6 86.3 44.1 87 43.8 87.7 43.8 88.1 44.3 88.6 43.9 89.1 43.5 89.6 43 90.1 42.6 90.8 42.3 91.3 41.9 91.9 41.5 92.4 41.1 93.4 41.6 93.7 41 93.4 40.4 93.2 39.7 93 39.1 92.5 38.7 91.9 38.5 91.2 38.5 91.9 38.3 92.6 38.4 93.2 38.6 93.8 38.2 94.3 37.6 94.2 37 94.2 36.4 94.8 36.2 94.6 36.8 94.9 37.4 95.6 37.3 96.3 37.5 96.4 38.1 97 38.4 97.5 38.9 98.1 39.1 98.1 38.5 98.5 38 98.4 37.4 99.1 37.4 99.5 36.9 100 36.5ZM54.2 21.6 53.8 22.1 54.3 22.5 54.9 22.2 54.2 21.6Z' },
+  rw: { viewBox: '0 0 100 85.9', path: 'M81.8 0.2 80.2 1 79.9 3.4 81.8 7.1 87.9 15 91.8 16.4 94.3 19.5 96.8 24.6 97.6 31 96.5 38.8 97.2 44.5 99.4 48.3 100 53.2 98.9 59.2 97.6 62.8 96.1 64 94.4 64.4 92 64 89.1 64.5 86 65.7 84 65.8 82.8 65.6 80.5 64.6 76.8 61.5 70 63.2 68.2 63.2 65.7 64.7 63.6 66.5 62.4 66.6 61.1 66.4 55.3 62.7 53.1 62.8 52.2 73.1 51.3 78.9 50.1 81.4 45.9 83.9 41.6 85.2 39.3 85.2 30 85.9 26.4 85.9 24.4 85.1 21.8 79.3 16.8 76.7 12.1 75.5 10.2 75.8 8.5 78.8 7.8 81.6 3.2 79.7 1.8 77.4 1.7 73.5 0 68.1 0.9 65.8 2.7 64.3 6.5 61.5 12.3 57.6 13.6 55.7 14.4 52.6 14 45.4 13.5 39.2 14.2 37.1 16.8 32.3 20.3 27.5 24.5 22.4 27 21.9 30.2 19.9 33.7 17.1 35.6 16 37.3 16 47.9 13.4 49 14.2 50.7 19.1 51.6 19.9 53.1 20 56.1 18.9 61.6 15 64 12.7 66.8 9.4 70.5 5.7 72.5 2.5 74.4 0.6 77 0 79.9 0.2Z' },
+  sa: { viewBox: '0 0 100 82.1', path: 'M56.7 16.7 57.6 16.8 58.8 16.9 59.6 17 61 17.2 61.4 18.1 61.7 19.2 62.1 19.7 63.1 19.7 63.9 19.7 64.9 19.7 65.8 19.6 66 20.2 66.6 21.9 67.3 22.8 67.6 23.6 68 24.5 68.8 25 69.5 25.3 69.8 26.2 70.3 26.9 71 27.1 71.8 28.1 73.1 28.8 73.9 29.7 73.3 29.5 73.3 30.4 74.1 31.1 73.9 32.7 73.3 32.6 73.6 33.4 73.8 34 74.3 35.2 75.3 36.2 75.6 36.8 75.8 38 76.4 38.6 77 39.5 77.2 40.1 77.8 40.7 78.4 40.7 79.2 40.5 79.9 40.7 79.4 41.9 80.2 42 80.7 43 81.2 43.8 81.7 44.5 82.2 45.1 82.8 45.8 83.3 46.5 83.8 47.2 84.3 47.8 84.8 48.5 85.3 49.1 85.9 49.2 86.8 49.3 87.5 49.4 88.4 49.5 89.3 49.7 90.3 49.8 91.4 49.9 92.5 50.1 93.5 50.2 94.4 50.3 95.3 50.4 96 50.5 96.6 50.6 97.4 50.7 98.2 50.9 98.9 52 99.3 52.7 99.7 53.4 99.8 54.4 99.7 55 99.3 56.1 99.1 56.7 98.8 57.8 98.6 58.4 98.3 59.5 97.9 60.6 97.7 61.2 97.4 62.3 97 63.4 96.8 64.1 95.5 64.5 94.7 64.8 93.9 65.1 93.1 65.4 92.2 65.7 91.4 66 90.6 66.3 89.8 66.5 89 66.8 88.1 67.1 87.3 67.4 86.5 67.7 85.7 68 84.9 68.3 84.1 68.6 83.2 68.8 82.6 69.1 81.5 69.2 80.4 69.4 79.2 69.6 77.7 69.8 76.5 69.9 74.9 70.2 73.3 70.4 71.9 70.6 70.5 70.8 69.3 70.9 68.6 71.1 67.8 71.6 66.5 72.2 65.2 72.9 64.5 73.3 63.8 74.2 62.7 75.4 62.2 76 61.7 76.8 61.4 77.4 61 78.4 60.1 79 58.8 79.2 58.3 78.6 57.8 77.9 56.6 77.8 55.6 77.9 54.5 77.7 53.2 77.6 51.9 77.5 51.3 77.4 50.5 77 49.1 76.9 48.2 76.9 47.2 77 46.3 77 45.4 77 44.7 77.2 44 77.3 43.3 77.2 42.7 76.7 42.1 76.4 41.5 76.6 40.8 77.2 40.9 77.8 40.5 78.4 40.4 79.3 40.7 79.9 40.4 80.7 40 81.2 38.9 82.1 38.6 81.1 38.4 80.3 37.7 79.6 37.4 78.8 36.9 78.4 36.7 77.7 36.5 76.8 35.4 75.7 33.9 74.6 33.5 74 32.8 72.8 32.4 71.8 31.5 70.7 31.3 69.7 31 69.1 29.9 66.6 29.4 65.8 28.5 64.9 27.9 64.1 26 62.7 25.1 62.6 24.3 62.1 23.8 61.4 23.2 60.3 22.2 59.1 21.3 57.4 21.6 56.8 21.3 55.6 20.8 54.5 20.9 53.7 21 52.9 21.3 51.9 21.1 50.9 20.9 50.3 20.3 49.4 20.1 48.8 19.7 47.8 19.4 47.2 18.7 45.9 18.3 45.1 17.5 44.1 16.6 43.3 16 43 15.2 42.7 14.7 42.2 13.9 42.1 13.4 41.2 12.9 40.4 12.2 39.4 12.6 38.6 12.5 38 12 36.9 11 35.1 10.2 34.5 9.9 33.7 9.8 33 9 32.6 7.8 30 7 29.1 6.7 28.5 5.9 27.5 5.5 26.5 4.6 25.6 3.8 24 2.7 22.4 1 22 0 22.2 0.3 21.1 0.8 19.8 0.9 18.7 1.6 15.3 2.6 15.4 3.4 15.6 4.7 15.8 5.9 16 6.7 16.1 7.9 15.3 8.8 14.5 9.4 13.6 9.9 12.7 11 12.3 12.3 12 13.6 11.8 14 11 14.4 10 15.4 9.3 16 9 15.2 8.1 14.5 7.2 13.6 6.2 12.9 5.4 11.8 4.3 11.1 3.5 12.4 3.2 13.7 2.8 15 2.4 16.6 1.9 17.9 1.5 19.8 1 20.7 0.7 21.5 0 22.6 0.2 24.2 0.5 25.7 0.7 27.4 1 29.4 2.2 30.5 2.8 31.7 3.5 33.1 4.4 34.2 5 35.5 5.8 36.5 6.7 37.8 7.8 39.2 9 40.4 10 42 11.3 43.5 12.6 45.1 13.8 46.3 14.8 47.9 16.1 49.6 16.3 51.8 16.5 53.9 16.7 55.8 16.8 56.7 16.7ZM9.4 34.7 9.4 33.9 9.4 34.6ZM10.9 36.4 10.2 35.8 9.1 35.3 10.1 35.5 11 36.2ZM35.1 80.4 35.9 80.4 35.9 81.1 35.5 80.6 34.6 80.5 34.1 79.7 34.6 79.3 34.9 79.9Z' },
+  sb: { viewBox: '0 0 100 46.7', path: 'M16.1 6.4 15.7 7.3 14.8 7 13.9 6.6 12.7 6.4 10.9 5.1 9 2.7 7.3 1.4 6.9 0.9 6.9 0.3 8.2 0.3 9.7 1.4 12 2.5 12.7 3.1 13.1 4.5 14.7 6 15.4 6.2 16.1 6.4ZM1.4 4.3 0.6 4.6 0 4.3 0.2 3.6 1.7 3.9ZM37.3 17.2 36.2 16.6 35.3 15.7 32.7 14.7 32.1 14.2 30.3 13.3 29 12.7 28.2 12 27.6 11.6 26.7 10.8 25.9 10.2 25.7 9.3 24.9 8.6 27.2 8.9 28.3 9.9 29.3 10.5 30.5 11.5 31.3 11.6 32.1 12.2 32.8 12.3 33.4 12.6 37 15.3 36.6 16 37.1 16.5 37.3 17.2ZM9 11.7 8.5 11.3 8.3 10.7 7.4 9.8 7.3 9.2 7.9 8.6 8.6 8.9 9.2 9.7 10.1 9.9 9.2 11.3ZM13.3 13.3 12.1 13.4 11.4 12.5 11.4 11.8 12 11.2 12.7 11.1 13.4 11.9 13.5 12.5 13.3 13.3ZM8.2 13.9 7.7 13 7.8 12.1 8.3 13.2 8.2 13.9ZM18.5 14.5 19.1 15.3 19.7 16.9 19.6 17.5 19 17.8 18.4 17.1 17.6 16.8 17 16.4 16.8 15.4 16.7 14.8 14.9 14.8 14.4 15.4 13.8 15.2 13.8 14.3 14.6 13.8 14.8 13.2 15.6 12.2 17.1 12.4 17.2 13.8 18.5 14.5ZM45.1 15.2 47.3 17.8 46.9 18.6 46.8 19.5 47.7 20 48.7 21 49.1 22.1 49.6 23 49.6 24.1 50.6 25.7 50.7 26.4 49 24.8 47.7 24.1 46.2 22.7 45.3 21 44.3 17.9 44.8 17.2 43.7 15.7 44.5 15.4 45.1 15.2ZM35.6 16.9 34.6 16.7 34.4 15.9 35.2 16.1 35.6 16.9ZM15.2 18.8 13.6 17.4 14.8 16.2 15.4 16.6 15.2 17.3 14.7 18.2 15.2 18.8ZM21.6 18.5 20.7 19.2 20.1 19 19.6 18.4 19.7 17.6 20.3 17.2 21.6 17.2 21.2 17.8 21.6 18.5ZM22.4 19.7 22.5 18.4 22.7 19.2ZM17.5 19.2 15.8 18.9 16.4 18.6 17.3 18.9ZM31.2 22.4 30.2 22.3 30.2 21.5 30.9 21.3 31.6 21.6 31.2 22.4ZM39.9 21.3 40.7 21.4 41.3 21.9 42 22.6 41.1 22.7 40 22.1 39.4 22 39.9 21.3ZM36.2 23.8 38.2 25.2 39 25.1 41.6 25.1 43.1 26.1 44 26.6 44.5 27.5 45.1 27.7 45.5 28.2 45.7 29 44.7 29.5 42.7 29.3 41.3 28.7 38.4 28.6 37.1 28.4 36.2 27.8 35.6 27 35 26.1 35 25.5 34.9 24.5 35.6 23.7 36.2 23.8ZM52.2 26.9 52.3 27.9 51.5 27.5 50.9 27.4 51 26.7 51 25.9 50.9 25.3 50.5 24.5 52.2 26.9ZM53.7 33.7 54.8 34.3 55.4 34.2 56.4 34.5 57.1 34.3 57.6 34.8 58.7 36.6 58.8 37.2 59.5 37.7 58.9 37.7 58 37.5 57.3 37.7 56.6 37.3 55.4 37.1 54.3 36.7 52.1 35.4 52.1 34.7 51.6 33.5 50.8 33.2 49.9 33.2 50 32.1 50.7 32.1 51.5 32.4 53.1 33.4 53.7 33.7ZM92.9 37.1 92.2 37.2 91.5 37.3 90.9 37.9 90.1 37.8 89.9 37.1 90.5 36.6 92 36.2 92.9 36.4 92.9 37.1ZM43.5 46.4 42.9 46.7 42.3 46.6 41.6 45.7 40.8 45.2 39.7 45 39.2 44.6 38.4 44.5 38.3 43.7 39.1 43.7 42.4 45.5 43.2 46.1ZM100 45.2 99.2 45.4 98.4 44.6 99.3 44.5 100 45.2Z' },
+  sc: { viewBox: '0 0 70.5 100', path: 'M69.2 59.1 70.5 100 49.2 86.3 43.2 59.9 14.8 40.2 0 22.2 32 0Z' },
+  sd: { viewBox: '0 0 100 83.4', path: 'M57.4 0.8 58.4 1.3 60.3 1.3 62.3 1.3 64.2 1.3 66.2 1.3 68.1 1.3 70.1 1.3 72 1.3 74 1.3 76 1.3 77.9 1.3 79.9 1.3 81.8 1.3 83.8 1.3 85.7 1.3 87.7 1.3 89.6 1.3 89.7 2.8 90 3.9 90.9 5.6 91.7 6.5 92 7.2 91.3 7 91.3 7.8 91.4 9.4 91.8 10.5 91.5 11.5 91.6 13.2 92 15.3 91.9 16.6 92.6 19.7 93.2 21.4 94 22 94.8 22.2 95.9 23 96.8 24 97.6 25 98.4 25.1 99.8 26.1 99.5 26.9 98.9 27.6 98.6 28.3 98.1 28.8 97.4 29.2 96.5 29.4 95.9 29.7 95.2 29.8 94.3 30.4 93.7 30.7 93.1 32 92.4 32.4 91.4 32.5 90.8 32.3 90.3 33.5 90 34.4 89.7 35 89.8 36.1 89.9 37.1 89.4 38.6 88.8 40.1 87.8 42.8 87.6 43.5 87 44.2 87.1 45.4 87.3 46.7 87.4 47.8 87.6 49.6 87.1 51.2 87.1 52.1 86.8 53.4 86.5 54 86.1 54.8 85.7 55.6 85.4 56.7 85.3 57.8 85.3 58.4 84.4 59 83.4 59.2 82.8 59.3 82 60.1 81.2 61.5 80.7 62.4 80 63.6 79.2 64.4 78.8 65.6 78.5 66.8 78.3 67.7 78.3 68.4 78 69.6 78.1 70.2 77.4 70.8 76.6 70.5 75.9 70.1 75.1 70.6 74.6 71.4 74.2 72.2 74.4 73.9 74.3 74.6 73.6 75.9 73.3 77 73 78.3 71.9 78.6 71.8 77.6 72.3 76.3 72.2 75.7 72.3 75 72 74.3 69.3 72.1 68.8 71.5 67.4 70.9 67.6 70.3 67 65.8 67.3 65.2 67.4 64.4 67.4 63.7 67.7 62.5 64.9 62 64.9 62.7 65 63.3 61.1 63.3 62.6 65 62.7 65.8 62.6 66.8 62.6 67.5 63.2 68.7 60.2 71.4 59.8 72.5 59.4 73.1 58.6 74 56 76.6 54.3 76.8 53.6 76.8 51.5 75.5 48.7 73.7 46.9 74.6 46.4 75 46.3 75.8 45.6 76.8 44.2 77.1 43.5 77.3 42.7 77.7 41.8 78.6 41.8 79.4 37.1 79.4 36.1 77.8 31.3 77.7 30.7 77.8 29.4 78.4 28.8 78.5 28.2 78.2 25.9 75.6 25.2 75.1 24.4 74.4 24.2 73.3 23.7 72.8 20.6 73.5 19.5 73.5 19.1 74 19 74.7 18.7 75.4 17.8 76.3 17.7 77.7 17.5 78.4 17 79 16.9 80 16.3 81.1 16.2 81.9 14.7 82.5 13.9 83.2 13.2 83.2 12.5 83.1 11 83 10.2 82.5 10.3 81.7 9.8 81.1 10.6 79.8 10.8 77.7 10.9 77.1 10.9 76.4 10.2 75.2 9.7 74.3 8.9 73 6.8 70.8 6.2 69.8 6.4 69.2 6.6 68.2 6.5 67.3 5.7 66.9 5.2 66.4 4.6 65.8 4.5 63.4 4 63 3.6 61.4 3.4 60.5 3.1 59.3 2.4 59 1.8 59.1 1 59.2 0.3 59.1 0 58.5 0.5 57.2 1 56.6 2 55.9 2.4 55.2 2.4 54.4 2 53.4 1.7 52.8 1.8 52.1 2.6 51.3 3.4 50.8 4.1 50.4 4 49.7 3.7 49.1 3.6 48.5 3.3 47.8 3.8 47.3 4.8 47 5.1 46.3 5.3 45.7 5.6 45 6.2 44.4 6.8 43.6 6.6 41.8 7.1 41.2 7.6 40.7 8.4 40.8 9.7 40.7 10.6 40.5 12.6 40.7 12.9 39.3 12.9 36.6 12.9 33.8 12.9 31.1 12.8 28.3 12.8 25.5 12.8 22.7 12.8 19.9 12.8 17.2 12.8 16.4 12.8 15.6 12.8 14.8 12.8 14 14.3 14 15.8 14 17.2 14 18.7 14 18.8 10.8 18.8 7.7 18.8 4.5 18.8 1.3 21.1 1.3 23.3 1.3 25.6 1.3 27.9 1.3 30.2 1.3 32.5 1.3 34.7 1.3 37 1.3 39.3 1.3 41.6 1.3 43.8 1.3 46.1 1.3 48.4 1.3 50.7 1.3 52.9 1.3 55.2 1.3 55.9 1.3 56.8 0.1 57.4 0.1Z' },
+  se: { viewBox: '0 0 43.5 100', path: 'M43.5 28.2 42.6 28.4 42 28 41.1 28.2 40.4 28.3 39.4 28.3 38.8 27.6 38.4 28.2 37.9 27.8 37.4 28.3 37.2 29.7 36.6 29.7 36.6 30.4 36 30.4 36 31.1 35.2 31.4 34.7 31.8 35 32.6 34.5 32.1 34.7 32.7 34.9 33.4 34.4 34.5 33.9 35.1 33.4 36.1 33.9 36.8 34.1 37.5 34.3 38.2 34.7 38.8 34.5 39.5 33.8 40.1 33 41 32.2 43.4 31.1 44.1 30.3 44.9 29.3 45.3 28.9 45.9 28.5 46.5 28 46.1 27.9 46.7 27.2 46.7 27.1 47.3 26.4 48.1 25.7 48 25.2 48.6 24.7 49.4 24.1 49.6 24.6 50 24.5 50.6 23.8 51 23.2 51.4 22.6 50.7 22.7 51.4 22.7 52.2 23.1 52.8 22.4 53.5 21.7 53.9 21 53.5 20.8 54.1 21 54.7 21.4 55.2 21.3 55.9 21.1 57 20.8 58.1 20.9 58.7 21.1 59.3 20.2 59.1 20 60.1 20.1 60.9 20 61.5 20.1 62.2 20.2 63.1 20.3 64.2 20.5 65.4 20.4 66.2 21.1 66.6 21.7 67 22.5 67 23 67.5 23.5 68.2 24.3 68.6 24.8 69.2 24.7 69.9 25.6 70.4 25.9 71 26.2 72 25.9 72.7 25.3 73.2 24.9 73.8 24.3 74.3 23.7 74.7 22.8 75.1 22.2 74.8 22.3 73.9 21.4 74 20.8 74.2 19.8 73.8 19 73.6 18.4 73.8 17.8 74.1 17.1 74.3 16.4 74.4 18.3 74.5 19.3 74.6 19.8 75 20.6 75.7 21.2 75.6 22.5 75.7 23.4 75.4 24 75 24.6 74.8 25 75.3 24.3 75.6 24.2 76.3 23.3 77.1 22.8 77.5 22.1 77.7 21.1 78.4 20.7 78.9 19.9 79.3 18.4 79.7 17.3 79.7 18.5 80.1 19.3 80.7 18.4 81.1 18.6 82 18.6 82.9 18.6 84.4 18.1 85 18.2 86.1 18.4 87 17.8 88.5 17.9 89.2 17.8 90.5 17.6 91.3 17.4 91.9 17 92.6 16.2 94.8 15.7 95.4 15 95 14 95.2 13.1 95.1 12.2 95.2 12.1 95.9 11.4 95.8 10.9 96.3 10.4 96.8 10.2 97.7 10.5 98.3 10.7 98.9 10.1 99.7 8.9 99.5 7.3 100 5.8 99.6 6 98.9 6.1 98 6 97.3 5.6 96.8 4.8 95.3 4.6 94.7 5.2 94.7 5.3 94.1 5 93.5 5.7 93.4 5.8 92.4 4.8 91.2 4.3 90.7 3.4 88.7 3 87.3 2.5 86.3 2 85.6 1.9 84 1.3 83.9 1 83.1 0.9 81.7 0.3 81.5 0.4 80.9 0.3 79.5 0.2 78.3 0 77.6 0.2 77 0.8 77.2 1.1 78.1 1.7 78 1.9 77.4 2 76.5 2.2 75.6 2 74.7 1.8 73.8 2.3 72.9 2.6 71.8 3.4 71.5 4.2 70.6 4.6 69.3 4.7 68.5 4.8 67.9 4.7 67.2 4.3 66.2 3.9 64.9 3.8 64.1 4.4 63.8 5.1 63.8 5.4 62.9 5.7 62.1 5.4 61 4.8 60.4 3.8 59.6 3.4 59.1 3.6 57.3 3.8 55.9 3.9 55.1 3.2 52.9 3.3 51.9 3.2 51.2 3.2 50.5 3.6 49.9 3.3 49.3 2.8 47.7 3.6 46.2 3.4 45.5 3.9 44.9 4.6 43.6 5.1 42.8 6.1 42 6.9 41.8 8.4 42.1 9.4 42.3 9.7 41.7 10 41.1 10 40.4 9.9 39.4 9.8 38.8 9.1 38.4 8.4 37.9 9.3 36.2 9.9 35.1 10.7 33.3 11 32.5 11.4 29.5 11.5 28.7 11.7 27.8 11.6 27.1 11.4 25.5 12.6 25.3 13.4 25 14.1 24.5 14.5 24 14.3 22.5 14.7 22 15.8 20.2 17 18.4 17.6 17.7 17.7 16.9 17.4 16 16.6 14.5 16.9 13.8 17.8 13.4 18.1 12.8 18.8 10.4 20.1 9.2 20.7 8.5 21.5 9 22.6 9.8 23.2 8.7 23.5 7.7 23.4 6.6 23.4 5.2 23.9 4.4 25.5 5 26.4 5 27.1 5.3 28.6 5.9 29.2 6.2 29.8 6 30.4 5.2 29.5 4.6 30.1 4 30.4 3.4 30.7 2.6 30.8 1.7 30.5 1 30 0.1 31.2 0 32.6 0.5 32.7 1.2 33.6 1.9 34.4 2.9 35 3.6 35.8 4.3 36.3 4.8 36.9 5.2 37.5 5.3 38.9 5.9 39.6 6.6 40 7.2 40.2 8.2 40.8 8.7 41.2 9.3 41.8 9.9 41.3 10.6 41.3 11.3 41.3 12.2 41.4 12.9 41.2 13.7 41.2 14.3 41.8 14.4 42.2 15.4 41.8 15.9 41.7 16.6 41.9 17.6 42.2 18.2 42.5 18.8 42.9 19.6 42.6 20.7 42.6 21.4 42.2 22.4 41.9 23.4 42 24.1 42.1 24.8 42.7 25.4 43 26.1 43.2 26.7 43.5 28.2ZM26.8 84.3 27.4 84.1 26.8 84.3ZM26.5 84.9 26.1 85.5 25.6 87.1 26 87.6 25.4 88.1 24.7 88.9 24.2 89.5 24.1 90.2 23.4 90.6 23.6 90 23.6 89.3 23.3 88.4 23.4 87.3 23.4 86.6 23.9 86 24.3 85.4 24.7 84.9 25.3 84.7 25.9 84.4 26.5 84.9ZM18 94.4 17.6 93.2 18.3 90.8 19.1 89.5 19.5 88.5 19.7 87.9 19.8 88.7 19.2 90.2 19 91 18 94.4Z' },
+  sg: { viewBox: '0 0 100 52.2', path: 'M92.3 33.2 49 52.2 0 34.9 15.9 6.8 48.4 0 74.8 9 89.7 15.8 100 23.5Z' },
+  sh: { viewBox: '0 0 100 94.3', path: 'M0.6 1 0 0.7 0.4 0 1 0.3 0.6 1ZM99.6 94.2 98.6 94.3 98.7 93.7 99.5 93.1 100 93.9Z' },
+  si: { viewBox: '0 0 100 65.8', path: 'M100 16.8 97.2 15.7 93.8 15.2 93.2 15.8 91.8 16.5 91.1 17.6 91.6 21.9 90.8 22.7 86.9 22.3 85.7 22.8 83.6 25.8 81.4 27.1 78.7 28 76.7 29.1 74.1 30 72 30.6 71.1 31.9 70.6 33.4 70.7 34.8 72.9 37.6 73.2 40.5 73 44.2 72.5 46.1 71.6 47.4 66.2 49 60.5 52 60.4 52.7 63 55.3 63.1 56 60.9 57.4 60.7 58.9 61 60.7 62.1 62.5 62.5 64.1 59.4 65.2 55.2 64.8 50.2 62.6 48.5 62.9 46.8 64 45.1 63.5 43.2 62.2 40.5 59.3 39.2 57.6 38.7 55.7 37.9 55.4 36.8 56 35.9 58.2 33.4 62.3 31.6 63.4 28.8 63.2 25 63.2 22.5 63.6 19.6 62.1 18.9 62.4 18.9 63.3 17.8 64.8 16 65.8 7.6 63.6 6.4 61.8 8.3 60.9 10.9 58.6 12.7 58.8 14.9 58.3 15.8 57.3 14.4 54.4 10.9 50.7 9.1 49.3 6.5 48.4 6.1 47.4 7.5 41.5 7.1 40.7 4.2 41 3.5 40.4 3.3 39.4 3.5 38 5.4 35.7 7.6 33.7 8.2 32.6 8.1 31.7 5.3 30.8 3.6 29.9 2.3 29.6 1.4 30.1 0.7 29.5 0 27.8 0.7 25.2 3.2 22.9 5.9 20.7 8.3 19.2 9.6 18.5 10.3 15.9 11.7 16.2 14.4 16.3 17.6 16.9 20.4 17.7 23 18.6 28.3 19.6 33.2 20.2 34.7 20.7 35.9 20.7 37.3 21.4 38.2 20.8 38.8 19.8 41.5 18.5 43.9 16.9 45.6 14.8 46.6 13.1 48.3 11.9 50.1 11.6 51.7 11 58.6 10.2 65.7 10.8 69.1 9.7 71.8 7.7 75.9 7.1 82.2 8.6 82.7 7.7 82.8 2.9 84.7 0.9 86.5 0 92.6 0.3 93.4 1.6 93.7 3.8 94.2 6.6 95.3 7.4 95.8 8.5 95.7 10.4 96.9 11.9 99.7 15.8Z' },
+  sk: { viewBox: '0 0 100 48.8', path: 'M100 14.2 99.7 15.3 99 16.5 98.1 17.9 97.4 19.5 96.4 22.9 95.7 24.5 93 27.6 92.8 31.9 86.4 33.7 85.6 33.5 84.8 32.6 84.3 32 83.5 30.4 82.8 29.5 81.8 28.8 80.8 28 79.6 28 76.4 29.1 74.1 29.3 72.6 28.9 70.5 28.2 66.6 28.1 63.9 28.7 63.6 29.6 61.2 34.8 57.5 36.8 54.4 38.8 53.5 39.2 51.9 38.5 50.2 37.4 48.7 36.7 47.6 37 46.4 38.3 45.9 39.7 42.3 40.7 36.1 41.3 34 42.6 33.3 44.2 33.2 45.4 33.7 46.5 33.1 47.7 28.4 48.4 22.6 48.8 19.1 48.7 15.8 48.6 13.6 47.6 10.9 45.6 8 42.8 7.3 42.5 5.5 42.3 3.9 41.6 3.6 40.4 1.9 37.4 0.1 32.4 0 31 0.7 29.3 1.4 28.1 1.5 27.1 2.2 24.7 3.5 22 4.8 20.4 5.7 19.8 7.7 20.3 10.9 20.7 13.4 20.3 15.8 19.1 17.1 18 18.1 16.9 18.5 16.1 20.9 15.1 21.6 14.4 21.8 12.9 22 11.3 22.4 10.1 22.9 9.2 26.5 7.1 26.8 6.3 27.4 5.6 28.4 4.8 29.5 3.6 30.6 2.9 32 3 33.2 2.8 34.3 2.4 36.6 2.7 36.9 4 37.1 5.4 40.3 5.3 42.1 2.3 43 2 44.5 0.9 45.4 0 46.1 0.6 47.1 2.5 48.1 4.1 48.7 4.7 49.4 5.5 50.5 5.6 51.3 6.1 51.5 7.5 51.5 8.9 51.2 9.8 51 10.6 51.8 10.9 53 10.6 53.8 10.2 56.3 11.2 57.2 8.8 58.2 7.6 59.4 7 60.6 6.3 61.7 5.7 62.4 5.8 63.6 5.6 64.7 5.9 66.1 5.6 68.1 6.2 69.4 7.3 70.6 7.6 72 7.6 72.9 7 74.3 4.9 75.3 4.9 76.9 4.6 79.1 4.6 84.2 5 85.4 5.8 88.6 6.9 89.9 8.1 90.5 9.5 90.9 10.5 94.1 12 98.8 13.9Z' },
+  sl: { viewBox: '0 0 96.8 100', path: 'M96.8 49.1 96.8 50.1 95.8 54.7 94.4 58.7 93.4 59.6 89.3 60.7 87.6 62.4 86.1 68.1 85.1 72.5 83.7 73.3 77.7 79.6 73.8 82.1 71 84.1 68.4 86.9 65.2 89.5 61.7 93.9 59.2 98.6 57.4 100 56.2 98.7 50.2 94.1 43.9 91.1 30.4 86 26 84.5 26.1 82.7 27.7 79.4 25.2 75.5 26.1 72.7 25.2 72.7 23.2 74.4 19.1 73.9 16.4 71.5 14.2 70.6 13.2 69.4 11.8 63 10.8 60 8.8 58.2 4.6 57.8 2.9 53.9 0.7 50.8 1 49 2.9 49.1 4.3 50.4 6.7 51 9.6 47.7 12.2 45.9 12.8 44.4 12.5 43.5 10.9 44.8 6.6 44.5 5.5 45.7 3.6 46.1 2.1 42.2 2.2 39.9 2.8 37.5 7.1 37 7.5 36.2 4.5 35.7 0.7 32.8 0 30.8 1.9 30.1 3.7 30.4 5.2 30.8 6.9 30.1 8.5 29 9.5 27.6 10.8 23.8 14.9 22.6 17.3 20.2 19.6 16.6 20.6 14.1 21.6 12.9 22.2 11.8 22.6 10.6 23.7 9.5 24.8 6.8 25.5 4.4 27.9 3.2 32.7 2.2 37 3.9 44.1 2.4 44.5 0.1 51 0.1 58.6 0 65 0 67.2 0.6 68 2.3 70.1 5 72.3 6.8 75 10.9 78.2 15.6 81.6 19.8 83.8 22.1 84 22.9 83.9 23.9 82.8 26 81.8 28.4 81.9 29.2 82.6 29.7 86.2 30.4 86.5 33 86.5 36.6 88.2 40 89.9 42.4 89.8 43.3 85.8 47.5 84.2 51.7 83.4 52.9 83.1 53.8 83.9 54.3 85 54 86.5 54.3 88 54.5 90 53 93.3 49.1 94.4 48.7 96.8 49.1ZM24.6 82.9 24.2 83.8 22 81.7 10.9 78.6 14.1 76.9 21.8 76.5 24.1 77.4 25.1 78.2 25.5 79.7 24.6 82.9Z' },
+  sm: { viewBox: '0 0 89 100', path: 'M66.7 92.2 22.3 100 0 57.5 33.3 7.8 80.6 0 89 38.4Z' },
+  sn: { viewBox: '0 0 100 72.6', path: 'M85.4 31.4 86.9 34.1 86.6 35.4 86.3 37.2 87.1 38.6 88.1 39.5 88.9 40.3 89.7 41.4 89.8 43.7 89.6 45.3 90.2 46 90.6 46.9 90.5 47.7 90.2 48.4 89.2 49.3 89.1 51 90.7 53 91.7 54.1 91.7 54.7 92 55.4 92.7 56.2 93.7 55.4 95.3 55.1 95.9 55.3 96.8 56.7 97.1 57.5 97.3 58.7 98.2 60 99 61 99.2 61.6 99.9 62.4 99.4 64.3 99.5 65.2 99 67.6 98.9 68.8 100 70.1 99.9 71.3 98.8 71.1 96.9 71 93.1 71.6 91.8 71.4 89.3 71.4 87.5 71.8 85.2 72.6 83.5 72.4 82.5 71.8 81.3 71.8 79.9 71.5 78.4 70.9 77 70.5 75.5 69.4 74.8 69.2 73.9 69.9 72.7 69.9 72.4 69.2 72.7 68.4 72.7 67.8 71.5 67.4 70 67.4 67.7 67.2 67.1 67.1 61.9 66.9 56.4 66.9 51.8 66.8 45.9 66.8 41.8 66.8 38 66.8 35.1 68.3 31.9 69.9 27.6 70.8 22.6 70.5 21 70.7 19.4 71.4 18.2 71.9 16.5 72.3 14.3 72 13.4 72.2 12.8 71.4 12.2 70.2 12.6 69.3 13.9 68.8 16 68 17 68.4 17.6 68.4 17.6 67.7 16 67 15.2 66.2 14.6 66.7 14 67.7 12.9 68.3 12.5 67.6 12.3 66.9 12.5 63.4 12.6 61.8 12.5 60.4 13.5 59.5 14.4 58.9 18 58.9 21.2 58.8 24.4 58.9 27.7 58.9 28 56.1 29 55.9 30.5 55.6 33.4 55.2 36.6 54.9 37.2 54.4 37.8 53.4 38.1 52.6 38.8 52.2 39.6 52.5 40.8 53 42 53.6 43.4 54.3 44.3 54.7 46.5 55.6 50.3 57 53.4 57.6 57.2 56.6 59.9 55.9 60.3 54.7 59.9 53.5 57.8 52.5 55.1 52.6 54.2 52.9 52.9 53.2 52.2 53.4 50.9 53.1 49.2 52.2 48.2 51.2 46.7 50.8 45 50.4 42.2 48.4 40.8 48.1 39.4 48 36.8 48.4 34.3 49.4 32.9 51.7 30.4 51.7 24.9 51.6 19.9 51.6 15.8 51.7 15.4 50 14.4 48.7 12.8 47.5 12.5 46.4 13 45.5 14.6 44.7 14.1 44.3 12.9 44.8 12.1 44.8 12 43.3 10.6 41.4 9.1 38.1 7.4 36.8 6 34.2 4.5 33.2 3.1 32.7 1.9 32.8 1.5 34 0 32.3 2 31.7 6.3 29.5 11.3 23.3 15.7 15.9 16.3 14.1 16.8 12.8 17.2 9.8 17.8 8 18.4 7.6 19.1 6.3 20 3.8 21.1 2.5 22.2 2.2 23.1 2.3 23.8 2.8 25.6 3.2 28.7 3.3 31.1 2.9 32.8 2.1 35 1.6 37.8 1.6 39.2 1.3 39.4 0.6 40.3 0.6 40.9 0.5 41.4 0 42.4 0.4 44.7 0.6 48.8 0.4 52.6 1.7 56.1 4.4 57.9 6.2 58 7.1 58.6 8 59.6 8.9 60.5 9.1 61.4 8.5 62.1 8.6 62.6 9.3 63.6 9.4 64.7 9 65.5 9.2 65.8 9.8 67.1 10.4 68.1 11.9 68.9 13.9 69.5 16.5 70.4 17.9 71.4 18.1 72 18.6 72.1 19.2 72.9 19.9 73.8 19.7 74.8 20.6 75.9 22.5 76.1 23.3 76 24.1 76.8 24.4 77.4 25.1 78 26 79.2 26.8 81.1 27.5 82.5 28.6 83.3 30 85 31.2Z' },
+  so: { viewBox: '0 0 76.2 100', path: 'M4.2 100 4.1 99.1 3.4 98.2 2.1 96.6 1.1 95.3 0.1 94 0.1 93 0.1 89.9 0.1 83.8 0 77.7 0 71.6 0 68.5 0 67.2 1.2 65.9 2.8 64.4 4.7 61.6 5.8 60.1 6.7 58.8 7.7 57.6 9.2 57.1 10.2 57.1 13.4 56.5 14.1 56 14.4 55.4 15 54.5 15.8 53.9 17.3 53.1 18.8 52.5 20.9 52 22.1 51.7 24.9 51.8 26.9 51.9 28.9 52.1 30.5 50.4 32.7 48 34.1 46.5 36.3 44 38 42.3 39.9 40.4 41.7 38.6 43.9 36.5 45.3 35.2 47.4 33.1 49.5 31.2 51.3 29.4 48.8 29.4 46.4 29.4 44 29.4 41.5 28.5 39 27.7 35.8 26.6 33.6 25.8 31.2 25.1 28.7 24.3 26.8 23.6 24.4 22.8 22.4 22.1 20.9 20.9 19.4 19.6 18.4 19.3 17.8 18.5 17.1 17.6 16.5 16.4 16.2 15.6 15.4 15.2 15 14.6 14.2 13.6 13.7 13.2 13.3 12 12.9 11 12.5 10.5 13.2 8.9 13.9 8 14.3 7.3 15.2 5.9 16 4.6 16.7 3.6 18.1 4.7 19.5 7 21.1 8.9 23.4 10.6 24.2 11.2 25 11.5 29.1 11.5 32 9.9 34.6 8.7 35.5 8.5 37 8.8 38.7 8.9 40.2 9.3 41 9.2 43.9 7.8 45.8 6.6 47.1 6 49.3 6.5 51.6 6.3 54.7 5.1 55.6 4.9 56.4 4.9 58 5.4 59.2 5.3 61.6 4.8 63.4 4 66.9 3.4 69.5 1.9 69.9 1.2 70.7 0.3 71.9 0 74.8 1.1 75.1 1.8 75 2.4 74.4 3.6 74 4.8 74.3 6.7 74.4 9.8 74.1 10.7 73.7 11.2 74.8 11.1 75.5 11 76.1 11.2 76.2 11.8 75.3 11.7 73.6 11.8 72.9 12.2 72.6 12.8 72.5 15.2 72.2 16.8 72.1 18.9 71.1 20.3 70.7 21.2 69.2 23.2 68.4 24.8 68.2 25.7 66.8 27.9 65 29.7 64.3 31.9 63.7 33.3 62.9 34.5 61.3 36.8 60.5 38.3 59.4 41 59.1 42.8 56.2 47.7 53.2 51.7 51.3 55 47.9 58.8 43.2 63.8 37.2 69.7 35.5 70.9 28.9 74.5 24.6 77.6 22.4 79.7 20.1 81.5 18.3 83.2 12.8 89 12.2 89.5 11.7 90 11 91 10.5 91.4 9.2 93 8.3 93.9 7.4 94.8 7 95.4 6.8 96 5.6 98.1 4.9 99.2Z' },
+  sr: { viewBox: '0 0 98.3 100', path: 'M94.3 15.3 92.3 17 90 19.5 87.1 23.7 87.3 25 86.6 26 86.5 27.9 86.7 30 87.4 31.4 87.8 34 87.2 36.4 87.4 37.8 88 39.9 88.5 42.3 88.4 43.2 89.1 44 89.8 44.7 89.6 46.8 91.9 50.5 93.3 52.1 95.3 53.6 96.1 55.2 97.2 57 97.9 57.2 98.3 58 97.9 59.4 97.8 61.4 96.5 63.7 93.5 67.9 93.2 68.8 93.9 72.3 93.5 75.2 93.3 76.5 91.9 79 88.3 85.1 86.3 86.2 85.1 88 84.3 88 83.4 88.1 82.1 88.3 81.2 87.6 81.1 86.6 80.6 85.6 79.5 85.3 77.5 85.6 76.9 85.4 75.7 84.3 74.7 83 74.4 81.8 73.7 81.9 72.2 83 71.1 83.2 70.3 83 69.3 83 67 84.2 65.6 84.5 64.6 85.6 57.9 86.1 56.2 86.4 52.3 84.4 51.2 83.8 50.3 83.8 49.2 86.8 48.6 87.4 47.6 88 46.6 89 46.4 90 47.9 90.5 49.2 92.4 50.6 93.9 51.7 95.3 51.6 96.8 51.4 98.9 50.6 99.6 49.2 100 44.2 99 40.4 98 38.7 97.8 38 97.6 37.1 96.8 36.1 96.1 34.5 95.8 32.7 95.3 31.3 93.4 29.9 90.8 29.4 89.5 28.2 88.4 27.2 86.7 26.8 85.2 26 83.9 25.6 83.4 24.9 81.6 24.8 80.9 24 80.2 23.2 78.2 22.6 77.6 21.5 76.2 20.7 75.7 20.4 75 20.5 73 20.1 72.1 19.9 70.3 19.9 69.5 19.5 68.7 18.8 68.2 18.7 66.9 18.5 63.6 15.2 63.1 13.6 63.6 12.2 63.7 10.9 63.2 9.9 62.7 9.6 62 9.8 59.7 8.1 58 5.4 55.9 4.5 53.2 3.5 51.5 0.5 48 0 45.6 0 43.9 1.1 42.4 2.5 39.6 3.1 37.2 3.6 35.9 4.3 34.2 5 32 4.5 30.6 3.6 29.3 3.3 28.3 4.2 26.9 5.1 25.8 6.1 25.7 7.3 25.1 8.3 24.2 9.8 24 11.7 23.9 15.5 23.9 17.5 23.5 18.1 22.8 18 21.4 19 20.2 20 19.7 20.5 18.8 19.8 18.1 18.7 18 17.8 15.9 18.4 15 19.3 13.2 19.5 12.3 20.8 10.7 22.1 8.4 22.2 6.2 23 4 24.1 1.3 26.2 0 38.4 1.3 44 2.6 51.2 4.8 52.2 7.1 52.2 4.8 51.9 2.4 53.9 0.8 58.2 0.2 64.7 1 70.3 0 77.9 0.1 89.5 2 94.6 3.3 96.8 4.5 97.2 6.6 97 9.3 96.1 11.9Z' },
+  ss: { viewBox: '0 0 100 78.8', path: 'M88.2 21.6 87.6 22.8 87.5 23.6 87.4 24.3 87.5 25 89.3 25.1 89.4 27.3 89.4 28.9 89.5 31.5 89.5 32.2 89.4 33.1 88.8 33.9 88.2 34.3 86.7 34.4 85.4 34.4 84.5 34.3 83.3 34.3 82.1 34.4 81.1 36.1 80.2 38 79.7 38.8 79.7 39.5 80.3 39.9 81.6 40.5 83.1 40.8 84.2 41 85 41.1 85.6 41.3 87.7 42.8 88.4 43.4 88.8 44 88.9 44.7 89.2 45.3 90.4 46.6 91.1 47.3 92.9 48.3 93.7 49.3 94.3 49.8 95 50.4 95.3 51.2 96.1 53.6 96.7 54.9 97.2 55.9 97.4 57.6 97.9 58.4 98.3 59.3 99.1 60.1 99.9 60.7 98.3 62.5 96.5 64.3 94.3 66.4 92 68.7 90.2 70.5 88.4 72.3 86.3 74.4 84.7 76 84 76.5 82.5 76.5 81 76.3 79.6 75.3 78.1 76.1 77.2 76.3 75.4 76.5 73.6 76.9 72.8 77.4 72 78.5 71 78.2 70.1 77.8 69.6 76.9 69.2 76.3 67.3 76.9 66.5 77.2 65.9 77.1 64.8 76.6 63.6 76.2 63 76.2 62 76.7 61 77.5 60.4 78.3 59.8 78.1 59.4 77.6 58.5 77.5 57.9 77.6 57.6 76.7 57.2 75.7 56.4 75.3 54.4 74.4 52.8 72.7 52 71.9 51.5 71.3 50.6 70 49.7 69 48.6 68.6 47.9 68.8 47.1 69.8 45.7 70.8 45 70.8 44.2 70.3 43.1 69.9 41.2 69.7 40.4 70.2 39.4 70.9 38.5 71.4 37.9 71.4 36.9 71.1 35.3 70.5 34.8 70 33.9 69.2 33.2 68.9 32.7 68.5 32.1 67.3 31.6 66.7 30.1 65.6 29.6 65 29.3 64.3 28.6 63.6 28 62.7 27.7 61.4 27.7 60.3 27.3 59.2 26.4 58.3 25.1 57.6 23.8 56.8 23.2 56.3 22 56.2 21.3 55.7 20.7 54.7 20.4 53.9 19.8 53.2 19.4 52.2 19.9 50.6 19.2 50 18.2 49.3 17.4 48.5 17 47.7 15.7 46.8 12.8 45.3 11.1 44.3 10.2 43.5 9.4 42.7 9.8 41.5 9.9 40.8 9.5 40.1 7.7 38.6 6.3 37.1 5.3 36.6 2.8 36.2 2.1 36 1.3 35.7 0.5 35 0.3 34.2 0.7 32.8 0 32.3 0.6 31.4 1.4 31 3.5 30.3 3.6 29.2 4.5 27.7 4.6 26.2 4.9 25.4 5.5 24.9 5.8 23.8 5.7 22.3 6 21.7 7.3 20.3 7.7 19.7 7.8 18.6 8.3 17.6 9.6 17.2 10.2 17.4 14.8 16.4 15.4 16.6 15.6 18 15.9 18.7 16.7 19.1 17.2 19.8 18.2 20.6 21.6 24.5 22.6 24.9 23.5 24.8 25.4 24 26.3 23.7 32.8 24 33.6 23.9 34.6 25.9 35.1 26.3 42.2 26.3 42.2 25.1 43 24.3 43.6 23.8 44.7 23.2 45.8 22.8 47.9 22.3 48.6 21.6 49.1 21 49.1 19.7 49.8 19.1 52.2 18 56.9 20.4 59.3 22.6 59.9 22.5 61.1 22.4 63 22.3 63.6 22.1 67.5 18.2 68.5 17 69.3 15.9 69.9 14.4 74.2 10.6 73.8 8.9 73.7 8.3 73.6 7.3 73.8 5.9 73.7 4.9 71.3 2 77.2 2 77.1 1.2 77.1 0.5 81.4 0.1 81.3 0.8 80.8 2.6 80.8 3.6 80.7 4.8 80.3 5.5 81.2 12.5 80.8 13.2 82.8 14.3 83.7 15.2 87.6 18.4 88.2 19.6 88.1 20.8 88.3 21.4Z' },
+  st: { viewBox: '0 0 60 100', path: 'M58.3 8 56 9.6 53.3 8.2 52.6 5.8 56.1 1.2 57.7 0 59.1 1 59.9 2.3 60 4.1 58.3 8ZM11.7 95.6 5.4 100 3.1 98.8 1.8 95.8 0 89.1 0.6 85.9 3.4 82.3 9.6 78.6 13.3 78.4 17.1 83.1 17.2 88.1 11.7 95.6Z' },
+  sv: { viewBox: '0 0 100 54.2', path: 'M31.1 0.6 32.2 0.8 39.2 3 41.2 2.6 43.9 4.4 45.1 5.8 46.3 7.7 51.8 11.5 52.7 13.1 56.8 15.4 58.5 17.1 60.3 17.8 63.7 18.5 66.6 19.4 67 20 67.3 22.6 67.9 24.7 69.3 24.9 71 23.8 76.5 20.9 81.8 19 84.7 20.2 86.5 22.6 88.5 23.6 92.6 23 96.4 23.2 99.3 25.3 100 26.5 98.2 33.5 97.5 36.4 97.2 39 98.3 39.6 99.3 40.6 99.1 42 95.9 44.2 94.8 44.8 95.6 49 93.2 51.7 91 53.5 87.1 54 80.5 54.2 70.6 52.1 63.3 49.2 59.4 49.2 60.7 50.2 63.8 50.8 67.9 52.8 66.7 53.4 51.8 49.1 34.6 40.8 24.4 39.5 12.6 37.3 5.7 32 0.5 29.8 0 27.8 0.1 25.6 2.4 22.6 6.8 18.6 9.8 16.5 11.1 16.1 13.1 16.3 14.9 15.2 16.5 12.4 18.2 10.7 22.4 8.9 23.4 8.1 23.1 6.6 22.1 3.6 22.3 1.8 23.7 0.9 25.3 0.7 28.7 0 30.2 0.1Z' },
+  sx: { viewBox: '0 0 100 45.9', path: 'M1.3 0 100 0 99.1 21.7 89.6 45.9 30.2 25.5 0 4.1Z' },
+  sy: { viewBox: '0 0 100 91.6', path: 'M100 3.6 99.9 4.5 98.2 6.4 95.8 8.9 94.2 10.5 91.3 13.2 89.2 13.8 85.7 14.8 84.8 15.7 83.9 17.2 83.4 19.3 83.2 20.6 83.1 23 83.9 25.6 84.7 28 84.8 29.5 84.8 31.1 84 32.8 83.2 35.1 82.7 37.6 82.4 42.5 82.4 46.5 82.3 47.2 80.9 50.1 79.2 53.4 78.4 54.2 74.7 55.2 70.6 57.7 66.1 60.4 62 62.9 57.6 65.5 53.1 68.2 49.9 70.1 45.6 72.7 41.7 75.1 37.8 77.6 34.7 79.5 30.2 82.4 27.5 84.2 23.6 86.7 20.1 89 16 91.6 10.8 90.8 9.2 90.4 7.9 89.1 6.9 88.4 4.5 87.7 2.9 85.4 2 84.5 0.3 84.1 0.6 83.3 1.4 81.8 2.3 80.3 1.8 79.4 1.6 78.7 1.6 77.8 2.2 76.9 1.9 75.9 1.4 74.9 1.1 73.4 1.3 72.7 1.6 71.6 2.3 71 2.5 70.3 3.1 69.7 3.9 69.2 4 68.6 3.1 68.1 2.7 67.3 3.1 66.1 3.9 65.2 5 64.3 5.8 64.2 6.6 64.2 7.9 64.3 8.9 64.4 7.9 63.2 7.8 62.6 8.1 62 9 61.1 10 60.4 11.7 58.8 12.4 57.2 11.2 53.4 10.5 52.8 9.3 52.2 8.6 52.2 9.5 50.9 10.1 50.1 9.4 49.2 8.1 48.9 7.6 49.7 5.9 49.8 3.2 49.8 2 45.7 1.9 43.9 1.9 41.8 2.7 38.8 2.3 37.4 2.3 36.5 2.1 35.2 0 32.4 1.1 27.2 1.9 26 3.1 26.1 5.5 27.6 6.6 25.6 7.3 24.9 8.8 24.3 9.3 21.2 10 20.6 10.8 20.3 12.1 20.2 13.2 20 11.7 15.9 11.9 14.9 12.6 11.3 13.1 9.8 13.6 9.4 15.4 9.5 17.9 10.2 18.5 11.2 19.7 12.2 21.6 12.1 23.7 12.3 25.4 12.4 26.7 11.7 29.7 10.5 31.1 10.1 32.5 9.5 36.8 7.5 38.5 7.6 39.7 7.9 40.6 8.2 42.7 9.6 44.3 11 45.5 11.4 47.6 11.4 50.7 11.7 54.5 11.6 56.7 11.2 59.5 10.6 64.5 8.9 71.1 5.5 74.9 3.8 76.6 3.6 78.8 3.6 80.9 4 83.4 4.3 84.5 4.3 87.2 3.9 90.7 3.2 92.8 2.7 95.5 1.7 97.1 0.2 98.3 0.3 99.3 1.3Z' },
+  sz: { viewBox: '0 0 76.1 100', path: 'M66.6 13.6 67.8 14.5 73.1 17.5 73.6 23.3 73 30 72 34.2 72.4 38.4 74.1 44.9 75.7 49.4 76.1 69.8 74.3 68.9 71 68 69.3 68.4 67.7 77.6 66.5 91.2 67.2 99.7 54.8 100 39.2 99.1 27.9 95.4 15.8 87.3 8.7 74.7 5.5 66.8 1.1 66.4 0.4 65 0 55.4 0.1 45.3 0.9 42.6 9.1 30.2 14.1 22.5 17.3 15.1 24.1 6.4 31.4 0.8 34.2 0 36 0.2 49 7.9 62.2 15.1 65.1 14.3Z' },
+  tc: { viewBox: '0 0 100 30.4', path: 'M65.5 16.9 63 18.5 54.8 13.3 53.6 9.1 50.7 8.9 45.8 5.1 47 0.2 58.2 0 62.7 13.6 65.5 16.9ZM96.5 28.3 96 30.4 87.9 24.5 72.5 24.5 70.1 16.5 76 15.2 95.6 18 100 24.9 96.5 28.3ZM1.3 15.3 17.5 23.7 27.3 22.4 28.1 24.2 22.8 26.2 21.5 27.7 5.9 29.9 1 29.5 0 23.8 1.3 15.3Z' },
+  td: { viewBox: '0 0 63.7 100', path: 'M63.7 25.5 63.7 28.4 63.7 31.2 63.7 34 63.7 36.9 63.7 39.7 63.7 42.5 63.7 45.3 63.7 48.1 63.7 49 62.1 49.2 61.4 49.2 60.6 49.4 59.3 49.5 58.4 49.5 57.8 49.9 57.4 50.5 57.6 51.9 57.4 52.8 56.6 53.6 56.1 54.5 55.9 55.2 55.6 55.8 55 55.9 54.3 56.4 54.3 57.3 54.4 57.9 54.8 58.6 54.8 59.3 54.1 59.7 53.5 60.1 52.8 60.6 52.4 61.3 52.7 62.4 53.1 63.3 53.1 64.2 52.7 64.9 51.7 65.5 51.2 66.2 50.8 67.1 50.8 67.8 51.3 68.2 52.5 68.1 53.1 68 53.9 68.3 54.2 69 54.1 69.6 54.4 70.5 54.6 71.6 55.2 72.2 55.1 74.4 55.3 75 56 75.6 56.5 76 57.3 76.4 57.4 77.4 57.2 78.4 56.9 79 56.2 78.8 55.5 78.7 54.7 78.6 54 78.8 53.2 79.2 52.7 79.6 52 79.6 51.5 80.1 50.4 80.7 50 81.4 50.1 82.4 49.5 83.2 48.9 83.4 48.1 84.6 47.3 84.8 45.7 86.4 45 87.5 44.3 88.3 43.7 88.6 43.1 89.1 41.7 90 40.1 89.9 39.4 90.3 38.7 90.4 37.6 90.6 36 90.7 34.5 90.6 33.9 90.8 33.3 91.1 32.9 91.6 34 92.5 34 93.2 33 94.4 32.1 95.3 31.4 95.8 31.1 96.4 30.3 96.6 29 96.7 27.2 96.9 26.1 97 25.4 96.9 24.5 97.4 23.9 97.5 23 98 22.2 98.6 20.8 99 20.4 99.5 19.5 98.9 19 98.4 18.8 97.8 18.2 97.9 17.7 98.7 16.6 99.1 15.6 99.4 14.5 100 13.6 99.9 13 99.8 12.3 99.7 12.7 98.9 12.7 98.1 12.1 97.7 11.5 96.3 10.9 94.9 10.1 93.4 9.2 92.5 8.5 92 7.8 91.6 6.6 90.6 5.3 89.5 4.4 88.3 3.7 87.5 3.2 86.5 3.7 86 4.2 85.2 4.8 84.8 5.6 84.7 7 84.9 8.4 85 9.8 84.9 10.6 84.8 11.3 84.9 12.7 84.9 13.4 84.6 12.6 84.1 11.8 83.3 11.1 82.5 10.6 81.7 10.2 80.7 9.8 79.4 9.6 77.8 9.6 76.9 9.7 76.3 10.1 75.2 9.9 74.6 9.9 73.3 9.2 71.7 8.7 70.7 8.5 69.3 7.9 68.4 7.1 67.9 6.6 67.3 6.5 66.4 4.8 65.8 3.7 65.8 2.9 64.6 1.9 63.2 1 61.9 0.3 59.2 0 57.7 0.4 57.2 1.2 56.1 2.2 54.1 4.4 50.8 5.6 49.2 7.9 46.7 10.7 43.6 12.3 41.9 12.5 38.8 12.8 35.4 13 32.9 13.2 29.9 13.5 27.4 13.6 25.5 13.8 22.9 15.1 20.4 15 19.7 13.4 18 12.9 17.6 12.7 16.7 13.1 16.2 11.2 13.2 10.5 12.5 10.4 9.9 9.9 6.7 9.3 2.9 11.5 1.9 13.2 1 15.3 0 17.3 1.1 20.2 2.6 23.1 4.2 26 5.7 28.9 7.2 31.8 8.8 34.7 10.3 37.6 11.9 40.5 13.4 43.4 14.9 46.3 16.4 49.2 18 52.1 19.5 55 21 57.9 22.5 60.8 24Z' },
+  tg: { viewBox: '0 0 37 100', path: 'M19.6 2.5 19.1 4.6 18.1 7.3 17.4 8.1 16.9 14.6 17.5 15.3 20.8 17.5 25.1 20.4 28.1 22.4 28.4 23.1 28.4 27.3 28.5 31 29.1 33 29.2 35.1 30 36.6 32.8 39.5 33.5 41.3 33.5 46.8 33.6 51 33.9 56.8 33.9 61.5 33.9 67.6 33.9 74.7 33.9 82 32.1 82.1 33.1 84.4 33.3 86.5 33.5 87.2 33 88.2 33.4 89.7 34.2 90.3 36.3 93.3 37 95.9 33.7 96.8 33.9 97.5 27.7 98.9 25.3 100 25.2 98.9 24.3 98.7 23.3 98.3 22.6 97.8 21.6 96.5 21.3 95.4 19.8 95.3 18.1 94.1 16.4 92.8 15.8 91.5 16 90.9 15.7 90.3 15.1 90 13.6 87.1 12.6 85.9 12.2 84.9 12.3 84.2 12.1 83.2 12.4 82.4 13.3 81.9 13.5 81.3 13.6 80.1 14 77.5 14.4 75 13.5 74.3 12.4 74.1 11.9 73.3 11.7 72.2 11.7 71.1 13.8 67.5 13.3 59.2 13.6 58 14.6 57.1 15.4 56.1 15.4 55.1 14 52.6 11.4 50.7 10 49.2 9.3 47.8 9.2 47 10.8 46 11.5 45.2 11.6 44.3 10.9 42.8 11 40 11.6 37.9 12.3 35.1 12.2 34.3 10.6 32.7 9.8 32.5 9.1 32.6 7.5 33.7 6.9 33.8 6.4 33 7 32.4 6.8 31.6 7.2 30.9 8.3 30.6 7.2 29.9 7.1 29 8 28.9 8.4 26.2 8.6 25.4 8.8 23.8 9 17.6 9.3 17 8.4 16.2 6.1 14.5 4.7 13.2 3.6 11.9 2.6 11.1 0.6 9.7 0.1 8.9 0 8 0.6 6.3 1.5 4.5 2 1.9 1.7 1.2 0.4 0 4.9 0.9 11.4 2.5 11.5 3.2 12.7 3.2 14.5 2.7Z' },
+  th: { viewBox: '0 0 54.6 100', path: 'M18.2 0.8 18.8 0.6 19.4 0.3 20.2 1.3 20.8 1.8 20.9 2.4 20.7 3 20.4 3.8 20 4.7 20.1 5.5 20.7 6.1 21.5 6.5 22.3 6.4 23 5.9 23.7 5.7 25 5.9 25.4 6.6 25.3 7.7 25.5 8.5 25.8 9.4 25.8 10.1 25.4 11.4 25.1 12.6 24.7 13.2 24.3 13.8 24.6 14.4 24.9 15.4 24.7 16.7 24 18.3 23.4 19.8 24.3 20.3 25.1 20.4 25.9 19.5 26.7 18.8 27.6 18.2 28.5 17.7 28.9 17.2 29.4 16.5 30.2 16.3 30.8 15.7 31.5 15.5 32.1 15.9 32.9 16.6 33.6 17 34.2 17.1 34.5 17.8 35.1 18.1 35.9 17.3 36.5 17.1 37.1 17 37.8 15.9 38.2 15.4 38.9 15 38.8 14.3 39.6 14 40.4 14 41.3 14.2 42.4 14.7 43.1 14.8 44.1 15.4 45.1 17 45.9 18.2 46.6 19 47.4 19.6 48.1 20 48.7 20.6 49.2 21.7 48.8 23.2 48.7 24.6 48.7 26.2 49.2 27.4 50.1 28.3 50.6 29 51.4 30 52.6 30.4 52.9 31 53 31.8 54.1 32.4 54.6 33 54.5 34.1 53.8 35 53.6 35.7 53.6 36.6 53.9 37.2 54 37.9 53.9 38.5 53.7 39.7 53.5 40.6 52.7 41.4 52 41.7 51.2 42.3 50.6 42.7 50.2 41.7 49.6 41.5 48.9 41.3 47.6 41.6 46.5 41.7 45.3 41.5 44.1 41.8 43.1 41.8 42.1 41.7 41.1 41.4 40 41.7 39.3 41.8 38.5 42 37.4 42.5 36.6 43.3 35.9 44.4 35.4 45.3 34.7 46.1 34.2 46.5 33.4 47.1 32.8 47.2 32.8 49 33 49.7 33.4 50.4 33.8 52.1 33.9 53.2 34.7 53.9 35.2 54.4 35.4 55.1 35.2 56 35.4 57.1 36.6 59.5 35.8 58.4 35.6 57.6 34.9 56.7 34.1 57 33.4 56.5 32.8 56 32.3 55 31.4 54.7 30.8 54.1 30.2 53.9 29.5 53.4 28.7 53.1 26.9 53.5 24.6 53.2 23.7 53.5 23.1 52.9 23.3 52.2 23.3 50.7 23.6 49.7 23.5 48.9 23.7 48.1 21.7 47.5 20.9 47.5 18.9 47.7 18.2 48 17.5 48.6 17.3 49.3 17.7 49.8 17.9 50.7 17.2 52.5 17.1 53.1 17.4 55.3 17.3 56.6 16.9 57.4 16.3 58.1 16 59.4 15.5 60 14.9 61.3 14.4 63 14.1 63.7 14 65.1 12.6 67.3 12.3 68.5 11.8 69 12 69.9 11.9 71.5 11.8 72.9 12 73.6 12.6 75 12.4 76 13 76.2 15.5 75.7 16.3 75.8 16.5 76.4 16.7 77 17.1 79.9 17.3 80.5 17.7 81 18.2 81.5 18.9 81.6 19.2 82.6 20.3 88.1 20.7 88.8 21 89.5 20.3 89.1 20.1 87.9 19.6 87.3 19.5 86.7 19 85.9 18.4 86.2 18.4 87 18.7 87.7 19.8 89.1 20.2 89.8 21.2 89.8 22 90.5 22.6 91 24.1 91.9 25 91.8 26 91.6 26.6 91.7 27.3 91.9 28 92.6 29.2 94.5 31.2 96 30.9 97 30.1 97.7 29.7 98.8 28.7 99.1 27.9 98.4 26.6 98.6 25.7 99 25.2 99.8 24.5 99.7 23.8 99.1 24.5 97.9 24.5 96.5 23.9 95.9 23.1 96 22.8 95.4 22.6 94.8 22.1 94.4 21.5 94.6 19.6 94 19.1 93.1 18.5 93.2 18.3 94.4 16.5 92.7 15.4 91.8 15.5 90.3 14.7 90 14.7 88.6 13.6 88.8 12.7 87.3 12 86.2 11.3 86.2 11.1 85.1 10.6 84.6 9.9 84.2 8.8 82.7 8 82.1 7.4 82.3 6.9 83.2 6.2 82.9 5.7 81.6 5.6 80.8 5.7 79.3 6.3 77.9 6.6 75.8 7.1 74.5 7.9 72.2 8.8 69.8 9.1 68.7 9.3 67.4 9.2 66.7 10 65.8 10.9 64.9 12 63.7 13.1 61.8 13.7 60.7 14.2 60.2 14.8 59.4 14.2 57.1 13.8 56.4 13.6 55.6 13.4 54.5 13.2 53.7 12.7 53.3 12.2 52.7 11.9 51.8 11.6 50.8 11.7 49.8 11.9 47.6 11.7 46.1 11.3 45.4 10.8 44.6 10.3 43.9 8.9 42.6 7.9 41.8 7.4 41 6.8 40.1 6.3 39.5 5.8 38.7 5.5 37.6 5.3 36.4 5.7 35.8 6.3 35.5 7.1 35 7.7 35.1 7.8 33.6 7.8 32.2 7.9 31 8.1 30.3 9.5 29.4 10 28.6 9.9 27.9 8.7 28.5 8.1 27.1 7.6 26.3 7.3 25.6 7.3 24.5 7 23.9 5.8 22.8 5.3 22.1 4.6 21.2 3.7 20.1 2.8 19.1 2.3 18.4 2.4 17.3 2.3 16.6 1.8 15.7 1.6 15.1 1 14.8 0.5 14.4 0 13.5 0.7 13.5 1.3 13.2 2 13 2.5 12.6 2.2 10.4 2.8 9 2.8 8.1 2.9 6.8 3.6 5.8 4.1 5.4 4.2 4.7 4.9 4.6 5.7 5.1 6.6 5.2 7.4 5.1 9.2 4.6 9.9 4.6 10.5 4.3 10.9 2.7 11.6 2.2 12.6 2.4 13.4 2.3 14 1.9 14 1.1 13.7 0.5 14.3 0.6 15 0.7 15.9 0.6 16.6 0 17.4 0.3 18.2 0.8ZM33.4 57.8 32.6 57.8 32.4 56.9 33.1 57.2 33.4 57.8ZM34.6 59.9 34.5 60.6 34.2 59.9ZM17.8 73.1 17.2 72.5 17.8 72.8ZM17.8 73.9 17.7 74.7 17.1 74.9 16.9 74 17.6 73.9ZM6.2 77.4 6.1 76.8 6.2 77.4ZM6.8 85 6.2 85.8 5.9 84.9 6.1 83.5 7 83.8 6.8 84.6ZM8 84.8 7.6 83.7 8 84.8ZM11.3 87.1 11.4 87.9 11 87.4 11 86.8ZM15.1 94.2 14.7 93.7 15.1 92.9 15.4 93.9Z' },
+  tj: { viewBox: '0 0 100 71.7', path: 'M46.4 13.5 46.3 14.3 43.6 15.3 42.4 16.1 42.1 17.5 41.3 18.2 40.7 18.3 39.9 16.6 39 16.3 37.6 15.7 35 14.6 33.7 14.1 31.1 14.8 28.1 15.8 27.6 16.5 27.3 17.1 27.5 18.3 26.8 19 25.9 18.4 25.2 18 24.8 18.8 24.4 20.4 24.2 21.5 24.8 23 25.1 25.4 26.3 25.3 27.2 25.3 28.9 24.6 29.8 24.6 31.2 24.9 33.5 24.9 35.4 24.8 36.3 24.4 37.3 25.1 39.2 24.4 40.6 24.4 41.4 24.5 42.8 26.3 43.5 27.2 44.4 27.6 47 27.3 47.8 25.9 48.5 25.6 49.6 25.5 50.5 25.2 51.2 24.7 52.2 24.2 53 24.1 53.6 24.9 53.5 25.5 53.5 26.2 54 26.6 55.6 26.7 56.4 27.1 56.4 27.8 56.3 29 57 29.5 59.7 28.3 60.4 28.3 60.9 29 61.8 29.8 62.8 30.7 63.5 29.6 64.5 28.5 66.2 28.2 67.1 27.9 68.1 27.7 71.1 28.1 72.1 28.2 74.1 28.1 75.8 27.9 77.1 27.3 77.7 26.8 78.8 26.5 80.1 26.5 80.9 26.7 80.9 27.5 80.8 29.2 80.5 30.3 81.6 32.4 82.3 33.4 83 34.1 83 35.1 82.1 35.5 81.7 36.5 82 37.1 82.4 39 83 40.6 83.9 41.3 85.2 41.8 85.9 41.7 86.4 40.5 87.3 39.7 88 39.7 89.2 39.7 92.2 40.7 95.2 42.1 96.1 43 96.4 43.9 95.5 46 95.6 47.3 95.8 48.8 96.4 49.9 97.1 51.7 97.2 53.2 97.7 54.2 97.3 55.5 97.1 56.9 98.3 58.1 99.7 59.4 100 60.4 99.5 61.1 98.6 61.9 97.4 62.6 96.3 62 95 60.9 94.1 60.3 92.3 60.5 91.3 60.3 90.1 59.9 88.9 59.9 88.2 60.6 87.7 61.3 86.6 61.5 84.9 62.1 82.4 62.9 81.1 62.8 81.1 61.9 82 61.3 82.2 60.6 82 59.9 81.2 59.7 80.5 59.4 78.9 59 77.7 59.2 75.4 60 71.4 62.3 69.6 63.8 68.3 66.1 64.5 66.9 61.8 68.2 59.1 70.4 57.3 71.5 56.4 71.7 55.5 71.5 54.7 70.9 53.8 69.1 53 66.4 52.5 64.6 52.8 62.2 53.2 59.6 53.5 56.9 54 53.8 54.4 52.7 54.5 51.9 53.3 51.6 52 52 51.1 52.1 50.6 50.3 51.3 47.7 50.3 45.5 47.7 43.6 45.4 43 43.6 43.6 42 45 40.8 47.3 39.5 49.2 38.1 50.7 37.2 51.4 36.7 52.3 37.4 54.3 37.4 55.9 36.5 57.2 35.7 57.9 34.7 57.8 33.9 57.5 33.4 56.9 31.8 56.8 29.3 57 27.6 57.7 26.6 58.8 26.4 60.2 26.8 61.9 26.6 63.3 25.8 64.2 25.1 64.7 23.6 64.1 21.9 62.3 20.7 61.4 20.1 61.2 19.4 61.5 19 62.3 18.4 62.5 17.7 62.3 17 62.5 16.6 63 15.4 63.7 13.3 64.4 12.2 65.2 12 66 11.1 66.3 9.2 67.4 7.8 67.1 6.2 65.6 5.4 64.4 5.3 63.8 5.8 62.7 6 58.8 6.6 57.4 8.5 55 9.5 53.1 10.6 51.6 11.4 51.1 12.2 49.9 12.8 48.6 12.9 47.7 12.9 47 11.6 45.7 10.2 44.2 9.5 42.7 9.1 40.8 9 39.5 10.3 35.9 10.1 35.3 9.7 34.7 8.9 34.3 7.8 34.2 6.8 34.4 5.4 34.4 4.4 34.2 4.1 32.3 3.4 31.6 0.6 30.8 0 30.1 1 26.4 1.8 25.5 2.5 24.8 4.8 23.8 7.2 24.2 9.4 24.7 11.5 25 12.3 25.2 13.5 25.3 14.3 25.2 14.9 24.8 15.9 23.6 16.2 21.7 16.6 20.2 17.2 20 17.8 20.2 18.3 19.4 19.1 19.4 19.6 19 19 18.1 18.5 17.2 18.7 16.6 20.1 16.3 20.9 16 20.3 15.2 18.5 15.3 16.6 15.3 16.5 14.7 20.6 13.7 22.7 14 24.2 14.3 24.8 14.1 24.1 12.6 25.1 12.5 23.9 7.9 24.6 7.6 25.3 6.8 25.2 5.3 25.9 4.5 26.6 4 27.7 4.5 29.3 6 29.9 6.3 31.2 5.9 34.2 4.5 35.9 3.6 37.9 2.4 38.9 0.1 39.8 0.2 41.6 2.1 42.6 3.3 42.3 4.1 43.8 5 43.5 5.9 41.2 8 39 9.8 38.9 10.5 39.2 11.4 40.2 11.7 41 12 41.4 13 41.9 13.9 42.5 14.1 45.7 13.5 46.4 13.5ZM42.5 1.7 41.4 0.9 41.2 0.3 42.1 0.6 42.5 1.3ZM43.1 20.4 42 21 41.3 21 40.8 20.3 40.4 19.8 41.4 19.7 42.6 19.9 43.1 20.4Z' },
+  tl: { viewBox: '0 0 100 42.3', path: 'M49.4 0 47.3 5.3 45.1 4.2 47.5 1.2 48.6 0.3 49.4 0ZM31.6 42.3 30.6 38.3 29.5 36.6 28.6 35.6 28.3 34.4 28.3 33.1 28.9 32.5 32.6 32.4 34.1 30.3 34.1 27.8 33.4 27 32.6 26.6 28.8 28.5 27.6 28.1 27 27.5 27.2 24.7 30.4 22.1 33.1 17.5 35 15.6 39.5 13.9 41.3 13.4 54.2 10.8 57.3 10.7 65.5 10.7 76.5 10.2 79.3 9.8 82.8 8.7 86.2 7.3 88 6.2 89.9 5.4 92.7 6.4 97.5 7.1 98.8 7.8 100 8.7 94.4 13.6 88.3 17.7 84.5 18.9 80.7 19.8 77.7 21.3 75.2 23.8 72 25.2 68.4 25.6 65.3 26.4 62.5 27.8 58.6 30.3 57 30.5 55.4 30.5 52.1 31.4 42.1 35 36 38.9 31.6 42.3ZM0 37.1 5 34.4 12.5 32.4 12.3 33.9 11.6 36.2 10.4 37.3 8.7 39.3 7.6 39.7 3 39.3 2.4 39.6 1.7 39.4 0.5 38.1 0 37.1Z' },
+  tm: { viewBox: '0 0 100 69.1', path: 'M99.2 50 98 49.9 96.3 49.4 94.9 48.6 93.9 48.1 93.3 48.5 92.8 49.9 92.4 50.9 90.6 50.9 89.1 51 88.1 51.4 87.2 51.9 86.9 52.6 86.7 53.4 86.2 55.3 85.7 57 85.4 58.1 85 58.9 83.9 59.9 82.7 60.6 82.1 60.9 81.7 61.7 81 61.7 80.4 61.8 79.3 62.2 78 62.6 76.5 63.1 75.6 63.1 75.1 63.5 75.4 64.2 75.2 65 74.9 65.6 74.7 66.7 73.3 67.5 72.4 68.2 71.6 68.5 70.5 68.4 69.4 69.1 69 68.4 67.9 67.3 67.1 66.7 66.1 66.8 65.3 66.9 64.6 66.8 64 66.6 63.2 65.8 62.6 65.1 62 65.2 61.8 64.4 62 63 61.6 62.4 61.5 61.4 61.7 60.2 61.4 59.3 61.3 58.1 61.4 56.9 61 56.3 58.1 56.3 55.5 56.3 54.4 54.6 53.5 53.4 52.7 52.7 50.9 51.9 50 51.5 49.2 50.9 48.6 50.2 48.5 49.2 48.2 48.6 45.6 47.4 44.7 47.1 43.9 47.3 42.8 47 42 47.5 41.2 47.4 39.7 46.2 38.8 45.8 38.2 45.5 36.9 45.1 35.6 44.9 34.9 44.7 34.3 44.3 34.2 43.4 33.7 42.6 32.4 42.4 31.2 42.3 30.3 42 29.5 41.9 28.7 42 27.9 42 27.1 42.5 26.9 43.4 26 43.5 25.2 43.5 23.7 43.4 21.8 43.3 20.4 43.8 19.3 44.4 18.3 45.1 17 46.2 15.9 48.7 15.2 49.2 13.9 49.5 12.8 50 12 50.2 10.1 50.1 9.9 49.5 9.6 47.2 9.4 44.9 9.4 43.8 9.6 41.7 9.6 40.6 9.5 39.6 9.6 38.7 9.8 37.6 9.9 36.5 9.7 35.7 9.4 35.1 8.7 34.3 8.6 33.3 7.4 32.7 6 32.1 5 32.4 4.5 31.3 5.3 29.7 5.7 30.2 6.3 30.4 7.1 30.4 7.9 30.3 7.7 29.7 6.9 29.1 6.8 28.4 6.8 27.7 7 26.9 6.4 26.5 5.6 26.5 4.6 26.3 3.5 26.2 3.2 27.1 3.8 28.2 3.3 27.6 2.9 26.9 2.2 25.6 1.8 24.1 1.7 22.4 2.1 21.1 2.5 19.8 2.8 18.1 3.2 16.5 3.6 17.2 4 17.9 4.6 18.5 5.9 18.9 6.6 18.8 7.3 18.4 7.9 18.5 8.5 19.2 9 20 9.7 20.1 11.3 19.6 12 19.4 12.7 19.7 13.3 19.7 13 19 12.9 18.4 14.5 18.4 15.3 18.2 15.8 17.3 15.7 16.7 15.4 15.7 14.8 15 12.7 13.4 11.9 12.8 11.3 12 10.9 10.8 10.6 9.6 10.3 8.7 9.6 6.6 8.9 6.2 8 6.1 7.1 6.3 5.6 6.7 4.7 6.6 3.4 7.7 2.9 8.4 2.3 10.2 2.8 10.7 2.4 13.7 2.6 14.9 1.8 13.4 0.8 11.9 0 9.5 1.4 8 2.7 6.9 3.7 6.2 5.3 5.5 7.1 5 8.4 4.6 10.1 4.3 10.7 4.2 11.5 4.3 12.2 4.5 14 5.7 15.4 6.7 16.7 7.8 17.2 8.7 18.4 10.9 18.9 11.6 19.5 12.6 20 13 20.5 13.6 21.2 14.3 22.5 14.2 23.7 13.9 24.3 13.8 26.5 13.9 28.2 14 30.3 14.1 30.9 14.3 31.6 14.4 32.3 14 32.7 13.4 32 12.6 31.8 10.6 31.6 8.8 32.1 8.2 32.7 7.8 33.5 6.6 34.6 5.9 36.7 5.9 37.6 5.6 38.4 4.2 38.6 3.4 39.1 2.8 40.1 3 40.9 3.4 41.6 4.1 41.7 4.7 42.3 4.6 41.9 3.6 41 2.4 40.4 1.9 40 1.4 40.8 0.9 41.4 1 42.3 1.1 43.1 0 44.1 1 45.1 2.1 46.3 2.4 46.9 2.4 47.4 2.8 48 4 48.5 4.4 49.2 4.6 51.4 4.6 52.1 4.6 52.6 5.2 53.1 5.6 53 6.2 52.9 6.8 52.7 7.5 53.8 8.3 54.2 8.8 54.3 9.5 53.6 9.7 53.6 10.3 54 10.8 53.8 11.7 53.6 12.4 53.7 13.1 54.5 13.6 56.3 14.8 58.4 14.5 59.2 14.5 61 14.9 61.9 15.1 62.5 15 62.9 14.5 63.7 14.3 64.7 14.6 65.8 15.3 66.6 16 66.9 16.6 67.4 17.8 67.9 19.8 68.6 21.1 69.4 21.8 69.9 23.1 70.4 25.8 71 26.6 71.9 27.4 73.7 28.7 74.7 29.5 76.4 30.7 77.9 31.8 79.4 33.5 81.1 34.7 82.5 35.7 83.6 35.5 85.2 36.9 85.8 37.4 87.2 38.2 89 39.4 91.3 41.1 92.8 42.1 93.6 42.2 94.5 41.8 95.3 42.1 96.2 42.5 96.8 42.8 97.4 43.2 97.9 43.6 99.6 44.2 100 44.9 99.3 46.2 99.2 47.8 99.2 49.1 99.2 50ZM4.4 37 3.9 36.2 3.7 34.8 4.2 34.4 4.4 37Z' },
+  tn: { viewBox: '0 0 47.4 100', path: 'M47 59.5 46.6 62.5 46.5 63.5 46.4 65.1 46.4 67 47.4 68.6 47.4 69.3 47 70.2 45.3 71.1 43.1 72.3 41.2 73.5 39.1 74.8 38.4 75.6 37.4 76.2 36.5 76.8 36.4 77.4 35.7 78.6 35 79.5 33 79.9 31.7 81.6 31.2 82.1 30.7 83.2 31.4 86.1 32.2 89.1 32.4 90.4 32.4 91.4 31.9 92.5 30.8 94.1 30.1 95.3 28.6 97.4 28.1 97.9 27.1 98.5 25.1 99.3 23.7 100 23 96.8 22.4 94.1 21.9 91.8 21 87.8 20.3 84.4 19.5 81.1 18.8 78 18.2 74.9 15.8 72.9 13.9 71.6 12 70 9.8 68.4 9.5 66.2 8.4 63 7.2 61.3 6.8 60.8 4.5 59.6 3.1 58.8 2.5 57 1.5 54.4 0.5 52 0.1 50.4 0 48.4 0.2 46.9 0.7 46.3 3 44.4 4 42.2 5.3 41.4 6.4 40.8 7.4 40.1 8.2 38.9 8.8 37.6 8.9 36.3 9.2 34.1 9.6 32.6 10.5 30.9 10.1 29.6 9.6 28.1 9.8 25.5 9.6 24.5 9.2 23.6 8.8 22.4 8.8 21.4 9.2 18.8 9.5 16.8 10 14.2 9.8 13.5 9.4 12.9 8.3 12.3 8.6 11.6 10.2 10.3 11.1 8.5 11.8 8.1 12.9 7.4 12.9 6.7 12.7 5.9 15.5 5 18.3 2.7 19.3 2.1 25.7 0 26.5 0.1 27.4 0.5 27.2 1.3 26.8 1.9 27.4 3 28.1 2.3 27.9 1.3 29.2 1.2 30.4 1.3 31.6 2 31.6 4.5 33.3 6.9 32.8 8.2 34.2 8.9 35.4 8 36 6.7 38.3 6 40.5 4.1 41.7 3.9 42 5.5 42.6 6.8 41.7 7.3 40.7 8.7 38.7 12.4 36.9 13.4 35.5 14.8 35.1 15.8 34.9 17 35.3 19 36.3 21.1 37.4 22.4 38.5 22.8 41.1 24.8 41.1 26 41.4 27.4 41.6 29.1 42.5 30.4 40.6 33.4 39.5 35.5 37.4 38.4 35.6 40.3 31.7 43.1 30.7 44.1 30.1 45 29.8 46 29.9 47.2 31.2 50.1 32.9 51.8 34.7 52.7 37.7 52.4 37.6 53.5 37.8 54.8 39.1 54.8 39.9 54.6 40.6 53.3 42.1 54.1 42.8 56.9 44.1 57.7 43.5 58.5 45 59.1 45.8 58.9 47 59.5ZM44.4 37.4 42.6 38.4 42.9 37.5 44.1 36.4 44.4 37.4ZM40.6 51.9 39.7 52.4 38.6 52 37.8 51.7 38 50.1 40.2 49.5 41.3 50.5 41.5 51.1 41 51.6Z' },
+  to: { viewBox: '0 0 47.2 100', path: 'M46.2 2.5 44.9 4.6 44.3 4.6 42.9 3.4 42.4 2.6 44.6 0.2 45.7 0 47.2 0.8 47.1 1.5 46.2 2.5ZM6.6 90.2 7.6 89.1 9.3 88.8 9.1 89.9 6.7 93.5 5.2 92.1 0.9 89.8 0 88 1.4 86.7 1.3 87.7 2 88.2 4.5 88.4 6.7 89.4 5.3 89.7 6.6 90.2ZM14.7 94.7 14.5 100 12.9 97.6 12.8 96.5 14.4 94.9Z' },
+  tr: { viewBox: '0 0 100 41.9', path: 'M12.2 0.9 12.1 1.7 12.4 2.6 13.2 3.8 14 4.4 17.1 5.9 17.7 6 17.6 6.6 17.4 7.2 16.2 7.8 13.7 7.1 13.1 7 11.8 7.7 10.9 7.5 9.6 7.8 9.2 8.7 8.3 9.8 6.8 10.6 5.8 11 4.2 12.7 3.5 13.6 2.8 13.9 3.1 13.1 3.1 12.3 3.6 11.8 4.1 11.4 5.5 10.7 5.9 10.2 4.8 10.2 3.6 10.3 2.9 10.2 2.3 10.3 1.9 9.5 2.7 8.8 3.5 7.9 3.6 7.3 3.4 6.6 3.5 5.9 4.5 5.2 5 4.8 4.9 4.1 4.8 3.4 4.1 3 3.4 2.6 3.6 2 4.4 1.9 4.8 1 5.9 0.8 6.8 0.5 8 0.1 8.8 0.5 9.4 1 10 1.1 10.8 0.9 11.5 0.7 12.2 0.9ZM82.7 4 83.7 4.3 84.4 4.6 84.9 4.2 85.7 4.2 86.4 4.2 87.2 4.5 87.9 4.4 88.2 3.7 88.8 3.6 89.4 3.7 90 4.4 90.8 5.2 91.4 5.6 91.6 6.2 92.4 6.3 92.8 6.9 93.2 7.6 93.8 8.1 94.1 9 94.2 10 93.5 11.2 93.7 11.8 94.1 12.8 94 13.6 94.6 14 95.4 14.3 96.7 14.2 97.8 14.5 98.7 15.2 99.6 16.2 100 16.8 98.8 16 98.1 16.7 97.8 18.4 97 18.5 96 18.6 96.1 19.4 96.4 20 96.6 20.8 96.6 21.6 97.1 22.3 97.1 23.2 97.3 24.1 97.2 25.1 98 25.5 97.7 26.2 97.6 26.9 97.1 27.6 96.8 28.4 97.5 28.7 98.7 29.5 98.6 30.1 98.7 30.7 98.7 31.5 99.5 32.1 99.9 32.6 99.7 33.4 98.9 33.2 98.3 33.7 97.4 34.3 96.8 34.1 96.8 33.1 96.5 32.5 95.8 32.3 94.9 32.9 94 32.9 93.2 32.8 92.1 32.3 91.5 32.1 90.2 32.3 89.3 32 88.6 32.8 87.7 33.6 86.9 32.9 86.3 32.5 85.6 33 84.7 33.4 83.9 33.6 82.8 33.8 81.8 33.9 80.6 33.8 79.8 33.7 79.1 33.7 78.5 33.8 77.2 34.3 74.9 35.5 73.2 36.1 72.2 36.3 71.5 36.5 70.2 36.5 69.1 36.4 68.4 36.4 67.4 35.8 66.7 35.3 66 35.1 65.4 35 63.9 35.7 62.9 36.1 61.9 36.5 60.9 36.7 60.2 36.6 59.5 36.6 58.9 36 58 35.7 57.4 35.7 57.1 36.3 56.8 37.6 57.3 39.2 56.4 39.4 55.9 39.8 55.8 40.8 55 41.3 54.8 41.9 53.8 41.4 53.4 39.8 53 38.9 53.3 38.2 54.1 37.5 54.9 36.6 54.9 35.6 54.2 35 53.5 35.4 52.9 35.8 52.2 36.2 51.5 37 50.8 37.2 49.7 36.8 48.4 36.2 47.7 35.7 46.7 35.8 45.1 37 43.6 38.7 41.9 39.7 41 39.9 38.8 40.2 37.9 40.2 37.2 40.6 35.9 40.2 35 39.7 34.5 39.1 33.7 38 33.2 37.4 31.9 36.9 29.7 35.7 29.1 35.6 27.6 35.4 26 35.3 25.5 37.5 25.1 38.9 24.6 39.3 23.8 38.9 23.1 39.3 21.5 39.8 19.2 39.2 18.6 38.8 18.1 38.3 18 37.5 17.7 36.7 17.2 36.2 16.4 36.5 14.7 35.7 13.8 35.6 13.2 36.4 12.3 36.8 12.6 36 11.2 36.1 10.4 36.5 9.8 36.4 10.2 35.8 11.8 35.6 12.6 34.9 13.3 34.4 10.4 34.3 8.8 34.3 8.3 33.9 8.9 33.6 9.7 33.3 9 32.4 8.1 31.9 8 31.2 7.7 30.5 7.4 29.9 8.1 29.7 8.3 28.6 8.2 28 6.7 27.4 5.9 26.9 5.3 26.5 4.8 26.9 4 26.4 3.3 26 3.5 25.4 4 24.9 3.7 24.1 4.4 23.7 4.8 24.2 4.8 25.1 5.3 25.6 6.2 25.4 7.5 25.1 6.8 24.9 6.1 24.2 5.9 23.5 6.5 22.7 7 22 6.5 21.6 6 21.1 6.2 20.4 5.5 19.5 5.4 18.9 6 18.4 6.5 17.7 4.3 17.7 3.6 17.9 2.3 18.1 2.3 17.4 2.5 16.8 2.5 15.3 2.7 14.5 3.4 14.3 4.2 13.1 5.6 11.7 7 11.8 7.6 11.4 8.4 11.4 9.4 12.3 10.8 12.2 11.4 11.9 10.8 11.2 11.5 11 12.1 11.1 11.8 11.9 13.7 11.7 15.5 11.9 17.4 11.8 16.9 11.2 16.3 10.8 17.2 10.2 20.1 9.6 21.8 9.4 19.3 8.9 18 8 17.8 6.9 18.2 6.1 19.1 6 22.2 6.6 24.4 6.3 26.9 7 29.2 6.9 29.7 6.5 30.2 5.4 33.5 3.5 34.7 2.6 35.9 2 38 1.4 39.8 0.6 44.5 0.9 47.4 1 48.8 0.2 49.6 0.5 49.4 1.4 49.8 2.1 50.3 2.6 51.7 3.2 53.5 2.7 54.2 2.9 54.9 4.7 55.4 5.3 56.1 5.7 57 5.4 58 5.1 59.1 5.7 59.5 6.3 61.4 6.8 63.2 7.1 63.9 7.6 66.4 8.1 67.3 8.1 68.9 7.5 71.9 6.9 73.8 7.7 74.4 7.9 75.5 8 76.2 7.9 78.4 6.9 79.1 6.3 79.9 6.2 80.5 5.8 82.2 4.7 82.7 4ZM1.6 13.5 0.4 13.7 1.1 12.9 1.6 13.5Z' },
+  tt: { viewBox: '0 0 100 92.3', path: 'M83.3 10.8 79.3 11.5 79.8 8.6 86.7 3.5 97.3 0.1 100 0 98.5 4.5 83.3 10.8ZM64.8 87.2 53 91.4 22.4 92.3 9.7 90.8 0 92 17.7 83 19.8 79.3 27.4 78.6 29.5 77.4 32 57.6 31 52.9 29.5 50.3 26.5 48.4 19.6 45.9 18.5 44.5 22.8 42.3 32 41.1 38.9 38.7 53.1 38.2 60 36.1 71.7 35.5 65.9 44.6 63.2 48 64.3 56.2 63 61.7 64.5 68.8 68 73.4 65.7 77.9 65.4 84.8 64.8 87.2Z' },
+  tv: { viewBox: '0 0 100 84.3', path: 'M34.1 0.8 33.5 0.3 34.4 0.6ZM0.6 6.6 0 6.3 0.4 5.8 0.6 6.6ZM99.6 84 99 81 99.5 81.6 100 82.4 100 83.3 99.6 84Z' },
+  tw: { viewBox: '0 0 100 99.8', path: 'M74.7 79.3 73 82.8 71.6 86.5 71.1 89.9 71.1 93.5 70.7 96.7 70.1 99.8 67.4 98.9 66 96.7 65.6 92.9 63.7 88.4 63 87.1 60.2 84.6 57.7 83.4 55.7 81.5 54.5 79.1 53.4 76.5 51.2 68.9 50.4 67 49.3 65.3 49 63.7 49.4 61.8 50.4 59.1 51 56.3 50.5 52.5 50.7 48.7 51.4 47 64.3 24 67.8 19.1 70 16.7 71.8 14 73.5 10.5 75.6 7.4 77.1 6.4 84.5 3.6 86.8 0.8 88.7 0 90.8 0 92.2 1.3 93.4 2.9 94.6 3.7 97.9 5.2 99.4 6.6 100 9.1 98 11.5 97 13.6 96.8 16 97.2 19.2 97.2 22.3 94.7 29.8 92 34.4 91.3 36.8 90.5 42.5 88.9 48.2 87.6 55.5 85.4 63 84.2 66.1 82.6 69.1 78.9 74.7 74.7 79.3ZM3.3 22.7 4.5 24.7 4 25.9 0.2 25.3 0 24.1 1.4 24.3 3.3 22.7Z' },
+  tz: { viewBox: '0 0 100 96.3', path: 'M93.2 62.5 92.6 62.5 92.8 61.8 93.3 61.2 94.5 60.3 94.9 59.7 94.3 61.8 93.7 61.9 93.2 62.5ZM91.3 46.3 92 48.2 91.4 48.8 90.7 47.8 89.7 47.2 89.1 47.2 88.5 46.3 88.7 45.5 88.6 44.1 89.3 43.4 89.6 42.2 90.1 43 90.2 44.3 90.8 45.7 91.2 46.2ZM94.6 34.9 94.5 35.8 94.6 37.1 94.5 38 94 39.3 93.2 39.6 92.7 39.1 93.1 36.8 92.9 35.1 93.9 35.3 94.6 34.9ZM13.5 0 14.6 0 16.2 0 17.8 0 19.4 0 21 0 22.6 0 24.2 0 25.8 0 27.4 0 28.9 0 30.5 0 32.1 0 33.7 0 35.3 0 36.9 0 38.5 0 40.1 0 41.1 0 41.8 0 42.4 0.4 43.2 0.8 45.1 1.8 47 2.9 48.9 4 50.8 5 52.7 6.1 54.6 7.2 56.6 8.2 58.5 9.3 60.4 10.3 62.3 11.4 64.2 12.5 66.1 13.5 68 14.6 69.9 15.6 71.9 16.7 73.8 17.8 74.7 18.3 75 19.5 75.1 20.1 74.5 21.5 74.4 22.3 75.3 22.7 75.7 23.6 76.9 24.5 78.3 25.5 79.6 26.5 81 27.4 82.4 28.4 83.8 29.4 85.1 30.4 86.5 31.4 87.9 32.4 88.6 32.9 88.7 33.8 88 35.6 87.9 36.3 87.7 37.2 87.4 37.8 86.7 40.4 86.1 41.4 85.2 43.6 85.1 45.4 85.6 46.6 85.7 47.7 86.7 48.8 87.5 49.2 88 49.7 88.9 50.9 89.5 52 91.1 52.6 91.8 53.9 91.5 54.8 90.8 55.6 90 56.8 89.5 58.4 89.5 60.8 90.7 61 90.8 62.8 89.9 64.9 89.6 65.9 89.6 66.7 90.3 69.2 91.3 70.5 90.9 71.2 92.6 73.4 92.5 75.4 93.1 76.9 93.4 78.3 93.8 79.3 93.9 80 93.4 80.7 94.6 80.9 95.3 81.6 95.7 82.2 96.6 82.2 97.1 82.6 97.8 82.9 99.3 83.9 99.8 84.5 99 85.7 97.3 87 95.7 88.2 94.2 89 93.1 89.4 91.9 89.6 90.8 90.1 89.7 90.9 88.4 91.3 86.7 91.3 85 91.9 83.3 93 82.3 93.6 80.7 92.6 79.5 92.4 78 92.4 77.2 92.5 76.6 93.3 76.4 94.2 75.4 95.1 73.8 96 72.3 96.3 70.9 96.1 69.9 95.7 69.4 95.2 68.7 95 67.8 95 66.9 95.4 66 96 64.6 96.3 62.7 96.3 61.6 95.9 60.7 94.7 59.1 94 58 93.9 57.3 94.7 56.6 95.1 56 95.3 55 95.2 52.6 95.1 50.6 95.1 50.4 94 50 93.4 49.2 92.9 48.5 92 48.2 91.4 47.7 91 47.3 90.2 47.8 88.7 48 87.9 47.9 87.2 47.7 86.4 47.2 85.5 47.1 84.6 47.2 83.6 47.1 82.9 46.7 81.4 46.3 80.3 44.9 78.5 42.8 76.6 41.9 76.2 41.5 76.8 41.6 77.4 41 77.8 39.9 77.2 39.3 77.1 37.7 77.2 36.8 77.2 36 76.4 35 76.2 34.2 76.2 32.8 75.3 31.8 75.1 30.8 74.6 29.5 74.1 28.4 73.6 27.9 73.1 26.9 72.9 26 72.8 25.2 72.4 24.3 72.3 23.5 72.2 23.3 71.2 22.4 70.8 21.7 70.8 21.1 70.9 20.6 70.5 20 69.9 19.9 69.1 19.1 68.6 18.2 68.2 15.7 68.2 14.8 67.7 14.1 67 13.5 66.2 13 65.1 12.8 64.4 12.5 63.6 11.9 62.4 11.1 60.7 10.4 59.3 9.7 57.8 9.4 56.7 8.9 55.5 8 54 7.5 53.4 7 52.9 5.7 51.9 4.3 50.9 3.5 50.3 2.4 48.3 2 47.5 1.6 46.3 1.4 44.9 2.5 42.7 2.4 41.6 2 40.2 1.6 39.4 1.4 38.6 0.9 37.3 0.2 35.6 0 34.9 0 34.3 0.4 32.8 0.7 31.3 3.5 30.9 5.6 29.6 7.4 27.6 7.8 26.8 8.5 25.5 9.2 24.9 9.7 23.7 9.9 23.1 10.8 22.3 11.7 21.6 11.7 21 12.2 20.6 13.2 20.3 13.4 19.7 13.4 18.9 13.2 18 12.4 17.7 11.5 17.3 10.7 17.2 10 16.8 10 15.8 10.3 15.2 9.9 14.7 10.9 12.8 12 12.3 12.9 12.3 13.5 12 13.7 11.3 13.9 10.2 13.8 9.4 13.4 8.7 13.3 7.6 13.5 6.2 13.4 5.1 12.9 4.1 12.5 3.6 11.7 3.3 10.6 1.9 10.3 1.2 10.6 0.6 11.4 0.7 12.1 0.5 12.7 0.1 13.3 0Z' },
+  ua: { viewBox: '0 0 100 66.6', path: 'M89.4 45.2 87.2 45.1 85.6 45.3 84.5 46.6 83.8 46.6 82.9 46.9 82.2 47.3 81.5 48.2 80.9 47.8 80.2 47.8 79.5 48.1 78.6 48.7 77.2 48.6 76.1 48.9 73.7 50.9 72.9 52.3 72.2 52.9 71.6 53.1 72.7 52.1 73.1 51.4 72.8 50.4 71.9 51.8 71.3 52 70.7 52.4 70.6 53.4 70.7 54.1 71 54.9 71.6 56.3 73 58.3 73.6 59.1 74.6 59.4 75.7 58.8 77.1 58.9 78 58.3 78.7 58.3 79.4 58.4 80.3 58.8 79.9 59.5 79.4 60.6 79.2 61.3 78.3 61.6 77.4 61.6 76.3 61.8 75.7 61.3 74.7 60.9 74.1 61.1 73.5 62 72.4 62.7 72 63.4 70.9 63.2 69.9 63.4 68.6 64 67.5 65.5 66.4 66.3 65.4 66.6 64.6 66.5 64 66.3 62.9 65.3 63.3 64.3 63.8 62.6 63.7 62 63.5 61.1 62.6 60.4 61.8 60.5 59.9 59.1 59.1 59 58.2 59.3 57.7 58.7 59.4 57.2 61.2 55.9 61.9 55.8 63 55.2 64.1 54.4 63.9 53.7 63.2 53.3 61.9 52.9 60.1 53 59.3 52.9 57.5 53.3 56.7 52.9 55 51.9 54.4 51.7 53.6 51.4 54.4 51.2 54.9 50.5 54 50.3 53.2 50.2 52.4 49.5 53.3 49.5 54.2 49.8 55.6 49.9 56.8 50.2 57.9 49.2 56.8 49.4 55.5 49.2 54.7 48.3 54.5 47.7 54.6 47.1 54.5 46.1 54.1 45.1 53.5 44.2 53.9 45.2 54.1 45.9 54.3 46.5 54.3 48.2 53.6 48.9 52.9 48.8 52.2 48.6 52.4 47.7 51.5 48.9 50 48.9 48.1 49.5 48 50.2 47.7 51 47.4 51.8 46.6 53.1 44.9 55 43.8 55.6 43.2 55.9 42 55.9 41.5 56.5 41.5 57.1 41.9 57.6 42.2 59.2 42.1 59.8 41.3 58.9 40.4 58.6 39.4 58.7 38.3 59.3 37.6 59.6 37 59.4 37 60 35.1 59.6 34.4 59.1 33.8 58.3 34.3 57.9 35.2 57.9 35.4 57 35.7 56.1 36.3 55.6 36.7 55.1 36.7 54.5 37.3 54.1 37.9 53.6 38 52.9 37.9 51.7 37.8 51.1 37.9 50.3 39 49.7 39.3 50.9 39.9 50.2 40.6 50.3 41.2 50.7 41.9 50.6 42.8 51.2 44.1 50.9 43.3 49.6 43.4 49 43.4 48.2 43 47.3 42.2 46.9 41.5 46.4 41.3 45.5 41 44.9 41.2 43.9 40.7 43.5 40 42.8 39.3 42.3 38.8 41.6 39.2 40.5 39.3 39.9 39.2 38.7 38.9 38 38 38.3 37.4 37.7 36.9 36.7 35.9 36.5 35.2 37 34.8 36.4 34.2 35.7 33.5 35.7 32.8 35 32 34.7 31 34 30.2 33.8 29.6 34 28.9 34.1 28.3 34.6 27.1 34.7 26.5 34.6 25 35.3 23.9 35.8 23.2 36 23 36.8 22.4 37.8 21 38 19.8 38.3 18.5 38.4 16.9 39.2 16.3 39.8 15.3 40 14 38.7 13.1 38.1 12.5 38.2 11.9 38.4 10.7 38.2 8.8 37.9 7.1 37.8 5.9 37 5.3 37.3 4.3 38 3.9 37.2 3.2 36.8 2.5 36.6 2.2 36 1.6 35.7 1 35.3 0.8 34.7 0 34.3 0.1 33 0.9 32 1.4 30.4 2 29.5 2.3 28.7 3.2 29 3.8 29.2 3.5 28.2 3.3 27.3 3.3 26.3 2.9 25.2 3.2 24.2 4.2 22.8 4.6 22.3 5 21.7 6.3 20.2 7.1 19.3 7.6 18.8 8.4 18 8.8 17.5 10.2 17.3 10.7 16.4 10.9 15.5 10.6 14.5 10.4 13.8 11 13.5 10.3 12.6 9.6 11 8.8 9.8 8.5 9 8.5 8.1 8.2 7.5 8.2 6.7 8.8 6.4 9.6 6.6 10.3 6.9 11.1 6.2 11.9 5.2 12.4 4.4 13.1 4.3 13.8 4.2 15.2 4.1 15.8 4 17.4 3.8 19.2 3.9 20.3 3.9 21.1 4 23 4.5 23.7 4.6 24.7 5 25.8 5.3 26.8 5.4 27.5 5.3 28.6 6.7 29.6 6.7 30.4 6.8 30.8 7.8 31.4 7.4 31.8 6.9 32.7 7.1 33.4 6.8 34.2 6.9 35 7.1 35.6 7.1 36.2 8.1 37 7.6 37.8 7.1 38.5 6.6 39.1 7 39.4 7.7 39.8 8.4 40.8 8.5 42.1 8.2 43.2 8 44.1 7.8 44.9 8.1 45.4 8.6 45.6 9.2 46.2 9.7 46.9 9.3 47.1 8.5 46.8 7.4 46.7 6.8 47 6 47.3 5.3 47.9 4.1 48.4 3.6 49.2 2.8 50.2 2.6 51.2 2.2 52.5 2.2 53.5 2.3 54.1 2.6 54.7 2.8 55.5 2.7 56.4 2.2 56.8 0.7 57.7 0.4 58.4 0.7 59.3 0.9 61.2 0.1 62 0 62.9 0.2 63.8 0.2 64.5 0.1 65.5 0.9 66 1.8 66.6 3.4 68.2 5.2 67.3 6 66.6 6.1 66.8 6.7 67.1 7.8 67.1 8.4 67.5 9.1 67.1 9.8 68.7 10 69.4 10.3 70.2 10.6 70.8 10.4 71.4 10.3 72 10.5 72.4 11.6 73 11.7 73.3 12.5 73.6 13.9 73.9 14.5 73.8 15.2 73.8 16.1 74.2 16.8 74.8 17.6 75.9 17.3 76.5 17 77.1 17.2 77.7 17.3 78.4 18.1 79.1 18.2 79.8 18.4 80.5 19 81.3 18.3 82.6 17.9 83.3 17.8 84 17.4 85 17.2 85.4 17.9 85.9 18.3 86 18.9 86.5 19.9 87.9 21.1 88.4 21.5 89 21.3 89.2 20.6 90.7 21.1 91.8 21.2 92.5 21.8 93.3 22.3 93.9 22.4 94.7 22 95.1 22.7 95.8 23.1 97.2 23.8 98.1 24.5 99.1 24.3 99.7 24.4 99.6 25.1 100 26.2 99.9 27.2 99.2 28.2 98.7 28.8 98 29 97.7 29.7 98.5 30.4 99.2 30.6 98.8 31.1 98.1 31 97.6 31.5 97.5 32.2 97.3 32.8 98 32.9 98.5 33.7 98.7 34.7 98.5 35.3 99.1 35.5 98.7 36.3 98.3 37.4 98 38 98.1 38.6 97.4 39 95.9 39.1 94.6 39.1 93.2 38.9 92.2 40.1 91.7 40.5 91 40.8 90.2 40.9 89.6 42 89.6 42.6 89.3 43.3 89.7 43.8 89.3 44.5 89.4 45.2ZM54.9 52.3 55.7 52.7 54.9 52.6 53.2 52.2 52.4 51.9 52.1 51 52.5 51.5 54.9 52.3Z' },
+  ug: { viewBox: '0 0 95.8 100', path: 'M76.8 91.8 74.8 91.8 71.7 91.8 68.5 91.8 65.4 91.8 62.2 91.8 59.1 91.8 56 91.8 52.8 91.8 49.7 91.8 46.5 91.8 43.4 91.8 40.2 91.8 37.1 91.8 34 91.8 30.8 91.8 27.7 91.8 24.5 91.8 22.7 91.8 22 91.7 20.9 91.9 19.6 92.6 18.3 93 16.9 92.8 16.1 92.9 15 92.8 14.1 93.1 13.4 93.7 12.7 94.9 11.4 96.2 10.4 97.4 9.5 98.2 7.6 99.6 6.5 100 5.7 99.7 5 97.9 0.8 98.5 0.3 98 0 93.9 0 91.3 0.5 89.8 0.8 87.9 0.8 86.3 1.5 83.6 1.3 81.9 2.2 76.2 2.4 75.2 2.8 72.5 3.3 71.6 4.5 69.6 5.7 66.8 6.6 65.4 6.4 62.3 6.5 60.3 8.6 59 11 57.1 12 54.8 13.4 53.4 16.2 52.4 24.4 44.6 28.2 40.4 29.9 38.3 29.9 37.5 30.3 36.5 29.6 35.7 28.8 35 28.5 34.3 27.9 34 26.9 34 26.2 33.5 25.5 32.6 24.8 32 22.4 32 20.6 31 20.7 29.7 21.3 27.1 22.7 24.2 22.8 23.3 22.6 22.6 22.3 22 21.7 21.5 21.1 20.7 21.5 18.6 22.4 16.5 23.1 15.5 23.8 14.3 23.6 13.3 22.6 12.8 23.1 11.9 24.2 10.3 26.3 8.7 28.1 7.6 29.3 7.6 31.7 8.5 33.9 9.5 35.1 9.6 36.5 9.1 39.5 7.4 40.3 7.9 41.1 9 42.1 10.8 44 11.6 44.9 12.2 45.5 12.3 46.6 10.8 47.4 10 49 9.1 52.6 8.3 55.1 8 56.1 7.9 57.9 7.4 60.7 6 63.5 7.8 66.5 8.2 69.4 8.2 70.3 7.6 70.8 7.2 73.9 4.1 78 0 80.8 5.8 81.8 6.2 81.4 7.2 83.2 8.6 85.4 9.3 86.2 10 86.3 10.8 85.5 14.2 85.7 15.2 86.4 18.6 87.7 19.4 88.9 22.8 91.2 24.3 92.1 26.3 92.9 28.2 93.4 28.6 94.5 30.6 94.1 31.7 94.6 35 95.5 38 95.7 41.5 95.8 43 95.7 44 95.5 45.3 95.1 46.1 94.3 46.8 93.5 48 92.8 49.3 92.3 49.9 92.7 51.8 92.4 52.6 91.3 52.9 89.9 53.4 89.1 53.9 87.9 54.8 87 55.9 85.7 58.9 83.6 61.3 83.3 62.1 81.3 63.6 80.4 65.3 79.9 67.5 79.1 69 77.5 71.1 77.1 74.5 77.1 81.2 76.7 88.8Z' },
+  us: { viewBox: '0 0 100 82.4', path: 'M27.5 5.2 27.5 6 27.5 6.8 27.5 7.6 27.5 8.4 27.5 9.1 27.5 9.9 27.5 10.7 27.5 11.4 27.5 12.1 27.5 12.9 27.5 13.6 27.5 14.3 27.5 15 27.5 15.7 27.5 16.4 27.5 17.1 27.5 18.4 27.5 19.1 27.5 20.4 27.5 21 27.5 21.6 27.5 22.9 27.5 23.5 27.5 24.1 27.5 25.3 27.5 26.5 27.7 27.1 28.3 27.2 29 27 29.4 27.6 29.8 28.1 30.3 28.5 30.7 29 31 29.6 31.6 29.3 32 28.7 32.5 28.3 33.1 28.2 33.4 29 33.9 29.4 34.3 29.9 34.8 30.5 35.2 31.3 35.6 32.1 36 32.7 36.3 33.3 36.5 34 37.1 34.2 37.6 34.6 38.2 34.8 38.2 35.4 38.2 36 38.1 36.6 37.7 37.1 37.3 36.6 37.4 36 37.3 35.3 36.7 35.1 36.4 35.8 36.3 35.1 36.8 34.7 36.3 34.3 35.8 33.7 35.5 33.1 34.9 32.9 34.8 32.2 34.8 31.6 34.3 31.2 34.4 30.6 33.7 30.7 33.4 30 33.2 29.4 33 28.8 33.1 29.7 33.2 30.3 33.3 30.9 32.5 30.7 32.4 30 31.6 29.6 32 30.1 32.4 30.7 31.8 31 30.9 30.3 30.5 29.8 30 29.3 29.1 28.8 29 28.2 29.1 27.6 28.6 28 27.9 28.2 27.2 27.9 26.4 27.6 25.6 27.4 24.8 27.6 24.2 27.3 23.7 26.7 23 26.8 22.5 26.3 22 25.9 21.4 25.6 20.8 25.9 20.9 25.2 20.3 25.5 20.3 26.2 20.7 26.7 20.5 27.3 20 27.7 19.4 27.6 18.9 28 18.5 28.5 17.9 28.9 17.2 29.1 17.5 28.4 16.9 28.2 17.1 27.4 17.4 26.7 17.8 26 18.3 25.6 19.1 25.7 18.6 25.3 19.1 24.8 18.2 25.1 17.6 25.5 17 25.8 16.5 26.6 16.1 27.2 16 27.8 15.5 28.3 14.7 28.9 15.1 29.5 15.2 30.2 14.7 30.6 14.5 31.2 13.8 31.4 13.3 31.9 12.8 32.3 12.4 32.8 12 33.3 11.4 33.6 10.8 34 10.3 34.4 10.1 35 9.5 35.3 8.9 35.4 8.4 35.8 7.8 36 7.2 36.1 6.7 36.5 6.1 36.8 6.2 36.2 6.6 35.7 7.2 35.2 7.8 35.1 8.4 35.3 8.5 34.6 9.1 34 9.7 33.7 10.2 33.3 10.5 32.7 11 32.3 11.2 31.6 11.6 31.1 11.4 30.5 11.9 30.1 12 29.3 11.2 30 10.6 30.2 10.4 29.6 10 30.1 9.9 30.7 9.5 30.1 8.8 29.7 8.1 29.8 7.6 30.2 6.8 30.2 7.2 29.7 6.9 29 7.1 28.4 6.8 27.7 6.5 27.1 6.8 26.4 6.4 27 6.4 27.6 5.7 27.9 5.1 28 4.5 27.3 3.9 26.8 4 26.2 4.6 26.1 5.2 26.3 5.2 25.7 4.6 25.9 3.9 25.8 3.7 25.2 3.1 24.8 3.2 24.2 3.3 23.6 3.6 23 4 22.5 4.2 21.9 4.6 21.4 5 20.9 5.6 21.3 6.2 21 6.6 20.5 7.4 20.5 8 20 8.1 19.4 7.9 18.7 7.4 18.3 8 18 8 17.4 7.3 17.5 6.6 17.9 6.2 18.4 5.8 17.8 4.7 18 4.1 18.2 2.9 18 2.6 17.4 2.2 16.8 2.8 16.4 1.7 16 1.1 15.7 1.5 15.2 2.2 14.7 2.8 14.2 3.4 14.3 3.6 13.7 4.3 13.3 4.9 13.2 5.1 14 5.8 14.5 6.4 14.5 7.1 14.5 7.5 14 7 13.6 6.8 13 6.4 12.5 6.9 13 7.3 13.5 7.9 13.5 8.7 13.6 8.1 13 7.5 13.3 7.1 12.7 7.2 12.1 6.6 12.1 5.4 11.9 5 11 3.6 9.5 2.8 8.9 2.8 8.1 2.8 7.3 3.5 7.3 4.1 7.2 4.7 7.1 5.4 6.5 5.8 5.9 5.9 5.3 6.6 3.9 7 3.3 7.9 3.3 8.8 2.5 8.8 3.2 9.5 2.7 8.9 2.3 9.6 1.6 10.3 1.8 10.9 1.7 11.5 1.1 11.9 0.5 12.4 0 13 0.7 13 1.3 13.6 1 14.1 1.5 14.9 1.6 15.5 1.4 16.1 1.6 16.3 2.3 17 2.5 17.5 3 18.2 2.8 18.8 2.7 19.8 2.9 20.3 3.3 20.9 3.5 21.6 3.7 22.3 3.6 23.2 4 24 4.2 24.8 3.9 25.8 4.1 26.8 4.8 27.4 5.1ZM21 26.7 20.9 27.3 20.9 26.7ZM2.9 26.9 3.3 27.4 2.9 27.9 2.1 27.7 1.6 27.2 2.2 27.2 2.8 26.9ZM20.9 28 21.2 27.4 21 28ZM16.3 30.8 16 31.4 15.4 31.3 15.9 30.9ZM33.7 31.1 34.3 31.4 34.5 32 34.2 31.4 34.3 32 34.5 32.6 33.9 33.1 33.9 32.5 33.7 31.9 33.6 31.3ZM32.7 31 33.4 31.3 33.1 31.9 33.5 32.4 32.9 32 32.3 32 31.8 31.5 32.3 31.1ZM15.9 31.7 16.5 32.1 15.9 32.3 15.5 32.8 15 33.2 14.4 33.1 14.1 32.4 14.7 32.1 15 32.7 14.9 32.1 15.5 31.8ZM33.4 32.6 33.7 33.5 33.7 34.1 33.2 33.7 33.1 33.1 32.6 32.7 33.3 32.5ZM35 33.2 35.4 33.8 34.9 34.2 34.7 33.6ZM34.4 33.5 34.5 34.2 34.4 34.8 34.3 34.2 34 33.5ZM36.2 34.8 35.6 34.8 36 34.1 36.2 34.8ZM34.8 34.4 35.3 34.8 35.8 35.3 36.1 35.9 36.3 36.7 35.7 36.6 35.2 36.2 35 35.6 35.1 35 34.8 34.4ZM37.3 35.9 36.7 36.2 36.7 35.3 37.3 35.5ZM35.5 36.9 35.1 36.4 35.5 36.9ZM5.5 36.8 5.9 37.3 4.9 37.4 4.3 37.7 4.5 36.9 5.1 36.7ZM2.4 38.6 2.3 39.2 1.7 39.5 2 38.9 2.4 38.4ZM1.1 39.5 0.6 39.9 0 40.3 0.4 39.7 0.9 39.2ZM74.2 46.8 74.8 47 75.5 47.3 76 47.7 76.6 47.4 77.4 47.6 76.9 48.2 76.1 48.9 75.4 49.5 76.1 49.5 76.7 49.3 77.1 49.8 77.8 49.4 78.4 49.2 79 49.3 79.6 49.4 80 49.9 80.7 49.9 81.3 49.6 81.9 49.6 82.5 50 83.1 50.1 83.4 50.7 82.8 50.6 82.1 50.5 81.5 50.6 80.9 51 80.3 51 79.9 51.7 79.5 52.3 80.1 52.4 79.9 53 79.7 53.6 79.5 54.3 79.6 54.9 79.6 55.6 79.8 56.2 80.6 56.3 81 55.8 81.2 55.2 81.1 54.5 80.9 53.9 80.9 53.3 81.1 52.6 81.5 52 82 51.6 82.4 51 83 51.1 83.7 51.5 83.9 52.1 84 52.8 83.6 53.3 83.6 53.9 84.1 53.4 84.7 53.9 84.8 54.6 84.8 55.2 84.3 55.6 84 56.2 84.4 56.7 85 56.8 85.6 56.7 86.4 56.2 87 56 87.7 55.5 88.2 55.1 88.2 54.4 88.8 54.2 89.4 54.3 90.1 54.3 90.7 54.1 90.9 53.5 91.3 52.8 91.8 52.3 92.4 52 93.1 52 93.9 52 94.7 52 95.6 52 96.1 51.5 96.6 51 96.8 50.4 97 49.8 97.3 49.2 97.7 48.7 98.4 48.8 99.1 49 99.2 49.8 99.2 50.6 99.4 51.2 99.6 51.8 100 52.3 99.4 52.5 98.8 52.7 98.2 52.9 97.8 53.4 97.2 53.5 96.7 54.1 96.3 54.6 96.3 55.2 96.4 56 96.9 56.4 96.1 56.6 95.3 56.9 94.7 57 94.1 57.1 93.5 57.3 93 57.8 93.1 58.4 93 59 92.6 59.5 92.2 60 91.8 59.5 91.7 58.9 91.7 59.6 92.1 60.2 92 60.8 91.6 61.6 91.2 62.2 91.3 61.6 91.4 61 90.9 60.6 91 60 91.1 59.4 90.7 59.9 90.7 60.5 90.1 60.6 90.2 60 89.9 60.7 90.5 61 90.9 61.5 90.3 61 90.6 61.6 90.9 62.2 90.2 62 90.7 62.4 91.3 62.8 91.6 63.7 91.3 62.9 91.3 63.5 90.7 63.6 91.4 63.6 91.2 64.2 90.6 64.2 90.4 64.8 89.9 65.2 89.4 65.8 88.8 66.1 88.1 66.7 87.6 67.2 87.1 67.6 86.5 67.8 86.4 68.4 86 68.9 85.8 69.5 85.9 70.3 86.2 71.2 86.7 72.2 86.8 72.9 86.7 72.2 87 73.7 87.2 74.4 87.1 75.2 86.8 75.8 86.2 75.9 85.9 75.3 85.5 74.8 85.2 74.2 84.7 73.5 84.9 72.9 84.6 72.3 84.5 71.6 84 71.2 83.6 70.7 83 70.5 82.4 70.9 81.7 70.4 80.9 70.1 80.2 70.2 79.4 70.3 78.7 70.2 78.1 70.2 77.5 70.3 78.1 70.7 78.2 71.3 77.6 71.2 77 71.4 76.2 71.4 75.8 70.9 75.2 71.1 74.6 70.9 73.8 70.8 73 71.1 72.4 71.5 71.9 72 71.3 72.1 70.8 72.6 70.2 72.9 70.1 73.5 70.1 74.2 70.4 74.9 69.8 74.9 69.2 74.7 68.6 74.5 68.2 73.9 68.2 73.3 67.7 72.7 67.3 72.2 67 71.6 66.4 71 65.7 70.8 65.1 70.8 64.9 71.4 64.3 71.6 63.6 71.3 63.1 70.7 62.9 70.1 62.3 69.5 61.8 69 61.3 68.6 60.5 68.6 59.8 68.5 59.6 69.1 58.9 69.1 58.2 69.1 57.5 69.1 56.9 69.1 55.9 68.7 55 68.4 54.1 68 53.1 67.7 52.3 67.6 51.5 67.6 50.9 67.7 50.7 67 50.2 66.5 49.6 66.3 48.9 65.8 48.2 65.5 47.6 65.4 47.4 64.8 47.1 64.2 46.6 63.7 46.2 63.2 46.3 62.6 45.7 62.1 45.6 61.4 46.1 61.8 45.8 61.2 46.4 61.1 45.8 61 45.2 61.1 44.9 60.5 44.5 60 44.3 59.4 44.3 58.8 43.8 58.3 43.9 57.7 44 57.1 44 56.5 43.8 55.9 43.8 55.3 43.7 54.7 43.9 54.1 44 53.3 44.1 52.7 44.2 51.5 44.2 50.8 44.6 50.3 44.1 49.9 44.3 49.3 43.9 48.6 43.6 47.9 43.5 47.3 44.1 47.5 44.9 47.6 45.5 47.9 45.1 48.4 45.5 47.9 45.6 48.5 45.2 49 45.8 48.7 45.7 48.1 45.7 47.5 45.6 46.9 45.3 46.3 45.9 46.3 46.7 46.3 47.5 46.3 48.4 46.3 49.2 46.3 50 46.3 50.9 46.3 51.7 46.3 52.5 46.3 53.4 46.3 54.2 46.3 55.1 46.3 55.9 46.3 56.7 46.3 57.6 46.3 58.4 46.3 59.2 46.3 60.1 46.3 60.9 46.3 61.7 46.3 62.6 46.3 63.4 46.3 64.2 46.3 65.1 46.3 65.9 46.3 66.7 46.3 67.6 46.3 68.4 46.3 69.3 46.3 70.1 46.3 70.9 46.3 71.8 46.3 72.4 46.3 72.9 46.7 73.5 46.8 74.1 46.9ZM80.4 51.7 80.1 52.3 80.2 51.7ZM94.6 57.4 95.2 57.3 94.5 57.6 93.9 57.8 93.2 57.9 93.7 57.4 94.5 57.4ZM91.6 64.5 91.7 63.9 91.7 64.5ZM87.1 73.6 86.8 73 87.1 73.6ZM70.3 73.6 70.5 73 70.3 73.6ZM70.4 74.8 70.2 74.1 70.4 74.7ZM13.2 82.4 12.9 81.8 12.9 81.1 13.6 81.3 14 81.8 13.3 82.3Z' },
+  uy: { viewBox: '0 0 93.1 100', path: 'M88.8 74.8 88 75.6 87 77.1 85.9 80.6 82.3 85.5 81.5 88.3 77.6 91.2 74.8 94.4 73 94.4 71.4 95.8 62 100 58.6 99.2 56.1 99.2 53.8 97.3 48.5 96.7 45.1 97.4 40.7 99.5 39.3 99.4 38.4 99.3 35.9 98.5 34.6 96.7 27.7 94.6 22.2 89.8 15.7 89.7 10.7 90.3 9.9 89.7 9.4 88.5 8.4 86.7 4 82.6 0.7 78.4 0 74.4 0.5 70 1.5 64.8 1.3 63.1 2.6 62.2 3.8 62 5 60.7 6.1 58.7 6.2 57.1 5.4 54.3 4.8 50.4 4.2 48.4 5.5 45.3 5.6 43.8 4.8 42.5 4.6 41.1 4.9 39.7 4.9 38.4 4.4 37.1 4.7 36 6 35.2 6.9 33.9 7.6 32.2 7.9 30.9 7.9 30 7.5 29.1 6.7 28.3 7.1 26.7 8.6 24.3 9.5 22.2 10 20.3 10 18.8 9.5 17.7 9.7 16.9 10.6 16.5 11 15.3 10.9 12.4 9.9 9.9 10.6 8 12.7 5.7 13.8 3.9 13.9 2.5 14.5 1.7 15.5 3.2 18.5 3.6 21.4 3.7 21.9 3.3 23.1 0.9 24.6 0.2 26.3 0 28.1 0.1 30.1 1.7 35.6 7 39.6 10.7 40.9 12.4 41.9 13.7 42.7 14.9 42.4 18 42.5 19.4 43.6 19.9 44.9 19.6 46.1 19 47 17.9 47.9 17.1 48.6 16.7 48.9 16 49.3 15.3 50.5 15.7 52.4 17.5 53.8 19.1 54.2 20.1 54.8 21.1 55.4 22 55.8 22.8 57.2 23.9 58.7 24.6 59.6 23.9 62.1 26.2 67.5 28.1 68.5 29.3 69.4 30.9 71.3 33.4 73.9 35.7 76 36.6 78 37.2 79.2 37.7 79.9 38.5 81.2 39.5 82 39.8 82.2 40.7 83 42.5 83.9 44.8 84.8 47 86.7 49 89 50.7 91.3 51.6 92.5 52.7 93.1 53.9 91.6 55.6 89.9 57.8 88.4 59.6 86.8 60.8 86.3 61.6 86 62.9 86 69.8 85.9 72.3 86 73 87.2 74.2 88.3 74.7Z' },
+  uz: { viewBox: '0 0 100 65', path: 'M87.2 26.7 87.8 26.4 88.8 27 87.7 28 87 28.3 86.4 29.2 85.4 29.6 84.4 30.8 82.8 31.9 83.4 32.5 84.1 32.9 85.5 32.8 86 33.3 86.3 34.3 87.3 34.9 88.2 35.2 88.8 35.3 89.8 35.4 90 33.7 90.7 34 91.1 33.5 91.1 32.5 91.6 32.9 92.2 33.2 92.5 34 92.7 34.9 93.7 35.1 94.3 35 94.4 35.8 95.1 36.1 95.9 36.2 97 37.3 98.2 37.4 98.8 37.6 100 37.7 97.9 39 97.3 39.8 96.7 40 95.7 39.6 95.7 40.5 94.9 40.8 94.1 40.7 93.5 41.4 93.1 42 92.5 42.2 92 42.6 91.3 42.4 90.6 42.4 89.7 41.9 88.1 41.9 87.5 42.1 85.5 42.5 85 42 84.5 41.4 83.9 41.1 83.9 40.5 84.9 39.7 85.8 39 86.1 38.4 85.4 38.1 85.1 37 84.3 36.2 83.6 37 82.5 37.7 81.8 38.1 80.4 38.8 79.8 39 78.8 38.1 78 38.1 77.7 39.2 77.1 39.7 77.7 41.5 77.5 42.5 76.5 42.4 75.6 42.3 73.9 42.6 74.6 43 75.5 43 74.8 43.6 74.9 44.3 74.9 44.9 74.1 45.2 73.6 45.9 73.5 46.8 73 47.3 72.4 47.6 71.8 47.5 70.5 47.3 69.5 47.1 68.4 46.9 67.4 47.3 66.9 47.9 66.3 49.7 67.8 50.4 68.2 51.5 69.3 51.6 70.3 51.6 70.8 52.1 70.3 54 70.4 54.6 70.6 55.4 70.9 56.1 71.5 56.8 72 57.2 72 58.1 71.8 58.7 71.4 59.2 70.6 60.1 70.1 61 69.3 62.1 69 62.7 68.9 64.5 68.3 64.6 67.4 64.5 66.8 64.4 66.1 64.7 65.4 64.5 64.6 63.8 63.2 63.5 61.5 63.7 61.4 62.9 61.4 61.9 61.5 60.5 62.1 59.4 61.8 58.8 60.7 58.5 59.9 58 59 57.4 58.2 57.1 57.6 56.9 56.8 57.3 56.2 57.2 54.9 56.3 53 54.9 51.5 53.9 50.6 53.5 49.9 52.9 48.6 51.7 47.7 51.9 46.5 51.1 45.4 50.3 43.9 48.7 42.6 47.8 41.3 46.8 40.4 46.1 38.9 45.1 38.2 44.4 37.7 43.7 37.3 41.5 36.8 40.4 36.2 39.9 35.7 38.8 35.2 37.2 34.8 36.1 33.9 35.1 33 34.5 32.2 34.2 31.5 34.4 30.7 34.9 30 34.7 28.9 34.6 27.8 34.5 26.4 34.7 24.6 33.7 24 33.3 23.8 32.7 24.1 32.1 24.2 31.4 23.9 30.5 24.5 30.3 24.3 29.7 23.2 29 23.3 28.1 23.4 27.3 22.6 26.3 20.2 26.3 19.2 25.8 18.8 24.8 17.8 24.5 17.2 24.4 16 23.3 15.2 22.5 14.9 23.2 13.8 23.3 13 23.4 13 24.1 13.5 24.5 14.2 25.4 14.6 25.9 14.1 26.3 13.7 25.5 13.2 25.1 12.2 24.8 11.5 25.3 11.3 26 10.9 26.8 10 27.3 8.2 27.4 7.3 27.9 6.6 28.9 5.8 29.7 5.9 31.2 6.1 32.9 6.6 33.5 6.1 34.3 5.2 34.2 4.6 34.1 2.9 34 1.6 34 0 33.9 0 32.1 0 30.3 0 28.5 0 26.7 0 24.9 0 23.1 0 21.3 0 19.5 0 17.6 0 15.8 0 14 0 12.1 0 10.2 0 8.4 0 6.5 0 4.6 0.7 4.4 1.6 4.1 2.5 3.8 3.6 3.5 4.8 3.1 5.8 2.8 7 2.4 7.9 2.1 8.7 1.8 9.8 1.5 11.6 1 12.5 0.7 13.5 0.4 14.4 0.1 15 0 15.7 0.4 16.5 0.9 17.3 1.5 18.1 2 18.9 2.6 19.7 3.1 20.5 3.7 21.3 4.2 22.1 4.7 22.9 5.3 23.7 5.8 24.5 6.4 25.4 6.9 26.2 7.4 27 8 27.8 8.5 28.6 9 29.3 9.5 29.8 10.7 30.2 11.4 30.9 12.1 31.5 12.8 32.3 13.7 32.9 14.4 33.5 15 34.4 16.1 35 16.8 36.5 16.7 37.8 16.5 38.8 16.3 40 16.1 41.2 15.9 42.1 15.7 43.5 15.8 44.9 16 45.9 16 46.8 16.1 48 16.2 48.6 16.3 49.3 16.3 50.3 15.8 50.9 15.5 51.5 15.2 52.6 15.5 53.1 16.2 53.6 16.8 54.2 17.4 54.7 17.8 55.5 18.3 55.9 19.1 56.5 20.2 56.9 21 57.3 21.7 58.4 21.1 59 20.8 58.9 21.7 58.9 22.6 58.8 23.9 58.7 24.9 58.5 26.1 58.5 27.1 58.5 27.9 58.5 28.6 59.5 28.6 60.3 28.6 61.3 28.6 61.4 29.5 61.5 30.6 61.7 31.7 61.9 32.5 62.2 33.7 62.3 34.3 62.5 35 63.1 35.3 64.5 35.2 65.5 35.1 66.4 35 67.3 35 68.5 34.9 69.3 35 70 35.3 70.4 35.9 70.6 36.7 70.4 37.4 70.7 38.2 71.8 39 72.5 39.3 73.4 39.2 73.5 38.6 73.3 37.7 73.9 36.6 74.3 36 75 35.4 75.8 34.8 76.3 33.5 76.8 33.1 78 32.6 79.2 31.5 80.5 31 81.5 30.5 82.3 30 83 29 83.6 28.4 84.1 28 84.9 28.3 85.6 27.8 86.2 27.1 87.2 26.7ZM85.5 36.8 85.1 36.2 85.3 36.9ZM88.7 44.8 87.9 44.9 87.8 44.2 87.4 43.7 87.4 43 88 43.4 88.9 43.6 88.8 44.7ZM92.1 44.4 91.4 44.4 92 44Z' },
+  va: { viewBox: '0 0 100 100', path: 'M100 90.9 27.3 100 0 60.6 27.3 9.1 90.9 0Z' },
+  vc: { viewBox: '0 0 33.9 100', path: 'M26.4 30.2 22.1 32.6 11.2 22.5 12.5 10.7 19.1 4.2 25.3 0.4 31.7 0 33.9 9.7 32.4 23.5 26.4 30.2ZM18.8 54.8 16.4 56.5 17.5 56.5 16.4 57.6 15.7 56.5 14.5 55.8 13.1 55.5 11.3 55.5 11.3 54.4 13.5 55.1 16.8 54.4 16.8 53.2 15.8 52.1 15.4 51.3 16.6 50.2 20.7 47.5 22.5 46.2 22.7 47.3 23.6 48.3 21.5 50.4 18.8 54.8ZM2.8 99.9 1.3 100 0 99.5 0.4 99 2.1 98.6 2.8 97.6 2.6 96.3 2.6 94.8 3.9 93.9 5 93.9 5.5 94.5 5.7 95.8 4.9 96.9 4.1 97.7 3.6 99.1 2.8 99.9Z' },
+  ve: { viewBox: '0 0 100 85', path: 'M98.6 27.1 100 28.9 99 29.7 98.5 30.8 97.4 31.2 96.7 31.7 96.2 32.2 94.9 32.5 94.2 33.8 93.4 34.6 94.1 35.9 94 36.7 94.4 37.4 95.3 37.3 96.2 37.4 96.1 38.5 94.4 39.6 93.8 40 92.7 40.1 92 40.3 91.3 40.6 90.6 40.7 90 41.1 90 42.1 90.2 43.1 90.4 44.4 89.7 45 89.1 45.6 88.5 46.4 90.1 48.3 91.7 50.1 93.3 51.8 94 52.7 94.3 53.3 94.1 54.1 93.7 54.6 92.6 55.3 92 55.6 91.6 56.4 91.1 56.8 89.8 56.9 88.6 57.5 87.8 57.7 87.2 58.5 85.3 59.2 83.4 59.7 82.8 59.9 80.9 59.5 79.9 60 79 60.4 78.5 61.1 78.3 63.1 77.6 63.6 76.8 63.6 76.2 63 75.6 62.4 74.4 61.2 73.8 61.1 72.7 61.4 71.7 61.1 71.1 61.2 69.8 61.2 69 61.2 68.3 60.2 67.8 59.7 65.3 59.6 64.7 59.5 64.3 58.9 63.4 58.6 64 60 64.2 60.6 65 61.4 67.2 63.1 67.6 63.7 67.5 64.4 67.5 65.5 67.6 66.5 68.1 68 68.9 69.5 69.1 70.4 69 71.1 68.8 71.7 69.7 72 71.3 72.2 72.3 72.2 73.7 72.3 73.7 73.7 73.1 74.3 72.4 74.5 71.5 75 70.3 75.5 69.6 75.6 68.9 76 68.7 77 68.3 78.1 67.7 78.8 66.9 79.3 66.2 79.4 65.6 79.4 64.9 80 64.3 80.5 63.2 80.8 62.5 81.1 61.6 81.5 61 81.9 60.6 82.5 59.9 83.2 59.1 83.6 58.8 84.2 58.3 84.9 57.7 85 57.9 83.8 57.6 83.2 57 82.9 55.8 83.1 55 83.7 54.4 84.1 53 84.4 52.2 84.5 51.2 84 49.8 82.7 47.9 81 47.9 80 47.5 79.3 47.3 78.5 47.1 77.7 46.7 76.6 46.4 75.8 46.2 75 45.8 74.3 45.4 73.3 45.5 72.5 44.7 71.9 44.1 71.2 43.4 70.6 42.8 70.3 42.6 69.7 41.4 69.2 40.7 69.5 40.9 68.8 43.2 66.6 44.4 65.6 44.7 64.9 43.3 62.9 42.6 62.3 42.1 61.6 41.6 60 41.2 59.2 41.1 58.6 41.1 57.8 40.7 56.9 40.7 55.7 41 53.8 41.1 52.3 40.9 51.3 41.2 50.5 41.9 50 42.3 49.2 42.4 48.1 42.8 47.1 43.5 46.4 43.8 45.7 43.5 45 42.8 44.1 41.6 43.8 40.7 43.8 40.1 44.1 38.6 44.5 36.2 44.8 34.2 44.8 32.7 44.5 31.6 44.6 30.8 45.1 30 44.9 29.1 45 27.9 43.6 26.8 42.3 25.6 40.8 24.2 39 23.5 38.9 22.9 38.9 22 38.7 21.4 38.5 20 37.9 19.4 37.9 17.4 38.6 16.5 38.6 14.1 38.3 12.9 38.3 11.5 38.5 10.9 38.6 10 38.3 9.5 37.8 8.9 36.7 8.6 35.8 7.9 35.6 7.2 35.5 6.6 34.7 6.6 34 6.6 32.9 6.8 31.4 7.2 30.8 7.4 30 7.2 29 7 28.3 6.2 27.5 5.2 26.5 4.7 24.8 4.2 22.9 3.4 22.8 2.6 21.9 1.7 22.1 0.2 22.5 0.5 21.3 1 20.4 1.7 19.6 2.2 18.8 2.7 17.9 2.9 16.1 3.1 14.8 3.7 12.6 4.6 10.9 5 10 5.9 9 6.3 8.4 6.8 8 8.3 7.4 10 4.3 10.4 3.8 12.2 3.4 13.5 3 14.5 2.7 15.1 2.4 14.4 3.2 11.1 4.1 10.4 4.6 10.4 5.2 11.3 7.4 12.7 8.7 12.1 8.9 12.4 10.1 13.1 10.9 12.6 13 11.6 13.9 10.9 15 10.4 15.5 9.3 17.7 10.1 19 10.3 19.6 11 20.5 11.9 21.2 11.7 21.9 12 22.7 12.4 23.2 13.5 23.4 15.3 22.8 16 22.1 16.8 21.1 16.9 19.9 17.1 18.5 16.9 17.5 15.9 16.2 15.5 15.2 14.6 14.3 14.1 12.8 13.7 11.6 13.5 10.5 14.1 10.1 14 9.1 15.5 8.8 18.8 7.3 20.8 6.9 23.1 6 23.7 5.6 24.1 4.9 25.7 5.5 26.3 5.3 26.2 3.8 25.5 3.8 23.4 4.1 23.2 3.4 22.7 2.2 23 1.3 23.4 0.6 24 0.3 24.8 0 25.5 0.5 26.1 1.4 26.3 2.6 26.6 3.8 27 4.6 27.6 5.2 28.4 5.1 30.5 4.9 31.8 5.4 33.5 5.6 35.1 6.5 36.7 7.6 37.1 8.4 37.2 9.2 37.6 9.7 37.2 10.3 37.4 11.1 37.9 12 38.6 12.6 40.6 12.8 42.7 12.4 46 12 47.1 11.7 52.6 11.6 53.6 12 53.7 12.8 55.5 14.4 56.9 14.6 58.2 15.1 59.4 15.4 60.8 15.8 61.6 15.7 62.2 15.6 62.9 15.6 67.8 12.9 70.4 12.9 71.1 12.5 70.2 12.1 68 12 67.3 12.2 67 11.5 67.7 11.6 70.1 11.3 72.9 11.5 75.2 11 76.3 10.9 76.9 11 78.8 10.7 82.2 11.1 84.8 10.8 83.6 11.5 82.2 11.6 81.1 12.2 78.8 12.1 77.2 12.3 77.7 13.2 78.7 13.8 79 14.8 78.8 15.5 79.5 15.4 79.5 14.7 80.1 15 81 16.9 81.6 17.9 82.3 17.2 82.8 17.6 82.8 16.6 83.4 16.5 84.6 17.3 85.1 17.9 85.4 18.5 85.9 19 85.7 18.1 86.7 17.7 87 17.1 89 19 89.6 19.3 91.2 19.6 92.3 20.4 92.9 21 92.5 21.8 91.5 22.1 90.9 23 90.6 24 90.4 24.9 90 25.8 89.5 26.7 86.8 26.7 87.4 27.1 88.1 27.4 89.1 28.1 89.9 27.5 91.1 27.5 92.3 26.9 95.2 27.1 95.7 26.6 97.5 26.6 98.6 27.1ZM70.3 7.9 70.5 8.8 69.8 9.7 68.8 9.7 68 9.1 66.5 9.1 66.6 8.4 67.4 8.2 68.4 8.8 69.1 8.3 70 7.6ZM60.2 9.5 59.1 9.5 59.6 9 60.1 9.4ZM92.7 22.7 91.8 22.9 92.5 22.3 93.1 22.1 92.7 22.7ZM91.4 24.7 90.8 24.1 91.8 23.3 92.5 23.8 92 24.5 91.4 24.7Z' },
+  vg: { viewBox: '0 0 100 87.8', path: 'M96.6 3 100 11.3 98 11.2 84.4 5.4 74 5 69.7 3.5 67.3 0.3 88.3 0 96.6 3ZM71.2 71.6 65 73.4 61 73 59.7 69.4 63.9 59.5 88 58.4 71.2 71.6ZM24.1 86.9 5.5 87.8 0 84.7 10.5 77 29.9 76.1 35.6 78.1 24.1 86.9Z' },
+  vi: { viewBox: '0 0 62 100', path: 'M25 8.1 14.5 9.4 0 2.6 11.4 0 18.8 1.6 25 8.1ZM50.9 4.5 41.6 8.4 35.4 7.9 33 6.5 37.9 1.9 50.9 4.5ZM36.1 86.5 47.8 92.9 62 92.9 47.2 99.4 18.9 100 19.5 89.7 36.1 86.5Z' },
+  vn: { viewBox: '0 0 47.8 100', path: 'M38.2 12.9 37.1 13 36.4 13.6 35.3 14.1 34.5 14.5 34.3 15.1 34.1 16.1 32.9 16.8 32.3 16.5 31.7 16.6 31.1 16.8 30.3 16.5 29.7 16.7 30.1 17.8 28.9 19.7 29 20.7 28.7 21.4 27.9 22 26.4 23.4 25.7 23.5 24.1 26.2 24.1 27.1 23.9 27.7 23.9 28.3 23.4 29.4 22.9 29.9 22.8 30.5 23.5 31.8 24 32.7 24.6 33.7 25.7 35 26.9 35.6 28 36.8 28.6 37.5 28.4 39 27.6 38.7 28.7 39.4 30.1 41.4 31.3 42.4 32.6 43.5 33 44.6 34.1 45.3 35.4 46.3 36.6 47.4 37.1 48 37.6 48.6 38.3 48.4 38.9 49.1 39.5 49.6 40.1 50.1 40.2 50.8 40.9 51.6 41.3 52.3 42.1 53.5 42.8 54.2 43.7 54.9 44.2 56.2 44.5 57.4 45 58.8 45.4 59.3 45.5 60.4 45.8 61.6 46.1 62.3 46.2 63.1 46.5 63.8 46.9 65.1 46.8 65.7 46.5 65.1 46.5 66.9 46.8 67.8 46.7 68.9 47.3 70.6 47.7 71.1 47.6 72.7 47.8 73.5 47.4 73 46.7 72.7 46.3 73.2 46.9 74.9 46.2 74.7 46.3 77 46.6 77.8 46 78 46.1 79 46 79.7 45.1 80.2 45 81 44.8 81.9 43.7 82 42.9 82.8 42 83.1 41.1 83.8 40.1 84.5 39.5 84.6 38.4 85.9 37.3 86.1 35.5 87 34.9 87.5 34.3 87.7 33.5 88.1 33.1 87.6 32.4 87.4 32 86.5 31.6 87.8 30.6 87.8 30 87.1 29.2 87.6 29.9 87.6 30.4 88.2 29.5 88.8 28.5 88.7 29.2 89.2 30.1 89.4 30 90.3 29.6 91 29.2 91.6 28.2 91.1 26.2 89.2 28.6 91.9 29 92.6 28.8 93.3 27.8 93.6 26.6 92.8 24.8 90.9 24.2 90.7 26 92.8 26.3 93.4 26.6 94 26.4 94.7 22 96.7 21.4 97.5 20.9 98.6 20 99.2 19.5 99.7 18.1 100 17.3 99.9 18.1 98.9 17.5 96 17.7 93.3 18.1 91.9 18.7 91.5 19.4 91.3 19.3 90.7 18.9 90.2 17.9 89.9 17.5 89.3 16.6 89.6 16.1 88.9 15.6 88.4 15 88 15.6 87.6 16.7 87.2 17.6 87.2 18.1 86.8 18.7 86.3 19.2 85.8 18.9 84.8 19.8 84.8 20.6 85 21.3 84.5 22.5 84.3 23.3 84.1 24.1 84.6 24.9 84.8 25.9 85.4 26.2 84.6 26.4 84 25.9 83.6 24.6 82.5 24.4 81.6 24.3 80.9 24.2 80.1 24.8 79.8 25.3 79.1 26 79.1 26.9 79.4 27.5 79.6 28 79.2 28 78 28.6 77.7 29.4 77.7 30.3 77.1 31.4 76.9 32.2 76.3 32.9 75.6 33.7 75.3 34.4 75.7 35.1 75 35.5 73.9 35.4 72.8 35.2 71.9 35 71.3 34.9 70.6 35.4 69.3 35.8 67.9 35.7 67.3 35.3 66.5 34.8 65.4 34.4 64.2 34 63.3 34.2 62.1 34.8 61.1 35 60.5 35.3 59.8 35.2 58.7 35.1 58 35.1 57.3 35.7 56.6 36.1 55.7 35.5 54.8 34.8 54.3 34 53.7 33.3 52.9 32.9 52 34.2 51.2 34.4 50.4 33.8 50.1 33.2 49.8 32.3 48.8 31.4 48.3 30.9 47.2 30.1 47.6 29.5 47.1 28.9 46.3 28.8 45.1 28.6 44.2 27.5 43 27.1 42.5 25.3 41.1 24.7 40.3 23.9 39.5 23.3 38.9 22.9 38.2 22.6 37.2 22.1 36.6 21.4 35.9 20.5 35.5 19.8 34.8 19.3 34 19.5 33.2 19.5 32.5 18.7 32.1 16.9 31.6 16.2 31.2 15.6 30.7 12.9 28.9 12.3 28.7 11.7 28.4 11.8 27.8 12.4 27.4 12.6 26.4 12.3 25.8 13.1 25.6 13.9 25.6 15.8 26.1 17.1 25.1 17.5 24.5 17.8 23.8 18.3 23.3 18 22.2 16.8 22 16.6 21.4 16.3 20.8 15.5 20.5 14.8 20.4 15.4 19.7 16 19.2 15.7 18.6 14.5 17.7 13.5 17.1 12.9 16.8 11.5 17.4 10.9 17.8 10.4 18.4 9.8 18.6 8.7 18 7.1 17.6 6.4 17.2 4.9 15 4.9 14.1 5 13.4 5.4 12.5 5.4 11.7 4.7 11.3 4 11.7 3.4 11.5 3.1 10.5 2.3 9.8 1.1 8.2 0.4 7.5 0 6.8 0.7 6.2 1.1 5.6 1.6 4.9 2 4.3 3.1 4.5 3.9 4.9 4.6 5.3 5.3 6.2 6.2 6 6.6 5.3 7.4 4.5 8 4.2 8.8 5.3 9.4 4.3 11.7 5.7 12.3 4.8 12.6 4.2 13.2 3.8 13.8 4.1 14.7 4.5 15.7 3.8 16.4 3.7 17.1 3.4 17.6 2.4 17.6 1.7 18.2 1.3 20 0.5 20.6 0 21.6 0.8 22.2 1.6 23.3 2.2 23.9 2.7 24.7 3 25.3 2.6 26.3 2.7 26.9 3.4 27.5 3.4 28.2 3.2 28.8 3.1 29.4 3.3 30.4 4 29.9 5 29.4 5.4 28.9 6 28.8 6.7 29.2 7.2 29.6 7.8 29.6 8.5 29.6 9.4 30.5 9.6 31.3 10 31.9 10.2 32.2 10.9 33 11.5 33.6 11.5 34.1 12.2 34.7 12 36 12.2 36.8 11.9 37.8 12.6ZM35.8 14.9 34.8 15.8 34.8 14.8 35.5 14.9ZM35.2 17 34.4 17.1 35.2 16.4 35.2 17ZM30.9 17.7 30.3 17.4 30.9 17.7ZM32 18.2 31.2 17.7 32.1 17.6 32 18.2ZM32.9 88.1 32.4 88.5 32.8 87.9ZM12.6 88.1 12.7 89.2 12.5 90 11.9 89.1 11.4 88.5 12.1 87.9Z' },
+  vu: { viewBox: '0 0 49.6 100', path: 'M14.2 3 12.7 1.2 13 0.6 14.1 0 15 1 15.1 1.6 15 2.5 14.3 2.6ZM15.6 8.3 15 9.1 13.3 8.8 13 7.4 13.4 6.9 14.4 6.5 15.8 7.2 15.6 8.3ZM3.2 16.9 4.2 21.9 5.3 21.9 6.5 20.4 6.8 18.6 7.4 18.3 8.1 18.5 7.8 19.1 8 20.6 8.5 21.4 9.7 25.4 9.9 26.2 9.9 26.9 8.4 28.3 6 28.3 4.4 29.1 3.4 29.1 3.4 28.1 2.5 27.3 1.5 25.7 1.8 22.7 0 17.2 0 15.9 0.6 14.1 1.2 14 2 15.5 3.2 16.9ZM24.5 24.5 24.2 25.4 23.6 24.3 23.2 19.7 23.7 19.3 24.5 22.5 24.5 24.5ZM20.4 26.1 19.4 26.8 17.6 26.7 16.9 26.3 19.1 24.2 21.7 23.8 20.4 26.1ZM24.8 34.2 24.3 33.5 23.5 29.8 24.1 26.5 24.4 27.2 25.6 33 25.5 34 24.8 34.2ZM10.2 30.5 8.4 29.9 8.7 28.9 10.4 29.3 10.2 30.5ZM13.1 36.1 13.7 36.5 14.3 37.2 16.4 38.7 17 38.6 17.5 39.5 18.4 39.9 18.6 40.7 19.3 41.5 18.2 42.5 16 42.3 14.7 43.4 13.6 43.1 13.4 42.5 12.9 40.8 12.6 38.4 12.1 37 11.6 36.4 10.6 36.9 9.2 35.9 9.7 33.6 9.9 32.9 10.7 32.8 11.9 33.4 13.1 36.1ZM26.1 39.8 24.4 40 22 39.5 21.1 38.8 20.7 38.2 21.5 37.7 22.6 37.4 24.1 35.9 24.6 36.5 25.2 38.2 25.8 38.7 26.1 39.8ZM28.3 46.6 28.5 47.4 26.4 46.7 24.8 47 23.9 46.4 23.5 45.2 23.7 44.4 24.4 43.8 25.1 44.4 25.6 44.9 27.1 46.3 28.3 46.6ZM28.3 58.2 29.7 60.4 30.3 60.6 29.4 62.2 27.6 62.3 25.4 61.9 26.2 61.4 25.8 60.8 25.1 60.6 24.4 60.9 24.5 59.8 25.7 58.4 26.4 58.3 28.3 58.2ZM41.3 79.8 40.7 80.5 40.1 80.5 36.2 78.7 36.4 78 36.2 76.2 36.7 75.2 37.7 74.8 38.5 75 39 76.5 40.2 77.1 39.4 77.5 40.8 78.6 41.3 79.8ZM43.7 89.1 42.9 90.8 41.5 90.4 40.3 89.2 39.6 88.1 40.1 86.1 40.7 85.7 41.4 85.8 41.7 87.8 43.7 89.1ZM49.6 99.1 49.1 100 48.3 100 47.3 99.4 47.5 98.6 48.6 98.5 49.6 99.1Z' },
+  wf: { viewBox: '0 0 100 54.6', path: 'M98.4 5.5 97.7 5.9 96.8 3.9 97.9 1 99 0 100 2.3 98.4 5.5ZM7.2 54.3 4.4 54.6 1.7 54 0 51.2 0.8 50 2.5 50.5 4.3 52.6 7.3 53.6 7.2 54.3Z' },
+  ws: { viewBox: '0 0 100 44.8', path: 'M33.5 0 41.9 7.3 45.3 16.9 41.7 26.1 33.7 23.8 22.1 25.8 18.3 25.1 9 13.8 2.6 8.8 0 4 8.2 4.5 20.1 1.4 33.5 0ZM99.7 44.7 79.1 44.8 68.8 41.3 65.2 41.3 56.5 34 55.1 30.1 59.7 27.6 69.2 26.3 88.4 31.8 91.3 36.8 95.7 37.3 99.1 39.5 100 42.9 99.7 44.7Z' },
+  xk: { viewBox: '0 0 90.5 100', path: 'M80.5 72.2 71.4 74.2 68.4 76.5 66.6 80.6 66 82.6 64.4 82.7 61.8 80.6 58.5 77.4 54.1 77.6 39.3 84.7 37.9 88.4 37.5 96.4 36.5 98.6 34.9 100 28.8 99.1 28.2 98.6 29 95.5 28.7 88.8 25.9 77.6 24 74 19.9 70.3 16.8 67.9 11.1 65.8 8.2 59.6 3.9 52.6 1.8 51 2.2 50.3 3.1 45 1.9 41.2 0 37.9 1.3 35.9 5.3 35.9 8.6 36.3 9.8 33.1 16.5 31 23.1 28.9 24 27.4 22.5 24.1 23.4 22.1 31.2 16.3 32.5 13.6 33 11.6 31.9 9.4 30.5 6 31.2 4.5 35.2 2.5 38.6 0.2 40.5 0 41.7 1.7 41.7 3.4 42.8 6.3 45.2 7.9 49.3 10.4 54 12.2 57.6 15.6 62.7 21.9 63.4 24.9 68 27.7 72.2 30.8 71.5 36.5 85.8 41.5 89 41.4 90.5 42.3 90.5 43.6 89.4 47.6 83.5 59.8 83 62.3 78.8 65 78.2 66.5 79.4 69.9Z' },
+  ye: { viewBox: '0 0 100 57.6', path: 'M88.1 20.5 83.9 22 82.8 22.7 81.7 23.6 81 24.6 80.5 26.5 80.9 28.2 80.8 29.1 79.7 29.7 78.7 30.1 77.6 30.8 76.9 30.9 76.3 31.5 75.7 31.8 73.3 32.8 70.8 33.5 66.7 34.4 65.1 35.4 63.7 36 61.5 36.2 58.5 37.1 56.9 37.8 54.8 39 54.3 39.4 54 40.3 53.3 41 52.1 42.2 51.2 42.9 50.5 42.9 49.3 43.3 47.9 43.3 45.5 42.9 44.9 43.2 44.4 43.7 42.5 44.5 40.6 46.2 39.2 46.7 37 47.2 35.5 47.9 34.4 48.2 33.1 48.3 30.6 48.2 28.2 48.5 26 49 25 49.9 23.8 51.3 21.9 51.9 21.4 52.4 20.8 53.4 19.6 53.7 18.4 53.9 17.3 53.4 15.1 54.7 14.3 54.9 13.1 54.9 12.2 55.2 11.5 55.1 10.8 54.6 9.1 54 7.8 54.4 7.7 53.2 5.7 49.6 6.1 46.4 5.7 44.5 4.5 43.2 4.6 41.6 4.1 40.4 3.8 39.2 3.9 38.6 3.3 36.7 3 35.9 3.2 35.3 2.9 34.7 2.6 33.6 0.9 32.7 1.2 31.9 2 32.4 2.1 31.5 1.4 29.1 2.4 25.8 2.1 22.9 3.7 21.7 4.3 21 4.6 20.4 5.2 20.1 5.3 19.4 5 18.8 4.7 18 4.8 16.9 5.1 15.7 5.8 15.1 5.3 14.6 6.3 13.5 7.3 13 8.3 13.1 9.2 13.8 9.7 14.3 10.5 14.5 11.4 14.6 12.2 14.3 12.9 14.3 15.1 13.8 16.7 13.9 18.4 13.7 20 13.7 21.7 13.7 22.5 13.9 23.9 14.7 25 14.8 27.1 15 29.4 15.2 31.4 15.4 33.1 15.3 34.6 15.1 35.4 15.6 36.2 16.8 37 17.8 38.4 17.9 39.3 17.5 40.3 16.9 40.9 16.5 41.6 14.7 42.1 13.5 43.1 12.2 44 11.2 45.1 9.7 45.8 8.9 47 7.4 48.2 6.7 50.5 5.6 52.8 4.4 54.3 3.6 55.5 3.3 57.7 3 60.1 2.6 62.6 2.3 65.3 1.9 68.2 1.5 70.2 1.2 72.8 0.8 75 0.5 76.9 0.3 78.8 0 79.2 0.9 79.6 1.8 79.9 2.6 80.3 3.5 80.7 4.4 81 5.3 81.4 6.1 81.8 7 82.2 7.9 82.5 8.7 82.9 9.6 83.3 10.5 83.6 11.4 84 12.2 84.4 13.1 84.7 14 85.1 14.8 85.7 15.1 86.1 15.9 86.6 17.1 87.1 18.2 87.6 19.3 88.1 20.5ZM0.3 32.1 0.2 31.2 0.5 31.9ZM2 43.5 1.2 43.2 1.8 42.7 2 43.5ZM93.7 54.9 94.3 55 95 54.7 97.3 54.7 100 55.7 99.2 56.2 98 56.6 96.8 57.3 93.4 57.6 92.4 57.4 91.5 56.7 90 55.8 90.6 55.2 91 54.7 91.8 54.3 92.7 54.3 93.7 54.9Z' },
+  yt: { viewBox: '0 0 53.4 100', path: 'M40.7 97.5 22.1 100 13.4 92 8 73.1 13.5 54.8 15.1 40.1 0 14.5 14.7 0 27.3 16.9 34.4 18.1 53.4 29.9 47.8 51.6 49.1 58.7 40.4 80.4Z' },
+  za: { viewBox: '0 0 70.4 100', path: 'M48.7 0.9 48.9 1.7 49.1 2.4 49.3 3.1 49.5 4 49.5 4.7 50 5.4 50.4 6.2 50.7 7.4 51 8.2 51 8.9 51 9.6 51 10.4 51 11.1 51 12.4 50.8 13 50.9 13.6 49.9 13.3 49.1 12.9 48.4 13.2 48 13.7 47.6 14.6 47.1 15.3 47.1 16 47.1 16.6 47.6 17.1 48 17.8 48.7 18.3 49.3 18.5 50.2 18.6 50.9 18.5 50.9 17.3 51.1 16.7 51.7 16.8 52.6 16.9 53.6 16.9 53.8 17.7 53.4 19 53.2 19.7 52.8 21.8 52.3 23 51.1 24.2 50.3 24.6 48.9 26.2 48.3 27 47.8 28.2 47.4 28.8 46.7 30.2 46 31.3 45.4 32.3 44.4 33.6 43.9 34 42.8 34.9 41.6 36.2 40.7 37.3 39.4 38.6 38.6 39.2 37.5 40.3 35.8 41.5 34.9 42.1 33.4 42.8 32.8 43 31.3 42.8 30.7 42.9 30.2 43.4 30.2 44 29.6 44.1 28.6 43.8 27.8 44.2 26.7 44.7 25.4 44.2 23.8 44 22.7 44.3 21.3 44.2 20.6 44 20 44 19 44.3 17.5 45.5 16.8 45.5 16.1 45.6 15.1 45.4 14.2 45.7 13.4 45.8 11.7 47.1 10.5 47 9.7 46.4 9.3 45.7 8.7 45.4 7.8 45.4 7.8 44.7 7.1 44.3 6.6 45.4 6.2 44.7 6.3 43.7 6.5 42.9 6.1 42.1 5.6 41.5 5.3 40.9 5 40.2 4.6 39.4 5 38.9 5.9 38.7 6.2 38.1 6.2 37.2 5.8 35.2 4.9 33.8 4 32.4 3 30.3 2.4 29 1.6 26.3 1 24.9 0.1 23.5 0.6 22.9 1.1 22.4 1.4 21.6 2 21.2 2.5 21.8 3.1 22.4 3 23 3.3 23.7 4.1 24 5 24.1 6.1 24.4 7.1 24.3 7.8 24.3 8.5 24.6 9.2 24.5 9.4 23.8 10 23.6 10.6 23 11.3 22.8 11.6 20.6 11.6 19 11.6 17.3 11.6 15.7 11.6 14.1 11.6 12.5 11.6 10.9 11.6 9.4 12.8 10.3 13.2 11 13.7 11.9 14 12.8 14.3 13.5 14.4 14.2 14 15 13.7 15.9 13.8 16.5 14.5 16.7 15.2 16.9 16.4 16.8 17.1 16.9 17.5 16.4 18.3 16.1 18.9 15.2 19.8 14.6 20.3 14 20.6 13.3 20.8 12.6 21.1 11.8 21.6 11.3 22.4 11.1 23.2 11.4 24.2 12.1 25.1 12.5 25.9 12.8 26.6 13 27.2 13.1 28.1 12.9 28.8 12.9 29.5 12.7 30.2 11.7 30.6 10.7 30.9 9.9 31.1 9.3 31.8 9 32.7 8.8 33.4 8 34.1 7.4 34.5 5.7 34.9 5.1 35.7 4.5 36.3 4.3 36.7 3.8 37.3 3.4 38 2.6 38.6 1.9 39.2 1.6 40.2 1.4 41 0.9 41.6 0.2 42.4 0.2 43.4 0 44.2 0.1 45.1 0.5 46 0.6 46.8 0.5 47.5 0.5 48.4 0.7ZM40.3 29 40.9 28.7 41.5 28.3 41.7 27.5 42.2 26.9 42.5 26 42.3 25.4 41.8 25 41 24.4 40.6 23.9 40.1 23.5 39.5 23.4 38.7 23.7 37.8 24.4 37 24.6 36.6 25.4 36.2 25.9 35.8 26.5 35.3 26.9 34.8 27.3 35.1 28 35.4 28.6 35.8 29.2 35.9 29.8 36.6 30.3 37.1 30.8 38 31 38.4 30.3 38.9 29.4 39.6 29.1 40.3 29ZM70.3 99.9 69.5 99.9 69.7 99.3 70.3 99.6Z' },
+  zm: { viewBox: '0 0 100 86.1', path: 'M93.7 10.4 93.9 11.1 94.2 11.9 94.7 12.4 95.6 12.1 96.2 12.8 96.5 13.5 97 13.9 97.2 15.2 97 15.9 97.7 16.6 98.6 17.3 98.9 18.6 99.7 19.8 100 20.7 98.3 22.3 97.3 22.6 96.6 23.3 96.8 24 97.2 24.9 97.6 25.6 97.3 26.4 96.6 27.7 96.3 28.8 96.8 29.5 96.9 30.2 97 31.1 96.9 31.9 96.5 33.9 97.2 35.6 98.5 35.8 98.5 36.4 98 36.9 96.4 37.7 94.5 38.4 94.1 39 93.9 39.9 94.3 40.7 94.3 41.5 94.1 42.3 94.1 43 94.1 43.6 93.5 44.7 93.1 45.6 92.3 46.4 91.5 46.8 92.4 47.3 92.5 48 93.2 48.7 93.7 49.3 94.1 50.1 94.7 50.4 95.2 50 96.1 50.5 94.2 51.1 93.3 51.4 90.5 52.4 88.1 53.2 87.5 53.3 86.2 53.7 85.6 54 83.5 54.7 82.6 55.1 81.8 55.4 80 55.9 78.3 56.4 76.5 57 74.4 57.5 73.3 58 72.5 58.3 70.6 59 70.6 59.7 70.8 60.7 71.3 61.7 71.7 62.2 71.9 63.6 72 64.8 70.8 64.8 68.6 64.8 66.3 64.8 64.3 65.3 62.6 66 60.5 67.1 59.9 67.5 59.4 67.9 58.9 69.2 58.9 70.7 58.7 71.7 58.1 72.7 55 73.8 52.9 74.8 51 75.9 49.5 77.4 48.4 79.2 46.7 81.4 45 83.3 43.2 85.4 41.1 86.1 39.4 86 37.3 85.1 35.6 85 34.4 85.5 33.3 85.3 32.2 84.5 31.3 84.2 30.6 84.4 29.7 84.4 28.1 83.9 26.6 82.5 25.9 81.9 25.3 81.7 23.6 81.4 19.7 81.1 17.6 81.5 15.6 81.8 13.8 82.2 12 82.5 10.3 81.1 8.4 79.4 6.4 77.5 4.9 76 4.1 75.2 2.8 74.1 1.8 73.5 0.5 70.3 0 67.6 0 65.5 0 62.7 0 59.9 0 57 0 54.2 0 51.4 0 48.6 0 45.8 0 43 0 41.6 2 41.6 4.2 41.6 6.6 41.6 9.1 41.6 11.6 41.6 14.2 41.6 16 41.6 17 41.5 16.3 39.8 16.5 38.4 16.8 37.6 17.2 36.6 17.3 35.9 16.9 33.9 17 32.8 17.1 31.6 17.2 30.5 17.1 29.7 17.4 28.7 17.6 28 17.7 27.4 17.4 25.8 17.2 24.2 17 23.1 18 23.3 18.5 24.4 20 24.8 20.4 25.3 20.7 26.4 20.5 27 20.5 27.8 21.3 28.1 23 27.3 24.2 27 24.8 26.8 26.5 26.5 27.4 26.3 28 26 28.6 26.3 28.4 27 28.3 27.7 28.6 29 28.8 29.6 29.4 30 30.2 30.7 31.2 30.7 33.2 31.3 33.8 31.6 34.6 31.9 35.2 32 37.3 32.3 38.1 32.4 39.5 32.6 40.7 32.7 41.5 32.6 42.4 32.2 42.8 31.4 43.2 30 43.8 29.4 44.7 29.5 45 31 46.6 32.4 47.1 33.6 47.5 34.6 48.5 35.2 49.5 35.3 50.3 35.4 52.1 36.1 53.6 36.7 54.6 37.1 55.4 37.9 55.9 39.3 56.3 40.2 57.3 40.4 57.8 40.9 58.2 41.4 58.9 42.6 59.4 43.5 59.6 44.3 60.2 44.8 61.1 45 61.8 45.1 63.4 44.4 64.2 43.9 64.8 43.8 65.5 44.2 65.6 44.9 66.3 45.6 66.9 45 66.9 43.1 66.9 41.5 66.9 40.1 66.9 38.3 66.9 36.8 66.9 35.6 66.9 34.2 66 34.6 64.9 34.6 64.3 35.2 64.4 36.2 63.8 36.6 63 36.4 61.7 36.1 60.7 35.9 59.9 35.1 58.8 33.9 58.1 33.3 56.5 32.1 55.7 31.3 55.2 30.3 55 29.6 54.6 28.4 55 27.3 55.6 25.2 56 23.6 56.2 22.5 57 21.3 57.1 20.3 56.7 19 56.8 18.3 56.9 16.4 56.9 14.9 56.9 14.1 56.7 12.8 56.2 11.3 55 9.3 55.7 8.4 56.8 7.6 57.4 7.1 58 6.4 59 5.1 59.4 4.4 59.5 3.4 59.2 2.5 59.9 2.3 61.9 2 64.2 1.7 66.7 1.3 69.1 0.9 71.5 0.6 73.6 0.2 75.1 0 75.3 0.6 75.8 1.7 76.3 2.4 76.9 3.1 77.5 3.5 80.2 3.6 81.1 4 81.8 4.5 82 5.3 82.5 5.8 83.2 6.2 84.2 6.1 84.8 6.3 85.1 7.1 86.1 7.5 86.9 7.6 87.7 8 88.5 8.1 89.5 8.3 90 8.8 91 9.3 92.3 9.7 93.2 10.2Z' },
+  zw: { viewBox: '0 0 100 91.4', path: 'M77.9 91.4 76.7 90.6 75.2 90.1 73.1 89.8 70.5 89.9 67.3 90.4 63.8 89.8 60.1 88.4 57 87.8 53.4 88.5 52.6 88 51.6 86.9 49.9 86.7 49.1 86.1 48.7 85 49 83.2 48.4 82.8 47.5 82.6 45.3 81.8 42.5 81 38 80.2 36.3 80 35.3 79 34.5 77 33.7 75.7 31.7 73.6 31.4 73 31.5 71.3 31.7 70 31.9 68.9 31.8 67.9 31.7 66.6 31.8 65.7 30.8 65 28.8 64.9 26.4 65 26.4 63.7 26.1 61.6 25.7 60.4 25.1 59.8 24 59.2 21.8 58.3 18.7 57 16.1 55 13.1 52.6 12.1 52.2 11 49.9 9.3 46 9.4 44.7 9.2 44.1 7.6 42.2 7.2 41.2 6.9 40.2 4.3 37.4 3.4 36.2 2.7 34.6 2.1 33.4 1.5 32.8 0.8 32 0.2 31 0 30.3 0.2 29.3 0.4 28.7 2.9 29.4 4.3 29.4 5.3 29.1 6.7 29.5 8.2 30.8 9.9 31 11.8 30.3 14.3 30.5 17.4 31.7 20 32 23.1 30.9 25.8 27.8 28.4 24.9 31 21.6 32.5 18.9 34.8 16.7 37.8 15 40.8 13.6 45.4 11.8 46.4 10.4 46.7 8.8 46.7 6.6 46.9 5.2 47.4 4.6 48.2 4.1 49.2 3.4 52.2 1.8 54.8 0.7 57.9 0 61.3 0 64.6 0 66.5 0 66.5 2.1 66.6 4.4 69.5 4.7 73.4 4.9 77.3 5 79.7 6.8 80.5 7.1 83 7.6 86.3 10.4 90.2 10.7 92.9 11.6 95.2 12.6 96.6 13.8 97.5 14 98.7 14.1 99.1 15.1 98.3 16.5 98.4 18.6 99.5 21.4 99.7 23.9 99.3 28.3 99.3 32.6 99.5 34.1 99.6 35.1 99.8 36.3 99.2 38.1 98.6 40 98.6 40.7 98 41.7 96.3 42.6 96.1 44.1 96.3 44.9 96.9 45.2 97.7 45.7 98 46.3 98 47 97.7 48.2 97.1 50.2 97.7 52.5 98.5 54 99.6 55.7 100 56.7 100 57.5 99.8 58.3 98.2 61.4 97.1 63.4 95.7 65.5 93.9 66.8 93.4 67.4 93.2 68.2 93.3 69.8 93.2 71.4 91.6 74 92.6 76.2 91.8 76.7 89.6 79.2 87.3 81.7 85.6 83.5 83.7 85.6 81.6 87.9 79.7 90Z' }
+};
+
+export default outlines;